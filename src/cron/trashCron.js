@@ -0,0 +1,34 @@
+import cron from 'node-cron';
+import * as trashService from '../services/trashService.js';
+
+// Daily at 03:00 unless TRASH_PURGE_SCHEDULE says otherwise
+const DEFAULT_PURGE_SCHEDULE = '0 3 * * *';
+
+/**
+ * Cron job to purge the trash
+ * Permanently deletes documents kept in the trash longer than
+ * TRASH_RETENTION_DAYS (default 30; 0 turns the purge off)
+ */
+export function initTrashCronJobs() {
+  const retentionDays = trashService.resolveRetentionDays();
+  if (retentionDays === 0) {
+    console.log('[Cron] Trash purge disabled (TRASH_RETENTION_DAYS=0)');
+    return;
+  }
+
+  const schedule = process.env.TRASH_PURGE_SCHEDULE || DEFAULT_PURGE_SCHEDULE;
+  cron.schedule(schedule, async () => {
+    console.log('[Cron] Purging expired trash...');
+    try {
+      const purged = await trashService.purgeExpired(retentionDays);
+      const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+      console.log(`[Cron] Trash purge: ${total} documents deleted`, purged);
+    } catch (error) {
+      console.error('[Cron] Failed to purge the trash:', error);
+    }
+  });
+
+  console.log(
+    `[Cron] Trash purge initialized - ${schedule}, keeping ${retentionDays} days`
+  );
+}
@@ -3,19 +3,37 @@ import cors from 'cors';
 import mongoose from 'mongoose';
 import transactionRoutes from './routes/transactionRoutes.js';
 import categoryRoutes from './routes/categoryRoutes.js';
+import categoryRuleRoutes from './routes/categoryRuleRoutes.js';
+import budgetRoutes from './routes/budgetRoutes.js';
+import exchangeRateRoutes from './routes/exchangeRateRoutes.js';
 import companyRoutes from './routes/companyRoutes.js';
 import personRoutes from './routes/personRoutes.js';
 import importRoutes from './routes/importRoutes.js';
 import exportRoutes from './routes/exportRoutes.js';
 import fiscalBookRoutes from './routes/fiscalBookRoutes.js';
 import snapshotRoutes from './routes/snapshotRoutes.js';
+import searchRoutes from './routes/searchRoutes.js';
+import transferRoutes from './routes/transferRoutes.js';
+import refundRoutes from './routes/refundRoutes.js';
+import fiscalNoteRoutes from './routes/fiscalNoteRoutes.js';
+import attachmentRoutes from './routes/attachmentRoutes.js';
+import auditRoutes from './routes/auditRoutes.js';
+import accountRoutes from './routes/accountRoutes.js';
+import reconciliationRoutes from './routes/reconciliationRoutes.js';
+import cardInvoiceRoutes from './routes/cardInvoiceRoutes.js';
+import installmentPlanRoutes from './routes/installmentPlanRoutes.js';
+import trashRoutes from './routes/trashRoutes.js';
 import dotenv from 'dotenv';
 import { initializeDatabase } from './services/initializationService.js';
 import { initSnapshotCronJobs } from './cron/snapshotCron.js';
+import { initTrashCronJobs } from './cron/trashCron.js';
 import {
   // identifyAndUpdateCompanyFields,
   // migrateCompanyDataToCompanyCollection,
   migrateTransactionsToFiscalBooks,
+  migrateMonetaryValuesToCents,
+  migrateTransactionSourcesToAccounts,
+  linkCreditCardInstallments,
 } from './services/migrationService/index.js';
 
 // Initialize dotenv to read .env files
@@ -23,7 +41,7 @@ dotenv.config();
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '10mb' }));
 
 // Route definitions
 app.get('/api/', (_, response) => {
@@ -32,13 +50,63 @@ app.get('/api/', (_, response) => {
   });
 });
 
+// raw receipt, NF-e XML and boleto uploads
+const attachmentUploads = express.raw({
+  type: [
+    'application/pdf',
+    'application/xml',
+    'application/octet-stream',
+    'image/*',
+    'text/*',
+  ],
+  limit: '10mb',
+});
+app.use(
+  '/api/transaction/:id/attachments',
+  attachmentUploads,
+  attachmentRoutes('transaction')
+);
+app.use(
+  '/api/fiscal-book/:id/attachments',
+  attachmentUploads,
+  attachmentRoutes('fiscalBook')
+);
+// change history of audited documents
+app.use('/api/transaction/:id/history', auditRoutes('transaction'));
+app.use('/api/fiscal-book/:id/history', auditRoutes('fiscalBook'));
+app.use('/api/company/:id/history', auditRoutes('company'));
+app.use('/api/person/:id/history', auditRoutes('person'));
+app.use('/api/category/:id/history', auditRoutes('category'));
 app.use('/api/transaction', transactionRoutes);
+app.use('/api/transfer', transferRoutes);
+app.use('/api/refund', refundRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use('/api/card-invoice', cardInvoiceRoutes);
+app.use('/api/installment-plan', installmentPlanRoutes);
 app.use('/api/category', categoryRoutes);
+app.use('/api/category-rule', categoryRuleRoutes);
+app.use('/api/budget', budgetRoutes);
+app.use(
+  '/api/exchange-rate',
+  express.text({ type: 'text/*', limit: '10mb' }), // raw CSV uploads
+  exchangeRateRoutes
+);
 app.use('/api/company', companyRoutes);
 app.use('/api/person', personRoutes);
-app.use('/api/import', importRoutes);
+app.use('/api/search', searchRoutes);
+app.use(
+  '/api/import',
+  express.text({
+    type: ['text/*', 'application/x-ofx', 'application/ofx', 'application/xml'],
+    limit: '10mb',
+  }), // raw CSV, OFX and NF-e XML uploads
+  importRoutes
+);
 app.use('/api/export', exportRoutes);
 app.use('/api/fiscal-book', fiscalBookRoutes);
+app.use('/api/fiscal-note', fiscalNoteRoutes);
+app.use('/api/trash', trashRoutes);
 app.use('/api', snapshotRoutes); // Snapshot routes under /api
 
 /**
@@ -66,9 +134,17 @@ const initialize = async () => {
   // Initiate the connection
   await connectDB();
   await initializeDatabase();
+  // Monetary values are stored in cents; converts leftover legacy text
+  await migrateMonetaryValuesToCents();
+  // Links transactions without account to the account of their source
+  await migrateTransactionSourcesToAccounts();
+  // Links credit card installment rows to their installment plans
+  await linkCreditCardInstallments();
   
   // Initialize cron jobs for scheduled snapshots
   initSnapshotCronJobs();
+  // Purges documents kept in the trash past TRASH_RETENTION_DAYS
+  initTrashCronJobs();
   
   // await identifyAndUpdateCompanyFields();
   // await migrateCompanyDataToCompanyCollection(false);
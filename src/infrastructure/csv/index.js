@@ -0,0 +1,143 @@
+/**
+ * CSV parsing utilities
+ * Small RFC 4180 style parser used by the statement importers.
+ * Supports quoted fields, escaped quotes ("") and CRLF line endings.
+ */
+
+const CANDIDATE_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Detect the most likely delimiter from the first line of a CSV document
+ * @param {string} content - Raw CSV content
+ * @returns {string} Detected delimiter (defaults to comma)
+ */
+export function detectDelimiter(content) {
+  const firstLine = String(content || '').split(/\r?\n/)[0] || '';
+
+  let bestDelimiter = ',';
+  let bestCount = 0;
+  CANDIDATE_DELIMITERS.forEach((delimiter) => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      bestDelimiter = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return bestDelimiter;
+}
+
+/**
+ * Split CSV content into records of raw cell values
+ * @param {string} content - Raw CSV content
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<{line: number, cells: Array<string>}>} Records with their 1-based line number
+ */
+export function splitCsvRecords(content, delimiter = ',') {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const records = [];
+
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const pushRecord = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0].trim() !== '') {
+      records.push({ line: recordLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      pushRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || cells.length > 0) {
+    pushRecord();
+  }
+
+  return records;
+}
+
+/**
+ * Parse CSV content using its first record as header
+ * @param {string} content - Raw CSV content
+ * @param {Object} options - Parse options
+ * @param {string} options.delimiter - Field delimiter (auto-detected when omitted)
+ * @returns {{headers: Array<string>, rows: Array<{line: number, values: Object}>}} Parsed document
+ */
+export function parseCsv(content, options = {}) {
+  const delimiter = options.delimiter || detectDelimiter(content);
+  const [headerRecord, ...records] = splitCsvRecords(content, delimiter);
+
+  if (!headerRecord) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = headerRecord.cells.map((header) => header.trim());
+  const rows = records.map(({ line, cells }) => {
+    const values = {};
+    headers.forEach((header, index) => {
+      values[header] = cells[index] !== undefined ? cells[index].trim() : '';
+    });
+    return { line, values };
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Find the first header matching one of the accepted aliases (case and accent insensitive)
+ * @param {Array<string>} headers - CSV headers
+ * @param {Array<string>} aliases - Accepted header names
+ * @returns {string|undefined} Matching header as written in the file
+ */
+export function findHeader(headers, aliases) {
+  const normalize = (value) =>
+    String(value)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .trim()
+      .toLowerCase();
+
+  const normalizedAliases = aliases.map(normalize);
+  return headers.find((header) => normalizedAliases.includes(normalize(header)));
+}
+
+export default {
+  detectDelimiter,
+  splitCsvRecords,
+  parseCsv,
+  findHeader,
+};
@@ -0,0 +1,74 @@
+import {
+  detectDelimiter,
+  splitCsvRecords,
+  parseCsv,
+  findHeader,
+} from './index.js';
+
+describe('csv helpers', () => {
+  test('detectDelimiter picks the most frequent candidate in the header', () => {
+    expect(detectDelimiter('a,b,c\n1,2,3')).toBe(',');
+    expect(detectDelimiter('a;b;c\n1,5;2;3')).toBe(';');
+    expect(detectDelimiter('a\tb\n1\t2')).toBe('\t');
+    expect(detectDelimiter('single')).toBe(',');
+    expect(detectDelimiter(undefined)).toBe(',');
+  });
+
+  test('splitCsvRecords handles quotes, escaped quotes and CRLF', () => {
+    const records = splitCsvRecords(
+      'a,b\r\n"x, y","say ""hi"""\r\n\r\n1,2',
+      ','
+    );
+
+    expect(records).toEqual([
+      { line: 1, cells: ['a', 'b'] },
+      { line: 2, cells: ['x, y', 'say "hi"'] },
+      { line: 4, cells: ['1', '2'] },
+    ]);
+  });
+
+  test('splitCsvRecords keeps line numbers across quoted line breaks', () => {
+    const records = splitCsvRecords('a,b\n"multi\nline",1\nlast,2\n', ',');
+
+    expect(records[1]).toEqual({ line: 2, cells: ['multi\nline', '1'] });
+    expect(records[2]).toEqual({ line: 4, cells: ['last', '2'] });
+  });
+
+  test('splitCsvRecords strips BOM and handles empty content', () => {
+    expect(splitCsvRecords('\uFEFFa;b', ';')).toEqual([
+      { line: 1, cells: ['a', 'b'] },
+    ]);
+    expect(splitCsvRecords('', ',')).toEqual([]);
+    expect(splitCsvRecords(null)).toEqual([]);
+  });
+
+  test('splitCsvRecords keeps trailing empty cell', () => {
+    expect(splitCsvRecords('a,', ',')).toEqual([{ line: 1, cells: ['a', ''] }]);
+  });
+
+  test('parseCsv maps rows by header and trims values', () => {
+    const result = parseCsv('Data;Valor\n01/02/2024; 10,50 \n02/02/2024');
+
+    expect(result.headers).toEqual(['Data', 'Valor']);
+    expect(result.rows).toEqual([
+      { line: 2, values: { Data: '01/02/2024', Valor: '10,50' } },
+      { line: 3, values: { Data: '02/02/2024', Valor: '' } },
+    ]);
+  });
+
+  test('parseCsv accepts explicit delimiter and empty documents', () => {
+    expect(parseCsv('a|b\n1|2', { delimiter: '|' }).rows[0].values).toEqual({
+      a: '1',
+      b: '2',
+    });
+    expect(parseCsv('')).toEqual({ headers: [], rows: [] });
+  });
+
+  test('findHeader matches aliases ignoring case and accents', () => {
+    const headers = ['Data', 'DESCRICAO', 'Valor'];
+
+    expect(findHeader(headers, ['Descrição'])).toBe('DESCRICAO');
+    expect(findHeader(headers, ['data'])).toBe('Data');
+    expect(findHeader(headers, ['Identificador'])).toBeUndefined();
+  });
+});
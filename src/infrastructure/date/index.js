@@ -50,3 +50,50 @@ export const monthsYearThreeLetterAcronymToExtense = {
   nov: 'Novembro',
   dez: 'Dezembro',
 };
+
+/**
+ * Parse a date string written in a given format into a JS Date
+ * Supported tokens: DD, MM, YYYY, YY (e.g. 'DD/MM/YYYY', 'YYYY-MM-DD', 'MM/DD/YY')
+ * The result goes through convertDateToJsDate so every importer shares the same
+ * timezone and mid-day handling.
+ * @param {string} dateString - Date string to parse
+ * @param {string} format - Format of the date string
+ * @param {string} timeString - Optional time of day (HH:mm:ss)
+ * @returns {Date|null} Parsed date or null when the string does not match the format
+ */
+export function parseDateByFormat(
+  dateString,
+  format = 'DD/MM/YYYY',
+  timeString = undefined
+) {
+  if (!dateString) return null;
+
+  const tokens = format.match(/YYYY|YY|MM|DD/g) || [];
+  const pattern = format
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/YYYY/, '(\\d{4})')
+    .replace(/YY/, '(\\d{2})')
+    .replace(/MM/, '(\\d{1,2})')
+    .replace(/DD/, '(\\d{1,2})');
+
+  const match = String(dateString).trim().match(new RegExp(`^${pattern}`));
+  if (!match) return null;
+
+  const parts = {};
+  tokens.forEach((token, index) => {
+    parts[token] = match[index + 1];
+  });
+
+  const year = parts.YYYY || (parts.YY ? `20${parts.YY}` : undefined);
+  const month = Number(parts.MM);
+  const day = Number(parts.DD);
+  if (!year) return null;
+
+  const daysInMonth = new Date(Date.UTC(Number(year), month, 0)).getUTCDate();
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth) return null;
+
+  return convertDateToJsDate(
+    `${checkSingleDigit(day)}/${checkSingleDigit(month)}/${year}`,
+    timeString
+  );
+}
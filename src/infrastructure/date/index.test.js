@@ -2,6 +2,7 @@ import {
   formatDatePeriod,
   checkSingleDigit,
   convertDateToJsDate,
+  parseDateByFormat,
   monthsYearThreeLetterAcronymToNumber,
   monthsYearThreeLetterAcronymToExtense,
 } from './index.js';
@@ -44,4 +45,33 @@ describe('date helpers', () => {
     expect(monthsYearThreeLetterAcronymToExtense.jan).toBe('Janeiro');
     expect(monthsYearThreeLetterAcronymToExtense.out).toBe('Outubro');
   });
+
+  test('parseDateByFormat parses supported formats through convertDateToJsDate', () => {
+    const expected = convertDateToJsDate('05/03/2024').getTime();
+
+    expect(parseDateByFormat('05/03/2024').getTime()).toBe(expected);
+    expect(parseDateByFormat('2024-03-05', 'YYYY-MM-DD').getTime()).toBe(
+      expected
+    );
+    expect(parseDateByFormat('3/5/24', 'MM/DD/YY').getTime()).toBe(expected);
+    expect(parseDateByFormat('05.03.2024', 'DD.MM.YYYY').getTime()).toBe(
+      expected
+    );
+  });
+
+  test('parseDateByFormat ignores trailing time and honors timeString', () => {
+    const date = parseDateByFormat('05/03/2024 10:20', 'DD/MM/YYYY', '08:00:00');
+
+    expect(date.getUTCHours()).toBe(12);
+    expect(date.getUTCDate()).toBe(5);
+  });
+
+  test('parseDateByFormat returns null for invalid input', () => {
+    expect(parseDateByFormat('')).toBeNull();
+    expect(parseDateByFormat('2024-03-05')).toBeNull();
+    expect(parseDateByFormat('05/13/2024')).toBeNull();
+    expect(parseDateByFormat('00/01/2024')).toBeNull();
+    expect(parseDateByFormat('31/02/2024')).toBeNull();
+    expect(parseDateByFormat('05/03', 'DD/MM')).toBeNull();
+  });
 });
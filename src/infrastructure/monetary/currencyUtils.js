@@ -0,0 +1,197 @@
+/**
+ * Currency Conversion Utility Functions
+ * Transaction values are kept in the base currency (BRL). Exchange rates are
+ * stored as the BRL value of one unit of a currency on a date, and values
+ * are converted with the latest rate on or before the transaction date.
+ */
+
+import { parseMonetaryValue } from './monetaryUtils.js';
+
+export const BASE_CURRENCY = 'BRL';
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const isDefined = (value) =>
+  value !== undefined && value !== null && value !== '';
+
+/**
+ * Normalize a currency code to upper case
+ * @param {string} currency - Currency code such as "usd"
+ * @returns {string} Upper case code, or empty string when missing
+ */
+export function normalizeCurrencyCode(currency) {
+  return isDefined(currency) ? String(currency).trim().toUpperCase() : '';
+}
+
+/**
+ * Check an ISO 4217 currency code
+ * @param {string} currency - Currency code
+ * @returns {boolean} True for three upper case letters
+ */
+export function isValidCurrencyCode(currency) {
+  return CURRENCY_PATTERN.test(String(currency));
+}
+
+/**
+ * Index exchange rates by currency, sorted by day
+ * Lookups in the index take a binary search instead of a scan of every
+ * rate; of several rates of a currency on one day, the last one wins.
+ * @param {Array<Object>|Map} rates - Exchange rates ({currency, date, rate}), or an index
+ * @returns {Map<string, Array<Object>>} Rates ({day, rate}) per currency, oldest first
+ */
+export function indexExchangeRates(rates = []) {
+  if (rates instanceof Map) {
+    return rates;
+  }
+
+  const index = new Map();
+  rates.forEach((rate) => {
+    if (!index.has(rate.currency)) {
+      index.set(rate.currency, []);
+    }
+    index.get(rate.currency).push({ day: dayKey(rate.date), rate: rate.rate });
+  });
+  index.forEach((dayRates) => dayRates.sort((a, b) => a.day.localeCompare(b.day)));
+  return index;
+}
+
+/**
+ * Find the rate of a currency on a date
+ * @param {Array<Object>|Map} rates - Exchange rates ({currency, date, rate}), or an index from indexExchangeRates
+ * @param {string} currency - Currency code
+ * @param {Date|string} date - Reference date
+ * @returns {number|null} BRL value of one unit, or null without a rate on or before the date
+ */
+export function findExchangeRate(rates, currency, date) {
+  if (currency === BASE_CURRENCY) {
+    return 1;
+  }
+
+  const dayRates = indexExchangeRates(rates).get(currency) || [];
+  const day = dayKey(date);
+
+  // last rate on or before the day
+  let low = 0;
+  let high = dayRates.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (dayRates[middle].day <= day) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low > 0 ? dayRates[low - 1].rate : null;
+}
+
+/**
+ * Convert an amount between currencies on a date
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @param {Date|string} date - Conversion date
+ * @param {Array<Object>|Map} rates - Exchange rates ({currency, date, rate}), or an index
+ * @returns {number|null} Converted amount, or null when a rate is missing
+ */
+export function convertAmount(amount, from, to, date, rates = []) {
+  if (from === to) {
+    return amount;
+  }
+
+  const fromRate = findExchangeRate(rates, from, date);
+  const toRate = findExchangeRate(rates, to, date);
+  if (fromRate === null || toRate === null) {
+    return null;
+  }
+
+  return (amount * fromRate) / toRate;
+}
+
+/**
+ * Value of a transaction in a reporting currency, at the transaction date
+ * The original amount is used as is when it is already in the reporting
+ * currency; otherwise the BRL transaction value is converted (or the
+ * original amount when the BRL value is unknown).
+ * @param {Object} transaction - Transaction with value, date and optional original currency and value
+ * @param {string} currency - Reporting currency code
+ * @param {Array<Object>|Map} rates - Exchange rates ({currency, date, rate}), or an index
+ * @returns {number|null} Positive amount, or null when a rate is missing
+ */
+export function transactionAmount(transaction, currency, rates = []) {
+  const originalCurrency = normalizeCurrencyCode(transaction.originalCurrency);
+  const hasOriginal =
+    originalCurrency !== '' && isDefined(transaction.originalValue);
+
+  if (hasOriginal && originalCurrency === currency) {
+    return parseMonetaryValue(transaction.originalValue);
+  }
+
+  if (isDefined(transaction.transactionValue) || !hasOriginal) {
+    return convertAmount(
+      parseMonetaryValue(transaction.transactionValue),
+      BASE_CURRENCY,
+      currency,
+      transaction.transactionDate,
+      rates
+    );
+  }
+
+  return convertAmount(
+    parseMonetaryValue(transaction.originalValue),
+    originalCurrency,
+    currency,
+    transaction.transactionDate,
+    rates
+  );
+}
+
+/**
+ * Sum income and expenses of transactions in a reporting currency
+ * Transactions without a rate for their date are left out of the totals and
+ * counted in `unconvertedCount`. Both sides of an internal transfer
+ * (`transferPairId`) are counted but are neither income nor expenses, and
+ * refunds (`refundOfId`) are subtracted from expenses instead of added to
+ * income.
+ * @param {Array<Object>} transactions - Transactions
+ * @param {Object} options - Summary options
+ * @param {string} options.currency - Reporting currency code (default BRL)
+ * @param {Array<Object>} options.rates - Exchange rates ({currency, date, rate})
+ * @returns {Object} Currency, transaction count, income, expenses, net amount and unconverted count
+ */
+export function summarizeTransactions(transactions = [], options = {}) {
+  const { currency = BASE_CURRENCY } = options;
+  const rates = indexExchangeRates(options.rates);
+  let totalIncome = 0;
+  let totalExpenses = 0;
+  let unconvertedCount = 0;
+
+  transactions.forEach((transaction) => {
+    if (transaction.transferPairId) {
+      return;
+    }
+    const amount = transactionAmount(transaction, currency, rates);
+    if (amount === null) {
+      unconvertedCount++;
+    } else if (transaction.refundOfId) {
+      totalExpenses -= amount;
+    } else if (transaction.transactionType === 'credit') {
+      totalIncome += amount;
+    } else {
+      totalExpenses += amount;
+    }
+  });
+
+  return {
+    currency,
+    transactionCount: transactions.length,
+    totalIncome: roundCurrency(totalIncome),
+    totalExpenses: roundCurrency(totalExpenses),
+    netAmount: roundCurrency(totalIncome - totalExpenses),
+    unconvertedCount,
+  };
+}
@@ -0,0 +1,174 @@
+import {
+  BASE_CURRENCY,
+  normalizeCurrencyCode,
+  isValidCurrencyCode,
+  indexExchangeRates,
+  findExchangeRate,
+  convertAmount,
+  transactionAmount,
+  summarizeTransactions,
+} from './currencyUtils.js';
+
+const rates = [
+  { currency: 'USD', date: new Date('2024-01-01T00:00:00.000Z'), rate: 5 },
+  { currency: 'USD', date: new Date('2024-02-01T00:00:00.000Z'), rate: 4 },
+  { currency: 'EUR', date: new Date('2024-01-01T00:00:00.000Z'), rate: 6 },
+];
+
+describe('currencyUtils', () => {
+  test('normalizes and validates currency codes', () => {
+    expect(BASE_CURRENCY).toBe('BRL');
+    expect(normalizeCurrencyCode(' usd ')).toBe('USD');
+    expect(normalizeCurrencyCode(null)).toBe('');
+    expect(isValidCurrencyCode('USD')).toBe(true);
+    expect(isValidCurrencyCode('usd')).toBe(false);
+    expect(isValidCurrencyCode('US')).toBe(false);
+  });
+
+  test('findExchangeRate uses the latest rate on or before the date', () => {
+    expect(findExchangeRate(rates, 'BRL', '2020-01-01')).toBe(1);
+    expect(findExchangeRate(rates, 'USD', '2024-01-15T12:00:00-04:00')).toBe(5);
+    expect(findExchangeRate(rates, 'USD', '2024-02-01T12:00:00-04:00')).toBe(4);
+    expect(findExchangeRate([...rates].reverse(), 'USD', '2024-03-01')).toBe(4);
+    expect(findExchangeRate(rates, 'USD', '2023-12-31')).toBeNull();
+    expect(findExchangeRate(rates, 'GBP', '2024-03-01')).toBeNull();
+  });
+
+  test('indexExchangeRates sorts the rates of each currency by day', () => {
+    const index = indexExchangeRates([
+      ...[...rates].reverse(),
+      { currency: 'USD', date: new Date('2024-01-01T12:00:00.000Z'), rate: 5.5 },
+    ]);
+
+    expect(index.get('USD')).toEqual([
+      { day: '2024-01-01', rate: 5 },
+      { day: '2024-01-01', rate: 5.5 },
+      { day: '2024-02-01', rate: 4 },
+    ]);
+    expect(index.get('EUR')).toEqual([{ day: '2024-01-01', rate: 6 }]);
+    expect(indexExchangeRates(index)).toBe(index);
+    expect(findExchangeRate(index, 'USD', '2024-01-20')).toBe(5.5);
+    expect(findExchangeRate(index, 'EUR', '2023-12-31')).toBeNull();
+  });
+
+  test('convertAmount converts through BRL', () => {
+    expect(convertAmount(10, 'USD', 'USD', '2024-01-10', rates)).toBe(10);
+    expect(convertAmount(10, 'USD', 'BRL', '2024-01-10', rates)).toBe(50);
+    expect(convertAmount(50, 'BRL', 'USD', '2024-01-10', rates)).toBe(10);
+    expect(convertAmount(12, 'EUR', 'USD', '2024-01-10', rates)).toBeCloseTo(14.4);
+    expect(convertAmount(10, 'USD', 'BRL', '2023-01-10', rates)).toBeNull();
+    expect(convertAmount(10, 'USD', 'BRL', '2024-01-10')).toBeNull();
+  });
+
+  test('transactionAmount prefers the original amount in its own currency', () => {
+    const transaction = {
+      transactionDate: '2024-01-10',
+      transactionValue: '52,00',
+      originalCurrency: 'usd',
+      originalValue: '10,00',
+    };
+
+    expect(transactionAmount(transaction, 'USD', rates)).toBe(10);
+    expect(transactionAmount(transaction, 'BRL', rates)).toBe(52);
+    expect(transactionAmount(transaction, 'EUR', rates)).toBeCloseTo(8.67);
+  });
+
+  test('transactionAmount converts the original amount without a BRL value', () => {
+    const transaction = {
+      transactionDate: '2024-01-10',
+      originalCurrency: 'USD',
+      originalValue: '10,00',
+    };
+
+    expect(transactionAmount(transaction, 'BRL', rates)).toBe(50);
+    expect(
+      transactionAmount({ transactionDate: '2024-01-10' }, 'BRL', rates)
+    ).toBe(0);
+  });
+
+  test('summarizeTransactions totals in the reporting currency', () => {
+    const transactions = [
+      {
+        transactionDate: '2024-01-10',
+        transactionType: 'credit',
+        transactionValue: '100,00',
+      },
+      {
+        transactionDate: '2024-02-10',
+        transactionType: 'debit',
+        transactionValue: '20,00',
+      },
+      {
+        transactionDate: '2023-02-10',
+        transactionType: 'debit',
+        transactionValue: '20,00',
+      },
+    ];
+
+    expect(summarizeTransactions(transactions, { currency: 'USD', rates })).toEqual(
+      {
+        currency: 'USD',
+        transactionCount: 3,
+        totalIncome: 20,
+        totalExpenses: 5,
+        netAmount: 15,
+        unconvertedCount: 1,
+      }
+    );
+    expect(summarizeTransactions(transactions)).toEqual({
+      currency: 'BRL',
+      transactionCount: 3,
+      totalIncome: 100,
+      totalExpenses: 40,
+      netAmount: 60,
+      unconvertedCount: 0,
+    });
+    expect(summarizeTransactions().transactionCount).toBe(0);
+  });
+
+  test('summarizeTransactions counts transfers without adding them to totals', () => {
+    expect(
+      summarizeTransactions([
+        { transactionType: 'debit', transactionValue: '30,00' },
+        {
+          transactionType: 'debit',
+          transactionValue: '500,00',
+          transferPairId: 'c1',
+        },
+        {
+          transactionType: 'credit',
+          transactionValue: '500,00',
+          transferPairId: 'd1',
+        },
+      ])
+    ).toEqual({
+      currency: 'BRL',
+      transactionCount: 3,
+      totalIncome: 0,
+      totalExpenses: 30,
+      netAmount: -30,
+      unconvertedCount: 0,
+    });
+  });
+
+  test('summarizeTransactions subtracts refunds from expenses', () => {
+    expect(
+      summarizeTransactions([
+        { transactionType: 'debit', transactionValue: '100,00' },
+        {
+          transactionType: 'credit',
+          transactionValue: '25,00',
+          refundOfId: 'd1',
+        },
+        { transactionType: 'credit', transactionValue: '10,00' },
+      ])
+    ).toEqual({
+      currency: 'BRL',
+      transactionCount: 3,
+      totalIncome: 10,
+      totalExpenses: 75,
+      netAmount: -65,
+      unconvertedCount: 0,
+    });
+  });
+});
@@ -73,20 +73,101 @@ export function parseMonetaryValue(value) {
   return parseFloat(normalized.replace(',', '.')) || 0;
 }
 
+const CURRENCY_SYMBOLS = {
+  BRL: 'R$',
+  USD: 'US$',
+  EUR: '€',
+  GBP: '£',
+};
+
 /**
  * Format monetary value for display
  * 
  * @param {string|number} value - The monetary value to format
- * @param {boolean} includeSymbol - Whether to include R$ symbol
+ * @param {boolean} includeSymbol - Whether to include the currency symbol
+ * @param {string} currency - ISO 4217 currency code (default BRL); unknown codes are shown as is
  * @returns {string} Formatted value like "R$ 1.500,00"
  */
-export function formatMonetaryDisplay(value, includeSymbol = true) {
+export function formatMonetaryDisplay(value, includeSymbol = true, currency = 'BRL') {
   const numValue = parseMonetaryValue(value);
   
   // Format with thousand separators
   const parts = numValue.toFixed(2).split('.');
   const intPart = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, '.');
   const formatted = `${intPart},${parts[1]}`;
+  const symbol = CURRENCY_SYMBOLS[currency] || currency;
   
-  return includeSymbol ? `R$ ${formatted}` : formatted;
+  return includeSymbol ? `${symbol} ${formatted}` : formatted;
+}
+
+/**
+ * Check whether a raw monetary value carries a negative sign
+ * Statement files encode debits/credits through the sign, which
+ * normalizeMonetaryValue discards, so importers check it beforehand.
+ * Accepts "-10,00", "R$ -10,00", "(10,00)" and negative numbers.
+ *
+ * @param {string|number} value - The raw monetary value
+ * @returns {boolean} True if the value is negative
+ */
+export function isNegativeMonetaryValue(value) {
+  if (typeof value === 'number') {
+    return value < 0;
+  }
+
+  if (value === null || value === undefined) {
+    return false;
+  }
+
+  const strValue = String(value).trim();
+  return /^(R\$\s*)?-/.test(strValue) || /^-\s*R\$/.test(strValue) || /^\(.*\)$/.test(strValue);
+}
+
+/**
+ * Convert a monetary value to integer cents, keeping its sign
+ * Strings are legacy monetary text ("1500,00", "-1.500,00", "R$ 10,50");
+ * numbers are already cents and are only rounded, so stored values can be
+ * written back unchanged.
+ *
+ * @param {string|number} value - Monetary text or cents
+ * @returns {number|undefined} Cents, undefined when empty, NaN when unparseable
+ */
+export function toMonetaryCents(value) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+
+  if (typeof value === 'number') {
+    return Math.round(value);
+  }
+
+  const strValue = String(value).trim();
+  if (strValue === '') {
+    return undefined;
+  }
+
+  const magnitude = strValue.replace(/[R$\s()+-]/g, '');
+  if (!/^[\d.,]*\d[\d.,]*$/.test(magnitude)) {
+    return NaN;
+  }
+
+  const cents = Math.round(parseMonetaryValue(magnitude) * 100);
+  return isNegativeMonetaryValue(strValue) && cents !== 0 ? -cents : cents;
+}
+
+/**
+ * Format integer cents as legacy monetary text
+ *
+ * @param {number} cents - Value in cents
+ * @returns {string|*} Value like "1500,00" or "-10,50"; non-numbers are returned as is
+ */
+export function formatMonetaryCents(cents) {
+  if (typeof cents !== 'number' || Number.isNaN(cents)) {
+    return cents;
+  }
+
+  const absolute = Math.abs(Math.round(cents));
+  const sign = cents < 0 && absolute !== 0 ? '-' : '';
+  const units = Math.floor(absolute / 100);
+  const decimals = String(absolute % 100).padStart(2, '0');
+  return `${sign}${units},${decimals}`;
 }
@@ -2,6 +2,9 @@ import {
   normalizeMonetaryValue,
   parseMonetaryValue,
   formatMonetaryDisplay,
+  isNegativeMonetaryValue,
+  toMonetaryCents,
+  formatMonetaryCents,
 } from './monetaryUtils.js';
 
 describe('monetaryUtils', () => {
@@ -85,5 +88,76 @@ describe('monetaryUtils', () => {
     test('should handle large numbers', () => {
       expect(formatMonetaryDisplay(1000000.00)).toBe('R$ 1.000.000,00');
     });
+
+    test('should use the symbol of the currency', () => {
+      expect(formatMonetaryDisplay(10.5, true, 'USD')).toBe('US$ 10,50');
+      expect(formatMonetaryDisplay(10.5, true, 'EUR')).toBe('€ 10,50');
+      expect(formatMonetaryDisplay(10.5, true, 'JPY')).toBe('JPY 10,50');
+    });
+  });
+
+  describe('isNegativeMonetaryValue', () => {
+    test('should detect negative numbers and strings', () => {
+      expect(isNegativeMonetaryValue(-10)).toBe(true);
+      expect(isNegativeMonetaryValue('-10,00')).toBe(true);
+      expect(isNegativeMonetaryValue('R$ -1.500,00')).toBe(true);
+      expect(isNegativeMonetaryValue('-R$ 1.500,00')).toBe(true);
+      expect(isNegativeMonetaryValue('(25.00)')).toBe(true);
+    });
+
+    test('should return false for positive or empty values', () => {
+      expect(isNegativeMonetaryValue(10)).toBe(false);
+      expect(isNegativeMonetaryValue('10,00')).toBe(false);
+      expect(isNegativeMonetaryValue('R$ 10,00')).toBe(false);
+      expect(isNegativeMonetaryValue(null)).toBe(false);
+      expect(isNegativeMonetaryValue(undefined)).toBe(false);
+    });
+  });
+
+  describe('toMonetaryCents', () => {
+    test('converts monetary text to signed cents', () => {
+      expect(toMonetaryCents('1500,00')).toBe(150000);
+      expect(toMonetaryCents('1.500,29')).toBe(150029);
+      expect(toMonetaryCents('1,500.29')).toBe(150029);
+      expect(toMonetaryCents('R$ 10,50')).toBe(1050);
+      expect(toMonetaryCents('-10,50')).toBe(-1050);
+      expect(toMonetaryCents('(10,50)')).toBe(-1050);
+      expect(toMonetaryCents('-0,00')).toBe(0);
+    });
+
+    test('keeps numbers as cents', () => {
+      expect(toMonetaryCents(150000)).toBe(150000);
+      expect(toMonetaryCents(-1050.4)).toBe(-1050);
+    });
+
+    test('returns undefined for empty and NaN for unparseable values', () => {
+      expect(toMonetaryCents(undefined)).toBeUndefined();
+      expect(toMonetaryCents(null)).toBeUndefined();
+      expect(toMonetaryCents('  ')).toBeUndefined();
+      expect(toMonetaryCents('abc')).toBeNaN();
+      expect(toMonetaryCents('R$')).toBeNaN();
+    });
+  });
+
+  describe('formatMonetaryCents', () => {
+    test('formats cents as legacy monetary text', () => {
+      expect(formatMonetaryCents(150000)).toBe('1500,00');
+      expect(formatMonetaryCents(5)).toBe('0,05');
+      expect(formatMonetaryCents(-1050)).toBe('-10,50');
+      expect(formatMonetaryCents(0)).toBe('0,00');
+      expect(formatMonetaryCents(-0.2)).toBe('0,00');
+    });
+
+    test('round-trips with toMonetaryCents', () => {
+      ['0,01', '1500,29', '-99,90'].forEach((value) => {
+        expect(formatMonetaryCents(toMonetaryCents(value))).toBe(value);
+      });
+    });
+
+    test('returns non-numbers as is', () => {
+      expect(formatMonetaryCents(undefined)).toBeUndefined();
+      expect(formatMonetaryCents('10,00')).toBe('10,00');
+      expect(formatMonetaryCents(NaN)).toBeNaN();
+    });
   });
 });
@@ -0,0 +1,95 @@
+import { parseDateByFormat } from '../date/index.js';
+import { toMonetaryCents } from '../monetary/monetaryUtils.js';
+import {
+  isValidCurrencyCode,
+  normalizeCurrencyCode,
+} from '../monetary/currencyUtils.js';
+
+export const ACCOUNT_TYPES = ['checking', 'credit', 'benefit', 'investment'];
+
+const isDefined = (value) =>
+  value !== undefined && value !== null && value !== '';
+
+/**
+ * Parse an account date
+ * Accepts Date objects, "YYYY-MM-DD" and "DD/MM/YYYY" strings.
+ * @param {Date|string} value - Date
+ * @param {string} timeString - Time of day (HH:mm:ss) of parsed strings
+ * @returns {Date|null} Parsed date or null when invalid
+ */
+export function parseAccountDate(value, timeString = '00:00:00') {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+  if (!isDefined(value)) {
+    return null;
+  }
+  return (
+    parseDateByFormat(String(value), 'YYYY-MM-DD', timeString) ||
+    parseDateByFormat(String(value), 'DD/MM/YYYY', timeString)
+  );
+}
+
+/**
+ * Validates account data
+ * @param {Object} accountData - Account data to validate
+ * @returns {Object} Validation result with errors if any
+ */
+export function validateAccountData(accountData) {
+  const errors = [];
+
+  if (!isDefined(accountData.accountName)) {
+    errors.push('Account name is required');
+  }
+
+  if (
+    isDefined(accountData.accountType) &&
+    !ACCOUNT_TYPES.includes(accountData.accountType)
+  ) {
+    errors.push(`Account type must be one of ${ACCOUNT_TYPES.join(', ')}`);
+  }
+
+  if (
+    isDefined(accountData.openingBalance) &&
+    Number.isNaN(toMonetaryCents(accountData.openingBalance))
+  ) {
+    errors.push('Opening balance must be a monetary value');
+  }
+
+  if (
+    isDefined(accountData.openingDate) &&
+    !parseAccountDate(accountData.openingDate)
+  ) {
+    errors.push('Opening date must use the YYYY-MM-DD or DD/MM/YYYY format');
+  }
+
+  [
+    ['closingDay', 'Closing day'],
+    ['dueDay', 'Due day'],
+  ].forEach(([field, label]) => {
+    const day = Number(accountData[field]);
+    if (
+      isDefined(accountData[field]) &&
+      !(Number.isInteger(day) && day >= 1 && day <= 31)
+    ) {
+      errors.push(`${label} must be an integer from 1 to 31`);
+    }
+  });
+
+  if (
+    isDefined(accountData.currency) &&
+    !isValidCurrencyCode(normalizeCurrencyCode(accountData.currency))
+  ) {
+    errors.push('Currency must be an ISO 4217 code such as USD');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+export default {
+  parseAccountDate,
+  validateAccountData,
+};
@@ -0,0 +1,59 @@
+import validator, {
+  ACCOUNT_TYPES,
+  parseAccountDate,
+  validateAccountData,
+} from './accountValidator.js';
+
+describe('accountValidator', () => {
+  test('parseAccountDate accepts dates and both date formats', () => {
+    const date = new Date('2024-01-10T00:00:00-04:00');
+
+    expect(parseAccountDate(date)).toBe(date);
+    expect(parseAccountDate('2024-01-10')).toEqual(date);
+    expect(parseAccountDate('10/01/2024')).toEqual(date);
+    expect(parseAccountDate('2024-01-10', '23:59:59')).toEqual(
+      new Date('2024-01-10T23:59:59-04:00')
+    );
+    expect(parseAccountDate(new Date('invalid'))).toBeNull();
+    expect(parseAccountDate('')).toBeNull();
+    expect(parseAccountDate('Jan 10')).toBeNull();
+  });
+
+  test('accepts complete and minimal accounts', () => {
+    expect(
+      validateAccountData({
+        accountName: 'Nubank',
+        accountType: 'credit',
+        openingBalance: '1.500,00',
+        openingDate: '2024-01-01',
+        currency: 'usd',
+        closingDay: 3,
+        dueDay: '10',
+      })
+    ).toEqual({ isValid: true, errors: [] });
+    expect(validateAccountData({ accountName: 'Wallet' }).isValid).toBe(true);
+    expect(ACCOUNT_TYPES).toContain('investment');
+    expect(validator.validateAccountData).toBe(validateAccountData);
+  });
+
+  test('reports every invalid field', () => {
+    expect(
+      validateAccountData({
+        accountType: 'savings',
+        openingBalance: 'lots',
+        openingDate: '2024/01/01',
+        currency: 'real',
+        closingDay: 0,
+        dueDay: 'tenth',
+      }).errors
+    ).toEqual([
+      'Account name is required',
+      'Account type must be one of checking, credit, benefit, investment',
+      'Opening balance must be a monetary value',
+      'Opening date must use the YYYY-MM-DD or DD/MM/YYYY format',
+      'Closing day must be an integer from 1 to 31',
+      'Due day must be an integer from 1 to 31',
+      'Currency must be an ISO 4217 code such as USD',
+    ]);
+  });
+});
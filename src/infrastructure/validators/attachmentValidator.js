@@ -0,0 +1,32 @@
+// Largest attachment accepted, in bytes
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Validates an attachment upload
+ * @param {Object} upload - Upload data
+ * @param {string} upload.fileName - File name
+ * @param {Buffer} upload.content - File content
+ * @param {number} maxBytes - Largest content accepted
+ * @returns {Object} Validation result with errors if any
+ */
+export function validateAttachment(upload = {}, maxBytes = MAX_ATTACHMENT_BYTES) {
+  const errors = [];
+
+  if (typeof upload.fileName !== 'string' || upload.fileName.trim() === '') {
+    errors.push('fileName is required');
+  }
+  if (!Buffer.isBuffer(upload.content) || upload.content.length === 0) {
+    errors.push('content is required');
+  } else if (upload.content.length > maxBytes) {
+    errors.push(`content exceeds the limit of ${maxBytes} bytes`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+export default {
+  validateAttachment,
+};
@@ -0,0 +1,34 @@
+import attachmentValidator, {
+  MAX_ATTACHMENT_BYTES,
+  validateAttachment,
+} from './attachmentValidator.js';
+
+describe('attachmentValidator', () => {
+  test('accepts a named, non-empty content within the limit', () => {
+    expect(
+      validateAttachment({ fileName: 'recibo.pdf', content: Buffer.from('x') })
+    ).toEqual({ isValid: true, errors: [] });
+    expect(MAX_ATTACHMENT_BYTES).toBe(10 * 1024 * 1024);
+    expect(attachmentValidator.validateAttachment).toBe(validateAttachment);
+  });
+
+  test('reports missing names and contents', () => {
+    expect(validateAttachment()).toEqual({
+      isValid: false,
+      errors: ['fileName is required', 'content is required'],
+    });
+    expect(
+      validateAttachment({ fileName: ' ', content: Buffer.alloc(0) }).errors
+    ).toEqual(['fileName is required', 'content is required']);
+    expect(
+      validateAttachment({ fileName: 'a.pdf', content: 'text' }).errors
+    ).toEqual(['content is required']);
+  });
+
+  test('rejects contents over the limit', () => {
+    expect(
+      validateAttachment({ fileName: 'a.pdf', content: Buffer.alloc(5) }, 4)
+        .errors
+    ).toEqual(['content exceeds the limit of 4 bytes']);
+  });
+});
@@ -0,0 +1,53 @@
+import { parseMonetaryValue } from '../monetary/monetaryUtils.js';
+import { isValidPeriod } from './periodValidator.js';
+
+const isDefined = (value) =>
+  value !== undefined && value !== null && value !== '';
+
+/**
+ * Validates budget data
+ * @param {Object} budgetData - Budget data to validate
+ * @returns {Object} Validation result with errors if any
+ */
+export function validateBudgetData(budgetData) {
+  const errors = [];
+
+  if (!budgetData.category) {
+    errors.push('Budget category is required');
+  }
+
+  if (!isDefined(budgetData.limit)) {
+    errors.push('Budget limit is required');
+  } else if (!(parseMonetaryValue(budgetData.limit) > 0)) {
+    errors.push('Budget limit must be a positive monetary value');
+  }
+
+  const recurrence = budgetData.recurrence || 'monthly';
+  if (!['monthly', 'once'].includes(recurrence)) {
+    errors.push('Invalid budget recurrence');
+  }
+
+  if (recurrence === 'once' && !isDefined(budgetData.period)) {
+    errors.push('One-off budgets require a period');
+  }
+
+  if (isDefined(budgetData.period) && !isValidPeriod(budgetData.period)) {
+    errors.push('Budget period must use the YYYY-MM format');
+  }
+
+  if (
+    isDefined(budgetData.alertThreshold) &&
+    !(Number(budgetData.alertThreshold) > 0)
+  ) {
+    errors.push('Alert threshold must be a positive number');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+export default {
+  validateBudgetData,
+};
@@ -0,0 +1,57 @@
+import validator, {
+  validateBudgetData,
+} from './budgetValidator.js';
+
+describe('budgetValidator', () => {
+  const validBudget = { category: 'c1', limit: '800,00' };
+
+  test('accepts valid budgets', () => {
+    expect(validateBudgetData(validBudget)).toEqual({
+      isValid: true,
+      errors: [],
+    });
+    expect(
+      validateBudgetData({
+        ...validBudget,
+        limit: 1200.5,
+        recurrence: 'once',
+        period: '2024-03',
+        alertThreshold: 90,
+      }).isValid
+    ).toBe(true);
+    expect(validator.validateBudgetData).toBe(validateBudgetData);
+  });
+
+  test('requires category and a positive limit', () => {
+    expect(validateBudgetData({}).errors).toEqual([
+      'Budget category is required',
+      'Budget limit is required',
+    ]);
+    expect(validateBudgetData({ ...validBudget, limit: 'abc' }).errors).toEqual(
+      ['Budget limit must be a positive monetary value']
+    );
+  });
+
+  test('validates recurrence, period and alert threshold', () => {
+    expect(
+      validateBudgetData({ ...validBudget, recurrence: 'weekly' }).errors
+    ).toEqual(['Invalid budget recurrence']);
+    expect(
+      validateBudgetData({ ...validBudget, recurrence: 'once' }).errors
+    ).toEqual(['One-off budgets require a period']);
+    expect(
+      validateBudgetData({
+        ...validBudget,
+        period: '2024-13',
+        alertThreshold: 'x',
+      }).errors
+    ).toEqual([
+      'Budget period must use the YYYY-MM format',
+      'Alert threshold must be a positive number',
+    ]);
+  });
+
+  test('default export exposes validateBudgetData', () => {
+    expect(validator.validateBudgetData).toBe(validateBudgetData);
+  });
+});
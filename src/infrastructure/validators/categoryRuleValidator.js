@@ -0,0 +1,76 @@
+const CONDITION_FIELDS = [
+  'descriptionPattern',
+  'companyCnpj',
+  'minValue',
+  'maxValue',
+  'transactionSource',
+  'paymentMethod',
+  'transactionType',
+];
+
+const isDefined = (value) =>
+  value !== undefined && value !== null && value !== '';
+
+/**
+ * Validates category rule data
+ * @param {Object} ruleData - Category rule data to validate
+ * @returns {Object} Validation result with errors if any
+ */
+export function validateCategoryRuleData(ruleData) {
+  const errors = [];
+
+  if (!ruleData.name) {
+    errors.push('Rule name is required');
+  }
+
+  if (!ruleData.category) {
+    errors.push('Rule category is required');
+  }
+
+  const conditions = ruleData.conditions || {};
+  if (!CONDITION_FIELDS.some((field) => isDefined(conditions[field]))) {
+    errors.push('At least one condition is required');
+  }
+
+  if (isDefined(conditions.descriptionPattern)) {
+    try {
+      new RegExp(conditions.descriptionPattern, 'i');
+    } catch (error) {
+      errors.push('Description pattern must be a valid regular expression');
+    }
+  }
+
+  ['minValue', 'maxValue'].forEach((field) => {
+    if (isDefined(conditions[field]) && isNaN(Number(conditions[field]))) {
+      errors.push(`${field} must be a number`);
+    }
+  });
+
+  if (
+    isDefined(conditions.minValue) &&
+    isDefined(conditions.maxValue) &&
+    Number(conditions.minValue) > Number(conditions.maxValue)
+  ) {
+    errors.push('minValue must not be greater than maxValue');
+  }
+
+  if (
+    isDefined(conditions.transactionType) &&
+    !['credit', 'debit'].includes(conditions.transactionType)
+  ) {
+    errors.push('Invalid transaction type');
+  }
+
+  if (isDefined(ruleData.priority) && isNaN(Number(ruleData.priority))) {
+    errors.push('Priority must be a number');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+export default {
+  validateCategoryRuleData,
+};
@@ -0,0 +1,61 @@
+import validator, { validateCategoryRuleData } from './categoryRuleValidator.js';
+
+describe('categoryRuleValidator', () => {
+  const validRule = {
+    name: 'Mercado',
+    category: 'c1',
+    conditions: { descriptionPattern: 'mercado|supermercado' },
+    priority: 5,
+  };
+
+  test('accepts valid rules', () => {
+    expect(validateCategoryRuleData(validRule)).toEqual({
+      isValid: true,
+      errors: [],
+    });
+    expect(validator.validateCategoryRuleData).toBe(validateCategoryRuleData);
+  });
+
+  test('requires name, category and a condition', () => {
+    const result = validateCategoryRuleData({ conditions: { companyCnpj: '' } });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      'Rule name is required',
+      'Rule category is required',
+      'At least one condition is required',
+    ]);
+    expect(validateCategoryRuleData({}).errors).toContain(
+      'At least one condition is required'
+    );
+  });
+
+  test('validates pattern, value range, type and priority', () => {
+    const result = validateCategoryRuleData({
+      ...validRule,
+      conditions: {
+        descriptionPattern: '([',
+        minValue: 'abc',
+        maxValue: 10,
+        transactionType: 'transfer',
+      },
+      priority: 'high',
+    });
+
+    expect(result.errors).toEqual([
+      'Description pattern must be a valid regular expression',
+      'minValue must be a number',
+      'Invalid transaction type',
+      'Priority must be a number',
+    ]);
+  });
+
+  test('rejects inverted value ranges', () => {
+    const result = validateCategoryRuleData({
+      ...validRule,
+      conditions: { minValue: 100, maxValue: 10 },
+    });
+
+    expect(result.errors).toEqual(['minValue must not be greater than maxValue']);
+  });
+});
@@ -0,0 +1,81 @@
+import { parseDateByFormat } from '../date/index.js';
+import {
+  isValidCurrencyCode,
+  normalizeCurrencyCode,
+} from '../monetary/currencyUtils.js';
+
+const isDefined = (value) =>
+  value !== undefined && value !== null && value !== '';
+
+/**
+ * Parse the date of an exchange rate
+ * Accepts Date objects, "YYYY-MM-DD" and "DD/MM/YYYY" strings.
+ * @param {Date|string} value - Rate date
+ * @returns {Date|null} Midnight (UTC) of the day, or null when invalid
+ */
+export function parseExchangeRateDate(value) {
+  let date = null;
+  if (value instanceof Date) {
+    date = Number.isNaN(value.getTime()) ? null : value;
+  } else if (isDefined(value)) {
+    date =
+      parseDateByFormat(String(value), 'YYYY-MM-DD') ||
+      parseDateByFormat(String(value), 'DD/MM/YYYY');
+  }
+
+  return date ? new Date(`${date.toISOString().slice(0, 10)}T00:00:00.000Z`) : null;
+}
+
+/**
+ * Parse the rate of an exchange rate
+ * Accepts numbers and strings with a comma or period decimal separator.
+ * @param {number|string} value - Rate
+ * @returns {number} Rate, NaN when invalid
+ */
+export function parseExchangeRateValue(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (!isDefined(value) || !/^\d+([.,]\d+)?$/.test(String(value).trim())) {
+    return NaN;
+  }
+  return Number(String(value).trim().replace(',', '.'));
+}
+
+/**
+ * Validates exchange rate data
+ * @param {Object} rateData - Exchange rate data to validate
+ * @returns {Object} Validation result with errors if any
+ */
+export function validateExchangeRateData(rateData) {
+  const errors = [];
+
+  if (!isDefined(rateData.currency)) {
+    errors.push('Currency is required');
+  } else if (!isValidCurrencyCode(normalizeCurrencyCode(rateData.currency))) {
+    errors.push('Currency must be an ISO 4217 code such as USD');
+  }
+
+  if (!isDefined(rateData.date)) {
+    errors.push('Date is required');
+  } else if (!parseExchangeRateDate(rateData.date)) {
+    errors.push('Date must use the YYYY-MM-DD or DD/MM/YYYY format');
+  }
+
+  if (!isDefined(rateData.rate)) {
+    errors.push('Rate is required');
+  } else if (!(parseExchangeRateValue(rateData.rate) > 0)) {
+    errors.push('Rate must be a positive number');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+export default {
+  parseExchangeRateDate,
+  parseExchangeRateValue,
+  validateExchangeRateData,
+};
@@ -0,0 +1,54 @@
+import validator, {
+  parseExchangeRateDate,
+  parseExchangeRateValue,
+  validateExchangeRateData,
+} from './exchangeRateValidator.js';
+
+describe('exchangeRateValidator', () => {
+  test('parseExchangeRateDate accepts ISO and Brazilian dates', () => {
+    const expected = new Date('2024-01-31T00:00:00.000Z');
+
+    expect(parseExchangeRateDate('2024-01-31')).toEqual(expected);
+    expect(parseExchangeRateDate('31/01/2024')).toEqual(expected);
+    expect(parseExchangeRateDate(new Date('2024-01-31T15:00:00.000Z'))).toEqual(
+      expected
+    );
+    expect(parseExchangeRateDate('31/02/2024')).toBeNull();
+    expect(parseExchangeRateDate(new Date('invalid'))).toBeNull();
+    expect(parseExchangeRateDate('')).toBeNull();
+  });
+
+  test('parseExchangeRateValue accepts comma and period decimals', () => {
+    expect(parseExchangeRateValue('4,9512')).toBe(4.9512);
+    expect(parseExchangeRateValue(' 5.1 ')).toBe(5.1);
+    expect(parseExchangeRateValue(5)).toBe(5);
+    expect(parseExchangeRateValue('1.234,5')).toBeNaN();
+    expect(parseExchangeRateValue(null)).toBeNaN();
+  });
+
+  test('accepts valid exchange rates', () => {
+    expect(
+      validateExchangeRateData({ currency: 'usd', date: '2024-01-31', rate: '4,95' })
+    ).toEqual({ isValid: true, errors: [] });
+    expect(validator.validateExchangeRateData).toBe(validateExchangeRateData);
+  });
+
+  test('requires currency, date and rate', () => {
+    expect(validateExchangeRateData({}).errors).toEqual([
+      'Currency is required',
+      'Date is required',
+      'Rate is required',
+    ]);
+  });
+
+  test('rejects invalid currency, date and rate', () => {
+    expect(
+      validateExchangeRateData({ currency: 'dollar', date: '2024/13/01', rate: '0' })
+        .errors
+    ).toEqual([
+      'Currency must be an ISO 4217 code such as USD',
+      'Date must use the YYYY-MM-DD or DD/MM/YYYY format',
+      'Rate must be a positive number',
+    ]);
+  });
+});
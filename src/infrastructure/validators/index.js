@@ -1,5 +1,5 @@
 /**
- * Brazilian CNPJ and CPF validation utilities
+ * Brazilian CNPJ, CPF and fiscal document access key validation utilities
  * Contains proper validation algorithms for Brazilian business and personal identifiers
  */
 
@@ -157,6 +157,155 @@ export function formatCPF(cpf) {
   return cleanCpf.replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4');
 }
 
+// IBGE state codes (cUF) used in access keys
+export const ACCESS_KEY_STATES = {
+  11: 'RO',
+  12: 'AC',
+  13: 'AM',
+  14: 'RR',
+  15: 'PA',
+  16: 'AP',
+  17: 'TO',
+  21: 'MA',
+  22: 'PI',
+  23: 'CE',
+  24: 'RN',
+  25: 'PB',
+  26: 'PE',
+  27: 'AL',
+  28: 'SE',
+  29: 'BA',
+  31: 'MG',
+  32: 'ES',
+  33: 'RJ',
+  35: 'SP',
+  41: 'PR',
+  42: 'SC',
+  43: 'RS',
+  50: 'MS',
+  51: 'MT',
+  52: 'GO',
+  53: 'DF',
+};
+
+// Fiscal document models sharing the 44-digit access key layout
+export const ACCESS_KEY_MODELS = {
+  55: 'NF-e',
+  57: 'CT-e',
+  65: 'NFC-e',
+  67: 'CT-e OS',
+};
+
+/**
+ * Calculates the mod-11 check digit of an access key
+ * @param {string} key - First 43 digits of the access key
+ * @returns {number} - Check digit (0 when the remainder is 0 or 1)
+ */
+export function accessKeyCheckDigit(key) {
+  let sum = 0;
+  let weight = 2;
+
+  for (let i = key.length - 1; i >= 0; i--) {
+    sum += parseInt(key.charAt(i)) * weight;
+    weight = weight === 9 ? 2 : weight + 1;
+  }
+
+  const remainder = sum % 11;
+  return remainder < 2 ? 0 : 11 - remainder;
+}
+
+/**
+ * Decodes the 44-digit access key of an NF-e, NFC-e or CT-e
+ * Layout: cUF(2) AAMM(4) CNPJ(14) mod(2) serie(3) nNF(9) tpEmis(1) cNF(8) cDV(1).
+ * Issuers without CNPJ (rural producers) fill the CNPJ field with
+ * "000" followed by their CPF.
+ * @param {string} key - Access key, digits only or grouped
+ * @returns {object|null} - Key parts, or null when it does not have 44 digits
+ */
+export function decodeAccessKey(key) {
+  const accessKey = String(key || '').replace(/[^\d]/g, '');
+  if (accessKey.length !== 44) return null;
+
+  const stateCode = accessKey.slice(0, 2);
+  const year = 2000 + Number(accessKey.slice(2, 4));
+  const month = Number(accessKey.slice(4, 6));
+  const issuer = accessKey.slice(6, 20);
+  const model = accessKey.slice(20, 22);
+  const issuerCpf =
+    issuer.startsWith('000') && !isValidCNPJ(issuer) && isValidCPF(issuer.slice(3))
+      ? formatCPF(issuer.slice(3))
+      : undefined;
+
+  return {
+    accessKey,
+    stateCode,
+    state: ACCESS_KEY_STATES[stateCode],
+    year,
+    month,
+    period: `${year}-${accessKey.slice(4, 6)}`,
+    issuerCnpj: issuerCpf ? undefined : formatCNPJ(issuer),
+    issuerCpf,
+    model,
+    modelName: ACCESS_KEY_MODELS[model],
+    series: Number(accessKey.slice(22, 25)),
+    number: Number(accessKey.slice(25, 34)),
+    emissionType: accessKey.slice(34, 35),
+    numericCode: accessKey.slice(35, 43),
+    checkDigit: Number(accessKey.charAt(43)),
+  };
+}
+
+/**
+ * Validates the access key of an NF-e, NFC-e or CT-e
+ * Checks the length, state, emission month, issuer document, model and
+ * the mod-11 check digit.
+ * @param {string} key - Access key, digits only or grouped
+ * @returns {object} - Validation result with errors and the decoded key if any
+ */
+export function validateAccessKey(key) {
+  const decoded = decodeAccessKey(key);
+  if (!decoded) {
+    return {
+      isValid: false,
+      errors: ['Access key must have 44 digits'],
+      decoded: null,
+    };
+  }
+
+  const errors = [];
+  if (!decoded.state) {
+    errors.push(`Unknown state code ${decoded.stateCode}`);
+  }
+  if (decoded.month < 1 || decoded.month > 12) {
+    errors.push(`Invalid emission month ${decoded.period}`);
+  }
+  if (!decoded.issuerCpf && !isValidCNPJ(decoded.issuerCnpj)) {
+    errors.push(`Invalid issuer CNPJ ${decoded.issuerCnpj}`);
+  }
+  if (!decoded.modelName) {
+    errors.push(`Unknown document model ${decoded.model}`);
+  }
+  const checkDigit = accessKeyCheckDigit(decoded.accessKey.slice(0, 43));
+  if (decoded.checkDigit !== checkDigit) {
+    errors.push(`Invalid check digit: expected ${checkDigit}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    decoded,
+  };
+}
+
+/**
+ * Validates the access key of an NF-e, NFC-e or CT-e
+ * @param {string} key - Access key to validate
+ * @returns {boolean} - True if the access key is valid
+ */
+export function isValidAccessKey(key) {
+  return validateAccessKey(key).isValid;
+}
+
 // Default export with all validation functions
 export default {
   isValidCNPJ,
@@ -164,4 +313,8 @@ export default {
   identifyDocumentType,
   formatCNPJ,
   formatCPF,
+  accessKeyCheckDigit,
+  decodeAccessKey,
+  validateAccessKey,
+  isValidAccessKey,
 };
@@ -4,6 +4,10 @@ import validators, {
   identifyDocumentType,
   formatCNPJ,
   formatCPF,
+  accessKeyCheckDigit,
+  decodeAccessKey,
+  validateAccessKey,
+  isValidAccessKey,
 } from './index.js';
 
 describe('document validators', () => {
@@ -148,5 +152,89 @@ describe('document validators', () => {
     expect(validators.identifyDocumentType).toBe(identifyDocumentType);
     expect(validators.formatCNPJ).toBe(formatCNPJ);
     expect(validators.formatCPF).toBe(formatCPF);
+    expect(validators.accessKeyCheckDigit).toBe(accessKeyCheckDigit);
+    expect(validators.decodeAccessKey).toBe(decodeAccessKey);
+    expect(validators.validateAccessKey).toBe(validateAccessKey);
+    expect(validators.isValidAccessKey).toBe(isValidAccessKey);
+  });
+
+  describe('access keys', () => {
+    const accessKey = '35240311222333000181650010000012341000012349';
+    const withCheckDigit = (base) => `${base}${accessKeyCheckDigit(base)}`;
+
+    test('accessKeyCheckDigit follows the mod-11 rule', () => {
+      // example key of the NF-e integration manual
+      expect(
+        accessKeyCheckDigit('5206043300991100250655012000000780026730161')
+      ).toBe(5);
+      expect(accessKeyCheckDigit(accessKey.slice(0, 43))).toBe(9);
+      expect(accessKeyCheckDigit('0000000000000000000000000000000000000000000')).toBe(0);
+    });
+
+    test('decodeAccessKey splits the key into its parts', () => {
+      expect(decodeAccessKey(accessKey.replace(/(\d{4})/g, '$1 '))).toEqual({
+        accessKey,
+        stateCode: '35',
+        state: 'SP',
+        year: 2024,
+        month: 3,
+        period: '2024-03',
+        issuerCnpj: '11.222.333/0001-81',
+        issuerCpf: undefined,
+        model: '65',
+        modelName: 'NFC-e',
+        series: 1,
+        number: 1234,
+        emissionType: '1',
+        numericCode: '00001234',
+        checkDigit: 9,
+      });
+      expect(decodeAccessKey('123')).toBeNull();
+      expect(decodeAccessKey(undefined)).toBeNull();
+    });
+
+    test('decodeAccessKey reads the CPF of issuers without CNPJ', () => {
+      const key = withCheckDigit('5124030005299822472555001000000001100000001');
+
+      expect(decodeAccessKey(key)).toMatchObject({
+        state: 'MT',
+        issuerCnpj: undefined,
+        issuerCpf: '529.982.247-25',
+        modelName: 'NF-e',
+      });
+      expect(isValidAccessKey(key)).toBe(true);
+    });
+
+    test('validateAccessKey accepts valid keys', () => {
+      expect(validateAccessKey(accessKey)).toEqual({
+        isValid: true,
+        errors: [],
+        decoded: decodeAccessKey(accessKey),
+      });
+      expect(isValidAccessKey(accessKey)).toBe(true);
+    });
+
+    test('validateAccessKey reports each invalid part', () => {
+      expect(validateAccessKey('3524')).toEqual({
+        isValid: false,
+        errors: ['Access key must have 44 digits'],
+        decoded: null,
+      });
+      expect(
+        validateAccessKey(`${accessKey.slice(0, 43)}0`).errors
+      ).toEqual(['Invalid check digit: expected 9']);
+
+      const key = withCheckDigit('9924131122233300010099001000001234100001234');
+      expect(validateAccessKey(key).errors).toEqual([
+        'Unknown state code 99',
+        'Invalid emission month 2024-13',
+        'Invalid issuer CNPJ 11.222.333/0001-00',
+        'Unknown document model 99',
+      ]);
+      expect(isValidAccessKey(key)).toBe(false);
+      expect(
+        isValidAccessKey(withCheckDigit('3524000000000000000000550010000012341000012'))
+      ).toBe(false);
+    });
   });
 });
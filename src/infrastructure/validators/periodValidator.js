@@ -0,0 +1,18 @@
+const PERIOD_PATTERN = /^\d{4}-\d{2}$/;
+
+/**
+ * Check a YYYY-MM period
+ * @param {string} period - Period to check
+ * @returns {boolean} True for a valid year and month
+ */
+export function isValidPeriod(period) {
+  if (!PERIOD_PATTERN.test(String(period))) {
+    return false;
+  }
+  const month = Number(String(period).slice(5, 7));
+  return month >= 1 && month <= 12;
+}
+
+export default {
+  isValidPeriod,
+};
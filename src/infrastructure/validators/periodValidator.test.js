@@ -0,0 +1,14 @@
+import validator, { isValidPeriod } from './periodValidator.js';
+
+describe('periodValidator', () => {
+  test('isValidPeriod checks year and month', () => {
+    expect(isValidPeriod('2024-01')).toBe(true);
+    expect(isValidPeriod('2024-12')).toBe(true);
+    expect(isValidPeriod('2024-00')).toBe(false);
+    expect(isValidPeriod('2024-13')).toBe(false);
+    expect(isValidPeriod('2024')).toBe(false);
+    expect(isValidPeriod('2024-3')).toBe(false);
+    expect(isValidPeriod(undefined)).toBe(false);
+    expect(validator.isValidPeriod).toBe(isValidPeriod);
+  });
+});
@@ -0,0 +1,90 @@
+import { toMonetaryCents } from '../monetary/monetaryUtils.js';
+import { parseAccountDate } from './accountValidator.js';
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+const isDefined = (value) =>
+  value !== undefined && value !== null && value !== '';
+
+/**
+ * Convert a statement balance to cents
+ * Numbers are reais, like the other monetary fields of the API.
+ * @param {string|number} value - Balance ("-1.500,00" or -1500)
+ * @returns {number} Cents keeping the sign, NaN when invalid
+ */
+export function statementBalanceToCents(value) {
+  if (typeof value === 'number') {
+    return Math.round(value * 100);
+  }
+  return toMonetaryCents(value);
+}
+
+/**
+ * Validates the statement an account is reconciled against
+ * @param {Object} statementData - accountId, statementDate and statementBalance
+ * @returns {Object} Validation result with errors if any
+ */
+export function validateStatementData(statementData = {}) {
+  const errors = [];
+
+  if (!isDefined(statementData.accountId)) {
+    errors.push('Account is required');
+  } else if (!OBJECT_ID_PATTERN.test(String(statementData.accountId))) {
+    errors.push('Account must be a valid id');
+  }
+
+  if (!isDefined(statementData.statementDate)) {
+    errors.push('Statement date is required');
+  } else if (!parseAccountDate(statementData.statementDate)) {
+    errors.push('Statement date must use the YYYY-MM-DD or DD/MM/YYYY format');
+  }
+
+  if (!isDefined(statementData.statementBalance)) {
+    errors.push('Statement balance is required');
+  } else if (
+    !Number.isFinite(statementBalanceToCents(statementData.statementBalance))
+  ) {
+    errors.push('Statement balance must be a monetary value');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validates a reconciliation: the statement, who reconciles it and the
+ * optional selection of transactions
+ * @param {Object} reconciliationData - Statement data plus reconciledBy and transactionIds
+ * @returns {Object} Validation result with errors if any
+ */
+export function validateReconciliationData(reconciliationData = {}) {
+  const { errors } = validateStatementData(reconciliationData);
+
+  if (!isDefined(String(reconciliationData.reconciledBy ?? '').trim())) {
+    errors.push('reconciledBy is required');
+  }
+
+  const { transactionIds } = reconciliationData;
+  if (transactionIds !== undefined) {
+    if (!Array.isArray(transactionIds)) {
+      errors.push('transactionIds must be an array');
+    } else if (
+      transactionIds.some((id) => !OBJECT_ID_PATTERN.test(String(id)))
+    ) {
+      errors.push('transactionIds must only have valid ids');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+export default {
+  statementBalanceToCents,
+  validateStatementData,
+  validateReconciliationData,
+};
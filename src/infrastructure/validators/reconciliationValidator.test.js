@@ -0,0 +1,79 @@
+import validator, {
+  statementBalanceToCents,
+  validateReconciliationData,
+  validateStatementData,
+} from './reconciliationValidator.js';
+
+const accountId = '507f1f77bcf86cd799439011';
+const transactionId = '507f1f77bcf86cd799439012';
+
+describe('reconciliationValidator', () => {
+  test('statementBalanceToCents reads reais numbers and text', () => {
+    expect(statementBalanceToCents(1500.5)).toBe(150050);
+    expect(statementBalanceToCents('-1.500,00')).toBe(-150000);
+    expect(statementBalanceToCents('lots')).toBeNaN();
+  });
+
+  test('validateStatementData accepts a complete statement', () => {
+    expect(
+      validateStatementData({
+        accountId,
+        statementDate: '31/01/2024',
+        statementBalance: '0,00',
+      })
+    ).toEqual({ isValid: true, errors: [] });
+    expect(validator.validateStatementData).toBe(validateStatementData);
+  });
+
+  test('validateStatementData reports missing and invalid fields', () => {
+    expect(validateStatementData().errors).toEqual([
+      'Account is required',
+      'Statement date is required',
+      'Statement balance is required',
+    ]);
+    expect(
+      validateStatementData({
+        accountId: 'nubank',
+        statementDate: '2024/01/31',
+        statementBalance: 'lots',
+      }).errors
+    ).toEqual([
+      'Account must be a valid id',
+      'Statement date must use the YYYY-MM-DD or DD/MM/YYYY format',
+      'Statement balance must be a monetary value',
+    ]);
+  });
+
+  test('validateReconciliationData checks who reconciles and the selection', () => {
+    const statement = {
+      accountId,
+      statementDate: '2024-01-31',
+      statementBalance: 100,
+    };
+
+    expect(
+      validateReconciliationData({
+        ...statement,
+        reconciledBy: 'Ana',
+        transactionIds: [transactionId],
+      }).isValid
+    ).toBe(true);
+    expect(
+      validateReconciliationData({
+        ...statement,
+        reconciledBy: '  ',
+        transactionIds: 'all',
+      }).errors
+    ).toEqual(['reconciledBy is required', 'transactionIds must be an array']);
+    expect(
+      validateReconciliationData({
+        ...statement,
+        reconciledBy: 'Ana',
+        transactionIds: ['t1'],
+      }).errors
+    ).toEqual(['transactionIds must only have valid ids']);
+    expect(validateReconciliationData().errors).toContain(
+      'reconciledBy is required'
+    );
+  });
+});
@@ -0,0 +1,79 @@
+import {
+  formatMonetaryCents,
+  toMonetaryCents,
+} from '../monetary/monetaryUtils.js';
+
+export const MAX_REFUND_DAYS = 365;
+
+/**
+ * Check the date window of refund suggestions
+ * @param {string|number} days - Maximum days between the purchase and its refund
+ * @returns {boolean} True for an integer from 0 to MAX_REFUND_DAYS
+ */
+export function isValidRefundDays(days) {
+  const value = Number(days);
+  return (
+    String(days).trim() !== '' &&
+    Number.isInteger(value) &&
+    value >= 0 &&
+    value <= MAX_REFUND_DAYS
+  );
+}
+
+/**
+ * Validates a refund link
+ * A refund is a credit reversing part or all of an earlier debit; together
+ * with the refunds already linked it cannot exceed the purchase value.
+ * @param {Object} purchase - Debit being refunded
+ * @param {Object} refund - Credit refunding it
+ * @param {number} refundedCents - Cents already refunded by other refunds
+ * @returns {Object} Validation result with errors if any
+ */
+export function validateRefundLink(purchase, refund, refundedCents = 0) {
+  const errors = [];
+
+  if (String(purchase.id) === String(refund.id)) {
+    return {
+      isValid: false,
+      errors: ['A transaction cannot refund itself'],
+    };
+  }
+  if (purchase.transactionType !== 'debit') {
+    errors.push('purchaseId must reference a debit transaction');
+  }
+  if (refund.transactionType !== 'credit') {
+    errors.push('refundId must reference a credit transaction');
+  }
+  if (new Date(refund.transactionDate) < new Date(purchase.transactionDate)) {
+    errors.push('The refund cannot be dated before the purchase');
+  }
+  [purchase, refund].forEach((transaction) => {
+    if (transaction.transferPairId) {
+      errors.push(`Transaction ${transaction.id} is linked to a transfer`);
+    }
+  });
+  if (purchase.refundOfId) {
+    errors.push('purchaseId references a refund');
+  }
+  if (refund.refundOfId) {
+    errors.push(`Transaction ${refund.id} already refunds another purchase`);
+  }
+
+  const purchaseCents = Math.abs(toMonetaryCents(purchase.transactionValue) || 0);
+  const refundCents = Math.abs(toMonetaryCents(refund.transactionValue) || 0);
+  if (refundedCents + refundCents > purchaseCents) {
+    errors.push(
+      `Refunds of ${formatMonetaryCents(refundedCents + refundCents)} exceed the purchase value of ${formatMonetaryCents(purchaseCents)}`
+    );
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+export default {
+  isValidRefundDays,
+  validateRefundLink,
+};
@@ -0,0 +1,70 @@
+import validator, {
+  MAX_REFUND_DAYS,
+  isValidRefundDays,
+  validateRefundLink,
+} from './refundValidator.js';
+
+const purchase = {
+  id: 'p1',
+  transactionType: 'debit',
+  transactionDate: new Date('2024-03-10T12:00:00.000Z'),
+  transactionValue: '-200,00',
+};
+const refund = {
+  id: 'r1',
+  transactionType: 'credit',
+  transactionDate: new Date('2024-03-20T12:00:00.000Z'),
+  transactionValue: '50,00',
+};
+
+describe('refundValidator', () => {
+  test('isValidRefundDays accepts integers up to the maximum', () => {
+    expect(isValidRefundDays(0)).toBe(true);
+    expect(isValidRefundDays('60')).toBe(true);
+    expect(isValidRefundDays(MAX_REFUND_DAYS + 1)).toBe(false);
+    expect(isValidRefundDays('1.5')).toBe(false);
+    expect(isValidRefundDays(' ')).toBe(false);
+    expect(isValidRefundDays(-1)).toBe(false);
+  });
+
+  test('validateRefundLink accepts partial and full refunds', () => {
+    expect(validateRefundLink(purchase, refund)).toEqual({
+      isValid: true,
+      errors: [],
+    });
+    expect(validateRefundLink(purchase, refund, 15000).isValid).toBe(true);
+    expect(validator.validateRefundLink).toBe(validateRefundLink);
+  });
+
+  test('validateRefundLink rejects self, swapped, early and linked transactions', () => {
+    expect(validateRefundLink(purchase, purchase).errors).toEqual([
+      'A transaction cannot refund itself',
+    ]);
+    expect(
+      validateRefundLink(
+        {
+          ...refund,
+          id: 'p2',
+          transactionDate: new Date('2024-03-25T12:00:00.000Z'),
+          transferPairId: 'x',
+          refundOfId: 'p0',
+        },
+        { ...purchase, id: 'r2', refundOfId: 'p3' }
+      ).errors
+    ).toEqual([
+      'purchaseId must reference a debit transaction',
+      'refundId must reference a credit transaction',
+      'The refund cannot be dated before the purchase',
+      'Transaction p2 is linked to a transfer',
+      'purchaseId references a refund',
+      'Transaction r2 already refunds another purchase',
+      'Refunds of 200,00 exceed the purchase value of 50,00',
+    ]);
+  });
+
+  test('validateRefundLink rejects refunds above the purchase value', () => {
+    expect(validateRefundLink(purchase, refund, 16000).errors).toEqual([
+      'Refunds of 210,00 exceed the purchase value of 200,00',
+    ]);
+  });
+});
@@ -0,0 +1,96 @@
+export const MAX_BULK_UPDATE_SIZE = 1000;
+
+export const BULK_UPDATE_FIELDS = [
+  'transactionCategory',
+  'transactionStatus',
+  'paymentMethod',
+  'transactionLocation',
+  'fiscalBookId',
+  'companyId',
+];
+
+const FIELD_VALUES = {
+  transactionStatus: ['concluded', 'refunded', 'started'],
+  transactionLocation: ['online', 'local', 'other'],
+  paymentMethod: [
+    'money',
+    'pix',
+    'boleto',
+    'debit card',
+    'credit card',
+    'benefit card',
+    'other',
+  ],
+};
+
+// Fields that can be cleared by sending null
+const CLEARABLE_FIELDS = ['transactionCategory', 'fiscalBookId', 'companyId'];
+
+const ID_FIELDS = ['transactionCategory', 'fiscalBookId', 'companyId'];
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates a bulk transaction update request
+ * The selector is either `ids` (explicit transaction ids) or `filter`
+ * (transaction search query parameters); `changes` holds the fields to set.
+ * @param {Object} bulkData - Request body with ids or filter, changes and stopOnError
+ * @returns {Object} Validation result with errors if any
+ */
+export function validateBulkUpdateData(bulkData = {}) {
+  const errors = [];
+  const { ids, filter, changes } = bulkData;
+
+  if (ids !== undefined && filter !== undefined) {
+    errors.push('Use either ids or filter, not both');
+  } else if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      errors.push('ids must be a non-empty array');
+    } else if (ids.length > MAX_BULK_UPDATE_SIZE) {
+      errors.push(`ids must not have more than ${MAX_BULK_UPDATE_SIZE} items`);
+    }
+  } else if (filter !== undefined) {
+    if (!isPlainObject(filter) || Object.keys(filter).length === 0) {
+      errors.push('filter must be an object with at least one criterion');
+    }
+  } else {
+    errors.push('ids or filter is required');
+  }
+
+  if (!isPlainObject(changes) || Object.keys(changes).length === 0) {
+    errors.push('changes must set at least one field');
+  } else {
+    Object.entries(changes).forEach(([field, value]) => {
+      if (!BULK_UPDATE_FIELDS.includes(field)) {
+        errors.push(`${field} cannot be changed in bulk`);
+      } else if (value === null || value === '') {
+        if (!CLEARABLE_FIELDS.includes(field)) {
+          errors.push(`${field} cannot be cleared`);
+        }
+      } else if (ID_FIELDS.includes(field) && !OBJECT_ID_PATTERN.test(String(value))) {
+        errors.push(`${field} must be a valid id`);
+      } else if (FIELD_VALUES[field] && !FIELD_VALUES[field].includes(value)) {
+        errors.push(`Invalid ${field}`);
+      }
+    });
+  }
+
+  if (
+    bulkData.stopOnError !== undefined &&
+    typeof bulkData.stopOnError !== 'boolean'
+  ) {
+    errors.push('stopOnError must be a boolean');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+export default {
+  validateBulkUpdateData,
+};
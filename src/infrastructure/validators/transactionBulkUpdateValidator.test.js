@@ -0,0 +1,79 @@
+import validator, {
+  MAX_BULK_UPDATE_SIZE,
+  validateBulkUpdateData,
+} from './transactionBulkUpdateValidator.js';
+
+const categoryId = '507f1f77bcf86cd799439011';
+
+describe('transactionBulkUpdateValidator', () => {
+  test('accepts id and filter selectors', () => {
+    expect(
+      validateBulkUpdateData({
+        ids: ['t1'],
+        changes: { transactionCategory: categoryId, paymentMethod: 'pix' },
+        stopOnError: true,
+      })
+    ).toEqual({ isValid: true, errors: [] });
+    expect(
+      validateBulkUpdateData({
+        filter: { source: 'nubank' },
+        changes: {
+          transactionStatus: 'concluded',
+          transactionLocation: 'online',
+          fiscalBookId: null,
+          companyId: '',
+        },
+      }).isValid
+    ).toBe(true);
+    expect(validator.validateBulkUpdateData).toBe(validateBulkUpdateData);
+  });
+
+  test('requires exactly one valid selector', () => {
+    expect(validateBulkUpdateData().errors).toEqual([
+      'ids or filter is required',
+      'changes must set at least one field',
+    ]);
+
+    const changes = { transactionStatus: 'concluded' };
+    expect(
+      validateBulkUpdateData({ ids: ['t1'], filter: { type: 'debit' }, changes })
+        .errors
+    ).toEqual(['Use either ids or filter, not both']);
+    expect(validateBulkUpdateData({ ids: [], changes }).errors).toEqual([
+      'ids must be a non-empty array',
+    ]);
+    expect(
+      validateBulkUpdateData({
+        ids: Array.from({ length: MAX_BULK_UPDATE_SIZE + 1 }, (_, i) => `t${i}`),
+        changes,
+      }).errors
+    ).toEqual(['ids must not have more than 1000 items']);
+    expect(validateBulkUpdateData({ filter: {}, changes }).errors).toEqual([
+      'filter must be an object with at least one criterion',
+    ]);
+  });
+
+  test('rejects unsupported, non-clearable and invalid changes', () => {
+    expect(
+      validateBulkUpdateData({
+        ids: ['t1'],
+        changes: {
+          transactionValue: '10,00',
+          transactionStatus: null,
+          transactionCategory: 'food',
+          paymentMethod: 'cheque',
+        },
+        stopOnError: 'yes',
+      }).errors
+    ).toEqual([
+      'transactionValue cannot be changed in bulk',
+      'transactionStatus cannot be cleared',
+      'transactionCategory must be a valid id',
+      'Invalid paymentMethod',
+      'stopOnError must be a boolean',
+    ]);
+    expect(
+      validateBulkUpdateData({ ids: ['t1'], changes: [] }).errors
+    ).toEqual(['changes must set at least one field']);
+  });
+});
@@ -0,0 +1,159 @@
+import { parseDateByFormat } from '../date/index.js';
+
+export const DEFAULT_SEARCH_LIMIT = 50;
+export const MAX_SEARCH_LIMIT = 500;
+
+const SORT_FIELDS = [
+  'transactionDate',
+  'transactionValue',
+  'transactionName',
+  'companyName',
+];
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+const isDefined = (value) =>
+  value !== undefined && value !== null && value !== '';
+
+/**
+ * Parse a search date
+ * Accepts "YYYY-MM-DD" and "DD/MM/YYYY" strings.
+ * @param {string} value - Date text
+ * @param {string} timeString - Time of day (HH:mm:ss)
+ * @returns {Date|null} Parsed date or null when invalid
+ */
+function parseSearchDate(value, timeString) {
+  return (
+    parseDateByFormat(String(value), 'YYYY-MM-DD', timeString) ||
+    parseDateByFormat(String(value), 'DD/MM/YYYY', timeString)
+  );
+}
+
+/**
+ * Parse a search value in reais ("10,50" or "10.50") into cents
+ * @param {string|number} value - Value
+ * @returns {number} Cents, NaN when invalid
+ */
+function parseSearchValue(value) {
+  const text = String(value).trim();
+  if (!/^\d+([.,]\d{1,2})?$/.test(text)) {
+    return NaN;
+  }
+  return Math.round(Number(text.replace(',', '.')) * 100);
+}
+
+/**
+ * Parse a non-negative integer query parameter
+ * @param {string|number} value - Parameter
+ * @returns {number} Integer, NaN when invalid
+ */
+function parseCount(value) {
+  return /^\d+$/.test(String(value).trim()) ? Number(value) : NaN;
+}
+
+/**
+ * Parse and validate the query parameters of a transaction search
+ * Dates accept YYYY-MM-DD or DD/MM/YYYY and cover the whole day; values are
+ * in reais and compared with the absolute transaction value. Sorting takes a
+ * field name, prefixed with "-" for descending order.
+ * @param {Object} query - Request query parameters
+ * @returns {Object} Validation result with errors if any and the parsed criteria
+ */
+export function parseTransactionSearchQuery(query = {}) {
+  const errors = [];
+  const criteria = {
+    limit: DEFAULT_SEARCH_LIMIT,
+    skip: 0,
+    sort: { transactionDate: -1 },
+  };
+
+  if (isDefined(query.startDate)) {
+    criteria.startDate = parseSearchDate(query.startDate, '00:00:00');
+    if (!criteria.startDate) {
+      errors.push('startDate must use the YYYY-MM-DD or DD/MM/YYYY format');
+    }
+  }
+
+  if (isDefined(query.endDate)) {
+    criteria.endDate = parseSearchDate(query.endDate, '23:59:59');
+    if (!criteria.endDate) {
+      errors.push('endDate must use the YYYY-MM-DD or DD/MM/YYYY format');
+    }
+  }
+
+  if (
+    criteria.startDate &&
+    criteria.endDate &&
+    criteria.startDate > criteria.endDate
+  ) {
+    errors.push('startDate must not be after endDate');
+  }
+
+  ['category', 'fiscalBookId'].forEach((field) => {
+    if (isDefined(query[field])) {
+      if (!OBJECT_ID_PATTERN.test(String(query[field]))) {
+        errors.push(`${field} must be a valid id`);
+      }
+      criteria[field] = String(query[field]);
+    }
+  });
+
+  if (isDefined(query.type)) {
+    if (!['credit', 'debit'].includes(query.type)) {
+      errors.push('Invalid transaction type');
+    }
+    criteria.type = query.type;
+  }
+
+  ['paymentMethod', 'source', 'status', 'company', 'text'].forEach((field) => {
+    if (isDefined(query[field])) {
+      criteria[field] = String(query[field]).trim();
+    }
+  });
+
+  ['minValue', 'maxValue'].forEach((field) => {
+    if (isDefined(query[field])) {
+      criteria[field] = parseSearchValue(query[field]);
+      if (Number.isNaN(criteria[field])) {
+        errors.push(`${field} must be a monetary value such as 10,50`);
+      }
+    }
+  });
+
+  if (criteria.minValue > criteria.maxValue) {
+    errors.push('minValue must not be greater than maxValue');
+  }
+
+  if (isDefined(query.limit)) {
+    criteria.limit = parseCount(query.limit);
+    if (!(criteria.limit >= 1 && criteria.limit <= MAX_SEARCH_LIMIT)) {
+      errors.push(`limit must be between 1 and ${MAX_SEARCH_LIMIT}`);
+    }
+  }
+
+  if (isDefined(query.skip)) {
+    criteria.skip = parseCount(query.skip);
+    if (Number.isNaN(criteria.skip)) {
+      errors.push('skip must be a non-negative integer');
+    }
+  }
+
+  if (isDefined(query.sort)) {
+    const sort = String(query.sort);
+    const field = sort.replace(/^-/, '');
+    if (!SORT_FIELDS.includes(field)) {
+      errors.push(`sort must be one of ${SORT_FIELDS.join(', ')}`);
+    }
+    criteria.sort = { [field]: sort.startsWith('-') ? -1 : 1 };
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    criteria,
+  };
+}
+
+export default {
+  parseTransactionSearchQuery,
+};
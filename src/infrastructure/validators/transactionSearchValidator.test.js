@@ -0,0 +1,105 @@
+import validator, {
+  DEFAULT_SEARCH_LIMIT,
+  parseTransactionSearchQuery,
+} from './transactionSearchValidator.js';
+
+describe('transactionSearchValidator', () => {
+  test('returns default pagination and sorting for an empty query', () => {
+    expect(parseTransactionSearchQuery()).toEqual({
+      isValid: true,
+      errors: [],
+      criteria: {
+        limit: DEFAULT_SEARCH_LIMIT,
+        skip: 0,
+        sort: { transactionDate: -1 },
+      },
+    });
+    expect(validator.parseTransactionSearchQuery).toBe(
+      parseTransactionSearchQuery
+    );
+  });
+
+  test('parses every filter', () => {
+    const { isValid, criteria } = parseTransactionSearchQuery({
+      startDate: '2024-01-01',
+      endDate: '31/01/2024',
+      category: '507f1f77bcf86cd799439011',
+      fiscalBookId: '507f1f77bcf86cd799439012',
+      type: 'debit',
+      paymentMethod: 'pix',
+      source: 'nubank',
+      status: 'concluded',
+      company: ' Padaria ',
+      text: 'pão',
+      minValue: '10,50',
+      maxValue: '100',
+      limit: '20',
+      skip: '40',
+      sort: '-transactionValue',
+    });
+
+    expect(isValid).toBe(true);
+    expect(criteria).toEqual({
+      startDate: new Date('2024-01-01T00:00:00-04:00'),
+      endDate: new Date('2024-01-31T23:59:59-04:00'),
+      category: '507f1f77bcf86cd799439011',
+      fiscalBookId: '507f1f77bcf86cd799439012',
+      type: 'debit',
+      paymentMethod: 'pix',
+      source: 'nubank',
+      status: 'concluded',
+      company: 'Padaria',
+      text: 'pão',
+      minValue: 1050,
+      maxValue: 10000,
+      limit: 20,
+      skip: 40,
+      sort: { transactionValue: -1 },
+    });
+  });
+
+  test('rejects invalid dates, ids and types', () => {
+    expect(
+      parseTransactionSearchQuery({
+        startDate: '2024-13-01',
+        endDate: 'yesterday',
+        category: 'food',
+        fiscalBookId: '123',
+        type: 'transfer',
+      }).errors
+    ).toEqual([
+      'startDate must use the YYYY-MM-DD or DD/MM/YYYY format',
+      'endDate must use the YYYY-MM-DD or DD/MM/YYYY format',
+      'category must be a valid id',
+      'fiscalBookId must be a valid id',
+      'Invalid transaction type',
+    ]);
+    expect(
+      parseTransactionSearchQuery({
+        startDate: '2024-02-01',
+        endDate: '2024-01-01',
+      }).errors
+    ).toEqual(['startDate must not be after endDate']);
+  });
+
+  test('rejects invalid values, pagination and sorting', () => {
+    expect(
+      parseTransactionSearchQuery({
+        minValue: '-5',
+        maxValue: '1.000,00',
+        limit: '501',
+        skip: '-1',
+        sort: 'transactionCategory',
+      }).errors
+    ).toEqual([
+      'minValue must be a monetary value such as 10,50',
+      'maxValue must be a monetary value such as 10,50',
+      'limit must be between 1 and 500',
+      'skip must be a non-negative integer',
+      'sort must be one of transactionDate, transactionValue, transactionName, companyName',
+    ]);
+    expect(
+      parseTransactionSearchQuery({ minValue: '50', maxValue: '10' }).errors
+    ).toEqual(['minValue must not be greater than maxValue']);
+  });
+});
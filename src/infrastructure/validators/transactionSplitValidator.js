@@ -0,0 +1,70 @@
+import {
+  formatMonetaryCents,
+  normalizeMonetaryValue,
+  toMonetaryCents,
+} from '../monetary/monetaryUtils.js';
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+/**
+ * Convert an allocation value to cents
+ * Numbers are reais, like the other monetary fields of the API.
+ * @param {string|number} value - Allocation value ("60,00" or 60)
+ * @returns {number} Cents keeping the sign, 0 when empty or invalid
+ */
+export function splitValueToCents(value) {
+  const cents = toMonetaryCents(normalizeMonetaryValue(value));
+  return /^\s*-/.test(String(value)) ? -cents : cents;
+}
+
+/**
+ * Validates the allocations of a transaction split
+ * @param {Array<Object>} splits - Allocations with splitCategory, splitValue and splitNote
+ * @param {string|number} transactionValue - Value of the split transaction ("100,00" or cents)
+ * @returns {Object} Validation result with errors if any
+ */
+export function validateSplitData(splits, transactionValue) {
+  const errors = [];
+
+  if (!Array.isArray(splits) || splits.length < 2) {
+    return {
+      isValid: false,
+      errors: ['Splits must have at least two allocations'],
+    };
+  }
+
+  splits.forEach((split, index) => {
+    const label = `Allocation ${index + 1}`;
+    if (!split?.splitCategory) {
+      errors.push(`${label}: category is required`);
+    } else if (!OBJECT_ID_PATTERN.test(String(split.splitCategory))) {
+      errors.push(`${label}: category must be a valid id`);
+    }
+    if (!(splitValueToCents(split?.splitValue) > 0)) {
+      errors.push(`${label}: value must be a positive monetary value`);
+    }
+  });
+
+  if (errors.length === 0) {
+    const allocated = splits.reduce(
+      (sum, split) => sum + splitValueToCents(split.splitValue),
+      0
+    );
+    const expected = Math.abs(toMonetaryCents(transactionValue) || 0);
+    if (allocated !== expected) {
+      errors.push(
+        `Allocations sum to ${formatMonetaryCents(allocated)} but the transaction value is ${formatMonetaryCents(expected)}`
+      );
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+export default {
+  splitValueToCents,
+  validateSplitData,
+};
@@ -0,0 +1,56 @@
+import validator, {
+  splitValueToCents,
+  validateSplitData,
+} from './transactionSplitValidator.js';
+
+const foodId = '507f1f77bcf86cd799439011';
+const homeId = '507f1f77bcf86cd799439012';
+
+describe('transactionSplitValidator', () => {
+  test('splitValueToCents reads text and reais', () => {
+    expect(splitValueToCents('60,50')).toBe(6050);
+    expect(splitValueToCents(40)).toBe(4000);
+    expect(splitValueToCents('-5,00')).toBe(-500);
+    expect(splitValueToCents(undefined)).toBe(0);
+    expect(validator.splitValueToCents).toBe(splitValueToCents);
+  });
+
+  test('accepts allocations summing to the absolute transaction value', () => {
+    const splits = [
+      { splitCategory: foodId, splitValue: '60,00', splitNote: 'lunch' },
+      { splitCategory: homeId, splitValue: 40 },
+    ];
+
+    expect(validateSplitData(splits, '100,00')).toEqual({
+      isValid: true,
+      errors: [],
+    });
+    expect(validateSplitData(splits, -10000).isValid).toBe(true);
+  });
+
+  test('rejects missing, invalid and unbalanced allocations', () => {
+    expect(validateSplitData([{ splitCategory: foodId }], '10,00').errors).toEqual(
+      ['Splits must have at least two allocations']
+    );
+    expect(validateSplitData(null, '10,00').isValid).toBe(false);
+    expect(
+      validateSplitData(
+        [{ splitValue: '5,00' }, { splitCategory: 'food', splitValue: '-5,00' }],
+        '10,00'
+      ).errors
+    ).toEqual([
+      'Allocation 1: category is required',
+      'Allocation 2: category must be a valid id',
+      'Allocation 2: value must be a positive monetary value',
+    ]);
+    expect(
+      validateSplitData(
+        [
+          { splitCategory: foodId, splitValue: '5,00' },
+          { splitCategory: homeId, splitValue: '4,99' },
+        ],
+        '10,00'
+      ).errors
+    ).toEqual(['Allocations sum to 9,99 but the transaction value is 10,00']);
+  });
+});
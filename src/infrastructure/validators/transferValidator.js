@@ -0,0 +1,62 @@
+import { toMonetaryCents } from '../monetary/monetaryUtils.js';
+
+export const MAX_TRANSFER_DAYS = 31;
+
+/**
+ * Check the date window of transfer suggestions
+ * @param {string|number} days - Maximum days between both sides
+ * @returns {boolean} True for an integer from 0 to MAX_TRANSFER_DAYS
+ */
+export function isValidTransferDays(days) {
+  const value = Number(days);
+  return (
+    String(days).trim() !== '' &&
+    Number.isInteger(value) &&
+    value >= 0 &&
+    value <= MAX_TRANSFER_DAYS
+  );
+}
+
+/**
+ * Validates the two sides of an internal transfer
+ * @param {Object} debit - Transaction leaving the source account
+ * @param {Object} credit - Transaction entering the destination account
+ * @returns {Object} Validation result with errors if any
+ */
+export function validateTransferPair(debit, credit) {
+  const errors = [];
+
+  if (String(debit.id) === String(credit.id)) {
+    return {
+      isValid: false,
+      errors: ['A transaction cannot be linked to itself'],
+    };
+  }
+  if (debit.transactionType !== 'debit') {
+    errors.push('debitId must reference a debit transaction');
+  }
+  if (credit.transactionType !== 'credit') {
+    errors.push('creditId must reference a credit transaction');
+  }
+  if (
+    Math.abs(toMonetaryCents(debit.transactionValue) || 0) !==
+    Math.abs(toMonetaryCents(credit.transactionValue) || 0)
+  ) {
+    errors.push('Both transactions must have the same value');
+  }
+  [debit, credit].forEach((transaction) => {
+    if (transaction.transferPairId) {
+      errors.push(`Transaction ${transaction.id} is already linked to a transfer`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+export default {
+  isValidTransferDays,
+  validateTransferPair,
+};
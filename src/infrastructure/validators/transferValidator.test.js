@@ -0,0 +1,50 @@
+import validator, {
+  MAX_TRANSFER_DAYS,
+  isValidTransferDays,
+  validateTransferPair,
+} from './transferValidator.js';
+
+const debit = { id: 'd1', transactionType: 'debit', transactionValue: '-1500,00' };
+const credit = { id: 'c1', transactionType: 'credit', transactionValue: '1500,00' };
+
+describe('transferValidator', () => {
+  test('isValidTransferDays accepts integers up to the maximum', () => {
+    expect(isValidTransferDays(0)).toBe(true);
+    expect(isValidTransferDays('5')).toBe(true);
+    expect(isValidTransferDays(MAX_TRANSFER_DAYS + 1)).toBe(false);
+    expect(isValidTransferDays('1.5')).toBe(false);
+    expect(isValidTransferDays(' ')).toBe(false);
+    expect(isValidTransferDays(-1)).toBe(false);
+  });
+
+  test('validateTransferPair accepts a debit and a credit of the same value', () => {
+    expect(validateTransferPair(debit, credit)).toEqual({
+      isValid: true,
+      errors: [],
+    });
+    expect(validator.validateTransferPair).toBe(validateTransferPair);
+  });
+
+  test('validateTransferPair rejects self, swapped, unbalanced and linked pairs', () => {
+    expect(validateTransferPair(debit, debit).errors).toEqual([
+      'A transaction cannot be linked to itself',
+    ]);
+    expect(
+      validateTransferPair(
+        { ...credit, transferPairId: 'x' },
+        { ...debit, id: 'd2', transactionValue: '-10,00' }
+      ).errors
+    ).toEqual([
+      'debitId must reference a debit transaction',
+      'creditId must reference a credit transaction',
+      'Both transactions must have the same value',
+      'Transaction c1 is already linked to a transfer',
+    ]);
+    expect(
+      validateTransferPair({ id: 'a', transactionType: 'debit' }, {
+        id: 'b',
+        transactionType: 'credit',
+      }).isValid
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import { monetaryCentsField } from './monetaryCentsField.js';
+
+/**
+ * Schema for Accounts
+ * Bank account, credit card, benefit card or investment holding
+ * transactions. Balances start from `openingBalance` on `openingDate` and
+ * move with every credit and debit of the account's transactions.
+ */
+const accountSchema = new mongoose.Schema(
+  {
+    accountName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    institution: {
+      type: String,
+      trim: true,
+    },
+
+    accountType: {
+      type: String,
+      enum: ['checking', 'credit', 'benefit', 'investment'],
+      default: 'checking',
+    },
+
+    // Stored in cents, read as "1500,00"
+    openingBalance: {
+      ...monetaryCentsField(),
+      default: 0,
+    },
+
+    // Transactions before this date are not part of the balance
+    openingDate: Date,
+
+    // ISO 4217 code of the account
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: /^[A-Z]{3}$/,
+      default: 'BRL',
+    },
+
+    // Billing cycle of credit cards: invoices close and are due on these days
+    closingDay: { type: Number, min: 1, max: 31 },
+    dueDay: { type: Number, min: 1, max: 31 },
+
+    // Statement source imported into this account (nubank, nubank-credit, flash, ...)
+    transactionSource: {
+      type: String,
+      trim: true,
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+accountSchema.index({ transactionSource: 1 }, { unique: true, sparse: true });
+
+// Transform function for JSON output
+const transformAccountFields = (doc, ret, options) => {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+// getters format the opening balance cents back to the "1500,00" text
+accountSchema.set('toJSON', {
+  getters: true,
+  virtuals: false,
+  transform: transformAccountFields,
+});
+
+accountSchema.set('toObject', {
+  getters: true,
+  virtuals: false,
+  transform: transformAccountFields,
+});
+
+const AccountModel = mongoose.model('account', accountSchema);
+
+export default AccountModel;
@@ -0,0 +1,50 @@
+import AccountModel from './AccountModel.js';
+
+describe('AccountModel', () => {
+  test('applies defaults', () => {
+    const doc = new AccountModel({ accountName: 'Nubank' });
+
+    expect(doc.accountType).toBe('checking');
+    expect(doc.currency).toBe('BRL');
+    expect(doc.active).toBe(true);
+    expect(doc.get('openingBalance', null, { getters: false })).toBe(0);
+    expect(doc.validateSync()).toBeUndefined();
+  });
+
+  test('validates name, account type, currency and billing days', () => {
+    const doc = new AccountModel({
+      accountType: 'savings',
+      currency: 'real',
+      closingDay: 0,
+      dueDay: 32,
+    });
+
+    const error = doc.validateSync();
+
+    expect(error.errors.accountName).toBeDefined();
+    expect(error.errors.accountType).toBeDefined();
+    expect(error.errors.currency).toBeDefined();
+    expect(error.errors.closingDay).toBeDefined();
+    expect(error.errors.dueDay).toBeDefined();
+  });
+
+  test('toJSON/toObject transform id and format the opening balance', () => {
+    const doc = new AccountModel({
+      accountName: 'Nubank',
+      openingBalance: '1500,00',
+      currency: 'usd',
+    });
+    doc.set('__v', 1);
+
+    const json = doc.toJSON();
+    const obj = doc.toObject();
+
+    expect(json._id).toBeUndefined();
+    expect(json.__v).toBeUndefined();
+    expect(json.id.toString()).toBe(doc._id.toString());
+    expect(json.openingBalance).toBe('1500,00');
+    expect(json.currency).toBe('USD');
+    expect(obj._id).toBeUndefined();
+    expect(obj.id.toString()).toBe(doc._id.toString());
+  });
+});
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+// Documents that can hold attachments
+export const ATTACHMENT_OWNER_TYPES = ['transaction', 'fiscalBook'];
+
+/**
+ * Schema for Attachments
+ * A receipt, NF-e XML or boleto linked to a transaction or fiscal book.
+ * The file content lives in the attachment storage under its SHA-256
+ * `contentHash`, so identical files are stored once whatever their owners.
+ */
+const attachmentSchema = new mongoose.Schema(
+  {
+    ownerType: {
+      type: String,
+      enum: ATTACHMENT_OWNER_TYPES,
+      required: true,
+    },
+
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    fileName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    contentType: {
+      type: String,
+      default: 'application/octet-stream',
+    },
+
+    // Size in bytes
+    size: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    // SHA-256 of the content, hex encoded
+    contentHash: {
+      type: String,
+      required: true,
+      match: /^[a-f0-9]{64}$/,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// The same file is attached once per owner
+attachmentSchema.index(
+  { ownerType: 1, ownerId: 1, contentHash: 1 },
+  { unique: true }
+);
+
+// Transform function for JSON output
+const transformAttachmentFields = (doc, ret, options) => {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+attachmentSchema.set('toJSON', {
+  virtuals: false,
+  transform: transformAttachmentFields,
+});
+
+attachmentSchema.set('toObject', {
+  virtuals: false,
+  transform: transformAttachmentFields,
+});
+
+const AttachmentModel = mongoose.model('attachment', attachmentSchema);
+
+export default AttachmentModel;
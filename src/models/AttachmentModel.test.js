@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import AttachmentModel, { ATTACHMENT_OWNER_TYPES } from './AttachmentModel.js';
+
+describe('AttachmentModel', () => {
+  const contentHash = 'a'.repeat(64);
+
+  test('validates required fields', () => {
+    const error = new AttachmentModel({}).validateSync();
+
+    expect(error.errors.ownerType).toBeDefined();
+    expect(error.errors.ownerId).toBeDefined();
+    expect(error.errors.fileName).toBeDefined();
+    expect(error.errors.size).toBeDefined();
+    expect(error.errors.contentHash).toBeDefined();
+  });
+
+  test('accepts transaction and fiscal book owners with a SHA-256 hash', () => {
+    expect(ATTACHMENT_OWNER_TYPES).toEqual(['transaction', 'fiscalBook']);
+
+    const doc = new AttachmentModel({
+      ownerType: 'transaction',
+      ownerId: new mongoose.Types.ObjectId(),
+      fileName: ' recibo.pdf ',
+      size: 10,
+      contentHash,
+    });
+    expect(doc.validateSync()).toBeUndefined();
+    expect(doc.fileName).toBe('recibo.pdf');
+    expect(doc.contentType).toBe('application/octet-stream');
+
+    const error = new AttachmentModel({
+      ownerType: 'person',
+      ownerId: new mongoose.Types.ObjectId(),
+      fileName: 'a',
+      size: 0,
+      contentHash: 'xyz',
+    }).validateSync();
+    expect(error.errors.ownerType).toBeDefined();
+    expect(error.errors.size).toBeDefined();
+    expect(error.errors.contentHash).toBeDefined();
+  });
+
+  test('indexes one file per owner', () => {
+    expect(AttachmentModel.schema.indexes()).toContainEqual([
+      { ownerType: 1, ownerId: 1, contentHash: 1 },
+      expect.objectContaining({ unique: true }),
+    ]);
+  });
+
+  test('toJSON/toObject transform id', () => {
+    const doc = new AttachmentModel({
+      ownerType: 'fiscalBook',
+      ownerId: new mongoose.Types.ObjectId(),
+      fileName: 'a.xml',
+      size: 1,
+      contentHash,
+    });
+    doc.set('__v', 1);
+
+    const json = doc.toJSON();
+    const obj = doc.toObject();
+
+    expect(json._id).toBeUndefined();
+    expect(json.__v).toBeUndefined();
+    expect(json.id.toString()).toBe(doc._id.toString());
+    expect(obj._id).toBeUndefined();
+    expect(obj.id.toString()).toBe(doc._id.toString());
+  });
+});
@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+
+// Documents whose changes are audited
+export const AUDIT_DOCUMENT_TYPES = [
+  'transaction',
+  'fiscalBook',
+  'company',
+  'person',
+  'category',
+];
+
+// Where a change came from
+export const AUDIT_ORIGINS = [
+  'api',
+  'import',
+  'migration',
+  'rollback',
+  'revert',
+  'bulk',
+  'rule',
+  'merge',
+  'split',
+  'trash',
+  'restore',
+  'link',
+];
+
+const APPEND_ONLY_MESSAGE = 'Audit log entries are append-only';
+
+/**
+ * Schema for Audit Log entries
+ * One entry per change of a document, with the value of each changed field
+ * before and after it. Entries are never updated or deleted: reverting a
+ * change appends a new entry pointing to it through `revertOf`.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    documentType: {
+      type: String,
+      enum: AUDIT_DOCUMENT_TYPES,
+      required: true,
+    },
+
+    documentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    // Field-level changes; a missing `before` or `after` means the field was unset
+    changes: {
+      type: [
+        {
+          _id: false,
+          field: { type: String, required: true },
+          before: mongoose.Schema.Types.Mixed,
+          after: mongoose.Schema.Types.Mixed,
+        },
+      ],
+      validate: {
+        validator: (changes) => changes.length > 0,
+        message: 'An audit entry needs at least one change',
+      },
+    },
+
+    // Who made the change (X-Actor header for API changes)
+    actor: {
+      type: String,
+      default: 'system',
+      trim: true,
+    },
+
+    origin: {
+      type: String,
+      enum: AUDIT_ORIGINS,
+      required: true,
+    },
+
+    // Route, import source, migration name or snapshot behind the change
+    originDetail: {
+      type: String,
+      trim: true,
+    },
+
+    // Entry undone by this one
+    revertOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'auditLog',
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ documentType: 1, documentId: 1, createdAt: -1 });
+
+auditLogSchema.pre('save', function (next) {
+  next(this.isNew ? undefined : new Error(APPEND_ONLY_MESSAGE));
+});
+
+auditLogSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  function (next) {
+    next(new Error(APPEND_ONLY_MESSAGE));
+  }
+);
+
+// Transform function for JSON output
+const transformAuditLogFields = (doc, ret, options) => {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+auditLogSchema.set('toJSON', {
+  virtuals: false,
+  transform: transformAuditLogFields,
+});
+
+auditLogSchema.set('toObject', {
+  virtuals: false,
+  transform: transformAuditLogFields,
+});
+
+const AuditLogModel = mongoose.model('auditLog', auditLogSchema);
+
+export default AuditLogModel;
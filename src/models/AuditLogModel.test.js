@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+import AuditLogModel, {
+  AUDIT_DOCUMENT_TYPES,
+  AUDIT_ORIGINS,
+} from './AuditLogModel.js';
+
+describe('AuditLogModel', () => {
+  const entry = () => ({
+    documentType: 'transaction',
+    documentId: new mongoose.Types.ObjectId(),
+    changes: [{ field: 'transactionValue', before: '10,00', after: '12,00' }],
+    origin: 'api',
+  });
+
+  test('validates required fields and at least one change', () => {
+    const error = new AuditLogModel({}).validateSync();
+
+    expect(error.errors.documentType).toBeDefined();
+    expect(error.errors.documentId).toBeDefined();
+    expect(error.errors.changes).toBeDefined();
+    expect(error.errors.origin).toBeDefined();
+  });
+
+  test('accepts audited documents and origins', () => {
+    expect(AUDIT_DOCUMENT_TYPES).toEqual([
+      'transaction',
+      'fiscalBook',
+      'company',
+      'person',
+      'category',
+    ]);
+    expect(AUDIT_ORIGINS).toEqual([
+      'api',
+      'import',
+      'migration',
+      'rollback',
+      'revert',
+      'bulk',
+      'rule',
+      'merge',
+      'split',
+      'trash',
+      'restore',
+      'link',
+    ]);
+
+    const doc = new AuditLogModel({ ...entry(), actor: ' ana ' });
+    expect(doc.validateSync()).toBeUndefined();
+    expect(doc.actor).toBe('ana');
+    expect(new AuditLogModel(entry()).actor).toBe('system');
+
+    const error = new AuditLogModel({
+      ...entry(),
+      documentType: 'budget',
+      origin: 'cron',
+      changes: [{ before: 1 }],
+    }).validateSync();
+    expect(error.errors.documentType).toBeDefined();
+    expect(error.errors.origin).toBeDefined();
+    expect(error.errors['changes.0.field']).toBeDefined();
+  });
+
+  test('indexes the history of a document', () => {
+    expect(AuditLogModel.schema.indexes()).toContainEqual([
+      { documentType: 1, documentId: 1, createdAt: -1 },
+      expect.any(Object),
+    ]);
+  });
+
+  test('rejects updates and deletions of entries', async () => {
+    const saved = AuditLogModel.hydrate({ _id: new mongoose.Types.ObjectId(), ...entry() });
+    saved.actor = 'someone';
+
+    await expect(saved.save()).rejects.toThrow('Audit log entries are append-only');
+    await expect(AuditLogModel.updateOne({}, { actor: 'x' })).rejects.toThrow(
+      'Audit log entries are append-only'
+    );
+    await expect(AuditLogModel.deleteMany({})).rejects.toThrow(
+      'Audit log entries are append-only'
+    );
+  });
+
+  test('toJSON/toObject transform id', () => {
+    const doc = new AuditLogModel(entry());
+    doc.set('__v', 1);
+
+    const json = doc.toJSON();
+    const obj = doc.toObject();
+
+    expect(json._id).toBeUndefined();
+    expect(json.__v).toBeUndefined();
+    expect(json.id.toString()).toBe(doc._id.toString());
+    expect(obj._id).toBeUndefined();
+    expect(obj.id.toString()).toBe(doc._id.toString());
+  });
+});
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schema for Budgets
+ * Spending limit for a category (including its subcategories). Monthly
+ * budgets apply to every month from `period` on (or always, without period);
+ * one-off budgets apply to `period` only and override monthly ones.
+ */
+const budgetSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      trim: true,
+    },
+
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'category',
+      required: true,
+    },
+
+    recurrence: {
+      type: String,
+      enum: ['monthly', 'once'],
+      default: 'monthly',
+    },
+
+    // YYYY-MM: the month of a one-off budget, or the first month of a monthly one
+    period: {
+      type: String,
+      match: /^\d{4}-\d{2}$/,
+    },
+
+    // Monetary value in the standard "1500,00" format
+    limit: {
+      type: String,
+      required: true,
+    },
+
+    // Percentage of the limit from which the budget is flagged
+    alertThreshold: {
+      type: Number,
+      default: 80,
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+budgetSchema.index({ active: 1, category: 1 });
+
+// Transform function for JSON output
+const transformBudgetFields = (doc, ret, options) => {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+// Ensure that _id and __v are not returned
+budgetSchema.set('toJSON', {
+  transform: transformBudgetFields,
+});
+
+budgetSchema.set('toObject', {
+  transform: transformBudgetFields,
+});
+
+const BudgetModel = mongoose.model('budget', budgetSchema);
+
+export default BudgetModel;
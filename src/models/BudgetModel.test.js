@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import BudgetModel from './BudgetModel.js';
+
+describe('BudgetModel', () => {
+  const category = new mongoose.Types.ObjectId();
+
+  test('applies defaults', () => {
+    const doc = new BudgetModel({ category, limit: '800,00' });
+
+    expect(doc.recurrence).toBe('monthly');
+    expect(doc.alertThreshold).toBe(80);
+    expect(doc.active).toBe(true);
+    expect(doc.validateSync()).toBeUndefined();
+  });
+
+  test('validates required fields, recurrence and period', () => {
+    const doc = new BudgetModel({ recurrence: 'weekly', period: '2024-3' });
+
+    const error = doc.validateSync();
+
+    expect(error.errors.category).toBeDefined();
+    expect(error.errors.limit).toBeDefined();
+    expect(error.errors.recurrence).toBeDefined();
+    expect(error.errors.period).toBeDefined();
+  });
+
+  test('toJSON/toObject transform id and remove _id/__v', () => {
+    const doc = new BudgetModel({ category, limit: '800,00' });
+    doc.set('__v', 1);
+
+    const json = doc.toJSON();
+    const obj = doc.toObject();
+
+    expect(json._id).toBeUndefined();
+    expect(json.__v).toBeUndefined();
+    expect(json.id.toString()).toBe(doc._id.toString());
+    expect(json.limit).toBe('800,00');
+    expect(obj._id).toBeUndefined();
+    expect(obj.id.toString()).toBe(doc._id.toString());
+  });
+});
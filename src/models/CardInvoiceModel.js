@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+import { monetaryCentsField } from './monetaryCentsField.js';
+
+/**
+ * Schema for Card Invoices (faturas)
+ * One invoice per credit card account and billing cycle, named after the
+ * month it is due. Charges are rebuilt from the card transactions, future
+ * installments included; payments are debits of other accounts.
+ */
+const cardInvoiceSchema = new mongoose.Schema(
+  {
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'account',
+      required: true,
+    },
+
+    // YYYY-MM of the due date
+    invoicePeriod: {
+      type: String,
+      required: true,
+      match: /^\d{4}-(0[1-9]|1[0-2])$/,
+    },
+
+    // Charges from this instant on go to the next invoice
+    closingDate: {
+      type: Date,
+      required: true,
+    },
+
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+
+    charges: [
+      {
+        transactionId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'transaction',
+        },
+        chargeDate: Date,
+        chargeName: String,
+        chargeValue: monetaryCentsField(), // refunds are negative
+        installmentNumber: Number,
+        installmentCount: Number,
+        projected: { type: Boolean, default: false }, // future installment not imported yet
+      },
+    ],
+
+    // Stored in cents, read as "1500,00"
+    total: {
+      ...monetaryCentsField(),
+      default: 0,
+    },
+
+    paidValue: {
+      ...monetaryCentsField(),
+      default: 0,
+    },
+
+    // Debits of other accounts paying the invoice
+    paymentTransactionIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'transaction',
+      },
+    ],
+
+    status: {
+      type: String,
+      enum: ['open', 'closed', 'paid'],
+      default: 'open',
+    },
+  },
+  { timestamps: true }
+);
+
+cardInvoiceSchema.index({ accountId: 1, invoicePeriod: 1 }, { unique: true });
+cardInvoiceSchema.index({ paymentTransactionIds: 1 });
+
+// Transform function for JSON output
+const transformCardInvoiceFields = (doc, ret, options) => {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+// getters format the cents back to the "1500,00" text
+cardInvoiceSchema.set('toJSON', {
+  getters: true,
+  virtuals: false,
+  transform: transformCardInvoiceFields,
+});
+
+cardInvoiceSchema.set('toObject', {
+  getters: true,
+  virtuals: false,
+  transform: transformCardInvoiceFields,
+});
+
+const CardInvoiceModel = mongoose.model('cardInvoice', cardInvoiceSchema);
+
+export default CardInvoiceModel;
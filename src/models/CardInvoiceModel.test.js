@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import CardInvoiceModel from './CardInvoiceModel.js';
+
+describe('CardInvoiceModel', () => {
+  const accountId = new mongoose.Types.ObjectId();
+  const cycle = {
+    accountId,
+    invoicePeriod: '2024-02',
+    closingDate: new Date('2024-02-03T00:00:00-04:00'),
+    dueDate: new Date('2024-02-10T12:00:00-04:00'),
+  };
+
+  test('applies defaults', () => {
+    const doc = new CardInvoiceModel(cycle);
+
+    expect(doc.status).toBe('open');
+    expect(doc.get('total', null, { getters: false })).toBe(0);
+    expect(doc.paymentTransactionIds).toEqual([]);
+    expect(doc.validateSync()).toBeUndefined();
+  });
+
+  test('validates required fields, period and status', () => {
+    const error = new CardInvoiceModel({
+      invoicePeriod: '2024-13',
+      status: 'late',
+    }).validateSync();
+
+    expect(error.errors.accountId).toBeDefined();
+    expect(error.errors.invoicePeriod).toBeDefined();
+    expect(error.errors.closingDate).toBeDefined();
+    expect(error.errors.dueDate).toBeDefined();
+    expect(error.errors.status).toBeDefined();
+  });
+
+  test('toJSON/toObject transform id and format cents', () => {
+    const doc = new CardInvoiceModel({
+      ...cycle,
+      total: 12000,
+      paidValue: '50,00',
+      charges: [{ chargeName: 'Estorno', chargeValue: -2000 }],
+    });
+    doc.set('__v', 1);
+
+    const json = doc.toJSON();
+    const obj = doc.toObject();
+
+    expect(json._id).toBeUndefined();
+    expect(json.__v).toBeUndefined();
+    expect(json.id.toString()).toBe(doc._id.toString());
+    expect(json.total).toBe('120,00');
+    expect(json.paidValue).toBe('50,00');
+    expect(json.charges[0].chargeValue).toBe('-20,00');
+    expect(json.charges[0].projected).toBe(false);
+    expect(obj._id).toBeUndefined();
+  });
+});
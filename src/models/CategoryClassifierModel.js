@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schema for the Category Classifier
+ * Naive Bayes model trained from categorized transactions (see
+ * services/categorization/naiveBayes.js). A single document named 'default'
+ * is replaced on every retrain.
+ */
+const categoryClassifierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    default: 'default',
+  },
+
+  trainedAt: {
+    type: Date,
+    default: Date.now,
+  },
+
+  // Number of transactions used for training
+  documentCount: {
+    type: Number,
+    default: 0,
+  },
+
+  vocabularySize: {
+    type: Number,
+    default: 0,
+  },
+
+  // Per category token frequencies: { token: count }
+  categories: [
+    {
+      _id: false,
+      categoryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'category',
+      },
+      documentCount: Number,
+      tokenCount: Number,
+      tokens: mongoose.Schema.Types.Mixed,
+    },
+  ],
+});
+
+// Transform function for JSON output
+const transformCategoryClassifierFields = (doc, ret, options) => {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+// Ensure that _id and __v are not returned
+categoryClassifierSchema.set('toJSON', {
+  transform: transformCategoryClassifierFields,
+});
+
+categoryClassifierSchema.set('toObject', {
+  transform: transformCategoryClassifierFields,
+});
+
+const CategoryClassifierModel = mongoose.model(
+  'categoryClassifier',
+  categoryClassifierSchema
+);
+
+export default CategoryClassifierModel;
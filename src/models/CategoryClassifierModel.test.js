@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import CategoryClassifierModel from './CategoryClassifierModel.js';
+
+describe('CategoryClassifierModel', () => {
+  test('applies defaults and keeps token frequencies', () => {
+    const categoryId = new mongoose.Types.ObjectId();
+    const doc = new CategoryClassifierModel({
+      categories: [
+        { categoryId, documentCount: 1, tokenCount: 2, tokens: { uber: 2 } },
+      ],
+    });
+
+    expect(doc.name).toBe('default');
+    expect(doc.documentCount).toBe(0);
+    expect(doc.trainedAt).toBeInstanceOf(Date);
+    expect(doc.categories[0].tokens).toEqual({ uber: 2 });
+    expect(doc.categories[0]._id).toBeUndefined();
+  });
+
+  test('toJSON/toObject transform id and remove _id/__v', () => {
+    const doc = new CategoryClassifierModel({});
+    doc.set('__v', 1);
+
+    const json = doc.toJSON();
+    const obj = doc.toObject();
+
+    expect(json._id).toBeUndefined();
+    expect(json.__v).toBeUndefined();
+    expect(json.id.toString()).toBe(doc._id.toString());
+    expect(obj._id).toBeUndefined();
+    expect(obj.id.toString()).toBe(doc._id.toString());
+  });
+});
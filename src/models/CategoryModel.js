@@ -1,9 +1,16 @@
 import mongoose from 'mongoose';
+import softDelete from './softDelete.js';
 
 // Define the Category schema
 const categorySchema = new mongoose.Schema({
   name: { type: String, required: true },
   iconName: String,
+  parentCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'category',
+    default: null,
+    index: true,
+  }, // parent category id, null for root categories
 });
 
 const transformCategoryFields = (doc, ret, options) => {
@@ -22,6 +29,9 @@ categorySchema.set('toObject', {
   transform: transformCategoryFields,
 });
 
+// deleted documents stay in the trash until restored or purged
+categorySchema.plugin(softDelete);
+
 const CategoryModel = mongoose.model('category', categorySchema);
 
 export default CategoryModel;
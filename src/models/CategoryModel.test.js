@@ -20,4 +20,17 @@ describe('CategoryModel', () => {
     expect(obj.name).toBe('Food');
     expect(obj.iconName).toBe('utensils');
   });
+
+  test('parentCategory defaults to null and keeps the parent id', () => {
+    const root = new CategoryModel({ name: 'Alimentação' });
+    const child = new CategoryModel({
+      name: 'Mercado',
+      parentCategory: root._id,
+    });
+
+    expect(root.toObject().parentCategory).toBeNull();
+    expect(child.toObject().parentCategory.toString()).toBe(
+      root._id.toString()
+    );
+  });
 });
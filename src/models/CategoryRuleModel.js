@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schema for Category Rules
+ * Persisted auto-categorization rule: a transaction matching every defined
+ * condition gets the rule category. Rules are evaluated by descending priority.
+ */
+const categoryRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Every defined condition must match
+    conditions: {
+      // Case-insensitive regex tested against transaction name and description
+      descriptionPattern: String,
+      companyCnpj: String,
+      minValue: Number,
+      maxValue: Number,
+      transactionSource: String,
+      paymentMethod: String,
+      transactionType: {
+        type: String,
+        enum: ['credit', 'debit'],
+      },
+    },
+
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'category',
+      required: true,
+    },
+
+    // Higher priority rules are evaluated first
+    priority: {
+      type: Number,
+      default: 0,
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+categoryRuleSchema.index({ active: 1, priority: -1 });
+
+// Transform function for JSON output
+const transformCategoryRuleFields = (doc, ret, options) => {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+// Ensure that _id and __v are not returned
+categoryRuleSchema.set('toJSON', {
+  transform: transformCategoryRuleFields,
+});
+
+categoryRuleSchema.set('toObject', {
+  transform: transformCategoryRuleFields,
+});
+
+const CategoryRuleModel = mongoose.model('categoryRule', categoryRuleSchema);
+
+export default CategoryRuleModel;
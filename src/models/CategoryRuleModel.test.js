@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import CategoryRuleModel from './CategoryRuleModel.js';
+
+describe('CategoryRuleModel', () => {
+  const category = new mongoose.Types.ObjectId();
+
+  test('applies defaults', () => {
+    const doc = new CategoryRuleModel({
+      name: 'Mercado',
+      conditions: { descriptionPattern: 'mercado' },
+      category,
+    });
+
+    expect(doc.priority).toBe(0);
+    expect(doc.active).toBe(true);
+    expect(doc.validateSync()).toBeUndefined();
+  });
+
+  test('validates required fields and transaction type', () => {
+    const doc = new CategoryRuleModel({
+      conditions: { transactionType: 'other' },
+    });
+
+    const error = doc.validateSync();
+
+    expect(error.errors.name).toBeDefined();
+    expect(error.errors.category).toBeDefined();
+    expect(error.errors['conditions.transactionType']).toBeDefined();
+  });
+
+  test('toJSON/toObject transform id and remove _id/__v', () => {
+    const doc = new CategoryRuleModel({ name: 'Mercado', category });
+    doc.set('__v', 1);
+
+    const json = doc.toJSON();
+    const obj = doc.toObject();
+
+    expect(json._id).toBeUndefined();
+    expect(json.__v).toBeUndefined();
+    expect(json.id.toString()).toBe(doc._id.toString());
+    expect(json.name).toBe('Mercado');
+    expect(obj._id).toBeUndefined();
+    expect(obj.id.toString()).toBe(doc._id.toString());
+  });
+});
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import softDelete from './softDelete.js';
 
 const companySchema = mongoose.Schema({
   // Basic company information (from TransactionModel.js)
@@ -275,6 +276,14 @@ const companySchema = mongoose.Schema({
 // Indexes for better query performance
 companySchema.index({ situacao: 1 });
 companySchema.index({ 'address.city': 1, 'address.state': 1 });
+companySchema.index(
+  { companyName: 'text', corporateName: 'text', tradeName: 'text' },
+  {
+    name: 'company_text',
+    default_language: 'portuguese',
+    weights: { companyName: 5, tradeName: 3 },
+  }
+);
 
 // Update the updatedAt field before saving
 companySchema.pre('save', function (next) {
@@ -299,6 +308,9 @@ companySchema.set('toObject', {
   transform: transformCompanyFields,
 });
 
+// deleted documents stay in the trash until restored or purged
+companySchema.plugin(softDelete);
+
 const CompanyModel = mongoose.model('company', companySchema);
 
 export default CompanyModel;
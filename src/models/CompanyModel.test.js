@@ -56,4 +56,16 @@ describe('CompanyModel', () => {
     expect(doc.updatedAt).toBeInstanceOf(Date);
     expect(doc.updatedAt.getTime()).toBeGreaterThan(0);
   });
+
+  test('declares a text index on company names', () => {
+    const textIndex = CompanyModel.schema
+      .indexes()
+      .find(([, options]) => options.name === 'company_text');
+
+    expect(textIndex[0]).toEqual({
+      companyName: 'text',
+      corporateName: 'text',
+      tradeName: 'text',
+    });
+  });
 });
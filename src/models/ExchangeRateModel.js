@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schema for Exchange Rates
+ * Locally maintained table of the BRL value of one unit of a currency on a
+ * date. Conversions use the latest rate on or before the transaction date.
+ */
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    // ISO 4217 code, such as USD or EUR
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      match: /^[A-Z]{3}$/,
+    },
+
+    date: {
+      type: Date,
+      required: true,
+    },
+
+    // BRL value of one unit of the currency
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    // manual, csv
+    source: {
+      type: String,
+      default: 'manual',
+    },
+  },
+  { timestamps: true }
+);
+
+exchangeRateSchema.index({ currency: 1, date: 1 }, { unique: true });
+
+// Transform function for JSON output
+const transformExchangeRateFields = (doc, ret, options) => {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+// Ensure that _id and __v are not returned
+exchangeRateSchema.set('toJSON', {
+  transform: transformExchangeRateFields,
+});
+
+exchangeRateSchema.set('toObject', {
+  transform: transformExchangeRateFields,
+});
+
+const ExchangeRateModel = mongoose.model('exchangeRate', exchangeRateSchema);
+
+export default ExchangeRateModel;
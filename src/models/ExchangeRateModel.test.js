@@ -0,0 +1,43 @@
+import ExchangeRateModel from './ExchangeRateModel.js';
+
+describe('ExchangeRateModel', () => {
+  test('normalizes the currency and applies defaults', () => {
+    const doc = new ExchangeRateModel({
+      currency: ' usd ',
+      date: new Date('2024-01-01T00:00:00.000Z'),
+      rate: 4.9,
+    });
+
+    expect(doc.currency).toBe('USD');
+    expect(doc.source).toBe('manual');
+    expect(doc.validateSync()).toBeUndefined();
+  });
+
+  test('validates required fields, currency code and rate', () => {
+    const doc = new ExchangeRateModel({ currency: 'dollar', rate: -1 });
+
+    const error = doc.validateSync();
+
+    expect(error.errors.currency).toBeDefined();
+    expect(error.errors.date).toBeDefined();
+    expect(error.errors.rate).toBeDefined();
+  });
+
+  test('toJSON/toObject transform id and remove _id/__v', () => {
+    const doc = new ExchangeRateModel({
+      currency: 'EUR',
+      date: new Date('2024-01-01T00:00:00.000Z'),
+      rate: 5.4,
+    });
+    doc.set('__v', 1);
+
+    const json = doc.toJSON();
+    const obj = doc.toObject();
+
+    expect(json._id).toBeUndefined();
+    expect(json.__v).toBeUndefined();
+    expect(json.id.toString()).toBe(doc._id.toString());
+    expect(obj._id).toBeUndefined();
+    expect(obj.id.toString()).toBe(doc._id.toString());
+  });
+});
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import softDelete from './softDelete.js';
 
 /**
  * Schema for Fiscal Book entities
@@ -103,6 +104,9 @@ fiscalBookSchema.set('toObject', {
   transform: transformFiscalBookFields,
 });
 
+// deleted documents stay in the trash until restored or purged
+fiscalBookSchema.plugin(softDelete);
+
 const FiscalBookModel = mongoose.model('fiscalBook', fiscalBookSchema);
 
 export default FiscalBookModel;
@@ -64,6 +64,19 @@ const fiscalBookSnapshotSchema = new mongoose.Schema({
     createdBy: String, // user ID or name
   }],
 
+  // Attachments of the fiscal book at snapshot time; the contents stay in
+  // the attachment storage while a snapshot references their hash
+  attachments: [{
+    fileName: String,
+    contentType: String,
+    size: Number,
+    contentHash: {
+      type: String,
+      index: true,
+    },
+    attachedAt: Date,
+  }],
+
   // Complete copy of fiscal book data at snapshot time
   fiscalBookData: {
     bookName: String,
@@ -97,6 +110,16 @@ const fiscalBookSnapshotSchema = new mongoose.Schema({
       type: Number,
       default: 0,
     },
+    // Reporting currency of the totals
+    currency: {
+      type: String,
+      default: 'BRL',
+    },
+    // Transactions left out of the totals for lack of an exchange rate
+    unconvertedCount: {
+      type: Number,
+      default: 0,
+    },
   },
 });
 
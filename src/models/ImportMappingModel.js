@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schema for Import Mappings
+ * Named column mapping profile used by the generic CSV importer for banks
+ * without a dedicated parser.
+ */
+const importMappingSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+
+  // Field delimiter, auto-detected when empty
+  delimiter: String,
+
+  // Headers of the columns holding each transaction field
+  dateColumn: { type: String, required: true, trim: true },
+  valueColumn: { type: String, required: true, trim: true },
+  descriptionColumn: { type: String, required: true, trim: true },
+
+  // Date format of the date column (tokens DD, MM, YYYY, YY)
+  dateFormat: {
+    type: String,
+    default: 'DD/MM/YYYY',
+  },
+
+  // Decimal separator of the value column
+  decimalSeparator: {
+    type: String,
+    enum: [',', '.'],
+    default: ',',
+  },
+
+  // Credit card statements usually list purchases as positive values
+  positiveIsDebit: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+// Transform function for JSON output
+const transformImportMappingFields = (doc, ret, options) => {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+// Ensure that _id and __v are not returned
+importMappingSchema.set('toJSON', {
+  transform: transformImportMappingFields,
+});
+
+importMappingSchema.set('toObject', {
+  transform: transformImportMappingFields,
+});
+
+const ImportMappingModel = mongoose.model('importMapping', importMappingSchema);
+
+export default ImportMappingModel;
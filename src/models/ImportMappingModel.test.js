@@ -0,0 +1,42 @@
+import ImportMappingModel from './ImportMappingModel.js';
+
+describe('ImportMappingModel', () => {
+  test('applies defaults', () => {
+    const doc = new ImportMappingModel({
+      name: 'Banco X',
+      dateColumn: 'Data',
+      valueColumn: 'Valor',
+      descriptionColumn: 'Histórico',
+    });
+
+    expect(doc.dateFormat).toBe('DD/MM/YYYY');
+    expect(doc.decimalSeparator).toBe(',');
+    expect(doc.positiveIsDebit).toBe(false);
+  });
+
+  test('validates required columns and decimal separator', () => {
+    const doc = new ImportMappingModel({ name: 'X', decimalSeparator: ';' });
+
+    const error = doc.validateSync();
+
+    expect(error.errors.dateColumn).toBeDefined();
+    expect(error.errors.valueColumn).toBeDefined();
+    expect(error.errors.descriptionColumn).toBeDefined();
+    expect(error.errors.decimalSeparator).toBeDefined();
+  });
+
+  test('toJSON/toObject transform id and remove _id/__v', () => {
+    const doc = new ImportMappingModel({ name: 'Banco X' });
+    doc.set('__v', 1);
+
+    const json = doc.toJSON();
+    const obj = doc.toObject();
+
+    expect(json._id).toBeUndefined();
+    expect(json.__v).toBeUndefined();
+    expect(json.id.toString()).toBe(doc._id.toString());
+    expect(json.name).toBe('Banco X');
+    expect(obj._id).toBeUndefined();
+    expect(obj.id.toString()).toBe(doc._id.toString());
+  });
+});
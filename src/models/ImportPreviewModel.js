@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schema for Import Previews
+ * Stores the rows planned by a statement import preview (dry run) until the
+ * preview is committed or expires.
+ */
+const importPreviewSchema = new mongoose.Schema({
+  // Import source the preview was generated for
+  source: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  // Options used to plan the rows (e.g. duplicates handling)
+  options: {
+    type: Object,
+    default: {},
+  },
+
+  // Planned rows: { line, status, transactionObject } or { line, status, reason }
+  rows: [mongoose.Schema.Types.Mixed],
+
+  // Preview expires one hour after creation
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 3600,
+  },
+});
+
+// Transform function for JSON output
+const transformImportPreviewFields = (doc, ret, options) => {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+// Ensure that _id and __v are not returned
+importPreviewSchema.set('toJSON', {
+  transform: transformImportPreviewFields,
+});
+
+importPreviewSchema.set('toObject', {
+  transform: transformImportPreviewFields,
+});
+
+const ImportPreviewModel = mongoose.model('importPreview', importPreviewSchema);
+
+export default ImportPreviewModel;
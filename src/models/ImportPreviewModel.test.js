@@ -0,0 +1,27 @@
+import ImportPreviewModel from './ImportPreviewModel.js';
+
+describe('ImportPreviewModel', () => {
+  test('toJSON/toObject transform id and remove _id/__v', () => {
+    const doc = new ImportPreviewModel({
+      source: 'nubank',
+      options: { duplicates: 'skip' },
+      rows: [{ line: 2, status: 'skipped', reason: 'Zero value' }],
+    });
+    doc.set('__v', 1);
+
+    const json = doc.toJSON();
+    const obj = doc.toObject();
+
+    expect(json._id).toBeUndefined();
+    expect(json.__v).toBeUndefined();
+    expect(json.id.toString()).toBe(doc._id.toString());
+    expect(json.source).toBe('nubank');
+    expect(json.options).toEqual({ duplicates: 'skip' });
+    expect(json.rows).toHaveLength(1);
+    expect(json.createdAt).toBeInstanceOf(Date);
+
+    expect(obj._id).toBeUndefined();
+    expect(obj.__v).toBeUndefined();
+    expect(obj.id.toString()).toBe(doc._id.toString());
+  });
+});
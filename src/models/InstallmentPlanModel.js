@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import { monetaryCentsField } from './monetaryCentsField.js';
+
+/**
+ * Schema for Installment Plans
+ * One plan per installment purchase on a credit card, linking the statement
+ * rows of its installments ("Loja - 3/10"). Installments not imported yet
+ * are projected one month apart from the first one.
+ */
+const installmentPlanSchema = new mongoose.Schema(
+  {
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'account',
+      required: true,
+    },
+
+    // Merchant as written on the statement, without the installment suffix
+    planName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Normalized merchant used to link the rows of the plan
+    merchantKey: {
+      type: String,
+      required: true,
+    },
+
+    // Stored in cents, read as "1500,00"
+    installmentValue: {
+      ...monetaryCentsField(),
+      required: true,
+    },
+
+    installmentCount: {
+      type: Number,
+      required: true,
+      min: 2,
+    },
+
+    // Inferred from the installment number of the first linked row
+    firstInstallmentDate: {
+      type: Date,
+      required: true,
+    },
+
+    // Installments billed on imported statements
+    installments: [
+      {
+        installmentNumber: { type: Number, required: true, min: 1 },
+        transactionId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'transaction',
+        },
+        installmentDate: Date,
+        installmentValue: monetaryCentsField(),
+      },
+    ],
+
+    // Installments not billed yet, on their expected date
+    projectedInstallments: [
+      {
+        installmentNumber: Number,
+        installmentDate: Date,
+        installmentValue: monetaryCentsField(),
+      },
+    ],
+
+    paidInstallments: {
+      type: Number,
+      default: 0,
+    },
+
+    remainingInstallments: {
+      type: Number,
+      default: 0,
+    },
+
+    remainingValue: {
+      ...monetaryCentsField(),
+      default: 0,
+    },
+
+    status: {
+      type: String,
+      enum: ['active', 'finished'],
+      default: 'active',
+    },
+  },
+  { timestamps: true }
+);
+
+installmentPlanSchema.index({ accountId: 1, status: 1, merchantKey: 1 });
+
+// Transform function for JSON output
+const transformInstallmentPlanFields = (doc, ret, options) => {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+// getters format the cents back to the "1500,00" text
+installmentPlanSchema.set('toJSON', {
+  getters: true,
+  virtuals: false,
+  transform: transformInstallmentPlanFields,
+});
+
+installmentPlanSchema.set('toObject', {
+  getters: true,
+  virtuals: false,
+  transform: transformInstallmentPlanFields,
+});
+
+const InstallmentPlanModel = mongoose.model(
+  'installmentPlan',
+  installmentPlanSchema
+);
+
+export default InstallmentPlanModel;
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import InstallmentPlanModel from './InstallmentPlanModel.js';
+
+describe('InstallmentPlanModel', () => {
+  const plan = {
+    accountId: new mongoose.Types.ObjectId(),
+    planName: 'Loja',
+    merchantKey: 'loja',
+    installmentValue: 5000,
+    installmentCount: 3,
+    firstInstallmentDate: new Date('2024-01-15T12:00:00-04:00'),
+  };
+
+  test('applies defaults', () => {
+    const doc = new InstallmentPlanModel(plan);
+
+    expect(doc.status).toBe('active');
+    expect(doc.paidInstallments).toBe(0);
+    expect(doc.get('remainingValue', null, { getters: false })).toBe(0);
+    expect(doc.installments).toEqual([]);
+    expect(doc.validateSync()).toBeUndefined();
+  });
+
+  test('validates required fields, count and status', () => {
+    const error = new InstallmentPlanModel({
+      installmentCount: 1,
+      status: 'late',
+    }).validateSync();
+
+    expect(error.errors.accountId).toBeDefined();
+    expect(error.errors.planName).toBeDefined();
+    expect(error.errors.merchantKey).toBeDefined();
+    expect(error.errors.installmentValue).toBeDefined();
+    expect(error.errors.installmentCount).toBeDefined();
+    expect(error.errors.firstInstallmentDate).toBeDefined();
+    expect(error.errors.status).toBeDefined();
+  });
+
+  test('toJSON/toObject transform id and format cents', () => {
+    const doc = new InstallmentPlanModel({
+      ...plan,
+      installments: [{ installmentNumber: 1, installmentValue: 5000 }],
+      projectedInstallments: [{ installmentNumber: 2, installmentValue: 5000 }],
+      remainingValue: 10000,
+    });
+    doc.set('__v', 1);
+
+    const json = doc.toJSON();
+    const obj = doc.toObject();
+
+    expect(json._id).toBeUndefined();
+    expect(json.__v).toBeUndefined();
+    expect(json.id.toString()).toBe(doc._id.toString());
+    expect(json.installmentValue).toBe('50,00');
+    expect(json.remainingValue).toBe('100,00');
+    expect(json.installments[0].installmentValue).toBe('50,00');
+    expect(json.projectedInstallments[0].installmentValue).toBe('50,00');
+    expect(obj._id).toBeUndefined();
+  });
+});
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import softDelete from './softDelete.js';
 
 /**
  * Schema for Person (Individual) entities
@@ -310,6 +311,16 @@ PersonSchema.index({ 'address.state': 1 });
 PersonSchema.index({ status: 1 });
 PersonSchema.index({ createdAt: -1 });
 
+// Busca textual (Full-text search)
+PersonSchema.index(
+  { fullName: 'text', 'personalBusiness.businessName': 'text' },
+  {
+    name: 'person_text',
+    default_language: 'portuguese',
+    weights: { fullName: 5 },
+  }
+);
+
 // Personal business indexes
 PersonSchema.index({ 'personalBusiness.hasPersonalBusiness': 1 });
 PersonSchema.index({ 'personalBusiness.businessType': 1 });
@@ -376,6 +387,9 @@ PersonSchema.virtual('primaryContact').get(function () {
   return null;
 });
 
+// deleted documents stay in the trash until restored or purged
+PersonSchema.plugin(softDelete);
+
 const PersonModel = mongoose.model('Person', PersonSchema);
 
 export default PersonModel;
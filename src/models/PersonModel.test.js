@@ -138,4 +138,15 @@ describe('PersonModel', () => {
     expect(doc.updatedAt).toBeInstanceOf(Date);
     expect(doc.updatedAt.getTime()).toBeGreaterThan(0);
   });
+
+  test('declares a text index on person and business names', () => {
+    const textIndex = PersonModel.schema
+      .indexes()
+      .find(([, options]) => options.name === 'person_text');
+
+    expect(textIndex[0]).toEqual({
+      fullName: 'text',
+      'personalBusiness.businessName': 'text',
+    });
+  });
 });
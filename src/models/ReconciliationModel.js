@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import { monetaryCentsField } from './monetaryCentsField.js';
+
+/**
+ * Schema for Reconciliations
+ * Agreement between an account and the closing balance of a bank statement.
+ * The reconciled transactions point back to the reconciliation through
+ * `reconciliationId` and cannot be edited until it is undone.
+ */
+const reconciliationSchema = new mongoose.Schema(
+  {
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'account',
+      required: true,
+      index: true,
+    },
+
+    // End of the last statement day
+    statementDate: {
+      type: Date,
+      required: true,
+    },
+
+    // Stored in cents, read as "1500,00"
+    statementBalance: {
+      ...monetaryCentsField(),
+      required: true,
+    },
+
+    reconciledBy: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    transactionIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'transaction',
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// Transform function for JSON output
+const transformReconciliationFields = (doc, ret, options) => {
+  ret.id = ret._id;
+  delete ret._id;
+  delete ret.__v;
+  return ret;
+};
+
+// getters format the statement balance cents back to the "1500,00" text
+reconciliationSchema.set('toJSON', {
+  getters: true,
+  virtuals: false,
+  transform: transformReconciliationFields,
+});
+
+reconciliationSchema.set('toObject', {
+  getters: true,
+  virtuals: false,
+  transform: transformReconciliationFields,
+});
+
+const ReconciliationModel = mongoose.model(
+  'reconciliation',
+  reconciliationSchema
+);
+
+export default ReconciliationModel;
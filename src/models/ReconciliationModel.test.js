@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import ReconciliationModel from './ReconciliationModel.js';
+
+describe('ReconciliationModel', () => {
+  const accountId = new mongoose.Types.ObjectId();
+
+  test('validates required fields', () => {
+    const error = new ReconciliationModel({}).validateSync();
+
+    expect(error.errors.accountId).toBeDefined();
+    expect(error.errors.statementDate).toBeDefined();
+    expect(error.errors.statementBalance).toBeDefined();
+    expect(error.errors.reconciledBy).toBeDefined();
+  });
+
+  test('stores the statement balance in cents', () => {
+    const doc = new ReconciliationModel({
+      accountId,
+      statementDate: new Date('2024-01-31T23:59:59-04:00'),
+      statementBalance: '-1.500,00',
+      reconciledBy: ' Ana ',
+    });
+
+    expect(doc.validateSync()).toBeUndefined();
+    expect(doc.get('statementBalance', null, { getters: false })).toBe(-150000);
+    expect(doc.reconciledBy).toBe('Ana');
+    expect(doc.transactionIds).toEqual([]);
+  });
+
+  test('toJSON/toObject transform id and format the statement balance', () => {
+    const doc = new ReconciliationModel({
+      accountId,
+      statementDate: new Date(),
+      statementBalance: 150000,
+      reconciledBy: 'Ana',
+    });
+    doc.set('__v', 1);
+
+    const json = doc.toJSON();
+    const obj = doc.toObject();
+
+    expect(json._id).toBeUndefined();
+    expect(json.__v).toBeUndefined();
+    expect(json.id.toString()).toBe(doc._id.toString());
+    expect(json.statementBalance).toBe('1500,00');
+    expect(obj._id).toBeUndefined();
+    expect(obj.id.toString()).toBe(doc._id.toString());
+  });
+});
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { monetaryCentsField } from './monetaryCentsField.js';
 
 /**
  * Schema for Snapshot Transactions
@@ -34,16 +35,32 @@ const snapshotTransactionSchema = new mongoose.Schema({
     createdBy: String, // user ID or name
   }],
 
+  // Attachments of the transaction at snapshot time; the contents stay in
+  // the attachment storage while a snapshot references their hash
+  attachments: [{
+    fileName: String,
+    contentType: String,
+    size: Number,
+    contentHash: {
+      type: String,
+      index: true,
+    },
+    attachedAt: Date,
+  }],
+
   // Complete copy of transaction data at snapshot time
   transactionData: {
     transactionDate: Date,
     transactionPeriod: String,
     transactionSource: String,
-    transactionValue: String,
+    transactionValue: monetaryCentsField(),
+    originalCurrency: String,
+    originalValue: monetaryCentsField(),
     transactionName: String,
     transactionDescription: String,
     transactionFiscalNote: String,
     transactionId: String,
+    importFingerprint: String,
     transactionStatus: String,
     transactionLocation: {
       type: String,
@@ -58,11 +75,16 @@ const snapshotTransactionSchema = new mongoose.Schema({
       installmentsAmount: String,
       installmentsInformation: [{
         installmentDate: Date,
-        installmentValue: String,
+        installmentValue: monetaryCentsField(),
       }],
     },
     transactionCategory: mongoose.Schema.Types.ObjectId,
-    freightValue: String,
+    freightValue: monetaryCentsField(),
+    splits: [{
+      splitCategory: mongoose.Schema.Types.ObjectId,
+      splitValue: monetaryCentsField(),
+      splitNote: String,
+    }],
     paymentMethod: {
       type: String,
       enum: [
@@ -78,13 +100,29 @@ const snapshotTransactionSchema = new mongoose.Schema({
     items: [{
       itemName: String,
       itemDescription: String,
-      itemValue: String,
+      itemValue: monetaryCentsField(),
       itemUnits: Number,
     }],
     companyName: String,
     companySellerName: String,
     companyCnpj: String,
     companyId: mongoose.Schema.Types.ObjectId,
+    accountId: mongoose.Schema.Types.ObjectId,
+    transferPairId: mongoose.Schema.Types.ObjectId,
+    refundOfId: mongoose.Schema.Types.ObjectId,
+    refundOriginal: {
+      transactionCategory: mongoose.Schema.Types.ObjectId,
+      splits: {
+        type: [{
+          splitCategory: mongoose.Schema.Types.ObjectId,
+          splitValue: monetaryCentsField(),
+          splitNote: String,
+        }],
+        default: undefined,
+      },
+    },
+    reconciliationId: mongoose.Schema.Types.ObjectId,
+    installmentPlanId: mongoose.Schema.Types.ObjectId,
   },
 
   // Timestamp when transaction was copied
@@ -106,11 +144,16 @@ const transformSnapshotTransactionFields = (doc, ret, options) => {
 };
 
 // Ensure that _id and __v are not returned
+// getters format the monetary cents back to the legacy "1500,00" text
 snapshotTransactionSchema.set('toJSON', {
+  getters: true,
+  virtuals: false,
   transform: transformSnapshotTransactionFields,
 });
 
 snapshotTransactionSchema.set('toObject', {
+  getters: true,
+  virtuals: false,
   transform: transformSnapshotTransactionFields,
 });
 
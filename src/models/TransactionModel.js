@@ -1,15 +1,27 @@
 import mongoose from 'mongoose';
+import { monetaryCentsField } from './monetaryCentsField.js';
+import softDelete from './softDelete.js';
 import { paymentMethodAdapter } from '../services/prototype/paymenthMethodAdapter.js';
 
+// Allocation of part of a transaction to a category
+const splitFields = {
+  splitCategory: { type: mongoose.Schema.Types.ObjectId, ref: 'category' }, // category of this allocation
+  splitValue: monetaryCentsField(), // allocations sum to transactionValue
+  splitNote: String,
+};
+
 const transactionSchema = mongoose.Schema({
   transactionDate: { type: Date, default: Date.now },
   transactionPeriod: String, // month and year of transaction
   transactionSource: String, // manual, nubank, nubank-credit, digio-credit, mercadolivre, flash
-  transactionValue: String,
+  transactionValue: monetaryCentsField(), // stored in cents, read as "1500,00"
+  originalCurrency: { type: String, uppercase: true, trim: true }, // ISO 4217 code of purchases made in another currency
+  originalValue: monetaryCentsField(), // amount in originalCurrency; transactionValue stays in BRL
   transactionName: String, // brief description/name about the transaction
   transactionDescription: String, // detailed information about the transaction
   transactionFiscalNote: String, // fiscal note key
   transactionId: { type: String, index: true }, // transaction id from the transaction source
+  importFingerprint: { type: String, index: true }, // source id or content hash used to detect re-imported rows
   transactionStatus: { type: String, index: true }, // concluded, refunded, started
   transactionLocation: {
     type: String,
@@ -20,14 +32,18 @@ const transactionSchema = mongoose.Schema({
   installments: {
     installmentsAmount: String,
     installmentsInformation: [
-      { installmentDate: { type: Date }, installmentValue: String },
+      {
+        installmentDate: { type: Date },
+        installmentValue: monetaryCentsField(),
+      },
     ],
   },
   transactionCategory: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'category',
   }, // category id
-  freightValue: String, // only applicable for online transaction of physical product
+  freightValue: monetaryCentsField(), // only applicable for online transaction of physical product
+  splits: [splitFields], // allocations counted by category reports instead of the transaction itself
   paymentMethod: {
     type: String,
     enum: [
@@ -44,7 +60,7 @@ const transactionSchema = mongoose.Schema({
     {
       itemName: String, // brief description/name about the item
       itemDescription: String, // detailed information about the item
-      itemValue: String, // individual value of item
+      itemValue: monetaryCentsField(), // individual value of item
       itemUnits: { type: Number, min: 1 }, // amount of units of the same item
     },
   ],
@@ -61,8 +77,52 @@ const transactionSchema = mongoose.Schema({
     ref: 'fiscalBook',
     index: true,
   }, // reference to Fiscal Book collection
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'account',
+    index: true,
+  }, // reference to Account collection
+  transferPairId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'transaction',
+    index: true,
+  }, // other side of an internal transfer; both sides are left out of income and expenses
+  refundOfId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'transaction',
+    index: true,
+  }, // purchase reversed by this refund or chargeback; netted against its expenses instead of counted as income
+  refundOriginal: {
+    transactionCategory: { type: mongoose.Schema.Types.ObjectId, ref: 'category' },
+    splits: { type: [splitFields], default: undefined },
+  }, // category and splits the refund had before taking the purchase's; restored when unlinked
+  reconciliationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'reconciliation',
+    index: true,
+  }, // statement reconciliation locking the transaction from edits
+  installmentPlanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'installmentPlan',
+    index: true,
+  }, // installment purchase this statement row bills
 });
 
+// Full-text search over names, descriptions, item names and companies
+transactionSchema.index(
+  {
+    transactionName: 'text',
+    transactionDescription: 'text',
+    'items.itemName': 'text',
+    companyName: 'text',
+  },
+  {
+    name: 'transaction_text',
+    default_language: 'portuguese',
+    weights: { transactionName: 5, companyName: 3 },
+  }
+);
+
 const transformTransactionFields = (doc, ret, options) => {
   ret.id = ret._id;
   if (!ret.transactionValue) {
@@ -89,14 +149,22 @@ const transformTransactionFields = (doc, ret, options) => {
 };
 
 // Ensure that _id and __v is not returned
+// getters format the monetary cents back to the legacy "1500,00" text
 transactionSchema.set('toJSON', {
+  getters: true,
+  virtuals: false,
   transform: transformTransactionFields,
 });
 
 transactionSchema.set('toObject', {
+  getters: true,
+  virtuals: false,
   transform: transformTransactionFields,
 });
 
+// deleted documents stay in the trash until restored or purged
+transactionSchema.plugin(softDelete);
+
 const TransactionModel = mongoose.model('transaction', transactionSchema);
 
 export default TransactionModel;
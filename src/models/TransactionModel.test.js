@@ -33,4 +33,66 @@ describe('TransactionModel', () => {
     expect(json.transactionLocation).toBe('other');
     expect(paymentMethodAdapter).toHaveBeenCalledTimes(1);
   });
+
+  test('stores monetary values as cents and emits legacy text', () => {
+    const doc = new TransactionModel({
+      transactionValue: '1.500,25',
+      freightValue: 'R$ 10,00',
+      items: [{ itemName: 'Item', itemValue: '-3,50' }],
+      splits: [{ splitCategory: '507f1f77bcf86cd799439011', splitValue: 6000 }],
+      installments: {
+        installmentsInformation: [{ installmentValue: '750,13' }],
+      },
+    });
+
+    expect(doc.get('transactionValue', null, { getters: false })).toBe(150025);
+    expect(doc.items[0].get('itemValue', null, { getters: false })).toBe(-350);
+
+    const json = doc.toJSON();
+    const object = doc.toObject();
+
+    expect(json.transactionValue).toBe('1500,25');
+    expect(json.freightValue).toBe('10,00');
+    expect(json.items[0].itemValue).toBe('-3,50');
+    expect(json.splits[0].splitValue).toBe('60,00');
+    expect(json.installments.installmentsInformation[0].installmentValue).toBe(
+      '750,13'
+    );
+    expect(object.transactionValue).toBe('1500,25');
+  });
+
+  test('keeps stored cents when values are copied between documents', () => {
+    const source = new TransactionModel({ transactionValue: '99,99' });
+    const copy = new TransactionModel({
+      transactionValue: source.get('transactionValue', null, {
+        getters: false,
+      }),
+    });
+
+    expect(copy.toJSON().transactionValue).toBe('99,99');
+    expect(
+      new TransactionModel({ transactionValue: source.transactionValue })
+        .transactionValue
+    ).toBe('99,99');
+  });
+
+  test('rejects monetary text that is not a number', () => {
+    const doc = new TransactionModel({ transactionValue: 'abc' });
+
+    expect(doc.validateSync().errors.transactionValue).toBeDefined();
+  });
+
+  test('declares a weighted text index for search', () => {
+    const textIndex = TransactionModel.schema
+      .indexes()
+      .find(([, options]) => options.name === 'transaction_text');
+
+    expect(textIndex[0]).toEqual({
+      transactionName: 'text',
+      transactionDescription: 'text',
+      'items.itemName': 'text',
+      companyName: 'text',
+    });
+    expect(textIndex[1].default_language).toBe('portuguese');
+  });
 });
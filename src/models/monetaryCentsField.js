@@ -0,0 +1,22 @@
+import {
+  toMonetaryCents,
+  formatMonetaryCents,
+} from '../infrastructure/monetary/monetaryUtils.js';
+
+/**
+ * Schema definition for monetary values stored as integer cents
+ * Accepts the legacy "1500,00" text (or cents) and reads back as text, so
+ * the API keeps its string format while MongoDB stores numbers that
+ * aggregations can sum directly. Schemas using it must enable getters in
+ * toJSON/toObject.
+ * @returns {Object} Mongoose path definition
+ */
+export function monetaryCentsField() {
+  return {
+    type: Number,
+    set: toMonetaryCents,
+    get: formatMonetaryCents,
+  };
+}
+
+export default monetaryCentsField;
@@ -0,0 +1,86 @@
+// Queries that skip documents in the trash; deletes are left alone so the
+// trash can be purged
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+];
+
+// Aggregation stages that must come first in a pipeline
+const LEADING_STAGES = [
+  '$geoNear',
+  '$search',
+  '$searchMeta',
+  '$vectorSearch',
+  '$collStats',
+  '$indexStats',
+];
+
+/**
+ * Filter condition matching documents in and out of the trash
+ * Its `deletedAt` key opts a query out of the trash filter; `$nin: []`
+ * matches every value, including documents saved before the marker existed.
+ */
+export const WITH_DELETED = { deletedAt: { $nin: [] } };
+
+/**
+ * Restrict a query to documents outside the trash
+ * Queries whose filter already mentions `deletedAt` (the trash itself) and
+ * upserts, which must still see trashed documents holding a unique key, are
+ * left as they are.
+ * @this {Object} Mongoose query
+ */
+export function excludeDeletedDocuments() {
+  if ('deletedAt' in this.getFilter() || this.getOptions().upsert) {
+    return;
+  }
+  this.where({ deletedAt: null });
+}
+
+/**
+ * Restrict an aggregation to documents outside the trash
+ * The condition joins the leading $match (a $text search must stay in the
+ * first stage) or is added at the start of the pipeline.
+ * @this {Object} Mongoose aggregate
+ */
+export function excludeDeletedStages() {
+  const pipeline = this.pipeline();
+  const mentionsTrash = pipeline.some(
+    (stage) => stage.$match && 'deletedAt' in stage.$match
+  );
+  if (mentionsTrash) {
+    return;
+  }
+
+  const [first] = pipeline;
+  if (first?.$match) {
+    first.$match.deletedAt = null;
+  } else if (first && LEADING_STAGES.includes(Object.keys(first)[0])) {
+    pipeline.splice(1, 0, { $match: { deletedAt: null } });
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+}
+
+/**
+ * Schema plugin for soft deletion
+ * Adds the `deletedAt` marker and hides documents carrying it from queries
+ * and aggregations, so deleted documents stay in the trash until restored
+ * or purged.
+ * @param {Object} schema - Mongoose schema
+ */
+export function softDelete(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+  });
+  schema.pre(FILTERED_QUERIES, excludeDeletedDocuments);
+  schema.pre('aggregate', excludeDeletedStages);
+}
+
+export default softDelete;
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import softDelete, {
+  WITH_DELETED,
+  excludeDeletedDocuments,
+  excludeDeletedStages,
+} from './softDelete.js';
+
+const schema = new mongoose.Schema({ name: String });
+schema.plugin(softDelete);
+const TrashableModel = mongoose.model('softDeleteTest', schema);
+
+describe('softDelete', () => {
+  test('adds the deletedAt marker and registers the hooks', () => {
+    expect(new TrashableModel({ name: 'a' }).deletedAt).toBeNull();
+    expect(schema.path('deletedAt').instance).toBe('Date');
+
+    const hooks = schema.s.hooks;
+    expect(hooks._pres.get('find').some((hook) => hook.fn === excludeDeletedDocuments)).toBe(true);
+    expect(hooks._pres.get('updateMany').some((hook) => hook.fn === excludeDeletedDocuments)).toBe(true);
+    expect(hooks._pres.get('aggregate').some((hook) => hook.fn === excludeDeletedStages)).toBe(true);
+    expect(hooks._pres.get('deleteMany') || []).toHaveLength(0);
+  });
+
+  test('excludeDeletedDocuments hides trashed documents', () => {
+    const query = TrashableModel.find({ name: 'a' });
+    excludeDeletedDocuments.call(query);
+    expect(query.getFilter()).toEqual({ name: 'a', deletedAt: null });
+
+    const trash = TrashableModel.find({ deletedAt: { $ne: null } });
+    excludeDeletedDocuments.call(trash);
+    expect(trash.getFilter()).toEqual({ deletedAt: { $ne: null } });
+
+    const all = TrashableModel.find({ name: 'a', ...WITH_DELETED });
+    excludeDeletedDocuments.call(all);
+    expect(all.getFilter()).toEqual({ name: 'a', deletedAt: { $nin: [] } });
+
+    const upsert = TrashableModel.findOneAndUpdate({ name: 'a' }, {}, { upsert: true });
+    excludeDeletedDocuments.call(upsert);
+    expect(upsert.getFilter()).toEqual({ name: 'a' });
+  });
+
+  test('excludeDeletedStages filters aggregations', () => {
+    const run = (pipeline) => {
+      const aggregate = TrashableModel.aggregate(pipeline);
+      excludeDeletedStages.call(aggregate);
+      return aggregate.pipeline();
+    };
+
+    expect(run([{ $group: { _id: null } }])).toEqual([
+      { $match: { deletedAt: null } },
+      { $group: { _id: null } },
+    ]);
+    expect(run([{ $match: { $text: { $search: 'a' } } }])).toEqual([
+      { $match: { $text: { $search: 'a' }, deletedAt: null } },
+    ]);
+    expect(run([{ $geoNear: { near: [0, 0] } }, { $limit: 1 }])).toEqual([
+      { $geoNear: { near: [0, 0] } },
+      { $match: { deletedAt: null } },
+      { $limit: 1 },
+    ]);
+    expect(run([{ $limit: 1 }, { $match: { deletedAt: { $ne: null } } }])).toEqual([
+      { $limit: 1 },
+      { $match: { deletedAt: { $ne: null } } },
+    ]);
+    expect(run([])).toEqual([{ $match: { deletedAt: null } }]);
+  });
+});
@@ -0,0 +1,95 @@
+import AccountModel from '../models/AccountModel.js';
+
+/**
+ * Create an account
+ * @param {Object} accountData - Account data
+ * @returns {Promise<Object>} Created account
+ */
+export async function insert(accountData) {
+  try {
+    const account = new AccountModel(accountData);
+    await account.save();
+    return account;
+  } catch (error) {
+    console.error('Error in insert:', error.message);
+    throw new Error('An error occurred while saving the account.');
+  }
+}
+
+/**
+ * List accounts by name
+ * @param {Object} filter - Filter criteria
+ * @returns {Promise<Array>} Accounts
+ */
+export async function findAll(filter = {}) {
+  try {
+    return await AccountModel.find(filter).sort({ accountName: 1 });
+  } catch (error) {
+    console.error('Error in findAll:', error.message);
+    throw new Error('An error occurred while listing accounts.');
+  }
+}
+
+/**
+ * Find an account by ID
+ * @param {string} id - Account ID
+ * @returns {Promise<Object|null>} Account or null
+ */
+export async function findById(id) {
+  try {
+    const account = await AccountModel.findById(id);
+    return account || null;
+  } catch (error) {
+    console.error('Error in findById:', error.message);
+    throw new Error('An error occurred while finding the account.');
+  }
+}
+
+/**
+ * Find the account of a statement source
+ * @param {string} transactionSource - Source (nubank, nubank-credit, flash, ...)
+ * @returns {Promise<Object|null>} Account or null
+ */
+export async function findBySource(transactionSource) {
+  try {
+    const account = await AccountModel.findOne({ transactionSource });
+    return account || null;
+  } catch (error) {
+    console.error('Error in findBySource:', error.message);
+    throw new Error('An error occurred while finding the account by source.');
+  }
+}
+
+/**
+ * Update an account
+ * @param {string} id - Account ID
+ * @param {Object} accountData - Fields to update
+ * @returns {Promise<Object|null>} Updated account or null
+ */
+export async function updateById(id, accountData) {
+  try {
+    const account = await AccountModel.findByIdAndUpdate(id, accountData, {
+      new: true,
+      runValidators: true,
+    });
+    return account || null;
+  } catch (error) {
+    console.error('Error in updateById:', error.message);
+    throw new Error('An error occurred while updating the account.');
+  }
+}
+
+/**
+ * Delete an account
+ * @param {string} id - Account ID
+ * @returns {Promise<Object|null>} Deleted account or null
+ */
+export async function deleteById(id) {
+  try {
+    const account = await AccountModel.findByIdAndDelete(id);
+    return account || null;
+  } catch (error) {
+    console.error('Error in deleteById:', error.message);
+    throw new Error('An error occurred while deleting the account.');
+  }
+}
@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+
+const AccountModel = jest.fn(function (data) {
+  Object.assign(this, data);
+  this.save = jest.fn().mockResolvedValue(this);
+});
+AccountModel.find = jest.fn();
+AccountModel.findById = jest.fn();
+AccountModel.findOne = jest.fn();
+AccountModel.findByIdAndUpdate = jest.fn();
+AccountModel.findByIdAndDelete = jest.fn();
+
+jest.unstable_mockModule('../models/AccountModel.js', () => ({
+  default: AccountModel,
+}));
+
+const { insert, findAll, findById, findBySource, updateById, deleteById } =
+  await import('./accountRepository.js');
+
+describe('accountRepository', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('insert saves the account', async () => {
+    const account = await insert({ accountName: 'Nubank' });
+
+    expect(AccountModel).toHaveBeenCalledWith({ accountName: 'Nubank' });
+    expect(account.save).toHaveBeenCalled();
+  });
+
+  test('insert wraps save errors', async () => {
+    AccountModel.mockImplementationOnce(function () {
+      this.save = jest.fn().mockRejectedValue(new Error('db'));
+      return this;
+    });
+
+    await expect(insert({})).rejects.toThrow(
+      'An error occurred while saving the account.'
+    );
+  });
+
+  test('findAll sorts accounts by name', async () => {
+    const sort = jest.fn().mockResolvedValue([{ id: 'a1' }]);
+    AccountModel.find.mockReturnValue({ sort });
+
+    await expect(findAll()).resolves.toEqual([{ id: 'a1' }]);
+    await findAll({ active: true });
+
+    expect(AccountModel.find).toHaveBeenNthCalledWith(1, {});
+    expect(AccountModel.find).toHaveBeenNthCalledWith(2, { active: true });
+    expect(sort).toHaveBeenCalledWith({ accountName: 1 });
+  });
+
+  test('findAll wraps errors', async () => {
+    AccountModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+
+    await expect(findAll()).rejects.toThrow(
+      'An error occurred while listing accounts.'
+    );
+  });
+
+  test('findById and findBySource return the account or null', async () => {
+    AccountModel.findById
+      .mockResolvedValueOnce({ id: 'a1' })
+      .mockResolvedValueOnce(null);
+    AccountModel.findOne
+      .mockResolvedValueOnce({ id: 'a2' })
+      .mockResolvedValueOnce(null);
+
+    await expect(findById('a1')).resolves.toEqual({ id: 'a1' });
+    await expect(findById('a3')).resolves.toBeNull();
+    await expect(findBySource('nubank')).resolves.toEqual({ id: 'a2' });
+    await expect(findBySource('digio')).resolves.toBeNull();
+    expect(AccountModel.findOne).toHaveBeenCalledWith({
+      transactionSource: 'nubank',
+    });
+  });
+
+  test('findById and findBySource wrap errors', async () => {
+    AccountModel.findById.mockRejectedValue(new Error('db'));
+    AccountModel.findOne.mockRejectedValue(new Error('db'));
+
+    await expect(findById('a1')).rejects.toThrow(
+      'An error occurred while finding the account.'
+    );
+    await expect(findBySource('nubank')).rejects.toThrow(
+      'An error occurred while finding the account by source.'
+    );
+  });
+
+  test('updateById runs validators and returns the updated account', async () => {
+    AccountModel.findByIdAndUpdate
+      .mockResolvedValueOnce({ id: 'a1' })
+      .mockResolvedValueOnce(null);
+
+    await expect(updateById('a1', { active: false })).resolves.toEqual({
+      id: 'a1',
+    });
+    await expect(updateById('a2', {})).resolves.toBeNull();
+    expect(AccountModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      'a1',
+      { active: false },
+      { new: true, runValidators: true }
+    );
+
+    AccountModel.findByIdAndUpdate.mockRejectedValue(new Error('db'));
+    await expect(updateById('a1', {})).rejects.toThrow(
+      'An error occurred while updating the account.'
+    );
+  });
+
+  test('deleteById returns the deleted account or null', async () => {
+    AccountModel.findByIdAndDelete
+      .mockResolvedValueOnce({ id: 'a1' })
+      .mockResolvedValueOnce(null);
+
+    await expect(deleteById('a1')).resolves.toEqual({ id: 'a1' });
+    await expect(deleteById('a2')).resolves.toBeNull();
+
+    AccountModel.findByIdAndDelete.mockRejectedValue(new Error('db'));
+    await expect(deleteById('a1')).rejects.toThrow(
+      'An error occurred while deleting the account.'
+    );
+  });
+});
@@ -0,0 +1,142 @@
+import AttachmentModel from '../models/AttachmentModel.js';
+
+/**
+ * Create an attachment
+ * @param {Object} attachmentData - Owner, file name, content type, size and hash
+ * @returns {Promise<Object>} Created attachment
+ */
+export async function insert(attachmentData) {
+  try {
+    const attachment = new AttachmentModel(attachmentData);
+    await attachment.save();
+    return attachment;
+  } catch (error) {
+    console.error('Error in insert:', error.message);
+    throw new Error('An error occurred while saving the attachment.');
+  }
+}
+
+/**
+ * List the attachments of a document, oldest first
+ * @param {string} ownerType - 'transaction' or 'fiscalBook'
+ * @param {string} ownerId - Document ID
+ * @returns {Promise<Array>} Attachments
+ */
+export async function findByOwner(ownerType, ownerId) {
+  try {
+    return await AttachmentModel.find({ ownerType, ownerId }).sort({
+      createdAt: 1,
+    });
+  } catch (error) {
+    console.error('Error in findByOwner:', error.message);
+    throw new Error('An error occurred while listing attachments.');
+  }
+}
+
+/**
+ * List the attachments of several documents
+ * @param {string} ownerType - 'transaction' or 'fiscalBook'
+ * @param {Array<string>} ownerIds - Document IDs
+ * @returns {Promise<Array>} Attachments, oldest first
+ */
+export async function findByOwners(ownerType, ownerIds = []) {
+  try {
+    return await AttachmentModel.find({
+      ownerType,
+      ownerId: { $in: ownerIds },
+    }).sort({ createdAt: 1 });
+  } catch (error) {
+    console.error('Error in findByOwners:', error.message);
+    throw new Error('An error occurred while listing attachments.');
+  }
+}
+
+/**
+ * Find an attachment of a document
+ * @param {string} ownerType - 'transaction' or 'fiscalBook'
+ * @param {string} ownerId - Document ID
+ * @param {string} id - Attachment ID
+ * @returns {Promise<Object|null>} Attachment or null
+ */
+export async function findOneByOwner(ownerType, ownerId, id) {
+  try {
+    const attachment = await AttachmentModel.findOne({
+      _id: id,
+      ownerType,
+      ownerId,
+    });
+    return attachment || null;
+  } catch (error) {
+    console.error('Error in findOneByOwner:', error.message);
+    throw new Error('An error occurred while finding the attachment.');
+  }
+}
+
+/**
+ * Find the attachment of a document holding a content
+ * @param {string} ownerType - 'transaction' or 'fiscalBook'
+ * @param {string} ownerId - Document ID
+ * @param {string} contentHash - SHA-256 of the content
+ * @returns {Promise<Object|null>} Attachment or null
+ */
+export async function findByOwnerAndHash(ownerType, ownerId, contentHash) {
+  try {
+    const attachment = await AttachmentModel.findOne({
+      ownerType,
+      ownerId,
+      contentHash,
+    });
+    return attachment || null;
+  } catch (error) {
+    console.error('Error in findByOwnerAndHash:', error.message);
+    throw new Error('An error occurred while finding the attachment.');
+  }
+}
+
+/**
+ * Count the attachments holding a content
+ * @param {string} contentHash - SHA-256 of the content
+ * @returns {Promise<number>} Attachment count
+ */
+export async function countByHash(contentHash) {
+  try {
+    return await AttachmentModel.countDocuments({ contentHash });
+  } catch (error) {
+    console.error('Error in countByHash:', error.message);
+    throw new Error('An error occurred while counting attachments.');
+  }
+}
+
+/**
+ * Delete an attachment
+ * @param {string} id - Attachment ID
+ * @returns {Promise<Object|null>} Deleted attachment or null
+ */
+export async function deleteById(id) {
+  try {
+    const attachment = await AttachmentModel.findByIdAndDelete(id);
+    return attachment || null;
+  } catch (error) {
+    console.error('Error in deleteById:', error.message);
+    throw new Error('An error occurred while deleting the attachment.');
+  }
+}
+
+/**
+ * Delete the attachments of several documents
+ * @param {string} ownerType - 'transaction' or 'fiscalBook'
+ * @param {Array<string>} ownerIds - Document IDs
+ * @returns {Promise<number>} Deleted count
+ */
+export async function deleteByOwners(ownerType, ownerIds = []) {
+  try {
+    const result = await AttachmentModel.deleteMany({
+      ownerType,
+      ownerId: { $in: ownerIds },
+    });
+    return result.deletedCount;
+  } catch (error) {
+    console.error('Error in deleteByOwners:', error.message);
+    throw new Error('An error occurred while deleting attachments.');
+  }
+}
@@ -0,0 +1,161 @@
+import { jest } from '@jest/globals';
+
+const AttachmentModel = jest.fn(function (data) {
+  Object.assign(this, data);
+  this.save = jest.fn().mockResolvedValue(this);
+});
+AttachmentModel.find = jest.fn();
+AttachmentModel.findOne = jest.fn();
+AttachmentModel.countDocuments = jest.fn();
+AttachmentModel.findByIdAndDelete = jest.fn();
+AttachmentModel.deleteMany = jest.fn();
+
+jest.unstable_mockModule('../models/AttachmentModel.js', () => ({
+  default: AttachmentModel,
+}));
+
+const {
+  insert,
+  findByOwner,
+  findByOwners,
+  findOneByOwner,
+  findByOwnerAndHash,
+  countByHash,
+  deleteById,
+  deleteByOwners,
+} = await import('./attachmentRepository.js');
+
+const hash = 'a'.repeat(64);
+
+describe('attachmentRepository', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('insert saves the attachment or wraps errors', async () => {
+    const attachment = await insert({ fileName: 'recibo.pdf' });
+
+    expect(AttachmentModel).toHaveBeenCalledWith({ fileName: 'recibo.pdf' });
+    expect(attachment.save).toHaveBeenCalled();
+
+    AttachmentModel.mockImplementationOnce(function () {
+      this.save = jest.fn().mockRejectedValue(new Error('db'));
+      return this;
+    });
+    await expect(insert({})).rejects.toThrow(
+      'An error occurred while saving the attachment.'
+    );
+  });
+
+  test('findByOwner and findByOwners list attachments oldest first', async () => {
+    const sort = jest.fn().mockResolvedValue([{ id: 'a1' }]);
+    AttachmentModel.find.mockReturnValue({ sort });
+
+    await expect(findByOwner('transaction', 't1')).resolves.toEqual([
+      { id: 'a1' },
+    ]);
+    await findByOwners('fiscalBook', ['f1']);
+    await findByOwners('fiscalBook');
+
+    expect(AttachmentModel.find.mock.calls).toEqual([
+      [{ ownerType: 'transaction', ownerId: 't1' }],
+      [{ ownerType: 'fiscalBook', ownerId: { $in: ['f1'] } }],
+      [{ ownerType: 'fiscalBook', ownerId: { $in: [] } }],
+    ]);
+    expect(sort).toHaveBeenCalledWith({ createdAt: 1 });
+
+    AttachmentModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+    await expect(findByOwner('transaction', 't1')).rejects.toThrow(
+      'An error occurred while listing attachments.'
+    );
+    await expect(findByOwners('transaction', ['t1'])).rejects.toThrow(
+      'An error occurred while listing attachments.'
+    );
+  });
+
+  test('findOneByOwner and findByOwnerAndHash find one attachment', async () => {
+    AttachmentModel.findOne
+      .mockResolvedValueOnce({ id: 'a1' })
+      .mockResolvedValueOnce(undefined)
+      .mockResolvedValueOnce({ id: 'a2' })
+      .mockResolvedValueOnce(undefined);
+
+    await expect(findOneByOwner('transaction', 't1', 'a1')).resolves.toEqual({
+      id: 'a1',
+    });
+    await expect(findOneByOwner('transaction', 't1', 'x')).resolves.toBeNull();
+    await expect(
+      findByOwnerAndHash('transaction', 't1', hash)
+    ).resolves.toEqual({ id: 'a2' });
+    await expect(
+      findByOwnerAndHash('transaction', 't1', hash)
+    ).resolves.toBeNull();
+
+    expect(AttachmentModel.findOne).toHaveBeenNthCalledWith(1, {
+      _id: 'a1',
+      ownerType: 'transaction',
+      ownerId: 't1',
+    });
+    expect(AttachmentModel.findOne).toHaveBeenNthCalledWith(3, {
+      ownerType: 'transaction',
+      ownerId: 't1',
+      contentHash: hash,
+    });
+
+    AttachmentModel.findOne.mockRejectedValue(new Error('db'));
+    await expect(findOneByOwner('transaction', 't1', 'a1')).rejects.toThrow(
+      'An error occurred while finding the attachment.'
+    );
+    await expect(
+      findByOwnerAndHash('transaction', 't1', hash)
+    ).rejects.toThrow('An error occurred while finding the attachment.');
+  });
+
+  test('countByHash counts the attachments of a content', async () => {
+    AttachmentModel.countDocuments.mockResolvedValueOnce(2);
+
+    await expect(countByHash(hash)).resolves.toBe(2);
+    expect(AttachmentModel.countDocuments).toHaveBeenCalledWith({
+      contentHash: hash,
+    });
+
+    AttachmentModel.countDocuments.mockRejectedValueOnce(new Error('db'));
+    await expect(countByHash(hash)).rejects.toThrow(
+      'An error occurred while counting attachments.'
+    );
+  });
+
+  test('deleteById and deleteByOwners delete attachments', async () => {
+    AttachmentModel.findByIdAndDelete
+      .mockResolvedValueOnce({ id: 'a1' })
+      .mockResolvedValueOnce(null);
+    AttachmentModel.deleteMany.mockResolvedValue({ deletedCount: 3 });
+
+    await expect(deleteById('a1')).resolves.toEqual({ id: 'a1' });
+    await expect(deleteById('x')).resolves.toBeNull();
+    await expect(deleteByOwners('transaction', ['t1'])).resolves.toBe(3);
+    await deleteByOwners('transaction');
+    expect(AttachmentModel.deleteMany).toHaveBeenCalledWith({
+      ownerType: 'transaction',
+      ownerId: { $in: ['t1'] },
+    });
+
+    AttachmentModel.findByIdAndDelete.mockRejectedValueOnce(new Error('db'));
+    AttachmentModel.deleteMany.mockRejectedValueOnce(new Error('db'));
+    await expect(deleteById('a1')).rejects.toThrow(
+      'An error occurred while deleting the attachment.'
+    );
+    await expect(deleteByOwners('transaction', ['t1'])).rejects.toThrow(
+      'An error occurred while deleting attachments.'
+    );
+  });
+});
@@ -0,0 +1,72 @@
+import AuditLogModel from '../models/AuditLogModel.js';
+
+/**
+ * Append an audit entry
+ * @param {Object} entryData - Document, changes, actor and origin
+ * @returns {Promise<Object>} Created entry
+ */
+export async function insert(entryData) {
+  try {
+    const entry = new AuditLogModel(entryData);
+    await entry.save();
+    return entry;
+  } catch (error) {
+    console.error('Error in insert:', error.message);
+    throw new Error('An error occurred while saving the audit entry.');
+  }
+}
+
+/**
+ * List the audit entries of a document, newest first
+ * @param {string} documentType - Audited document type
+ * @param {string} documentId - Document ID
+ * @param {Object} options - Pagination options
+ * @param {number} options.limit - Maximum number of entries
+ * @param {number} options.skip - Number of entries to skip
+ * @returns {Promise<{entries: Array, total: number}>} Entries and total count
+ */
+export async function findByDocument(documentType, documentId, options = {}) {
+  const { limit = 50, skip = 0 } = options;
+  try {
+    const filter = { documentType, documentId };
+    const [entries, total] = await Promise.all([
+      AuditLogModel.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLogModel.countDocuments(filter),
+    ]);
+    return { entries, total };
+  } catch (error) {
+    console.error('Error in findByDocument:', error.message);
+    throw new Error('An error occurred while listing the audit entries.');
+  }
+}
+
+/**
+ * Find an audit entry
+ * @param {string} id - Entry ID
+ * @returns {Promise<Object|null>} Entry or null
+ */
+export async function findById(id) {
+  try {
+    return await AuditLogModel.findById(id);
+  } catch (error) {
+    console.error('Error in findById:', error.message);
+    throw new Error('An error occurred while finding the audit entry.');
+  }
+}
+
+/**
+ * Find the entry reverting another one
+ * @param {string} entryId - Reverted entry ID
+ * @returns {Promise<Object|null>} Reverting entry or null
+ */
+export async function findRevertOf(entryId) {
+  try {
+    return await AuditLogModel.findOne({ revertOf: entryId });
+  } catch (error) {
+    console.error('Error in findRevertOf:', error.message);
+    throw new Error('An error occurred while finding the audit entry.');
+  }
+}
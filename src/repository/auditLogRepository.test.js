@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+
+const AuditLogModel = jest.fn(function (data) {
+  Object.assign(this, data);
+  this.save = jest.fn().mockResolvedValue(this);
+});
+AuditLogModel.find = jest.fn();
+AuditLogModel.findById = jest.fn();
+AuditLogModel.findOne = jest.fn();
+AuditLogModel.countDocuments = jest.fn();
+
+jest.unstable_mockModule('../models/AuditLogModel.js', () => ({
+  default: AuditLogModel,
+}));
+
+const { insert, findByDocument, findById, findRevertOf } = await import(
+  './auditLogRepository.js'
+);
+
+describe('auditLogRepository', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('insert saves the entry or wraps errors', async () => {
+    const entry = await insert({ documentType: 'transaction' });
+
+    expect(AuditLogModel).toHaveBeenCalledWith({ documentType: 'transaction' });
+    expect(entry.save).toHaveBeenCalled();
+
+    AuditLogModel.mockImplementationOnce(function () {
+      this.save = jest.fn().mockRejectedValue(new Error('db'));
+      return this;
+    });
+    await expect(insert({})).rejects.toThrow(
+      'An error occurred while saving the audit entry.'
+    );
+  });
+
+  test('findByDocument pages the entries newest first', async () => {
+    const limit = jest.fn().mockResolvedValue([{ id: 'e1' }]);
+    const skip = jest.fn().mockReturnValue({ limit });
+    const sort = jest.fn().mockReturnValue({ skip });
+    AuditLogModel.find.mockReturnValue({ sort });
+    AuditLogModel.countDocuments.mockResolvedValue(3);
+
+    await expect(
+      findByDocument('transaction', 't1', { limit: 1, skip: 2 })
+    ).resolves.toEqual({ entries: [{ id: 'e1' }], total: 3 });
+    expect(AuditLogModel.find).toHaveBeenCalledWith({
+      documentType: 'transaction',
+      documentId: 't1',
+    });
+    expect(sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+    expect(skip).toHaveBeenCalledWith(2);
+    expect(limit).toHaveBeenCalledWith(1);
+
+    await findByDocument('company', 'c1');
+    expect(skip).toHaveBeenLastCalledWith(0);
+    expect(limit).toHaveBeenLastCalledWith(50);
+
+    AuditLogModel.countDocuments.mockRejectedValueOnce(new Error('db'));
+    await expect(findByDocument('company', 'c1')).rejects.toThrow(
+      'An error occurred while listing the audit entries.'
+    );
+  });
+
+  test('findById and findRevertOf find one entry', async () => {
+    AuditLogModel.findById.mockResolvedValueOnce({ id: 'e1' });
+    AuditLogModel.findOne.mockResolvedValueOnce({ id: 'e2' });
+
+    await expect(findById('e1')).resolves.toEqual({ id: 'e1' });
+    await expect(findRevertOf('e1')).resolves.toEqual({ id: 'e2' });
+    expect(AuditLogModel.findOne).toHaveBeenCalledWith({ revertOf: 'e1' });
+
+    AuditLogModel.findById.mockRejectedValueOnce(new Error('db'));
+    AuditLogModel.findOne.mockRejectedValueOnce(new Error('db'));
+    await expect(findById('e1')).rejects.toThrow(
+      'An error occurred while finding the audit entry.'
+    );
+    await expect(findRevertOf('e1')).rejects.toThrow(
+      'An error occurred while finding the audit entry.'
+    );
+  });
+});
@@ -0,0 +1,122 @@
+import BudgetModel from '../models/BudgetModel.js';
+
+/**
+ * Create a budget
+ * @param {Object} budgetData - Budget data
+ * @returns {Promise<Object>} Created budget
+ */
+export async function insert(budgetData) {
+  try {
+    const budget = new BudgetModel(budgetData);
+    await budget.save();
+    return budget;
+  } catch (error) {
+    console.error('Error in insert:', error.message);
+    throw new Error('An error occurred while saving the budget.');
+  }
+}
+
+/**
+ * List budgets, oldest first
+ * @param {Object} filter - Filter criteria
+ * @returns {Promise<Array>} Budgets
+ */
+export async function findAll(filter = {}) {
+  try {
+    return await BudgetModel.find(filter).sort({ createdAt: 1 });
+  } catch (error) {
+    console.error('Error in findAll:', error.message);
+    throw new Error('An error occurred while listing budgets.');
+  }
+}
+
+/**
+ * List active budgets, oldest first
+ * @returns {Promise<Array>} Active budgets
+ */
+export async function findActive() {
+  return findAll({ active: true });
+}
+
+/**
+ * Find a budget by ID
+ * @param {string} id - Budget ID
+ * @returns {Promise<Object|null>} Budget or null
+ */
+export async function findById(id) {
+  try {
+    const budget = await BudgetModel.findById(id);
+    return budget || null;
+  } catch (error) {
+    console.error('Error in findById:', error.message);
+    throw new Error('An error occurred while finding the budget.');
+  }
+}
+
+/**
+ * Update a budget
+ * @param {string} id - Budget ID
+ * @param {Object} budgetData - Fields to update
+ * @returns {Promise<Object|null>} Updated budget or null
+ */
+export async function updateById(id, budgetData) {
+  try {
+    const budget = await BudgetModel.findByIdAndUpdate(id, budgetData, {
+      new: true,
+      runValidators: true,
+    });
+    return budget || null;
+  } catch (error) {
+    console.error('Error in updateById:', error.message);
+    throw new Error('An error occurred while updating the budget.');
+  }
+}
+
+/**
+ * Delete a budget
+ * @param {string} id - Budget ID
+ * @returns {Promise<Object|null>} Deleted budget or null
+ */
+export async function deleteById(id) {
+  try {
+    const budget = await BudgetModel.findByIdAndDelete(id);
+    return budget || null;
+  } catch (error) {
+    console.error('Error in deleteById:', error.message);
+    throw new Error('An error occurred while deleting the budget.');
+  }
+}
+
+/**
+ * Count budgets of a category
+ * @param {string} categoryId - Category ID
+ * @returns {Promise<number>} Count of budgets
+ */
+export async function countByCategory(categoryId) {
+  try {
+    return await BudgetModel.countDocuments({ category: categoryId });
+  } catch (error) {
+    console.error('Error in countByCategory:', error.message);
+    throw new Error('An error occurred while counting category budgets.');
+  }
+}
+
+/**
+ * Move every budget of a category to another category
+ * @param {string} sourceId - Current category ID
+ * @param {string} targetId - New category ID
+ * @param {Object} session - MongoDB session for transactions
+ * @returns {Promise<Object>} Update result
+ */
+export async function reassignCategory(sourceId, targetId, session = null) {
+  try {
+    return await BudgetModel.updateMany(
+      { category: sourceId },
+      { $set: { category: targetId } },
+      { session }
+    );
+  } catch (error) {
+    console.error('Error in reassignCategory:', error.message);
+    throw new Error('An error occurred while reassigning category budgets.');
+  }
+}
@@ -0,0 +1,168 @@
+import { jest } from '@jest/globals';
+
+const BudgetModel = jest.fn(function (data) {
+  Object.assign(this, data);
+  this.save = jest.fn().mockResolvedValue(this);
+});
+BudgetModel.find = jest.fn();
+BudgetModel.findById = jest.fn();
+BudgetModel.findByIdAndUpdate = jest.fn();
+BudgetModel.findByIdAndDelete = jest.fn();
+BudgetModel.countDocuments = jest.fn();
+BudgetModel.updateMany = jest.fn();
+
+jest.unstable_mockModule('../models/BudgetModel.js', () => ({
+  default: BudgetModel,
+}));
+
+const {
+  insert,
+  findAll,
+  findActive,
+  findById,
+  updateById,
+  deleteById,
+  countByCategory,
+  reassignCategory,
+} = await import('./budgetRepository.js');
+
+describe('budgetRepository', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('insert saves the budget', async () => {
+    const budget = await insert({ limit: '800,00' });
+
+    expect(BudgetModel).toHaveBeenCalledWith({ limit: '800,00' });
+    expect(budget.save).toHaveBeenCalled();
+  });
+
+  test('insert wraps save errors', async () => {
+    BudgetModel.mockImplementationOnce(function () {
+      this.save = jest.fn().mockRejectedValue(new Error('db'));
+      return this;
+    });
+
+    await expect(insert({})).rejects.toThrow(
+      'An error occurred while saving the budget.'
+    );
+  });
+
+  test('findAll and findActive sort budgets by creation', async () => {
+    const sort = jest.fn().mockResolvedValue([{ id: 'b1' }]);
+    BudgetModel.find.mockReturnValue({ sort });
+
+    await expect(findAll()).resolves.toEqual([{ id: 'b1' }]);
+    await findActive();
+
+    expect(BudgetModel.find).toHaveBeenNthCalledWith(1, {});
+    expect(BudgetModel.find).toHaveBeenNthCalledWith(2, { active: true });
+    expect(sort).toHaveBeenCalledWith({ createdAt: 1 });
+  });
+
+  test('findAll wraps errors', async () => {
+    BudgetModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+
+    await expect(findAll()).rejects.toThrow(
+      'An error occurred while listing budgets.'
+    );
+  });
+
+  test('findById returns the budget or null', async () => {
+    BudgetModel.findById
+      .mockResolvedValueOnce({ id: 'b1' })
+      .mockResolvedValueOnce(null);
+
+    await expect(findById('b1')).resolves.toEqual({ id: 'b1' });
+    await expect(findById('b2')).resolves.toBeNull();
+  });
+
+  test('findById wraps errors', async () => {
+    BudgetModel.findById.mockRejectedValue(new Error('db'));
+
+    await expect(findById('b1')).rejects.toThrow(
+      'An error occurred while finding the budget.'
+    );
+  });
+
+  test('updateById runs validators and returns null when missing', async () => {
+    BudgetModel.findByIdAndUpdate
+      .mockResolvedValueOnce({ id: 'b1' })
+      .mockResolvedValueOnce(null);
+
+    await expect(updateById('b1', { limit: '1,00' })).resolves.toEqual({
+      id: 'b1',
+    });
+    await expect(updateById('b2', {})).resolves.toBeNull();
+    expect(BudgetModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      'b1',
+      { limit: '1,00' },
+      { new: true, runValidators: true }
+    );
+  });
+
+  test('updateById wraps errors', async () => {
+    BudgetModel.findByIdAndUpdate.mockRejectedValue(new Error('db'));
+
+    await expect(updateById('b1', {})).rejects.toThrow(
+      'An error occurred while updating the budget.'
+    );
+  });
+
+  test('deleteById returns the deleted budget or null', async () => {
+    BudgetModel.findByIdAndDelete
+      .mockResolvedValueOnce({ id: 'b1' })
+      .mockResolvedValueOnce(null);
+
+    await expect(deleteById('b1')).resolves.toEqual({ id: 'b1' });
+    await expect(deleteById('b2')).resolves.toBeNull();
+  });
+
+  test('deleteById wraps errors', async () => {
+    BudgetModel.findByIdAndDelete.mockRejectedValue(new Error('db'));
+
+    await expect(deleteById('b1')).rejects.toThrow(
+      'An error occurred while deleting the budget.'
+    );
+  });
+
+  test('countByCategory counts budgets of a category', async () => {
+    BudgetModel.countDocuments.mockResolvedValueOnce(2);
+
+    await expect(countByCategory('c1')).resolves.toBe(2);
+    expect(BudgetModel.countDocuments).toHaveBeenCalledWith({ category: 'c1' });
+
+    BudgetModel.countDocuments.mockRejectedValueOnce(new Error('db'));
+    await expect(countByCategory('c1')).rejects.toThrow(
+      'An error occurred while counting category budgets.'
+    );
+  });
+
+  test('reassignCategory moves budgets to another category', async () => {
+    BudgetModel.updateMany.mockResolvedValueOnce({ modifiedCount: 1 });
+
+    await expect(reassignCategory('c1', 'c2', 'session')).resolves.toEqual({
+      modifiedCount: 1,
+    });
+    expect(BudgetModel.updateMany).toHaveBeenCalledWith(
+      { category: 'c1' },
+      { $set: { category: 'c2' } },
+      { session: 'session' }
+    );
+
+    BudgetModel.updateMany.mockRejectedValueOnce(new Error('db'));
+    await expect(reassignCategory('c1', 'c2')).rejects.toThrow(
+      'An error occurred while reassigning category budgets.'
+    );
+  });
+});
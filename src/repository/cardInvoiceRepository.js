@@ -0,0 +1,102 @@
+import CardInvoiceModel from '../models/CardInvoiceModel.js';
+
+/**
+ * List the invoices of a card account by due month
+ * @param {string} accountId - Card account ID
+ * @returns {Promise<Array>} Invoices
+ */
+export async function findByAccount(accountId) {
+  try {
+    return await CardInvoiceModel.find({ accountId }).sort({
+      invoicePeriod: 1,
+    });
+  } catch (error) {
+    console.error('Error in findByAccount:', error.message);
+    throw new Error('An error occurred while listing card invoices.');
+  }
+}
+
+/**
+ * Find an invoice by ID
+ * @param {string} id - Invoice ID
+ * @returns {Promise<Object|null>} Invoice or null
+ */
+export async function findById(id) {
+  try {
+    const invoice = await CardInvoiceModel.findById(id);
+    return invoice || null;
+  } catch (error) {
+    console.error('Error in findById:', error.message);
+    throw new Error('An error occurred while finding the card invoice.');
+  }
+}
+
+/**
+ * Find the invoice paid by a transaction
+ * @param {string} transactionId - Payment transaction ID
+ * @returns {Promise<Object|null>} Invoice or null
+ */
+export async function findByPaymentTransaction(transactionId) {
+  try {
+    const invoice = await CardInvoiceModel.findOne({
+      paymentTransactionIds: transactionId,
+    });
+    return invoice || null;
+  } catch (error) {
+    console.error('Error in findByPaymentTransaction:', error.message);
+    throw new Error('An error occurred while finding the paid card invoice.');
+  }
+}
+
+/**
+ * Create or update the invoice of a card and due month
+ * @param {string} accountId - Card account ID
+ * @param {string} invoicePeriod - Due month (YYYY-MM)
+ * @param {Object} invoiceData - Fields to set
+ * @returns {Promise<Object>} Saved invoice
+ */
+export async function upsertByPeriod(accountId, invoicePeriod, invoiceData) {
+  try {
+    return await CardInvoiceModel.findOneAndUpdate(
+      { accountId, invoicePeriod },
+      { $set: invoiceData },
+      { new: true, upsert: true, runValidators: true }
+    );
+  } catch (error) {
+    console.error('Error in upsertByPeriod:', error.message);
+    throw new Error('An error occurred while saving the card invoice.');
+  }
+}
+
+/**
+ * Update an invoice
+ * @param {string} id - Invoice ID
+ * @param {Object} invoiceData - Fields to update
+ * @returns {Promise<Object|null>} Updated invoice or null
+ */
+export async function updateById(id, invoiceData) {
+  try {
+    const invoice = await CardInvoiceModel.findByIdAndUpdate(id, invoiceData, {
+      new: true,
+      runValidators: true,
+    });
+    return invoice || null;
+  } catch (error) {
+    console.error('Error in updateById:', error.message);
+    throw new Error('An error occurred while updating the card invoice.');
+  }
+}
+
+/**
+ * Delete invoices
+ * @param {Array<string>} ids - Invoice IDs
+ * @returns {Promise<Object>} Delete result
+ */
+export async function deleteByIds(ids) {
+  try {
+    return await CardInvoiceModel.deleteMany({ _id: { $in: ids } });
+  } catch (error) {
+    console.error('Error in deleteByIds:', error.message);
+    throw new Error('An error occurred while deleting card invoices.');
+  }
+}
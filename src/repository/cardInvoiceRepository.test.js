@@ -0,0 +1,131 @@
+import { jest } from '@jest/globals';
+
+const CardInvoiceModel = {
+  find: jest.fn(),
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  deleteMany: jest.fn(),
+};
+
+jest.unstable_mockModule('../models/CardInvoiceModel.js', () => ({
+  default: CardInvoiceModel,
+}));
+
+const {
+  findByAccount,
+  findById,
+  findByPaymentTransaction,
+  upsertByPeriod,
+  updateById,
+  deleteByIds,
+} = await import('./cardInvoiceRepository.js');
+
+describe('cardInvoiceRepository', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('findByAccount sorts invoices by due month', async () => {
+    const sort = jest.fn().mockResolvedValue([{ id: 'i1' }]);
+    CardInvoiceModel.find.mockReturnValue({ sort });
+
+    await expect(findByAccount('a1')).resolves.toEqual([{ id: 'i1' }]);
+    expect(CardInvoiceModel.find).toHaveBeenCalledWith({ accountId: 'a1' });
+    expect(sort).toHaveBeenCalledWith({ invoicePeriod: 1 });
+
+    CardInvoiceModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+    await expect(findByAccount('a1')).rejects.toThrow(
+      'An error occurred while listing card invoices.'
+    );
+  });
+
+  test('findById and findByPaymentTransaction return the invoice or null', async () => {
+    CardInvoiceModel.findById
+      .mockResolvedValueOnce({ id: 'i1' })
+      .mockResolvedValueOnce(null)
+      .mockRejectedValueOnce(new Error('db'));
+    CardInvoiceModel.findOne
+      .mockResolvedValueOnce({ id: 'i2' })
+      .mockResolvedValueOnce(null)
+      .mockRejectedValueOnce(new Error('db'));
+
+    await expect(findById('i1')).resolves.toEqual({ id: 'i1' });
+    await expect(findById('i3')).resolves.toBeNull();
+    await expect(findById('i4')).rejects.toThrow(
+      'An error occurred while finding the card invoice.'
+    );
+    await expect(findByPaymentTransaction('t1')).resolves.toEqual({ id: 'i2' });
+    await expect(findByPaymentTransaction('t2')).resolves.toBeNull();
+    await expect(findByPaymentTransaction('t3')).rejects.toThrow(
+      'An error occurred while finding the paid card invoice.'
+    );
+    expect(CardInvoiceModel.findOne).toHaveBeenCalledWith({
+      paymentTransactionIds: 't1',
+    });
+  });
+
+  test('upsertByPeriod creates or updates the invoice of a month', async () => {
+    CardInvoiceModel.findOneAndUpdate.mockResolvedValueOnce({ id: 'i1' });
+
+    await expect(
+      upsertByPeriod('a1', '2024-02', { total: 100 })
+    ).resolves.toEqual({ id: 'i1' });
+    expect(CardInvoiceModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { accountId: 'a1', invoicePeriod: '2024-02' },
+      { $set: { total: 100 } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    CardInvoiceModel.findOneAndUpdate.mockRejectedValueOnce(new Error('db'));
+    await expect(upsertByPeriod('a1', '2024-02', {})).rejects.toThrow(
+      'An error occurred while saving the card invoice.'
+    );
+  });
+
+  test('updateById returns the updated invoice or null', async () => {
+    CardInvoiceModel.findByIdAndUpdate
+      .mockResolvedValueOnce({ id: 'i1' })
+      .mockResolvedValueOnce(null)
+      .mockRejectedValueOnce(new Error('db'));
+
+    await expect(updateById('i1', { status: 'paid' })).resolves.toEqual({
+      id: 'i1',
+    });
+    await expect(updateById('i2', {})).resolves.toBeNull();
+    await expect(updateById('i3', {})).rejects.toThrow(
+      'An error occurred while updating the card invoice.'
+    );
+    expect(CardInvoiceModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      'i1',
+      { status: 'paid' },
+      { new: true, runValidators: true }
+    );
+  });
+
+  test('deleteByIds deletes invoices', async () => {
+    CardInvoiceModel.deleteMany
+      .mockResolvedValueOnce({ deletedCount: 2 })
+      .mockRejectedValueOnce(new Error('db'));
+
+    await expect(deleteByIds(['i1', 'i2'])).resolves.toEqual({
+      deletedCount: 2,
+    });
+    expect(CardInvoiceModel.deleteMany).toHaveBeenCalledWith({
+      _id: { $in: ['i1', 'i2'] },
+    });
+    await expect(deleteByIds(['i1'])).rejects.toThrow(
+      'An error occurred while deleting card invoices.'
+    );
+  });
+});
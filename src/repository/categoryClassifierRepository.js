@@ -0,0 +1,41 @@
+import CategoryClassifierModel from '../models/CategoryClassifierModel.js';
+
+const CLASSIFIER_NAME = 'default';
+
+/**
+ * Find the current trained classifier
+ * @returns {Promise<Object|null>} Classifier (plain object) or null before the first training
+ */
+export async function findCurrent() {
+  try {
+    const classifier = await CategoryClassifierModel.findOne({
+      name: CLASSIFIER_NAME,
+    })
+      .lean()
+      .exec();
+    return classifier || null;
+  } catch (error) {
+    console.error('Error in findCurrent:', error.message);
+    throw new Error('An error occurred while loading the category classifier.');
+  }
+}
+
+/**
+ * Replace the current classifier with a newly trained one
+ * @param {Object} classifierData - Trained model (documentCount, vocabularySize, categories)
+ * @returns {Promise<Object>} Stored classifier (plain object)
+ */
+export async function saveCurrent(classifierData) {
+  try {
+    return await CategoryClassifierModel.findOneAndUpdate(
+      { name: CLASSIFIER_NAME },
+      { ...classifierData, name: CLASSIFIER_NAME, trainedAt: new Date() },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    )
+      .lean()
+      .exec();
+  } catch (error) {
+    console.error('Error in saveCurrent:', error.message);
+    throw new Error('An error occurred while saving the category classifier.');
+  }
+}
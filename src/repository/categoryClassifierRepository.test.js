@@ -0,0 +1,84 @@
+import { jest } from '@jest/globals';
+
+const CategoryClassifierModel = {
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+};
+
+jest.unstable_mockModule('../models/CategoryClassifierModel.js', () => ({
+  default: CategoryClassifierModel,
+}));
+
+const { findCurrent, saveCurrent } = await import(
+  './categoryClassifierRepository.js'
+);
+
+const makeLeanQuery = (result) => ({
+  lean: jest.fn().mockReturnThis(),
+  exec: jest.fn().mockResolvedValue(result),
+});
+
+describe('categoryClassifierRepository', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('findCurrent returns the default classifier or null', async () => {
+    CategoryClassifierModel.findOne
+      .mockReturnValueOnce(makeLeanQuery({ name: 'default' }))
+      .mockReturnValueOnce(makeLeanQuery(null));
+
+    await expect(findCurrent()).resolves.toEqual({ name: 'default' });
+    await expect(findCurrent()).resolves.toBeNull();
+    expect(CategoryClassifierModel.findOne).toHaveBeenCalledWith({
+      name: 'default',
+    });
+  });
+
+  test('findCurrent wraps errors', async () => {
+    CategoryClassifierModel.findOne.mockImplementation(() => {
+      throw new Error('db');
+    });
+
+    await expect(findCurrent()).rejects.toThrow(
+      'An error occurred while loading the category classifier.'
+    );
+  });
+
+  test('saveCurrent upserts the default classifier', async () => {
+    CategoryClassifierModel.findOneAndUpdate.mockReturnValue(
+      makeLeanQuery({ name: 'default', documentCount: 3 })
+    );
+
+    const result = await saveCurrent({ documentCount: 3, categories: [] });
+
+    expect(CategoryClassifierModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { name: 'default' },
+      {
+        documentCount: 3,
+        categories: [],
+        name: 'default',
+        trainedAt: expect.any(Date),
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    expect(result.documentCount).toBe(3);
+  });
+
+  test('saveCurrent wraps errors', async () => {
+    CategoryClassifierModel.findOneAndUpdate.mockImplementation(() => {
+      throw new Error('db');
+    });
+
+    await expect(saveCurrent({})).rejects.toThrow(
+      'An error occurred while saving the category classifier.'
+    );
+  });
+});
@@ -10,9 +10,14 @@ export async function findAll() {
   }
 }
 
-export async function deleteById(id) {
+export async function deleteById(id, session = null) {
   try {
-    const result = await CategoryModel.findByIdAndDelete(id);
+    // moves the category to the trash
+    const result = await CategoryModel.findByIdAndUpdate(
+      id,
+      { deletedAt: new Date() },
+      { new: true, session }
+    );
     if (!result) {
       throw new Error('No category found with the provided ID.');
     }
@@ -61,3 +66,23 @@ export async function insert(categoryObject) {
     throw new Error('Failed to insert new category.');
   }
 }
+
+/**
+ * Move every child of a category under another parent
+ * @param {string} sourceId - Current parent category ID
+ * @param {string|null} targetId - New parent category ID (null for root)
+ * @param {Object} session - MongoDB session for transactions
+ * @returns {Promise<Object>} Update result
+ */
+export async function reassignParent(sourceId, targetId, session = null) {
+  try {
+    return await CategoryModel.updateMany(
+      { parentCategory: sourceId },
+      { $set: { parentCategory: targetId } },
+      { session }
+    );
+  } catch (error) {
+    console.error('Error reassigning category parent:', error.message);
+    throw new Error('Failed to reassign category parent.');
+  }
+}
@@ -10,6 +10,7 @@ CategoryModel.find = jest.fn();
 CategoryModel.findByIdAndDelete = jest.fn();
 CategoryModel.findByIdAndUpdate = jest.fn();
 CategoryModel.findById = jest.fn();
+CategoryModel.updateMany = jest.fn();
 
 jest.unstable_mockModule('../models/CategoryModel.js', () => ({
   default: CategoryModel,
@@ -21,6 +22,7 @@ const {
   updateById,
   findById,
   insert,
+  reassignParent,
 } = await import('./categoryRepository.js');
 
 const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
@@ -53,17 +55,21 @@ describe('categoryRepository', () => {
     await expect(findAll()).rejects.toThrow('Failed to retrieve categories.');
   });
 
-  test('deleteById returns deleted category', async () => {
-    CategoryModel.findByIdAndDelete.mockResolvedValue({ id: '1' });
+  test('deleteById moves the category to the trash', async () => {
+    CategoryModel.findByIdAndUpdate.mockResolvedValue({ id: '1' });
 
     const result = await deleteById('1');
 
-    expect(CategoryModel.findByIdAndDelete).toHaveBeenCalledWith('1');
+    expect(CategoryModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      '1',
+      { deletedAt: expect.any(Date) },
+      { new: true, session: null }
+    );
     expect(result).toEqual({ id: '1' });
   });
 
   test('deleteById throws when category missing', async () => {
-    CategoryModel.findByIdAndDelete.mockResolvedValue(null);
+    CategoryModel.findByIdAndUpdate.mockResolvedValueOnce(null);
 
     await expect(deleteById('missing')).rejects.toThrow(
       'Failed to delete category.'
@@ -127,4 +133,25 @@ describe('categoryRepository', () => {
       'Failed to insert new category.'
     );
   });
+
+  test('reassignParent moves children under another parent', async () => {
+    CategoryModel.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+    await expect(reassignParent('p1', 'p2', 'session')).resolves.toEqual({
+      modifiedCount: 2,
+    });
+    expect(CategoryModel.updateMany).toHaveBeenCalledWith(
+      { parentCategory: 'p1' },
+      { $set: { parentCategory: 'p2' } },
+      { session: 'session' }
+    );
+  });
+
+  test('reassignParent throws on error', async () => {
+    CategoryModel.updateMany.mockRejectedValue(new Error('db'));
+
+    await expect(reassignParent('p1', null)).rejects.toThrow(
+      'Failed to reassign category parent.'
+    );
+  });
 });
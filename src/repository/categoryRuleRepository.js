@@ -0,0 +1,125 @@
+import CategoryRuleModel from '../models/CategoryRuleModel.js';
+
+/**
+ * Create a category rule
+ * @param {Object} ruleData - Category rule data
+ * @returns {Promise<Object>} Created category rule
+ */
+export async function insert(ruleData) {
+  try {
+    const rule = new CategoryRuleModel(ruleData);
+    await rule.save();
+    return rule;
+  } catch (error) {
+    console.error('Error in insert:', error.message);
+    throw new Error('An error occurred while saving the category rule.');
+  }
+}
+
+/**
+ * List category rules in evaluation order (priority desc, oldest first)
+ * @param {Object} filter - Filter criteria
+ * @returns {Promise<Array>} Category rules
+ */
+export async function findAll(filter = {}) {
+  try {
+    return await CategoryRuleModel.find(filter).sort({
+      priority: -1,
+      createdAt: 1,
+    });
+  } catch (error) {
+    console.error('Error in findAll:', error.message);
+    throw new Error('An error occurred while listing category rules.');
+  }
+}
+
+/**
+ * List active category rules in evaluation order
+ * @returns {Promise<Array>} Active category rules
+ */
+export async function findActive() {
+  return findAll({ active: true });
+}
+
+/**
+ * Find a category rule by ID
+ * @param {string} id - Category rule ID
+ * @returns {Promise<Object|null>} Category rule or null
+ */
+export async function findById(id) {
+  try {
+    const rule = await CategoryRuleModel.findById(id);
+    return rule || null;
+  } catch (error) {
+    console.error('Error in findById:', error.message);
+    throw new Error('An error occurred while finding the category rule.');
+  }
+}
+
+/**
+ * Update a category rule
+ * @param {string} id - Category rule ID
+ * @param {Object} ruleData - Fields to update
+ * @returns {Promise<Object|null>} Updated category rule or null
+ */
+export async function updateById(id, ruleData) {
+  try {
+    const rule = await CategoryRuleModel.findByIdAndUpdate(id, ruleData, {
+      new: true,
+      runValidators: true,
+    });
+    return rule || null;
+  } catch (error) {
+    console.error('Error in updateById:', error.message);
+    throw new Error('An error occurred while updating the category rule.');
+  }
+}
+
+/**
+ * Delete a category rule
+ * @param {string} id - Category rule ID
+ * @returns {Promise<Object|null>} Deleted category rule or null
+ */
+export async function deleteById(id) {
+  try {
+    const rule = await CategoryRuleModel.findByIdAndDelete(id);
+    return rule || null;
+  } catch (error) {
+    console.error('Error in deleteById:', error.message);
+    throw new Error('An error occurred while deleting the category rule.');
+  }
+}
+
+/**
+ * Count category rules pointing at a category
+ * @param {string} categoryId - Category ID
+ * @returns {Promise<number>} Count of rules
+ */
+export async function countByCategory(categoryId) {
+  try {
+    return await CategoryRuleModel.countDocuments({ category: categoryId });
+  } catch (error) {
+    console.error('Error in countByCategory:', error.message);
+    throw new Error('An error occurred while counting category rules.');
+  }
+}
+
+/**
+ * Point every rule of a category at another category
+ * @param {string} sourceId - Current category ID
+ * @param {string} targetId - New category ID
+ * @param {Object} session - MongoDB session for transactions
+ * @returns {Promise<Object>} Update result
+ */
+export async function reassignCategory(sourceId, targetId, session = null) {
+  try {
+    return await CategoryRuleModel.updateMany(
+      { category: sourceId },
+      { $set: { category: targetId } },
+      { session }
+    );
+  } catch (error) {
+    console.error('Error in reassignCategory:', error.message);
+    throw new Error('An error occurred while reassigning category rules.');
+  }
+}
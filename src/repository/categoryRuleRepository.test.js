@@ -0,0 +1,177 @@
+import { jest } from '@jest/globals';
+
+const CategoryRuleModel = jest.fn(function (data) {
+  this.data = data;
+  this.save = jest.fn().mockResolvedValue(this);
+  return this;
+});
+CategoryRuleModel.find = jest.fn();
+CategoryRuleModel.findById = jest.fn();
+CategoryRuleModel.findByIdAndUpdate = jest.fn();
+CategoryRuleModel.findByIdAndDelete = jest.fn();
+CategoryRuleModel.countDocuments = jest.fn();
+CategoryRuleModel.updateMany = jest.fn();
+
+jest.unstable_mockModule('../models/CategoryRuleModel.js', () => ({
+  default: CategoryRuleModel,
+}));
+
+const {
+  insert,
+  findAll,
+  findActive,
+  findById,
+  updateById,
+  deleteById,
+  countByCategory,
+  reassignCategory,
+} = await import('./categoryRuleRepository.js');
+
+describe('categoryRuleRepository', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('insert saves the rule', async () => {
+    const rule = await insert({ name: 'Mercado' });
+
+    expect(CategoryRuleModel).toHaveBeenCalledWith({ name: 'Mercado' });
+    expect(rule.save).toHaveBeenCalled();
+  });
+
+  test('insert wraps save errors', async () => {
+    CategoryRuleModel.mockImplementationOnce(function () {
+      this.save = jest.fn().mockRejectedValue(new Error('db'));
+      return this;
+    });
+
+    await expect(insert({})).rejects.toThrow(
+      'An error occurred while saving the category rule.'
+    );
+  });
+
+  test('findAll and findActive sort rules in evaluation order', async () => {
+    const sort = jest.fn().mockResolvedValue([{ id: 'r1' }]);
+    CategoryRuleModel.find.mockReturnValue({ sort });
+
+    await expect(findAll()).resolves.toEqual([{ id: 'r1' }]);
+    await expect(findActive()).resolves.toEqual([{ id: 'r1' }]);
+
+    expect(CategoryRuleModel.find).toHaveBeenNthCalledWith(1, {});
+    expect(CategoryRuleModel.find).toHaveBeenNthCalledWith(2, { active: true });
+    expect(sort).toHaveBeenCalledWith({ priority: -1, createdAt: 1 });
+  });
+
+  test('findAll wraps errors', async () => {
+    CategoryRuleModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+
+    await expect(findAll()).rejects.toThrow(
+      'An error occurred while listing category rules.'
+    );
+  });
+
+  test('findById returns the rule or null', async () => {
+    CategoryRuleModel.findById
+      .mockResolvedValueOnce({ id: 'r1' })
+      .mockResolvedValueOnce(null);
+
+    await expect(findById('r1')).resolves.toEqual({ id: 'r1' });
+    await expect(findById('r2')).resolves.toBeNull();
+  });
+
+  test('findById wraps errors', async () => {
+    CategoryRuleModel.findById.mockRejectedValue(new Error('db'));
+
+    await expect(findById('r1')).rejects.toThrow(
+      'An error occurred while finding the category rule.'
+    );
+  });
+
+  test('updateById runs validators and returns the rule or null', async () => {
+    CategoryRuleModel.findByIdAndUpdate
+      .mockResolvedValueOnce({ id: 'r1' })
+      .mockResolvedValueOnce(null);
+
+    await expect(updateById('r1', { priority: 5 })).resolves.toEqual({
+      id: 'r1',
+    });
+    await expect(updateById('r2', {})).resolves.toBeNull();
+    expect(CategoryRuleModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      'r1',
+      { priority: 5 },
+      { new: true, runValidators: true }
+    );
+  });
+
+  test('updateById wraps errors', async () => {
+    CategoryRuleModel.findByIdAndUpdate.mockRejectedValue(new Error('db'));
+
+    await expect(updateById('r1', {})).rejects.toThrow(
+      'An error occurred while updating the category rule.'
+    );
+  });
+
+  test('deleteById returns the deleted rule or null', async () => {
+    CategoryRuleModel.findByIdAndDelete
+      .mockResolvedValueOnce({ id: 'r1' })
+      .mockResolvedValueOnce(null);
+
+    await expect(deleteById('r1')).resolves.toEqual({ id: 'r1' });
+    await expect(deleteById('r2')).resolves.toBeNull();
+  });
+
+  test('deleteById wraps errors', async () => {
+    CategoryRuleModel.findByIdAndDelete.mockRejectedValue(new Error('db'));
+
+    await expect(deleteById('r1')).rejects.toThrow(
+      'An error occurred while deleting the category rule.'
+    );
+  });
+
+  test('countByCategory counts rules of a category', async () => {
+    CategoryRuleModel.countDocuments.mockResolvedValue(2);
+
+    await expect(countByCategory('c1')).resolves.toBe(2);
+    expect(CategoryRuleModel.countDocuments).toHaveBeenCalledWith({
+      category: 'c1',
+    });
+  });
+
+  test('countByCategory throws on error', async () => {
+    CategoryRuleModel.countDocuments.mockRejectedValue(new Error('db'));
+
+    await expect(countByCategory('c1')).rejects.toThrow(
+      'An error occurred while counting category rules.'
+    );
+  });
+
+  test('reassignCategory points rules at another category', async () => {
+    CategoryRuleModel.updateMany.mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(reassignCategory('c1', 'c2', 'session')).resolves.toEqual({
+      modifiedCount: 1,
+    });
+    expect(CategoryRuleModel.updateMany).toHaveBeenCalledWith(
+      { category: 'c1' },
+      { $set: { category: 'c2' } },
+      { session: 'session' }
+    );
+  });
+
+  test('reassignCategory throws on error', async () => {
+    CategoryRuleModel.updateMany.mockRejectedValue(new Error('db'));
+
+    await expect(reassignCategory('c1', 'c2')).rejects.toThrow(
+      'An error occurred while reassigning category rules.'
+    );
+  });
+});
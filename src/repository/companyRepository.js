@@ -163,12 +163,12 @@ export async function updateByCnpj(cnpj, companyObject) {
 
 export async function deleteById(id, session = null) {
   try {
-    let company;
-    if (session) {
-      company = await CompanyModel.findByIdAndDelete(id, { session });
-    } else {
-      company = await CompanyModel.findByIdAndDelete(id);
-    }
+    // moves the company to the trash
+    const company = await CompanyModel.findByIdAndUpdate(
+      id,
+      { deletedAt: new Date() },
+      { new: true, ...(session ? { session } : {}) }
+    );
     if (!company) {
       return null;
     }
@@ -181,7 +181,11 @@ export async function deleteById(id, session = null) {
 
 export async function deleteByCnpj(cnpj) {
   try {
-    const company = await CompanyModel.findOneAndDelete({ companyCnpj: cnpj });
+    const company = await CompanyModel.findOneAndUpdate(
+      { companyCnpj: cnpj },
+      { deletedAt: new Date() },
+      { new: true }
+    );
     if (!company) {
       return null;
     }
@@ -199,17 +203,24 @@ export async function deleteByIds(ids) {
       throw new Error('Invalid input: ids must be a non-empty array.');
     }
 
-    // Delete all companies that have an ID in the ids array
-    const result = await CompanyModel.deleteMany({
-      _id: { $in: ids },
-    });
+    // Move the companies of the ids array still outside the trash to it
+    const deletedIds = await CompanyModel.distinct('_id', { _id: { $in: ids } });
+    const deletedAt = new Date();
+    const result = await CompanyModel.updateMany(
+      { _id: { $in: deletedIds } },
+      { deletedAt }
+    );
 
     // Check if any documents were deleted
-    if (result.deletedCount === 0) {
+    if (result.modifiedCount === 0) {
       throw new Error('No companies found with the given IDs.');
     }
 
-    return result;
+    return {
+      deletedCount: result.modifiedCount,
+      ids: deletedIds.map(String),
+      deletedAt,
+    };
   } catch (error) {
     console.error('Error in deleteByIds:', error.message);
     throw new Error('An error occurred while deleting the companies by IDs.');
@@ -312,9 +323,10 @@ export async function findCompaniesBySecondaryActivity(activityCode) {
 
 export async function upsertByCnpj(cnpj, companyObject) {
   try {
+    // the CNPJ is unique, so a company in the trash is brought back
     const updatedCompany = await CompanyModel.findOneAndUpdate(
       { companyCnpj: cnpj },
-      companyObject,
+      { ...companyObject, deletedAt: null },
       {
         new: true,
         upsert: true, // Create if doesn't exist
@@ -370,3 +382,24 @@ export async function getCompanyStatistics() {
     throw new Error('Failed to retrieve company statistics.');
   }
 }
+
+/**
+ * Full-text search over company, corporate and trade names
+ * @param {string} text - Search terms
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} Companies ranked by text score, each with a `score`
+ */
+export async function textSearch(text, limit = 20) {
+  try {
+    return await CompanyModel.find(
+      { $text: { $search: text } },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .lean();
+  } catch (error) {
+    console.error('Error in textSearch:', error.message);
+    throw new Error('An error occurred while searching companies by text.');
+  }
+}
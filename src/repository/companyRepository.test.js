@@ -14,6 +14,7 @@ CompanyModel.findOneAndUpdate = jest.fn();
 CompanyModel.findByIdAndDelete = jest.fn();
 CompanyModel.findOneAndDelete = jest.fn();
 CompanyModel.deleteMany = jest.fn();
+CompanyModel.updateMany = jest.fn();
 CompanyModel.distinct = jest.fn();
 CompanyModel.aggregate = jest.fn();
 
@@ -46,6 +47,7 @@ const {
   findCompaniesBySecondaryActivity,
   upsertByCnpj,
   getCompanyStatistics,
+  textSearch,
 } = repository;
 
 const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
@@ -335,18 +337,29 @@ describe('companyRepository', () => {
     );
   });
 
-  test('deleteById supports session and returns company', async () => {
-    CompanyModel.findByIdAndDelete.mockResolvedValue({ id: '1' });
+  test('deleteById moves the company to the trash', async () => {
+    CompanyModel.findByIdAndUpdate.mockResolvedValue({ id: '1' });
 
     const session = { id: 's' };
     const result = await deleteById('1', session);
 
-    expect(CompanyModel.findByIdAndDelete).toHaveBeenCalledWith('1', { session });
+    expect(CompanyModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      '1',
+      { deletedAt: expect.any(Date) },
+      { new: true, session }
+    );
     expect(result).toEqual({ id: '1' });
+
+    await deleteById('1');
+    expect(CompanyModel.findByIdAndUpdate).toHaveBeenLastCalledWith(
+      '1',
+      { deletedAt: expect.any(Date) },
+      { new: true }
+    );
   });
 
   test('deleteById returns null when missing', async () => {
-    CompanyModel.findByIdAndDelete.mockResolvedValue(null);
+    CompanyModel.findByIdAndUpdate.mockResolvedValue(null);
 
     const result = await deleteById('missing');
 
@@ -354,26 +367,28 @@ describe('companyRepository', () => {
   });
 
   test('deleteById throws on error', async () => {
-    CompanyModel.findByIdAndDelete.mockRejectedValue(new Error('db'));
+    CompanyModel.findByIdAndUpdate.mockRejectedValue(new Error('db'));
 
     await expect(deleteById('1')).rejects.toThrow(
       'An error occurred while deleting the company by ID.'
     );
   });
 
-  test('deleteByCnpj returns company', async () => {
-    CompanyModel.findOneAndDelete.mockResolvedValue({ id: '1' });
+  test('deleteByCnpj moves the company to the trash', async () => {
+    CompanyModel.findOneAndUpdate.mockResolvedValue({ id: '1' });
 
     const result = await deleteByCnpj('123');
 
-    expect(CompanyModel.findOneAndDelete).toHaveBeenCalledWith({
-      companyCnpj: '123',
-    });
+    expect(CompanyModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { companyCnpj: '123' },
+      { deletedAt: expect.any(Date) },
+      { new: true }
+    );
     expect(result).toEqual({ id: '1' });
   });
 
   test('deleteByCnpj returns null when missing', async () => {
-    CompanyModel.findOneAndDelete.mockResolvedValue(null);
+    CompanyModel.findOneAndUpdate.mockResolvedValue(null);
 
     const result = await deleteByCnpj('missing');
 
@@ -381,22 +396,31 @@ describe('companyRepository', () => {
   });
 
   test('deleteByCnpj throws on error', async () => {
-    CompanyModel.findOneAndDelete.mockRejectedValue(new Error('db'));
+    CompanyModel.findOneAndUpdate.mockRejectedValue(new Error('db'));
 
     await expect(deleteByCnpj('1')).rejects.toThrow(
       'An error occurred while deleting the company by CNPJ.'
     );
   });
 
-  test('deleteByIds validates input and deletes', async () => {
-    CompanyModel.deleteMany.mockResolvedValue({ deletedCount: 2 });
+  test('deleteByIds validates input and moves to the trash', async () => {
+    CompanyModel.distinct.mockResolvedValueOnce(['1', '2']);
+    CompanyModel.updateMany.mockResolvedValue({ modifiedCount: 2 });
 
-    const result = await deleteByIds(['1', '2']);
+    const result = await deleteByIds(['1', '2', '3']);
 
-    expect(CompanyModel.deleteMany).toHaveBeenCalledWith({
-      _id: { $in: ['1', '2'] },
+    expect(CompanyModel.distinct).toHaveBeenCalledWith('_id', {
+      _id: { $in: ['1', '2', '3'] },
+    });
+    expect(CompanyModel.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['1', '2'] } },
+      { deletedAt: result.deletedAt }
+    );
+    expect(result).toEqual({
+      deletedCount: 2,
+      ids: ['1', '2'],
+      deletedAt: expect.any(Date),
     });
-    expect(result).toEqual({ deletedCount: 2 });
   });
 
   test('deleteByIds throws on invalid input', async () => {
@@ -406,7 +430,8 @@ describe('companyRepository', () => {
   });
 
   test('deleteByIds throws when none deleted', async () => {
-    CompanyModel.deleteMany.mockResolvedValue({ deletedCount: 0 });
+    CompanyModel.distinct.mockResolvedValueOnce([]);
+    CompanyModel.updateMany.mockResolvedValue({ modifiedCount: 0 });
 
     await expect(deleteByIds(['1'])).rejects.toThrow(
       'An error occurred while deleting the companies by IDs.'
@@ -571,7 +596,7 @@ describe('companyRepository', () => {
 
     expect(CompanyModel.findOneAndUpdate).toHaveBeenCalledWith(
       { companyCnpj: '123' },
-      { companyName: 'Acme' },
+      { companyName: 'Acme', deletedAt: null },
       { new: true, upsert: true, runValidators: true }
     );
     expect(result).toEqual({ id: '1' });
@@ -625,4 +650,31 @@ describe('companyRepository', () => {
       'Failed to retrieve company statistics.'
     );
   });
+
+  test('textSearch ranks companies by text score', async () => {
+    const lean = jest.fn().mockResolvedValue([{ companyName: 'Drogasil' }]);
+    const limit = jest.fn().mockReturnValue({ lean });
+    const sort = jest.fn().mockReturnValue({ limit });
+    CompanyModel.find.mockReturnValue({ sort });
+
+    const result = await textSearch('drogaria', 5);
+
+    expect(CompanyModel.find).toHaveBeenCalledWith(
+      { $text: { $search: 'drogaria' } },
+      { score: { $meta: 'textScore' } }
+    );
+    expect(sort).toHaveBeenCalledWith({ score: { $meta: 'textScore' } });
+    expect(limit).toHaveBeenCalledWith(5);
+    expect(result).toEqual([{ companyName: 'Drogasil' }]);
+  });
+
+  test('textSearch throws on error', async () => {
+    CompanyModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+
+    await expect(textSearch('drogaria')).rejects.toThrow(
+      'An error occurred while searching companies by text.'
+    );
+  });
 });
@@ -0,0 +1,81 @@
+import ExchangeRateModel from '../models/ExchangeRateModel.js';
+
+/**
+ * Create an exchange rate
+ * @param {Object} rateData - Exchange rate data
+ * @returns {Promise<Object>} Created exchange rate
+ */
+export async function insert(rateData) {
+  try {
+    const exchangeRate = new ExchangeRateModel(rateData);
+    await exchangeRate.save();
+    return exchangeRate;
+  } catch (error) {
+    console.error('Error in insert:', error.message);
+    throw new Error('An error occurred while saving the exchange rate.');
+  }
+}
+
+/**
+ * List exchange rates by currency and date
+ * @param {Object} filter - Filter criteria
+ * @returns {Promise<Array>} Exchange rates
+ */
+export async function findAll(filter = {}) {
+  try {
+    return await ExchangeRateModel.find(filter).sort({ currency: 1, date: 1 });
+  } catch (error) {
+    console.error('Error in findAll:', error.message);
+    throw new Error('An error occurred while listing exchange rates.');
+  }
+}
+
+/**
+ * List the exchange rates of some currencies
+ * @param {Array<string>} currencies - Currency codes
+ * @returns {Promise<Array>} Exchange rates
+ */
+export async function findByCurrencies(currencies) {
+  return findAll({ currency: { $in: currencies } });
+}
+
+/**
+ * Create or replace exchange rates, keyed by currency and date
+ * @param {Array<Object>} rates - Exchange rates ({currency, date, rate, source})
+ * @returns {Promise<{created: number, updated: number}>} Counts of written rates
+ */
+export async function upsertMany(rates) {
+  try {
+    const result = await ExchangeRateModel.bulkWrite(
+      rates.map((rate) => ({
+        updateOne: {
+          filter: { currency: rate.currency, date: rate.date },
+          update: { $set: rate },
+          upsert: true,
+        },
+      }))
+    );
+    return {
+      created: result.upsertedCount,
+      updated: result.modifiedCount,
+    };
+  } catch (error) {
+    console.error('Error in upsertMany:', error.message);
+    throw new Error('An error occurred while saving exchange rates.');
+  }
+}
+
+/**
+ * Delete an exchange rate
+ * @param {string} id - Exchange rate ID
+ * @returns {Promise<Object|null>} Deleted exchange rate or null
+ */
+export async function deleteById(id) {
+  try {
+    const exchangeRate = await ExchangeRateModel.findByIdAndDelete(id);
+    return exchangeRate || null;
+  } catch (error) {
+    console.error('Error in deleteById:', error.message);
+    throw new Error('An error occurred while deleting the exchange rate.');
+  }
+}
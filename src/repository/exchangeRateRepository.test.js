@@ -0,0 +1,113 @@
+import { jest } from '@jest/globals';
+
+const ExchangeRateModel = jest.fn(function (data) {
+  Object.assign(this, data);
+  this.save = jest.fn().mockResolvedValue(this);
+});
+ExchangeRateModel.find = jest.fn();
+ExchangeRateModel.bulkWrite = jest.fn();
+ExchangeRateModel.findByIdAndDelete = jest.fn();
+
+jest.unstable_mockModule('../models/ExchangeRateModel.js', () => ({
+  default: ExchangeRateModel,
+}));
+
+const { insert, findAll, findByCurrencies, upsertMany, deleteById } =
+  await import('./exchangeRateRepository.js');
+
+describe('exchangeRateRepository', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('insert saves the exchange rate', async () => {
+    const rate = await insert({ currency: 'USD', rate: 5 });
+
+    expect(ExchangeRateModel).toHaveBeenCalledWith({ currency: 'USD', rate: 5 });
+    expect(rate.save).toHaveBeenCalled();
+  });
+
+  test('insert wraps save errors', async () => {
+    ExchangeRateModel.mockImplementationOnce(function () {
+      this.save = jest.fn().mockRejectedValue(new Error('db'));
+      return this;
+    });
+
+    await expect(insert({})).rejects.toThrow(
+      'An error occurred while saving the exchange rate.'
+    );
+  });
+
+  test('findAll and findByCurrencies sort by currency and date', async () => {
+    const sort = jest.fn().mockResolvedValue([{ id: 'r1' }]);
+    ExchangeRateModel.find.mockReturnValue({ sort });
+
+    await expect(findAll({ currency: 'USD' })).resolves.toEqual([{ id: 'r1' }]);
+    await findByCurrencies(['USD', 'EUR']);
+
+    expect(ExchangeRateModel.find).toHaveBeenCalledWith({ currency: 'USD' });
+    expect(ExchangeRateModel.find).toHaveBeenCalledWith({
+      currency: { $in: ['USD', 'EUR'] },
+    });
+    expect(sort).toHaveBeenCalledWith({ currency: 1, date: 1 });
+  });
+
+  test('findAll wraps errors', async () => {
+    ExchangeRateModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+
+    await expect(findAll()).rejects.toThrow(
+      'An error occurred while listing exchange rates.'
+    );
+  });
+
+  test('upsertMany writes one upsert per currency and date', async () => {
+    const date = new Date('2024-01-01T00:00:00.000Z');
+    ExchangeRateModel.bulkWrite.mockResolvedValue({
+      upsertedCount: 1,
+      modifiedCount: 2,
+    });
+
+    const result = await upsertMany([{ currency: 'USD', date, rate: 5 }]);
+
+    expect(ExchangeRateModel.bulkWrite).toHaveBeenCalledWith([
+      {
+        updateOne: {
+          filter: { currency: 'USD', date },
+          update: { $set: { currency: 'USD', date, rate: 5 } },
+          upsert: true,
+        },
+      },
+    ]);
+    expect(result).toEqual({ created: 1, updated: 2 });
+  });
+
+  test('upsertMany wraps errors', async () => {
+    ExchangeRateModel.bulkWrite.mockRejectedValue(new Error('db'));
+
+    await expect(upsertMany([])).rejects.toThrow(
+      'An error occurred while saving exchange rates.'
+    );
+  });
+
+  test('deleteById returns the rate or null', async () => {
+    ExchangeRateModel.findByIdAndDelete
+      .mockResolvedValueOnce({ id: 'r1' })
+      .mockResolvedValueOnce(null)
+      .mockRejectedValueOnce(new Error('db'));
+
+    await expect(deleteById('r1')).resolves.toEqual({ id: 'r1' });
+    await expect(deleteById('missing')).resolves.toBeNull();
+    await expect(deleteById('r1')).rejects.toThrow(
+      'An error occurred while deleting the exchange rate.'
+    );
+  });
+});
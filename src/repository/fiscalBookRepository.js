@@ -1,5 +1,6 @@
 import FiscalBookModel from '../models/FiscalBookModel.js';
 import { startSession } from 'mongoose';
+import { summarizeTransactions } from '../infrastructure/monetary/currencyUtils.js';
 
 /**
  * Find all fiscal books with optional filtering
@@ -30,8 +31,10 @@ export async function findAll(filter = {}, options = {}, session = null) {
 /**
  * Find all fiscal books with computed transaction statistics
  * Uses MongoDB aggregation to compute transactionCount, totalIncome, totalExpenses, netAmount
+ * in BRL. With `options.currency`, the totals are converted at each transaction date
+ * with `options.exchangeRates` instead (sorting by totals still uses the BRL values).
  * @param {Object} filter - MongoDB filter object
- * @param {Object} options - Query options (limit, skip, sort)
+ * @param {Object} options - Query options (limit, skip, sort, currency, exchangeRates)
  * @returns {Promise<Array>} Array of fiscal book documents with statistics
  */
 export async function findAllWithStats(filter = {}, options = {}) {
@@ -45,10 +48,12 @@ export async function findAllWithStats(filter = {}, options = {}) {
           from: 'transactions',
           localField: '_id',
           foreignField: 'fiscalBookId',
+          pipeline: [{ $match: { deletedAt: null } }], // trashed transactions don't count
           as: 'transactionsList',
         },
       },
-      // Add computed fields
+      // Add computed fields; internal transfers are neither income nor expenses
+      // and refunds are netted against expenses
       {
         $addFields: {
           transactionCount: { $size: '$transactionsList' },
@@ -58,23 +63,16 @@ export async function findAllWithStats(filter = {}, options = {}) {
                 input: {
                   $filter: {
                     input: '$transactionsList',
-                    cond: { $eq: ['$$this.transactionType', 'credit'] },
-                  },
-                },
-                in: {
-                  $convert: {
-                    input: {
-                      $replaceAll: {
-                        input: { $ifNull: ['$$this.transactionValue', '0'] },
-                        find: ',',
-                        replacement: '.',
-                      },
+                    cond: {
+                      $and: [
+                        { $eq: ['$$this.transactionType', 'credit'] },
+                        { $not: [{ $ifNull: ['$$this.transferPairId', false] }] },
+                        { $not: [{ $ifNull: ['$$this.refundOfId', false] }] },
+                      ],
                     },
-                    to: 'double',
-                    onError: 0,
-                    onNull: 0,
                   },
                 },
+                in: { $ifNull: ['$$this.transactionValue', 0] },
               },
             },
           },
@@ -84,38 +82,67 @@ export async function findAllWithStats(filter = {}, options = {}) {
                 input: {
                   $filter: {
                     input: '$transactionsList',
-                    cond: { $eq: ['$$this.transactionType', 'debit'] },
-                  },
-                },
-                in: {
-                  $abs: {
-                    $convert: {
-                      input: {
-                        $replaceAll: {
-                          input: { $ifNull: ['$$this.transactionValue', '0'] },
-                          find: ',',
-                          replacement: '.',
+                    cond: {
+                      $and: [
+                        {
+                          $or: [
+                            { $eq: ['$$this.transactionType', 'debit'] },
+                            { $ifNull: ['$$this.refundOfId', false] },
+                          ],
                         },
-                      },
-                      to: 'double',
-                      onError: 0,
-                      onNull: 0,
+                        { $not: [{ $ifNull: ['$$this.transferPairId', false] }] },
+                      ],
                     },
                   },
                 },
+                in: {
+                  $multiply: [
+                    { $abs: { $ifNull: ['$$this.transactionValue', 0] } },
+                    { $cond: [{ $ifNull: ['$$this.refundOfId', false] }, -1, 1] },
+                  ],
+                },
               },
             },
           },
         },
       },
+      // Transaction values are stored in cents
+      {
+        $addFields: {
+          totalIncome: { $divide: ['$totalIncome', 100] },
+          totalExpenses: { $divide: ['$totalExpenses', 100] },
+        },
+      },
       // Add net amount
       {
         $addFields: {
           netAmount: { $subtract: ['$totalIncome', '$totalExpenses'] },
         },
       },
-      // Remove the full transactions array to reduce payload
-      { $project: { transactionsList: 0 } },
+      // Remove the full transactions array to reduce payload, keeping the
+      // fields needed for currency conversion when a currency is requested
+      options.currency
+        ? {
+            $addFields: {
+              transactionsList: {
+                $map: {
+                  input: '$transactionsList',
+                  in: {
+                    transactionDate: '$$this.transactionDate',
+                    transactionType: '$$this.transactionType',
+                    transactionValue: {
+                      $divide: ['$$this.transactionValue', 100],
+                    },
+                    originalCurrency: '$$this.originalCurrency',
+                    originalValue: { $divide: ['$$this.originalValue', 100] },
+                    transferPairId: '$$this.transferPairId',
+                    refundOfId: '$$this.refundOfId',
+                  },
+                },
+              },
+            },
+          }
+        : { $project: { transactionsList: 0 } },
     ];
 
     // Add sorting - convert string format to object format if needed
@@ -141,7 +168,18 @@ export async function findAllWithStats(filter = {}, options = {}) {
       pipeline.push({ $limit: options.limit });
     }
 
-    return await FiscalBookModel.aggregate(pipeline);
+    const books = await FiscalBookModel.aggregate(pipeline);
+    if (!options.currency) {
+      return books;
+    }
+
+    return books.map(({ transactionsList, ...book }) => ({
+      ...book,
+      ...summarizeTransactions(transactionsList, {
+        currency: options.currency,
+        rates: options.exchangeRates,
+      }),
+    }));
   } catch (error) {
     console.error('Error in findAllWithStats:', error.message);
     throw new Error('Failed to retrieve fiscal books with statistics.');
@@ -305,20 +343,21 @@ export async function updateById(id, updateData, session = null) {
 }
 
 /**
- * Delete fiscal book by ID
+ * Move fiscal book to the trash by ID
  * @param {string} id - Fiscal book ID
  * @param {Object} session - MongoDB session for transactions
  * @returns {Promise<Object|null>} Deleted fiscal book document or null
  */
 export async function deleteById(id, session = null) {
   try {
-    const options = {};
+    const options = { new: true };
     if (session) {
       options.session = session;
     }
 
-    const deletedFiscalBook = await FiscalBookModel.findByIdAndDelete(
+    const deletedFiscalBook = await FiscalBookModel.findByIdAndUpdate(
       id,
+      { deletedAt: new Date() },
       options
     );
 
@@ -102,6 +102,97 @@ describe('fiscalBookRepository', () => {
     expect(result).toEqual([{ id: '1', transactionCount: 5 }]);
   });
 
+  test('findAllWithStats sums transaction cents and converts them to reais', async () => {
+    FiscalBookModel.aggregate.mockResolvedValue([]);
+
+    await findAllWithStats({});
+
+    const pipeline = FiscalBookModel.aggregate.mock.calls[0][0];
+    const sums = pipeline.find((stage) => stage.$addFields?.totalIncome?.$sum);
+    expect(sums.$addFields.totalIncome.$sum.$map.in).toEqual({
+      $ifNull: ['$$this.transactionValue', 0],
+    });
+    expect(sums.$addFields.totalIncome.$sum.$map.input.$filter.cond).toEqual({
+      $and: [
+        { $eq: ['$$this.transactionType', 'credit'] },
+        { $not: [{ $ifNull: ['$$this.transferPairId', false] }] },
+        { $not: [{ $ifNull: ['$$this.refundOfId', false] }] },
+      ],
+    });
+    expect(sums.$addFields.totalExpenses.$sum.$map.input.$filter.cond).toEqual({
+      $and: [
+        {
+          $or: [
+            { $eq: ['$$this.transactionType', 'debit'] },
+            { $ifNull: ['$$this.refundOfId', false] },
+          ],
+        },
+        { $not: [{ $ifNull: ['$$this.transferPairId', false] }] },
+      ],
+    });
+    // refunds are subtracted from expenses
+    expect(sums.$addFields.totalExpenses.$sum.$map.in.$multiply[1]).toEqual({
+      $cond: [{ $ifNull: ['$$this.refundOfId', false] }, -1, 1],
+    });
+    expect(pipeline).toContainEqual({
+      $addFields: {
+        totalIncome: { $divide: ['$totalIncome', 100] },
+        totalExpenses: { $divide: ['$totalExpenses', 100] },
+      },
+    });
+  });
+
+  test('findAllWithStats converts totals to the requested currency', async () => {
+    FiscalBookModel.aggregate.mockResolvedValue([
+      {
+        id: '1',
+        bookName: 'Book',
+        transactionCount: 2,
+        totalIncome: 100,
+        transactionsList: [
+          {
+            transactionDate: new Date('2024-01-10T12:00:00.000Z'),
+            transactionType: 'credit',
+            transactionValue: 100,
+          },
+          {
+            transactionDate: new Date('2024-01-10T12:00:00.000Z'),
+            transactionType: 'debit',
+            transactionValue: 52,
+            originalCurrency: 'USD',
+            originalValue: 10,
+          },
+        ],
+      },
+    ]);
+
+    const result = await findAllWithStats(
+      {},
+      {
+        currency: 'USD',
+        exchangeRates: [
+          { currency: 'USD', date: new Date('2024-01-01T00:00:00.000Z'), rate: 5 },
+        ],
+      }
+    );
+
+    const pipeline = FiscalBookModel.aggregate.mock.calls[0][0];
+    expect(pipeline).not.toContainEqual({ $project: { transactionsList: 0 } });
+    expect(pipeline[1].$lookup.pipeline).toEqual([{ $match: { deletedAt: null } }]);
+    expect(result).toEqual([
+      {
+        id: '1',
+        bookName: 'Book',
+        currency: 'USD',
+        transactionCount: 2,
+        totalIncome: 20,
+        totalExpenses: 10,
+        netAmount: 10,
+        unconvertedCount: 0,
+      },
+    ]);
+  });
+
   test('findAllWithStats handles string sort format descending', async () => {
     FiscalBookModel.aggregate.mockResolvedValue([]);
 
@@ -369,29 +460,35 @@ describe('fiscalBookRepository', () => {
     );
   });
 
-  test('deleteById returns deleted book', async () => {
-    FiscalBookModel.findByIdAndDelete.mockResolvedValue({ id: '1' });
+  test('deleteById moves the book to the trash', async () => {
+    FiscalBookModel.findByIdAndUpdate.mockResolvedValue({ id: '1' });
 
     const result = await deleteById('1');
 
-    expect(FiscalBookModel.findByIdAndDelete).toHaveBeenCalledWith('1', {});
+    expect(FiscalBookModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      '1',
+      { deletedAt: expect.any(Date) },
+      { new: true }
+    );
     expect(result).toEqual({ id: '1' });
   });
 
   test('deleteById supports session', async () => {
-    FiscalBookModel.findByIdAndDelete.mockResolvedValue({ id: '1' });
+    FiscalBookModel.findByIdAndUpdate.mockResolvedValue({ id: '1' });
 
     const session = { id: 's' };
     const result = await deleteById('1', session);
 
-    expect(FiscalBookModel.findByIdAndDelete).toHaveBeenCalledWith('1', {
-      session,
-    });
+    expect(FiscalBookModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      '1',
+      { deletedAt: expect.any(Date) },
+      { new: true, session }
+    );
     expect(result).toEqual({ id: '1' });
   });
 
   test('deleteById returns null when missing', async () => {
-    FiscalBookModel.findByIdAndDelete.mockResolvedValue(null);
+    FiscalBookModel.findByIdAndUpdate.mockResolvedValue(null);
 
     const result = await deleteById('missing');
 
@@ -399,7 +496,7 @@ describe('fiscalBookRepository', () => {
   });
 
   test('deleteById throws on error', async () => {
-    FiscalBookModel.findByIdAndDelete.mockRejectedValue(new Error('db'));
+    FiscalBookModel.findByIdAndUpdate.mockRejectedValueOnce(new Error('db'));
 
     await expect(deleteById('1')).rejects.toThrow(
       'An error occurred while deleting the fiscal book.'
@@ -0,0 +1,95 @@
+import ImportMappingModel from '../models/ImportMappingModel.js';
+
+/**
+ * Create an import mapping profile
+ * @param {Object} mappingData - Mapping profile data
+ * @returns {Promise<Object>} Created mapping profile
+ */
+export async function insert(mappingData) {
+  try {
+    const mapping = new ImportMappingModel(mappingData);
+    await mapping.save();
+    return mapping;
+  } catch (error) {
+    console.error('Error in insert:', error.message);
+    throw new Error('An error occurred while saving the import mapping.');
+  }
+}
+
+/**
+ * List every import mapping profile sorted by name
+ * @returns {Promise<Array>} Mapping profiles
+ */
+export async function findAll() {
+  try {
+    return await ImportMappingModel.find({}).sort({ name: 1 });
+  } catch (error) {
+    console.error('Error in findAll:', error.message);
+    throw new Error('An error occurred while listing import mappings.');
+  }
+}
+
+/**
+ * Find an import mapping profile by ID
+ * @param {string} id - Mapping profile ID
+ * @returns {Promise<Object|null>} Mapping profile or null
+ */
+export async function findById(id) {
+  try {
+    const mapping = await ImportMappingModel.findById(id);
+    return mapping || null;
+  } catch (error) {
+    console.error('Error in findById:', error.message);
+    throw new Error('An error occurred while finding the import mapping.');
+  }
+}
+
+/**
+ * Find an import mapping profile by name
+ * @param {string} name - Mapping profile name
+ * @returns {Promise<Object|null>} Mapping profile or null
+ */
+export async function findByName(name) {
+  try {
+    const mapping = await ImportMappingModel.findOne({ name });
+    return mapping || null;
+  } catch (error) {
+    console.error('Error in findByName:', error.message);
+    throw new Error('An error occurred while finding the import mapping.');
+  }
+}
+
+/**
+ * Update an import mapping profile
+ * @param {string} id - Mapping profile ID
+ * @param {Object} mappingData - Fields to update
+ * @returns {Promise<Object|null>} Updated mapping profile or null
+ */
+export async function updateById(id, mappingData) {
+  try {
+    const mapping = await ImportMappingModel.findByIdAndUpdate(
+      id,
+      mappingData,
+      { new: true, runValidators: true }
+    );
+    return mapping || null;
+  } catch (error) {
+    console.error('Error in updateById:', error.message);
+    throw new Error('An error occurred while updating the import mapping.');
+  }
+}
+
+/**
+ * Delete an import mapping profile
+ * @param {string} id - Mapping profile ID
+ * @returns {Promise<Object|null>} Deleted mapping profile or null
+ */
+export async function deleteById(id) {
+  try {
+    const mapping = await ImportMappingModel.findByIdAndDelete(id);
+    return mapping || null;
+  } catch (error) {
+    console.error('Error in deleteById:', error.message);
+    throw new Error('An error occurred while deleting the import mapping.');
+  }
+}
@@ -0,0 +1,134 @@
+import { jest } from '@jest/globals';
+
+const ImportMappingModel = jest.fn(function (data) {
+  this.data = data;
+  this.save = jest.fn().mockResolvedValue(this);
+  return this;
+});
+ImportMappingModel.find = jest.fn();
+ImportMappingModel.findById = jest.fn();
+ImportMappingModel.findOne = jest.fn();
+ImportMappingModel.findByIdAndUpdate = jest.fn();
+ImportMappingModel.findByIdAndDelete = jest.fn();
+
+jest.unstable_mockModule('../models/ImportMappingModel.js', () => ({
+  default: ImportMappingModel,
+}));
+
+const { insert, findAll, findById, findByName, updateById, deleteById } =
+  await import('./importMappingRepository.js');
+
+describe('importMappingRepository', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('insert saves the mapping', async () => {
+    const mapping = await insert({ name: 'Banco X' });
+
+    expect(ImportMappingModel).toHaveBeenCalledWith({ name: 'Banco X' });
+    expect(mapping.save).toHaveBeenCalled();
+  });
+
+  test('insert wraps save errors', async () => {
+    ImportMappingModel.mockImplementationOnce(function () {
+      this.save = jest.fn().mockRejectedValue(new Error('duplicate key'));
+      return this;
+    });
+
+    await expect(insert({})).rejects.toThrow(
+      'An error occurred while saving the import mapping.'
+    );
+  });
+
+  test('findAll sorts mappings by name', async () => {
+    const sort = jest.fn().mockResolvedValue([{ name: 'A' }]);
+    ImportMappingModel.find.mockReturnValue({ sort });
+
+    await expect(findAll()).resolves.toEqual([{ name: 'A' }]);
+    expect(sort).toHaveBeenCalledWith({ name: 1 });
+  });
+
+  test('findAll wraps errors', async () => {
+    ImportMappingModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+
+    await expect(findAll()).rejects.toThrow(
+      'An error occurred while listing import mappings.'
+    );
+  });
+
+  test('findById and findByName return the mapping or null', async () => {
+    ImportMappingModel.findById
+      .mockResolvedValueOnce({ id: 'm1' })
+      .mockResolvedValueOnce(null);
+    ImportMappingModel.findOne
+      .mockResolvedValueOnce({ id: 'm1' })
+      .mockResolvedValueOnce(null);
+
+    await expect(findById('m1')).resolves.toEqual({ id: 'm1' });
+    await expect(findById('m2')).resolves.toBeNull();
+    await expect(findByName('Banco X')).resolves.toEqual({ id: 'm1' });
+    await expect(findByName('Other')).resolves.toBeNull();
+    expect(ImportMappingModel.findOne).toHaveBeenCalledWith({ name: 'Banco X' });
+  });
+
+  test('findById and findByName wrap errors', async () => {
+    ImportMappingModel.findById.mockRejectedValue(new Error('db'));
+    ImportMappingModel.findOne.mockRejectedValue(new Error('db'));
+
+    await expect(findById('m1')).rejects.toThrow(
+      'An error occurred while finding the import mapping.'
+    );
+    await expect(findByName('x')).rejects.toThrow(
+      'An error occurred while finding the import mapping.'
+    );
+  });
+
+  test('updateById runs validators and returns the mapping or null', async () => {
+    ImportMappingModel.findByIdAndUpdate
+      .mockResolvedValueOnce({ id: 'm1' })
+      .mockResolvedValueOnce(null);
+
+    await expect(updateById('m1', { name: 'Y' })).resolves.toEqual({ id: 'm1' });
+    await expect(updateById('m2', {})).resolves.toBeNull();
+    expect(ImportMappingModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      'm1',
+      { name: 'Y' },
+      { new: true, runValidators: true }
+    );
+  });
+
+  test('updateById wraps errors', async () => {
+    ImportMappingModel.findByIdAndUpdate.mockRejectedValue(new Error('db'));
+
+    await expect(updateById('m1', {})).rejects.toThrow(
+      'An error occurred while updating the import mapping.'
+    );
+  });
+
+  test('deleteById returns the deleted mapping or null', async () => {
+    ImportMappingModel.findByIdAndDelete
+      .mockResolvedValueOnce({ id: 'm1' })
+      .mockResolvedValueOnce(null);
+
+    await expect(deleteById('m1')).resolves.toEqual({ id: 'm1' });
+    await expect(deleteById('m2')).resolves.toBeNull();
+  });
+
+  test('deleteById wraps errors', async () => {
+    ImportMappingModel.findByIdAndDelete.mockRejectedValue(new Error('db'));
+
+    await expect(deleteById('m1')).rejects.toThrow(
+      'An error occurred while deleting the import mapping.'
+    );
+  });
+});
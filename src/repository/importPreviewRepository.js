@@ -0,0 +1,47 @@
+import ImportPreviewModel from '../models/ImportPreviewModel.js';
+
+/**
+ * Store an import preview
+ * @param {Object} previewData - Preview data (source, options, rows)
+ * @returns {Promise<Object>} Created preview document
+ */
+export async function insert(previewData) {
+  try {
+    const preview = new ImportPreviewModel(previewData);
+    await preview.save();
+    return preview;
+  } catch (error) {
+    console.error('Error in insert:', error.message);
+    throw new Error('An error occurred while storing the import preview.');
+  }
+}
+
+/**
+ * Find an import preview by its token (document ID)
+ * @param {string} id - Preview token
+ * @returns {Promise<Object|null>} Preview document or null
+ */
+export async function findById(id) {
+  try {
+    const preview = await ImportPreviewModel.findById(id);
+    return preview || null;
+  } catch (error) {
+    console.error('Error in findById:', error.message);
+    throw new Error('An error occurred while finding the import preview.');
+  }
+}
+
+/**
+ * Delete an import preview
+ * @param {string} id - Preview token
+ * @returns {Promise<Object|null>} Deleted preview document or null
+ */
+export async function deleteById(id) {
+  try {
+    const preview = await ImportPreviewModel.findByIdAndDelete(id);
+    return preview || null;
+  } catch (error) {
+    console.error('Error in deleteById:', error.message);
+    throw new Error('An error occurred while deleting the import preview.');
+  }
+}
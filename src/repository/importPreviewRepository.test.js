@@ -0,0 +1,86 @@
+import { jest } from '@jest/globals';
+
+const ImportPreviewModel = jest.fn(function (data) {
+  this.data = data;
+  this.save = jest.fn().mockResolvedValue(this);
+  return this;
+});
+ImportPreviewModel.findById = jest.fn();
+ImportPreviewModel.findByIdAndDelete = jest.fn();
+
+jest.unstable_mockModule('../models/ImportPreviewModel.js', () => ({
+  default: ImportPreviewModel,
+}));
+
+const { insert, findById, deleteById } = await import(
+  './importPreviewRepository.js'
+);
+
+describe('importPreviewRepository', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('insert saves the preview', async () => {
+    const preview = await insert({ source: 'nubank', rows: [] });
+
+    expect(ImportPreviewModel).toHaveBeenCalledWith({
+      source: 'nubank',
+      rows: [],
+    });
+    expect(preview.save).toHaveBeenCalled();
+  });
+
+  test('insert wraps save errors', async () => {
+    ImportPreviewModel.mockImplementationOnce(function () {
+      this.save = jest.fn().mockRejectedValue(new Error('db'));
+      return this;
+    });
+
+    await expect(insert({})).rejects.toThrow(
+      'An error occurred while storing the import preview.'
+    );
+  });
+
+  test('findById returns the preview or null', async () => {
+    ImportPreviewModel.findById
+      .mockResolvedValueOnce({ id: 'p1' })
+      .mockResolvedValueOnce(undefined);
+
+    await expect(findById('p1')).resolves.toEqual({ id: 'p1' });
+    await expect(findById('p2')).resolves.toBeNull();
+  });
+
+  test('findById wraps errors', async () => {
+    ImportPreviewModel.findById.mockRejectedValue(new Error('db'));
+
+    await expect(findById('p1')).rejects.toThrow(
+      'An error occurred while finding the import preview.'
+    );
+  });
+
+  test('deleteById removes the preview', async () => {
+    ImportPreviewModel.findByIdAndDelete
+      .mockResolvedValueOnce({ id: 'p1' })
+      .mockResolvedValueOnce(null);
+
+    await expect(deleteById('p1')).resolves.toEqual({ id: 'p1' });
+    await expect(deleteById('p2')).resolves.toBeNull();
+    expect(ImportPreviewModel.findByIdAndDelete).toHaveBeenCalledWith('p1');
+  });
+
+  test('deleteById wraps errors', async () => {
+    ImportPreviewModel.findByIdAndDelete.mockRejectedValue(new Error('db'));
+
+    await expect(deleteById('p1')).rejects.toThrow(
+      'An error occurred while deleting the import preview.'
+    );
+  });
+});
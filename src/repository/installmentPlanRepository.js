@@ -0,0 +1,84 @@
+import InstallmentPlanModel from '../models/InstallmentPlanModel.js';
+
+/**
+ * List installment plans, latest purchases first
+ * @param {Object} filter - Filter criteria
+ * @returns {Promise<Array>} Installment plans
+ */
+export async function findAll(filter = {}) {
+  try {
+    return await InstallmentPlanModel.find(filter).sort({
+      firstInstallmentDate: -1,
+      createdAt: -1,
+    });
+  } catch (error) {
+    console.error('Error in findAll:', error.message);
+    throw new Error('An error occurred while listing installment plans.');
+  }
+}
+
+/**
+ * List the plans of a card that still have installments to link
+ * @param {string} accountId - Card account ID
+ * @returns {Promise<Array>} Active installment plans, oldest first
+ */
+export async function findActiveByAccount(accountId) {
+  try {
+    return await InstallmentPlanModel.find({
+      accountId,
+      status: 'active',
+    }).sort({ firstInstallmentDate: 1, createdAt: 1 });
+  } catch (error) {
+    console.error('Error in findActiveByAccount:', error.message);
+    throw new Error('An error occurred while listing installment plans.');
+  }
+}
+
+/**
+ * Find an installment plan by ID
+ * @param {string} id - Installment plan ID
+ * @returns {Promise<Object|null>} Installment plan or null
+ */
+export async function findById(id) {
+  try {
+    const plan = await InstallmentPlanModel.findById(id);
+    return plan || null;
+  } catch (error) {
+    console.error('Error in findById:', error.message);
+    throw new Error('An error occurred while finding the installment plan.');
+  }
+}
+
+/**
+ * Create an installment plan
+ * @param {Object} planData - Installment plan data
+ * @returns {Promise<Object>} Created installment plan
+ */
+export async function insert(planData) {
+  try {
+    const plan = new InstallmentPlanModel(planData);
+    return await plan.save();
+  } catch (error) {
+    console.error('Error in insert:', error.message);
+    throw new Error('An error occurred while saving the installment plan.');
+  }
+}
+
+/**
+ * Update an installment plan
+ * @param {string} id - Installment plan ID
+ * @param {Object} planData - Fields to update
+ * @returns {Promise<Object|null>} Updated installment plan or null
+ */
+export async function updateById(id, planData) {
+  try {
+    const plan = await InstallmentPlanModel.findByIdAndUpdate(id, planData, {
+      new: true,
+      runValidators: true,
+    });
+    return plan || null;
+  } catch (error) {
+    console.error('Error in updateById:', error.message);
+    throw new Error('An error occurred while updating the installment plan.');
+  }
+}
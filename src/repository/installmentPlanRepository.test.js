@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+
+const InstallmentPlanModel = jest.fn(function (data) {
+  Object.assign(this, data);
+  this.save = jest.fn().mockResolvedValue(this);
+});
+InstallmentPlanModel.find = jest.fn();
+InstallmentPlanModel.findById = jest.fn();
+InstallmentPlanModel.findByIdAndUpdate = jest.fn();
+
+jest.unstable_mockModule('../models/InstallmentPlanModel.js', () => ({
+  default: InstallmentPlanModel,
+}));
+
+const { findAll, findActiveByAccount, findById, insert, updateById } =
+  await import('./installmentPlanRepository.js');
+
+describe('installmentPlanRepository', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('findAll sorts plans by latest purchase', async () => {
+    const sort = jest.fn().mockResolvedValue([{ id: 'p1' }]);
+    InstallmentPlanModel.find.mockReturnValue({ sort });
+
+    await expect(findAll({ status: 'active' })).resolves.toEqual([
+      { id: 'p1' },
+    ]);
+    await findAll();
+
+    expect(InstallmentPlanModel.find).toHaveBeenNthCalledWith(1, {
+      status: 'active',
+    });
+    expect(InstallmentPlanModel.find).toHaveBeenNthCalledWith(2, {});
+    expect(sort).toHaveBeenCalledWith({
+      firstInstallmentDate: -1,
+      createdAt: -1,
+    });
+
+    InstallmentPlanModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+    await expect(findAll()).rejects.toThrow(
+      'An error occurred while listing installment plans.'
+    );
+  });
+
+  test('findActiveByAccount lists the active plans of a card', async () => {
+    const sort = jest.fn().mockResolvedValue([{ id: 'p1' }]);
+    InstallmentPlanModel.find.mockReturnValue({ sort });
+
+    await expect(findActiveByAccount('a1')).resolves.toEqual([{ id: 'p1' }]);
+    expect(InstallmentPlanModel.find).toHaveBeenCalledWith({
+      accountId: 'a1',
+      status: 'active',
+    });
+    expect(sort).toHaveBeenCalledWith({ firstInstallmentDate: 1, createdAt: 1 });
+
+    InstallmentPlanModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+    await expect(findActiveByAccount('a1')).rejects.toThrow(
+      'An error occurred while listing installment plans.'
+    );
+  });
+
+  test('findById returns the plan or null', async () => {
+    InstallmentPlanModel.findById
+      .mockResolvedValueOnce({ id: 'p1' })
+      .mockResolvedValueOnce(null)
+      .mockRejectedValueOnce(new Error('db'));
+
+    await expect(findById('p1')).resolves.toEqual({ id: 'p1' });
+    await expect(findById('p2')).resolves.toBeNull();
+    await expect(findById('p3')).rejects.toThrow(
+      'An error occurred while finding the installment plan.'
+    );
+  });
+
+  test('insert saves the plan', async () => {
+    const plan = await insert({ planName: 'Loja' });
+
+    expect(InstallmentPlanModel).toHaveBeenCalledWith({ planName: 'Loja' });
+    expect(plan.save).toHaveBeenCalled();
+
+    InstallmentPlanModel.mockImplementationOnce(function () {
+      this.save = jest.fn().mockRejectedValue(new Error('db'));
+      return this;
+    });
+    await expect(insert({})).rejects.toThrow(
+      'An error occurred while saving the installment plan.'
+    );
+  });
+
+  test('updateById returns the updated plan or null', async () => {
+    InstallmentPlanModel.findByIdAndUpdate
+      .mockResolvedValueOnce({ id: 'p1' })
+      .mockResolvedValueOnce(null)
+      .mockRejectedValueOnce(new Error('db'));
+
+    await expect(updateById('p1', { status: 'finished' })).resolves.toEqual({
+      id: 'p1',
+    });
+    await expect(updateById('p2', {})).resolves.toBeNull();
+    await expect(updateById('p3', {})).rejects.toThrow(
+      'An error occurred while updating the installment plan.'
+    );
+    expect(InstallmentPlanModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      'p1',
+      { status: 'finished' },
+      { new: true, runValidators: true }
+    );
+  });
+});
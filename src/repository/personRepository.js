@@ -145,19 +145,23 @@ async function updateByCpf(cpf, updateData, session = null) {
 }
 
 /**
- * Delete person by ID
+ * Move person to the trash by ID
  * @param {string} id - Person ID
  * @param {Object} session - MongoDB session for transactions
  * @returns {Promise<Object|null>} Deleted person document or null
  */
 async function deleteById(id, session = null) {
-  const options = {};
+  const options = { new: true };
 
   if (session) {
     options.session = session;
   }
 
-  return await PersonModel.findByIdAndDelete(id, options);
+  return await PersonModel.findByIdAndUpdate(
+    id,
+    { deletedAt: new Date() },
+    options
+  );
 }
 
 /**
@@ -399,6 +403,29 @@ async function getStatistics(session = null) {
   );
 }
 
+/**
+ * Full-text search over person and personal business names
+ * @param {string} text - Search terms
+ * @param {number} limit - Maximum number of results
+ * @param {Object} session - MongoDB session for transactions
+ * @returns {Promise<Array>} People ranked by text score, each with a `score`
+ */
+async function textSearch(text, limit = 20, session = null) {
+  const query = PersonModel.find(
+    { $text: { $search: text } },
+    { score: { $meta: 'textScore' } }
+  )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean();
+
+  if (session) {
+    query.session(session);
+  }
+
+  return await query.exec();
+}
+
 export {
   findAll,
   findById,
@@ -419,4 +446,5 @@ export {
   deleteById,
   count,
   getStatistics,
+  textSearch,
 };
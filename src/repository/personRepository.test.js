@@ -41,6 +41,7 @@ const {
   deleteById,
   count,
   getStatistics,
+  textSearch,
 } = repository;
 
 const makeQuery = (result) => {
@@ -180,13 +181,17 @@ describe('personRepository', () => {
     expect(result).toEqual({ id: '1' });
   });
 
-  test('deleteById supports session', async () => {
-    PersonModel.findByIdAndDelete.mockResolvedValue({ id: '1' });
+  test('deleteById moves the person to the trash', async () => {
+    PersonModel.findByIdAndUpdate.mockResolvedValue({ id: '1' });
 
     const session = { id: 's' };
     const result = await deleteById('1', session);
 
-    expect(PersonModel.findByIdAndDelete).toHaveBeenCalledWith('1', { session });
+    expect(PersonModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      '1',
+      { deletedAt: expect.any(Date) },
+      { new: true, session }
+    );
     expect(result).toEqual({ id: '1' });
   });
 
@@ -462,4 +467,23 @@ describe('personRepository', () => {
       informalBusinesses: 0,
     });
   });
+
+  test('textSearch ranks people by text score with session', async () => {
+    const query = makeQuery([{ fullName: 'Maria Silva' }]);
+    query.lean = jest.fn().mockReturnThis();
+    PersonModel.find.mockReturnValue(query);
+
+    const result = await textSearch('maria', 10, 'session');
+    await textSearch('maria');
+
+    expect(PersonModel.find).toHaveBeenCalledWith(
+      { $text: { $search: 'maria' } },
+      { score: { $meta: 'textScore' } }
+    );
+    expect(query.sort).toHaveBeenCalledWith({ score: { $meta: 'textScore' } });
+    expect(query.limit).toHaveBeenNthCalledWith(1, 10);
+    expect(query.limit).toHaveBeenNthCalledWith(2, 20);
+    expect(query.session).toHaveBeenCalledTimes(1);
+    expect(result).toEqual([{ fullName: 'Maria Silva' }]);
+  });
 });
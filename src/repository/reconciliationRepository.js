@@ -0,0 +1,69 @@
+import ReconciliationModel from '../models/ReconciliationModel.js';
+
+/**
+ * Create a reconciliation
+ * @param {Object} reconciliationData - Reconciliation data
+ * @param {Object} session - Optional MongoDB session
+ * @returns {Promise<Object>} Created reconciliation
+ */
+export async function insert(reconciliationData, session = null) {
+  try {
+    const reconciliation = new ReconciliationModel(reconciliationData);
+    await reconciliation.save(session ? { session } : {});
+    return reconciliation;
+  } catch (error) {
+    console.error('Error in insert:', error.message);
+    throw new Error('An error occurred while saving the reconciliation.');
+  }
+}
+
+/**
+ * List reconciliations, latest statement first
+ * @param {Object} filter - Filter criteria
+ * @returns {Promise<Array>} Reconciliations
+ */
+export async function findAll(filter = {}) {
+  try {
+    return await ReconciliationModel.find(filter).sort({
+      statementDate: -1,
+      createdAt: -1,
+    });
+  } catch (error) {
+    console.error('Error in findAll:', error.message);
+    throw new Error('An error occurred while listing reconciliations.');
+  }
+}
+
+/**
+ * Find a reconciliation by ID
+ * @param {string} id - Reconciliation ID
+ * @returns {Promise<Object|null>} Reconciliation or null
+ */
+export async function findById(id) {
+  try {
+    const reconciliation = await ReconciliationModel.findById(id);
+    return reconciliation || null;
+  } catch (error) {
+    console.error('Error in findById:', error.message);
+    throw new Error('An error occurred while finding the reconciliation.');
+  }
+}
+
+/**
+ * Delete a reconciliation
+ * @param {string} id - Reconciliation ID
+ * @param {Object} session - Optional MongoDB session
+ * @returns {Promise<Object|null>} Deleted reconciliation or null
+ */
+export async function deleteById(id, session = null) {
+  try {
+    const reconciliation = await ReconciliationModel.findByIdAndDelete(
+      id,
+      session ? { session } : {}
+    );
+    return reconciliation || null;
+  } catch (error) {
+    console.error('Error in deleteById:', error.message);
+    throw new Error('An error occurred while deleting the reconciliation.');
+  }
+}
@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+
+const ReconciliationModel = jest.fn(function (data) {
+  Object.assign(this, data);
+  this.save = jest.fn().mockResolvedValue(this);
+});
+ReconciliationModel.find = jest.fn();
+ReconciliationModel.findById = jest.fn();
+ReconciliationModel.findByIdAndDelete = jest.fn();
+
+jest.unstable_mockModule('../models/ReconciliationModel.js', () => ({
+  default: ReconciliationModel,
+}));
+
+const { insert, findAll, findById, deleteById } = await import(
+  './reconciliationRepository.js'
+);
+
+describe('reconciliationRepository', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('insert saves the reconciliation with or without session', async () => {
+    const session = { id: 's' };
+
+    const reconciliation = await insert({ reconciledBy: 'Ana' }, session);
+    const withoutSession = await insert({ reconciledBy: 'Ana' });
+
+    expect(ReconciliationModel).toHaveBeenCalledWith({ reconciledBy: 'Ana' });
+    expect(reconciliation.save).toHaveBeenCalledWith({ session });
+    expect(withoutSession.save).toHaveBeenCalledWith({});
+  });
+
+  test('insert wraps save errors', async () => {
+    ReconciliationModel.mockImplementationOnce(function () {
+      this.save = jest.fn().mockRejectedValue(new Error('db'));
+      return this;
+    });
+
+    await expect(insert({})).rejects.toThrow(
+      'An error occurred while saving the reconciliation.'
+    );
+  });
+
+  test('findAll sorts reconciliations by latest statement', async () => {
+    const sort = jest.fn().mockResolvedValue([{ id: 'r1' }]);
+    ReconciliationModel.find.mockReturnValue({ sort });
+
+    await expect(findAll({ accountId: 'a1' })).resolves.toEqual([{ id: 'r1' }]);
+    await findAll();
+
+    expect(ReconciliationModel.find).toHaveBeenNthCalledWith(1, {
+      accountId: 'a1',
+    });
+    expect(ReconciliationModel.find).toHaveBeenNthCalledWith(2, {});
+    expect(sort).toHaveBeenCalledWith({ statementDate: -1, createdAt: -1 });
+
+    ReconciliationModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+    await expect(findAll()).rejects.toThrow(
+      'An error occurred while listing reconciliations.'
+    );
+  });
+
+  test('findById returns the reconciliation or null', async () => {
+    ReconciliationModel.findById
+      .mockResolvedValueOnce({ id: 'r1' })
+      .mockResolvedValueOnce(null)
+      .mockRejectedValueOnce(new Error('db'));
+
+    await expect(findById('r1')).resolves.toEqual({ id: 'r1' });
+    await expect(findById('r2')).resolves.toBeNull();
+    await expect(findById('r3')).rejects.toThrow(
+      'An error occurred while finding the reconciliation.'
+    );
+  });
+
+  test('deleteById deletes the reconciliation in the session', async () => {
+    const session = { id: 's' };
+    ReconciliationModel.findByIdAndDelete
+      .mockResolvedValueOnce({ id: 'r1' })
+      .mockResolvedValueOnce(null)
+      .mockRejectedValueOnce(new Error('db'));
+
+    await expect(deleteById('r1', session)).resolves.toEqual({ id: 'r1' });
+    await expect(deleteById('r2')).resolves.toBeNull();
+    await expect(deleteById('r3')).rejects.toThrow(
+      'An error occurred while deleting the reconciliation.'
+    );
+    expect(ReconciliationModel.findByIdAndDelete).toHaveBeenNthCalledWith(
+      1,
+      'r1',
+      { session }
+    );
+    expect(ReconciliationModel.findByIdAndDelete).toHaveBeenNthCalledWith(
+      2,
+      'r2',
+      {}
+    );
+  });
+});
@@ -565,3 +565,63 @@ export async function findSnapshotsToCleanup(fiscalBookId, retentionCount, sessi
     throw new Error('Failed to find snapshots for cleanup.');
   }
 }
+
+// ===== Attachment Repository Functions =====
+
+/**
+ * Count the snapshots and snapshot transactions referencing a content
+ * @param {string} contentHash - SHA-256 of the attachment content
+ * @returns {Promise<number>} Reference count
+ */
+export async function countAttachmentReferences(contentHash) {
+  try {
+    const filter = { 'attachments.contentHash': contentHash };
+    const [snapshots, transactions] = await Promise.all([
+      FiscalBookSnapshotModel.countDocuments(filter),
+      SnapshotTransactionModel.countDocuments(filter),
+    ]);
+    return snapshots + transactions;
+  } catch (error) {
+    console.error('Error in countAttachmentReferences:', error.message);
+    throw new Error('Failed to count snapshot attachments.');
+  }
+}
+
+/**
+ * List the attachment contents referenced by snapshots
+ * @param {Array<string>} snapshotIds - Snapshot IDs
+ * @returns {Promise<Array<string>>} Distinct content hashes
+ */
+export async function findAttachmentHashes(snapshotIds = []) {
+  try {
+    const [snapshotHashes, transactionHashes] = await Promise.all([
+      FiscalBookSnapshotModel.distinct('attachments.contentHash', {
+        _id: { $in: snapshotIds },
+      }),
+      SnapshotTransactionModel.distinct('attachments.contentHash', {
+        snapshotId: { $in: snapshotIds },
+      }),
+    ]);
+    return [...new Set([...snapshotHashes, ...transactionHashes])];
+  } catch (error) {
+    console.error('Error in findAttachmentHashes:', error.message);
+    throw new Error('Failed to list snapshot attachments.');
+  }
+}
+
+/**
+ * Get the snapshot transactions holding attachments
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Promise<Array>} Snapshot transactions with attachments
+ */
+export async function findTransactionsWithAttachments(snapshotId) {
+  try {
+    return await SnapshotTransactionModel.find({
+      snapshotId,
+      'attachments.0': { $exists: true },
+    }).sort({ 'transactionData.transactionDate': 1 });
+  } catch (error) {
+    console.error('Error in findTransactionsWithAttachments:', error.message);
+    throw new Error('Failed to retrieve snapshot attachments.');
+  }
+}
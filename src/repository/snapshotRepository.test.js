@@ -14,6 +14,7 @@ FiscalBookSnapshotModel.findByIdAndUpdate = jest.fn();
 FiscalBookSnapshotModel.findByIdAndDelete = jest.fn();
 FiscalBookSnapshotModel.countDocuments = jest.fn();
 FiscalBookSnapshotModel.deleteMany = jest.fn();
+FiscalBookSnapshotModel.distinct = jest.fn();
 
 const SnapshotTransactionModel = jest.fn();
 SnapshotTransactionModel.insertMany = jest.fn();
@@ -21,6 +22,7 @@ SnapshotTransactionModel.find = jest.fn();
 SnapshotTransactionModel.findByIdAndUpdate = jest.fn();
 SnapshotTransactionModel.countDocuments = jest.fn();
 SnapshotTransactionModel.deleteMany = jest.fn();
+SnapshotTransactionModel.distinct = jest.fn();
 
 const SnapshotScheduleModel = jest.fn();
 SnapshotScheduleModel.findOne = jest.fn();
@@ -77,6 +79,9 @@ const {
   findDueSchedules,
   updateScheduleExecution,
   findSnapshotsToCleanup,
+  countAttachmentReferences,
+  findAttachmentHashes,
+  findTransactionsWithAttachments,
 } = repository;
 
 const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
@@ -857,4 +862,66 @@ describe('snapshotRepository', () => {
       expect(result).toEqual(['snap1']);
     });
   });
+
+  // ===== Attachment references =====
+  describe('attachment references', () => {
+    const hash = 'a'.repeat(64);
+
+    test('countAttachmentReferences sums snapshots and snapshot transactions', async () => {
+      FiscalBookSnapshotModel.countDocuments.mockResolvedValueOnce(1);
+      SnapshotTransactionModel.countDocuments.mockResolvedValueOnce(2);
+
+      await expect(countAttachmentReferences(hash)).resolves.toBe(3);
+      expect(FiscalBookSnapshotModel.countDocuments).toHaveBeenCalledWith({
+        'attachments.contentHash': hash,
+      });
+
+      FiscalBookSnapshotModel.countDocuments.mockRejectedValueOnce(new Error('db'));
+      await expect(countAttachmentReferences(hash)).rejects.toThrow(
+        'Failed to count snapshot attachments.'
+      );
+    });
+
+    test('findAttachmentHashes lists distinct hashes of the snapshots', async () => {
+      FiscalBookSnapshotModel.distinct.mockResolvedValueOnce([hash]);
+      SnapshotTransactionModel.distinct.mockResolvedValueOnce([hash, 'b']);
+
+      await expect(findAttachmentHashes(['snap1'])).resolves.toEqual([hash, 'b']);
+      expect(FiscalBookSnapshotModel.distinct).toHaveBeenCalledWith(
+        'attachments.contentHash',
+        { _id: { $in: ['snap1'] } }
+      );
+      expect(SnapshotTransactionModel.distinct).toHaveBeenCalledWith(
+        'attachments.contentHash',
+        { snapshotId: { $in: ['snap1'] } }
+      );
+
+      FiscalBookSnapshotModel.distinct.mockRejectedValueOnce(new Error('db'));
+      SnapshotTransactionModel.distinct.mockResolvedValueOnce([]);
+      await expect(findAttachmentHashes()).rejects.toThrow(
+        'Failed to list snapshot attachments.'
+      );
+    });
+
+    test('findTransactionsWithAttachments finds copies holding attachments', async () => {
+      const sort = jest.fn().mockResolvedValue([{ id: 'st1' }]);
+      SnapshotTransactionModel.find.mockReturnValueOnce({ sort });
+
+      await expect(findTransactionsWithAttachments('snap1')).resolves.toEqual([
+        { id: 'st1' },
+      ]);
+      expect(SnapshotTransactionModel.find).toHaveBeenCalledWith({
+        snapshotId: 'snap1',
+        'attachments.0': { $exists: true },
+      });
+      expect(sort).toHaveBeenCalledWith({ 'transactionData.transactionDate': 1 });
+
+      SnapshotTransactionModel.find.mockImplementationOnce(() => {
+        throw new Error('db');
+      });
+      await expect(findTransactionsWithAttachments('snap1')).rejects.toThrow(
+        'Failed to retrieve snapshot attachments.'
+      );
+    });
+  });
 });
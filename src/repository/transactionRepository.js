@@ -1,5 +1,7 @@
 import TransactionModel from '../models/TransactionModel.js';
-import { startSession } from 'mongoose';
+import { WITH_DELETED } from '../models/softDelete.js';
+import { startSession, Types } from 'mongoose';
+import { toMonetaryCents } from '../infrastructure/monetary/monetaryUtils.js';
 
 export async function findAll() {
   try {
@@ -61,10 +63,16 @@ export async function findYears() {
 
 export async function deleteAllInPeriod(period) {
   try {
-    let filter = period
-      ? { transactionPeriod: { $regex: new RegExp(period), $options: 'i' } }
-      : {};
-    await TransactionModel.deleteMany(filter);
+    // reconciled transactions are locked until the reconciliation is undone
+    let filter = { reconciliationId: null };
+    if (period) {
+      filter.transactionPeriod = { $regex: new RegExp(period), $options: 'i' };
+    }
+    // transactions go to the trash; purging them is up to the trash service
+    const ids = await TransactionModel.distinct('_id', filter);
+    const deletedAt = new Date();
+    await TransactionModel.updateMany({ _id: { $in: ids } }, { deletedAt });
+    return { ids: ids.map(String), deletedAt };
   } catch (error) {
     console.error('Error in deleteAllInPeriod:', error.message);
     throw new Error('Failed to delete transactions in the specified period.');
@@ -73,18 +81,13 @@ export async function deleteAllInPeriod(period) {
 
 export async function deleteById(id, session = null) {
   try {
-    let transaction;
-    if (session) {
-      transaction = await TransactionModel.findByIdAndDelete(id, {
-        session,
-      });
-    } else {
-      transaction = await TransactionModel.findByIdAndDelete(id);
-    }
-    if (!transaction) {
-      return null;
-    }
-    return transaction;
+    // moves the transaction to the trash; transfer pairs and refunds keep
+    // their link so a restore brings it back, a purge removes it
+    return await TransactionModel.findByIdAndUpdate(
+      id,
+      { deletedAt: new Date() },
+      { new: true, ...(session ? { session } : {}) }
+    );
   } catch (error) {
     console.error('Error in deleteById:', error.message);
     throw new Error('An error occurred while deleting the transaction by ID.');
@@ -98,17 +101,18 @@ export async function deleteByIds(ids) {
       throw new Error('Invalid input: ids must be a non-empty array.');
     }
 
-    // Delete all transactions that have an ID in the ids array
-    const result = await TransactionModel.deleteMany({
-      _id: { $in: ids },
-    });
+    // Move all transactions that have an ID in the ids array to the trash
+    const result = await TransactionModel.updateMany(
+      { _id: { $in: ids } },
+      { deletedAt: new Date() }
+    );
 
     // Check if any documents were deleted
-    if (result.deletedCount === 0) {
+    if (result.modifiedCount === 0) {
       throw new Error('No transactions found with the given IDs.');
     }
 
-    return result;
+    return { deletedCount: result.modifiedCount };
   } catch (error) {
     console.error('Error in deleteByIds:', error.message);
     throw new Error(
@@ -212,6 +216,75 @@ export async function insert(transactionObject, session = null) {
   }
 }
 
+/**
+ * Find the stored transaction matching an imported row
+ * Matches by import fingerprint or, for rows imported before fingerprints
+ * existed, by the source transaction id.
+ * @param {string} importFingerprint - Import fingerprint
+ * @param {string} transactionSource - Import source
+ * @param {string} transactionId - Transaction id given by the source
+ * @param {Object} session - MongoDB session for transactions
+ * @returns {Promise<Object|null>} Matching transaction or null
+ */
+export async function findImportMatch(
+  importFingerprint,
+  transactionSource,
+  transactionId,
+  session = null
+) {
+  try {
+    const conditions = [{ importFingerprint }];
+    if (transactionId) {
+      conditions.push({ transactionSource, transactionId });
+    }
+
+    const query = TransactionModel.findOne({ $or: conditions });
+    if (session) {
+      query.session(session);
+    }
+
+    return await query.exec();
+  } catch (error) {
+    console.error('Error in findImportMatch:', error.message);
+    throw new Error('An error occurred while matching the imported transaction.');
+  }
+}
+
+/**
+ * Find categorized transactions with the fields used to train the category classifier
+ * @returns {Promise<Array>} Plain transaction objects
+ */
+export async function findCategorizedForTraining() {
+  try {
+    return await TransactionModel.find({
+      transactionCategory: { $exists: true, $ne: null },
+    })
+      .select(
+        'transactionName transactionDescription companyName items.itemName transactionCategory'
+      )
+      .lean()
+      .exec();
+  } catch (error) {
+    console.error('Error in findCategorizedForTraining:', error.message);
+    throw new Error(
+      'An error occurred while finding categorized transactions.'
+    );
+  }
+}
+
+// Fields that identify the original row: a copy keeping them would be taken for
+// a re-import of it, join its transfer or reconciliation, or claim its fiscal note
+const SEPARATED_OMITTED_FIELDS = [
+  'id',
+  '_id',
+  '__v',
+  'deletedAt',
+  'importFingerprint',
+  'transferPairId',
+  'reconciliationId',
+  'transactionFiscalNote',
+];
+
 export async function separateById(id) {
   const session = await startSession();
   try {
@@ -223,12 +296,19 @@ export async function separateById(id) {
       throw new Error('Cannot separate transaction; too few items.');
     }
 
-    const transactionPrototype = { ...transaction.toObject(), items: [] };
+    const transactionPrototype = {
+      ...transaction.toObject(),
+      items: [],
+      splits: [],
+    };
+    SEPARATED_OMITTED_FIELDS.forEach((field) => delete transactionPrototype[field]);
 
     for (const [index, item] of items.entries()) {
       const transactionCopy = { ...transactionPrototype, items: [item] };
       transactionCopy.transactionDescription += ` - item ${index + 1}`;
-      transactionCopy.transactionValue = item.itemValue;
+      // item values are per unit; numbers are read as cents by the model
+      transactionCopy.transactionValue =
+        toMonetaryCents(item.itemValue) * (item.itemUnits || 1);
 
       const result = await insert(transactionCopy, session);
       if (!result.id) {
@@ -238,10 +318,11 @@ export async function separateById(id) {
       }
     }
 
-    await deleteById(transaction.id, session);
+    // the original goes to the trash; it is returned as it is there
+    const deleted = await deleteById(transaction.id, session);
 
     await session.commitTransaction();
-    return transaction;
+    return deleted;
   } catch (error) {
     await session.abortTransaction();
     console.error('Error in separateById:', error.message);
@@ -286,50 +367,6 @@ export async function getTransactionsIdTransactionSource(source) {
   }
 }
 
-export async function findCreditCardInstallments() {
-  try {
-    let distinctDescriptions = await TransactionModel.aggregate([
-      {
-        $match: {
-          transactionDescription: { $regex: '\\- \\d+\\/\\d+' },
-          paymentMethod: 'credit card',
-        },
-      },
-      {
-        $group: {
-          _id: '$transactionDescription',
-          uniqueDescriptions: { $first: '$transactionDescription' },
-        },
-      },
-      {
-        $project: {
-          _id: 0,
-          transactionDescription: '$uniqueDescriptions',
-        },
-      },
-    ]);
-    return distinctDescriptions;
-  } catch (error) {
-    console.error('Error in findCreditCardInstallments:', error.message);
-    throw new Error('Failed to retrieve distinct credit card installments.');
-  }
-}
-
-export async function findAllByDescription(description) {
-  try {
-    const regex = new RegExp(`${description}`, 'i');
-    const transactions = await TransactionModel.find({
-      transactionDescription: regex,
-    }).sort({ transactionDate: 1 });
-    return transactions;
-  } catch (error) {
-    console.error('Error in findAllByDescription:', error.message);
-    throw new Error(
-      'Failed to find transactions with the specified description.'
-    );
-  }
-}
-
 /**
  * Find transactions by fiscal book ID
  * @param {string} fiscalBookId - Fiscal book ID to search for
@@ -369,6 +406,8 @@ export async function countByFiscalBook(fiscalBookId) {
 
 /**
  * Update fiscal book ID for multiple transactions
+ * Reconciled transactions are skipped: they are locked until the
+ * reconciliation is undone.
  * @param {Array<string>} transactionIds - Array of transaction IDs
  * @param {string} fiscalBookId - Fiscal book ID to assign
  * @param {Object} session - MongoDB session for transactions
@@ -386,7 +425,7 @@ export async function updateFiscalBookForTransactions(
     }
 
     const result = await TransactionModel.updateMany(
-      { _id: { $in: transactionIds } },
+      { _id: { $in: transactionIds }, reconciliationId: null },
       { $set: { fiscalBookId } },
       updateOptions
     );
@@ -430,3 +469,668 @@ export async function removeFiscalBookFromTransactions(
     );
   }
 }
+
+/**
+ * Count transactions assigned to a category, in or out of the trash
+ * @param {string} categoryId - Category ID
+ * @returns {Promise<number>} Count of transactions
+ */
+export async function countByCategory(categoryId) {
+  try {
+    return await TransactionModel.countDocuments({
+      $or: [
+        { transactionCategory: categoryId },
+        { 'splits.splitCategory': categoryId },
+      ],
+      ...WITH_DELETED,
+    });
+  } catch (error) {
+    console.error('Error in countByCategory:', error.message);
+    throw new Error('An error occurred while counting category transactions.');
+  }
+}
+
+/**
+ * Find the transactions assigned to a category, directly or by a split
+ * allocation, in or out of the trash
+ * @param {string} categoryId - Category ID
+ * @returns {Promise<Array>} Transactions of the category
+ */
+export async function findByCategory(categoryId) {
+  try {
+    return await TransactionModel.find({
+      $or: [
+        { transactionCategory: categoryId },
+        { 'splits.splitCategory': categoryId },
+      ],
+      ...WITH_DELETED,
+    });
+  } catch (error) {
+    console.error('Error in findByCategory:', error.message);
+    throw new Error('An error occurred while finding category transactions.');
+  }
+}
+
+/**
+ * Find transactions by ID, in or out of the trash
+ * @param {Array<string>} ids - Transaction IDs
+ * @returns {Promise<Array>} Transactions found
+ */
+export async function findByIds(ids = []) {
+  try {
+    return await TransactionModel.find({ _id: { $in: ids }, ...WITH_DELETED });
+  } catch (error) {
+    console.error('Error in findByIds:', error.message);
+    throw new Error('An error occurred while finding transactions by ID.');
+  }
+}
+
+/**
+ * Move every transaction of a category to another category
+ * Transactions in the trash move too, so restoring one never brings back a
+ * reference to a deleted category.
+ * @param {string} sourceId - Current category ID
+ * @param {string} targetId - New category ID
+ * @param {Object} session - MongoDB session for transactions
+ * @returns {Promise<Object>} Update result
+ */
+export async function reassignCategory(sourceId, targetId, session = null) {
+  try {
+    const result = await TransactionModel.updateMany(
+      { transactionCategory: sourceId, ...WITH_DELETED },
+      { $set: { transactionCategory: targetId } },
+      { session }
+    );
+    // Split allocations reference categories too
+    await TransactionModel.updateMany(
+      { 'splits.splitCategory': sourceId, ...WITH_DELETED },
+      { $set: { 'splits.$[split].splitCategory': targetId } },
+      { arrayFilters: [{ 'split.splitCategory': sourceId }], session }
+    );
+    return result;
+  } catch (error) {
+    console.error('Error in reassignCategory:', error.message);
+    throw new Error(
+      'An error occurred while reassigning transactions to another category.'
+    );
+  }
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the MongoDB filter of a transaction search
+ * @param {Object} criteria - Parsed search criteria (see transactionSearchValidator)
+ * @returns {Object} Query filter
+ */
+export function buildSearchFilter(criteria = {}) {
+  const filter = {};
+  const and = [];
+
+  if (criteria.startDate || criteria.endDate) {
+    filter.transactionDate = {};
+    if (criteria.startDate) filter.transactionDate.$gte = criteria.startDate;
+    if (criteria.endDate) filter.transactionDate.$lte = criteria.endDate;
+  }
+
+  if (criteria.type) filter.transactionType = criteria.type;
+  if (criteria.paymentMethod) filter.paymentMethod = criteria.paymentMethod;
+  if (criteria.source) filter.transactionSource = criteria.source;
+  if (criteria.status) filter.transactionStatus = criteria.status;
+  if (criteria.fiscalBookId) filter.fiscalBookId = criteria.fiscalBookId;
+
+  if (criteria.category) {
+    and.push({
+      $or: [
+        { transactionCategory: criteria.category },
+        { 'splits.splitCategory': criteria.category },
+      ],
+    });
+  }
+
+  if (criteria.company) {
+    if (/^[a-f\d]{24}$/i.test(criteria.company)) {
+      filter.companyId = criteria.company;
+    } else {
+      const companyConditions = [
+        { companyName: new RegExp(escapeRegex(criteria.company), 'i') },
+      ];
+      const digits = criteria.company.replace(/\D/g, '');
+      if (digits.length === 14) {
+        companyConditions.push({ companyCnpj: { $in: [digits, criteria.company] } });
+      }
+      and.push({ $or: companyConditions });
+    }
+  }
+
+  // Values are stored as signed cents; ranges apply to the absolute value
+  if (criteria.minValue !== undefined) {
+    and.push({
+      $expr: { $gte: [{ $abs: '$transactionValue' }, criteria.minValue] },
+    });
+  }
+  if (criteria.maxValue !== undefined) {
+    and.push({
+      $expr: { $lte: [{ $abs: '$transactionValue' }, criteria.maxValue] },
+    });
+  }
+
+  if (criteria.text) {
+    const regex = new RegExp(escapeRegex(criteria.text), 'i');
+    and.push({
+      $or: [
+        { transactionName: regex },
+        { transactionDescription: regex },
+        { companyName: regex },
+      ],
+    });
+  }
+
+  if (and.length > 0) {
+    filter.$and = and;
+  }
+
+  return filter;
+}
+
+/**
+ * Search transactions with filters and offset pagination
+ * @param {Object} criteria - Parsed search criteria (filters, limit, skip, sort)
+ * @returns {Promise<Object>} Object with transactions array, total count, limit and skip
+ */
+export async function search(criteria = {}) {
+  try {
+    const filter = buildSearchFilter(criteria);
+    const limit = criteria.limit || 50;
+    const skip = criteria.skip || 0;
+    const sort = { ...(criteria.sort || { transactionDate: -1 }), _id: 1 };
+
+    const [transactions, total] = await Promise.all([
+      TransactionModel.find(filter).sort(sort).skip(skip).limit(limit).exec(),
+      TransactionModel.countDocuments(filter),
+    ]);
+
+    return {
+      transactions,
+      total,
+      limit,
+      skip,
+    };
+  } catch (error) {
+    console.error('Error in search:', error.message);
+    throw new Error('An error occurred while searching transactions.');
+  }
+}
+
+/**
+ * Full-text search over transaction names, descriptions, item names and companies
+ * @param {string} text - Search terms
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} Transactions ranked by text score, each with a `score`
+ */
+export async function textSearch(text, limit = 20) {
+  try {
+    return await TransactionModel.find(
+      { $text: { $search: text } },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .lean();
+  } catch (error) {
+    console.error('Error in textSearch:', error.message);
+    throw new Error('An error occurred while searching transactions by text.');
+  }
+}
+
+/**
+ * Find the ids of the transactions matching a search
+ * @param {Object} criteria - Parsed search criteria (see transactionSearchValidator)
+ * @param {number} limit - Maximum number of ids
+ * @returns {Promise<Array<string>>} Transaction ids, oldest first
+ */
+export async function findIdsBySearch(criteria = {}, limit = 1000) {
+  try {
+    const transactions = await TransactionModel.find(
+      buildSearchFilter(criteria),
+      { _id: 1 }
+    )
+      .sort({ transactionDate: 1, _id: 1 })
+      .limit(limit)
+      .lean();
+    return transactions.map((transaction) => String(transaction._id));
+  } catch (error) {
+    console.error('Error in findIdsBySearch:', error.message);
+    throw new Error('An error occurred while finding transaction ids.');
+  }
+}
+
+/**
+ * Find the transactions that may be one side of an internal transfer
+ * @param {Array<string>} periods - Periods (YYYY-MM) to search
+ * @returns {Promise<Array>} Unlinked transactions, oldest first
+ */
+export async function findTransferCandidates(periods = []) {
+  try {
+    return await TransactionModel.find({
+      transactionPeriod: { $in: periods },
+      transferPairId: null,
+    }).sort({ transactionDate: 1, _id: 1 });
+  } catch (error) {
+    console.error('Error in findTransferCandidates:', error.message);
+    throw new Error('An error occurred while finding transfer candidates.');
+  }
+}
+
+/**
+ * Find the linked transfer transactions of a period
+ * @param {string} period - Period (YYYY-MM)
+ * @returns {Promise<Array>} Transactions linked to another transaction
+ */
+export async function findTransfersInPeriod(period) {
+  try {
+    return await TransactionModel.find({
+      transactionPeriod: period,
+      transferPairId: { $ne: null },
+    }).sort({ transactionDate: 1, _id: 1 });
+  } catch (error) {
+    console.error('Error in findTransfersInPeriod:', error.message);
+    throw new Error('An error occurred while finding transfers.');
+  }
+}
+
+/**
+ * Remove the transfer link of transactions
+ * @param {Array<string>} ids - Transaction IDs
+ * @param {Object} session - MongoDB session for transactions
+ * @returns {Promise<Object>} Update result
+ */
+export async function unlinkTransfers(ids, session = null) {
+  try {
+    // a side in the trash is unlinked too, so a restore does not bring it back
+    return await TransactionModel.updateMany(
+      { _id: { $in: ids }, ...WITH_DELETED },
+      { $unset: { transferPairId: '' } },
+      session ? { session } : {}
+    );
+  } catch (error) {
+    console.error('Error in unlinkTransfers:', error.message);
+    throw new Error('An error occurred while unlinking transfers.');
+  }
+}
+
+/**
+ * Find the transactions, in or out of the trash, linked to others as the
+ * other side of a transfer or as a refund
+ * @param {Array<string>} ids - IDs of the linked transactions
+ * @returns {Promise<Array>} Transfer pairs and refunds of the transactions
+ */
+export async function findLinkedTo(ids = []) {
+  try {
+    return await TransactionModel.find({
+      $or: [{ transferPairId: { $in: ids } }, { refundOfId: { $in: ids } }],
+      ...WITH_DELETED,
+    });
+  } catch (error) {
+    console.error('Error in findLinkedTo:', error.message);
+    throw new Error('An error occurred while finding linked transactions.');
+  }
+}
+
+/**
+ * Update a transaction in or out of the trash
+ * @param {string} id - Transaction ID
+ * @param {Object} update - MongoDB update
+ * @returns {Promise<Object|null>} Updated transaction
+ */
+export async function updateIncludingTrash(id, update) {
+  try {
+    return await TransactionModel.findOneAndUpdate(
+      { _id: id, ...WITH_DELETED },
+      update,
+      { new: true }
+    );
+  } catch (error) {
+    console.error('Error in updateIncludingTrash:', error.message);
+    throw new Error('An error occurred while updating the transaction.');
+  }
+}
+
+/**
+ * Remove purged fiscal books from the transactions, in or out of the trash,
+ * still assigned to them
+ * @param {Array<string>} fiscalBookIds - IDs of the purged fiscal books
+ * @returns {Promise<Object>} Update result
+ */
+export async function removePurgedFiscalBooks(fiscalBookIds = []) {
+  try {
+    return await TransactionModel.updateMany(
+      { fiscalBookId: { $in: fiscalBookIds }, ...WITH_DELETED },
+      { $unset: { fiscalBookId: '' } }
+    );
+  } catch (error) {
+    console.error('Error in removePurgedFiscalBooks:', error.message);
+    throw new Error(
+      'An error occurred while removing purged fiscal books from transactions.'
+    );
+  }
+}
+
+/**
+ * Build the filter of the transactions of an account in a date range
+ * @param {string} accountId - Account ID
+ * @param {Object} range - Date range
+ * @param {Date} range.startDate - First instant (inclusive)
+ * @param {Date} range.endDate - Last instant (inclusive)
+ * @param {boolean} range.reconciled - Only reconciled (true) or unreconciled (false) transactions
+ * @returns {Object} MongoDB filter
+ */
+function accountFilter(accountId, { startDate, endDate, reconciled } = {}) {
+  const filter = { accountId: new Types.ObjectId(String(accountId)) };
+  if (startDate || endDate) {
+    filter.transactionDate = {};
+    if (startDate) filter.transactionDate.$gte = startDate;
+    if (endDate) filter.transactionDate.$lte = endDate;
+  }
+  if (reconciled !== undefined) {
+    filter.reconciliationId = reconciled ? { $ne: null } : null;
+  }
+  return filter;
+}
+
+/**
+ * Sum the credits and debits of an account
+ * @param {string} accountId - Account ID
+ * @param {Object} range - Date range and reconciled flag ({startDate, endDate, reconciled}, all optional)
+ * @returns {Promise<Object>} Absolute credit and debit cents and count
+ */
+export async function sumByAccount(accountId, range = {}) {
+  try {
+    const isCredit = { $eq: ['$transactionType', 'credit'] };
+    const value = { $abs: { $ifNull: ['$transactionValue', 0] } };
+    const [totals] = await TransactionModel.aggregate([
+      { $match: accountFilter(accountId, range) },
+      {
+        $group: {
+          _id: null,
+          credit: { $sum: { $cond: [isCredit, value, 0] } },
+          debit: { $sum: { $cond: [isCredit, 0, value] } },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+    return {
+      credit: totals?.credit ?? 0,
+      debit: totals?.debit ?? 0,
+      count: totals?.count ?? 0,
+    };
+  } catch (error) {
+    console.error('Error in sumByAccount:', error.message);
+    throw new Error('An error occurred while summing account transactions.');
+  }
+}
+
+/**
+ * Find the transactions of an account, oldest first
+ * @param {string} accountId - Account ID
+ * @param {Object} range - Date range and reconciled flag ({startDate, endDate, reconciled}, all optional)
+ * @returns {Promise<Array>} Transactions
+ */
+export async function findByAccount(accountId, range = {}) {
+  try {
+    return await TransactionModel.find(accountFilter(accountId, range)).sort({
+      transactionDate: 1,
+      _id: 1,
+    });
+  } catch (error) {
+    console.error('Error in findByAccount:', error.message);
+    throw new Error('An error occurred while finding account transactions.');
+  }
+}
+
+/**
+ * Count the transactions of an account, in or out of the trash
+ * @param {string} accountId - Account ID
+ * @returns {Promise<number>} Count of transactions
+ */
+export async function countByAccount(accountId) {
+  try {
+    return await TransactionModel.countDocuments({ accountId, ...WITH_DELETED });
+  } catch (error) {
+    console.error('Error in countByAccount:', error.message);
+    throw new Error('An error occurred while counting account transactions.');
+  }
+}
+
+/**
+ * Mark transactions as reconciled
+ * @param {Array<string>} ids - Transaction IDs
+ * @param {string} reconciliationId - Reconciliation ID
+ * @param {Object} session - Optional MongoDB session
+ * @returns {Promise<Object>} Update result
+ */
+export async function markReconciled(ids, reconciliationId, session = null) {
+  try {
+    return await TransactionModel.updateMany(
+      { _id: { $in: ids } },
+      { $set: { reconciliationId } },
+      session ? { session } : {}
+    );
+  } catch (error) {
+    console.error('Error in markReconciled:', error.message);
+    throw new Error('An error occurred while reconciling transactions.');
+  }
+}
+
+/**
+ * Unlock the transactions of a reconciliation
+ * @param {string} reconciliationId - Reconciliation ID
+ * @param {Object} session - Optional MongoDB session
+ * @returns {Promise<Object>} Update result
+ */
+export async function unmarkReconciled(reconciliationId, session = null) {
+  try {
+    return await TransactionModel.updateMany(
+      { reconciliationId },
+      { $unset: { reconciliationId: '' } },
+      session ? { session } : {}
+    );
+  } catch (error) {
+    console.error('Error in unmarkReconciled:', error.message);
+    throw new Error('An error occurred while undoing the reconciliation.');
+  }
+}
+
+/**
+ * Find debits that may pay a card invoice
+ * @param {Object} criteria - Search criteria
+ * @param {number} criteria.cents - Absolute value in cents
+ * @param {Date} criteria.startDate - First instant (inclusive)
+ * @param {Date} criteria.endDate - Last instant (inclusive)
+ * @param {string} criteria.excludeAccountId - Card account, whose debits are purchases
+ * @returns {Promise<Array>} Debits, oldest first
+ */
+export async function findInvoicePaymentCandidates({
+  cents,
+  startDate,
+  endDate,
+  excludeAccountId,
+}) {
+  try {
+    return await TransactionModel.find({
+      transactionType: 'debit',
+      transactionValue: { $in: [cents, -cents] },
+      transactionDate: { $gte: startDate, $lte: endDate },
+      accountId: { $ne: excludeAccountId },
+    }).sort({ transactionDate: 1 });
+  } catch (error) {
+    console.error('Error in findInvoicePaymentCandidates:', error.message);
+    throw new Error('An error occurred while finding invoice payments.');
+  }
+}
+
+/**
+ * Find the card installments not linked to an installment plan yet
+ * Matches descriptions ending with the installment, like "Loja - 3/10".
+ * @param {string} accountId - Card account ID
+ * @returns {Promise<Array>} Installment debits, oldest first
+ */
+export async function findUnlinkedInstallments(accountId) {
+  try {
+    return await TransactionModel.find({
+      accountId,
+      installmentPlanId: null,
+      transactionType: 'debit',
+      transactionDescription: {
+        $regex: '-\\s*(Parcela\\s+)?\\d{1,2}\\/\\d{1,2}\\s*$',
+        $options: 'i',
+      },
+    }).sort({ transactionDate: 1 });
+  } catch (error) {
+    console.error('Error in findUnlinkedInstallments:', error.message);
+    throw new Error('An error occurred while finding card installments.');
+  }
+}
+
+/**
+ * Link transactions to an installment plan
+ * @param {Array<string>} ids - Transaction IDs
+ * @param {string} installmentPlanId - Installment plan ID
+ * @returns {Promise<Object>} Update result
+ */
+export async function linkInstallmentPlan(ids, installmentPlanId) {
+  try {
+    return await TransactionModel.updateMany(
+      { _id: { $in: ids } },
+      { $set: { installmentPlanId } }
+    );
+  } catch (error) {
+    console.error('Error in linkInstallmentPlan:', error.message);
+    throw new Error('An error occurred while linking card installments.');
+  }
+}
+
+/**
+ * Find the transactions that may be a refund or the purchase it reverses
+ * Refunds are the unlinked credits of a period; purchases are the debits
+ * in a date range ending with the period. Transfers are left out.
+ * @param {Object} criteria - Search criteria
+ * @param {string} criteria.period - Period of the refunds (YYYY-MM)
+ * @param {Date} criteria.startDate - First instant of the purchases (inclusive)
+ * @param {Date} criteria.endDate - Last instant of the purchases (exclusive)
+ * @returns {Promise<Array>} Credits and debits, oldest first
+ */
+export async function findRefundCandidates({ period, startDate, endDate }) {
+  try {
+    return await TransactionModel.find({
+      $or: [
+        { transactionType: 'credit', transactionPeriod: period },
+        {
+          transactionType: 'debit',
+          transactionDate: { $gte: startDate, $lt: endDate },
+        },
+      ],
+      transferPairId: null,
+      refundOfId: null,
+    }).sort({ transactionDate: 1, _id: 1 });
+  } catch (error) {
+    console.error('Error in findRefundCandidates:', error.message);
+    throw new Error('An error occurred while finding refund candidates.');
+  }
+}
+
+/**
+ * Find the refunds linked to purchases
+ * @param {Array<string>} purchaseIds - Purchase transaction IDs
+ * @returns {Promise<Array>} Refunds, oldest first
+ */
+export async function findRefundsOf(purchaseIds = []) {
+  try {
+    return await TransactionModel.find({
+      refundOfId: { $in: purchaseIds },
+    }).sort({ transactionDate: 1, _id: 1 });
+  } catch (error) {
+    console.error('Error in findRefundsOf:', error.message);
+    throw new Error('An error occurred while finding refunds.');
+  }
+}
+
+/**
+ * Find the linked refunds of a period
+ * @param {string} period - Period (YYYY-MM)
+ * @returns {Promise<Array>} Refunds linked to a purchase, oldest first
+ */
+export async function findRefundsInPeriod(period) {
+  try {
+    return await TransactionModel.find({
+      transactionPeriod: period,
+      refundOfId: { $ne: null },
+    }).sort({ transactionDate: 1, _id: 1 });
+  } catch (error) {
+    console.error('Error in findRefundsInPeriod:', error.message);
+    throw new Error('An error occurred while finding refunds.');
+  }
+}
+
+/**
+ * Find the transaction of a fiscal note
+ * @param {string} accessKey - 44-digit NF-e access key
+ * @returns {Promise<Object|null>} Transaction or null
+ */
+export async function findByFiscalNote(accessKey) {
+  try {
+    return await TransactionModel.findOne({ transactionFiscalNote: accessKey });
+  } catch (error) {
+    console.error('Error in findByFiscalNote:', error.message);
+    throw new Error('An error occurred while finding the fiscal note.');
+  }
+}
+
+/**
+ * Find debits without fiscal note that may be paid by one
+ * @param {Object} criteria - Search criteria
+ * @param {number} criteria.cents - Absolute value in cents
+ * @param {Date} criteria.startDate - First instant (inclusive)
+ * @param {Date} criteria.endDate - Last instant (inclusive)
+ * @param {string} criteria.accountId - Optional account of the debits
+ * @returns {Promise<Array>} Debits, oldest first
+ */
+export async function findFiscalNoteCandidates({
+  cents,
+  startDate,
+  endDate,
+  accountId,
+}) {
+  try {
+    const filter = {
+      transactionType: 'debit',
+      transactionValue: { $in: [cents, -cents] },
+      transactionDate: { $gte: startDate, $lte: endDate },
+      transactionFiscalNote: { $in: [null, ''] },
+    };
+    if (accountId) {
+      filter.accountId = accountId;
+    }
+    return await TransactionModel.find(filter).sort({ transactionDate: 1 });
+  } catch (error) {
+    console.error('Error in findFiscalNoteCandidates:', error.message);
+    throw new Error('An error occurred while finding fiscal note candidates.');
+  }
+}
+
+/**
+ * Find the transactions of a period holding a fiscal note key
+ * @param {string} period - Period (YYYY-MM)
+ * @returns {Promise<Array>} Transactions, oldest first
+ */
+export async function findWithFiscalNote(period) {
+  try {
+    return await TransactionModel.find({
+      transactionPeriod: period,
+      transactionFiscalNote: { $nin: [null, ''] },
+    }).sort({ transactionDate: 1, _id: 1 });
+  } catch (error) {
+    console.error('Error in findWithFiscalNote:', error.message);
+    throw new Error('An error occurred while finding fiscal notes.');
+  }
+}
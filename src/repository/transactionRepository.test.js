@@ -8,13 +8,16 @@ const TransactionModel = jest.fn(function (data) {
 });
 
 TransactionModel.find = jest.fn();
+TransactionModel.findOne = jest.fn();
 TransactionModel.findById = jest.fn();
 TransactionModel.findByIdAndDelete = jest.fn();
 TransactionModel.findByIdAndUpdate = jest.fn();
+TransactionModel.findOneAndUpdate = jest.fn();
 TransactionModel.deleteMany = jest.fn();
 TransactionModel.distinct = jest.fn();
 TransactionModel.aggregate = jest.fn();
 TransactionModel.updateMany = jest.fn();
+TransactionModel.countDocuments = jest.fn();
 
 const startSession = jest.fn();
 
@@ -24,6 +27,7 @@ jest.unstable_mockModule('../models/TransactionModel.js', () => ({
 
 jest.unstable_mockModule('mongoose', () => ({
   startSession,
+  Types: { ObjectId: jest.fn((id) => ({ objectId: id })) },
 }));
 
 const repository = await import('./transactionRepository.js');
@@ -43,11 +47,39 @@ const {
   separateById,
   getTransactionsIdEmptyCnpj,
   getTransactionsIdTransactionSource,
-  findCreditCardInstallments,
-  findAllByDescription,
+  findImportMatch,
+  findCategorizedForTraining,
   findByFiscalBookId,
   updateFiscalBookForTransactions,
   removeFiscalBookFromTransactions,
+  countByCategory,
+  findByCategory,
+  findByIds,
+  reassignCategory,
+  buildSearchFilter,
+  search,
+  textSearch,
+  findIdsBySearch,
+  findTransferCandidates,
+  findTransfersInPeriod,
+  unlinkTransfers,
+  findLinkedTo,
+  updateIncludingTrash,
+  removePurgedFiscalBooks,
+  sumByAccount,
+  findByAccount,
+  countByAccount,
+  markReconciled,
+  unmarkReconciled,
+  findInvoicePaymentCandidates,
+  findUnlinkedInstallments,
+  linkInstallmentPlan,
+  findRefundCandidates,
+  findRefundsOf,
+  findRefundsInPeriod,
+  findByFiscalNote,
+  findFiscalNoteCandidates,
+  findWithFiscalNote,
 } = repository;
 
 let consoleError;
@@ -155,46 +187,73 @@ describe('transactionRepository', () => {
     );
   });
 
-  test('deleteAllInPeriod deletes with regex filter', async () => {
-    TransactionModel.deleteMany.mockResolvedValue({});
+  test('deleteAllInPeriod moves the period to the trash', async () => {
+    TransactionModel.distinct.mockResolvedValue(['1', '2']);
+    TransactionModel.updateMany.mockResolvedValue({});
 
-    await deleteAllInPeriod('2024-01');
+    const result = await deleteAllInPeriod('2024-01');
 
-    expect(TransactionModel.deleteMany).toHaveBeenCalledWith({
+    expect(TransactionModel.distinct).toHaveBeenCalledWith('_id', {
+      reconciliationId: null,
       transactionPeriod: { $regex: expect.any(RegExp), $options: 'i' },
     });
+    expect(TransactionModel.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['1', '2'] } },
+      { deletedAt: result.deletedAt }
+    );
+    expect(result).toEqual({ ids: ['1', '2'], deletedAt: expect.any(Date) });
   });
 
-  test('deleteAllInPeriod deletes all when period missing', async () => {
-    TransactionModel.deleteMany.mockResolvedValue({});
+  test('deleteAllInPeriod trashes all when period missing', async () => {
+    TransactionModel.distinct.mockResolvedValue([]);
+    TransactionModel.updateMany.mockResolvedValue({});
 
     await deleteAllInPeriod();
 
-    expect(TransactionModel.deleteMany).toHaveBeenCalledWith({});
+    expect(TransactionModel.distinct).toHaveBeenCalledWith('_id', {
+      reconciliationId: null,
+    });
   });
 
   test('deleteAllInPeriod throws on error', async () => {
-    TransactionModel.deleteMany.mockRejectedValue(new Error('db'));
+    TransactionModel.updateMany.mockRejectedValueOnce(new Error('db'));
 
     await expect(deleteAllInPeriod('2024')).rejects.toThrow(
       'Failed to delete transactions in the specified period.'
     );
   });
 
-  test('deleteById supports session', async () => {
-    TransactionModel.findByIdAndDelete.mockResolvedValue({ id: '1' });
+  test('deleteById moves the transaction to the trash', async () => {
+    TransactionModel.findByIdAndUpdate.mockResolvedValue({ id: '1' });
 
     const session = { id: 's' };
     const result = await deleteById('1', session);
+    await deleteById('1');
 
-    expect(TransactionModel.findByIdAndDelete).toHaveBeenCalledWith('1', {
-      session,
-    });
+    expect(TransactionModel.findByIdAndUpdate).toHaveBeenNthCalledWith(
+      1,
+      '1',
+      { deletedAt: expect.any(Date) },
+      { new: true, session }
+    );
+    expect(TransactionModel.findByIdAndUpdate).toHaveBeenLastCalledWith(
+      '1',
+      { deletedAt: expect.any(Date) },
+      { new: true }
+    );
     expect(result).toEqual({ id: '1' });
   });
 
+  test('deleteById keeps the transfer and refund links', async () => {
+    TransactionModel.findByIdAndUpdate.mockResolvedValue({ _id: '1' });
+
+    await deleteById('1');
+
+    expect(TransactionModel.updateMany).not.toHaveBeenCalled();
+  });
+
   test('deleteById returns null when missing', async () => {
-    TransactionModel.findByIdAndDelete.mockResolvedValue(null);
+    TransactionModel.findByIdAndUpdate.mockResolvedValue(null);
 
     const result = await deleteById('missing');
 
@@ -202,21 +261,22 @@ describe('transactionRepository', () => {
   });
 
   test('deleteById throws on error', async () => {
-    TransactionModel.findByIdAndDelete.mockRejectedValue(new Error('db'));
+    TransactionModel.findByIdAndUpdate.mockRejectedValue(new Error('db'));
 
     await expect(deleteById('1')).rejects.toThrow(
       'An error occurred while deleting the transaction by ID.'
     );
   });
 
-  test('deleteByIds deletes when ids provided', async () => {
-    TransactionModel.deleteMany.mockResolvedValue({ deletedCount: 2 });
+  test('deleteByIds moves the transactions to the trash', async () => {
+    TransactionModel.updateMany.mockResolvedValue({ modifiedCount: 2 });
 
     const result = await deleteByIds(['1', '2']);
 
-    expect(TransactionModel.deleteMany).toHaveBeenCalledWith({
-      _id: { $in: ['1', '2'] },
-    });
+    expect(TransactionModel.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['1', '2'] } },
+      { deletedAt: expect.any(Date) }
+    );
     expect(result).toEqual({ deletedCount: 2 });
   });
 
@@ -227,7 +287,7 @@ describe('transactionRepository', () => {
   });
 
   test('deleteByIds throws when none deleted', async () => {
-    TransactionModel.deleteMany.mockResolvedValue({ deletedCount: 0 });
+    TransactionModel.updateMany.mockResolvedValue({ modifiedCount: 0 });
 
     await expect(deleteByIds(['1'])).rejects.toThrow(
       'An error occurred while deleting the transactions by IDs.'
@@ -389,7 +449,7 @@ describe('transactionRepository', () => {
       })),
     };
     TransactionModel.findById.mockResolvedValue(transaction);
-    TransactionModel.findByIdAndDelete.mockResolvedValue(transaction);
+    TransactionModel.findByIdAndUpdate.mockResolvedValue(transaction);
 
     const result = await separateById('t1');
 
@@ -398,15 +458,85 @@ describe('transactionRepository', () => {
     expect(TransactionModel.mock.instances.length).toBeGreaterThan(0);
     const instance = TransactionModel.mock.instances[0];
     expect(instance.save).toHaveBeenCalledWith({ session });
-    expect(TransactionModel.findByIdAndDelete).toHaveBeenCalledWith('t1', {
-      session,
-    });
+    expect(TransactionModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      't1',
+      { deletedAt: expect.any(Date) },
+      { new: true, session }
+    );
     expect(session.commitTransaction).toHaveBeenCalledTimes(1);
     expect(session.abortTransaction).not.toHaveBeenCalled();
     expect(session.endSession).toHaveBeenCalledTimes(1);
     expect(result).toEqual(transaction);
   });
 
+  test('separateById multiplies item values by units and drops splits', async () => {
+    startSession.mockResolvedValue({
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn(),
+    });
+    TransactionModel.findById.mockResolvedValue({
+      id: 't1',
+      items: [
+        { itemValue: '2,50', itemUnits: 4 },
+        { itemValue: '5,00' },
+      ],
+      toObject: () => ({
+        id: 't1',
+        transactionDescription: 'Base',
+        splits: [{ splitValue: '15,00' }],
+      }),
+    });
+    TransactionModel.findByIdAndUpdate.mockResolvedValue({ id: 't1' });
+
+    await separateById('t1');
+
+    const copies = TransactionModel.mock.calls.map(([data]) => data);
+    expect(copies.map((copy) => copy.transactionValue)).toEqual([1000, 500]);
+    expect(copies.map((copy) => copy.splits)).toEqual([[], []]);
+  });
+
+  test('separateById leaves the identity of the original out of the copies', async () => {
+    startSession.mockResolvedValue({
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn(),
+    });
+    TransactionModel.findById.mockResolvedValue({
+      id: 't1',
+      items: [{ itemValue: '1,00' }, { itemValue: '2,00' }],
+      toObject: () => ({
+        id: 't1',
+        _id: 't1',
+        __v: 0,
+        deletedAt: null,
+        transactionDescription: 'Base',
+        importFingerprint: 'fp-1',
+        transferPairId: 't2',
+        reconciliationId: 'r1',
+        transactionFiscalNote: '3524',
+        accountId: 'a1',
+      }),
+    });
+    TransactionModel.findByIdAndUpdate.mockResolvedValue({ id: 't1' });
+
+    await separateById('t1');
+
+    const copies = TransactionModel.mock.calls.map(([data]) => data);
+    expect(copies).toHaveLength(2);
+    copies.forEach((copy) => {
+      expect(Object.keys(copy).sort()).toEqual([
+        'accountId',
+        'items',
+        'splits',
+        'transactionDescription',
+        'transactionValue',
+      ]);
+    });
+  });
+
   test('separateById throws when too few items', async () => {
     const session = {
       startTransaction: jest.fn(),
@@ -511,45 +641,6 @@ describe('transactionRepository', () => {
     );
   });
 
-  test('findCreditCardInstallments returns aggregate list', async () => {
-    TransactionModel.aggregate.mockResolvedValue([
-      { transactionDescription: 'Store - 1/2' },
-    ]);
-
-    const result = await findCreditCardInstallments();
-
-    expect(result).toEqual([{ transactionDescription: 'Store - 1/2' }]);
-  });
-
-  test('findCreditCardInstallments throws on error', async () => {
-    TransactionModel.aggregate.mockRejectedValue(new Error('db'));
-
-    await expect(findCreditCardInstallments()).rejects.toThrow(
-      'Failed to retrieve distinct credit card installments.'
-    );
-  });
-
-  test('findAllByDescription filters by regex', async () => {
-    TransactionModel.find.mockReturnValue(makeSortQuery([{ id: '1' }]));
-
-    const result = await findAllByDescription('store');
-
-    const filter = TransactionModel.find.mock.calls[0][0];
-    expect(filter.transactionDescription).toBeInstanceOf(RegExp);
-    expect(filter.transactionDescription.flags).toContain('i');
-    expect(result).toEqual([{ id: '1' }]);
-  });
-
-  test('findAllByDescription throws on error', async () => {
-    TransactionModel.find.mockImplementation(() => {
-      throw new Error('db');
-    });
-
-    await expect(findAllByDescription('store')).rejects.toThrow(
-      'Failed to find transactions with the specified description.'
-    );
-  });
-
   test('findByFiscalBookId supports session', async () => {
     const query = makeExecQuery([{ id: '1' }]);
     TransactionModel.find.mockReturnValue(query);
@@ -583,7 +674,7 @@ describe('transactionRepository', () => {
     );
 
     expect(TransactionModel.updateMany).toHaveBeenCalledWith(
-      { _id: { $in: ['1', '2'] } },
+      { _id: { $in: ['1', '2'] }, reconciliationId: null },
       { $set: { fiscalBookId: 'fb1' } },
       { multi: true, session }
     );
@@ -621,4 +712,785 @@ describe('transactionRepository', () => {
       'An error occurred while removing fiscal book ID from transactions.'
     );
   });
+
+  test('findImportMatch matches fingerprint or source id', async () => {
+    const query = makeExecQuery({ id: '1' });
+    TransactionModel.findOne.mockReturnValue(query);
+
+    const session = { id: 's' };
+    const result = await findImportMatch('fp', 'nubank', 'abc', session);
+
+    expect(TransactionModel.findOne).toHaveBeenCalledWith({
+      $or: [
+        { importFingerprint: 'fp' },
+        { transactionSource: 'nubank', transactionId: 'abc' },
+      ],
+    });
+    expect(query.session).toHaveBeenCalledWith(session);
+    expect(result).toEqual({ id: '1' });
+  });
+
+  test('findImportMatch matches only fingerprint without source id', async () => {
+    const query = makeExecQuery(null);
+    TransactionModel.findOne.mockReturnValue(query);
+
+    const result = await findImportMatch('fp', 'nubank-credit');
+
+    expect(TransactionModel.findOne).toHaveBeenCalledWith({
+      $or: [{ importFingerprint: 'fp' }],
+    });
+    expect(query.session).not.toHaveBeenCalled();
+    expect(result).toBeNull();
+  });
+
+  test('findImportMatch throws on error', async () => {
+    TransactionModel.findOne.mockImplementation(() => {
+      throw new Error('db');
+    });
+
+    await expect(findImportMatch('fp', 'nubank')).rejects.toThrow(
+      'An error occurred while matching the imported transaction.'
+    );
+  });
+
+
+  test('findCategorizedForTraining selects training fields of categorized rows', async () => {
+    const query = {
+      select: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockReturnThis(),
+      exec: jest.fn().mockResolvedValue([{ transactionCategory: 'c1' }]),
+    };
+    TransactionModel.find.mockReturnValue(query);
+
+    const result = await findCategorizedForTraining();
+
+    expect(TransactionModel.find).toHaveBeenCalledWith({
+      transactionCategory: { $exists: true, $ne: null },
+    });
+    expect(query.select).toHaveBeenCalledWith(
+      'transactionName transactionDescription companyName items.itemName transactionCategory'
+    );
+    expect(result).toEqual([{ transactionCategory: 'c1' }]);
+  });
+
+  test('findCategorizedForTraining throws on error', async () => {
+    TransactionModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+
+    await expect(findCategorizedForTraining()).rejects.toThrow(
+      'An error occurred while finding categorized transactions.'
+    );
+  });
+
+  test('countByCategory counts transactions of a category, trashed ones included', async () => {
+    TransactionModel.countDocuments.mockResolvedValue(4);
+
+    await expect(countByCategory('c1')).resolves.toBe(4);
+    expect(TransactionModel.countDocuments).toHaveBeenCalledWith({
+      $or: [
+        { transactionCategory: 'c1' },
+        { 'splits.splitCategory': 'c1' },
+      ],
+      deletedAt: { $nin: [] },
+    });
+  });
+
+  test('countByCategory throws on error', async () => {
+    TransactionModel.countDocuments.mockRejectedValue(new Error('db'));
+
+    await expect(countByCategory('c1')).rejects.toThrow(
+      'An error occurred while counting category transactions.'
+    );
+  });
+
+  test('findByCategory and findByIds find transactions, trashed ones included', async () => {
+    TransactionModel.find.mockResolvedValue([{ id: 't1' }]);
+
+    await expect(findByCategory('c1')).resolves.toEqual([{ id: 't1' }]);
+    expect(TransactionModel.find).toHaveBeenCalledWith({
+      $or: [
+        { transactionCategory: 'c1' },
+        { 'splits.splitCategory': 'c1' },
+      ],
+      deletedAt: { $nin: [] },
+    });
+    await expect(findByIds(['t1'])).resolves.toEqual([{ id: 't1' }]);
+    expect(TransactionModel.find).toHaveBeenLastCalledWith({
+      _id: { $in: ['t1'] },
+      deletedAt: { $nin: [] },
+    });
+  });
+
+  test('findByCategory and findByIds throw on error', async () => {
+    TransactionModel.find.mockRejectedValue(new Error('db'));
+
+    await expect(findByCategory('c1')).rejects.toThrow(
+      'An error occurred while finding category transactions.'
+    );
+    await expect(findByIds(['t1'])).rejects.toThrow(
+      'An error occurred while finding transactions by ID.'
+    );
+  });
+
+  test('reassignCategory moves transactions to another category, trashed ones included', async () => {
+    TransactionModel.updateMany.mockResolvedValue({ modifiedCount: 3 });
+
+    await expect(reassignCategory('c1', 'c2', 'session')).resolves.toEqual({
+      modifiedCount: 3,
+    });
+    expect(TransactionModel.updateMany).toHaveBeenCalledWith(
+      { transactionCategory: 'c1', deletedAt: { $nin: [] } },
+      { $set: { transactionCategory: 'c2' } },
+      { session: 'session' }
+    );
+    expect(TransactionModel.updateMany).toHaveBeenCalledWith(
+      { 'splits.splitCategory': 'c1', deletedAt: { $nin: [] } },
+      { $set: { 'splits.$[split].splitCategory': 'c2' } },
+      { arrayFilters: [{ 'split.splitCategory': 'c1' }], session: 'session' }
+    );
+  });
+
+  test('reassignCategory throws on error', async () => {
+    TransactionModel.updateMany.mockRejectedValue(new Error('db'));
+
+    await expect(reassignCategory('c1', 'c2')).rejects.toThrow(
+      'An error occurred while reassigning transactions to another category.'
+    );
+  });
+
+  test('buildSearchFilter maps every criterion', () => {
+    const startDate = new Date('2024-01-01T04:00:00.000Z');
+    const endDate = new Date('2024-02-01T03:59:59.000Z');
+
+    expect(
+      buildSearchFilter({
+        startDate,
+        endDate,
+        category: 'c1',
+        type: 'debit',
+        paymentMethod: 'pix',
+        source: 'nubank',
+        status: 'concluded',
+        fiscalBookId: 'fb1',
+        company: '507f1f77bcf86cd799439011',
+        minValue: 1000,
+        maxValue: 5000,
+        text: 'uber (trip)',
+      })
+    ).toEqual({
+      transactionDate: { $gte: startDate, $lte: endDate },
+      transactionType: 'debit',
+      paymentMethod: 'pix',
+      transactionSource: 'nubank',
+      transactionStatus: 'concluded',
+      fiscalBookId: 'fb1',
+      companyId: '507f1f77bcf86cd799439011',
+      $and: [
+        {
+          $or: [
+            { transactionCategory: 'c1' },
+            { 'splits.splitCategory': 'c1' },
+          ],
+        },
+        { $expr: { $gte: [{ $abs: '$transactionValue' }, 1000] } },
+        { $expr: { $lte: [{ $abs: '$transactionValue' }, 5000] } },
+        {
+          $or: [
+            { transactionName: /uber \(trip\)/i },
+            { transactionDescription: /uber \(trip\)/i },
+            { companyName: /uber \(trip\)/i },
+          ],
+        },
+      ],
+    });
+  });
+
+  test('buildSearchFilter matches companies by name or CNPJ', () => {
+    expect(buildSearchFilter({ company: 'Padaria' })).toEqual({
+      $and: [{ $or: [{ companyName: /Padaria/i }] }],
+    });
+    expect(buildSearchFilter({ company: '12.345.678/0001-95' })).toEqual({
+      $and: [
+        {
+          $or: [
+            { companyName: /12\.345\.678\/0001-95/i },
+            {
+              companyCnpj: {
+                $in: ['12345678000195', '12.345.678/0001-95'],
+              },
+            },
+          ],
+        },
+      ],
+    });
+    expect(buildSearchFilter({ startDate: new Date(0) })).toEqual({
+      transactionDate: { $gte: new Date(0) },
+    });
+    expect(buildSearchFilter()).toEqual({});
+  });
+
+  test('search paginates, sorts and counts matches', async () => {
+    const exec = jest.fn().mockResolvedValue([{ id: '1' }]);
+    const limit = jest.fn().mockReturnValue({ exec });
+    const skip = jest.fn().mockReturnValue({ limit });
+    const sort = jest.fn().mockReturnValue({ skip });
+    TransactionModel.find.mockReturnValue({ sort });
+    TransactionModel.countDocuments.mockResolvedValue(7);
+
+    const result = await search({
+      type: 'credit',
+      limit: 5,
+      skip: 5,
+      sort: { transactionValue: 1 },
+    });
+
+    expect(TransactionModel.find).toHaveBeenCalledWith({
+      transactionType: 'credit',
+    });
+    expect(sort).toHaveBeenCalledWith({ transactionValue: 1, _id: 1 });
+    expect(skip).toHaveBeenCalledWith(5);
+    expect(limit).toHaveBeenCalledWith(5);
+    expect(TransactionModel.countDocuments).toHaveBeenCalledWith({
+      transactionType: 'credit',
+    });
+    expect(result).toEqual({
+      transactions: [{ id: '1' }],
+      total: 7,
+      limit: 5,
+      skip: 5,
+    });
+  });
+
+  test('search uses default pagination and throws on error', async () => {
+    const exec = jest.fn().mockResolvedValue([]);
+    const limit = jest.fn().mockReturnValue({ exec });
+    const skip = jest.fn().mockReturnValue({ limit });
+    const sort = jest.fn().mockReturnValue({ skip });
+    TransactionModel.find.mockReturnValue({ sort });
+    TransactionModel.countDocuments.mockResolvedValue(0);
+
+    await expect(search()).resolves.toEqual({
+      transactions: [],
+      total: 0,
+      limit: 50,
+      skip: 0,
+    });
+    expect(sort).toHaveBeenCalledWith({ transactionDate: -1, _id: 1 });
+
+    TransactionModel.countDocuments.mockRejectedValue(new Error('db'));
+    await expect(search({})).rejects.toThrow(
+      'An error occurred while searching transactions.'
+    );
+  });
+
+  test('textSearch ranks transactions by text score', async () => {
+    const lean = jest.fn().mockResolvedValue([{ transactionName: 'Farmácia' }]);
+    const limit = jest.fn().mockReturnValue({ lean });
+    const sort = jest.fn().mockReturnValue({ limit });
+    TransactionModel.find.mockReturnValue({ sort });
+
+    const result = await textSearch('farmacia');
+
+    expect(TransactionModel.find).toHaveBeenCalledWith(
+      { $text: { $search: 'farmacia' } },
+      { score: { $meta: 'textScore' } }
+    );
+    expect(sort).toHaveBeenCalledWith({ score: { $meta: 'textScore' } });
+    expect(limit).toHaveBeenCalledWith(20);
+    expect(result).toEqual([{ transactionName: 'Farmácia' }]);
+  });
+
+  test('textSearch throws on error', async () => {
+    TransactionModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+
+    await expect(textSearch('farmacia')).rejects.toThrow(
+      'An error occurred while searching transactions by text.'
+    );
+  });
+
+  test('findIdsBySearch returns the ids matching a search', async () => {
+    const lean = jest.fn().mockResolvedValue([{ _id: 'a' }, { _id: 'b' }]);
+    const limit = jest.fn().mockReturnValue({ lean });
+    const sort = jest.fn().mockReturnValue({ limit });
+    TransactionModel.find.mockReturnValue({ sort });
+
+    await expect(findIdsBySearch({ source: 'nubank' }, 10)).resolves.toEqual([
+      'a',
+      'b',
+    ]);
+    expect(TransactionModel.find).toHaveBeenCalledWith(
+      { transactionSource: 'nubank' },
+      { _id: 1 }
+    );
+    expect(sort).toHaveBeenCalledWith({ transactionDate: 1, _id: 1 });
+    expect(limit).toHaveBeenCalledWith(10);
+
+    await findIdsBySearch();
+    expect(limit).toHaveBeenLastCalledWith(1000);
+  });
+
+  test('findIdsBySearch throws on error', async () => {
+    TransactionModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+
+    await expect(findIdsBySearch({})).rejects.toThrow(
+      'An error occurred while finding transaction ids.'
+    );
+  });
+
+  test('findTransferCandidates finds unlinked transactions of the periods', async () => {
+    const query = makeSortQuery([{ id: 't1' }]);
+    TransactionModel.find.mockReturnValue(query);
+
+    const result = await findTransferCandidates(['2024-02', '2024-03']);
+
+    expect(TransactionModel.find).toHaveBeenCalledWith({
+      transactionPeriod: { $in: ['2024-02', '2024-03'] },
+      transferPairId: null,
+    });
+    expect(query.sort).toHaveBeenCalledWith({ transactionDate: 1, _id: 1 });
+    expect(result).toEqual([{ id: 't1' }]);
+
+    TransactionModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+    await expect(findTransferCandidates()).rejects.toThrow(
+      'An error occurred while finding transfer candidates.'
+    );
+  });
+
+  test('findTransfersInPeriod finds linked transactions', async () => {
+    TransactionModel.find.mockReturnValue(makeSortQuery([{ id: 't1' }]));
+
+    const result = await findTransfersInPeriod('2024-03');
+
+    expect(TransactionModel.find).toHaveBeenCalledWith({
+      transactionPeriod: '2024-03',
+      transferPairId: { $ne: null },
+    });
+    expect(result).toEqual([{ id: 't1' }]);
+
+    TransactionModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+    await expect(findTransfersInPeriod('2024-03')).rejects.toThrow(
+      'An error occurred while finding transfers.'
+    );
+  });
+
+  test('unlinkTransfers unsets the transfer link', async () => {
+    TransactionModel.updateMany.mockResolvedValue({ modifiedCount: 2 });
+    const session = { id: 's' };
+
+    await unlinkTransfers(['t1', 't2'], session);
+    const result = await unlinkTransfers(['t1', 't2']);
+
+    expect(TransactionModel.updateMany).toHaveBeenNthCalledWith(
+      1,
+      { _id: { $in: ['t1', 't2'] }, deletedAt: { $nin: [] } },
+      { $unset: { transferPairId: '' } },
+      { session }
+    );
+    expect(TransactionModel.updateMany).toHaveBeenLastCalledWith(
+      { _id: { $in: ['t1', 't2'] }, deletedAt: { $nin: [] } },
+      { $unset: { transferPairId: '' } },
+      {}
+    );
+    expect(result).toEqual({ modifiedCount: 2 });
+
+    TransactionModel.updateMany.mockRejectedValue(new Error('db'));
+    await expect(unlinkTransfers(['t1'])).rejects.toThrow(
+      'An error occurred while unlinking transfers.'
+    );
+  });
+
+  test('findLinkedTo finds transfer pairs and refunds in and out of the trash', async () => {
+    TransactionModel.find
+      .mockResolvedValueOnce([{ id: 't2' }])
+      .mockResolvedValueOnce([]);
+
+    await expect(findLinkedTo(['t1'])).resolves.toEqual([{ id: 't2' }]);
+    await findLinkedTo();
+    expect(TransactionModel.find).toHaveBeenNthCalledWith(1, {
+      $or: [{ transferPairId: { $in: ['t1'] } }, { refundOfId: { $in: ['t1'] } }],
+      deletedAt: { $nin: [] },
+    });
+    expect(TransactionModel.find).toHaveBeenLastCalledWith({
+      $or: [{ transferPairId: { $in: [] } }, { refundOfId: { $in: [] } }],
+      deletedAt: { $nin: [] },
+    });
+
+    TransactionModel.find.mockRejectedValueOnce(new Error('db'));
+    await expect(findLinkedTo(['t1'])).rejects.toThrow(
+      'An error occurred while finding linked transactions.'
+    );
+  });
+
+  test('updateIncludingTrash updates a transaction in or out of the trash', async () => {
+    TransactionModel.findOneAndUpdate.mockResolvedValueOnce({ id: 'r1' });
+
+    await expect(
+      updateIncludingTrash('r1', { $unset: { refundOfId: '' } })
+    ).resolves.toEqual({ id: 'r1' });
+    expect(TransactionModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'r1', deletedAt: { $nin: [] } },
+      { $unset: { refundOfId: '' } },
+      { new: true }
+    );
+
+    TransactionModel.findOneAndUpdate.mockRejectedValueOnce(new Error('db'));
+    await expect(updateIncludingTrash('r1', {})).rejects.toThrow(
+      'An error occurred while updating the transaction.'
+    );
+  });
+
+  test('removePurgedFiscalBooks unsets purged books in or out of the trash', async () => {
+    TransactionModel.updateMany.mockResolvedValueOnce({ modifiedCount: 2 });
+
+    await expect(removePurgedFiscalBooks(['b1'])).resolves.toEqual({
+      modifiedCount: 2,
+    });
+    expect(TransactionModel.updateMany).toHaveBeenCalledWith(
+      { fiscalBookId: { $in: ['b1'] }, deletedAt: { $nin: [] } },
+      { $unset: { fiscalBookId: '' } }
+    );
+
+    TransactionModel.updateMany.mockRejectedValueOnce(new Error('db'));
+    await expect(removePurgedFiscalBooks(['b1'])).rejects.toThrow(
+      'An error occurred while removing purged fiscal books from transactions.'
+    );
+  });
+
+  test('sumByAccount totals credits and debits of an account range', async () => {
+    const startDate = new Date('2024-01-01T00:00:00-04:00');
+    const endDate = new Date('2024-01-31T23:59:59-04:00');
+    TransactionModel.aggregate.mockResolvedValueOnce([
+      { credit: 15000, debit: 4000, count: 3 },
+    ]);
+
+    const result = await sumByAccount('acc-1', { startDate, endDate });
+
+    const [pipeline] = TransactionModel.aggregate.mock.calls[0];
+    expect(pipeline[0]).toEqual({
+      $match: {
+        accountId: { objectId: 'acc-1' },
+        transactionDate: { $gte: startDate, $lte: endDate },
+      },
+    });
+    expect(result).toEqual({ credit: 15000, debit: 4000, count: 3 });
+
+    TransactionModel.aggregate.mockResolvedValueOnce([]);
+    expect(await sumByAccount('acc-1')).toEqual({
+      credit: 0,
+      debit: 0,
+      count: 0,
+    });
+    expect(TransactionModel.aggregate.mock.calls[1][0][0]).toEqual({
+      $match: { accountId: { objectId: 'acc-1' } },
+    });
+
+    TransactionModel.aggregate.mockRejectedValueOnce(new Error('db'));
+    await expect(sumByAccount('acc-1')).rejects.toThrow(
+      'An error occurred while summing account transactions.'
+    );
+  });
+
+  test('findByAccount returns account transactions oldest first', async () => {
+    const endDate = new Date('2024-01-31T23:59:59-04:00');
+    const sort = jest.fn().mockResolvedValue([{ id: 't1' }]);
+    TransactionModel.find.mockReturnValue({ sort });
+
+    const result = await findByAccount('acc-1', { endDate });
+
+    expect(TransactionModel.find).toHaveBeenCalledWith({
+      accountId: { objectId: 'acc-1' },
+      transactionDate: { $lte: endDate },
+    });
+    expect(sort).toHaveBeenCalledWith({ transactionDate: 1, _id: 1 });
+    expect(result).toEqual([{ id: 't1' }]);
+
+    TransactionModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+    await expect(findByAccount('acc-1')).rejects.toThrow(
+      'An error occurred while finding account transactions.'
+    );
+  });
+
+  test('countByAccount counts the transactions of an account, trashed ones included', async () => {
+    TransactionModel.countDocuments.mockResolvedValueOnce(4);
+
+    expect(await countByAccount('acc-1')).toBe(4);
+    expect(TransactionModel.countDocuments).toHaveBeenCalledWith({
+      accountId: 'acc-1',
+      deletedAt: { $nin: [] },
+    });
+
+    TransactionModel.countDocuments.mockRejectedValueOnce(new Error('db'));
+    await expect(countByAccount('acc-1')).rejects.toThrow(
+      'An error occurred while counting account transactions.'
+    );
+  });
+
+  test('account filters select reconciled or unreconciled transactions', async () => {
+    TransactionModel.aggregate.mockResolvedValueOnce([]);
+    const sort = jest.fn().mockResolvedValue([]);
+    TransactionModel.find.mockReturnValue({ sort });
+
+    await sumByAccount('acc-1', { reconciled: true });
+    await findByAccount('acc-1', { reconciled: false });
+
+    expect(TransactionModel.aggregate.mock.calls[0][0][0]).toEqual({
+      $match: {
+        accountId: { objectId: 'acc-1' },
+        reconciliationId: { $ne: null },
+      },
+    });
+    expect(TransactionModel.find).toHaveBeenCalledWith({
+      accountId: { objectId: 'acc-1' },
+      reconciliationId: null,
+    });
+  });
+
+  test('markReconciled and unmarkReconciled lock and unlock transactions', async () => {
+    TransactionModel.updateMany.mockResolvedValue({ modifiedCount: 2 });
+    const session = { id: 's' };
+
+    await markReconciled(['t1', 't2'], 'r1', session);
+    await unmarkReconciled('r1');
+
+    expect(TransactionModel.updateMany).toHaveBeenNthCalledWith(
+      1,
+      { _id: { $in: ['t1', 't2'] } },
+      { $set: { reconciliationId: 'r1' } },
+      { session }
+    );
+    expect(TransactionModel.updateMany).toHaveBeenNthCalledWith(
+      2,
+      { reconciliationId: 'r1' },
+      { $unset: { reconciliationId: '' } },
+      {}
+    );
+
+    TransactionModel.updateMany.mockRejectedValue(new Error('db'));
+    await expect(markReconciled(['t1'], 'r1')).rejects.toThrow(
+      'An error occurred while reconciling transactions.'
+    );
+    await expect(unmarkReconciled('r1', session)).rejects.toThrow(
+      'An error occurred while undoing the reconciliation.'
+    );
+  });
+
+  test('findInvoicePaymentCandidates finds debits of other accounts with the value', async () => {
+    const startDate = new Date('2024-02-03T00:00:00-04:00');
+    const endDate = new Date('2024-02-20T12:00:00-04:00');
+    const sort = jest.fn().mockResolvedValue([{ id: 't1' }]);
+    TransactionModel.find.mockReturnValue({ sort });
+
+    const result = await findInvoicePaymentCandidates({
+      cents: 12000,
+      startDate,
+      endDate,
+      excludeAccountId: 'card',
+    });
+
+    expect(TransactionModel.find).toHaveBeenCalledWith({
+      transactionType: 'debit',
+      transactionValue: { $in: [12000, -12000] },
+      transactionDate: { $gte: startDate, $lte: endDate },
+      accountId: { $ne: 'card' },
+    });
+    expect(sort).toHaveBeenCalledWith({ transactionDate: 1 });
+    expect(result).toEqual([{ id: 't1' }]);
+
+    TransactionModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+    await expect(findInvoicePaymentCandidates({ cents: 1 })).rejects.toThrow(
+      'An error occurred while finding invoice payments.'
+    );
+  });
+
+  test('findUnlinkedInstallments finds card installments without plan', async () => {
+    const sort = jest.fn().mockResolvedValue([{ id: 't1' }]);
+    TransactionModel.find.mockReturnValue({ sort });
+
+    const result = await findUnlinkedInstallments('card');
+
+    const filter = TransactionModel.find.mock.calls[0][0];
+    expect(filter).toMatchObject({
+      accountId: 'card',
+      installmentPlanId: null,
+      transactionType: 'debit',
+    });
+    const pattern = new RegExp(
+      filter.transactionDescription.$regex,
+      filter.transactionDescription.$options
+    );
+    expect(pattern.test('Loja - 3/10')).toBe(true);
+    expect(pattern.test('LOJA - Parcela 02/10')).toBe(true);
+    expect(pattern.test('Loja 2024')).toBe(false);
+    expect(sort).toHaveBeenCalledWith({ transactionDate: 1 });
+    expect(result).toEqual([{ id: 't1' }]);
+
+    TransactionModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+    await expect(findUnlinkedInstallments('card')).rejects.toThrow(
+      'An error occurred while finding card installments.'
+    );
+  });
+
+  test('linkInstallmentPlan links transactions to a plan', async () => {
+    TransactionModel.updateMany.mockResolvedValueOnce({ modifiedCount: 2 });
+
+    await expect(linkInstallmentPlan(['t1', 't2'], 'p1')).resolves.toEqual({
+      modifiedCount: 2,
+    });
+    expect(TransactionModel.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['t1', 't2'] } },
+      { $set: { installmentPlanId: 'p1' } }
+    );
+
+    TransactionModel.updateMany.mockRejectedValueOnce(new Error('db'));
+    await expect(linkInstallmentPlan(['t1'], 'p1')).rejects.toThrow(
+      'An error occurred while linking card installments.'
+    );
+  });
+
+  test('findRefundCandidates finds unlinked credits of a period and earlier debits', async () => {
+    const startDate = new Date('2024-01-01T00:00:00-04:00');
+    const endDate = new Date('2024-04-01T00:00:00-04:00');
+    const sort = jest.fn().mockResolvedValue([{ id: 't1' }]);
+    TransactionModel.find.mockReturnValue({ sort });
+
+    const result = await findRefundCandidates({
+      period: '2024-03',
+      startDate,
+      endDate,
+    });
+
+    expect(TransactionModel.find).toHaveBeenCalledWith({
+      $or: [
+        { transactionType: 'credit', transactionPeriod: '2024-03' },
+        {
+          transactionType: 'debit',
+          transactionDate: { $gte: startDate, $lt: endDate },
+        },
+      ],
+      transferPairId: null,
+      refundOfId: null,
+    });
+    expect(sort).toHaveBeenCalledWith({ transactionDate: 1, _id: 1 });
+    expect(result).toEqual([{ id: 't1' }]);
+
+    TransactionModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+    await expect(findRefundCandidates({ period: '2024-03' })).rejects.toThrow(
+      'An error occurred while finding refund candidates.'
+    );
+  });
+
+  test('findRefundsOf and findRefundsInPeriod find linked refunds', async () => {
+    const sort = jest.fn().mockResolvedValue([{ id: 'r1' }]);
+    TransactionModel.find.mockReturnValue({ sort });
+
+    await expect(findRefundsOf(['p1'])).resolves.toEqual([{ id: 'r1' }]);
+    await findRefundsOf();
+    await expect(findRefundsInPeriod('2024-03')).resolves.toEqual([
+      { id: 'r1' },
+    ]);
+
+    expect(TransactionModel.find).toHaveBeenNthCalledWith(1, {
+      refundOfId: { $in: ['p1'] },
+    });
+    expect(TransactionModel.find).toHaveBeenNthCalledWith(2, {
+      refundOfId: { $in: [] },
+    });
+    expect(TransactionModel.find).toHaveBeenNthCalledWith(3, {
+      transactionPeriod: '2024-03',
+      refundOfId: { $ne: null },
+    });
+
+    TransactionModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+    await expect(findRefundsOf(['p1'])).rejects.toThrow(
+      'An error occurred while finding refunds.'
+    );
+    await expect(findRefundsInPeriod('2024-03')).rejects.toThrow(
+      'An error occurred while finding refunds.'
+    );
+  });
+
+  test('findByFiscalNote finds the transaction of an access key', async () => {
+    TransactionModel.findOne.mockResolvedValueOnce({ id: 't1' });
+
+    await expect(findByFiscalNote('123')).resolves.toEqual({ id: 't1' });
+    expect(TransactionModel.findOne).toHaveBeenCalledWith({
+      transactionFiscalNote: '123',
+    });
+
+    TransactionModel.findOne.mockRejectedValueOnce(new Error('db'));
+    await expect(findByFiscalNote('123')).rejects.toThrow(
+      'An error occurred while finding the fiscal note.'
+    );
+  });
+
+  test('findFiscalNoteCandidates finds debits of the value without note', async () => {
+    const sort = jest.fn().mockResolvedValue([{ id: 't1' }]);
+    TransactionModel.find.mockReturnValue({ sort });
+    const startDate = new Date('2024-03-09T12:00:00.000Z');
+    const endDate = new Date('2024-03-15T12:00:00.000Z');
+
+    await expect(
+      findFiscalNoteCandidates({ cents: 5000, startDate, endDate })
+    ).resolves.toEqual([{ id: 't1' }]);
+    await findFiscalNoteCandidates({
+      cents: 5000,
+      startDate,
+      endDate,
+      accountId: 'a1',
+    });
+
+    expect(TransactionModel.find).toHaveBeenNthCalledWith(1, {
+      transactionType: 'debit',
+      transactionValue: { $in: [5000, -5000] },
+      transactionDate: { $gte: startDate, $lte: endDate },
+      transactionFiscalNote: { $in: [null, ''] },
+    });
+    expect(TransactionModel.find.mock.calls[1][0].accountId).toBe('a1');
+    expect(sort).toHaveBeenCalledWith({ transactionDate: 1 });
+
+    TransactionModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+    await expect(
+      findFiscalNoteCandidates({ cents: 5000, startDate, endDate })
+    ).rejects.toThrow('An error occurred while finding fiscal note candidates.');
+  });
+
+  test('findWithFiscalNote finds the transactions of a period with a note', async () => {
+    const sort = jest.fn().mockResolvedValue([{ id: 't1' }]);
+    TransactionModel.find.mockReturnValue({ sort });
+
+    await expect(findWithFiscalNote('2024-03')).resolves.toEqual([{ id: 't1' }]);
+    expect(TransactionModel.find).toHaveBeenCalledWith({
+      transactionPeriod: '2024-03',
+      transactionFiscalNote: { $nin: [null, ''] },
+    });
+    expect(sort).toHaveBeenCalledWith({ transactionDate: 1, _id: 1 });
+
+    TransactionModel.find.mockImplementation(() => {
+      throw new Error('db');
+    });
+    await expect(findWithFiscalNote('2024-03')).rejects.toThrow(
+      'An error occurred while finding fiscal notes.'
+    );
+  });
 });
@@ -0,0 +1,150 @@
+import TransactionModel from '../models/TransactionModel.js';
+import FiscalBookModel from '../models/FiscalBookModel.js';
+import CompanyModel from '../models/CompanyModel.js';
+import PersonModel from '../models/PersonModel.js';
+import CategoryModel from '../models/CategoryModel.js';
+
+// Soft-deleted document types and their models
+const MODELS = {
+  transaction: TransactionModel,
+  fiscalBook: FiscalBookModel,
+  company: CompanyModel,
+  person: PersonModel,
+  category: CategoryModel,
+};
+
+export const TRASH_TYPES = Object.keys(MODELS);
+
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+/**
+ * List the documents of a type in the trash, most recently deleted first
+ * @param {string} type - Document type
+ * @param {Object} options - Pagination options
+ * @param {number} options.limit - Maximum number of documents
+ * @param {number} options.skip - Number of documents to skip
+ * @returns {Promise<{items: Array, total: number}>} Documents and total count
+ */
+export async function findDeleted(type, options = {}) {
+  const { limit = 50, skip = 0 } = options;
+  try {
+    const [items, total] = await Promise.all([
+      MODELS[type].find(IN_TRASH)
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit),
+      MODELS[type].countDocuments(IN_TRASH),
+    ]);
+    return { items, total };
+  } catch (error) {
+    console.error('Error in findDeleted:', error.message);
+    throw new Error('An error occurred while listing the trash.');
+  }
+}
+
+/**
+ * Count the documents of a type in the trash
+ * @param {string} type - Document type
+ * @returns {Promise<number>} Number of documents
+ */
+export async function countDeleted(type) {
+  try {
+    return await MODELS[type].countDocuments(IN_TRASH);
+  } catch (error) {
+    console.error('Error in countDeleted:', error.message);
+    throw new Error('An error occurred while counting the trash.');
+  }
+}
+
+/**
+ * List the IDs of documents of a type in the trash
+ * @param {string} type - Document type
+ * @param {Object} options - Selection options
+ * @param {Array<string>} options.ids - Only these documents
+ * @param {Date} options.deletedBefore - Only documents deleted up to this date
+ * @returns {Promise<Array<string>>} Document IDs
+ */
+export async function findDeletedIds(type, options = {}) {
+  const { ids, deletedBefore } = options;
+  try {
+    const filter = {
+      deletedAt: deletedBefore ? { $lte: deletedBefore } : { $ne: null },
+    };
+    if (ids) {
+      filter._id = { $in: ids };
+    }
+    const found = await MODELS[type].distinct('_id', filter);
+    return found.map(String);
+  } catch (error) {
+    console.error('Error in findDeletedIds:', error.message);
+    throw new Error('An error occurred while listing the trash.');
+  }
+}
+
+/**
+ * Find a document in the trash
+ * @param {string} type - Document type
+ * @param {string} id - Document ID
+ * @returns {Promise<Object|null>} Trashed document, or null when not in the trash
+ */
+export async function findDeletedById(type, id) {
+  try {
+    return await MODELS[type].findOne({ _id: id, ...IN_TRASH });
+  } catch (error) {
+    console.error('Error in findDeletedById:', error.message);
+    throw new Error('An error occurred while finding the document in the trash.');
+  }
+}
+
+/**
+ * Find a document in the trash by a field, such as a unique key
+ * @param {string} type - Document type
+ * @param {Object} filter - Field values, e.g. `{ cpf }`
+ * @returns {Promise<Object|null>} Trashed document, or null when none matches
+ */
+export async function findDeletedOne(type, filter) {
+  try {
+    return await MODELS[type].findOne({ ...filter, ...IN_TRASH });
+  } catch (error) {
+    console.error('Error in findDeletedOne:', error.message);
+    throw new Error('An error occurred while finding the document in the trash.');
+  }
+}
+
+/**
+ * Take a document out of the trash
+ * @param {string} type - Document type
+ * @param {string} id - Document ID
+ * @returns {Promise<Object|null>} Restored document, or null when not in the trash
+ */
+export async function restoreById(type, id) {
+  try {
+    return await MODELS[type].findOneAndUpdate(
+      { _id: id, ...IN_TRASH },
+      { deletedAt: null },
+      { new: true }
+    );
+  } catch (error) {
+    console.error('Error in restoreById:', error.message);
+    throw new Error('An error occurred while restoring the document.');
+  }
+}
+
+/**
+ * Permanently delete documents in the trash
+ * @param {string} type - Document type
+ * @param {Array<string>} ids - Document IDs
+ * @returns {Promise<number>} Number of deleted documents
+ */
+export async function purgeByIds(type, ids) {
+  try {
+    const result = await MODELS[type].deleteMany({
+      _id: { $in: ids },
+      ...IN_TRASH,
+    });
+    return result.deletedCount;
+  } catch (error) {
+    console.error('Error in purgeByIds:', error.message);
+    throw new Error('An error occurred while purging the trash.');
+  }
+}
@@ -0,0 +1,184 @@
+import { jest } from '@jest/globals';
+
+const makeModel = () => ({
+  find: jest.fn(),
+  countDocuments: jest.fn(),
+  distinct: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  deleteMany: jest.fn(),
+});
+const TransactionModel = makeModel();
+const CompanyModel = makeModel();
+
+jest.unstable_mockModule('../models/TransactionModel.js', () => ({
+  default: TransactionModel,
+}));
+jest.unstable_mockModule('../models/FiscalBookModel.js', () => ({
+  default: makeModel(),
+}));
+jest.unstable_mockModule('../models/CompanyModel.js', () => ({
+  default: CompanyModel,
+}));
+jest.unstable_mockModule('../models/PersonModel.js', () => ({
+  default: makeModel(),
+}));
+jest.unstable_mockModule('../models/CategoryModel.js', () => ({
+  default: makeModel(),
+}));
+
+const {
+  TRASH_TYPES,
+  findDeleted,
+  countDeleted,
+  findDeletedIds,
+  findDeletedById,
+  findDeletedOne,
+  restoreById,
+  purgeByIds,
+} = await import('./trashRepository.js');
+
+const inTrash = { deletedAt: { $ne: null } };
+
+describe('trashRepository', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  test('covers the soft-deleted document types', () => {
+    expect(TRASH_TYPES).toEqual([
+      'transaction',
+      'fiscalBook',
+      'company',
+      'person',
+      'category',
+    ]);
+  });
+
+  test('findDeleted pages the trash, most recent first', async () => {
+    const query = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue([{ id: 't1' }]),
+    };
+    TransactionModel.find.mockReturnValueOnce(query);
+    TransactionModel.countDocuments.mockResolvedValueOnce(3);
+
+    await expect(findDeleted('transaction', { limit: 1, skip: 2 })).resolves.toEqual({
+      items: [{ id: 't1' }],
+      total: 3,
+    });
+    expect(TransactionModel.find).toHaveBeenCalledWith(inTrash);
+    expect(query.sort).toHaveBeenCalledWith({ deletedAt: -1, _id: -1 });
+    expect(query.skip).toHaveBeenCalledWith(2);
+    expect(query.limit).toHaveBeenCalledWith(1);
+
+    TransactionModel.find.mockImplementationOnce(() => {
+      throw new Error('db');
+    });
+    await expect(findDeleted('transaction')).rejects.toThrow(
+      'An error occurred while listing the trash.'
+    );
+  });
+
+  test('countDeleted counts the trash of a type', async () => {
+    CompanyModel.countDocuments.mockResolvedValueOnce(2);
+
+    await expect(countDeleted('company')).resolves.toBe(2);
+    expect(CompanyModel.countDocuments).toHaveBeenCalledWith(inTrash);
+
+    CompanyModel.countDocuments.mockRejectedValueOnce(new Error('db'));
+    await expect(countDeleted('company')).rejects.toThrow(
+      'An error occurred while counting the trash.'
+    );
+  });
+
+  test('findDeletedIds selects by ID or deletion date', async () => {
+    const before = new Date('2024-01-01');
+    TransactionModel.distinct
+      .mockResolvedValueOnce([{ toString: () => 't1' }])
+      .mockResolvedValueOnce([]);
+
+    await expect(findDeletedIds('transaction', { ids: ['t1', 't2'] })).resolves.toEqual([
+      't1',
+    ]);
+    expect(TransactionModel.distinct).toHaveBeenCalledWith('_id', {
+      ...inTrash,
+      _id: { $in: ['t1', 't2'] },
+    });
+
+    await findDeletedIds('transaction', { deletedBefore: before });
+    expect(TransactionModel.distinct).toHaveBeenLastCalledWith('_id', {
+      deletedAt: { $lte: before },
+    });
+
+    TransactionModel.distinct.mockRejectedValueOnce(new Error('db'));
+    await expect(findDeletedIds('transaction')).rejects.toThrow(
+      'An error occurred while listing the trash.'
+    );
+  });
+
+  test('findDeletedById finds a trashed document', async () => {
+    CompanyModel.findOne.mockResolvedValueOnce({ id: 'c1' });
+
+    await expect(findDeletedById('company', 'c1')).resolves.toEqual({ id: 'c1' });
+    expect(CompanyModel.findOne).toHaveBeenCalledWith({ _id: 'c1', ...inTrash });
+
+    CompanyModel.findOne.mockRejectedValueOnce(new Error('db'));
+    await expect(findDeletedById('company', 'c1')).rejects.toThrow(
+      'An error occurred while finding the document in the trash.'
+    );
+  });
+
+  test('findDeletedOne finds a trashed document by a field', async () => {
+    CompanyModel.findOne.mockResolvedValueOnce({ id: 'c1' });
+
+    await expect(findDeletedOne('company', { companyCnpj: '123' })).resolves.toEqual({
+      id: 'c1',
+    });
+    expect(CompanyModel.findOne).toHaveBeenCalledWith({ companyCnpj: '123', ...inTrash });
+
+    CompanyModel.findOne.mockRejectedValueOnce(new Error('db'));
+    await expect(findDeletedOne('company', { companyCnpj: '123' })).rejects.toThrow(
+      'An error occurred while finding the document in the trash.'
+    );
+  });
+
+  test('restoreById clears the marker of trashed documents only', async () => {
+    CompanyModel.findOneAndUpdate.mockResolvedValueOnce({ id: 'c1' });
+
+    await expect(restoreById('company', 'c1')).resolves.toEqual({ id: 'c1' });
+    expect(CompanyModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'c1', ...inTrash },
+      { deletedAt: null },
+      { new: true }
+    );
+
+    CompanyModel.findOneAndUpdate.mockRejectedValueOnce(new Error('db'));
+    await expect(restoreById('company', 'c1')).rejects.toThrow(
+      'An error occurred while restoring the document.'
+    );
+  });
+
+  test('purgeByIds deletes trashed documents only', async () => {
+    TransactionModel.deleteMany.mockResolvedValueOnce({ deletedCount: 2 });
+
+    await expect(purgeByIds('transaction', ['t1', 't2'])).resolves.toBe(2);
+    expect(TransactionModel.deleteMany).toHaveBeenCalledWith({
+      _id: { $in: ['t1', 't2'] },
+      ...inTrash,
+    });
+
+    TransactionModel.deleteMany.mockRejectedValueOnce(new Error('db'));
+    await expect(purgeByIds('transaction', ['t1'])).rejects.toThrow(
+      'An error occurred while purging the trash.'
+    );
+  });
+});
@@ -0,0 +1,134 @@
+import express from 'express';
+import * as accountService from '../services/accountService.js';
+
+const router = express.Router();
+
+/**
+ * Send the error of an account request
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the account service
+ */
+const sendAccountError = (res, error) => {
+  console.error(error);
+  if (error.message === 'Account not found') {
+    return res.status(404).json({ message: error.message });
+  }
+  if (
+    error.message.includes('Invalid account data:') ||
+    error.message.includes('Invalid balance date:')
+  ) {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.message.startsWith('Account has')) {
+    return res.status(409).json({ message: error.message });
+  }
+  res.status(500).json({ message: 'Server error', error: error.message });
+};
+
+/**
+ * @route   GET /api/account
+ * @desc    Get all accounts
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const accounts = await accountService.getAllAccounts();
+    res.json(accounts);
+  } catch (error) {
+    sendAccountError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/account/:id/balance
+ * @desc    Get the balance of an account at the end of a day
+ * @query   date - Day (YYYY-MM-DD or DD/MM/YYYY, default today)
+ * @access  Public
+ */
+router.get('/:id/balance', async (req, res) => {
+  try {
+    const balance = await accountService.getAccountBalance(
+      req.params.id,
+      req.query.date
+    );
+    res.json(balance);
+  } catch (error) {
+    sendAccountError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/account/:id/running-balance
+ * @desc    List the transactions of an account with the balance after each one
+ * @query   startDate, endDate - Days (YYYY-MM-DD or DD/MM/YYYY)
+ * @access  Public
+ */
+router.get('/:id/running-balance', async (req, res) => {
+  try {
+    const runningBalance = await accountService.getRunningBalance(
+      req.params.id,
+      { startDate: req.query.startDate, endDate: req.query.endDate }
+    );
+    res.json(runningBalance);
+  } catch (error) {
+    sendAccountError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/account/:id
+ * @desc    Get account by ID
+ * @access  Public
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const account = await accountService.getAccountById(req.params.id);
+    res.json(account);
+  } catch (error) {
+    sendAccountError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/account
+ * @desc    Create a new account
+ * @access  Public
+ */
+router.post('/', async (req, res) => {
+  try {
+    const account = await accountService.createAccount(req.body);
+    res.status(201).json(account);
+  } catch (error) {
+    sendAccountError(res, error);
+  }
+});
+
+/**
+ * @route   PUT /api/account/:id
+ * @desc    Update an account
+ * @access  Public
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const account = await accountService.updateAccount(req.params.id, req.body);
+    res.json(account);
+  } catch (error) {
+    sendAccountError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/account/:id
+ * @desc    Delete an account without transactions
+ * @access  Public
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const account = await accountService.deleteAccount(req.params.id);
+    res.json({ message: 'Account deleted', data: account });
+  } catch (error) {
+    sendAccountError(res, error);
+  }
+});
+
+export default router;
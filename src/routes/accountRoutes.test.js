@@ -0,0 +1,188 @@
+import { jest } from '@jest/globals';
+
+const createRouter = () => {
+  const routes = [];
+  const router = {
+    routes,
+    get: jest.fn((path, handler) => {
+      routes.push({ method: 'get', path, handler });
+      return router;
+    }),
+    post: jest.fn((path, handler) => {
+      routes.push({ method: 'post', path, handler });
+      return router;
+    }),
+    put: jest.fn((path, handler) => {
+      routes.push({ method: 'put', path, handler });
+      return router;
+    }),
+    delete: jest.fn((path, handler) => {
+      routes.push({ method: 'delete', path, handler });
+      return router;
+    }),
+  };
+  return router;
+};
+
+const router = createRouter();
+
+const service = {
+  getAllAccounts: jest.fn(),
+  getAccountById: jest.fn(),
+  createAccount: jest.fn(),
+  updateAccount: jest.fn(),
+  deleteAccount: jest.fn(),
+  getAccountBalance: jest.fn(),
+  getRunningBalance: jest.fn(),
+};
+
+jest.unstable_mockModule('express', () => ({
+  default: { Router: () => router },
+}));
+
+jest.unstable_mockModule('../services/accountService.js', () => service);
+
+await import('./accountRoutes.js');
+
+const getHandler = (method, path) =>
+  router.routes.find(
+    (route) => route.method === method && route.path === path
+  )?.handler;
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+describe('accountRoutes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    consoleError.mockRestore();
+  });
+
+  test('GET / lists accounts or returns 500', async () => {
+    service.getAllAccounts
+      .mockResolvedValueOnce([{ id: 'a1' }])
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+
+    await getHandler('get', '/')({}, res);
+    await getHandler('get', '/')({}, res);
+
+    expect(res.json).toHaveBeenNthCalledWith(1, [{ id: 'a1' }]);
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenLastCalledWith({
+      message: 'Server error',
+      error: 'boom',
+    });
+  });
+
+  test('GET /:id returns the account or 404', async () => {
+    service.getAccountById
+      .mockResolvedValueOnce({ id: 'a1' })
+      .mockRejectedValueOnce(new Error('Account not found'));
+    const res = createRes();
+    const req = { params: { id: 'a1' } };
+
+    await getHandler('get', '/:id')(req, res);
+    await getHandler('get', '/:id')(req, res);
+
+    expect(res.json).toHaveBeenNthCalledWith(1, { id: 'a1' });
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenLastCalledWith({ message: 'Account not found' });
+  });
+
+  test('GET /:id/balance passes the date and maps invalid dates to 400', async () => {
+    service.getAccountBalance
+      .mockResolvedValueOnce({ balance: 10 })
+      .mockRejectedValueOnce(
+        new Error('Invalid balance date: date must use the YYYY-MM-DD or DD/MM/YYYY format')
+      );
+    const res = createRes();
+    const req = { params: { id: 'a1' }, query: { date: '2024-01-31' } };
+
+    await getHandler('get', '/:id/balance')(req, res);
+    await getHandler('get', '/:id/balance')(req, res);
+
+    expect(service.getAccountBalance).toHaveBeenCalledWith('a1', '2024-01-31');
+    expect(res.json).toHaveBeenNthCalledWith(1, { balance: 10 });
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('GET /:id/running-balance passes the range', async () => {
+    service.getRunningBalance
+      .mockResolvedValueOnce({ entries: [] })
+      .mockRejectedValueOnce(new Error('Account not found'));
+    const res = createRes();
+    const req = {
+      params: { id: 'a1' },
+      query: { startDate: '2024-01-01', endDate: '2024-01-31' },
+    };
+
+    await getHandler('get', '/:id/running-balance')(req, res);
+    await getHandler('get', '/:id/running-balance')(req, res);
+
+    expect(service.getRunningBalance).toHaveBeenCalledWith('a1', {
+      startDate: '2024-01-01',
+      endDate: '2024-01-31',
+    });
+    expect(res.json).toHaveBeenNthCalledWith(1, { entries: [] });
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  test('POST / creates an account or returns 400', async () => {
+    service.createAccount
+      .mockResolvedValueOnce({ id: 'a1' })
+      .mockRejectedValueOnce(
+        new Error('Invalid account data: Account name is required')
+      );
+    const res = createRes();
+    const req = { body: { accountName: 'Nubank' } };
+
+    await getHandler('post', '/')(req, res);
+    await getHandler('post', '/')(req, res);
+
+    expect(res.status).toHaveBeenNthCalledWith(1, 201);
+    expect(res.json).toHaveBeenNthCalledWith(1, { id: 'a1' });
+    expect(res.status).toHaveBeenLastCalledWith(400);
+  });
+
+  test('PUT /:id updates the account', async () => {
+    service.updateAccount.mockResolvedValueOnce({ id: 'a1', active: false });
+    const res = createRes();
+
+    await getHandler('put', '/:id')(
+      { params: { id: 'a1' }, body: { active: false } },
+      res
+    );
+
+    expect(service.updateAccount).toHaveBeenCalledWith('a1', { active: false });
+    expect(res.json).toHaveBeenCalledWith({ id: 'a1', active: false });
+  });
+
+  test('DELETE /:id deletes the account or returns 409 when it has transactions', async () => {
+    service.deleteAccount
+      .mockResolvedValueOnce({ id: 'a1' })
+      .mockRejectedValueOnce(
+        new Error('Account has 2 transactions: move them to another account first')
+      );
+    const res = createRes();
+    const req = { params: { id: 'a1' } };
+
+    await getHandler('delete', '/:id')(req, res);
+    await getHandler('delete', '/:id')(req, res);
+
+    expect(res.json).toHaveBeenNthCalledWith(1, {
+      message: 'Account deleted',
+      data: { id: 'a1' },
+    });
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
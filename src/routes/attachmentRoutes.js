@@ -0,0 +1,132 @@
+import express from 'express';
+import * as attachmentService from '../services/attachmentService.js';
+
+const isNotFound = (error) =>
+  error.message === 'Transaction not found' ||
+  error.message === 'Fiscal book not found' ||
+  error.message === 'Attachment not found';
+
+/**
+ * Read an upload from a raw body or a JSON payload
+ * Raw bodies take the file name from ?fileName= or the X-File-Name header;
+ * JSON payloads send { fileName, contentType, content } with base64 content.
+ * @param {Object} req - Express request object
+ * @returns {Object} File name, content type and content
+ */
+function readUpload(req) {
+  if (Buffer.isBuffer(req.body)) {
+    return {
+      fileName: req.query.fileName || req.get('X-File-Name'),
+      contentType: req.get('Content-Type'),
+      content: req.body,
+    };
+  }
+  const { fileName, contentType, content } = req.body || {};
+  return { fileName, contentType, content };
+}
+
+/**
+ * Create the attachment routes of a document type
+ * Mounted under the document path, e.g. /api/transaction/:id/attachments.
+ * @param {string} ownerType - 'transaction' or 'fiscalBook'
+ * @returns {Object} Express router
+ */
+export default function attachmentRoutes(ownerType) {
+  const router = express.Router({ mergeParams: true });
+
+  /**
+   * @route   GET /api/{transaction|fiscal-book}/:id/attachments
+   * @desc    List the attachments of a document
+   * @access  Public
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const attachments = await attachmentService.listAttachments(
+        ownerType,
+        req.params.id
+      );
+      res.json(attachments);
+    } catch (error) {
+      console.error(error);
+      if (isNotFound(error)) {
+        return res.status(404).json({ message: error.message });
+      }
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  /**
+   * @route   POST /api/{transaction|fiscal-book}/:id/attachments
+   * @desc    Attach a file; a file already attached returns the existing attachment
+   * @query   fileName - File name of raw uploads
+   * @access  Public
+   */
+  router.post('/', async (req, res) => {
+    try {
+      const { attachment, created } = await attachmentService.uploadAttachment(
+        ownerType,
+        req.params.id,
+        readUpload(req)
+      );
+      res.status(created ? 201 : 200).json(attachment);
+    } catch (error) {
+      console.error(error);
+      if (isNotFound(error)) {
+        return res.status(404).json({ message: error.message });
+      }
+      if (error.message.includes('Invalid attachment data')) {
+        return res.status(400).json({ message: error.message });
+      }
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  /**
+   * @route   GET /api/{transaction|fiscal-book}/:id/attachments/:attachmentId
+   * @desc    Download an attachment
+   * @access  Public
+   */
+  router.get('/:attachmentId', async (req, res) => {
+    try {
+      const { attachment, content } =
+        await attachmentService.getAttachmentContent(
+          ownerType,
+          req.params.id,
+          req.params.attachmentId
+        );
+      res.attachment(attachment.fileName);
+      res.setHeader('Content-Type', attachment.contentType);
+      res.status(200).send(content);
+    } catch (error) {
+      console.error(error);
+      if (isNotFound(error)) {
+        return res.status(404).json({ message: error.message });
+      }
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  /**
+   * @route   DELETE /api/{transaction|fiscal-book}/:id/attachments/:attachmentId
+   * @desc    Delete an attachment
+   * @access  Public
+   */
+  router.delete('/:attachmentId', async (req, res) => {
+    try {
+      const attachment = await attachmentService.deleteAttachment(
+        ownerType,
+        req.params.id,
+        req.params.attachmentId
+      );
+      res.json({ message: 'Attachment deleted', data: attachment });
+    } catch (error) {
+      console.error(error);
+      if (isNotFound(error)) {
+        return res.status(404).json({ message: error.message });
+      }
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  return router;
+}
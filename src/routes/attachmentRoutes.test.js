@@ -0,0 +1,211 @@
+import { jest } from '@jest/globals';
+
+const createRouter = () => {
+  const routes = [];
+  const router = { routes };
+  ['get', 'post', 'delete'].forEach((method) => {
+    router[method] = jest.fn((path, handler) => {
+      routes.push({ method, path, handler });
+      return router;
+    });
+  });
+  return router;
+};
+
+const routers = [];
+const Router = jest.fn(() => {
+  const router = createRouter();
+  routers.push(router);
+  return router;
+});
+
+const service = {
+  listAttachments: jest.fn(),
+  uploadAttachment: jest.fn(),
+  getAttachmentContent: jest.fn(),
+  deleteAttachment: jest.fn(),
+};
+
+jest.unstable_mockModule('express', () => ({ default: { Router } }));
+jest.unstable_mockModule('../services/attachmentService.js', () => service);
+
+const { default: attachmentRoutes } = await import('./attachmentRoutes.js');
+
+const router = attachmentRoutes('transaction');
+const routerOptions = Router.mock.calls[0][0];
+
+const getHandler = (method, path) =>
+  router.routes.find(
+    (route) => route.method === method && route.path === path
+  )?.handler;
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  res.attachment = jest.fn().mockReturnValue(res);
+  res.setHeader = jest.fn();
+  return res;
+};
+
+const attachment = {
+  id: 'a1',
+  fileName: 'recibo.pdf',
+  contentType: 'application/pdf',
+};
+
+describe('attachmentRoutes', () => {
+  let consoleError;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+  });
+
+  test('creates a router reading the document id of the parent path', () => {
+    expect(routerOptions).toEqual({ mergeParams: true });
+    expect(routers).toEqual([router]);
+  });
+
+  test('GET / lists attachments, 404 or 500', async () => {
+    service.listAttachments
+      .mockResolvedValueOnce([attachment])
+      .mockRejectedValueOnce(new Error('Transaction not found'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { params: { id: 't1' } };
+
+    for (let call = 0; call < 3; call += 1) {
+      await getHandler('get', '/')(req, res);
+    }
+
+    expect(service.listAttachments).toHaveBeenCalledWith('transaction', 't1');
+    expect(res.json).toHaveBeenNthCalledWith(1, [attachment]);
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([404, 500]);
+  });
+
+  test('POST / uploads raw bodies and JSON payloads', async () => {
+    service.uploadAttachment
+      .mockResolvedValueOnce({ attachment, created: true })
+      .mockResolvedValueOnce({ attachment, created: false })
+      .mockResolvedValueOnce({ attachment, created: true });
+    const res = createRes();
+    const headers = { 'Content-Type': 'application/pdf', 'X-File-Name': 'x.pdf' };
+    const raw = {
+      params: { id: 't1' },
+      query: { fileName: 'recibo.pdf' },
+      body: Buffer.from('pdf'),
+      get: (name) => headers[name],
+    };
+
+    await getHandler('post', '/')(raw, res);
+    await getHandler('post', '/')({ ...raw, query: {} }, res);
+    await getHandler('post', '/')(
+      {
+        params: { id: 't1' },
+        body: { fileName: 'nota.xml', contentType: 'text/xml', content: 'PD94' },
+      },
+      res
+    );
+    await expect(
+      getHandler('post', '/')({ params: { id: 't1' } }, createRes())
+    ).resolves.toBeUndefined();
+
+    expect(service.uploadAttachment.mock.calls).toEqual([
+      [
+        'transaction',
+        't1',
+        { fileName: 'recibo.pdf', contentType: 'application/pdf', content: raw.body },
+      ],
+      [
+        'transaction',
+        't1',
+        { fileName: 'x.pdf', contentType: 'application/pdf', content: raw.body },
+      ],
+      [
+        'transaction',
+        't1',
+        { fileName: 'nota.xml', contentType: 'text/xml', content: 'PD94' },
+      ],
+      [
+        'transaction',
+        't1',
+        { fileName: undefined, contentType: undefined, content: undefined },
+      ],
+    ]);
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([
+      201, 200, 201,
+    ]);
+    expect(res.json).toHaveBeenCalledWith(attachment);
+  });
+
+  test('POST / maps upload errors', async () => {
+    service.uploadAttachment
+      .mockRejectedValueOnce(new Error('Fiscal book not found'))
+      .mockRejectedValueOnce(new Error('Invalid attachment data: content is required'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+
+    for (let call = 0; call < 3; call += 1) {
+      await getHandler('post', '/')({ params: { id: 't1' }, body: {} }, res);
+    }
+
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([
+      404, 400, 500,
+    ]);
+  });
+
+  test('GET /:attachmentId downloads the content, 404 or 500', async () => {
+    service.getAttachmentContent
+      .mockResolvedValueOnce({ attachment, content: Buffer.from('pdf') })
+      .mockRejectedValueOnce(new Error('Attachment not found'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { params: { id: 't1', attachmentId: 'a1' } };
+
+    for (let call = 0; call < 3; call += 1) {
+      await getHandler('get', '/:attachmentId')(req, res);
+    }
+
+    expect(service.getAttachmentContent).toHaveBeenCalledWith(
+      'transaction',
+      't1',
+      'a1'
+    );
+    expect(res.attachment).toHaveBeenCalledWith('recibo.pdf');
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/pdf');
+    expect(res.send).toHaveBeenCalledWith(Buffer.from('pdf'));
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([
+      200, 404, 500,
+    ]);
+  });
+
+  test('DELETE /:attachmentId deletes the attachment, 404 or 500', async () => {
+    service.deleteAttachment
+      .mockResolvedValueOnce(attachment)
+      .mockRejectedValueOnce(new Error('Attachment not found'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { params: { id: 't1', attachmentId: 'a1' } };
+
+    for (let call = 0; call < 3; call += 1) {
+      await getHandler('delete', '/:attachmentId')(req, res);
+    }
+
+    expect(service.deleteAttachment).toHaveBeenCalledWith(
+      'transaction',
+      't1',
+      'a1'
+    );
+    expect(res.json).toHaveBeenNthCalledWith(1, {
+      message: 'Attachment deleted',
+      data: attachment,
+    });
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([404, 500]);
+  });
+});
@@ -0,0 +1,62 @@
+import express from 'express';
+import * as auditService from '../services/auditService.js';
+
+const isNotFound = (error) => error.message.endsWith('not found');
+
+/**
+ * Create the change history routes of a document type
+ * Mounted under the document path, e.g. /api/transaction/:id/history.
+ * @param {string} documentType - Audited document type
+ * @returns {Object} Express router
+ */
+export default function auditRoutes(documentType) {
+  const router = express.Router({ mergeParams: true });
+
+  /**
+   * @route   GET /api/{transaction|fiscal-book|company|person|category}/:id/history
+   * @desc    List the changes of a document, newest first
+   * @query   limit, skip
+   * @access  Public
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const history = await auditService.getHistory(
+        documentType,
+        req.params.id,
+        req.query
+      );
+      res.json(history);
+    } catch (error) {
+      console.error(error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  /**
+   * @route   POST /api/{transaction|fiscal-book|company|person|category}/:id/history/:entryId/revert
+   * @desc    Revert a single change of a document
+   * @access  Public
+   */
+  router.post('/:entryId/revert', async (req, res) => {
+    try {
+      const result = await auditService.revertChange(
+        documentType,
+        req.params.id,
+        req.params.entryId,
+        auditService.requestAuditContext(req)
+      );
+      res.json({ message: 'Change reverted', data: result });
+    } catch (error) {
+      console.error(error);
+      if (isNotFound(error)) {
+        return res.status(404).json({ message: error.message });
+      }
+      if (error.message.startsWith('Cannot revert change')) {
+        return res.status(409).json({ message: error.message });
+      }
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  return router;
+}
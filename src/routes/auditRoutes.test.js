@@ -0,0 +1,114 @@
+import { jest } from '@jest/globals';
+
+const createRouter = () => {
+  const routes = [];
+  const router = { routes };
+  ['get', 'post'].forEach((method) => {
+    router[method] = jest.fn((path, handler) => {
+      routes.push({ method, path, handler });
+      return router;
+    });
+  });
+  return router;
+};
+
+const Router = jest.fn(() => createRouter());
+
+const service = {
+  getHistory: jest.fn(),
+  revertChange: jest.fn(),
+  requestAuditContext: jest.fn(),
+};
+
+jest.unstable_mockModule('express', () => ({ default: { Router } }));
+jest.unstable_mockModule('../services/auditService.js', () => service);
+
+const { default: auditRoutes } = await import('./auditRoutes.js');
+
+const router = auditRoutes('transaction');
+const routerOptions = Router.mock.calls[0][0];
+
+const getHandler = (method, path) =>
+  router.routes.find(
+    (route) => route.method === method && route.path === path
+  )?.handler;
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('auditRoutes', () => {
+  let consoleError;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+  });
+
+  test('registers the history routes under the document path', () => {
+    expect(routerOptions).toEqual({ mergeParams: true });
+    expect(router.routes.map(({ method, path }) => `${method} ${path}`)).toEqual([
+      'get /',
+      'post /:entryId/revert',
+    ]);
+  });
+
+  test('GET / lists the history of the document', async () => {
+    const history = { entries: [], total: 0, limit: 50, skip: 0 };
+    service.getHistory.mockResolvedValueOnce(history);
+    const res = createRes();
+
+    await getHandler('get', '/')({ params: { id: 't1' }, query: { limit: '5' } }, res);
+
+    expect(service.getHistory).toHaveBeenCalledWith('transaction', 't1', { limit: '5' });
+    expect(res.json).toHaveBeenCalledWith(history);
+
+    service.getHistory.mockRejectedValueOnce(new Error('boom'));
+    const failed = createRes();
+    await getHandler('get', '/')({ params: { id: 't1' }, query: {} }, failed);
+    expect(failed.status).toHaveBeenCalledWith(500);
+    expect(failed.json).toHaveBeenCalledWith({ message: 'Server error', error: 'boom' });
+  });
+
+  test('POST /:entryId/revert reverts the change with the request context', async () => {
+    const context = { actor: 'ana', origin: 'api' };
+    service.requestAuditContext.mockReturnValueOnce(context);
+    service.revertChange.mockResolvedValueOnce({ document: { id: 't1' }, entry: { id: 'e2' } });
+    const req = { params: { id: 't1', entryId: 'e1' } };
+    const res = createRes();
+
+    await getHandler('post', '/:entryId/revert')(req, res);
+
+    expect(service.requestAuditContext).toHaveBeenCalledWith(req);
+    expect(service.revertChange).toHaveBeenCalledWith('transaction', 't1', 'e1', context);
+    expect(res.json).toHaveBeenCalledWith({
+      message: 'Change reverted',
+      data: { document: { id: 't1' }, entry: { id: 'e2' } },
+    });
+  });
+
+  test('POST /:entryId/revert maps errors to 404, 409 and 500', async () => {
+    const handler = getHandler('post', '/:entryId/revert');
+    const req = { params: { id: 't1', entryId: 'e1' } };
+    const cases = [
+      ['Audit entry not found', 404],
+      ['Transaction not found', 404],
+      ['Cannot revert change: transactionValue changed since', 409],
+      ['boom', 500],
+    ];
+
+    for (const [message, status] of cases) {
+      service.revertChange.mockRejectedValueOnce(new Error(message));
+      const res = createRes();
+      await handler(req, res);
+      expect(res.status).toHaveBeenCalledWith(status);
+    }
+  });
+});
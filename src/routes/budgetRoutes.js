@@ -0,0 +1,120 @@
+import express from 'express';
+import * as budgetService from '../services/budgetService.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/budget
+ * @desc    Get all budgets
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const budgets = await budgetService.getAllBudgets();
+    res.json(budgets);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/budget/:period/status
+ * @desc    Compare the debit totals of a period (YYYY-MM) against the budgets
+ * @query   threshold - Alert threshold (%) overriding each budget's own
+ * @access  Public
+ */
+router.get('/:period/status', async (req, res) => {
+  try {
+    const status = await budgetService.getBudgetStatus(req.params.period, {
+      threshold: req.query.threshold,
+    });
+    res.json(status);
+  } catch (error) {
+    console.error(error);
+    if (
+      error.message.includes('Invalid budget period') ||
+      error.message.includes('Invalid budget threshold')
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/budget/:id
+ * @desc    Get budget by ID
+ * @access  Public
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const budget = await budgetService.getBudgetById(req.params.id);
+    res.json(budget);
+  } catch (error) {
+    console.error(error);
+    if (error.message === 'Budget not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/budget
+ * @desc    Create a new budget
+ * @access  Public
+ */
+router.post('/', async (req, res) => {
+  try {
+    const budget = await budgetService.createBudget(req.body);
+    res.status(201).json(budget);
+  } catch (error) {
+    console.error(error);
+    if (error.message.includes('Invalid budget data:')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/budget/:id
+ * @desc    Update a budget
+ * @access  Public
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const budget = await budgetService.updateBudget(req.params.id, req.body);
+    res.json(budget);
+  } catch (error) {
+    console.error(error);
+    if (error.message === 'Budget not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message.includes('Invalid budget data:')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/budget/:id
+ * @desc    Delete a budget
+ * @access  Public
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const budget = await budgetService.deleteBudget(req.params.id);
+    res.json({ message: 'Budget deleted', data: budget });
+  } catch (error) {
+    console.error(error);
+    if (error.message === 'Budget not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
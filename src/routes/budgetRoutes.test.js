@@ -0,0 +1,195 @@
+import { jest } from '@jest/globals';
+
+const createRouter = () => {
+  const routes = [];
+  const router = {
+    routes,
+    get: jest.fn((path, handler) => {
+      routes.push({ method: 'get', path, handler });
+      return router;
+    }),
+    post: jest.fn((path, handler) => {
+      routes.push({ method: 'post', path, handler });
+      return router;
+    }),
+    put: jest.fn((path, handler) => {
+      routes.push({ method: 'put', path, handler });
+      return router;
+    }),
+    delete: jest.fn((path, handler) => {
+      routes.push({ method: 'delete', path, handler });
+      return router;
+    }),
+  };
+  return router;
+};
+
+const router = createRouter();
+
+const service = {
+  getAllBudgets: jest.fn(),
+  getBudgetById: jest.fn(),
+  createBudget: jest.fn(),
+  updateBudget: jest.fn(),
+  deleteBudget: jest.fn(),
+  getBudgetStatus: jest.fn(),
+};
+
+jest.unstable_mockModule('express', () => ({
+  default: { Router: () => router },
+}));
+
+jest.unstable_mockModule('../services/budgetService.js', () => service);
+
+await import('./budgetRoutes.js');
+
+const getHandler = (method, path) =>
+  router.routes.find(
+    (route) => route.method === method && route.path === path
+  )?.handler;
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+describe('budgetRoutes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    consoleError.mockRestore();
+  });
+
+  test('GET / lists budgets or returns 500', async () => {
+    service.getAllBudgets
+      .mockResolvedValueOnce([{ id: 'b1' }])
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+
+    await getHandler('get', '/')({}, res);
+    await getHandler('get', '/')({}, res);
+
+    expect(res.json).toHaveBeenNthCalledWith(1, [{ id: 'b1' }]);
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenNthCalledWith(2, {
+      message: 'Server error',
+      error: 'boom',
+    });
+  });
+
+  test('GET /:period/status forwards period and threshold', async () => {
+    service.getBudgetStatus.mockResolvedValue({ period: '2024-03' });
+    const res = createRes();
+
+    await getHandler('get', '/:period/status')(
+      { params: { period: '2024-03' }, query: { threshold: '90' } },
+      res
+    );
+
+    expect(service.getBudgetStatus).toHaveBeenCalledWith('2024-03', {
+      threshold: '90',
+    });
+    expect(res.json).toHaveBeenCalledWith({ period: '2024-03' });
+  });
+
+  test('GET /:period/status maps errors', async () => {
+    const handler = getHandler('get', '/:period/status');
+    service.getBudgetStatus
+      .mockRejectedValueOnce(new Error('Invalid budget period: x'))
+      .mockRejectedValueOnce(new Error('Invalid budget threshold: x'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { params: { period: 'x' }, query: {} };
+
+    await handler(req, res);
+    await handler(req, res);
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenNthCalledWith(1, 400);
+    expect(res.status).toHaveBeenNthCalledWith(2, 400);
+    expect(res.status).toHaveBeenNthCalledWith(3, 500);
+  });
+
+  test('GET /:id returns budget or maps errors', async () => {
+    const handler = getHandler('get', '/:id');
+    service.getBudgetById
+      .mockResolvedValueOnce({ id: 'b1' })
+      .mockRejectedValueOnce(new Error('Budget not found'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+
+    await handler({ params: { id: 'b1' } }, res);
+    await handler({ params: { id: 'b2' } }, res);
+    await handler({ params: { id: 'b3' } }, res);
+
+    expect(res.json).toHaveBeenNthCalledWith(1, { id: 'b1' });
+    expect(res.status).toHaveBeenNthCalledWith(1, 404);
+    expect(res.status).toHaveBeenNthCalledWith(2, 500);
+  });
+
+  test('POST / creates budget or maps errors', async () => {
+    const handler = getHandler('post', '/');
+    service.createBudget
+      .mockResolvedValueOnce({ id: 'b1' })
+      .mockRejectedValueOnce(new Error('Invalid budget data: x'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+
+    await handler({ body: { limit: '10' } }, res);
+    await handler({ body: {} }, res);
+    await handler({ body: {} }, res);
+
+    expect(service.createBudget).toHaveBeenCalledWith({ limit: '10' });
+    expect(res.status).toHaveBeenNthCalledWith(1, 201);
+    expect(res.status).toHaveBeenNthCalledWith(2, 400);
+    expect(res.status).toHaveBeenNthCalledWith(3, 500);
+  });
+
+  test('PUT /:id updates budget or maps errors', async () => {
+    const handler = getHandler('put', '/:id');
+    service.updateBudget
+      .mockResolvedValueOnce({ id: 'b1' })
+      .mockRejectedValueOnce(new Error('Budget not found'))
+      .mockRejectedValueOnce(new Error('Invalid budget data: x'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { params: { id: 'b1' }, body: { limit: '10' } };
+
+    await handler(req, res);
+    await handler(req, res);
+    await handler(req, res);
+    await handler(req, res);
+
+    expect(service.updateBudget).toHaveBeenCalledWith('b1', { limit: '10' });
+    expect(res.json).toHaveBeenNthCalledWith(1, { id: 'b1' });
+    expect(res.status).toHaveBeenNthCalledWith(1, 404);
+    expect(res.status).toHaveBeenNthCalledWith(2, 400);
+    expect(res.status).toHaveBeenNthCalledWith(3, 500);
+  });
+
+  test('DELETE /:id deletes budget or maps errors', async () => {
+    const handler = getHandler('delete', '/:id');
+    service.deleteBudget
+      .mockResolvedValueOnce({ id: 'b1' })
+      .mockRejectedValueOnce(new Error('Budget not found'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+
+    await handler({ params: { id: 'b1' } }, res);
+    await handler({ params: { id: 'b2' } }, res);
+    await handler({ params: { id: 'b3' } }, res);
+
+    expect(res.json).toHaveBeenNthCalledWith(1, {
+      message: 'Budget deleted',
+      data: { id: 'b1' },
+    });
+    expect(res.status).toHaveBeenNthCalledWith(1, 404);
+    expect(res.status).toHaveBeenNthCalledWith(2, 500);
+  });
+});
@@ -0,0 +1,132 @@
+import express from 'express';
+import * as cardInvoiceService from '../services/cardInvoiceService.js';
+
+const router = express.Router();
+
+const NOT_FOUND_MESSAGES = [
+  'Account not found',
+  'Card invoice not found',
+  'Transaction not found',
+  'Payment not found',
+];
+
+/**
+ * Send the error of a card invoice request
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the card invoice service
+ */
+const sendCardInvoiceError = (res, error) => {
+  console.error(error);
+  if (NOT_FOUND_MESSAGES.includes(error.message)) {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.message.includes('Invalid card invoice data:')) {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.message.startsWith('Transaction already pays')) {
+    return res.status(409).json({ message: error.message });
+  }
+  res.status(500).json({ message: 'Server error', error: error.message });
+};
+
+/**
+ * @route   GET /api/card-invoice
+ * @desc    Get the invoices of a credit card, rebuilt from its transactions
+ * @query   accountId - Card account ID, from - First due month (YYYY-MM)
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const invoices = await cardInvoiceService.getCardInvoices(
+      req.query.accountId,
+      { from: req.query.from }
+    );
+    res.json(invoices);
+  } catch (error) {
+    sendCardInvoiceError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/card-invoice/upcoming
+ * @desc    Get the next invoices of a credit card
+ * @query   accountId - Card account ID, count - Number of invoices (default 3)
+ * @access  Public
+ */
+router.get('/upcoming', async (req, res) => {
+  try {
+    const invoices = await cardInvoiceService.getUpcomingInvoices(
+      req.query.accountId,
+      { count: req.query.count }
+    );
+    res.json(invoices);
+  } catch (error) {
+    sendCardInvoiceError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/card-invoice/:id
+ * @desc    Get card invoice by ID
+ * @access  Public
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const invoice = await cardInvoiceService.getCardInvoiceById(req.params.id);
+    res.json(invoice);
+  } catch (error) {
+    sendCardInvoiceError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/card-invoice/:id/payment-suggestions
+ * @desc    Suggest the debits that may pay an invoice
+ * @access  Public
+ */
+router.get('/:id/payment-suggestions', async (req, res) => {
+  try {
+    const suggestions = await cardInvoiceService.suggestInvoicePayments(
+      req.params.id
+    );
+    res.json(suggestions);
+  } catch (error) {
+    sendCardInvoiceError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/card-invoice/:id/payments
+ * @desc    Record a debit of another account as payment of an invoice
+ * @access  Public
+ */
+router.post('/:id/payments', async (req, res) => {
+  try {
+    const invoice = await cardInvoiceService.payCardInvoice(
+      req.params.id,
+      req.body
+    );
+    res.json(invoice);
+  } catch (error) {
+    sendCardInvoiceError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/card-invoice/:id/payments/:transactionId
+ * @desc    Remove a payment from an invoice
+ * @access  Public
+ */
+router.delete('/:id/payments/:transactionId', async (req, res) => {
+  try {
+    const invoice = await cardInvoiceService.unpayCardInvoice(
+      req.params.id,
+      req.params.transactionId
+    );
+    res.json(invoice);
+  } catch (error) {
+    sendCardInvoiceError(res, error);
+  }
+});
+
+export default router;
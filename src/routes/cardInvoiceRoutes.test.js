@@ -0,0 +1,165 @@
+import { jest } from '@jest/globals';
+
+const createRouter = () => {
+  const routes = [];
+  const router = {
+    routes,
+    get: jest.fn((path, handler) => {
+      routes.push({ method: 'get', path, handler });
+      return router;
+    }),
+    post: jest.fn((path, handler) => {
+      routes.push({ method: 'post', path, handler });
+      return router;
+    }),
+    delete: jest.fn((path, handler) => {
+      routes.push({ method: 'delete', path, handler });
+      return router;
+    }),
+  };
+  return router;
+};
+
+const router = createRouter();
+
+const service = {
+  getCardInvoices: jest.fn(),
+  getUpcomingInvoices: jest.fn(),
+  getCardInvoiceById: jest.fn(),
+  suggestInvoicePayments: jest.fn(),
+  payCardInvoice: jest.fn(),
+  unpayCardInvoice: jest.fn(),
+};
+
+jest.unstable_mockModule('express', () => ({
+  default: { Router: () => router },
+}));
+
+jest.unstable_mockModule('../services/cardInvoiceService.js', () => service);
+
+await import('./cardInvoiceRoutes.js');
+
+const getHandler = (method, path) =>
+  router.routes.find(
+    (route) => route.method === method && route.path === path
+  )?.handler;
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+describe('cardInvoiceRoutes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    consoleError.mockRestore();
+  });
+
+  test('GET / lists the invoices of a card or returns 400', async () => {
+    service.getCardInvoices
+      .mockResolvedValueOnce([{ id: 'i1' }])
+      .mockRejectedValueOnce(
+        new Error('Invalid card invoice data: accountId is required')
+      );
+    const res = createRes();
+    const req = { query: { accountId: 'a1', from: '2024-01' } };
+
+    await getHandler('get', '/')(req, res);
+    await getHandler('get', '/')(req, res);
+
+    expect(service.getCardInvoices).toHaveBeenCalledWith('a1', {
+      from: '2024-01',
+    });
+    expect(res.json).toHaveBeenNthCalledWith(1, [{ id: 'i1' }]);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('GET /upcoming passes the count or returns 500', async () => {
+    service.getUpcomingInvoices
+      .mockResolvedValueOnce([{ invoicePeriod: '2024-02' }])
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { query: { accountId: 'a1', count: '3' } };
+
+    await getHandler('get', '/upcoming')(req, res);
+    await getHandler('get', '/upcoming')(req, res);
+
+    expect(service.getUpcomingInvoices).toHaveBeenCalledWith('a1', {
+      count: '3',
+    });
+    expect(res.json).toHaveBeenNthCalledWith(1, [{ invoicePeriod: '2024-02' }]);
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenLastCalledWith({
+      message: 'Server error',
+      error: 'boom',
+    });
+  });
+
+  test('GET /:id returns the invoice or 404', async () => {
+    service.getCardInvoiceById
+      .mockResolvedValueOnce({ id: 'i1' })
+      .mockRejectedValueOnce(new Error('Card invoice not found'));
+    const res = createRes();
+    const req = { params: { id: 'i1' } };
+
+    await getHandler('get', '/:id')(req, res);
+    await getHandler('get', '/:id')(req, res);
+
+    expect(res.json).toHaveBeenNthCalledWith(1, { id: 'i1' });
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  test('GET /:id/payment-suggestions returns suggestions', async () => {
+    service.suggestInvoicePayments.mockResolvedValueOnce({ suggestions: [] });
+    const res = createRes();
+
+    await getHandler('get', '/:id/payment-suggestions')(
+      { params: { id: 'i1' } },
+      res
+    );
+
+    expect(service.suggestInvoicePayments).toHaveBeenCalledWith('i1');
+    expect(res.json).toHaveBeenCalledWith({ suggestions: [] });
+  });
+
+  test('POST /:id/payments records the payment or returns 409', async () => {
+    service.payCardInvoice
+      .mockResolvedValueOnce({ id: 'i1', status: 'paid' })
+      .mockRejectedValueOnce(
+        new Error('Transaction already pays the 2024-01 invoice')
+      );
+    const res = createRes();
+    const req = { params: { id: 'i1' }, body: { transactionId: 't1' } };
+
+    await getHandler('post', '/:id/payments')(req, res);
+    await getHandler('post', '/:id/payments')(req, res);
+
+    expect(service.payCardInvoice).toHaveBeenCalledWith('i1', {
+      transactionId: 't1',
+    });
+    expect(res.json).toHaveBeenNthCalledWith(1, { id: 'i1', status: 'paid' });
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  test('DELETE /:id/payments/:transactionId removes the payment or returns 404', async () => {
+    service.unpayCardInvoice
+      .mockResolvedValueOnce({ id: 'i1', status: 'closed' })
+      .mockRejectedValueOnce(new Error('Payment not found'));
+    const res = createRes();
+    const req = { params: { id: 'i1', transactionId: 't1' } };
+
+    await getHandler('delete', '/:id/payments/:transactionId')(req, res);
+    await getHandler('delete', '/:id/payments/:transactionId')(req, res);
+
+    expect(service.unpayCardInvoice).toHaveBeenCalledWith('i1', 't1');
+    expect(res.json).toHaveBeenNthCalledWith(1, { id: 'i1', status: 'closed' });
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -3,7 +3,9 @@ import {
   deleteCategoryById,
   findAllCategories,
   findCategoryById,
+  findCategoryTotals,
   insertCategory,
+  mergeCategory,
   updateCategoryById,
 } from '../services/categoryService.js';
 
@@ -13,7 +15,9 @@ categoryRouter.post('/', insertCategory);
 categoryRouter.get('/:id', findCategoryById);
 categoryRouter.put('/:id', updateCategoryById);
 categoryRouter.delete('/:id', deleteCategoryById);
+categoryRouter.post('/:id/merge', mergeCategory);
 
 categoryRouter.get('/all/itens', findAllCategories);
+categoryRouter.get('/totals/:period', findCategoryTotals);
 
 export default categoryRouter;
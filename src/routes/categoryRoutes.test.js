@@ -29,7 +29,9 @@ const router = createRouter();
 const deleteCategoryById = jest.fn();
 const findAllCategories = jest.fn();
 const findCategoryById = jest.fn();
+const findCategoryTotals = jest.fn();
 const insertCategory = jest.fn();
+const mergeCategory = jest.fn();
 const updateCategoryById = jest.fn();
 
 jest.unstable_mockModule('express', () => ({
@@ -40,7 +42,9 @@ jest.unstable_mockModule('../services/categoryService.js', () => ({
   deleteCategoryById,
   findAllCategories,
   findCategoryById,
+  findCategoryTotals,
   insertCategory,
+  mergeCategory,
   updateCategoryById,
 }));
 
@@ -57,5 +61,7 @@ describe('categoryRoutes', () => {
     expect(routeMap['put /:id']).toBe(updateCategoryById);
     expect(routeMap['delete /:id']).toBe(deleteCategoryById);
     expect(routeMap['get /all/itens']).toBe(findAllCategories);
+    expect(routeMap['post /:id/merge']).toBe(mergeCategory);
+    expect(routeMap['get /totals/:period']).toBe(findCategoryTotals);
   });
 });
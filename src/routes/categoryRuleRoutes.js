@@ -0,0 +1,127 @@
+import express from 'express';
+import * as categoryRuleService from '../services/categoryRuleService.js';
+import { requestAuditContext } from '../services/auditService.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/category-rule
+ * @desc    Get all category rules in evaluation order
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rules = await categoryRuleService.getAllCategoryRules();
+    res.json(rules);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/category-rule/reapply
+ * @desc    Re-apply rules to a period or fiscal book and return the category diff
+ * @body    { period } or { fiscalBookId }, optional apply: true to save changes
+ * @access  Public
+ */
+router.post('/reapply', async (req, res) => {
+  try {
+    const { period, fiscalBookId, apply } = req.body || {};
+    const diff = await categoryRuleService.reapplyCategoryRules(
+      { period, fiscalBookId },
+      { apply: apply === true || apply === 'true' },
+      requestAuditContext(req)
+    );
+    res.json(diff);
+  } catch (error) {
+    console.error(error);
+    if (error.message === 'Fiscal book not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message.includes('Invalid reapply scope')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/category-rule/:id
+ * @desc    Get category rule by ID
+ * @access  Public
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await categoryRuleService.getCategoryRuleById(req.params.id);
+    res.json(rule);
+  } catch (error) {
+    console.error(error);
+    if (error.message === 'Category rule not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/category-rule
+ * @desc    Create a new category rule
+ * @access  Public
+ */
+router.post('/', async (req, res) => {
+  try {
+    const rule = await categoryRuleService.createCategoryRule(req.body);
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error(error);
+    if (error.message.includes('Invalid category rule data:')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   PUT /api/category-rule/:id
+ * @desc    Update a category rule
+ * @access  Public
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const rule = await categoryRuleService.updateCategoryRule(
+      req.params.id,
+      req.body
+    );
+    res.json(rule);
+  } catch (error) {
+    console.error(error);
+    if (error.message === 'Category rule not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message.includes('Invalid category rule data:')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/category-rule/:id
+ * @desc    Delete a category rule
+ * @access  Public
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const rule = await categoryRuleService.deleteCategoryRule(req.params.id);
+    res.json({ message: 'Category rule deleted', data: rule });
+  } catch (error) {
+    console.error(error);
+    if (error.message === 'Category rule not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
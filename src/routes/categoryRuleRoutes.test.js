@@ -0,0 +1,216 @@
+import { jest } from '@jest/globals';
+
+const createRouter = () => {
+  const routes = [];
+  const router = {
+    routes,
+    get: jest.fn((path, handler) => {
+      routes.push({ method: 'get', path, handler });
+      return router;
+    }),
+    post: jest.fn((path, handler) => {
+      routes.push({ method: 'post', path, handler });
+      return router;
+    }),
+    put: jest.fn((path, handler) => {
+      routes.push({ method: 'put', path, handler });
+      return router;
+    }),
+    delete: jest.fn((path, handler) => {
+      routes.push({ method: 'delete', path, handler });
+      return router;
+    }),
+  };
+  return router;
+};
+
+const router = createRouter();
+
+const service = {
+  getAllCategoryRules: jest.fn(),
+  getCategoryRuleById: jest.fn(),
+  createCategoryRule: jest.fn(),
+  updateCategoryRule: jest.fn(),
+  deleteCategoryRule: jest.fn(),
+  reapplyCategoryRules: jest.fn(),
+};
+
+jest.unstable_mockModule('express', () => ({
+  default: { Router: () => router },
+}));
+
+jest.unstable_mockModule('../services/categoryRuleService.js', () => service);
+
+const auditContext = { actor: 'ana', origin: 'api' };
+const requestAuditContext = jest.fn(() => auditContext);
+
+jest.unstable_mockModule('../services/auditService.js', () => ({
+  requestAuditContext,
+}));
+
+await import('./categoryRuleRoutes.js');
+
+const getHandler = (method, path) =>
+  router.routes.find(
+    (route) => route.method === method && route.path === path
+  )?.handler;
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+describe('categoryRuleRoutes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    consoleError.mockRestore();
+  });
+
+  test('GET / lists rules', async () => {
+    service.getAllCategoryRules.mockResolvedValue([{ id: 'r1' }]);
+    const res = createRes();
+
+    await getHandler('get', '/')({}, res);
+
+    expect(res.json).toHaveBeenCalledWith([{ id: 'r1' }]);
+  });
+
+  test('GET / returns 500 on error', async () => {
+    service.getAllCategoryRules.mockRejectedValue(new Error('boom'));
+    const res = createRes();
+
+    await getHandler('get', '/')({}, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenCalledWith({
+      message: 'Server error',
+      error: 'boom',
+    });
+  });
+
+  test('POST /reapply forwards scope and apply flag', async () => {
+    service.reapplyCategoryRules.mockResolvedValue({ changed: 1 });
+    const res = createRes();
+    const handler = getHandler('post', '/reapply');
+
+    await handler({ body: { period: '2024-03', apply: 'true' } }, res);
+    await handler({ body: { fiscalBookId: 'fb1' } }, res);
+
+    expect(service.reapplyCategoryRules).toHaveBeenNthCalledWith(
+      1,
+      { period: '2024-03', fiscalBookId: undefined },
+      { apply: true },
+      auditContext
+    );
+    expect(service.reapplyCategoryRules).toHaveBeenNthCalledWith(
+      2,
+      { period: undefined, fiscalBookId: 'fb1' },
+      { apply: false },
+      auditContext
+    );
+    expect(res.json).toHaveBeenCalledWith({ changed: 1 });
+  });
+
+  test('POST /reapply maps errors', async () => {
+    const handler = getHandler('post', '/reapply');
+    service.reapplyCategoryRules
+      .mockRejectedValueOnce(new Error('Fiscal book not found'))
+      .mockRejectedValueOnce(new Error('Invalid reapply scope: x'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+
+    await handler({}, res);
+    await handler({ body: {} }, res);
+    await handler({ body: {} }, res);
+
+    expect(res.status).toHaveBeenNthCalledWith(1, 404);
+    expect(res.status).toHaveBeenNthCalledWith(2, 400);
+    expect(res.status).toHaveBeenNthCalledWith(3, 500);
+  });
+
+  test('GET /:id returns rule or maps errors', async () => {
+    const handler = getHandler('get', '/:id');
+    service.getCategoryRuleById
+      .mockResolvedValueOnce({ id: 'r1' })
+      .mockRejectedValueOnce(new Error('Category rule not found'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+
+    await handler({ params: { id: 'r1' } }, res);
+    await handler({ params: { id: 'r2' } }, res);
+    await handler({ params: { id: 'r3' } }, res);
+
+    expect(res.json).toHaveBeenNthCalledWith(1, { id: 'r1' });
+    expect(res.status).toHaveBeenNthCalledWith(1, 404);
+    expect(res.status).toHaveBeenNthCalledWith(2, 500);
+  });
+
+  test('POST / creates rule or maps errors', async () => {
+    const handler = getHandler('post', '/');
+    service.createCategoryRule
+      .mockResolvedValueOnce({ id: 'r1' })
+      .mockRejectedValueOnce(new Error('Invalid category rule data: x'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+
+    await handler({ body: { name: 'x' } }, res);
+    await handler({ body: {} }, res);
+    await handler({ body: {} }, res);
+
+    expect(service.createCategoryRule).toHaveBeenCalledWith({ name: 'x' });
+    expect(res.status).toHaveBeenNthCalledWith(1, 201);
+    expect(res.status).toHaveBeenNthCalledWith(2, 400);
+    expect(res.status).toHaveBeenNthCalledWith(3, 500);
+  });
+
+  test('PUT /:id updates rule or maps errors', async () => {
+    const handler = getHandler('put', '/:id');
+    service.updateCategoryRule
+      .mockResolvedValueOnce({ id: 'r1' })
+      .mockRejectedValueOnce(new Error('Category rule not found'))
+      .mockRejectedValueOnce(new Error('Invalid category rule data: x'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { params: { id: 'r1' }, body: { name: 'x' } };
+
+    await handler(req, res);
+    await handler(req, res);
+    await handler(req, res);
+    await handler(req, res);
+
+    expect(service.updateCategoryRule).toHaveBeenCalledWith('r1', {
+      name: 'x',
+    });
+    expect(res.json).toHaveBeenNthCalledWith(1, { id: 'r1' });
+    expect(res.status).toHaveBeenNthCalledWith(1, 404);
+    expect(res.status).toHaveBeenNthCalledWith(2, 400);
+    expect(res.status).toHaveBeenNthCalledWith(3, 500);
+  });
+
+  test('DELETE /:id deletes rule or maps errors', async () => {
+    const handler = getHandler('delete', '/:id');
+    service.deleteCategoryRule
+      .mockResolvedValueOnce({ id: 'r1' })
+      .mockRejectedValueOnce(new Error('Category rule not found'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+
+    await handler({ params: { id: 'r1' } }, res);
+    await handler({ params: { id: 'r2' } }, res);
+    await handler({ params: { id: 'r3' } }, res);
+
+    expect(res.json).toHaveBeenNthCalledWith(1, {
+      message: 'Category rule deleted',
+      data: { id: 'r1' },
+    });
+    expect(res.status).toHaveBeenNthCalledWith(1, 404);
+    expect(res.status).toHaveBeenNthCalledWith(2, 500);
+  });
+});
@@ -0,0 +1,81 @@
+import express from 'express';
+import * as exchangeRateService from '../services/exchangeRateService.js';
+import { extractImportContent } from '../services/importService.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/exchange-rate
+ * @desc    Get exchange rates
+ * @query   currency - Only rates of this currency
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rates = await exchangeRateService.getAllExchangeRates(
+      req.query.currency
+    );
+    res.json(rates);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/exchange-rate
+ * @desc    Create or replace the rate of a currency on a date
+ * @access  Public
+ */
+router.post('/', async (req, res) => {
+  try {
+    const result = await exchangeRateService.saveExchangeRate(req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error(error);
+    if (error.message.includes('Invalid exchange rate data:')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/exchange-rate/import
+ * @desc    Import exchange rates from a CSV (date, currency, rate columns)
+ * @access  Public
+ */
+router.post('/import', async (req, res) => {
+  try {
+    const result = await exchangeRateService.importExchangeRatesCsv(
+      extractImportContent(req.body)
+    );
+    res.json(result);
+  } catch (error) {
+    console.error(error);
+    if (error.message.includes('Invalid exchange rate CSV:')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/exchange-rate/:id
+ * @desc    Delete an exchange rate
+ * @access  Public
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const rate = await exchangeRateService.deleteExchangeRate(req.params.id);
+    res.json({ message: 'Exchange rate deleted', data: rate });
+  } catch (error) {
+    console.error(error);
+    if (error.message === 'Exchange rate not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
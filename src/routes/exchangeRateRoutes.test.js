@@ -0,0 +1,168 @@
+import { jest } from '@jest/globals';
+
+const createRouter = () => {
+  const routes = [];
+  const router = {
+    routes,
+    get: jest.fn((path, handler) => {
+      routes.push({ method: 'get', path, handler });
+      return router;
+    }),
+    post: jest.fn((path, handler) => {
+      routes.push({ method: 'post', path, handler });
+      return router;
+    }),
+    delete: jest.fn((path, handler) => {
+      routes.push({ method: 'delete', path, handler });
+      return router;
+    }),
+  };
+  return router;
+};
+
+const router = createRouter();
+
+const service = {
+  getAllExchangeRates: jest.fn(),
+  saveExchangeRate: jest.fn(),
+  importExchangeRatesCsv: jest.fn(),
+  deleteExchangeRate: jest.fn(),
+};
+
+jest.unstable_mockModule('express', () => ({
+  default: { Router: () => router },
+}));
+
+jest.unstable_mockModule('../services/exchangeRateService.js', () => service);
+
+jest.unstable_mockModule('../services/importService.js', () => ({
+  extractImportContent: (body) =>
+    typeof body === 'string' ? body : body?.content,
+}));
+
+await import('./exchangeRateRoutes.js');
+
+const getHandler = (method, path) =>
+  router.routes.find(
+    (route) => route.method === method && route.path === path
+  )?.handler;
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+describe('exchangeRateRoutes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    consoleError.mockRestore();
+  });
+
+  test('GET / lists rates of the requested currency', async () => {
+    service.getAllExchangeRates.mockResolvedValue([{ id: 'r1' }]);
+    const res = createRes();
+
+    await getHandler('get', '/')({ query: { currency: 'USD' } }, res);
+
+    expect(service.getAllExchangeRates).toHaveBeenCalledWith('USD');
+    expect(res.json).toHaveBeenCalledWith([{ id: 'r1' }]);
+  });
+
+  test('GET / returns 500 on errors', async () => {
+    service.getAllExchangeRates.mockRejectedValue(new Error('db'));
+    const res = createRes();
+
+    await getHandler('get', '/')({ query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenCalledWith({
+      message: 'Server error',
+      error: 'db',
+    });
+  });
+
+  test('POST / saves a rate and maps validation errors', async () => {
+    const handler = getHandler('post', '/');
+    service.saveExchangeRate
+      .mockResolvedValueOnce({ created: 1, updated: 0 })
+      .mockRejectedValueOnce(
+        new Error('Invalid exchange rate data: Rate is required')
+      )
+      .mockRejectedValueOnce(new Error('db'));
+
+    const created = createRes();
+    await handler({ body: { currency: 'USD' } }, created);
+    expect(created.status).toHaveBeenCalledWith(201);
+    expect(created.json).toHaveBeenCalledWith({ created: 1, updated: 0 });
+
+    const invalid = createRes();
+    await handler({ body: {} }, invalid);
+    expect(invalid.status).toHaveBeenCalledWith(400);
+
+    const failed = createRes();
+    await handler({ body: {} }, failed);
+    expect(failed.status).toHaveBeenCalledWith(500);
+  });
+
+  test('POST /import imports raw CSV and JSON content', async () => {
+    const handler = getHandler('post', '/import');
+    service.importExchangeRatesCsv.mockResolvedValue({ imported: 1 });
+
+    const res = createRes();
+    await handler({ body: 'date,currency,rate' }, res);
+    await handler({ body: { content: 'csv' } }, createRes());
+
+    expect(service.importExchangeRatesCsv).toHaveBeenCalledWith(
+      'date,currency,rate'
+    );
+    expect(service.importExchangeRatesCsv).toHaveBeenCalledWith('csv');
+    expect(res.json).toHaveBeenCalledWith({ imported: 1 });
+  });
+
+  test('POST /import maps CSV errors to 400 and others to 500', async () => {
+    const handler = getHandler('post', '/import');
+    service.importExchangeRatesCsv
+      .mockRejectedValueOnce(
+        new Error('Invalid exchange rate CSV: missing rate column')
+      )
+      .mockRejectedValueOnce(new Error('db'));
+
+    const invalid = createRes();
+    await handler({ body: '' }, invalid);
+    expect(invalid.status).toHaveBeenCalledWith(400);
+
+    const failed = createRes();
+    await handler({ body: '' }, failed);
+    expect(failed.status).toHaveBeenCalledWith(500);
+  });
+
+  test('DELETE /:id deletes a rate and maps not found', async () => {
+    const handler = getHandler('delete', '/:id');
+    service.deleteExchangeRate
+      .mockResolvedValueOnce({ id: 'r1' })
+      .mockRejectedValueOnce(new Error('Exchange rate not found'))
+      .mockRejectedValueOnce(new Error('db'));
+
+    const res = createRes();
+    await handler({ params: { id: 'r1' } }, res);
+    expect(res.json).toHaveBeenCalledWith({
+      message: 'Exchange rate deleted',
+      data: { id: 'r1' },
+    });
+
+    const missing = createRes();
+    await handler({ params: { id: 'x' } }, missing);
+    expect(missing.status).toHaveBeenCalledWith(404);
+
+    const failed = createRes();
+    await handler({ params: { id: 'r1' } }, failed);
+    expect(failed.status).toHaveBeenCalledWith(500);
+  });
+});
@@ -6,13 +6,14 @@ const exportRoutes = express.Router();
 
 exportRoutes.get('/transactions/:year', transactionsExporterService);
 
-// Fiscal Book export routes
+// Fiscal Book export routes (?transactions=false, ?currency=USD)
 exportRoutes.get('/fiscal-book/:id/csv', async (req, res) => {
   try {
     const includeTransactions = req.query.transactions !== 'false';
     const { csv, filename } = await fiscalBookExporter.exportFiscalBookToCSV(
       req.params.id,
-      includeTransactions
+      includeTransactions,
+      req.query.currency
     );
 
     res.setHeader('Content-Type', 'text/csv');
@@ -23,6 +24,9 @@ exportRoutes.get('/fiscal-book/:id/csv', async (req, res) => {
     if (error.message === 'Fiscal book not found') {
       return res.status(404).json({ message: error.message });
     }
+    if (error.message.includes('Invalid currency')) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
@@ -32,7 +36,9 @@ exportRoutes.get('/fiscal-book/:id/json', async (req, res) => {
     const includeTransactions = req.query.transactions !== 'false';
     const { json, filename } = await fiscalBookExporter.exportFiscalBookToJSON(
       req.params.id,
-      includeTransactions
+      includeTransactions,
+      req.query.currency,
+      req.query.attachmentContent === 'true'
     );
 
     res.setHeader('Content-Type', 'application/json');
@@ -43,6 +49,9 @@ exportRoutes.get('/fiscal-book/:id/json', async (req, res) => {
     if (error.message === 'Fiscal book not found') {
       return res.status(404).json({ message: error.message });
     }
+    if (error.message.includes('Invalid currency')) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
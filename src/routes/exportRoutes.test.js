@@ -76,7 +76,7 @@ describe('exportRoutes', () => {
 
     await handler(req, res);
 
-    expect(exportFiscalBookToCSV).toHaveBeenCalledWith('fb1', true);
+    expect(exportFiscalBookToCSV).toHaveBeenCalledWith('fb1', true, undefined);
     expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/csv');
     expect(res.setHeader).toHaveBeenCalledWith(
       'Content-Disposition',
@@ -98,7 +98,7 @@ describe('exportRoutes', () => {
 
     await handler(req, res);
 
-    expect(exportFiscalBookToCSV).toHaveBeenCalledWith('fb1', false);
+    expect(exportFiscalBookToCSV).toHaveBeenCalledWith('fb1', false, undefined);
   });
 
   test('CSV export returns 404 when fiscal book missing', async () => {
@@ -143,7 +143,7 @@ describe('exportRoutes', () => {
 
     await handler(req, res);
 
-    expect(exportFiscalBookToJSON).toHaveBeenCalledWith('fb1', true);
+    expect(exportFiscalBookToJSON).toHaveBeenCalledWith('fb1', true, undefined, false);
     expect(res.setHeader).toHaveBeenCalledWith(
       'Content-Type',
       'application/json'
@@ -164,6 +164,18 @@ describe('exportRoutes', () => {
     });
   });
 
+  test('embeds attachment contents in the JSON export when requested', async () => {
+    const handler = getHandler('get', '/fiscal-book/:id/json');
+    exportFiscalBookToJSON.mockResolvedValueOnce({ json: {}, filename: 'book.json' });
+
+    await handler(
+      { params: { id: 'fb1' }, query: { attachmentContent: 'true' } },
+      createRes()
+    );
+
+    expect(exportFiscalBookToJSON).toHaveBeenCalledWith('fb1', true, undefined, true);
+  });
+
   test('JSON export returns 500 on error', async () => {
     const handler = getHandler('get', '/fiscal-book/:id/json');
     exportFiscalBookToJSON.mockRejectedValue(new Error('boom'));
@@ -179,4 +191,38 @@ describe('exportRoutes', () => {
       error: 'boom',
     });
   });
+
+  test('passes the reporting currency and maps invalid currencies to 400', async () => {
+    const csvHandler = getHandler('get', '/fiscal-book/:id/csv');
+    const jsonHandler = getHandler('get', '/fiscal-book/:id/json');
+    exportFiscalBookToCSV
+      .mockResolvedValueOnce({ csv: 'data', filename: 'book.csv' })
+      .mockRejectedValueOnce(new Error('Invalid currency: dollar'));
+    exportFiscalBookToJSON.mockRejectedValueOnce(
+      new Error('Invalid currency: dollar')
+    );
+
+    await csvHandler(
+      { params: { id: 'fb1' }, query: { currency: 'USD' } },
+      createRes()
+    );
+    expect(exportFiscalBookToCSV).toHaveBeenCalledWith('fb1', true, 'USD');
+
+    const csvRes = createRes();
+    await csvHandler(
+      { params: { id: 'fb1' }, query: { currency: 'dollar' } },
+      csvRes
+    );
+    expect(csvRes.status).toHaveBeenCalledWith(400);
+    expect(csvRes.json).toHaveBeenCalledWith({
+      message: 'Invalid currency: dollar',
+    });
+
+    const jsonRes = createRes();
+    await jsonHandler(
+      { params: { id: 'fb1' }, query: { currency: 'dollar' } },
+      jsonRes
+    );
+    expect(jsonRes.status).toHaveBeenCalledWith(400);
+  });
 });
@@ -1,5 +1,6 @@
 import express from 'express';
 import * as fiscalBookService from '../services/fiscalBookService.js';
+import { requestAuditContext } from '../services/auditService.js';
 
 const router = express.Router();
 
@@ -18,6 +19,7 @@ router.get('/', async (req, res) => {
       limit = 50,
       skip = 0,
       sort = '-createdAt',
+      currency,
     } = req.query;
 
     // Build filter object based on query parameters
@@ -32,11 +34,15 @@ router.get('/', async (req, res) => {
       skip: parseInt(skip),
       sort,
     };
+    if (currency) options.currency = currency;
 
     const books = await fiscalBookService.getAllFiscalBooks(filter, options);
     res.json(books);
   } catch (error) {
     console.error(error);
+    if (error.message.includes('Invalid currency')) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
@@ -118,7 +124,8 @@ router.put('/:id', async (req, res) => {
   try {
     const updatedBook = await fiscalBookService.updateFiscalBook(
       req.params.id,
-      req.body
+      req.body,
+      requestAuditContext(req)
     );
     res.json(updatedBook);
   } catch (error) {
@@ -137,7 +144,10 @@ router.put('/:id', async (req, res) => {
  */
 router.delete('/:id', async (req, res) => {
   try {
-    const deletedBook = await fiscalBookService.deleteFiscalBook(req.params.id);
+    const deletedBook = await fiscalBookService.deleteFiscalBook(
+      req.params.id,
+      requestAuditContext(req)
+    );
     res.json({ message: 'Fiscal book deleted', data: deletedBook });
   } catch (error) {
     console.error(error);
@@ -211,6 +221,9 @@ router.put('/:id/transactions/:transactionId', async (req, res) => {
     ) {
       return res.status(404).json({ message: error.message });
     }
+    if (error.message.startsWith('Transaction is reconciled')) {
+      return res.status(409).json({ message: error.message });
+    }
     if (error.message.includes('Invalid transaction-book relationship:')) {
       return res.status(400).json({ message: error.message });
     }
@@ -235,6 +248,9 @@ router.delete('/transactions/:transactionId', async (req, res) => {
     if (error.message === 'Transaction not found') {
       return res.status(404).json({ message: error.message });
     }
+    if (error.message.startsWith('Transaction is reconciled')) {
+      return res.status(409).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
@@ -47,6 +47,13 @@ jest.unstable_mockModule('express', () => ({
 
 jest.unstable_mockModule('../services/fiscalBookService.js', () => service);
 
+const auditContext = { actor: 'ana', origin: 'api' };
+const requestAuditContext = jest.fn(() => auditContext);
+
+jest.unstable_mockModule('../services/auditService.js', () => ({
+  requestAuditContext,
+}));
+
 await import('./fiscalBookRoutes.js');
 
 const getHandler = (method, path) =>
@@ -103,6 +110,28 @@ describe('fiscalBookRoutes', () => {
     expect(res.json).toHaveBeenCalledWith([{ id: '1' }]);
   });
 
+  test('GET / passes the reporting currency and maps invalid ones to 400', async () => {
+    const handler = getHandler('get', '/');
+    service.getAllFiscalBooks
+      .mockResolvedValueOnce([])
+      .mockRejectedValueOnce(new Error('Invalid currency: dollar'));
+
+    await handler({ query: { currency: 'USD' } }, createRes());
+
+    expect(service.getAllFiscalBooks).toHaveBeenCalledWith(
+      {},
+      { limit: 50, skip: 0, sort: '-createdAt', currency: 'USD' }
+    );
+
+    const res = createRes();
+    await handler({ query: { currency: 'dollar' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      message: 'Invalid currency: dollar',
+    });
+  });
+
   test('GET / returns 500 on error', async () => {
     const handler = getHandler('get', '/');
     service.getAllFiscalBooks.mockRejectedValue(new Error('boom'));
@@ -248,10 +277,13 @@ describe('fiscalBookRoutes', () => {
     const handler = getHandler('put', '/:id');
     service.updateFiscalBook.mockResolvedValue({ id: '1' });
 
+    const req = { params: { id: '1' }, body: {} };
     const res = createRes();
-    await handler({ params: { id: '1' }, body: {} }, res);
+    await handler(req, res);
 
     expect(res.json).toHaveBeenCalledWith({ id: '1' });
+    expect(requestAuditContext).toHaveBeenCalledWith(req);
+    expect(service.updateFiscalBook).toHaveBeenCalledWith('1', {}, auditContext);
   });
 
   test('PUT /:id returns 404 when not found', async () => {
@@ -290,6 +322,7 @@ describe('fiscalBookRoutes', () => {
     const res = createRes();
     await handler({ params: { id: '1' } }, res);
 
+    expect(service.deleteFiscalBook).toHaveBeenCalledWith('1', auditContext);
     expect(res.json).toHaveBeenCalledWith({
       message: 'Fiscal book deleted',
       data: { id: '1' },
@@ -467,6 +500,27 @@ describe('fiscalBookRoutes', () => {
     });
   });
 
+  test('adding or removing a reconciled transaction returns 409', async () => {
+    const locked = new Error(
+      'Transaction is reconciled: undo the reconciliation before changing it'
+    );
+    service.addTransactionToFiscalBook.mockRejectedValueOnce(locked);
+    service.removeTransactionFromFiscalBook.mockRejectedValueOnce(locked);
+
+    const res = createRes();
+    await getHandler('put', '/:id/transactions/:transactionId')(
+      { params: { id: '1', transactionId: 't1' } },
+      res
+    );
+    await getHandler('delete', '/transactions/:transactionId')(
+      { params: { transactionId: 't1' } },
+      res
+    );
+
+    expect(res.status.mock.calls).toEqual([[409], [409]]);
+    expect(res.json).toHaveBeenCalledWith({ message: locked.message });
+  });
+
   test('PUT /:id/transactions/:transactionId returns 500 on error', async () => {
     const handler = getHandler('put', '/:id/transactions/:transactionId');
     service.addTransactionToFiscalBook.mockRejectedValue(new Error('boom'));
@@ -0,0 +1,44 @@
+import express from 'express';
+import * as fiscalNoteService from '../services/fiscalNoteService.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/fiscal-note/mismatches
+ * @desc    List transactions whose fiscal note key disagrees with their company or period
+ * @query   period - Period (YYYY-MM)
+ * @access  Public
+ */
+router.get('/mismatches', async (req, res) => {
+  try {
+    const result = await fiscalNoteService.findFiscalNoteMismatches(
+      req.query.period
+    );
+    res.json(result);
+  } catch (error) {
+    console.error(error);
+    if (error.message.includes('Invalid fiscal note period')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/fiscal-note/:accessKey
+ * @desc    Decode an NF-e, NFC-e or CT-e access key into its parts
+ * @access  Public
+ */
+router.get('/:accessKey', (req, res) => {
+  try {
+    res.json(fiscalNoteService.decodeFiscalNote(req.params.accessKey));
+  } catch (error) {
+    console.error(error);
+    if (error.message.includes('Invalid access key')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
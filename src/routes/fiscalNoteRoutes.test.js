@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+
+const createRouter = () => {
+  const routes = [];
+  const router = {
+    routes,
+    get: jest.fn((path, handler) => {
+      routes.push({ method: 'get', path, handler });
+      return router;
+    }),
+  };
+  return router;
+};
+
+const router = createRouter();
+
+const service = {
+  decodeFiscalNote: jest.fn(),
+  findFiscalNoteMismatches: jest.fn(),
+};
+
+jest.unstable_mockModule('express', () => ({
+  default: { Router: () => router },
+}));
+
+jest.unstable_mockModule('../services/fiscalNoteService.js', () => service);
+
+await import('./fiscalNoteRoutes.js');
+
+const getHandler = (method, path) =>
+  router.routes.find(
+    (route) => route.method === method && route.path === path
+  )?.handler;
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+describe('fiscalNoteRoutes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    consoleError.mockRestore();
+  });
+
+  test('GET /mismatches lists mismatches, 400 or 500', async () => {
+    service.findFiscalNoteMismatches
+      .mockResolvedValueOnce({ period: '2024-03', checked: 0, mismatches: [] })
+      .mockRejectedValueOnce(
+        new Error('Invalid fiscal note period: expected YYYY-MM')
+      )
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { query: { period: '2024-03' } };
+
+    for (let call = 0; call < 3; call += 1) {
+      await getHandler('get', '/mismatches')(req, res);
+    }
+
+    expect(service.findFiscalNoteMismatches).toHaveBeenCalledWith('2024-03');
+    expect(res.json).toHaveBeenNthCalledWith(1, {
+      period: '2024-03',
+      checked: 0,
+      mismatches: [],
+    });
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([400, 500]);
+  });
+
+  test('GET /:accessKey decodes the key, 400 or 500', () => {
+    service.decodeFiscalNote
+      .mockReturnValueOnce({ state: 'SP', isValid: true })
+      .mockImplementationOnce(() => {
+        throw new Error('Invalid access key: must have 44 digits');
+      })
+      .mockImplementationOnce(() => {
+        throw new Error('boom');
+      });
+    const res = createRes();
+    const req = { params: { accessKey: '3524' } };
+
+    for (let call = 0; call < 3; call += 1) {
+      getHandler('get', '/:accessKey')(req, res);
+    }
+
+    expect(service.decodeFiscalNote).toHaveBeenCalledWith('3524');
+    expect(res.json).toHaveBeenNthCalledWith(1, { state: 'SP', isValid: true });
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([400, 500]);
+  });
+});
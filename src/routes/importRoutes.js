@@ -5,7 +5,19 @@ import {
   mercadolivreImporter,
   nubankCreditImporter,
   digioCreditImporter,
+  previewImporter,
+  commitImporter,
+  ofxImporter,
+  csvImporter,
+  nfeImporter,
 } from '../services/importService.js';
+import {
+  insertImportMapping,
+  findAllImportMappings,
+  findImportMappingById,
+  updateImportMappingById,
+  deleteImportMappingById,
+} from '../services/importMappingService.js';
 
 const importRouter = express.Router();
 
@@ -14,5 +26,17 @@ importRouter.post('/nubank-credit', nubankCreditImporter);
 importRouter.post('/digio-credit', digioCreditImporter);
 importRouter.post('/flash', flashImporter);
 importRouter.post('/mercadolivre', mercadolivreImporter);
+importRouter.post('/ofx', ofxImporter);
+importRouter.post('/csv', csvImporter);
+importRouter.post('/nfe', nfeImporter);
+importRouter.post('/:source/preview', previewImporter);
+importRouter.post('/:source/commit', commitImporter);
+
+// Column mapping profiles used by /csv
+importRouter.get('/mappings', findAllImportMappings);
+importRouter.post('/mappings', insertImportMapping);
+importRouter.get('/mappings/:id', findImportMappingById);
+importRouter.put('/mappings/:id', updateImportMappingById);
+importRouter.delete('/mappings/:id', deleteImportMappingById);
 
 export default importRouter;
@@ -8,6 +8,18 @@ const createRouter = () => {
       routes.push({ method: 'post', path, handler });
       return router;
     }),
+    get: jest.fn((path, handler) => {
+      routes.push({ method: 'get', path, handler });
+      return router;
+    }),
+    put: jest.fn((path, handler) => {
+      routes.push({ method: 'put', path, handler });
+      return router;
+    }),
+    delete: jest.fn((path, handler) => {
+      routes.push({ method: 'delete', path, handler });
+      return router;
+    }),
   };
   return router;
 };
@@ -20,6 +32,19 @@ const service = {
   mercadolivreImporter: jest.fn(),
   nubankCreditImporter: jest.fn(),
   digioCreditImporter: jest.fn(),
+  previewImporter: jest.fn(),
+  commitImporter: jest.fn(),
+  ofxImporter: jest.fn(),
+  csvImporter: jest.fn(),
+  nfeImporter: jest.fn(),
+};
+
+const mappingService = {
+  insertImportMapping: jest.fn(),
+  findAllImportMappings: jest.fn(),
+  findImportMappingById: jest.fn(),
+  updateImportMappingById: jest.fn(),
+  deleteImportMappingById: jest.fn(),
 };
 
 jest.unstable_mockModule('express', () => ({
@@ -27,6 +52,10 @@ jest.unstable_mockModule('express', () => ({
 }));
 
 jest.unstable_mockModule('../services/importService.js', () => service);
+jest.unstable_mockModule(
+  '../services/importMappingService.js',
+  () => mappingService
+);
 
 await import('./importRoutes.js');
 
@@ -41,5 +70,27 @@ describe('importRoutes', () => {
     expect(routeMap['post /digio-credit']).toBe(service.digioCreditImporter);
     expect(routeMap['post /flash']).toBe(service.flashImporter);
     expect(routeMap['post /mercadolivre']).toBe(service.mercadolivreImporter);
+    expect(routeMap['post /ofx']).toBe(service.ofxImporter);
+    expect(routeMap['post /csv']).toBe(service.csvImporter);
+    expect(routeMap['post /nfe']).toBe(service.nfeImporter);
+  });
+
+  test('registers mapping profile routes', () => {
+    expect(routeMap['get /mappings']).toBe(mappingService.findAllImportMappings);
+    expect(routeMap['post /mappings']).toBe(mappingService.insertImportMapping);
+    expect(routeMap['get /mappings/:id']).toBe(
+      mappingService.findImportMappingById
+    );
+    expect(routeMap['put /mappings/:id']).toBe(
+      mappingService.updateImportMappingById
+    );
+    expect(routeMap['delete /mappings/:id']).toBe(
+      mappingService.deleteImportMappingById
+    );
+  });
+
+  test('registers preview and commit routes', () => {
+    expect(routeMap['post /:source/preview']).toBe(service.previewImporter);
+    expect(routeMap['post /:source/commit']).toBe(service.commitImporter);
   });
 });
@@ -0,0 +1,75 @@
+import express from 'express';
+import * as installmentPlanService from '../services/installmentPlanService.js';
+
+const router = express.Router();
+
+const NOT_FOUND_MESSAGES = ['Account not found', 'Installment plan not found'];
+
+/**
+ * Send the error of an installment plan request
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the installment plan service
+ */
+const sendInstallmentPlanError = (res, error) => {
+  console.error(error);
+  if (NOT_FOUND_MESSAGES.includes(error.message)) {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.message.includes('Invalid installment plan data:')) {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: 'Server error', error: error.message });
+};
+
+/**
+ * @route   GET /api/installment-plan
+ * @desc    Get installment plans, latest purchases first
+ * @query   accountId - Card account ID, status - 'active' or 'finished'
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const plans = await installmentPlanService.getInstallmentPlans({
+      accountId: req.query.accountId,
+      status: req.query.status,
+    });
+    res.json(plans);
+  } catch (error) {
+    sendInstallmentPlanError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/installment-plan/link
+ * @desc    Link the unlinked installment rows of credit cards to their plans
+ * @body    accountId - Card account ID (default: every credit card)
+ * @access  Public
+ */
+router.post('/link', async (req, res) => {
+  try {
+    const result = await installmentPlanService.linkInstallmentPlans({
+      accountId: req.body?.accountId,
+    });
+    res.json(result);
+  } catch (error) {
+    sendInstallmentPlanError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/installment-plan/:id
+ * @desc    Get installment plan by ID
+ * @access  Public
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const plan = await installmentPlanService.getInstallmentPlanById(
+      req.params.id
+    );
+    res.json(plan);
+  } catch (error) {
+    sendInstallmentPlanError(res, error);
+  }
+});
+
+export default router;
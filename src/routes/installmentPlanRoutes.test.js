@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+
+const createRouter = () => {
+  const routes = [];
+  const router = {
+    routes,
+    get: jest.fn((path, handler) => {
+      routes.push({ method: 'get', path, handler });
+      return router;
+    }),
+    post: jest.fn((path, handler) => {
+      routes.push({ method: 'post', path, handler });
+      return router;
+    }),
+  };
+  return router;
+};
+
+const router = createRouter();
+
+const service = {
+  getInstallmentPlans: jest.fn(),
+  getInstallmentPlanById: jest.fn(),
+  linkInstallmentPlans: jest.fn(),
+};
+
+jest.unstable_mockModule('express', () => ({
+  default: { Router: () => router },
+}));
+
+jest.unstable_mockModule(
+  '../services/installmentPlanService.js',
+  () => service
+);
+
+await import('./installmentPlanRoutes.js');
+
+const getHandler = (method, path) =>
+  router.routes.find(
+    (route) => route.method === method && route.path === path
+  )?.handler;
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+describe('installmentPlanRoutes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    consoleError.mockRestore();
+  });
+
+  test('GET / lists the plans or returns 400', async () => {
+    service.getInstallmentPlans
+      .mockResolvedValueOnce([{ id: 'p1' }])
+      .mockRejectedValueOnce(
+        new Error('Invalid installment plan data: accountId must be a valid id')
+      );
+    const res = createRes();
+    const req = { query: { accountId: 'a1', status: 'active' } };
+
+    await getHandler('get', '/')(req, res);
+    await getHandler('get', '/')(req, res);
+
+    expect(service.getInstallmentPlans).toHaveBeenCalledWith({
+      accountId: 'a1',
+      status: 'active',
+    });
+    expect(res.json).toHaveBeenNthCalledWith(1, [{ id: 'p1' }]);
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('POST /link links the installments or returns 404 and 500', async () => {
+    service.linkInstallmentPlans
+      .mockResolvedValueOnce({ linked: 3, created: 1, updated: 0 })
+      .mockRejectedValueOnce(new Error('Account not found'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+
+    await getHandler('post', '/link')({ body: { accountId: 'a1' } }, res);
+    await getHandler('post', '/link')({ body: { accountId: 'a2' } }, res);
+    await getHandler('post', '/link')({}, res);
+
+    expect(service.linkInstallmentPlans).toHaveBeenNthCalledWith(1, {
+      accountId: 'a1',
+    });
+    expect(service.linkInstallmentPlans).toHaveBeenNthCalledWith(3, {
+      accountId: undefined,
+    });
+    expect(res.json).toHaveBeenNthCalledWith(1, {
+      linked: 3,
+      created: 1,
+      updated: 0,
+    });
+    expect(res.status).toHaveBeenNthCalledWith(1, 404);
+    expect(res.status).toHaveBeenNthCalledWith(2, 500);
+    expect(res.json).toHaveBeenLastCalledWith({
+      message: 'Server error',
+      error: 'boom',
+    });
+  });
+
+  test('GET /:id returns the plan or 404', async () => {
+    service.getInstallmentPlanById
+      .mockResolvedValueOnce({ id: 'p1' })
+      .mockRejectedValueOnce(new Error('Installment plan not found'));
+    const res = createRes();
+    const req = { params: { id: 'p1' } };
+
+    await getHandler('get', '/:id')(req, res);
+    await getHandler('get', '/:id')(req, res);
+
+    expect(service.getInstallmentPlanById).toHaveBeenCalledWith('p1');
+    expect(res.json).toHaveBeenNthCalledWith(1, { id: 'p1' });
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
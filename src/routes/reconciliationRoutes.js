@@ -0,0 +1,112 @@
+import express from 'express';
+import * as reconciliationService from '../services/reconciliationService.js';
+
+const router = express.Router();
+
+/**
+ * Send the error of a reconciliation request
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the reconciliation service
+ */
+const sendReconciliationError = (res, error) => {
+  console.error(error);
+  if (
+    error.message === 'Account not found' ||
+    error.message === 'Reconciliation not found'
+  ) {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.message.includes('Invalid reconciliation data:')) {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.message.startsWith('Only the latest reconciliation')) {
+    return res.status(409).json({ message: error.message });
+  }
+  res.status(500).json({ message: 'Server error', error: error.message });
+};
+
+/**
+ * @route   GET /api/reconciliation/preview
+ * @desc    Show the unreconciled transactions of an account and the difference to a statement
+ * @query   accountId, date (YYYY-MM-DD or DD/MM/YYYY), balance (closing balance)
+ * @access  Public
+ */
+router.get('/preview', async (req, res) => {
+  try {
+    const preview = await reconciliationService.previewReconciliation({
+      accountId: req.query.accountId,
+      statementDate: req.query.date,
+      statementBalance: req.query.balance,
+    });
+    res.json(preview);
+  } catch (error) {
+    sendReconciliationError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/reconciliation
+ * @desc    List reconciliations, latest statement first
+ * @query   accountId - Only the reconciliations of this account
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const reconciliations = await reconciliationService.getReconciliations({
+      accountId: req.query.accountId,
+    });
+    res.json(reconciliations);
+  } catch (error) {
+    sendReconciliationError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/reconciliation/:id
+ * @desc    Get reconciliation by ID
+ * @access  Public
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const reconciliation = await reconciliationService.getReconciliationById(
+      req.params.id
+    );
+    res.json(reconciliation);
+  } catch (error) {
+    sendReconciliationError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/reconciliation
+ * @desc    Reconcile an account against a statement, locking its transactions
+ * @access  Public
+ */
+router.post('/', async (req, res) => {
+  try {
+    const reconciliation = await reconciliationService.reconcileStatement(
+      req.body
+    );
+    res.status(201).json(reconciliation);
+  } catch (error) {
+    sendReconciliationError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/reconciliation/:id
+ * @desc    Undo the latest reconciliation of an account
+ * @access  Public
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const reconciliation = await reconciliationService.undoReconciliation(
+      req.params.id
+    );
+    res.json({ message: 'Reconciliation undone', data: reconciliation });
+  } catch (error) {
+    sendReconciliationError(res, error);
+  }
+});
+
+export default router;
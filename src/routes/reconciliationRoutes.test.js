@@ -0,0 +1,154 @@
+import { jest } from '@jest/globals';
+
+const createRouter = () => {
+  const routes = [];
+  const router = {
+    routes,
+    get: jest.fn((path, handler) => {
+      routes.push({ method: 'get', path, handler });
+      return router;
+    }),
+    post: jest.fn((path, handler) => {
+      routes.push({ method: 'post', path, handler });
+      return router;
+    }),
+    delete: jest.fn((path, handler) => {
+      routes.push({ method: 'delete', path, handler });
+      return router;
+    }),
+  };
+  return router;
+};
+
+const router = createRouter();
+
+const service = {
+  previewReconciliation: jest.fn(),
+  reconcileStatement: jest.fn(),
+  getReconciliations: jest.fn(),
+  getReconciliationById: jest.fn(),
+  undoReconciliation: jest.fn(),
+};
+
+jest.unstable_mockModule('express', () => ({
+  default: { Router: () => router },
+}));
+
+jest.unstable_mockModule('../services/reconciliationService.js', () => service);
+
+await import('./reconciliationRoutes.js');
+
+const getHandler = (method, path) =>
+  router.routes.find(
+    (route) => route.method === method && route.path === path
+  )?.handler;
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+describe('reconciliationRoutes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    consoleError.mockRestore();
+  });
+
+  test('GET /preview maps the query to the statement', async () => {
+    service.previewReconciliation
+      .mockResolvedValueOnce({ difference: 0 })
+      .mockRejectedValueOnce(
+        new Error('Invalid reconciliation data: Statement date is required')
+      );
+    const res = createRes();
+    const req = {
+      query: { accountId: 'a1', date: '2024-01-31', balance: '1500,00' },
+    };
+
+    await getHandler('get', '/preview')(req, res);
+    await getHandler('get', '/preview')(req, res);
+
+    expect(service.previewReconciliation).toHaveBeenCalledWith({
+      accountId: 'a1',
+      statementDate: '2024-01-31',
+      statementBalance: '1500,00',
+    });
+    expect(res.json).toHaveBeenNthCalledWith(1, { difference: 0 });
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('GET / lists reconciliations of an account or returns 500', async () => {
+    service.getReconciliations
+      .mockResolvedValueOnce([{ id: 'r1' }])
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { query: { accountId: 'a1' } };
+
+    await getHandler('get', '/')(req, res);
+    await getHandler('get', '/')(req, res);
+
+    expect(service.getReconciliations).toHaveBeenCalledWith({ accountId: 'a1' });
+    expect(res.json).toHaveBeenNthCalledWith(1, [{ id: 'r1' }]);
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenLastCalledWith({
+      message: 'Server error',
+      error: 'boom',
+    });
+  });
+
+  test('GET /:id returns the reconciliation or 404', async () => {
+    service.getReconciliationById
+      .mockResolvedValueOnce({ id: 'r1' })
+      .mockRejectedValueOnce(new Error('Reconciliation not found'));
+    const res = createRes();
+    const req = { params: { id: 'r1' } };
+
+    await getHandler('get', '/:id')(req, res);
+    await getHandler('get', '/:id')(req, res);
+
+    expect(res.json).toHaveBeenNthCalledWith(1, { id: 'r1' });
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  test('POST / reconciles the statement or returns 404', async () => {
+    service.reconcileStatement
+      .mockResolvedValueOnce({ id: 'r1' })
+      .mockRejectedValueOnce(new Error('Account not found'));
+    const res = createRes();
+    const req = { body: { accountId: 'a1', reconciledBy: 'Ana' } };
+
+    await getHandler('post', '/')(req, res);
+    await getHandler('post', '/')(req, res);
+
+    expect(service.reconcileStatement).toHaveBeenCalledWith(req.body);
+    expect(res.status).toHaveBeenNthCalledWith(1, 201);
+    expect(res.json).toHaveBeenNthCalledWith(1, { id: 'r1' });
+    expect(res.status).toHaveBeenLastCalledWith(404);
+  });
+
+  test('DELETE /:id undoes the reconciliation or returns 409', async () => {
+    service.undoReconciliation
+      .mockResolvedValueOnce({ id: 'r1' })
+      .mockRejectedValueOnce(
+        new Error('Only the latest reconciliation of an account can be undone')
+      );
+    const res = createRes();
+    const req = { params: { id: 'r1' } };
+
+    await getHandler('delete', '/:id')(req, res);
+    await getHandler('delete', '/:id')(req, res);
+
+    expect(res.json).toHaveBeenNthCalledWith(1, {
+      message: 'Reconciliation undone',
+      data: { id: 'r1' },
+    });
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+});
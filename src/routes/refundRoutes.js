@@ -0,0 +1,123 @@
+import express from 'express';
+import * as refundService from '../services/refundService.js';
+import { requestAuditContext } from '../services/auditService.js';
+
+const router = express.Router();
+
+const isInvalidRefundRequest = (error) =>
+  error.message.includes('Invalid refund period') ||
+  error.message.includes('Invalid refund days') ||
+  error.message.includes('Invalid refund data:');
+
+/**
+ * @route   GET /api/refund/suggestions
+ * @desc    Suggest the purchases reversed by the unlinked credits of a period
+ * @query   period - Period (YYYY-MM), days - Maximum days from purchase to refund (default 60)
+ * @access  Public
+ */
+router.get('/suggestions', async (req, res) => {
+  try {
+    const suggestions = await refundService.suggestRefunds(req.query.period, {
+      days: req.query.days,
+    });
+    res.json(suggestions);
+  } catch (error) {
+    console.error(error);
+    if (isInvalidRefundRequest(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/refund
+ * @desc    List the linked refunds of a period with their purchase
+ * @query   period - Period (YYYY-MM)
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const refunds = await refundService.getRefunds(req.query.period);
+    res.json(refunds);
+  } catch (error) {
+    console.error(error);
+    if (isInvalidRefundRequest(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/refund/purchase/:purchaseId
+ * @desc    Get the refunds of a purchase and how much of it is left
+ * @access  Public
+ */
+router.get('/purchase/:purchaseId', async (req, res) => {
+  try {
+    const summary = await refundService.getPurchaseRefunds(
+      req.params.purchaseId
+    );
+    res.json(summary);
+  } catch (error) {
+    console.error(error);
+    if (error.message === 'Transaction not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/refund
+ * @desc    Link a refund or chargeback to the purchase it reverses
+ * @access  Public
+ */
+router.post('/', async (req, res) => {
+  try {
+    const summary = await refundService.linkRefund(
+      req.body,
+      requestAuditContext(req)
+    );
+    res.status(201).json(summary);
+  } catch (error) {
+    console.error(error);
+    if (error.message === 'Transaction not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message.startsWith('Transaction is reconciled')) {
+      return res.status(409).json({ message: error.message });
+    }
+    if (isInvalidRefundRequest(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/refund/:refundId
+ * @desc    Unlink a refund from its purchase
+ * @access  Public
+ */
+router.delete('/:refundId', async (req, res) => {
+  try {
+    const result = await refundService.unlinkRefund(
+      req.params.refundId,
+      requestAuditContext(req)
+    );
+    res.json({ message: 'Refund unlinked', data: result });
+  } catch (error) {
+    console.error(error);
+    if (error.message === 'Refund not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message.startsWith('Transaction is reconciled')) {
+      return res.status(409).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
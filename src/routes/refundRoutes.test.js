@@ -0,0 +1,173 @@
+import { jest } from '@jest/globals';
+
+const createRouter = () => {
+  const routes = [];
+  const router = {
+    routes,
+    get: jest.fn((path, handler) => {
+      routes.push({ method: 'get', path, handler });
+      return router;
+    }),
+    post: jest.fn((path, handler) => {
+      routes.push({ method: 'post', path, handler });
+      return router;
+    }),
+    delete: jest.fn((path, handler) => {
+      routes.push({ method: 'delete', path, handler });
+      return router;
+    }),
+  };
+  return router;
+};
+
+const router = createRouter();
+
+const service = {
+  suggestRefunds: jest.fn(),
+  getRefunds: jest.fn(),
+  getPurchaseRefunds: jest.fn(),
+  linkRefund: jest.fn(),
+  unlinkRefund: jest.fn(),
+};
+
+jest.unstable_mockModule('express', () => ({
+  default: { Router: () => router },
+}));
+
+jest.unstable_mockModule('../services/refundService.js', () => service);
+
+const auditContext = { actor: 'ana', origin: 'api' };
+const requestAuditContext = jest.fn(() => auditContext);
+
+jest.unstable_mockModule('../services/auditService.js', () => ({
+  requestAuditContext,
+}));
+
+await import('./refundRoutes.js');
+
+const getHandler = (method, path) =>
+  router.routes.find(
+    (route) => route.method === method && route.path === path
+  )?.handler;
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+describe('refundRoutes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    consoleError.mockRestore();
+  });
+
+  test('GET /suggestions returns suggestions, 400 or 500', async () => {
+    service.suggestRefunds
+      .mockResolvedValueOnce({ period: '2024-03', suggestions: [] })
+      .mockRejectedValueOnce(new Error('Invalid refund days: expected an integer'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { query: { period: '2024-03', days: '30' } };
+
+    for (let call = 0; call < 3; call += 1) {
+      await getHandler('get', '/suggestions')(req, res);
+    }
+
+    expect(service.suggestRefunds).toHaveBeenCalledWith('2024-03', {
+      days: '30',
+    });
+    expect(res.json).toHaveBeenNthCalledWith(1, {
+      period: '2024-03',
+      suggestions: [],
+    });
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([400, 500]);
+  });
+
+  test('GET / lists refunds, 400 or 500', async () => {
+    service.getRefunds
+      .mockResolvedValueOnce({ period: '2024-03', refunds: [] })
+      .mockRejectedValueOnce(new Error('Invalid refund period: expected YYYY-MM'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { query: { period: '2024-03' } };
+
+    for (let call = 0; call < 3; call += 1) {
+      await getHandler('get', '/')(req, res);
+    }
+
+    expect(service.getRefunds).toHaveBeenCalledWith('2024-03');
+    expect(res.json).toHaveBeenNthCalledWith(1, {
+      period: '2024-03',
+      refunds: [],
+    });
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([400, 500]);
+  });
+
+  test('GET /purchase/:purchaseId returns the refund summary, 404 or 500', async () => {
+    service.getPurchaseRefunds
+      .mockResolvedValueOnce({ refundStatus: 'partial' })
+      .mockRejectedValueOnce(new Error('Transaction not found'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { params: { purchaseId: 'p1' } };
+
+    for (let call = 0; call < 3; call += 1) {
+      await getHandler('get', '/purchase/:purchaseId')(req, res);
+    }
+
+    expect(service.getPurchaseRefunds).toHaveBeenCalledWith('p1');
+    expect(res.json).toHaveBeenNthCalledWith(1, { refundStatus: 'partial' });
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([404, 500]);
+  });
+
+  test('POST / links a refund or maps errors', async () => {
+    service.linkRefund
+      .mockResolvedValueOnce({ refundStatus: 'full' })
+      .mockRejectedValueOnce(new Error('Transaction not found'))
+      .mockRejectedValueOnce(new Error('Transaction is reconciled: undo the reconciliation before changing it'))
+      .mockRejectedValueOnce(new Error('Invalid refund data: refundId and purchaseId are required'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { body: { refundId: 'r1', purchaseId: 'p1' } };
+
+    for (let call = 0; call < 5; call += 1) {
+      await getHandler('post', '/')(req, res);
+    }
+
+    expect(service.linkRefund).toHaveBeenCalledWith(req.body, auditContext);
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([
+      201, 404, 409, 400, 500,
+    ]);
+    expect(res.json).toHaveBeenNthCalledWith(1, { refundStatus: 'full' });
+  });
+
+  test('DELETE /:refundId unlinks a refund or maps errors', async () => {
+    service.unlinkRefund
+      .mockResolvedValueOnce({ refundStatus: 'none' })
+      .mockRejectedValueOnce(new Error('Refund not found'))
+      .mockRejectedValueOnce(new Error('Transaction is reconciled: undo the reconciliation before changing it'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { params: { refundId: 'r1' } };
+
+    for (let call = 0; call < 4; call += 1) {
+      await getHandler('delete', '/:refundId')(req, res);
+    }
+
+    expect(service.unlinkRefund).toHaveBeenCalledWith('r1', auditContext);
+    expect(res.json).toHaveBeenNthCalledWith(1, {
+      message: 'Refund unlinked',
+      data: { refundStatus: 'none' },
+    });
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([
+      404, 409, 500,
+    ]);
+  });
+});
@@ -0,0 +1,30 @@
+import express from 'express';
+import * as searchService from '../services/searchService.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/search
+ * @desc    Ranked full-text search across transactions, companies and people
+ * @query   q - Search text
+ * @query   types - Comma separated types (transaction, company, person)
+ * @query   limit - Maximum hits per type
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await searchService.search(req.query.q, {
+      types: req.query.types,
+      limit: req.query.limit,
+    });
+    res.json(result);
+  } catch (error) {
+    console.error(error);
+    if (error.message.includes('Invalid search')) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
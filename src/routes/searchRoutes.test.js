@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+
+const createRouter = () => {
+  const routes = [];
+  const router = {
+    routes,
+    get: jest.fn((path, handler) => {
+      routes.push({ method: 'get', path, handler });
+      return router;
+    }),
+  };
+  return router;
+};
+
+const router = createRouter();
+
+const service = {
+  search: jest.fn(),
+};
+
+jest.unstable_mockModule('express', () => ({
+  default: { Router: () => router },
+}));
+
+jest.unstable_mockModule('../services/searchService.js', () => service);
+
+await import('./searchRoutes.js');
+
+const getHandler = (method, path) =>
+  router.routes.find(
+    (route) => route.method === method && route.path === path
+  )?.handler;
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+describe('searchRoutes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    consoleError.mockRestore();
+  });
+
+  test('GET / searches with the query parameters', async () => {
+    service.search.mockResolvedValue({ query: 'farmacia', hits: [] });
+    const res = createRes();
+
+    await getHandler('get', '/')(
+      { query: { q: 'farmacia', types: 'transaction', limit: '5' } },
+      res
+    );
+
+    expect(service.search).toHaveBeenCalledWith('farmacia', {
+      types: 'transaction',
+      limit: '5',
+    });
+    expect(res.json).toHaveBeenCalledWith({ query: 'farmacia', hits: [] });
+  });
+
+  test('GET / maps invalid searches to 400 and other errors to 500', async () => {
+    const handler = getHandler('get', '/');
+    service.search
+      .mockRejectedValueOnce(
+        new Error('Invalid search: q must have at least two characters')
+      )
+      .mockRejectedValueOnce(new Error('db'));
+
+    const invalid = createRes();
+    await handler({ query: {} }, invalid);
+    expect(invalid.status).toHaveBeenCalledWith(400);
+    expect(invalid.json).toHaveBeenCalledWith({
+      message: 'Invalid search: q must have at least two characters',
+    });
+
+    const failed = createRes();
+    await handler({ query: { q: 'farmacia' } }, failed);
+    expect(failed.status).toHaveBeenCalledWith(500);
+    expect(failed.json).toHaveBeenCalledWith({
+      message: 'Server error',
+      error: 'db',
+    });
+  });
+});
@@ -1,6 +1,7 @@
 import express from 'express';
 import * as snapshotService from '../services/snapshotService.js';
 import * as snapshotSchedulerService from '../services/snapshotSchedulerService.js';
+import { requestAuditContext } from '../services/auditService.js';
 
 const router = express.Router();
 
@@ -13,12 +14,13 @@ const router = express.Router();
 router.post('/fiscal-book/:fiscalBookId/snapshots', async (req, res) => {
   try {
     const { fiscalBookId } = req.params;
-    const { name, description, tags } = req.body;
+    const { name, description, tags, currency } = req.body;
 
     const snapshot = await snapshotService.createFiscalBookSnapshot(fiscalBookId, {
       name,
       description,
       tags,
+      currency,
     });
 
     res.status(201).json({
@@ -28,6 +30,9 @@ router.post('/fiscal-book/:fiscalBookId/snapshots', async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating snapshot:', error);
+    if (error.message?.includes('Invalid currency')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: error.message || 'Failed to create snapshot',
@@ -398,20 +403,27 @@ router.post('/snapshots/:snapshotId/transactions/:transactionId/annotations', as
 /**
  * Export snapshot
  * GET /api/snapshots/:snapshotId/export
- * Query params: format (csv, json, pdf)
+ * Query params: format (csv, json, pdf), currency (reporting currency)
  */
 router.get('/snapshots/:snapshotId/export', async (req, res) => {
   try {
     const { snapshotId } = req.params;
-    const { format } = req.query;
+    const { format, currency } = req.query;
 
-    const exportResult = await snapshotService.exportSnapshot(snapshotId, format || 'json');
+    const exportResult = await snapshotService.exportSnapshot(
+      snapshotId,
+      format || 'json',
+      currency
+    );
 
     res.setHeader('Content-Type', exportResult.contentType);
     res.setHeader('Content-Disposition', `attachment; filename="${exportResult.fileName}"`);
     res.send(exportResult.data);
   } catch (error) {
     console.error('Error exporting snapshot:', error);
+    if (error.message?.includes('Invalid currency')) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: error.message || 'Failed to export snapshot',
@@ -419,6 +431,54 @@ router.get('/snapshots/:snapshotId/export', async (req, res) => {
   }
 });
 
+/**
+ * List the attachments copied into a snapshot
+ * GET /api/snapshots/:snapshotId/attachments
+ */
+router.get('/snapshots/:snapshotId/attachments', async (req, res) => {
+  try {
+    const { snapshotId } = req.params;
+    const attachments = await snapshotService.getSnapshotAttachments(snapshotId);
+
+    res.json({
+      success: true,
+      data: attachments,
+    });
+  } catch (error) {
+    console.error('Error getting snapshot attachments:', error);
+    const status = error.message?.includes('not found') ? 404 : 500;
+    res.status(status).json({
+      success: false,
+      message: error.message || 'Failed to get snapshot attachments',
+    });
+  }
+});
+
+/**
+ * Download an attachment copied into a snapshot
+ * GET /api/snapshots/:snapshotId/attachments/:contentHash
+ */
+router.get('/snapshots/:snapshotId/attachments/:contentHash', async (req, res) => {
+  try {
+    const { snapshotId, contentHash } = req.params;
+    const { attachment, content } = await snapshotService.getSnapshotAttachmentContent(
+      snapshotId,
+      contentHash
+    );
+
+    res.attachment(attachment.fileName);
+    res.setHeader('Content-Type', attachment.contentType);
+    res.send(content);
+  } catch (error) {
+    console.error('Error downloading snapshot attachment:', error);
+    const status = error.message?.includes('not found') ? 404 : 500;
+    res.status(status).json({
+      success: false,
+      message: error.message || 'Failed to download snapshot attachment',
+    });
+  }
+});
+
 /**
  * Clone snapshot to new fiscal book
  * POST /api/snapshots/:snapshotId/clone
@@ -455,6 +515,7 @@ router.post('/snapshots/:snapshotId/rollback', async (req, res) => {
 
     const result = await snapshotService.rollbackToSnapshot(snapshotId, {
       createPreRollbackSnapshot: createPreRollbackSnapshot !== false,
+      actor: requestAuditContext(req).actor,
     });
 
     res.json({
@@ -464,6 +525,9 @@ router.post('/snapshots/:snapshotId/rollback', async (req, res) => {
     });
   } catch (error) {
     console.error('Error rolling back to snapshot:', error);
+    if (error.message === snapshotService.RECONCILED_ROLLBACK_ERROR) {
+      return res.status(409).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: error.message || 'Failed to rollback to snapshot',
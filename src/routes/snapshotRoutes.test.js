@@ -17,8 +17,11 @@ const snapshotService = {
   addAnnotation: jest.fn(),
   addTransactionAnnotation: jest.fn(),
   exportSnapshot: jest.fn(),
+  getSnapshotAttachments: jest.fn(),
+  getSnapshotAttachmentContent: jest.fn(),
   cloneToNewFiscalBook: jest.fn(),
   rollbackToSnapshot: jest.fn(),
+  RECONCILED_ROLLBACK_ERROR: 'Fiscal book has reconciled transactions',
 };
 
 const snapshotSchedulerService = {
@@ -74,6 +77,27 @@ describe('snapshotRoutes', () => {
       });
     });
 
+    test('passes the reporting currency and maps invalid ones to 400', async () => {
+      snapshotService.createFiscalBookSnapshot
+        .mockResolvedValueOnce({ _id: 'snap1' })
+        .mockRejectedValueOnce(new Error('Invalid currency: dollar'));
+
+      await request(app).post('/api/fiscal-book/fb1/snapshots').send({ currency: 'USD' });
+      const response = await request(app)
+        .post('/api/fiscal-book/fb1/snapshots')
+        .send({ currency: 'dollar' });
+
+      expect(snapshotService.createFiscalBookSnapshot).toHaveBeenCalledWith(
+        'fb1',
+        expect.objectContaining({ currency: 'USD' })
+      );
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        success: false,
+        message: 'Invalid currency: dollar',
+      });
+    });
+
     test('returns 500 on error', async () => {
       snapshotService.createFiscalBookSnapshot.mockRejectedValue(new Error('Create failed'));
 
@@ -296,6 +320,72 @@ describe('snapshotRoutes', () => {
     });
   });
 
+  // ===== GET /api/snapshots/:snapshotId/attachments =====
+  describe('GET /api/snapshots/:snapshotId/attachments', () => {
+    const receipt = {
+      fileName: 'receipt.pdf',
+      contentType: 'application/pdf',
+      contentHash: 'a'.repeat(64),
+    };
+
+    test('lists the snapshot attachments', async () => {
+      snapshotService.getSnapshotAttachments.mockResolvedValue({
+        fiscalBook: [receipt],
+        transactions: [],
+      });
+
+      const response = await request(app).get('/api/snapshots/snap1/attachments');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        success: true,
+        data: { fiscalBook: [receipt], transactions: [] },
+      });
+      expect(snapshotService.getSnapshotAttachments).toHaveBeenCalledWith('snap1');
+    });
+
+    test('downloads a snapshot attachment', async () => {
+      snapshotService.getSnapshotAttachmentContent.mockResolvedValue({
+        attachment: receipt,
+        content: Buffer.from('pdf'),
+      });
+
+      const response = await request(app).get(
+        `/api/snapshots/snap1/attachments/${receipt.contentHash}`
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition']).toContain('receipt.pdf');
+      expect(snapshotService.getSnapshotAttachmentContent).toHaveBeenCalledWith(
+        'snap1',
+        receipt.contentHash
+      );
+    });
+
+    test('maps missing snapshots and attachments to 404 and other errors to 500', async () => {
+      snapshotService.getSnapshotAttachments
+        .mockRejectedValueOnce(new Error('Snapshot not found.'))
+        .mockRejectedValueOnce(new Error(''));
+      snapshotService.getSnapshotAttachmentContent
+        .mockRejectedValueOnce(new Error('Attachment not found.'))
+        .mockRejectedValueOnce(new Error(''));
+
+      let response = await request(app).get('/api/snapshots/snap1/attachments');
+      expect(response.status).toBe(404);
+      expect(response.body.message).toBe('Snapshot not found.');
+      response = await request(app).get('/api/snapshots/snap1/attachments');
+      expect(response.status).toBe(500);
+      expect(response.body.message).toBe('Failed to get snapshot attachments');
+
+      response = await request(app).get('/api/snapshots/snap1/attachments/abc');
+      expect(response.status).toBe(404);
+      response = await request(app).get('/api/snapshots/snap1/attachments/abc');
+      expect(response.status).toBe(500);
+      expect(response.body.message).toBe('Failed to download snapshot attachment');
+    });
+  });
+
   // ===== GET /api/snapshots/:snapshotId/export =====
   describe('GET /api/snapshots/:snapshotId/export', () => {
     test('returns JSON export', async () => {
@@ -325,6 +415,25 @@ describe('snapshotRoutes', () => {
       expect(response.status).toBe(200);
       expect(response.headers['content-type']).toContain('text/csv');
     });
+
+    test('passes the reporting currency and maps invalid ones to 400', async () => {
+      snapshotService.exportSnapshot
+        .mockResolvedValueOnce({
+          format: 'csv',
+          contentType: 'text/csv',
+          data: 'a,b,c',
+          fileName: 'snapshot.csv',
+        })
+        .mockRejectedValueOnce(new Error('Invalid currency: dollar'));
+
+      await request(app).get('/api/snapshots/snap1/export?format=csv&currency=USD');
+      const response = await request(app).get(
+        '/api/snapshots/snap1/export?currency=dollar'
+      );
+
+      expect(snapshotService.exportSnapshot).toHaveBeenCalledWith('snap1', 'csv', 'USD');
+      expect(response.status).toBe(400);
+    });
   });
 
   // ===== POST /api/snapshots/:snapshotId/clone =====
@@ -348,11 +457,13 @@ describe('snapshotRoutes', () => {
 
       const response = await request(app)
         .post('/api/snapshots/snap1/rollback')
+        .set('X-Actor', 'ana')
         .send({ createPreRollbackSnapshot: true });
 
       expect(response.status).toBe(200);
       expect(snapshotService.rollbackToSnapshot).toHaveBeenCalledWith('snap1', {
         createPreRollbackSnapshot: true,
+        actor: 'ana',
       });
     });
   });
@@ -535,6 +646,19 @@ describe('snapshotRoutes', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toBe('Rollback error');
     });
+
+    test('POST /api/snapshots/:snapshotId/rollback returns 409 on reconciled transactions', async () => {
+      snapshotService.rollbackToSnapshot.mockRejectedValueOnce(
+        new Error(snapshotService.RECONCILED_ROLLBACK_ERROR)
+      );
+
+      const response = await request(app)
+        .post('/api/snapshots/snap1/rollback')
+        .send({});
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe(snapshotService.RECONCILED_ROLLBACK_ERROR);
+    });
   });
 
   // ===== Fallback error message tests =====
@@ -13,15 +13,31 @@ import {
   assignTransactionsToFiscalBook,
   removeTransactionsFromFiscalBook,
   updateTransactionFiscalBook,
+  findTransactionCategorySuggestions,
+  searchTransactions,
+  bulkUpdateTransactions,
+  findTransactionSplits,
+  updateTransactionSplits,
+  removeTransactionSplitsById,
 } from '../services/transactionService.js';
 
 const transactionRouter = express.Router();
 // ?period=2019-03
 transactionRouter.post('/', insertTransaction);
+// ?startDate=&endDate=&category=&type=&text=&limit=&skip=&sort=-transactionDate
+transactionRouter.get('/', searchTransactions);
+transactionRouter.patch('/bulk', bulkUpdateTransactions);
 transactionRouter.get('/:id', findTransactionById);
 transactionRouter.put('/:id', updateTransactionById);
 transactionRouter.delete('/:id', deleteTransactionById);
 transactionRouter.post('/separate/:id', separateTransactionById);
+transactionRouter.get('/:id/splits', findTransactionSplits);
+transactionRouter.put('/:id/splits', updateTransactionSplits);
+transactionRouter.delete('/:id/splits', removeTransactionSplitsById);
+transactionRouter.get(
+  '/:id/category-suggestions',
+  findTransactionCategorySuggestions
+);
 
 transactionRouter.get(
   '/period/:transactionPeriod',
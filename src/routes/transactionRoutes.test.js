@@ -20,6 +20,10 @@ const createRouter = () => {
       routes.push({ method: 'delete', path, handler });
       return router;
     }),
+    patch: jest.fn((path, handler) => {
+      routes.push({ method: 'patch', path, handler });
+      return router;
+    }),
   };
   return router;
 };
@@ -40,6 +44,12 @@ const service = {
   assignTransactionsToFiscalBook: jest.fn(),
   removeTransactionsFromFiscalBook: jest.fn(),
   updateTransactionFiscalBook: jest.fn(),
+  findTransactionCategorySuggestions: jest.fn(),
+  searchTransactions: jest.fn(),
+  bulkUpdateTransactions: jest.fn(),
+  findTransactionSplits: jest.fn(),
+  updateTransactionSplits: jest.fn(),
+  removeTransactionSplitsById: jest.fn(),
 };
 
 jest.unstable_mockModule('express', () => ({
@@ -57,10 +67,17 @@ const routeMap = Object.fromEntries(
 describe('transactionRoutes', () => {
   test('registers transaction routes', () => {
     expect(routeMap['post /']).toBe(service.insertTransaction);
+    expect(routeMap['get /']).toBe(service.searchTransactions);
+    expect(routeMap['patch /bulk']).toBe(service.bulkUpdateTransactions);
     expect(routeMap['get /:id']).toBe(service.findTransactionById);
     expect(routeMap['put /:id']).toBe(service.updateTransactionById);
     expect(routeMap['delete /:id']).toBe(service.deleteTransactionById);
     expect(routeMap['post /separate/:id']).toBe(service.separateTransactionById);
+    expect(routeMap['get /:id/splits']).toBe(service.findTransactionSplits);
+    expect(routeMap['put /:id/splits']).toBe(service.updateTransactionSplits);
+    expect(routeMap['delete /:id/splits']).toBe(
+      service.removeTransactionSplitsById
+    );
     expect(routeMap['get /period/:transactionPeriod']).toBe(
       service.findAllTransactionsInPeriod
     );
@@ -81,5 +98,8 @@ describe('transactionRoutes', () => {
     expect(routeMap['put /:id/fiscalBook']).toBe(
       service.updateTransactionFiscalBook
     );
+    expect(routeMap['get /:id/category-suggestions']).toBe(
+      service.findTransactionCategorySuggestions
+    );
   });
 });
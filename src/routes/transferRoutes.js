@@ -0,0 +1,104 @@
+import express from 'express';
+import * as transferService from '../services/transferService.js';
+import { requestAuditContext } from '../services/auditService.js';
+
+const router = express.Router();
+
+const isInvalidTransferRequest = (error) =>
+  error.message.includes('Invalid transfer period') ||
+  error.message.includes('Invalid transfer days') ||
+  error.message.includes('Invalid transfer data:');
+
+/**
+ * @route   GET /api/transfer/suggestions
+ * @desc    Suggest debit/credit pairs that look like transfers between own accounts
+ * @query   period - Period (YYYY-MM), days - Maximum days between both sides (default 3)
+ * @access  Public
+ */
+router.get('/suggestions', async (req, res) => {
+  try {
+    const suggestions = await transferService.suggestTransfers(
+      req.query.period,
+      { days: req.query.days }
+    );
+    res.json(suggestions);
+  } catch (error) {
+    console.error(error);
+    if (isInvalidTransferRequest(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   GET /api/transfer
+ * @desc    List the confirmed transfers of a period
+ * @query   period - Period (YYYY-MM)
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const transfers = await transferService.getTransfers(req.query.period);
+    res.json(transfers);
+  } catch (error) {
+    console.error(error);
+    if (isInvalidTransferRequest(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   POST /api/transfer
+ * @desc    Confirm a transfer linking a debit to a credit
+ * @access  Public
+ */
+router.post('/', async (req, res) => {
+  try {
+    const transfer = await transferService.linkTransfer(
+      req.body,
+      requestAuditContext(req)
+    );
+    res.status(201).json(transfer);
+  } catch (error) {
+    console.error(error);
+    if (error.message === 'Transaction not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message.startsWith('Transaction is reconciled')) {
+      return res.status(409).json({ message: error.message });
+    }
+    if (isInvalidTransferRequest(error)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+/**
+ * @route   DELETE /api/transfer/:transactionId
+ * @desc    Unlink a transfer from either of its transactions
+ * @access  Public
+ */
+router.delete('/:transactionId', async (req, res) => {
+  try {
+    const result = await transferService.unlinkTransfer(
+      req.params.transactionId,
+      requestAuditContext(req)
+    );
+    res.json({ message: 'Transfer unlinked', data: result });
+  } catch (error) {
+    console.error(error);
+    if (error.message === 'Transfer not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.message.startsWith('Transaction is reconciled')) {
+      return res.status(409).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+export default router;
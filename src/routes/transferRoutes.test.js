@@ -0,0 +1,158 @@
+import { jest } from '@jest/globals';
+
+const createRouter = () => {
+  const routes = [];
+  const router = {
+    routes,
+    get: jest.fn((path, handler) => {
+      routes.push({ method: 'get', path, handler });
+      return router;
+    }),
+    post: jest.fn((path, handler) => {
+      routes.push({ method: 'post', path, handler });
+      return router;
+    }),
+    delete: jest.fn((path, handler) => {
+      routes.push({ method: 'delete', path, handler });
+      return router;
+    }),
+  };
+  return router;
+};
+
+const router = createRouter();
+
+const service = {
+  suggestTransfers: jest.fn(),
+  getTransfers: jest.fn(),
+  linkTransfer: jest.fn(),
+  unlinkTransfer: jest.fn(),
+};
+
+jest.unstable_mockModule('express', () => ({
+  default: { Router: () => router },
+}));
+
+jest.unstable_mockModule('../services/transferService.js', () => service);
+
+const auditContext = { actor: 'ana', origin: 'api' };
+const requestAuditContext = jest.fn(() => auditContext);
+
+jest.unstable_mockModule('../services/auditService.js', () => ({
+  requestAuditContext,
+}));
+
+await import('./transferRoutes.js');
+
+const getHandler = (method, path) =>
+  router.routes.find(
+    (route) => route.method === method && route.path === path
+  )?.handler;
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+describe('transferRoutes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    consoleError.mockRestore();
+  });
+
+  test('GET /suggestions returns suggestions, 400 or 500', async () => {
+    service.suggestTransfers
+      .mockResolvedValueOnce({ period: '2024-03', suggestions: [] })
+      .mockRejectedValueOnce(new Error('Invalid transfer days: expected an integer'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { query: { period: '2024-03', days: '5' } };
+
+    await getHandler('get', '/suggestions')(req, res);
+    await getHandler('get', '/suggestions')(req, res);
+    await getHandler('get', '/suggestions')(req, res);
+
+    expect(service.suggestTransfers).toHaveBeenCalledWith('2024-03', {
+      days: '5',
+    });
+    expect(res.json).toHaveBeenNthCalledWith(1, {
+      period: '2024-03',
+      suggestions: [],
+    });
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([400, 500]);
+  });
+
+  test('GET / lists transfers, 400 or 500', async () => {
+    service.getTransfers
+      .mockResolvedValueOnce({ period: '2024-03', transfers: [] })
+      .mockRejectedValueOnce(new Error('Invalid transfer period: expected YYYY-MM'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { query: { period: '2024-03' } };
+
+    for (let call = 0; call < 3; call += 1) {
+      await getHandler('get', '/')(req, res);
+    }
+
+    expect(service.getTransfers).toHaveBeenCalledWith('2024-03');
+    expect(res.json).toHaveBeenNthCalledWith(1, {
+      period: '2024-03',
+      transfers: [],
+    });
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([400, 500]);
+  });
+
+  test('POST / links a transfer or maps errors', async () => {
+    service.linkTransfer
+      .mockResolvedValueOnce({ debit: { id: 'd1' }, credit: { id: 'c1' } })
+      .mockRejectedValueOnce(new Error('Transaction not found'))
+      .mockRejectedValueOnce(new Error('Transaction is reconciled: undo the reconciliation before changing it'))
+      .mockRejectedValueOnce(new Error('Invalid transfer data: debitId and creditId are required'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { body: { debitId: 'd1', creditId: 'c1' } };
+
+    for (let call = 0; call < 5; call += 1) {
+      await getHandler('post', '/')(req, res);
+    }
+
+    expect(service.linkTransfer).toHaveBeenCalledWith(req.body, auditContext);
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([
+      201, 404, 409, 400, 500,
+    ]);
+    expect(res.json).toHaveBeenNthCalledWith(1, {
+      debit: { id: 'd1' },
+      credit: { id: 'c1' },
+    });
+  });
+
+  test('DELETE /:transactionId unlinks a transfer or maps errors', async () => {
+    service.unlinkTransfer
+      .mockResolvedValueOnce({ transactionIds: ['c1', 'd1'] })
+      .mockRejectedValueOnce(new Error('Transfer not found'))
+      .mockRejectedValueOnce(new Error('Transaction is reconciled: undo the reconciliation before changing it'))
+      .mockRejectedValueOnce(new Error('boom'));
+    const res = createRes();
+    const req = { params: { transactionId: 'c1' } };
+
+    for (let call = 0; call < 4; call += 1) {
+      await getHandler('delete', '/:transactionId')(req, res);
+    }
+
+    expect(service.unlinkTransfer).toHaveBeenCalledWith('c1', auditContext);
+    expect(res.json).toHaveBeenNthCalledWith(1, {
+      message: 'Transfer unlinked',
+      data: { transactionIds: ['c1', 'd1'] },
+    });
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([
+      404, 409, 500,
+    ]);
+  });
+});
@@ -0,0 +1,97 @@
+import express from 'express';
+import * as trashService from '../services/trashService.js';
+import { requestAuditContext } from '../services/auditService.js';
+
+const router = express.Router();
+
+/**
+ * Map trash service errors to HTTP responses
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the trash service
+ */
+const sendTrashError = (res, error) => {
+  console.error(error);
+  if (error.message.startsWith('Invalid trash type')) {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.message === 'Trash item not found') {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.message === trashService.TRASHED_PARENT_ERROR) {
+    return res.status(409).json({ message: error.message });
+  }
+  res.status(500).json({ message: 'Server error', error: error.message });
+};
+
+/**
+ * @route   GET /api/trash
+ * @desc    Count the deleted documents of each type
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json(await trashService.getTrashSummary());
+  } catch (error) {
+    sendTrashError(res, error);
+  }
+});
+
+/**
+ * @route   GET /api/trash/:type
+ * @desc    List the deleted documents of a type, most recently deleted first
+ * @query   limit, skip
+ * @access  Public
+ */
+router.get('/:type', async (req, res) => {
+  try {
+    res.json(await trashService.listTrash(req.params.type, req.query));
+  } catch (error) {
+    sendTrashError(res, error);
+  }
+});
+
+/**
+ * @route   POST /api/trash/:type/:id/restore
+ * @desc    Take a deleted document out of the trash
+ * @access  Public
+ */
+router.post('/:type/:id/restore', async (req, res) => {
+  try {
+    const document = await trashService.restoreItem(
+      req.params.type,
+      req.params.id,
+      requestAuditContext(req)
+    );
+    res.json({ message: 'Item restored', data: document });
+  } catch (error) {
+    sendTrashError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/trash/:type/:id
+ * @desc    Permanently delete a document in the trash
+ * @access  Public
+ */
+router.delete('/:type/:id', async (req, res) => {
+  try {
+    res.json(await trashService.purgeItem(req.params.type, req.params.id));
+  } catch (error) {
+    sendTrashError(res, error);
+  }
+});
+
+/**
+ * @route   DELETE /api/trash/:type
+ * @desc    Permanently delete every document of a type in the trash
+ * @access  Public
+ */
+router.delete('/:type', async (req, res) => {
+  try {
+    res.json(await trashService.emptyTrash(req.params.type));
+  } catch (error) {
+    sendTrashError(res, error);
+  }
+});
+
+export default router;
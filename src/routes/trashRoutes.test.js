@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+
+const createRouter = () => {
+  const routes = [];
+  const router = { routes };
+  ['get', 'post', 'delete'].forEach((method) => {
+    router[method] = jest.fn((path, handler) => {
+      routes.push({ method, path, handler });
+      return router;
+    });
+  });
+  return router;
+};
+
+const router = createRouter();
+
+const service = {
+  getTrashSummary: jest.fn(),
+  listTrash: jest.fn(),
+  restoreItem: jest.fn(),
+  purgeItem: jest.fn(),
+  emptyTrash: jest.fn(),
+  TRASHED_PARENT_ERROR: 'Parent in the trash',
+};
+
+jest.unstable_mockModule('express', () => ({
+  default: { Router: () => router },
+}));
+jest.unstable_mockModule('../services/trashService.js', () => service);
+
+const auditContext = { actor: 'ana', origin: 'api' };
+const requestAuditContext = jest.fn(() => auditContext);
+
+jest.unstable_mockModule('../services/auditService.js', () => ({
+  requestAuditContext,
+}));
+
+await import('./trashRoutes.js');
+
+const getHandler = (method, path) =>
+  router.routes.find(
+    (route) => route.method === method && route.path === path
+  )?.handler;
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('trashRoutes', () => {
+  let consoleError;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleError.mockRestore();
+  });
+
+  test('registers the trash routes', () => {
+    expect(router.routes.map(({ method, path }) => `${method} ${path}`)).toEqual([
+      'get /',
+      'get /:type',
+      'post /:type/:id/restore',
+      'delete /:type/:id',
+      'delete /:type',
+    ]);
+  });
+
+  test('GET / and GET /:type return the summary and the list', async () => {
+    service.getTrashSummary.mockResolvedValueOnce({ transaction: 1 });
+    service.listTrash.mockResolvedValueOnce({ items: [], total: 0 });
+    const res = createRes();
+
+    await getHandler('get', '/')({}, res);
+    expect(res.json).toHaveBeenCalledWith({ transaction: 1 });
+
+    const req = { params: { type: 'company' }, query: { limit: '10' } };
+    await getHandler('get', '/:type')(req, res);
+    expect(service.listTrash).toHaveBeenCalledWith('company', { limit: '10' });
+    expect(res.json).toHaveBeenLastCalledWith({ items: [], total: 0 });
+  });
+
+  test('POST restore returns the restored document', async () => {
+    service.restoreItem.mockResolvedValueOnce({ id: 't1' });
+    const res = createRes();
+
+    await getHandler('post', '/:type/:id/restore')(
+      { params: { type: 'transaction', id: 't1' } },
+      res
+    );
+
+    expect(service.restoreItem).toHaveBeenCalledWith('transaction', 't1', auditContext);
+    expect(res.json).toHaveBeenCalledWith({ message: 'Item restored', data: { id: 't1' } });
+  });
+
+  test('DELETE purges one document or the whole type', async () => {
+    service.purgeItem.mockResolvedValueOnce({ type: 'person', purged: 1 });
+    service.emptyTrash.mockResolvedValueOnce({ type: 'person', purged: 4 });
+    const res = createRes();
+
+    await getHandler('delete', '/:type/:id')({ params: { type: 'person', id: 'p1' } }, res);
+    expect(service.purgeItem).toHaveBeenCalledWith('person', 'p1');
+    expect(res.json).toHaveBeenCalledWith({ type: 'person', purged: 1 });
+
+    await getHandler('delete', '/:type')({ params: { type: 'person' } }, res);
+    expect(service.emptyTrash).toHaveBeenCalledWith('person');
+    expect(res.json).toHaveBeenLastCalledWith({ type: 'person', purged: 4 });
+  });
+
+  test('maps invalid types, missing items and failures', async () => {
+    const res = createRes();
+
+    service.listTrash.mockRejectedValueOnce(new Error('Invalid trash type: budget'));
+    await getHandler('get', '/:type')({ params: { type: 'budget' }, query: {} }, res);
+    expect(res.status).toHaveBeenLastCalledWith(400);
+
+    service.restoreItem.mockRejectedValueOnce(new Error('Trash item not found'));
+    await getHandler('post', '/:type/:id/restore')({ params: {} }, res);
+    expect(res.status).toHaveBeenLastCalledWith(404);
+
+    service.restoreItem.mockRejectedValueOnce(new Error('Parent in the trash'));
+    await getHandler('post', '/:type/:id/restore')({ params: {} }, res);
+    expect(res.status).toHaveBeenLastCalledWith(409);
+    expect(res.json).toHaveBeenLastCalledWith({ message: 'Parent in the trash' });
+
+    service.getTrashSummary.mockRejectedValueOnce(new Error('db'));
+    await getHandler('get', '/')({}, res);
+    expect(res.status).toHaveBeenLastCalledWith(500);
+    expect(res.json).toHaveBeenLastCalledWith({ message: 'Server error', error: 'db' });
+
+    service.purgeItem.mockRejectedValueOnce(new Error('db'));
+    await getHandler('delete', '/:type/:id')({ params: {} }, res);
+    service.emptyTrash.mockRejectedValueOnce(new Error('db'));
+    await getHandler('delete', '/:type')({ params: {} }, res);
+    expect(res.status).toHaveBeenCalledTimes(6);
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Retrain the category classifier from the transaction collection
+ * Usage: npm run retrain:categories
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { retrainCategoryClassifier } from '../services/categorySuggestionService.js';
+
+dotenv.config();
+
+/**
+ * Connect, retrain and disconnect
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runRetrainCommand() {
+  try {
+    await mongoose.connect(process.env.DB_CONNECTION);
+    const summary = await retrainCategoryClassifier();
+    console.log(
+      `Category classifier trained with ${summary.documentCount} transactions, ` +
+        `${summary.categoryCount} categories and ${summary.vocabularySize} tokens`
+    );
+    return 0;
+  } catch (error) {
+    console.error('Failed to retrain category classifier:', error.message);
+    return 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  process.exitCode = await runRetrainCommand();
+}
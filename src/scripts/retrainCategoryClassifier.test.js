@@ -0,0 +1,58 @@
+import { jest } from '@jest/globals';
+
+const mongoose = {
+  connect: jest.fn(),
+  disconnect: jest.fn(),
+};
+const retrainCategoryClassifier = jest.fn();
+
+jest.unstable_mockModule('mongoose', () => ({ default: mongoose }));
+jest.unstable_mockModule('../services/categorySuggestionService.js', () => ({
+  retrainCategoryClassifier,
+}));
+
+const { runRetrainCommand } = await import('./retrainCategoryClassifier.js');
+
+describe('retrainCategoryClassifier script', () => {
+  let logSpy;
+  let errorSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    errorSpy.mockRestore();
+  });
+
+  test('retrains and disconnects', async () => {
+    retrainCategoryClassifier.mockResolvedValue({
+      documentCount: 10,
+      categoryCount: 2,
+      vocabularySize: 30,
+    });
+
+    await expect(runRetrainCommand()).resolves.toBe(0);
+
+    expect(mongoose.connect).toHaveBeenCalled();
+    expect(logSpy).toHaveBeenCalledWith(
+      'Category classifier trained with 10 transactions, 2 categories and 30 tokens'
+    );
+    expect(mongoose.disconnect).toHaveBeenCalled();
+  });
+
+  test('returns a failure exit code on errors', async () => {
+    retrainCategoryClassifier.mockRejectedValue(new Error('db down'));
+
+    await expect(runRetrainCommand()).resolves.toBe(1);
+
+    expect(errorSpy).toHaveBeenCalledWith(
+      'Failed to retrain category classifier:',
+      'db down'
+    );
+    expect(mongoose.disconnect).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,53 @@
+export const MANUAL_SOURCE = 'manual';
+
+const INSTITUTIONS = {
+  nubank: 'Nubank',
+  digio: 'Digio',
+  flash: 'Flash',
+  mercadolivre: 'Mercado Livre',
+  manual: 'Manual',
+  ofx: 'OFX',
+  csv: 'CSV',
+};
+
+/**
+ * Guess the account type of a statement source
+ * @param {string} source - Transaction source
+ * @returns {string} 'credit' for card statements, 'benefit' for Flash, otherwise 'checking'
+ */
+export function accountTypeForSource(source) {
+  if (/-credit$/.test(source)) {
+    return 'credit';
+  }
+  if (source === 'flash') {
+    return 'benefit';
+  }
+  return 'checking';
+}
+
+/**
+ * Build the account of a statement source
+ * Used by the migration of existing transactions and by imports of sources
+ * without an account yet. Transactions without source go to the manual
+ * account.
+ * @param {string} source - Transaction source (nubank, nubank-credit, flash, ...)
+ * @param {Date} openingDate - Date of the first transaction of the source
+ * @returns {Object} Account data with a zero opening balance in BRL
+ */
+export function deriveAccountFromSource(source, openingDate = undefined) {
+  const transactionSource = source || MANUAL_SOURCE;
+  const accountType = accountTypeForSource(transactionSource);
+  const institutionKey = transactionSource.replace(/-credit$/, '');
+  const institution = INSTITUTIONS[institutionKey] || institutionKey;
+
+  return {
+    accountName:
+      accountType === 'credit' ? `${institution} credit card` : institution,
+    institution,
+    accountType,
+    transactionSource,
+    openingBalance: 0,
+    openingDate,
+    currency: 'BRL',
+  };
+}
@@ -0,0 +1,44 @@
+import {
+  MANUAL_SOURCE,
+  accountTypeForSource,
+  deriveAccountFromSource,
+} from './accountDerivation.js';
+
+describe('accountDerivation', () => {
+  test('accountTypeForSource tells cards, benefits and checking apart', () => {
+    expect(accountTypeForSource('nubank-credit')).toBe('credit');
+    expect(accountTypeForSource('flash')).toBe('benefit');
+    expect(accountTypeForSource('nubank')).toBe('checking');
+  });
+
+  test('deriveAccountFromSource names the account after the institution', () => {
+    const openingDate = new Date('2024-01-05T12:00:00-04:00');
+
+    expect(deriveAccountFromSource('mercadolivre-credit', openingDate)).toEqual({
+      accountName: 'Mercado Livre credit card',
+      institution: 'Mercado Livre',
+      accountType: 'credit',
+      transactionSource: 'mercadolivre-credit',
+      openingBalance: 0,
+      openingDate,
+      currency: 'BRL',
+    });
+    expect(deriveAccountFromSource('inter')).toEqual(
+      expect.objectContaining({
+        accountName: 'inter',
+        institution: 'inter',
+        accountType: 'checking',
+        openingDate: undefined,
+      })
+    );
+  });
+
+  test('transactions without source go to the manual account', () => {
+    expect(deriveAccountFromSource(undefined)).toEqual(
+      expect.objectContaining({
+        accountName: 'Manual',
+        transactionSource: MANUAL_SOURCE,
+      })
+    );
+  });
+});
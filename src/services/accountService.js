@@ -0,0 +1,258 @@
+import * as accountRepository from '../repository/accountRepository.js';
+import * as transactionRepository from '../repository/transactionRepository.js';
+import {
+  formatMonetaryCents,
+  toMonetaryCents,
+} from '../infrastructure/monetary/monetaryUtils.js';
+import { normalizeCurrencyCode } from '../infrastructure/monetary/currencyUtils.js';
+import validator, {
+  parseAccountDate,
+} from '../infrastructure/validators/accountValidator.js';
+import { deriveAccountFromSource } from './account/accountDerivation.js';
+
+const toReais = (cents) => (cents || 0) / 100;
+
+/**
+ * Validate account data, throwing on invalid data
+ * @param {Object} accountData - Account data
+ * @returns {Object} Account data with normalized currency and opening date
+ */
+function prepareAccount(accountData = {}) {
+  const validation = validator.validateAccountData(accountData);
+  if (!validation.isValid) {
+    throw new Error(`Invalid account data: ${validation.errors.join(', ')}`);
+  }
+
+  const account = { ...accountData };
+  if (account.currency) {
+    account.currency = normalizeCurrencyCode(account.currency);
+  }
+  if (account.openingDate) {
+    account.openingDate = parseAccountDate(account.openingDate);
+  }
+  // numbers are reais, like the other monetary fields of the API
+  if (typeof account.openingBalance === 'number') {
+    account.openingBalance = formatMonetaryCents(
+      Math.round(account.openingBalance * 100)
+    );
+  }
+  return account;
+}
+
+/**
+ * Find an account or throw
+ * @param {string} id - Account ID
+ * @returns {Promise<Object>} Account
+ */
+async function findAccount(id) {
+  const account = await accountRepository.findById(id);
+  if (!account) {
+    throw new Error('Account not found');
+  }
+  return account;
+}
+
+/**
+ * Create a new account
+ * @param {Object} accountData - Data for the new account
+ * @returns {Promise<Object>} Created account
+ */
+export async function createAccount(accountData) {
+  return await accountRepository.insert(prepareAccount(accountData));
+}
+
+/**
+ * Get all accounts
+ * @returns {Promise<Array>} Accounts
+ */
+export async function getAllAccounts() {
+  return await accountRepository.findAll();
+}
+
+/**
+ * Get an account by ID
+ * @param {string} id - Account ID
+ * @returns {Promise<Object>} Account
+ */
+export async function getAccountById(id) {
+  return await findAccount(id);
+}
+
+/**
+ * Update an account
+ * @param {string} id - Account ID
+ * @param {Object} accountData - Account data
+ * @returns {Promise<Object>} Updated account
+ */
+export async function updateAccount(id, accountData) {
+  const account = await accountRepository.updateById(
+    id,
+    prepareAccount(accountData)
+  );
+  if (!account) {
+    throw new Error('Account not found');
+  }
+  return account;
+}
+
+/**
+ * Delete an account without transactions
+ * @param {string} id - Account ID
+ * @returns {Promise<Object>} Deleted account
+ */
+export async function deleteAccount(id) {
+  await findAccount(id);
+  const transactionCount = await transactionRepository.countByAccount(id);
+  if (transactionCount > 0) {
+    throw new Error(
+      `Account has ${transactionCount} transactions: move them to another account first`
+    );
+  }
+  return await accountRepository.deleteById(id);
+}
+
+/**
+ * Find the account of a statement source, creating it when missing
+ * @param {string} source - Transaction source (nubank, nubank-credit, flash, ...)
+ * @returns {Promise<string>} Account ID
+ */
+export async function resolveSourceAccountId(source) {
+  const derived = deriveAccountFromSource(source);
+  const account =
+    (await accountRepository.findBySource(derived.transactionSource)) ||
+    (await accountRepository.insert(derived));
+  return String(account.id);
+}
+
+/**
+ * Compute the balance of an account from its opening balance and transactions
+ * Credits add to and debits subtract from the balance by their absolute
+ * value; transactions before the opening date are ignored.
+ * @param {Object} account - Account
+ * @param {Date} endDate - Last instant included
+ * @returns {Promise<Object>} Balance, credit and debit cents and count
+ */
+async function balanceInCents(account, endDate) {
+  const openingBalance = toMonetaryCents(account.openingBalance) || 0;
+  if (account.openingDate && endDate < account.openingDate) {
+    return { balance: 0, credit: 0, debit: 0, count: 0 };
+  }
+  const totals = await transactionRepository.sumByAccount(account.id, {
+    startDate: account.openingDate,
+    endDate,
+  });
+  return {
+    ...totals,
+    balance: openingBalance + totals.credit - totals.debit,
+  };
+}
+
+/**
+ * Parse a balance date, throwing on invalid dates
+ * @param {string} value - Date (YYYY-MM-DD or DD/MM/YYYY)
+ * @param {string} field - Parameter name used in the error
+ * @param {string} timeString - Time of day (HH:mm:ss)
+ * @returns {Date} Parsed date
+ */
+function parseBalanceDate(value, field, timeString) {
+  const date = parseAccountDate(value, timeString);
+  if (!date) {
+    throw new Error(
+      `Invalid balance date: ${field} must use the YYYY-MM-DD or DD/MM/YYYY format`
+    );
+  }
+  return date;
+}
+
+/**
+ * Get the balance of an account at the end of a day
+ * @param {string} id - Account ID
+ * @param {string} date - Day (YYYY-MM-DD or DD/MM/YYYY, default today)
+ * @returns {Promise<Object>} Balance with the credits and debits that make it
+ */
+export async function getAccountBalance(id, date = undefined) {
+  const endDate = date
+    ? parseBalanceDate(date, 'date', '23:59:59')
+    : new Date();
+  const account = await findAccount(id);
+  const { balance, credit, debit, count } = await balanceInCents(
+    account,
+    endDate
+  );
+
+  return {
+    accountId: String(account.id),
+    accountName: account.accountName,
+    currency: account.currency,
+    date: endDate,
+    openingBalance: toReais(toMonetaryCents(account.openingBalance)),
+    totalCredits: toReais(credit),
+    totalDebits: toReais(debit),
+    transactionCount: count,
+    balance: toReais(balance),
+  };
+}
+
+/**
+ * Get the running balance of an account over a date range
+ * Starts from the balance at the end of the day before `startDate` and
+ * lists every transaction of the range with the balance after it.
+ * @param {string} id - Account ID
+ * @param {Object} range - Date range
+ * @param {string} range.startDate - First day (YYYY-MM-DD or DD/MM/YYYY, default opening date)
+ * @param {string} range.endDate - Last day (YYYY-MM-DD or DD/MM/YYYY, default today)
+ * @returns {Promise<Object>} Starting and ending balance and entries
+ */
+export async function getRunningBalance(id, range = {}) {
+  let startDate = range.startDate
+    ? parseBalanceDate(range.startDate, 'startDate', '00:00:00')
+    : undefined;
+  const endDate = range.endDate
+    ? parseBalanceDate(range.endDate, 'endDate', '23:59:59')
+    : new Date();
+  if (startDate && startDate > endDate) {
+    throw new Error('Invalid balance date: startDate must not be after endDate');
+  }
+
+  const account = await findAccount(id);
+  const startsAtOpening =
+    !startDate || (account.openingDate && startDate <= account.openingDate);
+  if (startsAtOpening) {
+    startDate = account.openingDate;
+  }
+
+  let balance = startsAtOpening
+    ? toMonetaryCents(account.openingBalance) || 0
+    : (await balanceInCents(account, new Date(startDate.getTime() - 1)))
+        .balance;
+  const startingBalance = balance;
+
+  const transactions = await transactionRepository.findByAccount(account.id, {
+    startDate,
+    endDate,
+  });
+  const entries = transactions.map((transaction) => {
+    const value = Math.abs(toMonetaryCents(transaction.transactionValue) || 0);
+    const amount = transaction.transactionType === 'credit' ? value : -value;
+    balance += amount;
+    return {
+      transactionId: String(transaction.id),
+      transactionDate: transaction.transactionDate,
+      transactionName: transaction.transactionName,
+      transactionType: transaction.transactionType,
+      amount: toReais(amount),
+      balance: toReais(balance),
+    };
+  });
+
+  return {
+    accountId: String(account.id),
+    accountName: account.accountName,
+    currency: account.currency,
+    startDate: startDate ?? null,
+    endDate,
+    startingBalance: toReais(startingBalance),
+    endingBalance: toReais(balance),
+    entries,
+  };
+}
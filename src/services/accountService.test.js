@@ -0,0 +1,296 @@
+import { jest } from '@jest/globals';
+
+const accountRepository = {
+  insert: jest.fn(),
+  findAll: jest.fn(),
+  findById: jest.fn(),
+  findBySource: jest.fn(),
+  updateById: jest.fn(),
+  deleteById: jest.fn(),
+};
+const transactionRepository = {
+  countByAccount: jest.fn(),
+  sumByAccount: jest.fn(),
+  findByAccount: jest.fn(),
+};
+
+jest.unstable_mockModule('../repository/accountRepository.js', () => ({
+  ...accountRepository,
+}));
+
+jest.unstable_mockModule('../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+
+const {
+  createAccount,
+  getAllAccounts,
+  getAccountById,
+  updateAccount,
+  deleteAccount,
+  resolveSourceAccountId,
+  getAccountBalance,
+  getRunningBalance,
+} = await import('./accountService.js');
+
+const openingDate = new Date('2024-01-01T00:00:00-04:00');
+const account = {
+  id: 'acc-1',
+  accountName: 'Nubank',
+  currency: 'BRL',
+  openingBalance: '1000,00',
+  openingDate,
+};
+
+describe('accountService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    accountRepository.findById.mockResolvedValue(account);
+  });
+
+  test('createAccount normalizes currency, opening date and balance', async () => {
+    accountRepository.insert.mockImplementation(async (data) => data);
+
+    const created = await createAccount({
+      accountName: 'Wise',
+      currency: 'usd',
+      openingDate: '10/01/2024',
+      openingBalance: 250.5,
+    });
+
+    expect(created).toEqual({
+      accountName: 'Wise',
+      currency: 'USD',
+      openingDate: new Date('2024-01-10T00:00:00-04:00'),
+      openingBalance: '250,50',
+    });
+  });
+
+  test('createAccount and updateAccount reject invalid data', async () => {
+    await expect(createAccount({ accountType: 'savings' })).rejects.toThrow(
+      'Invalid account data: Account name is required, Account type must be one of checking, credit, benefit, investment'
+    );
+    await expect(updateAccount('acc-1')).rejects.toThrow(
+      'Invalid account data: Account name is required'
+    );
+    expect(accountRepository.insert).not.toHaveBeenCalled();
+    expect(accountRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  test('getAllAccounts and getAccountById read accounts', async () => {
+    accountRepository.findAll.mockResolvedValue([account]);
+
+    await expect(getAllAccounts()).resolves.toEqual([account]);
+    await expect(getAccountById('acc-1')).resolves.toBe(account);
+
+    accountRepository.findById.mockResolvedValue(null);
+    await expect(getAccountById('missing')).rejects.toThrow(
+      'Account not found'
+    );
+  });
+
+  test('updateAccount returns the updated account or throws when missing', async () => {
+    accountRepository.updateById
+      .mockResolvedValueOnce({ ...account, accountName: 'Nu' })
+      .mockResolvedValueOnce(null);
+
+    await expect(
+      updateAccount('acc-1', { accountName: 'Nu' })
+    ).resolves.toEqual(expect.objectContaining({ accountName: 'Nu' }));
+    await expect(
+      updateAccount('missing', { accountName: 'Nu' })
+    ).rejects.toThrow('Account not found');
+  });
+
+  test('deleteAccount only deletes accounts without transactions', async () => {
+    transactionRepository.countByAccount
+      .mockResolvedValueOnce(3)
+      .mockResolvedValueOnce(0);
+    accountRepository.deleteById.mockResolvedValue(account);
+
+    await expect(deleteAccount('acc-1')).rejects.toThrow(
+      'Account has 3 transactions: move them to another account first'
+    );
+    await expect(deleteAccount('acc-1')).resolves.toBe(account);
+    expect(accountRepository.deleteById).toHaveBeenCalledTimes(1);
+
+    accountRepository.findById.mockResolvedValue(null);
+    await expect(deleteAccount('missing')).rejects.toThrow('Account not found');
+  });
+
+  test('resolveSourceAccountId reuses or creates the source account', async () => {
+    accountRepository.findBySource
+      .mockResolvedValueOnce({ id: 'acc-1' })
+      .mockResolvedValueOnce(null);
+    accountRepository.insert.mockResolvedValue({ id: 'acc-2' });
+
+    await expect(resolveSourceAccountId('nubank')).resolves.toBe('acc-1');
+    await expect(resolveSourceAccountId('digio-credit')).resolves.toBe(
+      'acc-2'
+    );
+    expect(accountRepository.findBySource).toHaveBeenLastCalledWith(
+      'digio-credit'
+    );
+    expect(accountRepository.insert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        accountName: 'Digio credit card',
+        accountType: 'credit',
+        transactionSource: 'digio-credit',
+      })
+    );
+  });
+
+  test('getAccountBalance adds credits and subtracts debits from the opening balance', async () => {
+    transactionRepository.sumByAccount.mockResolvedValue({
+      credit: 50000,
+      debit: 12550,
+      count: 4,
+    });
+
+    const result = await getAccountBalance('acc-1', '2024-01-31');
+
+    const date = new Date('2024-01-31T23:59:59-04:00');
+    expect(transactionRepository.sumByAccount).toHaveBeenCalledWith('acc-1', {
+      startDate: openingDate,
+      endDate: date,
+    });
+    expect(result).toEqual({
+      accountId: 'acc-1',
+      accountName: 'Nubank',
+      currency: 'BRL',
+      date,
+      openingBalance: 1000,
+      totalCredits: 500,
+      totalDebits: 125.5,
+      transactionCount: 4,
+      balance: 1374.5,
+    });
+  });
+
+  test('getAccountBalance is zero before the opening date and defaults to now', async () => {
+    const before = await getAccountBalance('acc-1', '31/12/2023');
+
+    expect(before.balance).toBe(0);
+    expect(transactionRepository.sumByAccount).not.toHaveBeenCalled();
+
+    transactionRepository.sumByAccount.mockResolvedValue({
+      credit: 0,
+      debit: 0,
+      count: 0,
+    });
+    const now = await getAccountBalance('acc-1');
+    expect(now.date).toBeInstanceOf(Date);
+    expect(now.balance).toBe(1000);
+  });
+
+  test('getAccountBalance rejects invalid dates and unknown accounts', async () => {
+    await expect(getAccountBalance('acc-1', '2024/01/31')).rejects.toThrow(
+      'Invalid balance date: date must use the YYYY-MM-DD or DD/MM/YYYY format'
+    );
+
+    accountRepository.findById.mockResolvedValue(null);
+    await expect(getAccountBalance('missing')).rejects.toThrow(
+      'Account not found'
+    );
+  });
+
+  test('getRunningBalance starts at the opening balance', async () => {
+    transactionRepository.findByAccount.mockResolvedValue([
+      {
+        id: 't1',
+        transactionDate: new Date('2024-01-05T12:00:00-04:00'),
+        transactionName: 'Salary',
+        transactionType: 'credit',
+        transactionValue: '500,00',
+      },
+      {
+        id: 't2',
+        transactionDate: new Date('2024-01-06T12:00:00-04:00'),
+        transactionName: 'Market',
+        transactionType: 'debit',
+        transactionValue: '-120,00',
+      },
+    ]);
+
+    const result = await getRunningBalance('acc-1', { endDate: '2024-01-31' });
+
+    expect(transactionRepository.sumByAccount).not.toHaveBeenCalled();
+    expect(transactionRepository.findByAccount).toHaveBeenCalledWith('acc-1', {
+      startDate: openingDate,
+      endDate: new Date('2024-01-31T23:59:59-04:00'),
+    });
+    expect(result).toEqual(
+      expect.objectContaining({
+        accountId: 'acc-1',
+        startDate: openingDate,
+        startingBalance: 1000,
+        endingBalance: 1380,
+      })
+    );
+    expect(result.entries).toEqual([
+      expect.objectContaining({ transactionId: 't1', amount: 500, balance: 1500 }),
+      expect.objectContaining({
+        transactionId: 't2',
+        transactionName: 'Market',
+        transactionType: 'debit',
+        amount: -120,
+        balance: 1380,
+      }),
+    ]);
+  });
+
+  test('getRunningBalance starts at the balance of the day before startDate', async () => {
+    transactionRepository.sumByAccount.mockResolvedValue({
+      credit: 20000,
+      debit: 5000,
+      count: 2,
+    });
+    transactionRepository.findByAccount.mockResolvedValue([]);
+
+    const result = await getRunningBalance('acc-1', {
+      startDate: '2024-02-01',
+      endDate: '2024-02-29',
+    });
+
+    const startDate = new Date('2024-02-01T00:00:00-04:00');
+    expect(transactionRepository.sumByAccount).toHaveBeenCalledWith('acc-1', {
+      startDate: openingDate,
+      endDate: new Date(startDate.getTime() - 1),
+    });
+    expect(result.startDate).toEqual(startDate);
+    expect(result.startingBalance).toBe(1150);
+    expect(result.endingBalance).toBe(1150);
+    expect(result.entries).toEqual([]);
+  });
+
+  test('getRunningBalance without opening date lists every transaction', async () => {
+    accountRepository.findById.mockResolvedValue({
+      id: 'acc-2',
+      accountName: 'Wallet',
+      currency: 'BRL',
+      openingBalance: undefined,
+    });
+    transactionRepository.findByAccount.mockResolvedValue([]);
+
+    const result = await getRunningBalance('acc-2');
+
+    expect(result.startDate).toBeNull();
+    expect(result.startingBalance).toBe(0);
+  });
+
+  test('getRunningBalance rejects invalid ranges', async () => {
+    await expect(
+      getRunningBalance('acc-1', { startDate: 'yesterday' })
+    ).rejects.toThrow(
+      'Invalid balance date: startDate must use the YYYY-MM-DD or DD/MM/YYYY format'
+    );
+    await expect(
+      getRunningBalance('acc-1', {
+        startDate: '2024-02-01',
+        endDate: '2024-01-01',
+      })
+    ).rejects.toThrow(
+      'Invalid balance date: startDate must not be after endDate'
+    );
+  });
+});
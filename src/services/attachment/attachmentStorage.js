@@ -0,0 +1,47 @@
+import { createGridFsStorage } from './gridFsStorage.js';
+import { createLocalStorage } from './localStorage.js';
+
+export const DEFAULT_ATTACHMENT_DIR = 'storage/attachments';
+
+let storage = null;
+
+/**
+ * Create the attachment storage backend chosen by the environment
+ * ATTACHMENT_STORAGE selects `local` (default, in ATTACHMENT_STORAGE_DIR)
+ * or `gridfs`.
+ * @param {string} backend - Backend name
+ * @returns {Object} Storage backend (name, save, read, remove)
+ * @throws {Error} When the backend is unknown
+ */
+export function createAttachmentStorage(backend = process.env.ATTACHMENT_STORAGE) {
+  if (!backend || backend === 'local') {
+    return createLocalStorage(
+      process.env.ATTACHMENT_STORAGE_DIR || DEFAULT_ATTACHMENT_DIR
+    );
+  }
+  if (backend === 'gridfs') {
+    return createGridFsStorage();
+  }
+  throw new Error(`Unknown attachment storage: ${backend}`);
+}
+
+/**
+ * Get the attachment storage, creating it on first use
+ * @returns {Object} Storage backend
+ */
+export function getAttachmentStorage() {
+  if (!storage) {
+    storage = createAttachmentStorage();
+  }
+  return storage;
+}
+
+/**
+ * Replace the attachment storage
+ * Any object with `save(hash, content)`, `read(hash)` and `remove(hash)`
+ * can back attachments, e.g. an object store client.
+ * @param {Object|null} backend - Storage backend, or null to reset
+ */
+export function setAttachmentStorage(backend) {
+  storage = backend;
+}
@@ -0,0 +1,56 @@
+import { jest } from '@jest/globals';
+
+const createLocalStorage = jest.fn((directory) => ({ name: 'local', directory }));
+const createGridFsStorage = jest.fn(() => ({ name: 'gridfs' }));
+
+jest.unstable_mockModule('./localStorage.js', () => ({ createLocalStorage }));
+jest.unstable_mockModule('./gridFsStorage.js', () => ({ createGridFsStorage }));
+
+const {
+  DEFAULT_ATTACHMENT_DIR,
+  createAttachmentStorage,
+  getAttachmentStorage,
+  setAttachmentStorage,
+} = await import('./attachmentStorage.js');
+
+describe('attachmentStorage', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.ATTACHMENT_STORAGE;
+    delete process.env.ATTACHMENT_STORAGE_DIR;
+    setAttachmentStorage(null);
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  test('createAttachmentStorage picks the backend of the environment', () => {
+    expect(createAttachmentStorage()).toEqual({
+      name: 'local',
+      directory: DEFAULT_ATTACHMENT_DIR,
+    });
+
+    process.env.ATTACHMENT_STORAGE_DIR = '/data/attachments';
+    expect(createAttachmentStorage('local').directory).toBe('/data/attachments');
+
+    process.env.ATTACHMENT_STORAGE = 'gridfs';
+    expect(createAttachmentStorage()).toEqual({ name: 'gridfs' });
+    expect(() => createAttachmentStorage('s3')).toThrow(
+      'Unknown attachment storage: s3'
+    );
+  });
+
+  test('getAttachmentStorage creates the storage once or uses a plugged one', () => {
+    const storage = getAttachmentStorage();
+
+    expect(getAttachmentStorage()).toBe(storage);
+    expect(createLocalStorage).toHaveBeenCalledTimes(1);
+
+    const custom = { name: 'memory' };
+    setAttachmentStorage(custom);
+    expect(getAttachmentStorage()).toBe(custom);
+  });
+});
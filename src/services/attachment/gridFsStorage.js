@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * Attachment storage in MongoDB GridFS
+ * Each content is a GridFS file named after its hash, in the bucket of the
+ * current mongoose connection.
+ * @param {string} bucketName - GridFS bucket (default: 'attachments')
+ * @returns {Object} Storage backend (name, save, read, remove)
+ */
+export function createGridFsStorage(bucketName = 'attachments') {
+  const bucket = () =>
+    new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+
+  return {
+    name: 'gridfs',
+
+    async save(hash, content) {
+      const files = bucket();
+      const [stored] = await files.find({ filename: hash }).limit(1).toArray();
+      if (stored) {
+        return;
+      }
+      await new Promise((resolve, reject) => {
+        files
+          .openUploadStream(hash)
+          .once('finish', resolve)
+          .once('error', reject)
+          .end(content);
+      });
+    },
+
+    async read(hash) {
+      const chunks = [];
+      for await (const chunk of bucket().openDownloadStreamByName(hash)) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    },
+
+    async remove(hash) {
+      const files = bucket();
+      const stored = await files.find({ filename: hash }).toArray();
+      await Promise.all(stored.map((file) => files.delete(file._id)));
+    },
+  };
+}
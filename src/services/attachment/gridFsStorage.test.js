@@ -0,0 +1,84 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+
+const bucket = {
+  find: jest.fn(),
+  openUploadStream: jest.fn(),
+  openDownloadStreamByName: jest.fn(),
+  delete: jest.fn(),
+};
+const GridFSBucket = jest.fn(() => bucket);
+const connection = { db: { name: 'perfinper' } };
+
+jest.unstable_mockModule('mongoose', () => ({
+  default: { mongo: { GridFSBucket }, connection },
+}));
+
+const { createGridFsStorage } = await import('./gridFsStorage.js');
+
+const cursor = (result) => ({
+  limit: jest.fn().mockReturnThis(),
+  toArray: jest.fn().mockResolvedValue(result),
+});
+
+describe('gridFsStorage', () => {
+  const hash = 'a'.repeat(64);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('uploads contents not stored yet', async () => {
+    const upload = new EventEmitter();
+    upload.end = jest.fn(() => upload.emit('finish'));
+    bucket.find.mockReturnValueOnce(cursor([]));
+    bucket.openUploadStream.mockReturnValueOnce(upload);
+
+    const storage = createGridFsStorage();
+    await storage.save(hash, Buffer.from('x'));
+
+    expect(storage.name).toBe('gridfs');
+    expect(GridFSBucket).toHaveBeenCalledWith(connection.db, {
+      bucketName: 'attachments',
+    });
+    expect(bucket.find).toHaveBeenCalledWith({ filename: hash });
+    expect(bucket.openUploadStream).toHaveBeenCalledWith(hash);
+    expect(upload.end).toHaveBeenCalledWith(Buffer.from('x'));
+  });
+
+  test('skips stored contents and rejects failed uploads', async () => {
+    bucket.find.mockReturnValueOnce(cursor([{ _id: 'f1' }]));
+    const storage = createGridFsStorage('receipts');
+
+    await storage.save(hash, Buffer.from('x'));
+    expect(bucket.openUploadStream).not.toHaveBeenCalled();
+    expect(GridFSBucket).toHaveBeenCalledWith(connection.db, {
+      bucketName: 'receipts',
+    });
+
+    const upload = new EventEmitter();
+    upload.end = jest.fn(() => upload.emit('error', new Error('disk full')));
+    bucket.find.mockReturnValueOnce(cursor([]));
+    bucket.openUploadStream.mockReturnValueOnce(upload);
+    await expect(storage.save(hash, Buffer.from('x'))).rejects.toThrow(
+      'disk full'
+    );
+  });
+
+  test('reads and removes contents by hash', async () => {
+    bucket.openDownloadStreamByName.mockReturnValueOnce(
+      (async function* chunks() {
+        yield Buffer.from('reci');
+        yield Buffer.from('bo');
+      })()
+    );
+    bucket.find.mockReturnValueOnce(cursor([{ _id: 'f1' }, { _id: 'f2' }]));
+    const storage = createGridFsStorage();
+
+    expect((await storage.read(hash)).toString()).toBe('recibo');
+    expect(bucket.openDownloadStreamByName).toHaveBeenCalledWith(hash);
+
+    await storage.remove(hash);
+    expect(bucket.delete.mock.calls).toEqual([['f1'], ['f2']]);
+  });
+});
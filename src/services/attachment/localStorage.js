@@ -0,0 +1,38 @@
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Attachment storage in a local directory
+ * Each content is a file named after its hash, under a subdirectory with
+ * the first two hash characters to keep directories small.
+ * @param {string} directory - Root directory of the stored files
+ * @returns {Object} Storage backend (name, save, read, remove)
+ */
+export function createLocalStorage(directory) {
+  const filePath = (hash) => path.join(directory, hash.slice(0, 2), hash);
+
+  return {
+    name: 'local',
+
+    async save(hash, content) {
+      const target = filePath(hash);
+      await mkdir(path.dirname(target), { recursive: true });
+      try {
+        // the file of a hash never changes, so an existing one is kept
+        await writeFile(target, content, { flag: 'wx' });
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+    },
+
+    read(hash) {
+      return readFile(filePath(hash));
+    },
+
+    remove(hash) {
+      return rm(filePath(hash), { force: true });
+    },
+  };
+}
@@ -0,0 +1,45 @@
+import { mkdtemp, readdir, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createLocalStorage } from './localStorage.js';
+
+describe('localStorage', () => {
+  const hash = 'ab'.padEnd(64, '0');
+  let directory;
+  let storage;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+    storage = createLocalStorage(directory);
+  });
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test('saves, reads and removes contents by hash', async () => {
+    expect(storage.name).toBe('local');
+
+    await storage.save(hash, Buffer.from('recibo'));
+
+    expect(await readdir(path.join(directory, 'ab'))).toEqual([hash]);
+    expect((await storage.read(hash)).toString()).toBe('recibo');
+
+    await storage.remove(hash);
+    await storage.remove(hash);
+    await expect(storage.read(hash)).rejects.toThrow();
+  });
+
+  test('keeps the file already stored for a hash', async () => {
+    await storage.save(hash, Buffer.from('first'));
+    await storage.save(hash, Buffer.from('second'));
+
+    expect((await storage.read(hash)).toString()).toBe('first');
+  });
+
+  test('propagates write errors other than existing files', async () => {
+    await expect(
+      storage.save('ab'.padEnd(300, '0'), Buffer.from('x'))
+    ).rejects.toThrow('ENAMETOOLONG');
+  });
+});
@@ -0,0 +1,225 @@
+import { createHash } from 'crypto';
+import * as attachmentRepository from '../repository/attachmentRepository.js';
+import * as fiscalBookRepository from '../repository/fiscalBookRepository.js';
+import * as snapshotRepository from '../repository/snapshotRepository.js';
+import * as transactionRepository from '../repository/transactionRepository.js';
+import { validateAttachment } from '../infrastructure/validators/attachmentValidator.js';
+import { getAttachmentStorage } from './attachment/attachmentStorage.js';
+
+// Documents that hold attachments and how to find them
+const OWNERS = {
+  transaction: {
+    findById: (id) => transactionRepository.findById(id),
+    notFound: 'Transaction not found',
+  },
+  fiscalBook: {
+    findById: (id) => fiscalBookRepository.findById(id),
+    notFound: 'Fiscal book not found',
+  },
+};
+
+/**
+ * Hash an attachment content
+ * @param {Buffer} content - File content
+ * @returns {string} SHA-256, hex encoded
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Read the content of an upload
+ * Raw uploads arrive as a Buffer, JSON uploads as base64 text.
+ * @param {Buffer|string} content - Uploaded content
+ * @returns {Buffer|undefined} Content bytes
+ */
+function toBuffer(content) {
+  if (Buffer.isBuffer(content)) {
+    return content;
+  }
+  return typeof content === 'string' ? Buffer.from(content, 'base64') : undefined;
+}
+
+/**
+ * Check that the owner of attachments exists
+ * @param {string} ownerType - 'transaction' or 'fiscalBook'
+ * @param {string} ownerId - Document ID
+ * @throws {Error} When the document does not exist
+ */
+async function assertOwner(ownerType, ownerId) {
+  const owner = OWNERS[ownerType];
+  if (!(await owner.findById(ownerId))) {
+    throw new Error(owner.notFound);
+  }
+}
+
+/**
+ * Attach a file to a transaction or fiscal book
+ * The content is stored once per hash: uploading a file already attached to
+ * the document returns the existing attachment, and a file attached to
+ * other documents reuses their stored content.
+ * @param {string} ownerType - 'transaction' or 'fiscalBook'
+ * @param {string} ownerId - Document ID
+ * @param {Object} upload - File name, content type and content (Buffer or base64)
+ * @returns {Promise<{attachment: Object, created: boolean}>} Attachment and whether it is new
+ */
+export async function uploadAttachment(ownerType, ownerId, upload = {}) {
+  await assertOwner(ownerType, ownerId);
+
+  const content = toBuffer(upload.content);
+  // keep the name only, whatever path the client sent
+  const fileName =
+    typeof upload.fileName === 'string'
+      ? upload.fileName.split(/[\\/]/).pop()
+      : upload.fileName;
+  const { isValid, errors } = validateAttachment({ fileName, content });
+  if (!isValid) {
+    throw new Error(`Invalid attachment data: ${errors.join(', ')}`);
+  }
+
+  const contentHash = hashContent(content);
+  const existing = await attachmentRepository.findByOwnerAndHash(
+    ownerType,
+    ownerId,
+    contentHash
+  );
+  if (existing) {
+    return { attachment: existing, created: false };
+  }
+
+  await getAttachmentStorage().save(contentHash, content);
+  const attachment = await attachmentRepository.insert({
+    ownerType,
+    ownerId,
+    fileName,
+    contentType: upload.contentType || 'application/octet-stream',
+    size: content.length,
+    contentHash,
+  });
+  return { attachment, created: true };
+}
+
+/**
+ * List the attachments of a transaction or fiscal book
+ * @param {string} ownerType - 'transaction' or 'fiscalBook'
+ * @param {string} ownerId - Document ID
+ * @returns {Promise<Array>} Attachments, oldest first
+ */
+export async function listAttachments(ownerType, ownerId) {
+  await assertOwner(ownerType, ownerId);
+  return attachmentRepository.findByOwner(ownerType, ownerId);
+}
+
+/**
+ * Read the stored content of a hash
+ * @param {string} contentHash - SHA-256 of the content
+ * @returns {Promise<Buffer>} Content bytes
+ */
+export function readContent(contentHash) {
+  return getAttachmentStorage().read(contentHash);
+}
+
+/**
+ * Get an attachment with its content
+ * @param {string} ownerType - 'transaction' or 'fiscalBook'
+ * @param {string} ownerId - Document ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<{attachment: Object, content: Buffer}>} Attachment and content
+ * @throws {Error} When the attachment is not found
+ */
+export async function getAttachmentContent(ownerType, ownerId, attachmentId) {
+  const attachment = await attachmentRepository.findOneByOwner(
+    ownerType,
+    ownerId,
+    attachmentId
+  );
+  if (!attachment) {
+    throw new Error('Attachment not found');
+  }
+  return { attachment, content: await readContent(attachment.contentHash) };
+}
+
+/**
+ * Remove stored contents no longer referenced
+ * A content stays while an attachment or a snapshot copy holds its hash.
+ * @param {Array<string>} contentHashes - Hashes of released contents
+ * @returns {Promise<number>} Number of contents removed from the storage
+ */
+export async function releaseContent(contentHashes = []) {
+  let removed = 0;
+  for (const contentHash of new Set(contentHashes)) {
+    const references =
+      (await attachmentRepository.countByHash(contentHash)) +
+      (await snapshotRepository.countAttachmentReferences(contentHash));
+    if (references === 0) {
+      await getAttachmentStorage().remove(contentHash);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Delete an attachment
+ * @param {string} ownerType - 'transaction' or 'fiscalBook'
+ * @param {string} ownerId - Document ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<Object>} Deleted attachment
+ * @throws {Error} When the attachment is not found
+ */
+export async function deleteAttachment(ownerType, ownerId, attachmentId) {
+  const attachment = await attachmentRepository.findOneByOwner(
+    ownerType,
+    ownerId,
+    attachmentId
+  );
+  if (!attachment) {
+    throw new Error('Attachment not found');
+  }
+  await attachmentRepository.deleteById(attachment.id);
+  await releaseContent([attachment.contentHash]);
+  return attachment;
+}
+
+/**
+ * Delete the attachments of deleted documents
+ * @param {string} ownerType - 'transaction' or 'fiscalBook'
+ * @param {Array<string>} ownerIds - Document IDs
+ * @returns {Promise<number>} Number of deleted attachments
+ */
+export async function removeOwnerAttachments(ownerType, ownerIds) {
+  const attachments = await attachmentRepository.findByOwners(ownerType, ownerIds);
+  if (attachments.length === 0) {
+    return 0;
+  }
+  await attachmentRepository.deleteByOwners(ownerType, ownerIds);
+  await releaseContent(attachments.map((attachment) => attachment.contentHash));
+  return attachments.length;
+}
+
+/**
+ * Copy the attachment metadata of documents, grouped by document
+ * Used by exports and snapshots; the copies reference the stored contents
+ * by hash.
+ * @param {string} ownerType - 'transaction' or 'fiscalBook'
+ * @param {Array<string>} ownerIds - Document IDs
+ * @returns {Promise<Map<string, Array<Object>>>} Attachment copies per document ID
+ */
+export async function getAttachmentCopies(ownerType, ownerIds) {
+  const attachments = await attachmentRepository.findByOwners(ownerType, ownerIds);
+  const copies = new Map();
+  attachments.forEach((attachment) => {
+    const ownerId = String(attachment.ownerId);
+    copies.set(ownerId, [
+      ...(copies.get(ownerId) || []),
+      {
+        fileName: attachment.fileName,
+        contentType: attachment.contentType,
+        size: attachment.size,
+        contentHash: attachment.contentHash,
+        attachedAt: attachment.createdAt,
+      },
+    ]);
+  });
+  return copies;
+}
@@ -0,0 +1,252 @@
+import { jest } from '@jest/globals';
+import { createHash } from 'crypto';
+
+const attachmentRepository = {
+  insert: jest.fn(),
+  findByOwner: jest.fn(),
+  findByOwners: jest.fn(),
+  findOneByOwner: jest.fn(),
+  findByOwnerAndHash: jest.fn(),
+  countByHash: jest.fn(),
+  deleteById: jest.fn(),
+  deleteByOwners: jest.fn(),
+};
+const transactionRepository = { findById: jest.fn() };
+const fiscalBookRepository = { findById: jest.fn() };
+const snapshotRepository = { countAttachmentReferences: jest.fn() };
+const storage = { save: jest.fn(), read: jest.fn(), remove: jest.fn() };
+
+jest.unstable_mockModule('../repository/attachmentRepository.js', () => ({
+  ...attachmentRepository,
+}));
+jest.unstable_mockModule('../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+jest.unstable_mockModule('../repository/fiscalBookRepository.js', () => ({
+  ...fiscalBookRepository,
+}));
+jest.unstable_mockModule('../repository/snapshotRepository.js', () => ({
+  ...snapshotRepository,
+}));
+jest.unstable_mockModule('./attachment/attachmentStorage.js', () => ({
+  getAttachmentStorage: () => storage,
+}));
+
+const {
+  hashContent,
+  uploadAttachment,
+  listAttachments,
+  readContent,
+  getAttachmentContent,
+  releaseContent,
+  deleteAttachment,
+  removeOwnerAttachments,
+  getAttachmentCopies,
+} = await import('./attachmentService.js');
+
+const content = Buffer.from('recibo');
+const contentHash = createHash('sha256').update(content).digest('hex');
+const attachment = {
+  id: 'a1',
+  ownerType: 'transaction',
+  ownerId: 't1',
+  fileName: 'recibo.pdf',
+  contentType: 'application/pdf',
+  size: 6,
+  contentHash,
+  createdAt: new Date('2024-03-10T12:00:00Z'),
+};
+
+describe('attachmentService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transactionRepository.findById.mockResolvedValue({ id: 't1' });
+    fiscalBookRepository.findById.mockResolvedValue({ id: 'f1' });
+    attachmentRepository.findByOwnerAndHash.mockResolvedValue(null);
+    attachmentRepository.insert.mockImplementation(async (data) => ({
+      id: 'a1',
+      ...data,
+    }));
+    attachmentRepository.countByHash.mockResolvedValue(0);
+    snapshotRepository.countAttachmentReferences.mockResolvedValue(0);
+  });
+
+  test('hashContent returns the SHA-256 of the content', () => {
+    expect(hashContent(content)).toBe(contentHash);
+    expect(contentHash).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  test('uploadAttachment stores raw and base64 contents by hash', async () => {
+    const result = await uploadAttachment('transaction', 't1', {
+      fileName: 'C:\\Docs\\recibo.pdf',
+      contentType: 'application/pdf',
+      content,
+    });
+
+    expect(result).toEqual({
+      attachment: {
+        id: 'a1',
+        ownerType: 'transaction',
+        ownerId: 't1',
+        fileName: 'recibo.pdf',
+        contentType: 'application/pdf',
+        size: 6,
+        contentHash,
+      },
+      created: true,
+    });
+    expect(storage.save).toHaveBeenCalledWith(contentHash, content);
+
+    await uploadAttachment('fiscalBook', 'f1', {
+      fileName: 'docs/nota.xml',
+      content: content.toString('base64'),
+    });
+    expect(fiscalBookRepository.findById).toHaveBeenCalledWith('f1');
+    expect(attachmentRepository.insert).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        fileName: 'nota.xml',
+        contentType: 'application/octet-stream',
+        contentHash,
+      })
+    );
+  });
+
+  test('uploadAttachment returns the attachment already holding the content', async () => {
+    attachmentRepository.findByOwnerAndHash.mockResolvedValueOnce(attachment);
+
+    await expect(
+      uploadAttachment('transaction', 't1', { fileName: 'copia.pdf', content })
+    ).resolves.toEqual({ attachment, created: false });
+    expect(attachmentRepository.findByOwnerAndHash).toHaveBeenCalledWith(
+      'transaction',
+      't1',
+      contentHash
+    );
+    expect(storage.save).not.toHaveBeenCalled();
+    expect(attachmentRepository.insert).not.toHaveBeenCalled();
+  });
+
+  test('uploadAttachment validates the owner and the upload', async () => {
+    transactionRepository.findById.mockResolvedValueOnce(null);
+    fiscalBookRepository.findById.mockResolvedValueOnce(null);
+
+    await expect(
+      uploadAttachment('transaction', 'x', { fileName: 'a', content })
+    ).rejects.toThrow('Transaction not found');
+    await expect(uploadAttachment('fiscalBook', 'x')).rejects.toThrow(
+      'Fiscal book not found'
+    );
+    await expect(
+      uploadAttachment('transaction', 't1', { fileName: 3, content: 3 })
+    ).rejects.toThrow(
+      'Invalid attachment data: fileName is required, content is required'
+    );
+    expect(storage.save).not.toHaveBeenCalled();
+  });
+
+  test('listAttachments lists the attachments of an existing owner', async () => {
+    attachmentRepository.findByOwner.mockResolvedValueOnce([attachment]);
+
+    await expect(listAttachments('transaction', 't1')).resolves.toEqual([
+      attachment,
+    ]);
+    expect(attachmentRepository.findByOwner).toHaveBeenCalledWith(
+      'transaction',
+      't1'
+    );
+
+    transactionRepository.findById.mockResolvedValueOnce(null);
+    await expect(listAttachments('transaction', 'x')).rejects.toThrow(
+      'Transaction not found'
+    );
+  });
+
+  test('getAttachmentContent reads the stored content', async () => {
+    attachmentRepository.findOneByOwner
+      .mockResolvedValueOnce(attachment)
+      .mockResolvedValueOnce(null);
+    storage.read.mockResolvedValue(content);
+
+    await expect(
+      getAttachmentContent('transaction', 't1', 'a1')
+    ).resolves.toEqual({ attachment, content });
+    expect(storage.read).toHaveBeenCalledWith(contentHash);
+    await expect(readContent(contentHash)).resolves.toBe(content);
+    await expect(
+      getAttachmentContent('transaction', 't1', 'x')
+    ).rejects.toThrow('Attachment not found');
+  });
+
+  test('releaseContent removes contents nothing references', async () => {
+    attachmentRepository.countByHash
+      .mockResolvedValueOnce(0)
+      .mockResolvedValueOnce(1)
+      .mockResolvedValueOnce(0);
+    snapshotRepository.countAttachmentReferences
+      .mockResolvedValueOnce(0)
+      .mockResolvedValueOnce(0)
+      .mockResolvedValueOnce(2);
+
+    await expect(releaseContent(['h1', 'h1', 'h2', 'h3'])).resolves.toBe(1);
+    expect(storage.remove).toHaveBeenCalledTimes(1);
+    expect(storage.remove).toHaveBeenCalledWith('h1');
+    await expect(releaseContent()).resolves.toBe(0);
+  });
+
+  test('deleteAttachment deletes the attachment and releases its content', async () => {
+    attachmentRepository.findOneByOwner
+      .mockResolvedValueOnce(attachment)
+      .mockResolvedValueOnce(null);
+
+    await expect(deleteAttachment('transaction', 't1', 'a1')).resolves.toBe(
+      attachment
+    );
+    expect(attachmentRepository.deleteById).toHaveBeenCalledWith('a1');
+    expect(storage.remove).toHaveBeenCalledWith(contentHash);
+    await expect(deleteAttachment('transaction', 't1', 'x')).rejects.toThrow(
+      'Attachment not found'
+    );
+  });
+
+  test('removeOwnerAttachments deletes the attachments of deleted owners', async () => {
+    attachmentRepository.findByOwners
+      .mockResolvedValueOnce([attachment, { ...attachment, id: 'a2' }])
+      .mockResolvedValueOnce([]);
+
+    await expect(removeOwnerAttachments('transaction', ['t1'])).resolves.toBe(2);
+    expect(attachmentRepository.deleteByOwners).toHaveBeenCalledWith(
+      'transaction',
+      ['t1']
+    );
+    expect(storage.remove).toHaveBeenCalledTimes(1);
+
+    await expect(removeOwnerAttachments('transaction', ['t2'])).resolves.toBe(0);
+    expect(attachmentRepository.deleteByOwners).toHaveBeenCalledTimes(1);
+  });
+
+  test('getAttachmentCopies groups attachment metadata by owner', async () => {
+    attachmentRepository.findByOwners.mockResolvedValueOnce([
+      attachment,
+      { ...attachment, fileName: 'nota.xml' },
+      { ...attachment, ownerId: 't2' },
+    ]);
+
+    const copies = await getAttachmentCopies('transaction', ['t1', 't2']);
+
+    expect(attachmentRepository.findByOwners).toHaveBeenCalledWith(
+      'transaction',
+      ['t1', 't2']
+    );
+    expect(copies.get('t1')).toEqual([
+      {
+        fileName: 'recibo.pdf',
+        contentType: 'application/pdf',
+        size: 6,
+        contentHash,
+        attachedAt: attachment.createdAt,
+      },
+      expect.objectContaining({ fileName: 'nota.xml' }),
+    ]);
+    expect(copies.get('t2')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,267 @@
+import * as auditLogRepository from '../repository/auditLogRepository.js';
+import * as transactionRepository from '../repository/transactionRepository.js';
+import * as fiscalBookRepository from '../repository/fiscalBookRepository.js';
+import * as companyRepository from '../repository/companyRepository.js';
+import * as personRepository from '../repository/personRepository.js';
+import * as categoryRepository from '../repository/categoryRepository.js';
+import { AUDIT_DOCUMENT_TYPES } from '../models/AuditLogModel.js';
+import { isReconciled } from './reconciliation/reconciliationLock.js';
+
+// Repository and not-found message of each audited document type
+const DOCUMENTS = {
+  transaction: { repository: transactionRepository, notFound: 'Transaction not found' },
+  fiscalBook: { repository: fiscalBookRepository, notFound: 'Fiscal book not found' },
+  company: { repository: companyRepository, notFound: 'Company not found' },
+  person: { repository: personRepository, notFound: 'Person not found' },
+  category: { repository: categoryRepository, notFound: 'Category not found' },
+};
+
+// Fields linking a document to others, kept consistent by their own services
+// (transfers, refunds, reconciliations, splits, installment plans, accounts
+// and the trash); a revert would change one side of the link only
+const LINK_FIELDS = [
+  'transferPairId',
+  'refundOfId',
+  'reconciliationId',
+  'splits',
+  'installmentPlanId',
+  'accountId',
+  'deletedAt',
+];
+
+// Bookkeeping fields left out of the change list
+const IGNORED_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt'];
+
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+/**
+ * Convert a document to the plain JSON form stored in the audit log
+ * Dates become ISO strings, ObjectIds strings and monetary cents the
+ * "1500,00" text, so values can be compared and written back as they are.
+ * @param {Object|null} document - Mongoose document or plain object
+ * @returns {Object} Plain object
+ */
+function toPlain(document) {
+  return document ? JSON.parse(JSON.stringify(document)) : {};
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * List the fields that differ between two states of a document
+ * @param {Object|null} before - Document before the change
+ * @param {Object|null} after - Document after the change
+ * @returns {Array<{field: string, before: *, after: *}>} Field-level changes
+ */
+export function diffDocuments(before, after) {
+  const previous = toPlain(before);
+  const next = toPlain(after);
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .filter((field) => !sameValue(previous[field], next[field]))
+    .map((field) => ({ field, before: previous[field], after: next[field] }));
+}
+
+/**
+ * Build the audit context of an API request
+ * The actor comes from the X-Actor header; requests without it are
+ * recorded as 'anonymous'.
+ * @param {Object} req - Express request object
+ * @returns {{actor: string, origin: string, originDetail: string}} Audit context
+ */
+export function requestAuditContext(req) {
+  return {
+    actor: req.get?.('X-Actor') || 'anonymous',
+    origin: 'api',
+    originDetail: req.method ? `${req.method} ${req.originalUrl}` : undefined,
+  };
+}
+
+/**
+ * Append the changes between two states of a document to its history
+ * Nothing is recorded when no field changed. An audit failure is logged and
+ * never fails the change itself, which already happened.
+ * @param {Object} change - Change to record
+ * @param {string} change.documentType - Audited document type
+ * @param {string} change.documentId - Document ID
+ * @param {Object} change.before - Document before the change
+ * @param {Object} change.after - Document after the change
+ * @param {string} change.actor - Who made the change (default 'system')
+ * @param {string} change.origin - One of AUDIT_ORIGINS ('api', 'import', 'bulk', 'trash', ...)
+ * @param {string} change.originDetail - Route, import source, migration or snapshot
+ * @param {string} change.revertOf - Entry undone by this change
+ * @returns {Promise<Object|null>} Created entry, or null when nothing was recorded
+ */
+export async function recordChange({
+  documentType,
+  documentId,
+  before,
+  after,
+  actor,
+  origin,
+  originDetail,
+  revertOf,
+}) {
+  const changes = diffDocuments(before, after);
+  if (changes.length === 0) {
+    return null;
+  }
+
+  try {
+    return await auditLogRepository.insert({
+      documentType,
+      documentId,
+      changes,
+      actor: actor || 'system',
+      origin,
+      originDetail,
+      revertOf,
+    });
+  } catch (error) {
+    console.error(
+      `Error recording the change of ${documentType} ${documentId}:`,
+      error.message
+    );
+    return null;
+  }
+}
+
+/**
+ * Append the move of a document to the trash to its history
+ * Moving to the trash only sets `deletedAt`, so the entry holds that field.
+ * @param {Object} deletion - Deletion to record
+ * @param {string} deletion.documentType - Audited document type
+ * @param {string} deletion.documentId - Document ID
+ * @param {Date} deletion.deletedAt - When the document went to the trash
+ * @param {string} deletion.actor - Who deleted it
+ * @param {string} deletion.origin - 'trash', or the operation that deleted it
+ * @param {string} deletion.originDetail - Route behind the deletion
+ * @returns {Promise<Object|null>} Created entry, or null when nothing was recorded
+ */
+export async function recordDeletion({ documentType, documentId, deletedAt, ...context }) {
+  return recordChange({
+    documentType,
+    documentId,
+    before: { deletedAt: null },
+    after: { deletedAt },
+    ...context,
+  });
+}
+
+/**
+ * Resolve an audited document type
+ * @param {string} documentType - Audited document type
+ * @returns {Object} Repository and not-found message
+ */
+function resolveDocument(documentType) {
+  if (!AUDIT_DOCUMENT_TYPES.includes(documentType)) {
+    throw new Error(`Invalid audit document type: ${documentType}`);
+  }
+  return DOCUMENTS[documentType];
+}
+
+/**
+ * List the changes of a document, newest first
+ * @param {string} documentType - Audited document type
+ * @param {string} documentId - Document ID
+ * @param {Object} options - Pagination options
+ * @param {number} options.limit - Maximum number of entries (default 50, up to 200)
+ * @param {number} options.skip - Number of entries to skip
+ * @returns {Promise<Object>} Entries, total, limit and skip
+ */
+export async function getHistory(documentType, documentId, options = {}) {
+  resolveDocument(documentType);
+  const limit = Math.min(
+    Math.max(parseInt(options.limit, 10) || DEFAULT_HISTORY_LIMIT, 1),
+    MAX_HISTORY_LIMIT
+  );
+  const skip = Math.max(parseInt(options.skip, 10) || 0, 0);
+
+  const { entries, total } = await auditLogRepository.findByDocument(
+    documentType,
+    documentId,
+    { limit, skip }
+  );
+  return { entries, total, limit, skip };
+}
+
+/**
+ * Revert a single change of a document
+ * Each changed field gets its previous value back, provided it still holds
+ * the value the change left; otherwise later changes would be lost and the
+ * revert is refused. Changes of link fields (LINK_FIELDS) are refused too:
+ * they are undone through the transfer, refund, reconciliation, split and
+ * trash routes. The revert is itself recorded, pointing to the entry.
+ * @param {string} documentType - Audited document type
+ * @param {string} documentId - Document ID
+ * @param {string} entryId - Audit entry to revert
+ * @param {Object} context - Audit context of the revert (actor, originDetail)
+ * @returns {Promise<{document: Object, entry: Object}>} Reverted document and revert entry
+ */
+export async function revertChange(documentType, documentId, entryId, context = {}) {
+  const { repository, notFound } = resolveDocument(documentType);
+
+  const entry = await auditLogRepository.findById(entryId);
+  if (
+    !entry ||
+    entry.documentType !== documentType ||
+    String(entry.documentId) !== String(documentId)
+  ) {
+    throw new Error('Audit entry not found');
+  }
+  if (await auditLogRepository.findRevertOf(entryId)) {
+    throw new Error('Cannot revert change: it was already reverted');
+  }
+  const links = entry.changes
+    .map(({ field }) => field)
+    .filter((field) => LINK_FIELDS.includes(field));
+  if (links.length > 0) {
+    throw new Error(
+      `Cannot revert change: link fields (${links.join(', ')}) are changed through their own routes`
+    );
+  }
+
+  const current = await repository.findById(documentId);
+  if (!current) {
+    throw new Error(notFound);
+  }
+  if (documentType === 'transaction' && isReconciled(current)) {
+    throw new Error('Cannot revert change: the transaction is reconciled');
+  }
+
+  const state = toPlain(current);
+  const conflicts = entry.changes
+    .filter(({ field, after }) => !sameValue(state[field], after))
+    .map(({ field }) => field);
+  if (conflicts.length > 0) {
+    throw new Error(
+      `Cannot revert change: ${conflicts.join(', ')} changed since`
+    );
+  }
+
+  const update = {};
+  entry.changes.forEach(({ field, before }) => {
+    if (before === undefined || before === null) {
+      update.$unset = { ...update.$unset, [field]: '' };
+    } else {
+      update[field] = before;
+    }
+  });
+
+  const document = await repository.updateById(documentId, update);
+  const revertEntry = await recordChange({
+    documentType,
+    documentId,
+    before: current,
+    after: document,
+    actor: context.actor,
+    origin: 'revert',
+    originDetail: context.originDetail,
+    revertOf: entry.id,
+  });
+
+  return { document, entry: revertEntry };
+}
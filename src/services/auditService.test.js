@@ -0,0 +1,326 @@
+import { jest } from '@jest/globals';
+
+const auditLogRepository = {
+  insert: jest.fn(),
+  findByDocument: jest.fn(),
+  findById: jest.fn(),
+  findRevertOf: jest.fn(),
+};
+const transactionRepository = { findById: jest.fn(), updateById: jest.fn() };
+const companyRepository = { findById: jest.fn(), updateById: jest.fn() };
+
+jest.unstable_mockModule('../repository/auditLogRepository.js', () => ({
+  ...auditLogRepository,
+}));
+jest.unstable_mockModule('../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+jest.unstable_mockModule('../repository/fiscalBookRepository.js', () => ({}));
+jest.unstable_mockModule('../repository/companyRepository.js', () => ({
+  ...companyRepository,
+}));
+jest.unstable_mockModule('../repository/personRepository.js', () => ({}));
+jest.unstable_mockModule('../repository/categoryRepository.js', () => ({}));
+
+const {
+  diffDocuments,
+  requestAuditContext,
+  recordChange,
+  recordDeletion,
+  getHistory,
+  revertChange,
+} = await import('./auditService.js');
+
+const before = {
+  id: 't1',
+  transactionValue: '10,00',
+  transactionCategory: 'c1',
+  transactionDate: new Date('2024-03-10T16:00:00.000Z'),
+  updatedAt: new Date('2024-03-10'),
+};
+const after = {
+  id: 't1',
+  transactionValue: '12,00',
+  transactionDate: new Date('2024-03-10T16:00:00.000Z'),
+  fiscalBookId: 'fb1',
+  updatedAt: new Date('2024-03-11'),
+};
+const entry = {
+  id: 'e1',
+  documentType: 'transaction',
+  documentId: 't1',
+  changes: [
+    { field: 'transactionValue', before: '10,00', after: '12,00' },
+    { field: 'fiscalBookId', after: 'fb1' },
+  ],
+};
+
+describe('auditService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auditLogRepository.insert.mockImplementation(async (data) => ({ id: 'new', ...data }));
+    auditLogRepository.findById.mockResolvedValue(entry);
+    auditLogRepository.findRevertOf.mockResolvedValue(null);
+    transactionRepository.findById.mockResolvedValue({
+      ...after,
+      toJSON: () => ({ ...after, transactionValue: '12,00' }),
+    });
+    transactionRepository.updateById.mockResolvedValue({
+      ...after,
+      transactionValue: '10,00',
+      fiscalBookId: undefined,
+    });
+  });
+
+  test('diffDocuments lists changed, added and removed fields', () => {
+    expect(diffDocuments(before, after)).toEqual([
+      { field: 'transactionValue', before: '10,00', after: '12,00' },
+      { field: 'transactionCategory', before: 'c1', after: undefined },
+      { field: 'fiscalBookId', before: undefined, after: 'fb1' },
+    ]);
+    expect(diffDocuments(before, { ...before })).toEqual([]);
+    expect(diffDocuments(null, { a: 1 })).toEqual([
+      { field: 'a', before: undefined, after: 1 },
+    ]);
+  });
+
+  test('requestAuditContext reads the actor and route of a request', () => {
+    const req = {
+      method: 'PUT',
+      originalUrl: '/api/transaction/t1',
+      get: (header) => (header === 'X-Actor' ? 'ana' : undefined),
+    };
+
+    expect(requestAuditContext(req)).toEqual({
+      actor: 'ana',
+      origin: 'api',
+      originDetail: 'PUT /api/transaction/t1',
+    });
+    expect(requestAuditContext({})).toEqual({
+      actor: 'anonymous',
+      origin: 'api',
+      originDetail: undefined,
+    });
+  });
+
+  test('recordChange appends the field changes', async () => {
+    const result = await recordChange({
+      documentType: 'transaction',
+      documentId: 't1',
+      before,
+      after,
+      origin: 'migration',
+      originDetail: 'fixDateFieldTimezone',
+    });
+
+    expect(auditLogRepository.insert).toHaveBeenCalledWith({
+      documentType: 'transaction',
+      documentId: 't1',
+      changes: diffDocuments(before, after),
+      actor: 'system',
+      origin: 'migration',
+      originDetail: 'fixDateFieldTimezone',
+      revertOf: undefined,
+    });
+    expect(result.id).toBe('new');
+  });
+
+  test('recordChange skips unchanged documents and never throws', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(
+      recordChange({ documentType: 'transaction', documentId: 't1', before, after: before })
+    ).resolves.toBeNull();
+    expect(auditLogRepository.insert).not.toHaveBeenCalled();
+
+    auditLogRepository.insert.mockRejectedValueOnce(new Error('db'));
+    await expect(
+      recordChange({ documentType: 'transaction', documentId: 't1', before, after, actor: 'ana' })
+    ).resolves.toBeNull();
+    expect(consoleError).toHaveBeenCalledWith(
+      'Error recording the change of transaction t1:',
+      'db'
+    );
+  });
+
+  test('recordDeletion records the move to the trash', async () => {
+    await recordDeletion({
+      documentType: 'company',
+      documentId: 'c1',
+      deletedAt: new Date('2024-03-10T12:00:00.000Z'),
+      actor: 'ana',
+      origin: 'trash',
+      originDetail: 'DELETE /api/company/c1',
+    });
+
+    expect(auditLogRepository.insert).toHaveBeenCalledWith({
+      documentType: 'company',
+      documentId: 'c1',
+      changes: [
+        { field: 'deletedAt', before: null, after: '2024-03-10T12:00:00.000Z' },
+      ],
+      actor: 'ana',
+      origin: 'trash',
+      originDetail: 'DELETE /api/company/c1',
+      revertOf: undefined,
+    });
+  });
+
+  test('getHistory pages the entries of a document', async () => {
+    auditLogRepository.findByDocument.mockResolvedValue({ entries: [entry], total: 1 });
+
+    await expect(getHistory('transaction', 't1')).resolves.toEqual({
+      entries: [entry],
+      total: 1,
+      limit: 50,
+      skip: 0,
+    });
+    await getHistory('company', 'c1', { limit: '1000', skip: '-2' });
+    expect(auditLogRepository.findByDocument).toHaveBeenLastCalledWith('company', 'c1', {
+      limit: 200,
+      skip: 0,
+    });
+    await expect(getHistory('budget', 'b1')).rejects.toThrow(
+      'Invalid audit document type: budget'
+    );
+  });
+
+  test('revertChange restores the previous values and records the revert', async () => {
+    const result = await revertChange('transaction', 't1', 'e1', {
+      actor: 'ana',
+      originDetail: 'POST /api/transaction/t1/history/e1/revert',
+    });
+
+    expect(transactionRepository.updateById).toHaveBeenCalledWith('t1', {
+      transactionValue: '10,00',
+      $unset: { fiscalBookId: '' },
+    });
+    expect(auditLogRepository.insert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        documentType: 'transaction',
+        documentId: 't1',
+        actor: 'ana',
+        origin: 'revert',
+        revertOf: 'e1',
+        changes: [
+          { field: 'transactionValue', before: '12,00', after: '10,00' },
+          { field: 'fiscalBookId', before: 'fb1', after: undefined },
+        ],
+      })
+    );
+    expect(result.document.transactionValue).toBe('10,00');
+    expect(result.entry.id).toBe('new');
+  });
+
+  test('revertChange refuses changes overwritten since', async () => {
+    transactionRepository.findById.mockResolvedValueOnce({ ...after, transactionValue: '15,00' });
+
+    await expect(revertChange('transaction', 't1', 'e1')).rejects.toThrow(
+      'Cannot revert change: transactionValue changed since'
+    );
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  test('revertChange refuses transfer and refund links', async () => {
+    auditLogRepository.findById.mockResolvedValueOnce({
+      id: 'e4',
+      documentType: 'transaction',
+      documentId: 't1',
+      changes: [{ field: 'transferPairId', before: undefined, after: 't2' }],
+    });
+    await expect(revertChange('transaction', 't1', 'e4')).rejects.toThrow(
+      'Cannot revert change: link fields (transferPairId) are changed through their own routes'
+    );
+
+    auditLogRepository.findById.mockResolvedValueOnce({
+      id: 'e5',
+      documentType: 'transaction',
+      documentId: 't1',
+      changes: [
+        { field: 'refundOfId', before: 'p1', after: undefined },
+        { field: 'transactionCategory', before: 'c1', after: 'c2' },
+        { field: 'splits', before: [{ splitCategory: 'c1' }], after: [] },
+      ],
+    });
+    await expect(revertChange('transaction', 't1', 'e5')).rejects.toThrow(
+      'link fields (refundOfId, splits)'
+    );
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+    expect(auditLogRepository.insert).not.toHaveBeenCalled();
+  });
+
+  test('revertChange refuses reconciliation, account and trash changes', async () => {
+    auditLogRepository.findById.mockResolvedValueOnce({
+      id: 'e6',
+      documentType: 'transaction',
+      documentId: 't1',
+      changes: [
+        { field: 'reconciliationId', before: 'r1', after: undefined },
+        { field: 'accountId', before: 'a1', after: 'a2' },
+      ],
+    });
+    await expect(revertChange('transaction', 't1', 'e6')).rejects.toThrow(
+      'link fields (reconciliationId, accountId)'
+    );
+
+    auditLogRepository.findById.mockResolvedValueOnce({
+      id: 'e7',
+      documentType: 'company',
+      documentId: 'c1',
+      changes: [{ field: 'deletedAt', before: '2024-03-10T12:00:00.000Z', after: null }],
+    });
+    await expect(revertChange('company', 'c1', 'e7')).rejects.toThrow(
+      'link fields (deletedAt)'
+    );
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  test('revertChange checks the entry, the document and reconciliations', async () => {
+    auditLogRepository.findById.mockResolvedValueOnce(null);
+    await expect(revertChange('transaction', 't1', 'x')).rejects.toThrow(
+      'Audit entry not found'
+    );
+    await expect(revertChange('transaction', 't2', 'e1')).rejects.toThrow(
+      'Audit entry not found'
+    );
+    await expect(revertChange('company', 't1', 'e1')).rejects.toThrow(
+      'Audit entry not found'
+    );
+
+    auditLogRepository.findRevertOf.mockResolvedValueOnce({ id: 'e2' });
+    await expect(revertChange('transaction', 't1', 'e1')).rejects.toThrow(
+      'Cannot revert change: it was already reverted'
+    );
+
+    transactionRepository.findById.mockResolvedValueOnce(null);
+    await expect(revertChange('transaction', 't1', 'e1')).rejects.toThrow(
+      'Transaction not found'
+    );
+
+    transactionRepository.findById.mockResolvedValueOnce({ ...after, reconciliationId: 'r1' });
+    await expect(revertChange('transaction', 't1', 'e1')).rejects.toThrow(
+      'Cannot revert change: the transaction is reconciled'
+    );
+    await expect(revertChange('budget', 't1', 'e1')).rejects.toThrow(
+      'Invalid audit document type: budget'
+    );
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  test('revertChange reverts changes of other documents', async () => {
+    auditLogRepository.findById.mockResolvedValueOnce({
+      id: 'e3',
+      documentType: 'company',
+      documentId: 'c1',
+      changes: [{ field: 'companyName', before: 'Old', after: 'New' }],
+    });
+    companyRepository.findById.mockResolvedValueOnce({ id: 'c1', companyName: 'New' });
+    companyRepository.updateById.mockResolvedValueOnce({ id: 'c1', companyName: 'Old' });
+
+    await revertChange('company', 'c1', 'e3');
+
+    expect(companyRepository.updateById).toHaveBeenCalledWith('c1', { companyName: 'Old' });
+    expect(auditLogRepository.insert).toHaveBeenCalledWith(
+      expect.objectContaining({ actor: 'system', revertOf: 'e3' })
+    );
+  });
+});
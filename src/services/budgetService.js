@@ -0,0 +1,239 @@
+import * as budgetRepository from '../repository/budgetRepository.js';
+import * as categoryRepository from '../repository/categoryRepository.js';
+import * as transactionRepository from '../repository/transactionRepository.js';
+import {
+  normalizeMonetaryValue,
+  parseMonetaryValue,
+} from '../infrastructure/monetary/monetaryUtils.js';
+import { rollupCategoryTotals } from './categorization/categoryTree.js';
+
+import validator from '../infrastructure/validators/budgetValidator.js';
+import { isValidPeriod } from '../infrastructure/validators/periodValidator.js';
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate budget data and check its category, throwing on invalid data
+ * @param {Object} budgetData - Budget data
+ * @returns {Promise<Object>} Budget data with the limit normalized
+ */
+async function prepareBudget(budgetData) {
+  const validation = validator.validateBudgetData(budgetData);
+  if (!validation.isValid) {
+    throw new Error(`Invalid budget data: ${validation.errors.join(', ')}`);
+  }
+
+  const categories = await categoryRepository.findAll();
+  if (!categories.some((c) => String(c.id) === String(budgetData.category))) {
+    throw new Error('Invalid budget data: Budget category not found');
+  }
+
+  return { ...budgetData, limit: normalizeMonetaryValue(budgetData.limit) };
+}
+
+/**
+ * Create a new budget
+ * @param {Object} budgetData - Data for the new budget
+ * @returns {Promise<Object>} Created budget
+ */
+export async function createBudget(budgetData) {
+  return await budgetRepository.insert(await prepareBudget(budgetData));
+}
+
+/**
+ * Get all budgets
+ * @returns {Promise<Array>} Budgets
+ */
+export async function getAllBudgets() {
+  return await budgetRepository.findAll();
+}
+
+/**
+ * Get a budget by ID
+ * @param {string} id - Budget ID
+ * @returns {Promise<Object>} Budget
+ */
+export async function getBudgetById(id) {
+  const budget = await budgetRepository.findById(id);
+  if (!budget) {
+    throw new Error('Budget not found');
+  }
+  return budget;
+}
+
+/**
+ * Update a budget
+ * @param {string} id - Budget ID
+ * @param {Object} budgetData - Full budget data
+ * @returns {Promise<Object>} Updated budget
+ */
+export async function updateBudget(id, budgetData) {
+  const budget = await budgetRepository.updateById(
+    id,
+    await prepareBudget(budgetData)
+  );
+  if (!budget) {
+    throw new Error('Budget not found');
+  }
+  return budget;
+}
+
+/**
+ * Delete a budget
+ * @param {string} id - Budget ID
+ * @returns {Promise<Object>} Deleted budget
+ */
+export async function deleteBudget(id) {
+  const budget = await budgetRepository.deleteById(id);
+  if (!budget) {
+    throw new Error('Budget not found');
+  }
+  return budget;
+}
+
+/**
+ * Pick the budget that applies to each category in a period
+ * One-off budgets of the period win over monthly ones; among monthly
+ * budgets the one starting last wins.
+ * @param {Array<Object>} budgets - Active budgets
+ * @param {string} period - Period (YYYY-MM)
+ * @returns {Array<Object>} At most one budget per category
+ */
+export function selectBudgetsForPeriod(budgets, period) {
+  const rank = (budget) =>
+    budget.recurrence === 'once'
+      ? `1${budget.period}`
+      : `0${budget.period || ''}`;
+  const selected = new Map();
+
+  budgets
+    .filter((budget) =>
+      budget.recurrence === 'once'
+        ? budget.period === period
+        : !budget.period || budget.period <= period
+    )
+    .forEach((budget) => {
+      const categoryId = String(budget.category);
+      const current = selected.get(categoryId);
+      if (!current || rank(budget) > rank(current)) {
+        selected.set(categoryId, budget);
+      }
+    });
+
+  return [...selected.values()];
+}
+
+/**
+ * Describe how much of a month has elapsed
+ * @param {string} period - Period (YYYY-MM)
+ * @param {Date} now - Reference date
+ * @returns {{daysInMonth: number, daysElapsed: number}} Elapsed days (0 for future months)
+ */
+export function monthProgress(period, now = new Date()) {
+  const [year, month] = period.split('-').map(Number);
+  const daysInMonth = new Date(year, month, 0).getDate();
+  const current = now.getFullYear() * 12 + now.getMonth();
+  const target = year * 12 + (month - 1);
+
+  if (target < current) {
+    return { daysInMonth, daysElapsed: daysInMonth };
+  }
+  if (target > current) {
+    return { daysInMonth, daysElapsed: 0 };
+  }
+  return { daysInMonth, daysElapsed: now.getDate() };
+}
+
+/**
+ * Project the month-end spend from the spend so far
+ * Linear projection over the elapsed days; closed and future months keep
+ * their actual spend.
+ * @param {number} spent - Debit total so far
+ * @param {{daysInMonth: number, daysElapsed: number}} progress - Month progress
+ * @returns {number} Projected month-end spend
+ */
+export function projectMonthEndSpend(spent, { daysInMonth, daysElapsed }) {
+  if (daysElapsed === 0 || daysElapsed >= daysInMonth) {
+    return roundCurrency(spent);
+  }
+  return roundCurrency((spent / daysElapsed) * daysInMonth);
+}
+
+/**
+ * Compare the debit totals of a period against the budgets
+ * Spending of a category includes its subcategories. A budget is flagged
+ * when the percentage used reaches its alert threshold.
+ * @param {string} period - Period (YYYY-MM)
+ * @param {Object} options - Status options
+ * @param {number} options.threshold - Alert threshold overriding every budget's own
+ * @param {Date} options.now - Reference date for the projection
+ * @returns {Promise<Object>} Budget status report
+ */
+export async function getBudgetStatus(period, options = {}) {
+  const { threshold, now = new Date() } = options;
+  if (!isValidPeriod(period)) {
+    throw new Error('Invalid budget period: expected YYYY-MM');
+  }
+  if (threshold !== undefined && !(Number(threshold) > 0)) {
+    throw new Error('Invalid budget threshold: expected a positive number');
+  }
+
+  const budgets = selectBudgetsForPeriod(
+    await budgetRepository.findActive(),
+    period
+  );
+  const categories = await categoryRepository.findAll();
+  const transactions = await transactionRepository.findAllInPeriod(period);
+
+  const totals = new Map(
+    rollupCategoryTotals(categories, transactions).categories.map((row) => [
+      row.categoryId,
+      row,
+    ])
+  );
+  const progress = monthProgress(period, now);
+
+  const rows = budgets.map((budget) => {
+    const category = totals.get(String(budget.category));
+    const limit = parseMonetaryValue(budget.limit);
+    const spent = category ? category.total.debit : 0;
+    const projectedSpend = projectMonthEndSpend(spent, progress);
+    const alertThreshold = Number(threshold ?? budget.alertThreshold ?? 80);
+    const percentUsed = roundCurrency((spent / limit) * 100);
+    const flagged = percentUsed >= alertThreshold;
+
+    return {
+      budgetId: budget.id,
+      name: budget.name,
+      categoryId: String(budget.category),
+      categoryPath: category?.path,
+      recurrence: budget.recurrence,
+      limit,
+      spent,
+      remaining: roundCurrency(limit - spent),
+      percentUsed,
+      projectedSpend,
+      projectedPercentUsed: roundCurrency((projectedSpend / limit) * 100),
+      alertThreshold,
+      flagged,
+      status: spent > limit ? 'over' : flagged ? 'warning' : 'ok',
+    };
+  });
+
+  rows.sort((a, b) => b.percentUsed - a.percentUsed);
+
+  return {
+    period,
+    ...progress,
+    summary: {
+      budgets: rows.length,
+      flagged: rows.filter((row) => row.flagged).length,
+      totalLimit: roundCurrency(rows.reduce((sum, row) => sum + row.limit, 0)),
+      totalSpent: roundCurrency(rows.reduce((sum, row) => sum + row.spent, 0)),
+      totalProjectedSpend: roundCurrency(
+        rows.reduce((sum, row) => sum + row.projectedSpend, 0)
+      ),
+    },
+    budgets: rows,
+  };
+}
@@ -0,0 +1,337 @@
+import { jest } from '@jest/globals';
+
+const budgetRepository = {
+  insert: jest.fn(),
+  findAll: jest.fn(),
+  findActive: jest.fn(),
+  findById: jest.fn(),
+  updateById: jest.fn(),
+  deleteById: jest.fn(),
+};
+
+const categoryRepository = {
+  findAll: jest.fn(),
+};
+
+const transactionRepository = {
+  findAllInPeriod: jest.fn(),
+};
+
+jest.unstable_mockModule('../repository/budgetRepository.js', () => ({
+  ...budgetRepository,
+}));
+
+jest.unstable_mockModule('../repository/categoryRepository.js', () => ({
+  ...categoryRepository,
+}));
+
+jest.unstable_mockModule('../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+
+const service = await import('./budgetService.js');
+
+const categories = [
+  { id: 'food', name: 'Alimentação', parentCategory: null },
+  { id: 'market', name: 'Mercado', parentCategory: 'food' },
+  { id: 'transport', name: 'Transporte', parentCategory: null },
+];
+
+const debit = (value, category) => ({
+  transactionValue: value,
+  transactionType: 'debit',
+  transactionCategory: category,
+});
+
+describe('budgetService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    categoryRepository.findAll.mockResolvedValue(categories);
+  });
+
+  describe('CRUD', () => {
+    test('createBudget validates, checks category and normalizes the limit', async () => {
+      budgetRepository.insert.mockResolvedValue({ id: 'b1' });
+
+      await expect(
+        service.createBudget({ category: 'food', limit: '1.500,5' })
+      ).resolves.toEqual({ id: 'b1' });
+      expect(budgetRepository.insert).toHaveBeenCalledWith({
+        category: 'food',
+        limit: '1500,50',
+      });
+    });
+
+    test('createBudget rejects invalid data and unknown categories', async () => {
+      await expect(service.createBudget({ limit: '10' })).rejects.toThrow(
+        'Invalid budget data: Budget category is required'
+      );
+      await expect(
+        service.createBudget({ category: 'missing', limit: '10' })
+      ).rejects.toThrow('Invalid budget data: Budget category not found');
+      expect(budgetRepository.insert).not.toHaveBeenCalled();
+    });
+
+    test('getAllBudgets lists budgets', async () => {
+      budgetRepository.findAll.mockResolvedValue([{ id: 'b1' }]);
+
+      await expect(service.getAllBudgets()).resolves.toEqual([{ id: 'b1' }]);
+    });
+
+    test('getBudgetById returns the budget or throws', async () => {
+      budgetRepository.findById
+        .mockResolvedValueOnce({ id: 'b1' })
+        .mockResolvedValueOnce(null);
+
+      await expect(service.getBudgetById('b1')).resolves.toEqual({ id: 'b1' });
+      await expect(service.getBudgetById('b2')).rejects.toThrow(
+        'Budget not found'
+      );
+    });
+
+    test('updateBudget validates and throws when missing', async () => {
+      budgetRepository.updateById
+        .mockResolvedValueOnce({ id: 'b1' })
+        .mockResolvedValueOnce(null);
+      const data = { category: 'market', limit: 300 };
+
+      await expect(service.updateBudget('b1', data)).resolves.toEqual({
+        id: 'b1',
+      });
+      await expect(service.updateBudget('b2', data)).rejects.toThrow(
+        'Budget not found'
+      );
+      await expect(service.updateBudget('b1', {})).rejects.toThrow(
+        'Invalid budget data:'
+      );
+      expect(budgetRepository.updateById).toHaveBeenCalledWith('b1', {
+        category: 'market',
+        limit: '300,00',
+      });
+    });
+
+    test('deleteBudget returns the deleted budget or throws', async () => {
+      budgetRepository.deleteById
+        .mockResolvedValueOnce({ id: 'b1' })
+        .mockResolvedValueOnce(null);
+
+      await expect(service.deleteBudget('b1')).resolves.toEqual({ id: 'b1' });
+      await expect(service.deleteBudget('b2')).rejects.toThrow(
+        'Budget not found'
+      );
+    });
+  });
+
+  describe('selectBudgetsForPeriod', () => {
+    test('keeps budgets applying to the period, one per category', () => {
+      const always = { id: 'always', category: 'food', recurrence: 'monthly' };
+      const fromMarch = {
+        id: 'fromMarch',
+        category: 'food',
+        recurrence: 'monthly',
+        period: '2024-03',
+      };
+      const fromMay = {
+        id: 'fromMay',
+        category: 'transport',
+        recurrence: 'monthly',
+        period: '2024-05',
+      };
+      const march = {
+        id: 'march',
+        category: 'market',
+        recurrence: 'once',
+        period: '2024-03',
+      };
+      const april = {
+        id: 'april',
+        category: 'food',
+        recurrence: 'once',
+        period: '2024-04',
+      };
+      const budgets = [always, fromMarch, fromMay, march, april];
+
+      expect(
+        service.selectBudgetsForPeriod(budgets, '2024-02').map((b) => b.id)
+      ).toEqual(['always']);
+      expect(
+        service.selectBudgetsForPeriod(budgets, '2024-03').map((b) => b.id)
+      ).toEqual(['fromMarch', 'march']);
+      expect(
+        service.selectBudgetsForPeriod(budgets, '2024-04').map((b) => b.id)
+      ).toEqual(['april']);
+      expect(
+        service
+          .selectBudgetsForPeriod([april, fromMarch], '2024-04')
+          .map((b) => b.id)
+      ).toEqual(['april']);
+    });
+  });
+
+  describe('monthProgress and projectMonthEndSpend', () => {
+    const now = new Date(2024, 2, 10, 12);
+
+    test('monthProgress reports elapsed days', () => {
+      expect(service.monthProgress('2024-03', now)).toEqual({
+        daysInMonth: 31,
+        daysElapsed: 10,
+      });
+      expect(service.monthProgress('2024-02', now)).toEqual({
+        daysInMonth: 29,
+        daysElapsed: 29,
+      });
+      expect(service.monthProgress('2025-01', now)).toEqual({
+        daysInMonth: 31,
+        daysElapsed: 0,
+      });
+      expect(service.monthProgress('2000-01').daysElapsed).toBe(31);
+    });
+
+    test('projectMonthEndSpend extrapolates only the current month', () => {
+      expect(
+        service.projectMonthEndSpend(100, { daysInMonth: 31, daysElapsed: 10 })
+      ).toBe(310);
+      expect(
+        service.projectMonthEndSpend(100.123, {
+          daysInMonth: 30,
+          daysElapsed: 30,
+        })
+      ).toBe(100.12);
+      expect(
+        service.projectMonthEndSpend(0, { daysInMonth: 30, daysElapsed: 0 })
+      ).toBe(0);
+    });
+  });
+
+  describe('getBudgetStatus', () => {
+    const now = new Date(2024, 2, 10, 12);
+
+    beforeEach(() => {
+      budgetRepository.findActive.mockResolvedValue([
+        {
+          id: 'b-food',
+          name: 'Comida',
+          category: 'food',
+          recurrence: 'monthly',
+          limit: '500,00',
+          alertThreshold: 80,
+        },
+        {
+          id: 'b-transport',
+          category: 'transport',
+          recurrence: 'monthly',
+          limit: '200,00',
+          alertThreshold: 50,
+        },
+        {
+          id: 'b-market',
+          category: 'market',
+          recurrence: 'once',
+          period: '2024-03',
+          limit: '100,00',
+        },
+      ]);
+      transactionRepository.findAllInPeriod.mockResolvedValue([
+        debit('120,00', 'market'),
+        debit('300,00', 'food'),
+        debit('20,00', 'transport'),
+        { ...debit('999,00', 'food'), transactionType: 'credit' },
+      ]);
+    });
+
+    test('compares rolled-up debit totals against each limit', async () => {
+      const status = await service.getBudgetStatus('2024-03', { now });
+
+      expect(transactionRepository.findAllInPeriod).toHaveBeenCalledWith(
+        '2024-03'
+      );
+      expect(status.period).toBe('2024-03');
+      expect(status.daysInMonth).toBe(31);
+      expect(status.daysElapsed).toBe(10);
+      expect(status.budgets.map((row) => row.budgetId)).toEqual([
+        'b-market',
+        'b-food',
+        'b-transport',
+      ]);
+      expect(status.budgets[0]).toEqual({
+        budgetId: 'b-market',
+        name: undefined,
+        categoryId: 'market',
+        categoryPath: 'Alimentação > Mercado',
+        recurrence: 'once',
+        limit: 100,
+        spent: 120,
+        remaining: -20,
+        percentUsed: 120,
+        projectedSpend: 372,
+        projectedPercentUsed: 372,
+        alertThreshold: 80,
+        flagged: true,
+        status: 'over',
+      });
+      expect(status.budgets[1]).toEqual(
+        expect.objectContaining({
+          spent: 420,
+          percentUsed: 84,
+          flagged: true,
+          status: 'warning',
+        })
+      );
+      expect(status.budgets[2]).toEqual(
+        expect.objectContaining({
+          spent: 20,
+          percentUsed: 10,
+          flagged: false,
+          status: 'ok',
+        })
+      );
+      expect(status.summary).toEqual({
+        budgets: 3,
+        flagged: 2,
+        totalLimit: 800,
+        totalSpent: 560,
+        totalProjectedSpend: 1736,
+      });
+    });
+
+    test('threshold option overrides each budget threshold', async () => {
+      const status = await service.getBudgetStatus('2024-03', {
+        now,
+        threshold: '5',
+      });
+
+      expect(status.budgets.every((row) => row.flagged)).toBe(true);
+      expect(status.budgets.every((row) => row.alertThreshold === 5)).toBe(
+        true
+      );
+    });
+
+    test('budgets of categories without transactions report zero spend', async () => {
+      transactionRepository.findAllInPeriod.mockResolvedValue([]);
+      budgetRepository.findActive.mockResolvedValue([
+        { id: 'b1', category: 'deleted', recurrence: 'monthly', limit: '50' },
+      ]);
+
+      const status = await service.getBudgetStatus('2024-01', { now });
+
+      expect(status.budgets[0]).toEqual(
+        expect.objectContaining({
+          categoryPath: undefined,
+          spent: 0,
+          percentUsed: 0,
+          status: 'ok',
+        })
+      );
+    });
+
+    test('rejects invalid periods and thresholds', async () => {
+      await expect(service.getBudgetStatus('2024')).rejects.toThrow(
+        'Invalid budget period: expected YYYY-MM'
+      );
+      await expect(
+        service.getBudgetStatus('2024-03', { threshold: 'x' })
+      ).rejects.toThrow('Invalid budget threshold: expected a positive number');
+      expect(budgetRepository.findActive).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,358 @@
+import * as cardInvoiceRepository from '../repository/cardInvoiceRepository.js';
+import * as accountRepository from '../repository/accountRepository.js';
+import * as transactionRepository from '../repository/transactionRepository.js';
+import {
+  formatMonetaryCents,
+  toMonetaryCents,
+} from '../infrastructure/monetary/monetaryUtils.js';
+import { isValidPeriod } from '../infrastructure/validators/periodValidator.js';
+import { buildInvoiceCharges } from './invoice/invoiceCharges.js';
+import {
+  invoiceCycleForDate,
+  invoiceCycleForPeriod,
+  nextInvoicePeriods,
+  shiftInvoicePeriod,
+} from './invoice/invoiceCycle.js';
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_UPCOMING_INVOICES = 3;
+export const MAX_UPCOMING_INVOICES = 12;
+
+// Payments made up to this many days after the due date are suggested
+export const PAYMENT_WINDOW_DAYS = 10;
+
+const toCents = (value) => toMonetaryCents(value) || 0;
+
+/**
+ * Check an ID parameter, throwing on invalid values
+ * @param {string} id - ID
+ * @param {string} field - Parameter name used in the error
+ */
+function assertObjectId(id, field) {
+  if (!id) {
+    throw new Error(`Invalid card invoice data: ${field} is required`);
+  }
+  if (!OBJECT_ID_PATTERN.test(String(id))) {
+    throw new Error(`Invalid card invoice data: ${field} must be a valid id`);
+  }
+}
+
+/**
+ * Find a credit card account or throw
+ * @param {string} accountId - Account ID
+ * @returns {Promise<Object>} Account with closingDay and dueDay
+ */
+async function findCardAccount(accountId) {
+  assertObjectId(accountId, 'accountId');
+  const account = await accountRepository.findById(accountId);
+  if (!account) {
+    throw new Error('Account not found');
+  }
+  if (
+    account.accountType !== 'credit' ||
+    !account.closingDay ||
+    !account.dueDay
+  ) {
+    throw new Error(
+      'Invalid card invoice data: account must be a credit card with closingDay and dueDay'
+    );
+  }
+  return account;
+}
+
+/**
+ * Find an invoice or throw
+ * @param {string} id - Invoice ID
+ * @returns {Promise<Object>} Invoice
+ */
+async function findInvoice(id) {
+  const invoice = await cardInvoiceRepository.findById(id);
+  if (!invoice) {
+    throw new Error('Card invoice not found');
+  }
+  return invoice;
+}
+
+/**
+ * Status of an invoice
+ * @param {Object} invoice - closingDate, total, paidValue and paymentTransactionIds
+ * @param {Date} now - Current instant
+ * @returns {string} 'paid' once payments cover the total, else 'closed' after the closing date, else 'open'
+ */
+export function invoiceStatus(invoice, now = new Date()) {
+  if (
+    invoice.paymentTransactionIds?.length > 0 &&
+    toCents(invoice.paidValue) >= toCents(invoice.total)
+  ) {
+    return 'paid';
+  }
+  return invoice.closingDate <= now ? 'closed' : 'open';
+}
+
+/**
+ * Rebuild the invoices of a card from its transactions
+ * Charges are allocated to the billing cycle of their date. Invoices left
+ * without charges are deleted unless they have payments, which are kept.
+ * @param {string} accountId - Card account ID
+ * @param {Date} now - Reference date for the invoice status
+ * @returns {Promise<Object>} Card account and its invoices by due month
+ */
+export async function syncCardInvoices(accountId, now = new Date()) {
+  const account = await findCardAccount(accountId);
+  const transactions = await transactionRepository.findByAccount(account.id);
+
+  const cycles = new Map();
+  buildInvoiceCharges(transactions).forEach((charge) => {
+    const cycle = invoiceCycleForDate(charge.chargeDate, account);
+    if (!cycles.has(cycle.invoicePeriod)) {
+      cycles.set(cycle.invoicePeriod, { ...cycle, charges: [] });
+    }
+    cycles.get(cycle.invoicePeriod).charges.push(charge);
+  });
+
+  const existing = await cardInvoiceRepository.findByAccount(account.id);
+  const existingByPeriod = new Map(
+    existing.map((invoice) => [invoice.invoicePeriod, invoice])
+  );
+  const periods = [...new Set([...cycles.keys(), ...existingByPeriod.keys()])];
+  periods.sort();
+
+  const invoices = [];
+  const stale = [];
+  for (const period of periods) {
+    const current = existingByPeriod.get(period);
+    if (!cycles.has(period) && !current.paymentTransactionIds?.length) {
+      stale.push(current.id);
+      continue;
+    }
+
+    const cycle = cycles.get(period) || {
+      ...invoiceCycleForPeriod(period, account),
+      charges: [],
+    };
+    const charges = [...cycle.charges].sort(
+      (a, b) => new Date(a.chargeDate) - new Date(b.chargeDate)
+    );
+    const total = charges.reduce((sum, charge) => sum + charge.chargeValue, 0);
+    const invoiceData = {
+      closingDate: cycle.closingDate,
+      dueDate: cycle.dueDate,
+      charges,
+      total,
+    };
+    invoiceData.status = invoiceStatus(
+      {
+        ...invoiceData,
+        paidValue: current?.paidValue,
+        paymentTransactionIds: current?.paymentTransactionIds,
+      },
+      now
+    );
+    invoices.push(
+      await cardInvoiceRepository.upsertByPeriod(account.id, period, invoiceData)
+    );
+  }
+
+  if (stale.length > 0) {
+    await cardInvoiceRepository.deleteByIds(stale);
+  }
+  return { account, invoices };
+}
+
+/**
+ * List the invoices of a card
+ * @param {string} accountId - Card account ID
+ * @param {Object} filter - Filter
+ * @param {string} filter.from - First due month (YYYY-MM)
+ * @returns {Promise<Array>} Invoices by due month
+ */
+export async function getCardInvoices(accountId, { from } = {}) {
+  if (from && !isValidPeriod(from)) {
+    throw new Error('Invalid card invoice data: from must use the YYYY-MM format');
+  }
+  const { invoices } = await syncCardInvoices(accountId);
+  return from
+    ? invoices.filter((invoice) => invoice.invoicePeriod >= from)
+    : invoices;
+}
+
+/**
+ * Get the next invoices of a card, starting with the first one not due yet
+ * Months without charges are returned as empty open invoices.
+ * @param {string} accountId - Card account ID
+ * @param {Object} options - Options
+ * @param {number} options.count - Number of invoices (1-12, default 3)
+ * @param {Date} options.now - Reference date
+ * @returns {Promise<Array>} Invoices by due month
+ */
+export async function getUpcomingInvoices(
+  accountId,
+  { count = DEFAULT_UPCOMING_INVOICES, now = new Date() } = {}
+) {
+  const size = Number(count);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_UPCOMING_INVOICES) {
+    throw new Error(
+      `Invalid card invoice data: count must be an integer from 1 to ${MAX_UPCOMING_INVOICES}`
+    );
+  }
+
+  const { account, invoices } = await syncCardInvoices(accountId, now);
+  const currentPeriod = invoiceCycleForDate(now, account).invoicePeriod;
+  const previous = invoiceCycleForPeriod(
+    shiftInvoicePeriod(currentPeriod, -1),
+    account
+  );
+  // the invoice closed last may still be waiting for its due date
+  const firstPeriod =
+    previous.dueDate >= now ? previous.invoicePeriod : currentPeriod;
+
+  const byPeriod = new Map(
+    invoices.map((invoice) => [invoice.invoicePeriod, invoice])
+  );
+  return nextInvoicePeriods(firstPeriod, size).map(
+    (period) =>
+      byPeriod.get(period) || {
+        id: null,
+        accountId: String(account.id),
+        ...invoiceCycleForPeriod(period, account),
+        charges: [],
+        total: formatMonetaryCents(0),
+        paidValue: formatMonetaryCents(0),
+        paymentTransactionIds: [],
+        status: 'open',
+      }
+  );
+}
+
+/**
+ * Get an invoice by ID
+ * @param {string} id - Invoice ID
+ * @returns {Promise<Object>} Invoice
+ */
+export async function getCardInvoiceById(id) {
+  return await findInvoice(id);
+}
+
+/**
+ * Sum the payments of an invoice
+ * @param {Array<string>} transactionIds - Payment transaction IDs
+ * @returns {Promise<number>} Paid cents
+ */
+async function paidCents(transactionIds) {
+  let paid = 0;
+  for (const transactionId of transactionIds) {
+    const transaction = await transactionRepository.findById(transactionId);
+    paid += Math.abs(toCents(transaction?.transactionValue));
+  }
+  return paid;
+}
+
+/**
+ * Save the payments of an invoice and its resulting status
+ * @param {Object} invoice - Invoice
+ * @param {Array<string>} paymentTransactionIds - Payment transaction IDs
+ * @returns {Promise<Object>} Updated invoice
+ */
+async function savePayments(invoice, paymentTransactionIds) {
+  const paidValue = await paidCents(paymentTransactionIds);
+  return await cardInvoiceRepository.updateById(invoice.id, {
+    paymentTransactionIds,
+    paidValue,
+    status: invoiceStatus({
+      closingDate: invoice.closingDate,
+      total: invoice.total,
+      paidValue,
+      paymentTransactionIds,
+    }),
+  });
+}
+
+/**
+ * Suggest the debits that may pay an invoice
+ * Debits of other accounts with the unpaid value, from the closing date
+ * to PAYMENT_WINDOW_DAYS after the due date, not paying another invoice.
+ * @param {string} id - Invoice ID
+ * @returns {Promise<Object>} Unpaid value in reais and candidate transactions
+ */
+export async function suggestInvoicePayments(id) {
+  const invoice = await findInvoice(id);
+  const remaining = toCents(invoice.total) - toCents(invoice.paidValue);
+  if (remaining <= 0) {
+    return { invoiceId: String(invoice.id), remaining: 0, suggestions: [] };
+  }
+
+  const candidates = await transactionRepository.findInvoicePaymentCandidates({
+    cents: remaining,
+    startDate: invoice.closingDate,
+    endDate: new Date(invoice.dueDate.getTime() + PAYMENT_WINDOW_DAYS * DAY_MS),
+    excludeAccountId: invoice.accountId,
+  });
+  const suggestions = [];
+  for (const candidate of candidates) {
+    if (!(await cardInvoiceRepository.findByPaymentTransaction(candidate.id))) {
+      suggestions.push(candidate);
+    }
+  }
+
+  return {
+    invoiceId: String(invoice.id),
+    remaining: remaining / 100,
+    suggestions,
+  };
+}
+
+/**
+ * Record a debit of another account as payment of an invoice
+ * @param {string} id - Invoice ID
+ * @param {Object} paymentData - Payment
+ * @param {string} paymentData.transactionId - Debit paying the invoice
+ * @returns {Promise<Object>} Updated invoice
+ */
+export async function payCardInvoice(id, { transactionId } = {}) {
+  assertObjectId(transactionId, 'transactionId');
+  const invoice = await findInvoice(id);
+  const transaction = await transactionRepository.findById(transactionId);
+  if (!transaction) {
+    throw new Error('Transaction not found');
+  }
+  if (transaction.transactionType !== 'debit') {
+    throw new Error('Invalid card invoice data: payment must be a debit');
+  }
+  if (String(transaction.accountId) === String(invoice.accountId)) {
+    throw new Error(
+      'Invalid card invoice data: payment must come from another account'
+    );
+  }
+  const paidInvoice =
+    await cardInvoiceRepository.findByPaymentTransaction(transactionId);
+  if (paidInvoice) {
+    throw new Error(
+      `Transaction already pays the ${paidInvoice.invoicePeriod} invoice`
+    );
+  }
+
+  return await savePayments(invoice, [
+    ...invoice.paymentTransactionIds.map(String),
+    String(transactionId),
+  ]);
+}
+
+/**
+ * Remove a payment from an invoice
+ * @param {string} id - Invoice ID
+ * @param {string} transactionId - Payment transaction ID
+ * @returns {Promise<Object>} Updated invoice
+ */
+export async function unpayCardInvoice(id, transactionId) {
+  const invoice = await findInvoice(id);
+  const payments = invoice.paymentTransactionIds.map(String);
+  if (!payments.includes(String(transactionId))) {
+    throw new Error('Payment not found');
+  }
+  return await savePayments(
+    invoice,
+    payments.filter((paymentId) => paymentId !== String(transactionId))
+  );
+}
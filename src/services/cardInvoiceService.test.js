@@ -0,0 +1,375 @@
+import { jest } from '@jest/globals';
+
+const cardInvoiceRepository = {
+  findByAccount: jest.fn(),
+  findById: jest.fn(),
+  findByPaymentTransaction: jest.fn(),
+  upsertByPeriod: jest.fn(),
+  updateById: jest.fn(),
+  deleteByIds: jest.fn(),
+};
+const accountRepository = { findById: jest.fn() };
+const transactionRepository = {
+  findByAccount: jest.fn(),
+  findById: jest.fn(),
+  findInvoicePaymentCandidates: jest.fn(),
+};
+
+jest.unstable_mockModule('../repository/cardInvoiceRepository.js', () => ({
+  ...cardInvoiceRepository,
+}));
+
+jest.unstable_mockModule('../repository/accountRepository.js', () => ({
+  ...accountRepository,
+}));
+
+jest.unstable_mockModule('../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+
+const {
+  invoiceStatus,
+  syncCardInvoices,
+  getCardInvoices,
+  getUpcomingInvoices,
+  getCardInvoiceById,
+  suggestInvoicePayments,
+  payCardInvoice,
+  unpayCardInvoice,
+} = await import('./cardInvoiceService.js');
+
+const at = (date, time = '12:00:00') => new Date(`${date}T${time}-04:00`);
+
+const accountId = '507f1f77bcf86cd799439011';
+const paymentId = '507f1f77bcf86cd799439012';
+const card = {
+  id: accountId,
+  accountName: 'Nubank credit card',
+  accountType: 'credit',
+  closingDay: 3,
+  dueDay: 10,
+};
+const purchase = (id, date, value) => ({
+  id,
+  transactionDate: at(date),
+  transactionName: `Purchase ${id}`,
+  transactionType: 'debit',
+  transactionValue: value,
+});
+const invoice = {
+  id: 'i1',
+  accountId,
+  invoicePeriod: '2024-02',
+  closingDate: at('2024-02-03', '00:00:00'),
+  dueDate: at('2024-02-10'),
+  total: '120,00',
+  paidValue: '0,00',
+  paymentTransactionIds: [],
+};
+
+describe('cardInvoiceService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    accountRepository.findById.mockResolvedValue(card);
+    cardInvoiceRepository.findByAccount.mockResolvedValue([]);
+    cardInvoiceRepository.upsertByPeriod.mockImplementation(
+      async (id, invoicePeriod, data) => ({ invoicePeriod, ...data })
+    );
+    cardInvoiceRepository.findById.mockResolvedValue(invoice);
+    cardInvoiceRepository.findByPaymentTransaction.mockResolvedValue(null);
+    cardInvoiceRepository.updateById.mockImplementation(async (id, data) => ({
+      id,
+      ...data,
+    }));
+    transactionRepository.findByAccount.mockResolvedValue([]);
+  });
+
+  test('invoiceStatus is paid once payments cover the total', () => {
+    const now = at('2024-02-05');
+
+    expect(invoiceStatus({ ...invoice, closingDate: at('2024-03-03') }, now)).toBe(
+      'open'
+    );
+    expect(invoiceStatus(invoice, now)).toBe('closed');
+    expect(
+      invoiceStatus(
+        { ...invoice, paidValue: '120,00', paymentTransactionIds: [paymentId] },
+        now
+      )
+    ).toBe('paid');
+    expect(invoiceStatus({ ...invoice, closingDate: new Date(0) })).toBe(
+      'closed'
+    );
+  });
+
+  test('syncCardInvoices allocates charges to their billing cycle', async () => {
+    transactionRepository.findByAccount.mockResolvedValue([
+      purchase('t2', '2024-01-20', '-30,00'),
+      purchase('t1', '2024-01-02', '-100,00'),
+      purchase('t3', '2024-02-01', '-20,00'),
+    ]);
+
+    const { account, invoices } = await syncCardInvoices(
+      accountId,
+      at('2024-02-05')
+    );
+
+    expect(account).toBe(card);
+    expect(cardInvoiceRepository.upsertByPeriod).toHaveBeenCalledTimes(2);
+    expect(invoices).toEqual([
+      expect.objectContaining({
+        invoicePeriod: '2024-01',
+        closingDate: at('2024-01-03', '00:00:00'),
+        dueDate: at('2024-01-10'),
+        total: 10000,
+        status: 'closed',
+      }),
+      expect.objectContaining({
+        invoicePeriod: '2024-02',
+        total: 5000,
+        status: 'closed',
+      }),
+    ]);
+    expect(invoices[1].charges.map((charge) => charge.transactionId)).toEqual([
+      't2',
+      't3',
+    ]);
+    expect(cardInvoiceRepository.deleteByIds).not.toHaveBeenCalled();
+  });
+
+  test('syncCardInvoices keeps paid invoices and deletes empty ones', async () => {
+    cardInvoiceRepository.findByAccount.mockResolvedValue([
+      { id: 'old', invoicePeriod: '2023-12', paymentTransactionIds: [] },
+      {
+        id: 'paid',
+        invoicePeriod: '2023-11',
+        paidValue: '50,00',
+        paymentTransactionIds: [paymentId],
+      },
+    ]);
+
+    const { invoices } = await syncCardInvoices(accountId, at('2024-02-05'));
+
+    expect(cardInvoiceRepository.deleteByIds).toHaveBeenCalledWith(['old']);
+    expect(invoices).toEqual([
+      expect.objectContaining({
+        invoicePeriod: '2023-11',
+        charges: [],
+        total: 0,
+        status: 'paid',
+      }),
+    ]);
+  });
+
+  test('syncCardInvoices requires a credit card with billing days', async () => {
+    await expect(syncCardInvoices()).rejects.toThrow(
+      'Invalid card invoice data: accountId is required'
+    );
+    await expect(syncCardInvoices('nubank')).rejects.toThrow(
+      'Invalid card invoice data: accountId must be a valid id'
+    );
+
+    accountRepository.findById.mockResolvedValueOnce({
+      ...card,
+      accountType: 'checking',
+    });
+    await expect(syncCardInvoices(accountId)).rejects.toThrow(
+      'Invalid card invoice data: account must be a credit card with closingDay and dueDay'
+    );
+
+    accountRepository.findById.mockResolvedValueOnce(null);
+    await expect(syncCardInvoices(accountId)).rejects.toThrow(
+      'Account not found'
+    );
+  });
+
+  test('getCardInvoices filters from a due month', async () => {
+    transactionRepository.findByAccount.mockResolvedValue([
+      purchase('t1', '2024-01-02', '-100,00'),
+      purchase('t2', '2024-01-20', '-30,00'),
+    ]);
+
+    const all = await getCardInvoices(accountId);
+    const fromFebruary = await getCardInvoices(accountId, { from: '2024-02' });
+
+    expect(all).toHaveLength(2);
+    expect(fromFebruary.map((item) => item.invoicePeriod)).toEqual(['2024-02']);
+    await expect(getCardInvoices(accountId, { from: '2024' })).rejects.toThrow(
+      'Invalid card invoice data: from must use the YYYY-MM format'
+    );
+  });
+
+  test('getUpcomingInvoices starts with the closed invoice not due yet', async () => {
+    transactionRepository.findByAccount.mockResolvedValue([
+      purchase('t1', '2024-02-01', '-100,00'),
+      {
+        ...purchase('t2', '2024-02-20', '-50,00'),
+        transactionDescription: 'Loja - Parcela 1/3',
+      },
+    ]);
+
+    const upcoming = await getUpcomingInvoices(accountId, {
+      now: at('2024-02-05'),
+    });
+
+    expect(upcoming.map((item) => [item.invoicePeriod, item.total])).toEqual([
+      ['2024-02', 10000],
+      ['2024-03', 5000],
+      ['2024-04', 5000],
+    ]);
+    expect(upcoming[2].charges[0]).toEqual(
+      expect.objectContaining({ installmentNumber: 2, projected: true })
+    );
+  });
+
+  test('getUpcomingInvoices fills months without charges', async () => {
+    const upcoming = await getUpcomingInvoices(accountId, {
+      count: '2',
+      now: at('2024-02-15'),
+    });
+
+    expect(upcoming).toEqual([
+      {
+        id: null,
+        accountId,
+        invoicePeriod: '2024-03',
+        closingDate: at('2024-03-03', '00:00:00'),
+        dueDate: at('2024-03-10'),
+        charges: [],
+        total: '0,00',
+        paidValue: '0,00',
+        paymentTransactionIds: [],
+        status: 'open',
+      },
+      expect.objectContaining({ invoicePeriod: '2024-04' }),
+    ]);
+    await expect(getUpcomingInvoices(accountId, { count: 13 })).rejects.toThrow(
+      'Invalid card invoice data: count must be an integer from 1 to 12'
+    );
+  });
+
+  test('getCardInvoiceById returns the invoice or throws', async () => {
+    await expect(getCardInvoiceById('i1')).resolves.toBe(invoice);
+
+    cardInvoiceRepository.findById.mockResolvedValueOnce(null);
+    await expect(getCardInvoiceById('missing')).rejects.toThrow(
+      'Card invoice not found'
+    );
+  });
+
+  test('suggestInvoicePayments finds unused debits with the unpaid value', async () => {
+    transactionRepository.findInvoicePaymentCandidates.mockResolvedValue([
+      { id: 'used' },
+      { id: paymentId },
+    ]);
+    cardInvoiceRepository.findByPaymentTransaction.mockImplementation(
+      async (id) => (id === 'used' ? { id: 'i0' } : null)
+    );
+
+    const result = await suggestInvoicePayments('i1');
+
+    expect(
+      transactionRepository.findInvoicePaymentCandidates
+    ).toHaveBeenCalledWith({
+      cents: 12000,
+      startDate: invoice.closingDate,
+      endDate: at('2024-02-20'),
+      excludeAccountId: accountId,
+    });
+    expect(result).toEqual({
+      invoiceId: 'i1',
+      remaining: 120,
+      suggestions: [{ id: paymentId }],
+    });
+
+    cardInvoiceRepository.findById.mockResolvedValueOnce({
+      ...invoice,
+      paidValue: '120,00',
+    });
+    await expect(suggestInvoicePayments('i1')).resolves.toEqual({
+      invoiceId: 'i1',
+      remaining: 0,
+      suggestions: [],
+    });
+  });
+
+  test('payCardInvoice records a debit of another account', async () => {
+    transactionRepository.findById.mockResolvedValue({
+      id: paymentId,
+      accountId: 'checking',
+      transactionType: 'debit',
+      transactionValue: '-120,00',
+    });
+
+    const result = await payCardInvoice('i1', { transactionId: paymentId });
+
+    expect(cardInvoiceRepository.updateById).toHaveBeenCalledWith('i1', {
+      paymentTransactionIds: [paymentId],
+      paidValue: 12000,
+      status: 'paid',
+    });
+    expect(result.status).toBe('paid');
+  });
+
+  test('payCardInvoice rejects invalid, foreign and reused payments', async () => {
+    await expect(payCardInvoice('i1')).rejects.toThrow(
+      'Invalid card invoice data: transactionId is required'
+    );
+
+    transactionRepository.findById.mockResolvedValueOnce(null);
+    await expect(
+      payCardInvoice('i1', { transactionId: paymentId })
+    ).rejects.toThrow('Transaction not found');
+
+    transactionRepository.findById.mockResolvedValueOnce({
+      transactionType: 'credit',
+    });
+    await expect(
+      payCardInvoice('i1', { transactionId: paymentId })
+    ).rejects.toThrow('Invalid card invoice data: payment must be a debit');
+
+    transactionRepository.findById.mockResolvedValueOnce({
+      transactionType: 'debit',
+      accountId,
+    });
+    await expect(
+      payCardInvoice('i1', { transactionId: paymentId })
+    ).rejects.toThrow(
+      'Invalid card invoice data: payment must come from another account'
+    );
+
+    transactionRepository.findById.mockResolvedValueOnce({
+      transactionType: 'debit',
+      accountId: 'checking',
+    });
+    cardInvoiceRepository.findByPaymentTransaction.mockResolvedValueOnce({
+      invoicePeriod: '2024-01',
+    });
+    await expect(
+      payCardInvoice('i1', { transactionId: paymentId })
+    ).rejects.toThrow('Transaction already pays the 2024-01 invoice');
+    expect(cardInvoiceRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  test('unpayCardInvoice removes a payment and reopens the invoice', async () => {
+    cardInvoiceRepository.findById.mockResolvedValue({
+      ...invoice,
+      paidValue: '120,00',
+      paymentTransactionIds: [paymentId],
+      status: 'paid',
+    });
+
+    const result = await unpayCardInvoice('i1', paymentId);
+
+    expect(result).toEqual(
+      expect.objectContaining({
+        paymentTransactionIds: [],
+        paidValue: 0,
+        status: 'closed',
+      })
+    );
+    await expect(unpayCardInvoice('i1', 'other')).rejects.toThrow(
+      'Payment not found'
+    );
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Category hierarchy helpers
+ * Categories reference their parent through `parentCategory`. These pure
+ * functions build paths ("Alimentação > Mercado > Hortifruti"), detect
+ * cycles and roll child totals into their ancestors.
+ */
+
+import { parseMonetaryValue } from '../../infrastructure/monetary/monetaryUtils.js';
+import { expandSplits } from '../split/expandSplits.js';
+
+export const PATH_SEPARATOR = ' > ';
+
+const toId = (value) =>
+  value === undefined || value === null ? null : String(value);
+
+const plain = (category) =>
+  typeof category.toObject === 'function' ? category.toObject() : category;
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Index categories by their ID
+ * @param {Array<Object>} categories - Category documents or plain objects
+ * @returns {Map<string, Object>} Plain categories keyed by ID
+ */
+export function indexCategories(categories = []) {
+  const index = new Map();
+  categories.forEach((category) => {
+    const object = plain(category);
+    index.set(toId(object.id ?? object._id), object);
+  });
+  return index;
+}
+
+/**
+ * List the ancestors of a category, root first, ending with the category
+ * Stops at missing parents and at cycles, so corrupted data never loops.
+ * @param {Map<string, Object>} index - Categories indexed by indexCategories
+ * @param {string} categoryId - Category ID
+ * @returns {Array<Object>} Categories from the root to categoryId
+ */
+export function ancestorChain(index, categoryId) {
+  const chain = [];
+  const visited = new Set();
+  let currentId = toId(categoryId);
+
+  while (currentId && index.has(currentId) && !visited.has(currentId)) {
+    visited.add(currentId);
+    const category = index.get(currentId);
+    chain.unshift(category);
+    currentId = toId(category.parentCategory);
+  }
+
+  return chain;
+}
+
+/**
+ * Build the display path of a category
+ * @param {Map<string, Object>} index - Categories indexed by indexCategories
+ * @param {string} categoryId - Category ID
+ * @returns {string} Path such as "Alimentação > Mercado > Hortifruti"
+ */
+export function categoryPath(index, categoryId) {
+  return ancestorChain(index, categoryId)
+    .map((category) => category.name)
+    .join(PATH_SEPARATOR);
+}
+
+/**
+ * Add `path` and `depth` to every category
+ * @param {Array<Object>} categories - Category documents or plain objects
+ * @returns {Array<Object>} Plain categories with path (root depth is 0)
+ */
+export function withCategoryPaths(categories = []) {
+  const index = indexCategories(categories);
+
+  return [...index.entries()].map(([id, category]) => {
+    const chain = ancestorChain(index, id);
+    return {
+      ...category,
+      parentCategory: toId(category.parentCategory),
+      path: chain.map((ancestor) => ancestor.name).join(PATH_SEPARATOR),
+      depth: chain.length - 1,
+    };
+  });
+}
+
+/**
+ * List the IDs of every descendant of a category
+ * @param {Array<Object>} categories - Category documents or plain objects
+ * @param {string} categoryId - Category ID
+ * @returns {Array<string>} Descendant IDs (children, grandchildren, ...)
+ */
+export function descendantIds(categories, categoryId) {
+  const index = indexCategories(categories);
+  const rootId = toId(categoryId);
+
+  return [...index.keys()].filter(
+    (id) =>
+      id !== rootId &&
+      ancestorChain(index, id).some(
+        (ancestor) => toId(ancestor.id ?? ancestor._id) === rootId
+      )
+  );
+}
+
+/**
+ * Check whether setting parentId as parent of categoryId would create a cycle
+ * @param {Array<Object>} categories - Category documents or plain objects
+ * @param {string} categoryId - Category being moved
+ * @param {string|null} parentId - New parent ID
+ * @returns {boolean} True when parentId is the category itself or one of its descendants
+ */
+export function wouldCreateCycle(categories, categoryId, parentId) {
+  if (!parentId) {
+    return false;
+  }
+  if (toId(parentId) === toId(categoryId)) {
+    return true;
+  }
+  return descendantIds(categories, categoryId).includes(toId(parentId));
+}
+
+const emptyTotals = () => ({ credit: 0, debit: 0, count: 0 });
+
+const addToTotals = (totals, transaction) => {
+  const value = parseMonetaryValue(transaction.transactionValue);
+  if (transaction.refundOfId) {
+    totals.debit -= value;
+  } else if (transaction.transactionType === 'credit') {
+    totals.credit += value;
+  } else {
+    totals.debit += value;
+  }
+  totals.count++;
+};
+
+const roundTotals = (totals) => ({
+  credit: roundCurrency(totals.credit),
+  debit: roundCurrency(totals.debit),
+  count: totals.count,
+});
+
+/**
+ * Sum transactions per category and roll child totals into their ancestors
+ * `own` holds the transactions assigned directly to a category, `total`
+ * adds every descendant. Transactions without a known category are summed
+ * in `uncategorized`. Split transactions are counted through their
+ * allocations; internal transfers are left out and refunds are subtracted
+ * from the debits of their category.
+ * @param {Array<Object>} categories - Category documents or plain objects
+ * @param {Array<Object>} transactions - Transactions with value, type and category
+ * @returns {{categories: Array<Object>, uncategorized: Object}} Totals per category, sorted by path
+ */
+export function rollupCategoryTotals(categories = [], transactions = []) {
+  const index = indexCategories(categories);
+  const own = new Map([...index.keys()].map((id) => [id, emptyTotals()]));
+  const total = new Map([...index.keys()].map((id) => [id, emptyTotals()]));
+  const uncategorized = emptyTotals();
+
+  expandSplits(transactions).forEach((transaction) => {
+    if (transaction.transferPairId) {
+      return;
+    }
+    const categoryId = toId(transaction.transactionCategory);
+    if (!index.has(categoryId)) {
+      addToTotals(uncategorized, transaction);
+      return;
+    }
+
+    addToTotals(own.get(categoryId), transaction);
+    ancestorChain(index, categoryId).forEach((ancestor) => {
+      addToTotals(total.get(toId(ancestor.id ?? ancestor._id)), transaction);
+    });
+  });
+
+  const rows = withCategoryPaths(categories).map((category) => {
+    const id = toId(category.id ?? category._id);
+    return {
+      categoryId: id,
+      name: category.name,
+      parentCategory: category.parentCategory,
+      path: category.path,
+      depth: category.depth,
+      own: roundTotals(own.get(id)),
+      total: roundTotals(total.get(id)),
+    };
+  });
+
+  rows.sort((a, b) => a.path.localeCompare(b.path));
+
+  return { categories: rows, uncategorized: roundTotals(uncategorized) };
+}
+
@@ -0,0 +1,211 @@
+import {
+  PATH_SEPARATOR,
+  indexCategories,
+  ancestorChain,
+  categoryPath,
+  withCategoryPaths,
+  descendantIds,
+  wouldCreateCycle,
+  rollupCategoryTotals,
+} from './categoryTree.js';
+
+const food = { id: 'food', name: 'Alimentação', parentCategory: null };
+const market = { id: 'market', name: 'Mercado', parentCategory: 'food' };
+const produce = { id: 'produce', name: 'Hortifruti', parentCategory: 'market' };
+const transport = { id: 'transport', name: 'Transporte' };
+const categories = [food, market, produce, transport];
+
+describe('categoryTree', () => {
+  test('indexCategories keys plain categories by id', () => {
+    const document = {
+      toObject: () => ({ _id: { toString: () => 'doc' }, name: 'Doc' }),
+    };
+
+    const index = indexCategories([food, document]);
+
+    expect(index.get('food')).toBe(food);
+    expect(index.get('doc')).toEqual(expect.objectContaining({ name: 'Doc' }));
+    expect(indexCategories().size).toBe(0);
+  });
+
+  test('ancestorChain lists ancestors from the root', () => {
+    const index = indexCategories(categories);
+
+    expect(ancestorChain(index, 'produce')).toEqual([food, market, produce]);
+    expect(ancestorChain(index, 'missing')).toEqual([]);
+    expect(ancestorChain(index, null)).toEqual([]);
+  });
+
+  test('ancestorChain stops at cycles and missing parents', () => {
+    const index = indexCategories([
+      { id: 'a', name: 'A', parentCategory: 'b' },
+      { id: 'b', name: 'B', parentCategory: 'a' },
+      { id: 'orphan', name: 'Orphan', parentCategory: 'deleted' },
+    ]);
+
+    expect(ancestorChain(index, 'a').map((c) => c.id)).toEqual(['b', 'a']);
+    expect(categoryPath(index, 'orphan')).toBe('Orphan');
+  });
+
+  test('categoryPath joins names with the separator', () => {
+    expect(categoryPath(indexCategories(categories), 'produce')).toBe(
+      ['Alimentação', 'Mercado', 'Hortifruti'].join(PATH_SEPARATOR)
+    );
+  });
+
+  test('withCategoryPaths adds path, depth and string parent ids', () => {
+    const [withFood, withMarket, withProduce, withTransport] =
+      withCategoryPaths(categories);
+
+    expect(withFood).toEqual({ ...food, path: 'Alimentação', depth: 0 });
+    expect(withMarket).toEqual(
+      expect.objectContaining({ path: 'Alimentação > Mercado', depth: 1 })
+    );
+    expect(withProduce.depth).toBe(2);
+    expect(withTransport.parentCategory).toBeNull();
+    expect(withCategoryPaths()).toEqual([]);
+  });
+
+  test('descendantIds lists children and grandchildren', () => {
+    expect(descendantIds(categories, 'food')).toEqual(['market', 'produce']);
+    expect(descendantIds(categories, 'produce')).toEqual([]);
+  });
+
+  test('wouldCreateCycle detects self and descendant parents', () => {
+    expect(wouldCreateCycle(categories, 'food', null)).toBe(false);
+    expect(wouldCreateCycle(categories, 'food', 'food')).toBe(true);
+    expect(wouldCreateCycle(categories, 'food', 'produce')).toBe(true);
+    expect(wouldCreateCycle(categories, 'produce', 'transport')).toBe(false);
+    expect(wouldCreateCycle(categories, 'market', 'food')).toBe(false);
+  });
+
+  test('rollupCategoryTotals sums own and descendant transactions', () => {
+    const result = rollupCategoryTotals(categories, [
+      {
+        transactionValue: '10,10',
+        transactionType: 'debit',
+        transactionCategory: 'produce',
+      },
+      {
+        transactionValue: '20,20',
+        transactionType: 'debit',
+        transactionCategory: 'market',
+      },
+      {
+        transactionValue: '5,00',
+        transactionType: 'credit',
+        transactionCategory: 'market',
+      },
+      {
+        transactionValue: '8,00',
+        transactionType: 'debit',
+        transactionCategory: 'transport',
+      },
+      {
+        transactionValue: '1,00',
+        transactionType: 'debit',
+        transactionCategory: 'deleted',
+      },
+    ]);
+
+    const byId = Object.fromEntries(
+      result.categories.map((row) => [row.categoryId, row])
+    );
+
+    expect(result.categories.map((row) => row.path)).toEqual([
+      'Alimentação',
+      'Alimentação > Mercado',
+      'Alimentação > Mercado > Hortifruti',
+      'Transporte',
+    ]);
+    expect(byId.food.own).toEqual({ credit: 0, debit: 0, count: 0 });
+    expect(byId.food.total).toEqual({ credit: 5, debit: 30.3, count: 3 });
+    expect(byId.market.own).toEqual({ credit: 5, debit: 20.2, count: 2 });
+    expect(byId.market.total).toEqual({ credit: 5, debit: 30.3, count: 3 });
+    expect(byId.produce.total).toEqual({ credit: 0, debit: 10.1, count: 1 });
+    expect(byId.transport).toEqual({
+      categoryId: 'transport',
+      name: 'Transporte',
+      parentCategory: null,
+      path: 'Transporte',
+      depth: 0,
+      own: { credit: 0, debit: 8, count: 1 },
+      total: { credit: 0, debit: 8, count: 1 },
+    });
+    expect(result.uncategorized).toEqual({ credit: 0, debit: 1, count: 1 });
+  });
+
+  test('rollupCategoryTotals counts split allocations instead of the parent', () => {
+    const result = rollupCategoryTotals(categories, [
+      {
+        id: 't1',
+        transactionValue: '100,00',
+        transactionType: 'debit',
+        transactionCategory: 'market',
+        splits: [
+          { splitCategory: 'produce', splitValue: '70,00' },
+          { splitCategory: 'transport', splitValue: '30,00' },
+        ],
+      },
+    ]);
+
+    const byId = Object.fromEntries(
+      result.categories.map((row) => [row.categoryId, row])
+    );
+
+    expect(byId.market.own).toEqual({ credit: 0, debit: 0, count: 0 });
+    expect(byId.market.total).toEqual({ credit: 0, debit: 70, count: 1 });
+    expect(byId.produce.own).toEqual({ credit: 0, debit: 70, count: 1 });
+    expect(byId.transport.own).toEqual({ credit: 0, debit: 30, count: 1 });
+  });
+
+  test('rollupCategoryTotals leaves internal transfers out', () => {
+    const result = rollupCategoryTotals(categories, [
+      {
+        transactionValue: '900,00',
+        transactionType: 'debit',
+        transactionCategory: 'transport',
+        transferPairId: 'c1',
+      },
+      {
+        transactionValue: '900,00',
+        transactionType: 'credit',
+        transferPairId: 'd1',
+      },
+    ]);
+
+    expect(
+      result.categories.find((row) => row.categoryId === 'transport').own
+    ).toEqual({ credit: 0, debit: 0, count: 0 });
+    expect(result.uncategorized).toEqual({ credit: 0, debit: 0, count: 0 });
+  });
+
+  test('rollupCategoryTotals handles empty input', () => {
+    expect(rollupCategoryTotals()).toEqual({
+      categories: [],
+      uncategorized: { credit: 0, debit: 0, count: 0 },
+    });
+  });
+
+  test('rollupCategoryTotals nets refunds against the debits of their category', () => {
+    const result = rollupCategoryTotals(categories, [
+      {
+        transactionValue: '100,00',
+        transactionType: 'debit',
+        transactionCategory: 'produce',
+      },
+      {
+        transactionValue: '40,00',
+        transactionType: 'credit',
+        transactionCategory: 'produce',
+        refundOfId: 'd1',
+      },
+    ]);
+
+    const byId = Object.fromEntries(
+      result.categories.map((row) => [row.categoryId, row])
+    );
+    expect(byId.produce.own).toEqual({ credit: 0, debit: 60, count: 2 });
+    expect(byId.market.total).toEqual({ credit: 0, debit: 60, count: 2 });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Naive Bayes category classifier
+ * Token-frequency multinomial naive Bayes with Laplace smoothing, trained
+ * from categorized transactions. The trained model is a plain object so it
+ * can be stored as is (see CategoryClassifierModel).
+ */
+
+const STOPWORDS = new Set([
+  'de',
+  'da',
+  'do',
+  'das',
+  'dos',
+  'em',
+  'na',
+  'no',
+  'nas',
+  'nos',
+  'para',
+  'por',
+  'com',
+  'the',
+  'and',
+  'ltda',
+  'me',
+  'sa',
+]);
+
+/**
+ * Split a text into normalized tokens (lowercase, no accents, no numbers)
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(
+      (token) => token.length > 1 && !/^\d+$/.test(token) && !STOPWORDS.has(token)
+    );
+}
+
+/**
+ * Tokens describing a transaction
+ * Uses transactionName, transactionDescription, companyName and item names.
+ * @param {Object} transaction - Transaction
+ * @returns {Array<string>} Tokens
+ */
+export function transactionTokens(transaction) {
+  const itemNames = (transaction.items || []).map((item) => item.itemName);
+  return [
+    transaction.transactionName,
+    transaction.transactionDescription,
+    transaction.companyName,
+    ...itemNames,
+  ].flatMap(tokenize);
+}
+
+/**
+ * Train a classifier from categorized transactions
+ * Transactions without category or tokens are ignored.
+ * @param {Array<Object>} transactions - Categorized transactions
+ * @returns {Object} Trained model { documentCount, vocabularySize, categories }
+ */
+export function trainClassifier(transactions) {
+  const categories = new Map();
+  const vocabulary = new Set();
+  let documentCount = 0;
+
+  (transactions || []).forEach((transaction) => {
+    if (!transaction.transactionCategory) {
+      return;
+    }
+    const tokens = transactionTokens(transaction);
+    if (tokens.length === 0) {
+      return;
+    }
+
+    const categoryId = String(transaction.transactionCategory);
+    if (!categories.has(categoryId)) {
+      categories.set(categoryId, {
+        categoryId,
+        documentCount: 0,
+        tokenCount: 0,
+        tokens: {},
+      });
+    }
+
+    const category = categories.get(categoryId);
+    category.documentCount++;
+    documentCount++;
+    tokens.forEach((token) => {
+      category.tokens[token] = (category.tokens[token] || 0) + 1;
+      category.tokenCount++;
+      vocabulary.add(token);
+    });
+  });
+
+  return {
+    documentCount,
+    vocabularySize: vocabulary.size,
+    categories: [...categories.values()],
+  };
+}
+
+/**
+ * Rank the categories of a transaction
+ * Confidence is the normalized posterior probability (0-1). Tokens never seen
+ * in training are ignored; without any known token there is no suggestion.
+ * @param {Object} model - Trained model
+ * @param {Object} transaction - Transaction to classify
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array<{categoryId: string, confidence: number}>} Ranked suggestions
+ */
+export function classify(model, transaction, limit = 3) {
+  const categories = model?.categories || [];
+  if (categories.length === 0) {
+    return [];
+  }
+
+  const tokens = transactionTokens(transaction).filter((token) =>
+    categories.some((category) => category.tokens[token])
+  );
+  if (tokens.length === 0) {
+    return [];
+  }
+
+  const scores = categories.map((category) => {
+    let logProbability = Math.log(
+      (category.documentCount + 1) / (model.documentCount + categories.length)
+    );
+    tokens.forEach((token) => {
+      logProbability += Math.log(
+        ((category.tokens[token] || 0) + 1) /
+          (category.tokenCount + model.vocabularySize)
+      );
+    });
+    return { categoryId: String(category.categoryId), logProbability };
+  });
+
+  // Normalize in log space to avoid underflow
+  const maxLog = Math.max(...scores.map((score) => score.logProbability));
+  const weights = scores.map((score) => Math.exp(score.logProbability - maxLog));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return scores
+    .map((score, index) => ({
+      categoryId: score.categoryId,
+      confidence: Number((weights[index] / total).toFixed(4)),
+    }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, limit);
+}
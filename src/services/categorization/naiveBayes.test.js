@@ -0,0 +1,88 @@
+import {
+  tokenize,
+  transactionTokens,
+  trainClassifier,
+  classify,
+} from './naiveBayes.js';
+
+const history = [
+  {
+    transactionName: 'Compra no débito',
+    transactionDescription: 'SUPERMERCADO BOM PREÇO',
+    transactionCategory: 'c-mercado',
+  },
+  {
+    transactionDescription: 'Supermercado Extra',
+    companyName: 'Extra Hiper',
+    transactionCategory: 'c-mercado',
+  },
+  {
+    transactionDescription: 'Uber viagem',
+    items: [{ itemName: 'Corrida' }],
+    transactionCategory: 'c-transporte',
+  },
+  { transactionDescription: 'Sem categoria' },
+  { transactionDescription: '123', transactionCategory: 'c-outros' },
+];
+
+describe('naiveBayes', () => {
+  test('tokenize normalizes accents, case, numbers and stopwords', () => {
+    expect(tokenize('Compra de PÃO - Padaria 123 x')).toEqual([
+      'compra',
+      'pao',
+      'padaria',
+    ]);
+    expect(tokenize(undefined)).toEqual([]);
+  });
+
+  test('transactionTokens reads name, description, company and items', () => {
+    expect(
+      transactionTokens({
+        transactionName: 'Pix',
+        transactionDescription: 'Farmácia',
+        companyName: 'Drogasil',
+        items: [{ itemName: 'Dipirona' }],
+      })
+    ).toEqual(['pix', 'farmacia', 'drogasil', 'dipirona']);
+  });
+
+  test('trainClassifier counts tokens per category', () => {
+    const model = trainClassifier(history);
+
+    expect(model.documentCount).toBe(3);
+    expect(model.categories).toHaveLength(2);
+    const mercado = model.categories.find(
+      (category) => category.categoryId === 'c-mercado'
+    );
+    expect(mercado.documentCount).toBe(2);
+    expect(mercado.tokens.supermercado).toBe(2);
+    expect(model.vocabularySize).toBeGreaterThan(5);
+    expect(trainClassifier(undefined).categories).toEqual([]);
+  });
+
+  test('classify ranks categories with normalized confidence', () => {
+    const model = trainClassifier(history);
+
+    const suggestions = classify(model, {
+      transactionDescription: 'SUPERMERCADO DIA',
+    });
+
+    expect(suggestions[0].categoryId).toBe('c-mercado');
+    expect(suggestions[0].confidence).toBeGreaterThan(0.5);
+    expect(
+      suggestions.reduce((sum, suggestion) => sum + suggestion.confidence, 0)
+    ).toBeCloseTo(1, 3);
+    expect(
+      classify(model, { transactionDescription: 'uber' }, 1)
+    ).toEqual([{ categoryId: 'c-transporte', confidence: expect.any(Number) }]);
+  });
+
+  test('classify returns no suggestion without model or known tokens', () => {
+    const model = trainClassifier(history);
+
+    expect(classify(null, { transactionDescription: 'uber' })).toEqual([]);
+    expect(classify(model, { transactionDescription: 'desconhecido' })).toEqual(
+      []
+    );
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Category rule engine
+ * Evaluates persisted category rules (see CategoryRuleModel) against
+ * transactions. Pure functions: callers load rules and persist results.
+ */
+
+import { parseMonetaryValue } from '../../infrastructure/monetary/monetaryUtils.js';
+
+const isDefined = (value) =>
+  value !== undefined && value !== null && value !== '';
+
+const onlyDigits = (value) => String(value || '').replace(/\D/g, '');
+
+/**
+ * Test the description pattern against transaction name and description
+ * Invalid patterns never match.
+ * @param {string} pattern - Case-insensitive regular expression
+ * @param {Object} transaction - Transaction
+ * @returns {boolean} True when name or description matches
+ */
+function matchesDescription(pattern, transaction) {
+  let regex;
+  try {
+    regex = new RegExp(pattern, 'i');
+  } catch (error) {
+    return false;
+  }
+
+  return [transaction.transactionName, transaction.transactionDescription].some(
+    (text) => isDefined(text) && regex.test(text)
+  );
+}
+
+/**
+ * Check whether a transaction satisfies every condition of a rule
+ * @param {Object} rule - Category rule
+ * @param {Object} transaction - Transaction
+ * @returns {boolean} True when the rule applies
+ */
+export function matchesRule(rule, transaction) {
+  const conditions = rule.conditions || {};
+  const {
+    descriptionPattern,
+    companyCnpj,
+    minValue,
+    maxValue,
+    transactionSource,
+    paymentMethod,
+    transactionType,
+  } = conditions;
+
+  if (
+    isDefined(descriptionPattern) &&
+    !matchesDescription(descriptionPattern, transaction)
+  ) {
+    return false;
+  }
+
+  if (
+    isDefined(companyCnpj) &&
+    onlyDigits(companyCnpj) !== onlyDigits(transaction.companyCnpj)
+  ) {
+    return false;
+  }
+
+  const value = parseMonetaryValue(transaction.transactionValue);
+  if (isDefined(minValue) && value < Number(minValue)) {
+    return false;
+  }
+  if (isDefined(maxValue) && value > Number(maxValue)) {
+    return false;
+  }
+
+  if (
+    isDefined(transactionSource) &&
+    transactionSource !== transaction.transactionSource
+  ) {
+    return false;
+  }
+  if (isDefined(paymentMethod) && paymentMethod !== transaction.paymentMethod) {
+    return false;
+  }
+  if (
+    isDefined(transactionType) &&
+    transactionType !== transaction.transactionType
+  ) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Find the highest priority active rule matching a transaction
+ * Ties keep the given order (repository order: oldest rule first).
+ * @param {Array} rules - Category rules
+ * @param {Object} transaction - Transaction
+ * @returns {Object|undefined} Matching rule
+ */
+export function findMatchingRule(rules, transaction) {
+  return [...(rules || [])]
+    .filter((rule) => rule.active !== false)
+    .sort((a, b) => (Number(b.priority) || 0) - (Number(a.priority) || 0))
+    .find((rule) => matchesRule(rule, transaction));
+}
+
+/**
+ * Resolve the category of a transaction from the rules
+ * @param {Array} rules - Category rules
+ * @param {Object} transaction - Transaction
+ * @returns {string|undefined} Category ID, undefined when no rule matches
+ */
+export function categorizeTransaction(rules, transaction) {
+  const rule = findMatchingRule(rules, transaction);
+  return rule ? String(rule.category) : undefined;
+}
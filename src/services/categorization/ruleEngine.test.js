@@ -0,0 +1,84 @@
+import {
+  matchesRule,
+  findMatchingRule,
+  categorizeTransaction,
+} from './ruleEngine.js';
+
+const transaction = {
+  transactionName: 'Compra no débito',
+  transactionDescription: 'SUPERMERCADO BOM PRECO',
+  transactionValue: '150,00',
+  transactionType: 'debit',
+  transactionSource: 'nubank',
+  paymentMethod: 'debit card',
+  companyCnpj: '11.222.333/0001-81',
+};
+
+describe('ruleEngine', () => {
+  test('matchesRule requires every defined condition', () => {
+    expect(
+      matchesRule(
+        {
+          conditions: {
+            descriptionPattern: 'supermercado',
+            companyCnpj: '11222333000181',
+            minValue: 100,
+            maxValue: 200,
+            transactionSource: 'nubank',
+            paymentMethod: 'debit card',
+            transactionType: 'debit',
+          },
+        },
+        transaction
+      )
+    ).toBe(true);
+    expect(matchesRule({}, transaction)).toBe(true);
+  });
+
+  test.each([
+    [{ descriptionPattern: 'farmacia' }],
+    [{ descriptionPattern: '([' }],
+    [{ companyCnpj: '99.999.999/0001-99' }],
+    [{ minValue: 200 }],
+    [{ maxValue: 100 }],
+    [{ transactionSource: 'flash' }],
+    [{ paymentMethod: 'pix' }],
+    [{ transactionType: 'credit' }],
+  ])('matchesRule rejects unmet condition %j', (conditions) => {
+    expect(matchesRule({ conditions }, transaction)).toBe(false);
+  });
+
+  test('matchesRule tests the pattern against the transaction name too', () => {
+    expect(
+      matchesRule(
+        { conditions: { descriptionPattern: 'débito' } },
+        { transactionName: 'Compra no débito' }
+      )
+    ).toBe(true);
+  });
+
+  test('findMatchingRule picks the highest priority active rule', () => {
+    const rules = [
+      { id: 'low', priority: 0, conditions: { transactionType: 'debit' } },
+      {
+        id: 'inactive',
+        priority: 100,
+        active: false,
+        conditions: { transactionType: 'debit' },
+      },
+      { id: 'high', priority: 10, conditions: { descriptionPattern: 'mercado' } },
+      { id: 'tie', priority: 10, conditions: { transactionType: 'debit' } },
+      { id: 'other', conditions: { transactionType: 'credit' } },
+    ];
+
+    expect(findMatchingRule(rules, transaction).id).toBe('high');
+    expect(findMatchingRule(undefined, transaction)).toBeUndefined();
+  });
+
+  test('categorizeTransaction returns the rule category as string', () => {
+    const rules = [{ category: { toString: () => 'c1' }, conditions: {} }];
+
+    expect(categorizeTransaction(rules, transaction)).toBe('c1');
+    expect(categorizeTransaction([], transaction)).toBeUndefined();
+  });
+});
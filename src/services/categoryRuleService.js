@@ -0,0 +1,189 @@
+import * as categoryRuleRepository from '../repository/categoryRuleRepository.js';
+import * as transactionRepository from '../repository/transactionRepository.js';
+import * as fiscalBookRepository from '../repository/fiscalBookRepository.js';
+import { findMatchingRule } from './categorization/ruleEngine.js';
+import {
+  RECONCILED_TRANSACTION_ERROR,
+  isReconciled,
+} from './reconciliation/reconciliationLock.js';
+import { recordChange } from './auditService.js';
+
+import validator from '../infrastructure/validators/categoryRuleValidator.js';
+
+/**
+ * Validate category rule data, throwing on invalid data
+ * @param {Object} ruleData - Category rule data
+ */
+function assertValidRule(ruleData) {
+  const validation = validator.validateCategoryRuleData(ruleData);
+  if (!validation.isValid) {
+    throw new Error(
+      `Invalid category rule data: ${validation.errors.join(', ')}`
+    );
+  }
+}
+
+/**
+ * Create a new category rule
+ * @param {Object} ruleData - Data for the new rule
+ * @returns {Promise<Object>} Created category rule
+ */
+export async function createCategoryRule(ruleData) {
+  assertValidRule(ruleData);
+  return await categoryRuleRepository.insert(ruleData);
+}
+
+/**
+ * Get all category rules in evaluation order
+ * @returns {Promise<Array>} Category rules
+ */
+export async function getAllCategoryRules() {
+  return await categoryRuleRepository.findAll();
+}
+
+/**
+ * Get a category rule by ID
+ * @param {string} id - Category rule ID
+ * @returns {Promise<Object>} Category rule
+ */
+export async function getCategoryRuleById(id) {
+  const rule = await categoryRuleRepository.findById(id);
+  if (!rule) {
+    throw new Error('Category rule not found');
+  }
+  return rule;
+}
+
+/**
+ * Update a category rule
+ * @param {string} id - Category rule ID
+ * @param {Object} ruleData - Full rule data
+ * @returns {Promise<Object>} Updated category rule
+ */
+export async function updateCategoryRule(id, ruleData) {
+  assertValidRule(ruleData);
+  const rule = await categoryRuleRepository.updateById(id, ruleData);
+  if (!rule) {
+    throw new Error('Category rule not found');
+  }
+  return rule;
+}
+
+/**
+ * Delete a category rule
+ * @param {string} id - Category rule ID
+ * @returns {Promise<Object>} Deleted category rule
+ */
+export async function deleteCategoryRule(id) {
+  const rule = await categoryRuleRepository.deleteById(id);
+  if (!rule) {
+    throw new Error('Category rule not found');
+  }
+  return rule;
+}
+
+/**
+ * Load the transactions of a re-apply scope
+ * @param {Object} scope - { period } or { fiscalBookId }
+ * @returns {Promise<Array>} Transactions in scope
+ */
+async function findScopeTransactions({ period, fiscalBookId }) {
+  if (period) {
+    return await transactionRepository.findAllInPeriod(period);
+  }
+
+  const book = await fiscalBookRepository.findById(fiscalBookId);
+  if (!book) {
+    throw new Error('Fiscal book not found');
+  }
+  return await transactionRepository.findByFiscalBookId(fiscalBookId);
+}
+
+/**
+ * Re-apply the active category rules to existing transactions
+ * Returns the diff of proposed category changes; transactions matching no
+ * rule keep their category. With apply=true the changes are also saved.
+ * Changes to reconciled transactions are listed as skipped and never saved.
+ * @param {Object} scope - Transactions to evaluate
+ * @param {string} scope.period - Transaction period (YYYY-MM)
+ * @param {string} scope.fiscalBookId - Fiscal book ID
+ * @param {Object} options - Re-apply options
+ * @param {boolean} options.apply - Persist the proposed changes
+ * @param {Object} audit - Audit context of the applied changes (actor); entries name the rule
+ * @returns {Promise<Object>} Diff of proposed category changes
+ */
+export async function reapplyCategoryRules(scope = {}, options = {}, audit = {}) {
+  const { period, fiscalBookId } = scope;
+  const { apply = false } = options;
+  if (!period === !fiscalBookId) {
+    throw new Error(
+      'Invalid reapply scope: provide either period or fiscalBookId'
+    );
+  }
+
+  const rules = await categoryRuleRepository.findActive();
+  const transactions = await findScopeTransactions(scope);
+
+  const changes = [];
+  const skipped = [];
+  let matched = 0;
+
+  for (const transaction of transactions) {
+    const rule = findMatchingRule(rules, transaction);
+    if (!rule) {
+      continue;
+    }
+    matched++;
+
+    const currentCategory = transaction.transactionCategory
+      ? String(transaction.transactionCategory)
+      : null;
+    const proposedCategory = String(rule.category);
+    if (currentCategory === proposedCategory) {
+      continue;
+    }
+
+    const change = {
+      transactionId: transaction.id,
+      transactionDescription: transaction.transactionDescription,
+      transactionValue: transaction.transactionValue,
+      currentCategory,
+      proposedCategory,
+      ruleId: rule.id,
+      ruleName: rule.name,
+    };
+    if (isReconciled(transaction)) {
+      skipped.push({ ...change, reason: RECONCILED_TRANSACTION_ERROR });
+    } else {
+      changes.push(change);
+    }
+  }
+
+  if (apply) {
+    const byId = new Map(transactions.map((transaction) => [transaction.id, transaction]));
+    for (const change of changes) {
+      const updated = await transactionRepository.updateById(change.transactionId, {
+        transactionCategory: change.proposedCategory,
+      });
+      await recordChange({
+        documentType: 'transaction',
+        documentId: change.transactionId,
+        before: byId.get(change.transactionId),
+        after: updated,
+        actor: audit.actor,
+        origin: 'rule',
+        originDetail: change.ruleName,
+      });
+    }
+  }
+
+  return {
+    scope: period ? { period } : { fiscalBookId },
+    applied: Boolean(apply),
+    transactionsAnalyzed: transactions.length,
+    matched,
+    changed: changes.length,
+    changes,
+    skipped,
+  };
+}
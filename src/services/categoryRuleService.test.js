@@ -0,0 +1,278 @@
+import { jest } from '@jest/globals';
+
+const categoryRuleRepository = {
+  insert: jest.fn(),
+  findAll: jest.fn(),
+  findActive: jest.fn(),
+  findById: jest.fn(),
+  updateById: jest.fn(),
+  deleteById: jest.fn(),
+};
+
+const transactionRepository = {
+  findAllInPeriod: jest.fn(),
+  findByFiscalBookId: jest.fn(),
+  updateById: jest.fn(),
+};
+
+const fiscalBookRepository = {
+  findById: jest.fn(),
+};
+
+const recordChange = jest.fn();
+
+jest.unstable_mockModule('../repository/categoryRuleRepository.js', () => ({
+  ...categoryRuleRepository,
+}));
+
+jest.unstable_mockModule('../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+
+jest.unstable_mockModule('../repository/fiscalBookRepository.js', () => ({
+  ...fiscalBookRepository,
+}));
+
+jest.unstable_mockModule('./auditService.js', () => ({ recordChange }));
+
+const service = await import('./categoryRuleService.js');
+
+const validRule = {
+  name: 'Mercado',
+  category: 'c-mercado',
+  conditions: { descriptionPattern: 'mercado' },
+};
+
+describe('categoryRuleService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('CRUD', () => {
+    test('createCategoryRule validates and inserts', async () => {
+      categoryRuleRepository.insert.mockResolvedValue({ id: 'r1' });
+
+      await expect(service.createCategoryRule(validRule)).resolves.toEqual({
+        id: 'r1',
+      });
+      expect(categoryRuleRepository.insert).toHaveBeenCalledWith(validRule);
+    });
+
+    test('createCategoryRule rejects invalid rules', async () => {
+      await expect(service.createCategoryRule({ name: 'x' })).rejects.toThrow(
+        'Invalid category rule data: Rule category is required, At least one condition is required'
+      );
+      expect(categoryRuleRepository.insert).not.toHaveBeenCalled();
+    });
+
+    test('getAllCategoryRules lists rules', async () => {
+      categoryRuleRepository.findAll.mockResolvedValue([{ id: 'r1' }]);
+
+      await expect(service.getAllCategoryRules()).resolves.toEqual([
+        { id: 'r1' },
+      ]);
+    });
+
+    test('getCategoryRuleById returns the rule or throws', async () => {
+      categoryRuleRepository.findById
+        .mockResolvedValueOnce({ id: 'r1' })
+        .mockResolvedValueOnce(null);
+
+      await expect(service.getCategoryRuleById('r1')).resolves.toEqual({
+        id: 'r1',
+      });
+      await expect(service.getCategoryRuleById('r2')).rejects.toThrow(
+        'Category rule not found'
+      );
+    });
+
+    test('updateCategoryRule validates and updates', async () => {
+      categoryRuleRepository.updateById
+        .mockResolvedValueOnce({ id: 'r1' })
+        .mockResolvedValueOnce(null);
+
+      await expect(
+        service.updateCategoryRule('r1', validRule)
+      ).resolves.toEqual({ id: 'r1' });
+      await expect(service.updateCategoryRule('r2', validRule)).rejects.toThrow(
+        'Category rule not found'
+      );
+      await expect(service.updateCategoryRule('r1', {})).rejects.toThrow(
+        'Invalid category rule data'
+      );
+    });
+
+    test('deleteCategoryRule deletes or throws', async () => {
+      categoryRuleRepository.deleteById
+        .mockResolvedValueOnce({ id: 'r1' })
+        .mockResolvedValueOnce(null);
+
+      await expect(service.deleteCategoryRule('r1')).resolves.toEqual({
+        id: 'r1',
+      });
+      await expect(service.deleteCategoryRule('r2')).rejects.toThrow(
+        'Category rule not found'
+      );
+    });
+  });
+
+  describe('reapplyCategoryRules', () => {
+    const rules = [
+      {
+        id: 'r-mercado',
+        name: 'Mercado',
+        category: 'c-mercado',
+        priority: 10,
+        conditions: { descriptionPattern: 'mercado' },
+      },
+      {
+        id: 'r-receita',
+        name: 'Receita',
+        category: 'c-receita',
+        conditions: { transactionType: 'credit' },
+      },
+    ];
+    const transactions = [
+      {
+        id: 't1',
+        transactionDescription: 'SUPERMERCADO',
+        transactionValue: '10,00',
+        transactionType: 'debit',
+        transactionCategory: 'c-outros',
+      },
+      {
+        id: 't2',
+        transactionDescription: 'Mercado Livre',
+        transactionType: 'debit',
+        transactionCategory: 'c-mercado',
+      },
+      {
+        id: 't3',
+        transactionDescription: 'Pix recebido',
+        transactionValue: '50,00',
+        transactionType: 'credit',
+      },
+      { id: 't4', transactionDescription: 'Farmácia', transactionType: 'debit' },
+    ];
+
+    beforeEach(() => {
+      categoryRuleRepository.findActive.mockResolvedValue(rules);
+    });
+
+    test('returns the diff for a period without saving', async () => {
+      transactionRepository.findAllInPeriod.mockResolvedValue(transactions);
+
+      const diff = await service.reapplyCategoryRules({ period: '2024-03' });
+
+      expect(transactionRepository.findAllInPeriod).toHaveBeenCalledWith(
+        '2024-03'
+      );
+      expect(diff).toEqual({
+        scope: { period: '2024-03' },
+        applied: false,
+        transactionsAnalyzed: 4,
+        matched: 3,
+        changed: 2,
+        changes: [
+          {
+            transactionId: 't1',
+            transactionDescription: 'SUPERMERCADO',
+            transactionValue: '10,00',
+            currentCategory: 'c-outros',
+            proposedCategory: 'c-mercado',
+            ruleId: 'r-mercado',
+            ruleName: 'Mercado',
+          },
+          {
+            transactionId: 't3',
+            transactionDescription: 'Pix recebido',
+            transactionValue: '50,00',
+            currentCategory: null,
+            proposedCategory: 'c-receita',
+            ruleId: 'r-receita',
+            ruleName: 'Receita',
+          },
+        ],
+        skipped: [],
+      });
+      expect(transactionRepository.updateById).not.toHaveBeenCalled();
+    });
+
+    test('skips reconciled transactions', async () => {
+      transactionRepository.findAllInPeriod.mockResolvedValue([
+        { ...transactions[0], reconciliationId: 'rec1' },
+        transactions[2],
+      ]);
+
+      const diff = await service.reapplyCategoryRules(
+        { period: '2024-03' },
+        { apply: true }
+      );
+
+      expect(diff.changes.map((change) => change.transactionId)).toEqual(['t3']);
+      expect(diff.skipped).toEqual([
+        expect.objectContaining({
+          transactionId: 't1',
+          proposedCategory: 'c-mercado',
+          reason:
+            'Transaction is reconciled: undo the reconciliation before changing it',
+        }),
+      ]);
+      expect(transactionRepository.updateById).toHaveBeenCalledTimes(1);
+      expect(transactionRepository.updateById).toHaveBeenCalledWith('t3', {
+        transactionCategory: 'c-receita',
+      });
+    });
+
+    test('applies the diff for a fiscal book when requested', async () => {
+      fiscalBookRepository.findById.mockResolvedValue({ id: 'fb1' });
+      transactionRepository.findByFiscalBookId.mockResolvedValue(transactions);
+
+      transactionRepository.updateById.mockImplementation(async (id, update) => ({
+        id,
+        ...update,
+      }));
+
+      const diff = await service.reapplyCategoryRules(
+        { fiscalBookId: 'fb1' },
+        { apply: true },
+        { actor: 'ana', origin: 'api', originDetail: 'POST /api/category-rule/reapply' }
+      );
+
+      expect(diff.scope).toEqual({ fiscalBookId: 'fb1' });
+      expect(diff.applied).toBe(true);
+      expect(transactionRepository.updateById).toHaveBeenCalledTimes(2);
+      expect(transactionRepository.updateById).toHaveBeenCalledWith('t1', {
+        transactionCategory: 'c-mercado',
+      });
+      expect(recordChange).toHaveBeenCalledTimes(2);
+      expect(recordChange).toHaveBeenCalledWith({
+        documentType: 'transaction',
+        documentId: 't1',
+        before: transactions[0],
+        after: { id: 't1', transactionCategory: 'c-mercado' },
+        actor: 'ana',
+        origin: 'rule',
+        originDetail: 'Mercado',
+      });
+      transactionRepository.updateById.mockReset();
+    });
+
+    test('throws when the fiscal book does not exist', async () => {
+      fiscalBookRepository.findById.mockResolvedValue(null);
+
+      await expect(
+        service.reapplyCategoryRules({ fiscalBookId: 'missing' })
+      ).rejects.toThrow('Fiscal book not found');
+    });
+
+    test('requires exactly one scope', async () => {
+      await expect(service.reapplyCategoryRules()).rejects.toThrow(
+        'Invalid reapply scope: provide either period or fiscalBookId'
+      );
+      await expect(
+        service.reapplyCategoryRules({ period: '2024-03', fiscalBookId: 'fb1' })
+      ).rejects.toThrow('Invalid reapply scope');
+    });
+  });
+});
@@ -1,19 +1,53 @@
+import mongoose from 'mongoose';
 import logger from '../config/logger.js';
 
 import {
   insert,
-  findById,
   updateById,
   deleteById,
   findAll,
+  findById,
+  reassignParent,
 } from '../repository/categoryRepository.js';
+import * as transactionRepository from '../repository/transactionRepository.js';
+import * as categoryRuleRepository from '../repository/categoryRuleRepository.js';
+import * as budgetRepository from '../repository/budgetRepository.js';
 import { categoryPrototype } from './prototype/categoryPrototype.js';
+import { isReconciled } from './reconciliation/reconciliationLock.js';
+import { isValidPeriod } from '../infrastructure/validators/periodValidator.js';
+import {
+  recordChange,
+  recordDeletion,
+  requestAuditContext,
+} from './auditService.js';
+import {
+  withCategoryPaths,
+  descendantIds,
+  wouldCreateCycle,
+  rollupCategoryTotals,
+} from './categorization/categoryTree.js';
+
+const findWithPath = (categories, id) =>
+  withCategoryPaths(categories).find(
+    (category) => String(category.id) === String(id)
+  );
 
 export const insertCategory = async (req, res) => {
   try {
     const categoryObject = categoryPrototype(req.body);
+    const categories = await findAll();
+
+    if (
+      categoryObject.parentCategory &&
+      !findWithPath(categories, categoryObject.parentCategory)
+    ) {
+      return res
+        .status(400)
+        .send({ message: 'Categoria pai não encontrada' });
+    }
+
     const category = await insert(categoryObject);
-    res.send(category);
+    res.send(findWithPath([...categories, category], category.id));
   } catch (error) {
     res.status(500).send({
       message: error.message || 'Algum erro ocorreu ao salvar category',
@@ -25,7 +59,7 @@ export const findCategoryById = async (req, res) => {
   const id = req.params.id;
 
   try {
-    const category = await findById(id);
+    const category = findWithPath(await findAll(), id);
     if (!category) {
       return res.status(404).send({ message: 'Category não encontrada' });
     } else {
@@ -49,24 +83,78 @@ export const updateCategoryById = async (req, res) => {
   const categoryObject = categoryPrototype(req.body);
 
   try {
+    if (categoryObject.parentCategory) {
+      const categories = await findAll();
+      if (!findWithPath(categories, categoryObject.parentCategory)) {
+        return res
+          .status(400)
+          .send({ message: 'Categoria pai não encontrada' });
+      }
+      if (wouldCreateCycle(categories, id, categoryObject.parentCategory)) {
+        return res.status(400).send({
+          message:
+            'Uma categoria não pode ser filha de si mesma ou de suas subcategorias',
+        });
+      }
+    }
+
+    const current = await findById(id);
     const updatedCategory = await updateById(id, categoryObject);
     if (!updatedCategory) {
       return res.status(404).send({ message: 'Category não encontrada' });
     }
+    await recordChange({
+      documentType: 'category',
+      documentId: id,
+      before: current,
+      after: updatedCategory,
+      ...requestAuditContext(req),
+    });
     res.send({ message: 'Category atualizada com sucesso' });
   } catch (error) {
     res.status(500).send({ message: 'Erro ao atualizar a category: ' + id });
   }
 };
 
+/**
+ * Delete a category that nothing references anymore
+ * Categories still used by transactions, subcategories, category rules or
+ * budgets are kept (409): merge them into another category instead, so no
+ * transaction is left pointing at a deleted category.
+ */
 export const deleteCategoryById = async (req, res) => {
   const id = req.params.id;
 
   try {
+    const categories = await findAll();
+    const usage = {
+      transactions: await transactionRepository.countByCategory(id),
+      subcategories: categories.filter(
+        (category) => String(category.parentCategory) === String(id)
+      ).length,
+      categoryRules: await categoryRuleRepository.countByCategory(id),
+      budgets: await budgetRepository.countByCategory(id),
+    };
+
+    if (Object.values(usage).some((count) => count > 0)) {
+      return res.status(409).send({
+        message:
+          'Category em uso. Mescle-a com outra category antes de excluir',
+        usage,
+      });
+    }
+
     const deletedCategory = await deleteById(id);
     if (!deletedCategory) {
       return res.status(404).send({ message: 'Category não encontrada' });
     } else {
+      await recordDeletion({
+        documentType: 'category',
+        documentId: id,
+        deletedAt: deletedCategory.deletedAt,
+        ...requestAuditContext(req),
+        origin: 'trash',
+      });
       res.send({ message: 'Category excluida com sucesso' });
     }
   } catch (error) {
@@ -76,11 +164,191 @@ export const deleteCategoryById = async (req, res) => {
   }
 };
 
+/**
+ * Record the transactions and subcategories moved by a merge
+ * @param {Array<Object>} movedTransactions - Transactions before the merge
+ * @param {Array<Object>} movedChildren - Subcategories before the merge
+ * @param {Object} audit - Audit context of the merge
+ */
+const recordMergeChanges = async (movedTransactions, movedChildren, audit) => {
+  const transactions = await transactionRepository.findByIds(
+    movedTransactions.map((transaction) => transaction.id)
+  );
+  for (const before of movedTransactions) {
+    await recordChange({
+      documentType: 'transaction',
+      documentId: before.id,
+      before,
+      after: transactions.find(
+        (transaction) => String(transaction.id) === String(before.id)
+      ),
+      ...audit,
+    });
+  }
+  for (const before of movedChildren) {
+    await recordChange({
+      documentType: 'category',
+      documentId: before.id,
+      before,
+      after: await findById(before.id),
+      ...audit,
+    });
+  }
+};
+
+/**
+ * Move everything that references a category to another one, then move the
+ * category to the trash, in one MongoDB session so a failure leaves the
+ * source category as it was
+ * @param {string} sourceId - Merged category ID
+ * @param {string} targetId - Category receiving the references
+ * @returns {Promise<Object>} Update results and the deleted source category
+ */
+const moveCategoryReferences = async (sourceId, targetId) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const moved = {
+      transactions: await transactionRepository.reassignCategory(
+        sourceId,
+        targetId,
+        session
+      ),
+      rules: await categoryRuleRepository.reassignCategory(
+        sourceId,
+        targetId,
+        session
+      ),
+      budgets: await budgetRepository.reassignCategory(
+        sourceId,
+        targetId,
+        session
+      ),
+      children: await reassignParent(sourceId, targetId, session),
+      deletedSource: await deleteById(sourceId, session),
+    };
+    await session.commitTransaction();
+    return moved;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Merge a category into another one
+ * Transactions, category rules, budgets and subcategories of the source
+ * category move to the target category, then the source category is deleted.
+ * A category with reconciled transactions is refused, since they are locked.
+ * Every moved transaction and subcategory and the deleted source category get
+ * an audit entry with the 'merge' origin.
+ */
+export const mergeCategory = async (req, res) => {
+  const sourceId = req.params.id;
+  const targetId = req.body?.targetId;
+
+  if (!targetId) {
+    return res.status(400).send({ message: 'Category de destino inexistente' });
+  }
+  if (String(sourceId) === String(targetId)) {
+    return res
+      .status(400)
+      .send({ message: 'Uma category não pode ser mesclada com ela mesma' });
+  }
+
+  try {
+    const categories = await findAll();
+    const source = findWithPath(categories, sourceId);
+    const target = findWithPath(categories, targetId);
+
+    if (!source || !target) {
+      return res.status(404).send({ message: 'Category não encontrada' });
+    }
+    if (descendantIds(categories, sourceId).includes(String(target.id))) {
+      return res.status(400).send({
+        message: 'Uma category não pode ser mesclada com uma subcategoria',
+      });
+    }
+
+    const movedTransactions = await transactionRepository.findByCategory(
+      sourceId
+    );
+    if (movedTransactions.some(isReconciled)) {
+      return res.status(409).send({
+        message:
+          'Category com transactions conciliadas: desfaça a conciliação antes de mesclar',
+      });
+    }
+    const movedChildren = categories.filter(
+      (category) => String(category.parentCategory) === String(sourceId)
+    );
+
+    const { transactions, rules, budgets, children, deletedSource } =
+      await moveCategoryReferences(sourceId, targetId);
+
+    const audit = { ...requestAuditContext(req), origin: 'merge' };
+    await recordMergeChanges(movedTransactions, movedChildren, audit);
+    await recordDeletion({
+      documentType: 'category',
+      documentId: sourceId,
+      deletedAt: deletedSource.deletedAt,
+      ...audit,
+    });
+
+    logger.info(`Category ${source.path} merged into ${target.path}`);
+
+    res.send({
+      message: 'Category mesclada com sucesso',
+      sourceId: String(sourceId),
+      target,
+      transactionsMoved: transactions.modifiedCount,
+      categoryRulesMoved: rules.modifiedCount,
+      budgetsMoved: budgets.modifiedCount,
+      subcategoriesMoved: children.modifiedCount,
+    });
+  } catch (error) {
+    res
+      .status(500)
+      .send({ message: 'Nao foi possivel mesclar a category: ' + sourceId });
+  }
+};
+
 export const findAllCategories = async (req, res) => {
   try {
     const categories = await findAll();
-    res.send(categories);
+    res.send(withCategoryPaths(categories));
   } catch (error) {
     res.status(500).send({ message: 'Erro ao buscar categories' });
   }
 };
+
+/**
+ * Totals per category for a period (YYYY-MM) or year (YYYY)
+ * Parent categories include the totals of all their subcategories.
+ */
+export const findCategoryTotals = async (req, res) => {
+  const period = String(req.params.period);
+
+  if (!/^\d{4}$/.test(period) && !isValidPeriod(period)) {
+    return res
+      .status(400)
+      .send({ message: 'Período inválido: use YYYY-MM ou YYYY' });
+  }
+
+  try {
+    const transactions =
+      period.length === 4
+        ? await transactionRepository.findAllInYear(period)
+        : await transactionRepository.findAllInPeriod(period);
+    const categories = await findAll();
+
+    res.send({ period, ...rollupCategoryTotals(categories, transactions) });
+  } catch (error) {
+    res
+      .status(500)
+      .send({ message: 'Erro ao calcular totais por category: ' + period });
+  }
+};
@@ -1,16 +1,47 @@
 import { jest } from '@jest/globals';
 
 const insert = jest.fn();
-const findById = jest.fn();
 const updateById = jest.fn();
 const deleteById = jest.fn();
 const findAll = jest.fn();
+const reassignParent = jest.fn();
+const findById = jest.fn();
+
+const transactionRepository = {
+  countByCategory: jest.fn(),
+  reassignCategory: jest.fn(),
+  findByCategory: jest.fn(),
+  findByIds: jest.fn(),
+  findAllInPeriod: jest.fn(),
+  findAllInYear: jest.fn(),
+};
+const categoryRuleRepository = {
+  countByCategory: jest.fn(),
+  reassignCategory: jest.fn(),
+};
+
+const budgetRepository = {
+  countByCategory: jest.fn(),
+  reassignCategory: jest.fn(),
+};
 
 const categoryPrototype = jest.fn((body) => ({
   name: body?.name,
   iconName: body?.iconName,
+  parentCategory: body?.parentCategory,
 }));
 const logger = { error: jest.fn(), info: jest.fn() };
+const session = {
+  startTransaction: jest.fn(),
+  commitTransaction: jest.fn(),
+  abortTransaction: jest.fn(),
+  endSession: jest.fn(),
+};
+const startSession = jest.fn(async () => session);
+
+jest.unstable_mockModule('mongoose', () => ({
+  default: { startSession },
+}));
 
 jest.unstable_mockModule('../config/logger.js', () => ({
   default: logger,
@@ -18,12 +49,39 @@ jest.unstable_mockModule('../config/logger.js', () => ({
 
 jest.unstable_mockModule('../repository/categoryRepository.js', () => ({
   insert,
-  findById,
   updateById,
   deleteById,
   findAll,
+  findById,
+  reassignParent,
+}));
+
+const recordChange = jest.fn();
+const recordDeletion = jest.fn();
+const auditContext = { actor: 'ana', origin: 'api' };
+const requestAuditContext = jest.fn(() => auditContext);
+
+jest.unstable_mockModule('./auditService.js', () => ({
+  recordChange,
+  recordDeletion,
+  requestAuditContext,
 }));
 
+jest.unstable_mockModule(
+  '../repository/transactionRepository.js',
+  () => transactionRepository
+);
+
+jest.unstable_mockModule(
+  '../repository/categoryRuleRepository.js',
+  () => categoryRuleRepository
+);
+
+jest.unstable_mockModule(
+  '../repository/budgetRepository.js',
+  () => budgetRepository
+);
+
 jest.unstable_mockModule('./prototype/categoryPrototype.js', () => ({
   categoryPrototype,
 }));
@@ -33,7 +91,9 @@ const {
   findCategoryById,
   updateCategoryById,
   deleteCategoryById,
+  mergeCategory,
   findAllCategories,
+  findCategoryTotals,
 } = await import('./categoryService.js');
 
 const createRes = () => {
@@ -43,13 +103,47 @@ const createRes = () => {
   return res;
 };
 
+const food = { id: 'food', name: 'Alimentação', parentCategory: null };
+const market = { id: 'market', name: 'Mercado', parentCategory: 'food' };
+const produce = { id: 'produce', name: 'Hortifruti', parentCategory: 'market' };
+const transport = { id: 'transport', name: 'Transporte', parentCategory: null };
+const tree = [food, market, produce, transport];
+
 describe('categoryService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    findAll.mockResolvedValue(tree);
+  });
+
+  test('insertCategory creates category and returns its path', async () => {
+    insert.mockResolvedValue({
+      id: 'fruit',
+      name: 'Frutas',
+      parentCategory: 'produce',
+    });
+    const res = createRes();
+
+    await insertCategory(
+      { body: { name: 'Frutas', parentCategory: 'produce' } },
+      res
+    );
+
+    expect(insert).toHaveBeenCalledWith({
+      name: 'Frutas',
+      iconName: undefined,
+      parentCategory: 'produce',
+    });
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: 'fruit',
+        path: 'Alimentação > Mercado > Hortifruti > Frutas',
+        depth: 3,
+      })
+    );
   });
 
-  test('insertCategory creates category', async () => {
-    insert.mockResolvedValue({ id: '1' });
+  test('insertCategory creates root category', async () => {
+    insert.mockResolvedValue({ id: '1', name: 'Food', iconName: 'icon' });
     const res = createRes();
 
     await insertCategory({ body: { name: 'Food', iconName: 'icon' } }, res);
@@ -58,8 +152,24 @@ describe('categoryService', () => {
       name: 'Food',
       iconName: 'icon',
     });
-    expect(insert).toHaveBeenCalledWith({ name: 'Food', iconName: 'icon' });
-    expect(res.send).toHaveBeenCalledWith({ id: '1' });
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ id: '1', path: 'Food', depth: 0 })
+    );
+  });
+
+  test('insertCategory rejects unknown parent', async () => {
+    const res = createRes();
+
+    await insertCategory(
+      { body: { name: 'Frutas', parentCategory: 'missing' } },
+      res
+    );
+
+    expect(insert).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      message: 'Categoria pai não encontrada',
+    });
   });
 
   test('insertCategory handles errors', async () => {
@@ -88,18 +198,19 @@ describe('categoryService', () => {
     );
   });
 
-  test('findCategoryById returns category', async () => {
-    findById.mockResolvedValue({ id: '1' });
+  test('findCategoryById returns category with path', async () => {
     const res = createRes();
 
-    await findCategoryById({ params: { id: '1' } }, res);
+    await findCategoryById({ params: { id: 'produce' } }, res);
 
-    expect(findById).toHaveBeenCalledWith('1');
-    expect(res.send).toHaveBeenCalledWith({ id: '1' });
+    expect(res.send).toHaveBeenCalledWith({
+      ...produce,
+      path: 'Alimentação > Mercado > Hortifruti',
+      depth: 2,
+    });
   });
 
   test('findCategoryById returns 404 when missing', async () => {
-    findById.mockResolvedValue(null);
     const res = createRes();
 
     await findCategoryById({ params: { id: 'missing' } }, res);
@@ -108,7 +219,7 @@ describe('categoryService', () => {
   });
 
   test('findCategoryById handles errors', async () => {
-    findById.mockRejectedValue(new Error('fail'));
+    findAll.mockRejectedValue(new Error('fail'));
     const res = createRes();
 
     await findCategoryById({ params: { id: '1' } }, res);
@@ -117,7 +228,7 @@ describe('categoryService', () => {
   });
 
   test('findCategoryById uses fallback message when error has no message', async () => {
-    findById.mockRejectedValue({});
+    findAll.mockRejectedValue({});
     const res = createRes();
 
     await findCategoryById({ params: { id: '1' } }, res);
@@ -146,12 +257,82 @@ describe('categoryService', () => {
     );
 
     expect(categoryPrototype).toHaveBeenCalledWith({ name: 'Food' });
-    expect(updateById).toHaveBeenCalledWith('1', { name: 'Food' });
+    expect(findAll).not.toHaveBeenCalled();
+    expect(updateById).toHaveBeenCalledWith('1', {
+      name: 'Food',
+      iconName: undefined,
+      parentCategory: undefined,
+    });
     expect(res.send).toHaveBeenCalledWith(
       expect.objectContaining({ message: expect.any(String) })
     );
   });
 
+  test('updateCategoryById records the change in the history', async () => {
+    findById.mockResolvedValueOnce({ id: '1', name: 'Mercado' });
+    updateById.mockResolvedValueOnce({ id: '1', name: 'Food' });
+    const req = { params: { id: '1' }, body: { name: 'Food' } };
+
+    await updateCategoryById(req, createRes());
+
+    expect(findById).toHaveBeenCalledWith('1');
+    expect(requestAuditContext).toHaveBeenCalledWith(req);
+    expect(recordChange).toHaveBeenCalledWith({
+      documentType: 'category',
+      documentId: '1',
+      before: { id: '1', name: 'Mercado' },
+      after: { id: '1', name: 'Food' },
+      ...auditContext,
+    });
+  });
+
+  test('updateCategoryById moves category under another parent', async () => {
+    updateById.mockResolvedValue({ id: 'market' });
+    const res = createRes();
+
+    await updateCategoryById(
+      { params: { id: 'market' }, body: { parentCategory: 'transport' } },
+      res
+    );
+
+    expect(updateById).toHaveBeenCalledWith(
+      'market',
+      expect.objectContaining({ parentCategory: 'transport' })
+    );
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test('updateCategoryById rejects unknown parent', async () => {
+    const res = createRes();
+
+    await updateCategoryById(
+      { params: { id: 'market' }, body: { parentCategory: 'missing' } },
+      res
+    );
+
+    expect(updateById).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test.each(['food', 'market', 'produce'])(
+    'updateCategoryById rejects cycles (parent %s)',
+    async (parentCategory) => {
+      const res = createRes();
+
+      await updateCategoryById(
+        { params: { id: 'food' }, body: { parentCategory } },
+        res
+      );
+
+      expect(updateById).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        message:
+          'Uma categoria não pode ser filha de si mesma ou de suas subcategorias',
+      });
+    }
+  );
+
   test('updateCategoryById returns 404 when missing', async () => {
     updateById.mockResolvedValue(null);
     const res = createRes();
@@ -176,43 +357,324 @@ describe('categoryService', () => {
     expect(res.status).toHaveBeenCalledWith(500);
   });
 
-  test('deleteCategoryById deletes category', async () => {
-    deleteById.mockResolvedValue({ id: '1' });
-    const res = createRes();
+  describe('deleteCategoryById', () => {
+    beforeEach(() => {
+      transactionRepository.countByCategory.mockResolvedValue(0);
+      categoryRuleRepository.countByCategory.mockResolvedValue(0);
+      budgetRepository.countByCategory.mockResolvedValue(0);
+    });
 
-    await deleteCategoryById({ params: { id: '1' } }, res);
+    test('deletes unused category', async () => {
+      const deletedAt = new Date('2024-03-10T12:00:00.000Z');
+      deleteById.mockResolvedValue({ id: 'transport', deletedAt });
+      const res = createRes();
+
+      await deleteCategoryById({ params: { id: 'transport' } }, res);
+
+      expect(transactionRepository.countByCategory).toHaveBeenCalledWith(
+        'transport'
+      );
+      expect(categoryRuleRepository.countByCategory).toHaveBeenCalledWith(
+        'transport'
+      );
+      expect(deleteById).toHaveBeenCalledWith('transport');
+      expect(recordDeletion).toHaveBeenCalledWith({
+        documentType: 'category',
+        documentId: 'transport',
+        deletedAt,
+        actor: 'ana',
+        origin: 'trash',
+      });
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ message: expect.any(String) })
+      );
+    });
 
-    expect(deleteById).toHaveBeenCalledWith('1');
-    expect(res.send).toHaveBeenCalledWith(
-      expect.objectContaining({ message: expect.any(String) })
-    );
-  });
+    test('keeps category still used by transactions, rules or subcategories', async () => {
+      transactionRepository.countByCategory.mockResolvedValue(5);
+      categoryRuleRepository.countByCategory.mockResolvedValue(1);
+      const res = createRes();
+
+      await deleteCategoryById({ params: { id: 'market' } }, res);
+
+      expect(deleteById).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          usage: {
+            transactions: 5,
+            subcategories: 1,
+            categoryRules: 1,
+            budgets: 0,
+          },
+        })
+      );
+    });
 
-  test('deleteCategoryById returns 404 when missing', async () => {
-    deleteById.mockResolvedValue(null);
-    const res = createRes();
+    test('keeps category that still has budgets', async () => {
+      budgetRepository.countByCategory.mockResolvedValue(1);
+      const res = createRes();
 
-    await deleteCategoryById({ params: { id: 'missing' } }, res);
+      await deleteCategoryById({ params: { id: 'transport' } }, res);
 
-    expect(res.status).toHaveBeenCalledWith(404);
+      expect(deleteById).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+
+    test('keeps category that only has subcategories', async () => {
+      const res = createRes();
+
+      await deleteCategoryById({ params: { id: 'food' } }, res);
+
+      expect(deleteById).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+
+    test('returns 404 when missing', async () => {
+      deleteById.mockResolvedValue(null);
+      const res = createRes();
+
+      await deleteCategoryById({ params: { id: 'missing' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('handles errors', async () => {
+      deleteById.mockRejectedValue(new Error('fail'));
+      const res = createRes();
+
+      await deleteCategoryById({ params: { id: '1' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
   });
 
-  test('deleteCategoryById handles errors', async () => {
-    deleteById.mockRejectedValue(new Error('fail'));
-    const res = createRes();
+  describe('mergeCategory', () => {
+    beforeEach(() => {
+      transactionRepository.reassignCategory.mockResolvedValue({
+        modifiedCount: 7,
+      });
+      categoryRuleRepository.reassignCategory.mockResolvedValue({
+        modifiedCount: 2,
+      });
+      budgetRepository.reassignCategory.mockResolvedValue({
+        modifiedCount: 3,
+      });
+      reassignParent.mockResolvedValue({ modifiedCount: 1 });
+      deleteById.mockResolvedValue({ id: 'market' });
+      transactionRepository.findByCategory.mockResolvedValue([]);
+      transactionRepository.findByIds.mockResolvedValue([]);
+    });
 
-    await deleteCategoryById({ params: { id: '1' } }, res);
+    test('moves transactions, rules and subcategories then deletes source', async () => {
+      const res = createRes();
+
+      await mergeCategory(
+        { params: { id: 'market' }, body: { targetId: 'transport' } },
+        res
+      );
+
+      expect(transactionRepository.reassignCategory).toHaveBeenCalledWith(
+        'market',
+        'transport',
+        session
+      );
+      expect(categoryRuleRepository.reassignCategory).toHaveBeenCalledWith(
+        'market',
+        'transport',
+        session
+      );
+      expect(budgetRepository.reassignCategory).toHaveBeenCalledWith(
+        'market',
+        'transport',
+        session
+      );
+      expect(reassignParent).toHaveBeenCalledWith('market', 'transport', session);
+      expect(deleteById).toHaveBeenCalledWith('market', session);
+      expect(session.commitTransaction).toHaveBeenCalled();
+      expect(session.endSession).toHaveBeenCalled();
+      expect(logger.info).toHaveBeenCalledWith(
+        'Category Alimentação > Mercado merged into Transporte'
+      );
+      expect(res.send).toHaveBeenCalledWith({
+        message: 'Category mesclada com sucesso',
+        sourceId: 'market',
+        target: expect.objectContaining({ id: 'transport', path: 'Transporte' }),
+        transactionsMoved: 7,
+        categoryRulesMoved: 2,
+        budgetsMoved: 3,
+        subcategoriesMoved: 1,
+      });
+    });
 
-    expect(res.status).toHaveBeenCalledWith(500);
+    test('records the moved transactions and subcategories and the deleted source', async () => {
+      const deletedAt = new Date('2024-03-10T12:00:00.000Z');
+      const moved = { id: 't1', transactionCategory: 'market' };
+      transactionRepository.findByCategory.mockResolvedValue([moved]);
+      transactionRepository.findByIds.mockResolvedValue([
+        { id: 't1', transactionCategory: 'transport' },
+      ]);
+      findById.mockResolvedValueOnce({ ...produce, parentCategory: 'transport' });
+      deleteById.mockResolvedValue({ id: 'market', deletedAt });
+      const res = createRes();
+
+      await mergeCategory(
+        { params: { id: 'market' }, body: { targetId: 'transport' } },
+        res
+      );
+
+      expect(transactionRepository.findByCategory).toHaveBeenCalledWith('market');
+      expect(transactionRepository.findByIds).toHaveBeenCalledWith(['t1']);
+      expect(recordChange).toHaveBeenCalledWith({
+        documentType: 'transaction',
+        documentId: 't1',
+        before: moved,
+        after: { id: 't1', transactionCategory: 'transport' },
+        actor: 'ana',
+        origin: 'merge',
+      });
+      expect(findById).toHaveBeenCalledWith('produce');
+      expect(recordChange).toHaveBeenCalledWith({
+        documentType: 'category',
+        documentId: 'produce',
+        before: produce,
+        after: { ...produce, parentCategory: 'transport' },
+        actor: 'ana',
+        origin: 'merge',
+      });
+      expect(recordDeletion).toHaveBeenCalledWith({
+        documentType: 'category',
+        documentId: 'market',
+        deletedAt,
+        actor: 'ana',
+        origin: 'merge',
+      });
+    });
+
+    test('merges a child into its parent', async () => {
+      const res = createRes();
+
+      await mergeCategory(
+        { params: { id: 'produce' }, body: { targetId: 'market' } },
+        res
+      );
+
+      expect(deleteById).toHaveBeenCalledWith('produce', session);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    test('requires a target category', async () => {
+      const res = createRes();
+
+      await mergeCategory({ params: { id: 'market' }, body: {} }, res);
+      await mergeCategory({ params: { id: 'market' } }, res);
+
+      expect(res.status).toHaveBeenNthCalledWith(1, 400);
+      expect(res.status).toHaveBeenNthCalledWith(2, 400);
+      expect(findAll).not.toHaveBeenCalled();
+    });
+
+    test('rejects merging a category into itself', async () => {
+      const res = createRes();
+
+      await mergeCategory(
+        { params: { id: 'market' }, body: { targetId: 'market' } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(deleteById).not.toHaveBeenCalled();
+    });
+
+    test('returns 404 when source or target is missing', async () => {
+      const res = createRes();
+
+      await mergeCategory(
+        { params: { id: 'market' }, body: { targetId: 'missing' } },
+        res
+      );
+      await mergeCategory(
+        { params: { id: 'missing' }, body: { targetId: 'market' } },
+        res
+      );
+
+      expect(res.status).toHaveBeenNthCalledWith(1, 404);
+      expect(res.status).toHaveBeenNthCalledWith(2, 404);
+      expect(transactionRepository.reassignCategory).not.toHaveBeenCalled();
+    });
+
+    test('rejects merging a category into one of its subcategories', async () => {
+      const res = createRes();
+
+      await mergeCategory(
+        { params: { id: 'food' }, body: { targetId: 'produce' } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(transactionRepository.reassignCategory).not.toHaveBeenCalled();
+    });
+
+    test('rejects a category with reconciled transactions', async () => {
+      transactionRepository.findByCategory.mockResolvedValue([
+        { id: 't1', transactionCategory: 'market', reconciliationId: 'r1' },
+      ]);
+      const res = createRes();
+
+      await mergeCategory(
+        { params: { id: 'market' }, body: { targetId: 'transport' } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(startSession).not.toHaveBeenCalled();
+      expect(transactionRepository.reassignCategory).not.toHaveBeenCalled();
+    });
+
+    test('handles errors', async () => {
+      transactionRepository.reassignCategory.mockRejectedValue(
+        new Error('fail')
+      );
+      const res = createRes();
+
+      await mergeCategory(
+        { params: { id: 'market' }, body: { targetId: 'transport' } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(deleteById).not.toHaveBeenCalled();
+    });
+
+    test('rolls the merge back when a step fails', async () => {
+      deleteById.mockRejectedValue(new Error('fail'));
+      const res = createRes();
+
+      await mergeCategory(
+        { params: { id: 'market' }, body: { targetId: 'transport' } },
+        res
+      );
+
+      expect(session.abortTransaction).toHaveBeenCalled();
+      expect(session.commitTransaction).not.toHaveBeenCalled();
+      expect(session.endSession).toHaveBeenCalled();
+      expect(recordChange).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
   });
 
-  test('findAllCategories returns categories', async () => {
-    findAll.mockResolvedValue([{ id: '1' }]);
+  test('findAllCategories returns categories with paths', async () => {
     const res = createRes();
 
     await findAllCategories({}, res);
 
-    expect(res.send).toHaveBeenCalledWith([{ id: '1' }]);
+    const categories = res.send.mock.calls[0][0];
+    expect(categories.map((category) => category.path)).toEqual([
+      'Alimentação',
+      'Alimentação > Mercado',
+      'Alimentação > Mercado > Hortifruti',
+      'Transporte',
+    ]);
   });
 
   test('findAllCategories handles errors', async () => {
@@ -223,4 +685,68 @@ describe('categoryService', () => {
 
     expect(res.status).toHaveBeenCalledWith(500);
   });
+
+  test('findCategoryTotals rolls subcategory totals into parents', async () => {
+    transactionRepository.findAllInPeriod.mockResolvedValue([
+      {
+        transactionValue: '10,00',
+        transactionType: 'debit',
+        transactionCategory: 'produce',
+      },
+      {
+        transactionValue: '5,50',
+        transactionType: 'debit',
+        transactionCategory: 'market',
+      },
+      { transactionValue: '100,00', transactionType: 'credit' },
+    ]);
+    const res = createRes();
+
+    await findCategoryTotals({ params: { period: '2024-03' } }, res);
+
+    expect(transactionRepository.findAllInPeriod).toHaveBeenCalledWith(
+      '2024-03'
+    );
+    const body = res.send.mock.calls[0][0];
+    expect(body.period).toBe('2024-03');
+    expect(body.uncategorized).toEqual({ credit: 100, debit: 0, count: 1 });
+    expect(body.categories[0]).toEqual(
+      expect.objectContaining({
+        categoryId: 'food',
+        own: { credit: 0, debit: 0, count: 0 },
+        total: { credit: 0, debit: 15.5, count: 2 },
+      })
+    );
+  });
+
+  test('findCategoryTotals loads the whole year for YYYY periods', async () => {
+    transactionRepository.findAllInYear.mockResolvedValue([]);
+    const res = createRes();
+
+    await findCategoryTotals({ params: { period: '2024' } }, res);
+
+    expect(transactionRepository.findAllInYear).toHaveBeenCalledWith('2024');
+    expect(transactionRepository.findAllInPeriod).not.toHaveBeenCalled();
+  });
+
+  test('findCategoryTotals rejects invalid periods', async () => {
+    const res = createRes();
+
+    await findCategoryTotals({ params: { period: '2024-13' } }, res);
+    await findCategoryTotals({ params: { period: 'march' } }, res);
+
+    expect(res.status).toHaveBeenNthCalledWith(1, 400);
+    expect(res.status).toHaveBeenNthCalledWith(2, 400);
+    expect(transactionRepository.findAllInPeriod).not.toHaveBeenCalled();
+    expect(transactionRepository.findAllInYear).not.toHaveBeenCalled();
+  });
+
+  test('findCategoryTotals handles errors', async () => {
+    transactionRepository.findAllInPeriod.mockRejectedValue(new Error('fail'));
+    const res = createRes();
+
+    await findCategoryTotals({ params: { period: '2024-03' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
 });
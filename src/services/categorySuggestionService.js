@@ -0,0 +1,77 @@
+import * as transactionRepository from '../repository/transactionRepository.js';
+import * as categoryRepository from '../repository/categoryRepository.js';
+import * as categoryClassifierRepository from '../repository/categoryClassifierRepository.js';
+import { trainClassifier, classify } from './categorization/naiveBayes.js';
+
+/**
+ * Retrain the category classifier from every categorized transaction
+ * @returns {Promise<Object>} Training summary
+ */
+export async function retrainCategoryClassifier() {
+  const transactions =
+    await transactionRepository.findCategorizedForTraining();
+  const model = trainClassifier(transactions);
+  const classifier = await categoryClassifierRepository.saveCurrent(model);
+
+  return {
+    trainedAt: classifier.trainedAt,
+    documentCount: model.documentCount,
+    vocabularySize: model.vocabularySize,
+    categoryCount: model.categories.length,
+  };
+}
+
+/**
+ * Load the current classifier, training it on first use
+ * @returns {Promise<Object>} Classifier
+ */
+async function loadClassifier() {
+  const classifier = await categoryClassifierRepository.findCurrent();
+  if (classifier) {
+    return classifier;
+  }
+
+  await retrainCategoryClassifier();
+  return await categoryClassifierRepository.findCurrent();
+}
+
+/**
+ * Suggest categories for a transaction, ranked by confidence
+ * @param {string} transactionId - Transaction ID
+ * @param {Object} options - Suggestion options
+ * @param {number} options.limit - Maximum number of suggestions (default 3)
+ * @returns {Promise<Object>} { transactionId, currentCategory, trainedAt, suggestions }
+ */
+export async function getCategorySuggestions(transactionId, options = {}) {
+  const { limit = 3 } = options;
+
+  const transaction = await transactionRepository.findById(transactionId);
+  if (!transaction) {
+    throw new Error('Transaction not found');
+  }
+
+  const classifier = await loadClassifier();
+  const categories = await categoryRepository.findAll();
+  const categoryNames = new Map(
+    categories.map((category) => [String(category.id), category.name])
+  );
+
+  // Categories deleted since the last training are not suggested
+  const suggestions = classify(classifier, transaction, Infinity)
+    .filter(({ categoryId }) => categoryNames.has(categoryId))
+    .slice(0, limit)
+    .map(({ categoryId, confidence }) => ({
+      categoryId,
+      categoryName: categoryNames.get(categoryId),
+      confidence,
+    }));
+
+  return {
+    transactionId: String(transaction.id),
+    currentCategory: transaction.transactionCategory
+      ? String(transaction.transactionCategory)
+      : null,
+    trainedAt: classifier?.trainedAt || null,
+    suggestions,
+  };
+}
@@ -0,0 +1,126 @@
+import { jest } from '@jest/globals';
+
+const transactionRepository = {
+  findById: jest.fn(),
+  findCategorizedForTraining: jest.fn(),
+};
+const categoryRepository = { findAll: jest.fn() };
+const categoryClassifierRepository = {
+  findCurrent: jest.fn(),
+  saveCurrent: jest.fn(),
+};
+
+jest.unstable_mockModule('../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+jest.unstable_mockModule('../repository/categoryRepository.js', () => ({
+  ...categoryRepository,
+}));
+jest.unstable_mockModule(
+  '../repository/categoryClassifierRepository.js',
+  () => ({ ...categoryClassifierRepository })
+);
+
+const { trainClassifier } = await import('./categorization/naiveBayes.js');
+const { retrainCategoryClassifier, getCategorySuggestions } = await import(
+  './categorySuggestionService.js'
+);
+
+const history = [
+  { transactionDescription: 'Supermercado Extra', transactionCategory: 'c-mercado' },
+  { transactionDescription: 'Supermercado Dia', transactionCategory: 'c-mercado' },
+  { transactionDescription: 'Uber viagem', transactionCategory: 'c-transporte' },
+  { transactionDescription: 'Farmacia', transactionCategory: 'c-removida' },
+];
+const trainedAt = new Date('2026-10-19T10:00:00Z');
+const classifier = { ...trainClassifier(history), trainedAt };
+
+describe('categorySuggestionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    categoryRepository.findAll.mockResolvedValue([
+      { id: 'c-mercado', name: 'Mercado' },
+      { id: 'c-transporte', name: 'Transporte' },
+    ]);
+  });
+
+  test('retrainCategoryClassifier trains from categorized transactions', async () => {
+    transactionRepository.findCategorizedForTraining.mockResolvedValue(history);
+    categoryClassifierRepository.saveCurrent.mockResolvedValue({ trainedAt });
+
+    const summary = await retrainCategoryClassifier();
+
+    expect(categoryClassifierRepository.saveCurrent).toHaveBeenCalledWith(
+      expect.objectContaining({ documentCount: 4 })
+    );
+    expect(summary).toEqual({
+      trainedAt,
+      documentCount: 4,
+      vocabularySize: 6,
+      categoryCount: 3,
+    });
+  });
+
+  test('getCategorySuggestions ranks existing categories', async () => {
+    transactionRepository.findById.mockResolvedValue({
+      id: 't1',
+      transactionDescription: 'SUPERMERCADO BOM',
+      transactionCategory: 'c-transporte',
+    });
+    categoryClassifierRepository.findCurrent.mockResolvedValue(classifier);
+
+    const result = await getCategorySuggestions('t1', { limit: 5 });
+
+    expect(result.transactionId).toBe('t1');
+    expect(result.currentCategory).toBe('c-transporte');
+    expect(result.trainedAt).toBe(trainedAt);
+    expect(result.suggestions.map((s) => s.categoryId)).toEqual([
+      'c-mercado',
+      'c-transporte',
+    ]);
+    expect(result.suggestions[0]).toEqual({
+      categoryId: 'c-mercado',
+      categoryName: 'Mercado',
+      confidence: expect.any(Number),
+    });
+  });
+
+  test('getCategorySuggestions trains the classifier on first use', async () => {
+    transactionRepository.findById.mockResolvedValue({
+      id: 't1',
+      transactionDescription: 'uber',
+    });
+    transactionRepository.findCategorizedForTraining.mockResolvedValue(history);
+    categoryClassifierRepository.saveCurrent.mockResolvedValue({ trainedAt });
+    categoryClassifierRepository.findCurrent
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(classifier);
+
+    const result = await getCategorySuggestions('t1');
+
+    expect(categoryClassifierRepository.saveCurrent).toHaveBeenCalled();
+    expect(result.currentCategory).toBeNull();
+    expect(result.suggestions).toHaveLength(2);
+    expect(result.suggestions[0].categoryName).toBe('Transporte');
+  });
+
+  test('getCategorySuggestions handles an empty training set', async () => {
+    transactionRepository.findById.mockResolvedValue({ id: 't1' });
+    transactionRepository.findCategorizedForTraining.mockResolvedValue([]);
+    categoryClassifierRepository.saveCurrent.mockResolvedValue({ trainedAt });
+    categoryClassifierRepository.findCurrent.mockResolvedValue(null);
+
+    const result = await getCategorySuggestions('t1');
+
+    expect(result.trainedAt).toBeNull();
+    expect(result.suggestions).toEqual([]);
+  });
+
+  test('getCategorySuggestions throws for unknown transactions', async () => {
+    transactionRepository.findById.mockResolvedValue(null);
+
+    await expect(getCategorySuggestions('missing')).rejects.toThrow(
+      'Transaction not found'
+    );
+  });
+});
@@ -24,10 +24,39 @@ import {
   upsertByCnpj,
   getCompanyStatistics,
 } from '../repository/companyRepository.js';
+import {
+  recordChange,
+  recordDeletion,
+  requestAuditContext,
+} from './auditService.js';
+import { findTrashedHolder } from './trashService.js';
+
+/**
+ * Look up the company in the trash holding the CNPJ of a request body
+ * @param {Object} companyObject - Company data
+ * @returns {Promise<Object|null>} Trashed company, or null when none holds it
+ */
+const findTrashedCnpjHolder = (companyObject) =>
+  findTrashedHolder('company', { companyCnpj: companyObject?.companyCnpj });
+
+/**
+ * Refuse a CNPJ held by a company in the trash
+ * @param {Object} res - Express response object
+ * @param {Object} trashed - Company in the trash
+ */
+const sendTrashedCnpjConflict = (res, trashed) =>
+  res.status(409).send({
+    message: 'Company com este CNPJ está na lixeira: restaure-a em vez de criar outra',
+    trash: { type: 'company', id: String(trashed.id) },
+  });
 
 export const insertCompany = async (req, res) => {
   try {
     const companyObject = req.body;
+    const trashed = await findTrashedCnpjHolder(companyObject);
+    if (trashed) {
+      return sendTrashedCnpjConflict(res, trashed);
+    }
     const company = await insert(companyObject);
     res.send(company);
   } catch (error) {
@@ -40,6 +69,10 @@ export const insertCompany = async (req, res) => {
 export const createCompany = async (req, res) => {
   try {
     const companyObject = req.body;
+    const trashed = await findTrashedCnpjHolder(companyObject);
+    if (trashed) {
+      return sendTrashedCnpjConflict(res, trashed);
+    }
     const company = await insert(companyObject);
     res.status(201).send(company);
   } catch (error) {
@@ -162,10 +195,22 @@ export const updateCompanyById = async (req, res) => {
 
   const companyObject = req.body;
   try {
+    const trashed = await findTrashedCnpjHolder(companyObject);
+    if (trashed) {
+      return sendTrashedCnpjConflict(res, trashed);
+    }
+    const current = await findById(id);
     const company = await updateById(id, companyObject);
     if (!company) {
       return res.status(404).send({ message: 'Company não encontrada' });
     }
+    await recordChange({
+      documentType: 'company',
+      documentId: id,
+      before: current,
+      after: company,
+      ...requestAuditContext(req),
+    });
     res.send({ message: 'Company atualizada com sucesso' });
   } catch (error) {
     res.status(500).send({ message: 'Erro ao atualizar a company: ' + id });
@@ -182,6 +227,10 @@ export const updateCompanyByCnpj = async (req, res) => {
 
   const companyObject = req.body;
   try {
+    const trashed = await findTrashedCnpjHolder(companyObject);
+    if (trashed) {
+      return sendTrashedCnpjConflict(res, trashed);
+    }
     const company = await updateByCnpj(cnpj, companyObject);
     if (!company) {
       return res.status(404).send({ message: 'Company não encontrada' });
@@ -215,6 +264,22 @@ export const upsertCompanyByCnpj = async (req, res) => {
   }
 };
 
+/**
+ * Record a company moved to the trash
+ * @param {Object} req - Express request object
+ * @param {string} id - Company ID
+ * @param {Date} deletedAt - When the company went to the trash
+ */
+const recordCompanyDeletion = async (req, id, deletedAt) => {
+  await recordDeletion({
+    documentType: 'company',
+    documentId: id,
+    deletedAt,
+    ...requestAuditContext(req),
+    origin: 'trash',
+  });
+};
+
 export const deleteCompanyById = async (req, res) => {
   const id = req.params.id;
   try {
@@ -222,6 +287,7 @@ export const deleteCompanyById = async (req, res) => {
     if (!company) {
       return res.status(404).send({ message: 'Company não encontrada' });
     } else {
+      await recordCompanyDeletion(req, company.id, company.deletedAt);
       res.send({ message: 'Company excluída com sucesso' });
     }
   } catch (error) {
@@ -238,6 +304,7 @@ export const deleteCompanyByCnpj = async (req, res) => {
     if (!company) {
       return res.status(404).send({ message: 'Company não encontrada' });
     } else {
+      await recordCompanyDeletion(req, company.id, company.deletedAt);
       res.send({ message: 'Company excluída com sucesso' });
     }
   } catch (error) {
@@ -258,6 +325,9 @@ export const deleteCompaniesByIds = async (req, res) => {
 
   try {
     const result = await deleteByIds(ids);
+    for (const id of result.ids) {
+      await recordCompanyDeletion(req, id, result.deletedAt);
+    }
     res.send({
       message: `${result.deletedCount} companies excluídas com sucesso`,
       deletedCount: result.deletedCount,
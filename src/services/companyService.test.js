@@ -35,6 +35,23 @@ jest.unstable_mockModule('../repository/companyRepository.js', () => ({
   ...repository,
 }));
 
+const recordChange = jest.fn();
+const recordDeletion = jest.fn();
+const auditContext = { actor: 'ana', origin: 'api' };
+const requestAuditContext = jest.fn(() => auditContext);
+
+jest.unstable_mockModule('./auditService.js', () => ({
+  recordChange,
+  recordDeletion,
+  requestAuditContext,
+}));
+
+const findTrashedHolder = jest.fn();
+
+jest.unstable_mockModule('./trashService.js', () => ({
+  findTrashedHolder,
+}));
+
 const service = await import('./companyService.js');
 const {
   insertCompany,
@@ -73,6 +90,7 @@ const createRes = () => {
 describe('companyService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    repository.findById.mockReset();
   });
 
   test('insertCompany sends company', async () => {
@@ -85,6 +103,31 @@ describe('companyService', () => {
     expect(res.send).toHaveBeenCalledWith({ id: '1' });
   });
 
+  test('company writes refuse a CNPJ held by a company in the trash', async () => {
+    findTrashedHolder.mockResolvedValue({ id: 'c9' });
+    const conflict = {
+      message:
+        'Company com este CNPJ está na lixeira: restaure-a em vez de criar outra',
+      trash: { type: 'company', id: 'c9' },
+    };
+    const body = { companyCnpj: '123' };
+    const res = createRes();
+
+    await insertCompany({ body }, res);
+    await createCompany({ body }, res);
+    await updateCompanyById({ params: { id: '1' }, body }, res);
+    await updateCompanyByCnpj({ params: { cnpj: '456' }, body }, res);
+
+    expect(findTrashedHolder).toHaveBeenCalledWith('company', { companyCnpj: '123' });
+    expect(res.status).toHaveBeenCalledTimes(4);
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.send).toHaveBeenCalledWith(conflict);
+    expect(repository.insert).not.toHaveBeenCalled();
+    expect(repository.updateById).not.toHaveBeenCalled();
+    expect(repository.updateByCnpj).not.toHaveBeenCalled();
+    findTrashedHolder.mockReset();
+  });
+
   test('insertCompany handles errors', async () => {
     repository.insert.mockRejectedValue(new Error('fail'));
     const res = createRes();
@@ -297,6 +340,22 @@ describe('companyService', () => {
     );
   });
 
+  test('updateCompanyById records the change in the history', async () => {
+    repository.findById.mockResolvedValueOnce({ id: '1', companyName: 'B' });
+    repository.updateById.mockResolvedValueOnce({ id: '1', companyName: 'A' });
+    const req = { params: { id: '1' }, body: { companyName: 'A' } };
+
+    await updateCompanyById(req, createRes());
+
+    expect(recordChange).toHaveBeenCalledWith({
+      documentType: 'company',
+      documentId: '1',
+      before: { id: '1', companyName: 'B' },
+      after: { id: '1', companyName: 'A' },
+      ...auditContext,
+    });
+  });
+
   test('updateCompanyById returns 404 when missing', async () => {
     repository.updateById.mockResolvedValue(null);
     const res = createRes();
@@ -394,11 +453,19 @@ describe('companyService', () => {
   });
 
   test('deleteCompanyById deletes company', async () => {
-    repository.deleteById.mockResolvedValue({ id: '1' });
+    const deletedAt = new Date('2024-03-10T12:00:00.000Z');
+    repository.deleteById.mockResolvedValue({ id: '1', deletedAt });
     const res = createRes();
 
     await deleteCompanyById({ params: { id: '1' } }, res);
 
+    expect(recordDeletion).toHaveBeenCalledWith({
+      documentType: 'company',
+      documentId: '1',
+      deletedAt,
+      actor: 'ana',
+      origin: 'trash',
+    });
     expect(res.send).toHaveBeenCalledWith(
       expect.objectContaining({ message: expect.any(String) })
     );
@@ -428,6 +495,9 @@ describe('companyService', () => {
 
     await deleteCompanyByCnpj({ params: { cnpj: '1' } }, res);
 
+    expect(recordDeletion).toHaveBeenCalledWith(
+      expect.objectContaining({ documentId: '1', origin: 'trash' })
+    );
     expect(res.send).toHaveBeenCalledWith(
       expect.objectContaining({ message: expect.any(String) })
     );
@@ -460,11 +530,24 @@ describe('companyService', () => {
   });
 
   test('deleteCompaniesByIds deletes companies', async () => {
-    repository.deleteByIds.mockResolvedValue({ deletedCount: 2 });
-    const res = createRes();
-
-    await deleteCompaniesByIds({ body: { ids: ['1', '2'] } }, res);
-
+    const deletedAt = new Date('2024-03-10T12:00:00.000Z');
+    repository.deleteByIds.mockResolvedValue({
+      deletedCount: 2,
+      ids: ['1', '2'],
+      deletedAt,
+    });
+    const res = createRes();
+
+    await deleteCompaniesByIds({ body: { ids: ['1', '2', '3'] } }, res);
+
+    expect(recordDeletion).toHaveBeenCalledTimes(2);
+    expect(recordDeletion).toHaveBeenCalledWith({
+      documentType: 'company',
+      documentId: '2',
+      deletedAt,
+      actor: 'ana',
+      origin: 'trash',
+    });
     expect(res.send).toHaveBeenCalledWith(
       expect.objectContaining({ deletedCount: 2 })
     );
@@ -0,0 +1,137 @@
+import * as exchangeRateRepository from '../repository/exchangeRateRepository.js';
+import { parseCsv, findHeader } from '../infrastructure/csv/index.js';
+import {
+  BASE_CURRENCY,
+  isValidCurrencyCode,
+  normalizeCurrencyCode,
+} from '../infrastructure/monetary/currencyUtils.js';
+
+import validator from '../infrastructure/validators/exchangeRateValidator.js';
+
+const CSV_HEADERS = {
+  date: ['date', 'data'],
+  currency: ['currency', 'moeda'],
+  rate: ['rate', 'taxa', 'cotacao'],
+};
+
+/**
+ * Build a stored exchange rate from validated data
+ * @param {Object} rateData - Exchange rate data (currency, date, rate)
+ * @param {string} source - Where the rate comes from
+ * @returns {Object} Exchange rate with normalized currency, date and rate
+ */
+function toExchangeRate(rateData, source) {
+  return {
+    currency: normalizeCurrencyCode(rateData.currency),
+    date: validator.parseExchangeRateDate(rateData.date),
+    rate: validator.parseExchangeRateValue(rateData.rate),
+    source,
+  };
+}
+
+/**
+ * Get exchange rates, optionally of one currency
+ * @param {string} currency - Currency code
+ * @returns {Promise<Array>} Exchange rates sorted by currency and date
+ */
+export async function getAllExchangeRates(currency) {
+  const filter = currency ? { currency: normalizeCurrencyCode(currency) } : {};
+  return await exchangeRateRepository.findAll(filter);
+}
+
+/**
+ * Create or replace the rate of a currency on a date
+ * @param {Object} rateData - Exchange rate data (currency, date, rate)
+ * @returns {Promise<Object>} Write counts
+ */
+export async function saveExchangeRate(rateData) {
+  const validation = validator.validateExchangeRateData(rateData);
+  if (!validation.isValid) {
+    throw new Error(
+      `Invalid exchange rate data: ${validation.errors.join(', ')}`
+    );
+  }
+  if (normalizeCurrencyCode(rateData.currency) === BASE_CURRENCY) {
+    throw new Error(
+      `Invalid exchange rate data: ${BASE_CURRENCY} is the base currency`
+    );
+  }
+
+  return await exchangeRateRepository.upsertMany([
+    toExchangeRate(rateData, 'manual'),
+  ]);
+}
+
+/**
+ * Delete an exchange rate
+ * @param {string} id - Exchange rate ID
+ * @returns {Promise<Object>} Deleted exchange rate
+ */
+export async function deleteExchangeRate(id) {
+  const exchangeRate = await exchangeRateRepository.deleteById(id);
+  if (!exchangeRate) {
+    throw new Error('Exchange rate not found');
+  }
+  return exchangeRate;
+}
+
+/**
+ * Import exchange rates from CSV
+ * The CSV needs date, currency and rate columns (Portuguese headers
+ * "data", "moeda" and "taxa" are accepted too). Rates already stored for a
+ * currency and date are replaced; invalid rows are reported and skipped.
+ * @param {string} content - Raw CSV content
+ * @returns {Promise<Object>} Imported, created and updated counts plus row errors
+ */
+export async function importExchangeRatesCsv(content) {
+  const { headers, rows } = parseCsv(String(content || ''));
+  const columns = Object.fromEntries(
+    Object.entries(CSV_HEADERS).map(([field, aliases]) => [
+      field,
+      findHeader(headers, aliases),
+    ])
+  );
+  const missing = Object.keys(columns).filter((field) => !columns[field]);
+  if (missing.length > 0) {
+    throw new Error(
+      `Invalid exchange rate CSV: missing ${missing.join(', ')} column`
+    );
+  }
+
+  const rates = [];
+  const errors = [];
+  rows.forEach(({ line, values }) => {
+    const rateData = {
+      date: values[columns.date],
+      currency: values[columns.currency],
+      rate: values[columns.rate],
+    };
+    const validation = validator.validateExchangeRateData(rateData);
+    if (!validation.isValid) {
+      errors.push({ line, errors: validation.errors });
+    } else if (normalizeCurrencyCode(rateData.currency) !== BASE_CURRENCY) {
+      rates.push(toExchangeRate(rateData, 'csv'));
+    }
+  });
+
+  const written =
+    rates.length > 0
+      ? await exchangeRateRepository.upsertMany(rates)
+      : { created: 0, updated: 0 };
+
+  return { imported: rates.length, ...written, errors };
+}
+
+/**
+ * Load what is needed to report values in a currency
+ * @param {string} currency - Reporting currency code (default BRL)
+ * @returns {Promise<{currency: string, rates: Array}>} Reporting currency and exchange rates
+ */
+export async function getReportingConversion(currency = BASE_CURRENCY) {
+  const code = normalizeCurrencyCode(currency) || BASE_CURRENCY;
+  if (!isValidCurrencyCode(code)) {
+    throw new Error(`Invalid currency: ${currency}`);
+  }
+
+  return { currency: code, rates: await exchangeRateRepository.findAll() };
+}
@@ -0,0 +1,144 @@
+import { jest } from '@jest/globals';
+
+const exchangeRateRepository = {
+  findAll: jest.fn(),
+  upsertMany: jest.fn(),
+  deleteById: jest.fn(),
+};
+
+jest.unstable_mockModule('../repository/exchangeRateRepository.js', () => ({
+  ...exchangeRateRepository,
+}));
+
+const service = await import('./exchangeRateService.js');
+
+const january = new Date('2024-01-31T00:00:00.000Z');
+
+describe('exchangeRateService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    exchangeRateRepository.upsertMany.mockResolvedValue({
+      created: 1,
+      updated: 0,
+    });
+  });
+
+  test('getAllExchangeRates filters by normalized currency', async () => {
+    exchangeRateRepository.findAll.mockResolvedValue([{ id: 'r1' }]);
+
+    await expect(service.getAllExchangeRates('usd')).resolves.toEqual([
+      { id: 'r1' },
+    ]);
+    await service.getAllExchangeRates();
+
+    expect(exchangeRateRepository.findAll).toHaveBeenCalledWith({
+      currency: 'USD',
+    });
+    expect(exchangeRateRepository.findAll).toHaveBeenCalledWith({});
+  });
+
+  test('saveExchangeRate normalizes and upserts the rate', async () => {
+    const result = await service.saveExchangeRate({
+      currency: 'usd',
+      date: '31/01/2024',
+      rate: '4,95',
+    });
+
+    expect(exchangeRateRepository.upsertMany).toHaveBeenCalledWith([
+      { currency: 'USD', date: january, rate: 4.95, source: 'manual' },
+    ]);
+    expect(result).toEqual({ created: 1, updated: 0 });
+  });
+
+  test('saveExchangeRate rejects invalid data and the base currency', async () => {
+    await expect(service.saveExchangeRate({ currency: 'USD' })).rejects.toThrow(
+      'Invalid exchange rate data: Date is required, Rate is required'
+    );
+    await expect(
+      service.saveExchangeRate({ currency: 'BRL', date: '2024-01-31', rate: 1 })
+    ).rejects.toThrow('Invalid exchange rate data: BRL is the base currency');
+    expect(exchangeRateRepository.upsertMany).not.toHaveBeenCalled();
+  });
+
+  test('deleteExchangeRate returns the deleted rate or throws', async () => {
+    exchangeRateRepository.deleteById
+      .mockResolvedValueOnce({ id: 'r1' })
+      .mockResolvedValueOnce(null);
+
+    await expect(service.deleteExchangeRate('r1')).resolves.toEqual({
+      id: 'r1',
+    });
+    await expect(service.deleteExchangeRate('missing')).rejects.toThrow(
+      'Exchange rate not found'
+    );
+  });
+
+  test('importExchangeRatesCsv upserts valid rows and reports invalid ones', async () => {
+    const csv = [
+      'Data;Moeda;Taxa',
+      '31/01/2024;usd;4,95',
+      '2024-01-31;EUR;5,36',
+      '2024-01-31;BRL;1',
+      '2024-13-01;USD;4,90',
+    ].join('\n');
+    exchangeRateRepository.upsertMany.mockResolvedValue({
+      created: 1,
+      updated: 1,
+    });
+
+    const result = await service.importExchangeRatesCsv(csv);
+
+    expect(exchangeRateRepository.upsertMany).toHaveBeenCalledWith([
+      { currency: 'USD', date: january, rate: 4.95, source: 'csv' },
+      { currency: 'EUR', date: january, rate: 5.36, source: 'csv' },
+    ]);
+    expect(result).toEqual({
+      imported: 2,
+      created: 1,
+      updated: 1,
+      errors: [
+        {
+          line: 5,
+          errors: ['Date must use the YYYY-MM-DD or DD/MM/YYYY format'],
+        },
+      ],
+    });
+  });
+
+  test('importExchangeRatesCsv skips writing when no row is valid', async () => {
+    const result = await service.importExchangeRatesCsv(
+      'date,currency,rate\n2024-01-31,USD,abc'
+    );
+
+    expect(exchangeRateRepository.upsertMany).not.toHaveBeenCalled();
+    expect(result.imported).toBe(0);
+    expect(result.created).toBe(0);
+  });
+
+  test('importExchangeRatesCsv requires the date, currency and rate columns', async () => {
+    await expect(service.importExchangeRatesCsv('date,value\n')).rejects.toThrow(
+      'Invalid exchange rate CSV: missing currency, rate column'
+    );
+    await expect(service.importExchangeRatesCsv()).rejects.toThrow(
+      'Invalid exchange rate CSV: missing date, currency, rate column'
+    );
+  });
+
+  test('getReportingConversion validates the currency and loads every rate', async () => {
+    exchangeRateRepository.findAll.mockResolvedValue([{ currency: 'USD' }]);
+
+    await expect(service.getReportingConversion('usd')).resolves.toEqual({
+      currency: 'USD',
+      rates: [{ currency: 'USD' }],
+    });
+    await expect(service.getReportingConversion()).resolves.toEqual(
+      expect.objectContaining({ currency: 'BRL' })
+    );
+    await expect(service.getReportingConversion('')).resolves.toEqual(
+      expect.objectContaining({ currency: 'BRL' })
+    );
+    await expect(service.getReportingConversion('dollar')).rejects.toThrow(
+      'Invalid currency: dollar'
+    );
+  });
+});
@@ -0,0 +1,26 @@
+import { findAllInYear } from '../repository/transactionRepository.js';
+import { getReportingConversion } from './exchangeRateService.js';
+import { summarizeTransactions } from '../infrastructure/monetary/currencyUtils.js';
+import { withReportingValues } from './exporter/reportingValues.js';
+
+export const transactionsExporterService = async (req, res) => {
+  const year = String(req.params.year);
+  try {
+    const conversion = await getReportingConversion(req.query?.currency);
+    const transactions = await findAllInYear(year);
+
+    res.send({
+      year,
+      currency: conversion.currency,
+      summary: summarizeTransactions(transactions, conversion),
+      transactions: withReportingValues(transactions, conversion),
+    });
+  } catch (error) {
+    if (error.message?.includes('Invalid currency')) {
+      return res.status(400).send({ message: error.message });
+    }
+    res.status(500).send({
+      message: 'Erro ao exportar transactions do ano: ' + year,
+    });
+  }
+};
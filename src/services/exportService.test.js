@@ -0,0 +1,93 @@
+import { jest } from '@jest/globals';
+
+const findAllInYear = jest.fn();
+const getReportingConversion = jest.fn();
+
+jest.unstable_mockModule('../repository/transactionRepository.js', () => ({
+  findAllInYear,
+}));
+
+jest.unstable_mockModule('./exchangeRateService.js', () => ({
+  getReportingConversion,
+}));
+
+const { transactionsExporterService } = await import('./exportService.js');
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const rates = [
+  { currency: 'USD', date: new Date('2024-01-01T00:00:00.000Z'), rate: 5 },
+];
+
+describe('transactionsExporterService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getReportingConversion.mockResolvedValue({ currency: 'USD', rates });
+  });
+
+  test('exports the transactions of a year in the reporting currency', async () => {
+    findAllInYear.mockResolvedValue([
+      {
+        transactionDate: new Date('2024-03-01T12:00:00.000Z'),
+        transactionType: 'debit',
+        transactionValue: '100,00',
+      },
+    ]);
+    const res = createRes();
+
+    await transactionsExporterService(
+      { params: { year: 2024 }, query: { currency: 'usd' } },
+      res
+    );
+
+    expect(getReportingConversion).toHaveBeenCalledWith('usd');
+    expect(findAllInYear).toHaveBeenCalledWith('2024');
+    expect(res.send).toHaveBeenCalledWith({
+      year: '2024',
+      currency: 'USD',
+      summary: expect.objectContaining({ totalExpenses: 20 }),
+      transactions: [
+        expect.objectContaining({
+          reportingCurrency: 'USD',
+          reportingValue: '20,00',
+        }),
+      ],
+    });
+  });
+
+  test('returns 400 for an invalid currency', async () => {
+    getReportingConversion.mockRejectedValue(
+      new Error('Invalid currency: dollar')
+    );
+    const res = createRes();
+
+    await transactionsExporterService(
+      { params: { year: '2024' }, query: { currency: 'dollar' } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      message: 'Invalid currency: dollar',
+    });
+    expect(findAllInYear).not.toHaveBeenCalled();
+  });
+
+  test('returns 500 when the transactions cannot be loaded', async () => {
+    findAllInYear.mockRejectedValue(new Error('db'));
+    const res = createRes();
+
+    await transactionsExporterService({ params: { year: '2024' } }, res);
+
+    expect(getReportingConversion).toHaveBeenCalledWith(undefined);
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      message: 'Erro ao exportar transactions do ano: 2024',
+    });
+  });
+});
@@ -0,0 +1,212 @@
+import * as fiscalBookRepository from '../../repository/fiscalBookRepository.js';
+import * as transactionRepository from '../../repository/transactionRepository.js';
+import * as exchangeRateService from '../exchangeRateService.js';
+import * as attachmentService from '../attachmentService.js';
+import { normalizeMonetaryValue } from '../../infrastructure/monetary/monetaryUtils.js';
+import { summarizeTransactions } from '../../infrastructure/monetary/currencyUtils.js';
+import { withReportingValues } from './reportingValues.js';
+
+const csvCell = (value) =>
+  `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+const csvLine = (cells) => cells.map(csvCell).join(',');
+
+const formatDate = (date) =>
+  date ? new Date(date).toISOString().split('T')[0] : '';
+
+const attachmentNames = (attachments) =>
+  attachments.map((attachment) => attachment.fileName).join('; ');
+
+/**
+ * Build the file name of a fiscal book export
+ * @param {Object} fiscalBook - Fiscal book
+ * @param {string} extension - File extension
+ * @returns {string} File name such as "fiscal-book-livro-caixa-2024.csv"
+ */
+function exportFileName(fiscalBook, extension) {
+  const slug = [fiscalBook.bookName, fiscalBook.bookPeriod]
+    .filter(Boolean)
+    .join('-')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .toLowerCase();
+  return `fiscal-book-${slug || fiscalBook.id}.${extension}`;
+}
+
+/**
+ * Copy the attachments of the fiscal book and its transactions
+ * @param {Object} fiscalBook - Fiscal book
+ * @param {Array<Object>} transactions - Transactions of the fiscal book
+ * @param {boolean} includeContent - Whether to add the base64 content of each file
+ * @returns {Promise<{bookAttachments: Array, transactionAttachments: Map}>} Attachment copies
+ */
+async function loadAttachments(fiscalBook, transactions, includeContent) {
+  const bookId = String(fiscalBook.id || fiscalBook._id);
+  const [bookCopies, transactionAttachments] = await Promise.all([
+    attachmentService.getAttachmentCopies('fiscalBook', [bookId]),
+    attachmentService.getAttachmentCopies(
+      'transaction',
+      transactions.map((transaction) => transaction.id || transaction._id)
+    ),
+  ]);
+
+  if (includeContent) {
+    const copies = [bookCopies, transactionAttachments].flatMap((map) =>
+      [...map.values()].flat()
+    );
+    for (const copy of copies) {
+      copy.content = (await attachmentService.readContent(copy.contentHash)).toString(
+        'base64'
+      );
+    }
+  }
+
+  return {
+    bookAttachments: bookCopies.get(bookId) || [],
+    transactionAttachments,
+  };
+}
+
+/**
+ * Load a fiscal book with its summary (and transactions) in a reporting currency
+ * @param {string} id - Fiscal book ID
+ * @param {boolean} includeTransactions - Whether to include the transactions
+ * @param {string} currency - Reporting currency (default BRL)
+ * @param {boolean} includeAttachmentContent - Whether to embed the attachment files
+ * @returns {Promise<Object>} Fiscal book, summary and transactions
+ */
+async function loadFiscalBookExport(
+  id,
+  includeTransactions,
+  currency,
+  includeAttachmentContent = false
+) {
+  const conversion = await exchangeRateService.getReportingConversion(currency);
+  const book = await fiscalBookRepository.findById(id);
+  if (!book) {
+    throw new Error('Fiscal book not found');
+  }
+
+  const fiscalBook = book.toObject ? book.toObject() : book;
+  const transactions = await transactionRepository.findByFiscalBookId(id);
+  const { bookAttachments, transactionAttachments } = await loadAttachments(
+    fiscalBook,
+    includeTransactions ? transactions : [],
+    includeAttachmentContent
+  );
+
+  return {
+    fiscalBook: { ...fiscalBook, attachments: bookAttachments },
+    summary: summarizeTransactions(transactions, conversion),
+    transactions: includeTransactions
+      ? withReportingValues(transactions, conversion).map((transaction) => ({
+          ...transaction,
+          attachments:
+            transactionAttachments.get(String(transaction.id || transaction._id)) || [],
+        }))
+      : undefined,
+  };
+}
+
+/**
+ * Export a fiscal book to JSON
+ * @param {string} id - Fiscal book ID
+ * @param {boolean} includeTransactions - Whether to include the transactions
+ * @param {string} currency - Reporting currency of the summary and values (default BRL)
+ * @param {boolean} includeAttachmentContent - Whether to embed the attachment files as base64
+ * @returns {Promise<{json: Object, filename: string}>} Export data and file name
+ */
+export async function exportFiscalBookToJSON(
+  id,
+  includeTransactions = true,
+  currency = undefined,
+  includeAttachmentContent = false
+) {
+  const data = await loadFiscalBookExport(
+    id,
+    includeTransactions,
+    currency,
+    includeAttachmentContent
+  );
+
+  return {
+    json: { exportedAt: new Date().toISOString(), ...data },
+    filename: exportFileName(data.fiscalBook, 'json'),
+  };
+}
+
+/**
+ * Export a fiscal book to CSV
+ * The file starts with the fiscal book summary, followed by one line per
+ * transaction when they are included. Attachments are listed by file name.
+ * @param {string} id - Fiscal book ID
+ * @param {boolean} includeTransactions - Whether to include the transactions
+ * @param {string} currency - Reporting currency of the summary and values (default BRL)
+ * @returns {Promise<{csv: string, filename: string}>} CSV content and file name
+ */
+export async function exportFiscalBookToCSV(
+  id,
+  includeTransactions = true,
+  currency = undefined
+) {
+  const { fiscalBook, summary, transactions } = await loadFiscalBookExport(
+    id,
+    includeTransactions,
+    currency
+  );
+
+  const lines = [
+    csvLine(['Fiscal Book', fiscalBook.bookName]),
+    csvLine(['Type', fiscalBook.bookType]),
+    csvLine(['Period', fiscalBook.bookPeriod]),
+    csvLine(['Status', fiscalBook.status]),
+    csvLine(['Currency', summary.currency]),
+    csvLine(['Transactions', summary.transactionCount]),
+    csvLine(['Total Income', normalizeMonetaryValue(summary.totalIncome)]),
+    csvLine(['Total Expenses', normalizeMonetaryValue(summary.totalExpenses)]),
+    csvLine(['Net Amount', normalizeMonetaryValue(Math.abs(summary.netAmount))]),
+    csvLine(['Unconverted Transactions', summary.unconvertedCount]),
+    csvLine(['Attachments', attachmentNames(fiscalBook.attachments)]),
+  ];
+
+  if (transactions) {
+    lines.push(
+      '',
+      csvLine([
+        'Date',
+        'Name',
+        'Description',
+        'Type',
+        'Category',
+        'Company',
+        'Value (BRL)',
+        'Original Currency',
+        'Original Value',
+        `Value (${summary.currency})`,
+        'Attachments',
+      ]),
+      ...transactions.map((transaction) =>
+        csvLine([
+          formatDate(transaction.transactionDate),
+          transaction.transactionName,
+          transaction.transactionDescription,
+          transaction.transactionType,
+          transaction.transactionCategory,
+          transaction.companyName,
+          transaction.transactionValue,
+          transaction.originalCurrency,
+          transaction.originalValue,
+          transaction.reportingValue,
+          attachmentNames(transaction.attachments),
+        ])
+      )
+    );
+  }
+
+  return {
+    csv: lines.join('\n'),
+    filename: exportFileName(fiscalBook, 'csv'),
+  };
+}
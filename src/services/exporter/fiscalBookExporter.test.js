@@ -0,0 +1,186 @@
+import { jest } from '@jest/globals';
+
+const fiscalBookRepository = { findById: jest.fn() };
+const transactionRepository = { findByFiscalBookId: jest.fn() };
+const getReportingConversion = jest.fn();
+const attachmentService = { getAttachmentCopies: jest.fn(), readContent: jest.fn() };
+
+jest.unstable_mockModule('../../repository/fiscalBookRepository.js', () => ({
+  ...fiscalBookRepository,
+}));
+
+jest.unstable_mockModule('../../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+
+jest.unstable_mockModule('../exchangeRateService.js', () => ({
+  getReportingConversion,
+}));
+
+jest.unstable_mockModule('../attachmentService.js', () => ({
+  ...attachmentService,
+}));
+
+const { exportFiscalBookToCSV, exportFiscalBookToJSON } = await import(
+  './fiscalBookExporter.js'
+);
+
+const rates = [
+  { currency: 'USD', date: new Date('2024-01-01T00:00:00.000Z'), rate: 5 },
+];
+
+const fiscalBook = {
+  id: 'fb1',
+  bookName: 'Livro Caixa',
+  bookType: 'Outros',
+  bookPeriod: '2024',
+  status: 'Aberto',
+};
+
+const transactions = [
+  {
+    id: 't1',
+    transactionDate: new Date('2024-02-10T12:00:00.000Z'),
+    transactionName: 'Salário',
+    transactionType: 'credit',
+    transactionValue: '1000,00',
+  },
+  {
+    id: 't2',
+    transactionDate: new Date('2024-02-12T12:00:00.000Z'),
+    transactionName: 'Hotel "Central"',
+    transactionType: 'debit',
+    transactionCategory: 'Viagem',
+    transactionValue: '600,00',
+    originalCurrency: 'USD',
+    originalValue: '110,00',
+  },
+];
+
+describe('fiscalBookExporter', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getReportingConversion.mockResolvedValue({ currency: 'BRL', rates: [] });
+    fiscalBookRepository.findById.mockResolvedValue({
+      toObject: () => fiscalBook,
+    });
+    transactionRepository.findByFiscalBookId.mockResolvedValue(transactions);
+    attachmentService.getAttachmentCopies.mockResolvedValue(new Map());
+  });
+
+  test('exports the summary and transactions to CSV', async () => {
+    const { csv, filename } = await exportFiscalBookToCSV('fb1');
+    const lines = csv.split('\n');
+
+    expect(filename).toBe('fiscal-book-livro-caixa-2024.csv');
+    expect(lines[0]).toBe('"Fiscal Book","Livro Caixa"');
+    expect(lines).toContain('"Total Income","1000,00"');
+    expect(lines).toContain('"Total Expenses","600,00"');
+    expect(lines).toContain('"Net Amount","400,00"');
+    expect(lines[lines.length - 3]).toMatch(/,"Value \(BRL\)","Attachments"$/);
+    expect(lines[lines.length - 1]).toBe(
+      '"2024-02-12","Hotel ""Central""","","debit","Viagem","","600,00","USD","110,00","600,00",""'
+    );
+  });
+
+  test('converts the CSV to the reporting currency', async () => {
+    getReportingConversion.mockResolvedValue({ currency: 'USD', rates });
+
+    const { csv } = await exportFiscalBookToCSV('fb1', true, 'usd');
+    const lines = csv.split('\n');
+
+    expect(getReportingConversion).toHaveBeenCalledWith('usd');
+    expect(lines).toContain('"Currency","USD"');
+    expect(lines).toContain('"Total Income","200,00"');
+    expect(lines).toContain('"Total Expenses","110,00"');
+    expect(lines[lines.length - 2]).toMatch(/,"200,00",""$/);
+  });
+
+  test('omits transactions from the CSV when requested', async () => {
+    const { csv } = await exportFiscalBookToCSV('fb1', false);
+
+    expect(csv.split('\n')).toHaveLength(11);
+    expect(csv).not.toContain('Salário');
+  });
+
+  test('exports the fiscal book to JSON', async () => {
+    fiscalBookRepository.findById.mockResolvedValue({ id: 'fb2' });
+    getReportingConversion.mockResolvedValue({ currency: 'USD', rates });
+
+    const { json, filename } = await exportFiscalBookToJSON('fb2', true, 'USD');
+
+    expect(filename).toBe('fiscal-book-fb2.json');
+    expect(json.fiscalBook).toEqual({ id: 'fb2', attachments: [] });
+    expect(json.exportedAt).toEqual(expect.any(String));
+    expect(json.summary).toEqual(
+      expect.objectContaining({
+        currency: 'USD',
+        totalIncome: 200,
+        totalExpenses: 110,
+      })
+    );
+    expect(json.transactions[1]).toEqual(
+      expect.objectContaining({ reportingValue: '110,00' })
+    );
+  });
+
+  test('lists the attachments of the fiscal book and transactions', async () => {
+    const receipt = { fileName: 'hotel.pdf', contentHash: 'a'.repeat(64) };
+    const contract = { fileName: 'contrato.pdf', contentHash: 'b'.repeat(64) };
+    attachmentService.getAttachmentCopies.mockImplementation(async (ownerType) =>
+      ownerType === 'fiscalBook'
+        ? new Map([['fb1', [{ ...contract }]]])
+        : new Map([['t2', [{ ...receipt }, { ...contract }]]])
+    );
+
+    const { csv } = await exportFiscalBookToCSV('fb1');
+    const lines = csv.split('\n');
+
+    expect(attachmentService.getAttachmentCopies).toHaveBeenCalledWith('fiscalBook', ['fb1']);
+    expect(attachmentService.getAttachmentCopies).toHaveBeenCalledWith('transaction', ['t1', 't2']);
+    expect(lines).toContain('"Attachments","contrato.pdf"');
+    expect(lines[lines.length - 1]).toMatch(/,"hotel.pdf; contrato.pdf"$/);
+
+    const { json } = await exportFiscalBookToJSON('fb1');
+    expect(json.fiscalBook.attachments).toEqual([contract]);
+    expect(json.transactions[0].attachments).toEqual([]);
+    expect(json.transactions[1].attachments).toEqual([receipt, contract]);
+    expect(attachmentService.readContent).not.toHaveBeenCalled();
+  });
+
+  test('embeds the attachment contents in the JSON when requested', async () => {
+    const receipt = { fileName: 'hotel.pdf', contentHash: 'a'.repeat(64) };
+    attachmentService.getAttachmentCopies.mockImplementation(async (ownerType) =>
+      ownerType === 'fiscalBook' ? new Map() : new Map([['t2', [{ ...receipt }]]])
+    );
+    attachmentService.readContent.mockResolvedValue(Buffer.from('pdf'));
+
+    const { json } = await exportFiscalBookToJSON('fb1', true, undefined, true);
+
+    expect(attachmentService.readContent).toHaveBeenCalledWith(receipt.contentHash);
+    expect(json.transactions[1].attachments).toEqual([
+      { ...receipt, content: Buffer.from('pdf').toString('base64') },
+    ]);
+
+    await exportFiscalBookToJSON('fb1', false);
+    expect(attachmentService.getAttachmentCopies).toHaveBeenLastCalledWith('transaction', []);
+  });
+
+  test('omits transactions from the JSON when requested', async () => {
+    const { json } = await exportFiscalBookToJSON('fb1', false);
+
+    expect(json.transactions).toBeUndefined();
+    expect(json.summary.transactionCount).toBe(2);
+  });
+
+  test('throws when the fiscal book does not exist', async () => {
+    fiscalBookRepository.findById.mockResolvedValue(null);
+
+    await expect(exportFiscalBookToCSV('missing')).rejects.toThrow(
+      'Fiscal book not found'
+    );
+    await expect(exportFiscalBookToJSON('missing')).rejects.toThrow(
+      'Fiscal book not found'
+    );
+  });
+});
@@ -0,0 +1,28 @@
+import { normalizeMonetaryValue } from '../../infrastructure/monetary/monetaryUtils.js';
+import {
+  indexExchangeRates,
+  transactionAmount,
+} from '../../infrastructure/monetary/currencyUtils.js';
+
+/**
+ * Add the value in a reporting currency to every transaction
+ * Values are converted at the transaction date; `reportingValue` is null
+ * when no exchange rate covers that date.
+ * @param {Array<Object>} transactions - Transaction documents or plain objects
+ * @param {{currency: string, rates: Array}} conversion - Reporting currency and exchange rates
+ * @returns {Array<Object>} Plain transactions with reportingCurrency and reportingValue ("1500,00")
+ */
+export function withReportingValues(transactions, conversion) {
+  const rates = indexExchangeRates(conversion.rates);
+  return transactions.map((transaction) => {
+    const plain =
+      typeof transaction.toJSON === 'function' ? transaction.toJSON() : transaction;
+    const amount = transactionAmount(plain, conversion.currency, rates);
+
+    return {
+      ...plain,
+      reportingCurrency: conversion.currency,
+      reportingValue: amount === null ? null : normalizeMonetaryValue(amount),
+    };
+  });
+}
@@ -0,0 +1,57 @@
+import { withReportingValues } from './reportingValues.js';
+
+const rates = [
+  { currency: 'USD', date: new Date('2024-01-01T00:00:00.000Z'), rate: 5 },
+];
+
+describe('withReportingValues', () => {
+  test('adds the converted value at the transaction date', () => {
+    const document = {
+      toJSON: () => ({
+        id: 't1',
+        transactionDate: new Date('2024-01-15T12:00:00.000Z'),
+        transactionValue: '100,00',
+      }),
+    };
+
+    expect(
+      withReportingValues([document], { currency: 'USD', rates })
+    ).toEqual([
+      expect.objectContaining({
+        id: 't1',
+        reportingCurrency: 'USD',
+        reportingValue: '20,00',
+      }),
+    ]);
+  });
+
+  test('keeps the original value when it is in the reporting currency', () => {
+    const [transaction] = withReportingValues(
+      [
+        {
+          transactionDate: new Date('2024-01-15T12:00:00.000Z'),
+          transactionValue: '500,00',
+          originalCurrency: 'USD',
+          originalValue: '99,90',
+        },
+      ],
+      { currency: 'USD', rates }
+    );
+
+    expect(transaction.reportingValue).toBe('99,90');
+  });
+
+  test('returns a null value when no rate covers the date', () => {
+    const [transaction] = withReportingValues(
+      [
+        {
+          transactionDate: new Date('2023-12-31T12:00:00.000Z'),
+          transactionValue: '100,00',
+        },
+      ],
+      { currency: 'USD', rates }
+    );
+
+    expect(transaction.reportingValue).toBeNull();
+  });
+});
@@ -1,6 +1,13 @@
 import * as fiscalBookRepository from '../repository/fiscalBookRepository.js';
 import * as transactionRepository from '../repository/transactionRepository.js';
 import * as snapshotSchedulerService from './snapshotSchedulerService.js';
+import * as exchangeRateService from './exchangeRateService.js';
+import { recordChange, recordDeletion } from './auditService.js';
+import {
+  assertNotReconciled,
+  isReconciled,
+} from './reconciliation/reconciliationLock.js';
+import { summarizeTransactions } from '../infrastructure/monetary/currencyUtils.js';
 import mongoose from 'mongoose';
 import TransactionModel from '../models/TransactionModel.js';
 
@@ -25,14 +32,21 @@ export async function createFiscalBook(fiscalBookData) {
 
 /**
  * Get all fiscal books with optional filtering
- * Includes transaction count and financial summary for each book
+ * Includes transaction count and financial summary for each book. With
+ * `options.currency`, the summary is converted to that reporting currency at
+ * each transaction date.
  * @param {Object} filter - Filter criteria
- * @param {Object} options - Query options (pagination, sorting)
+ * @param {Object} options - Query options (pagination, sorting, currency)
  * @returns {Promise<Array>} List of fiscal books with statistics
  */
 export async function getAllFiscalBooks(filter = {}, options = {}) {
+  const { currency, ...queryOptions } = options;
+  const conversion = currency
+    ? await exchangeRateService.getReportingConversion(currency)
+    : null;
+
   // Get all fiscal books using standard query
-  const books = await fiscalBookRepository.findAll(filter, options);
+  const books = await fiscalBookRepository.findAll(filter, queryOptions);
   
   // Add transaction count and financial summary for each book
   const booksWithStats = await Promise.all(
@@ -42,17 +56,28 @@ export async function getAllFiscalBooks(filter = {}, options = {}) {
       
       // Get transactions for this book
       const transactions = await transactionRepository.findByFiscalBookId(bookId);
+
+      if (conversion) {
+        return { ...bookObj, ...summarizeTransactions(transactions, conversion) };
+      }
       
       // Compute financial summary
       let totalIncome = 0;
       let totalExpenses = 0;
       
       transactions.forEach(tx => {
+        // Internal transfers are neither income nor expenses
+        if (tx.transferPairId) {
+          return;
+        }
         // Handle both comma and period decimal formats
         const valueStr = (tx.transactionValue || '0').replace(',', '.');
         const value = parseFloat(valueStr) || 0;
         
-        if (tx.transactionType === 'credit') {
+        // Refunds reduce the expenses of their purchase
+        if (tx.refundOfId) {
+          totalExpenses -= Math.abs(value);
+        } else if (tx.transactionType === 'credit') {
           totalIncome += value;
         } else {
           totalExpenses += Math.abs(value);
@@ -89,22 +114,33 @@ export async function getFiscalBookById(id) {
  * Update a fiscal book
  * @param {string} id - Fiscal book ID
  * @param {Object} updateData - Data to update
+ * @param {Object} audit - Audit context of the change (actor, origin, originDetail)
  * @returns {Promise<Object>} Updated fiscal book
  */
-export async function updateFiscalBook(id, updateData) {
+export async function updateFiscalBook(id, updateData, audit = {}) {
+  const currentBook = await fiscalBookRepository.findById(id);
   const updatedBook = await fiscalBookRepository.updateById(id, updateData);
   if (!updatedBook) {
     throw new Error('Fiscal book not found');
   }
+  await recordChange({
+    documentType: 'fiscalBook',
+    documentId: id,
+    before: currentBook,
+    after: updatedBook,
+    origin: 'api',
+    ...audit,
+  });
   return updatedBook;
 }
 
 /**
  * Delete a fiscal book
  * @param {string} id - Fiscal book ID
+ * @param {Object} audit - Audit context of the deletion (actor, originDetail)
  * @returns {Promise<Object>} Deleted fiscal book
  */
-export async function deleteFiscalBook(id) {
+export async function deleteFiscalBook(id, audit = {}) {
   // First check if the book has transactions
   const transactions = await fiscalBookRepository.findBookTransactions(
     id,
@@ -119,6 +155,13 @@ export async function deleteFiscalBook(id) {
   if (!deletedBook) {
     throw new Error('Fiscal book not found');
   }
+  await recordDeletion({
+    documentType: 'fiscalBook',
+    documentId: id,
+    deletedAt: deletedBook.deletedAt,
+    ...audit,
+    origin: 'trash',
+  });
   return deletedBook;
 }
 
@@ -245,6 +288,7 @@ export async function addTransactionToFiscalBook(fiscalBookId, transactionId) {
     if (!transaction) {
       throw new Error('Transaction not found');
     }
+    assertNotReconciled(transaction);
 
     // Validate the relationship
     const validationResult =
@@ -293,6 +337,7 @@ export async function removeTransactionFromFiscalBook(transactionId) {
     if (!transaction) {
       throw new Error('Transaction not found');
     }
+    assertNotReconciled(transaction);
 
     // Update the transaction to remove fiscal book ID
     const updatedTransaction = await transactionRepository.updateById(
@@ -315,7 +360,8 @@ export async function removeTransactionFromFiscalBook(transactionId) {
  * Bulk add transactions to a fiscal book
  * @param {string} fiscalBookId - Fiscal book ID
  * @param {Array<string>} transactionIds - Array of transaction IDs
- * @returns {Promise<Object>} Result with count of updated transactions
+ * @returns {Promise<Object>} Result with count of updated, failed and skipped
+ *   (reconciled) transactions
  */
 export async function bulkAddTransactionsToFiscalBook(
   fiscalBookId,
@@ -331,8 +377,16 @@ export async function bulkAddTransactionsToFiscalBook(
       throw new Error('Fiscal book not found');
     }
 
+    // Reconciled transactions are locked until the reconciliation is undone
+    const transactions = await Promise.all(
+      transactionIds.map((id) => transactionRepository.findById(id, session))
+    );
+    const unlockedIds = transactionIds.filter(
+      (id, index) => !isReconciled(transactions[index])
+    );
+
     // Update all transactions
-    const updatePromises = transactionIds.map((id) =>
+    const updatePromises = unlockedIds.map((id) =>
       transactionRepository.updateById(id, { fiscalBookId }, session)
     );
 
@@ -350,6 +404,7 @@ export async function bulkAddTransactionsToFiscalBook(
       success: true,
       updatedCount: successCount,
       failedCount,
+      skippedCount: transactionIds.length - unlockedIds.length,
     };
   } catch (error) {
     await session.abortTransaction();
@@ -72,6 +72,20 @@ jest.unstable_mockModule('../models/TransactionModel.js', () => ({
   default: TransactionModel,
 }));
 
+const exchangeRateService = {
+  getReportingConversion: jest.fn(),
+};
+
+jest.unstable_mockModule('./exchangeRateService.js', () => exchangeRateService);
+
+const recordChange = jest.fn();
+const recordDeletion = jest.fn();
+
+jest.unstable_mockModule('./auditService.js', () => ({
+  recordChange,
+  recordDeletion,
+}));
+
 const service = await import('./fiscalBookService.js');
 const {
   createFiscalBook,
@@ -156,6 +170,44 @@ describe('fiscalBookService', () => {
     }]);
   });
 
+  test('getAllFiscalBooks converts the summary to the reporting currency', async () => {
+    exchangeRateService.getReportingConversion.mockResolvedValue({
+      currency: 'USD',
+      rates: [
+        { currency: 'USD', date: new Date('2024-01-01T00:00:00.000Z'), rate: 5 },
+      ],
+    });
+    fiscalBookRepository.findAll.mockResolvedValue([{ id: 'fb1' }]);
+    transactionRepository.findByFiscalBookId.mockResolvedValue([
+      {
+        transactionDate: new Date('2024-01-10T12:00:00.000Z'),
+        transactionType: 'credit',
+        transactionValue: '100,00',
+      },
+      {
+        transactionDate: new Date('2023-01-10T12:00:00.000Z'),
+        transactionType: 'debit',
+        transactionValue: '10,00',
+      },
+    ]);
+
+    const result = await getAllFiscalBooks({}, { limit: 1, currency: 'usd' });
+
+    expect(exchangeRateService.getReportingConversion).toHaveBeenCalledWith('usd');
+    expect(fiscalBookRepository.findAll).toHaveBeenCalledWith({}, { limit: 1 });
+    expect(result).toEqual([
+      {
+        id: 'fb1',
+        currency: 'USD',
+        transactionCount: 2,
+        totalIncome: 20,
+        totalExpenses: 0,
+        netAmount: 20,
+        unconvertedCount: 1,
+      },
+    ]);
+  });
+
   test('getFiscalBookById returns book', async () => {
     fiscalBookRepository.findById.mockResolvedValue({ id: 'fb1' });
 
@@ -178,6 +230,23 @@ describe('fiscalBookService', () => {
     );
   });
 
+  test('updateFiscalBook records the change with its audit context', async () => {
+    fiscalBookRepository.findById.mockResolvedValueOnce({ id: 'fb1', status: 'Aberto' });
+    fiscalBookRepository.updateById.mockResolvedValueOnce({ id: 'fb1', status: 'Fechado' });
+
+    await updateFiscalBook('fb1', { status: 'Fechado' }, { actor: 'ana', originDetail: 'PUT' });
+
+    expect(recordChange).toHaveBeenCalledWith({
+      documentType: 'fiscalBook',
+      documentId: 'fb1',
+      before: { id: 'fb1', status: 'Aberto' },
+      after: { id: 'fb1', status: 'Fechado' },
+      origin: 'api',
+      actor: 'ana',
+      originDetail: 'PUT',
+    });
+  });
+
   test('updateFiscalBook throws when missing', async () => {
     fiscalBookRepository.updateById.mockResolvedValue(null);
 
@@ -205,11 +274,23 @@ describe('fiscalBookService', () => {
     );
   });
 
-  test('deleteFiscalBook deletes book', async () => {
+  test('deleteFiscalBook moves book to the trash', async () => {
     fiscalBookRepository.findBookTransactions.mockResolvedValue([]);
-    fiscalBookRepository.deleteById.mockResolvedValue({ id: 'fb1' });
+    const deletedAt = new Date('2024-03-10T12:00:00.000Z');
+    fiscalBookRepository.deleteById.mockResolvedValue({ id: 'fb1', deletedAt });
 
-    await expect(deleteFiscalBook('fb1')).resolves.toEqual({ id: 'fb1' });
+    await expect(deleteFiscalBook('fb1', { actor: 'ana', origin: 'api' })).resolves.toEqual({
+      id: 'fb1',
+      deletedAt,
+    });
+    expect(fiscalBookRepository.deleteById).toHaveBeenCalledWith('fb1');
+    expect(recordDeletion).toHaveBeenCalledWith({
+      documentType: 'fiscalBook',
+      documentId: 'fb1',
+      deletedAt,
+      actor: 'ana',
+      origin: 'trash',
+    });
   });
 
   describe.each([
@@ -294,6 +375,33 @@ describe('fiscalBookService', () => {
     expect(result[0].netAmount).toBeCloseTo(25.25);
   });
 
+  test('getAllFiscalBooks leaves internal transfers out of the summary', async () => {
+    fiscalBookRepository.findAll.mockResolvedValue([{ id: 'fb1' }]);
+    transactionRepository.findByFiscalBookId.mockResolvedValue([
+      { transactionValue: '40,00', transactionType: 'debit' },
+      { transactionValue: '900,00', transactionType: 'debit', transferPairId: 'c1' },
+    ]);
+
+    const result = await getAllFiscalBooks();
+
+    expect(result[0].transactionCount).toBe(2);
+    expect(result[0].totalExpenses).toBeCloseTo(40);
+  });
+
+  test('getAllFiscalBooks nets refunds against expenses', async () => {
+    fiscalBookRepository.findAll.mockResolvedValue([{ id: 'fb1' }]);
+    transactionRepository.findByFiscalBookId.mockResolvedValue([
+      { transactionValue: '-100,00', transactionType: 'debit' },
+      { transactionValue: '30,00', transactionType: 'credit', refundOfId: 'd1' },
+    ]);
+
+    const result = await getAllFiscalBooks();
+
+    expect(result[0].totalIncome).toBe(0);
+    expect(result[0].totalExpenses).toBeCloseTo(70);
+    expect(result[0].netAmount).toBeCloseTo(-70);
+  });
+
   test('getAllFiscalBooks handles null transaction values', async () => {
     fiscalBookRepository.findAll.mockResolvedValue([{ id: 'fb1' }]);
     transactionRepository.findByFiscalBookId.mockResolvedValue([
@@ -402,6 +510,25 @@ describe('fiscalBookService', () => {
     expect(session.endSession).toHaveBeenCalled();
   });
 
+  test('adding or removing a reconciled transaction is refused', async () => {
+    fiscalBookRepository.findById.mockResolvedValue({ id: 'fb1' });
+    transactionRepository.findById.mockResolvedValue({
+      id: 't1',
+      reconciliationId: 'r1',
+    });
+
+    await expect(addTransactionToFiscalBook('fb1', 't1')).rejects.toThrow(
+      'Transaction is reconciled'
+    );
+    await expect(removeTransactionFromFiscalBook('t1')).rejects.toThrow(
+      'Transaction is reconciled'
+    );
+
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+    expect(session.abortTransaction).toHaveBeenCalledTimes(2);
+    transactionRepository.findById.mockReset();
+  });
+
   test('bulkAddTransactionsToFiscalBook updates transactions', async () => {
     fiscalBookRepository.findById.mockResolvedValue({ id: 'fb1' });
     transactionRepository.updateById
@@ -411,7 +538,37 @@ describe('fiscalBookService', () => {
     const result = await bulkAddTransactionsToFiscalBook('fb1', ['t1', 't2']);
 
     expect(session.commitTransaction).toHaveBeenCalled();
-    expect(result).toEqual({ success: true, updatedCount: 1, failedCount: 1 });
+    expect(result).toEqual({
+      success: true,
+      updatedCount: 1,
+      failedCount: 1,
+      skippedCount: 0,
+    });
+  });
+
+  test('bulkAddTransactionsToFiscalBook skips reconciled transactions', async () => {
+    fiscalBookRepository.findById.mockResolvedValue({ id: 'fb1' });
+    transactionRepository.findById.mockImplementation(async (id) => ({
+      id,
+      reconciliationId: id === 't2' ? 'r1' : undefined,
+    }));
+    transactionRepository.updateById.mockResolvedValue({ id: 't1' });
+
+    const result = await bulkAddTransactionsToFiscalBook('fb1', ['t1', 't2']);
+
+    expect(transactionRepository.updateById).toHaveBeenCalledTimes(1);
+    expect(transactionRepository.updateById).toHaveBeenCalledWith(
+      't1',
+      { fiscalBookId: 'fb1' },
+      session
+    );
+    expect(result).toEqual({
+      success: true,
+      updatedCount: 1,
+      failedCount: 0,
+      skippedCount: 1,
+    });
+    transactionRepository.findById.mockReset();
   });
 
   test('bulkAddTransactionsToFiscalBook throws when book missing', async () => {
@@ -0,0 +1,67 @@
+import * as transactionRepository from '../repository/transactionRepository.js';
+import { validateAccessKey } from '../infrastructure/validators/index.js';
+import { isValidPeriod } from '../infrastructure/validators/periodValidator.js';
+
+const digits = (value) => String(value || '').replace(/[^\d]/g, '');
+
+/**
+ * Decode a fiscal note access key into its parts
+ * Keys with 44 digits are decoded even when invalid, so a wrong check digit
+ * or state can be told apart from a mistyped key.
+ * @param {string} accessKey - NF-e, NFC-e or CT-e access key
+ * @returns {Object} Key parts with isValid and errors
+ * @throws {Error} When the key does not have 44 digits
+ */
+export function decodeFiscalNote(accessKey) {
+  const { isValid, errors, decoded } = validateAccessKey(accessKey);
+  if (!decoded) {
+    throw new Error('Invalid access key: must have 44 digits');
+  }
+  return { ...decoded, isValid, errors };
+}
+
+/**
+ * Compare a transaction with the access key of its fiscal note
+ * - invalidKey: the key fails validation
+ * - cnpjMismatch: the key issuer is not the transaction company
+ * - periodMismatch: the key emission month is not the transaction period
+ * @param {Object} transaction - Transaction with transactionFiscalNote
+ * @returns {{fiscalNote: Object|null, issues: Array<string>}} Decoded key and issues found
+ */
+export function checkFiscalNote(transaction) {
+  const { isValid, decoded } = validateAccessKey(transaction.transactionFiscalNote);
+  const issues = isValid ? [] : ['invalidKey'];
+  if (!decoded) {
+    return { fiscalNote: null, issues };
+  }
+
+  const issuer = digits(decoded.issuerCnpj || decoded.issuerCpf);
+  if (transaction.companyCnpj && digits(transaction.companyCnpj) !== issuer) {
+    issues.push('cnpjMismatch');
+  }
+  if (
+    transaction.transactionPeriod &&
+    transaction.transactionPeriod !== decoded.period
+  ) {
+    issues.push('periodMismatch');
+  }
+  return { fiscalNote: decoded, issues };
+}
+
+/**
+ * List the transactions of a period whose fiscal note key disagrees with them
+ * @param {string} period - Period (YYYY-MM)
+ * @returns {Promise<Object>} Checked count and transactions with issues
+ */
+export async function findFiscalNoteMismatches(period) {
+  if (!isValidPeriod(period)) {
+    throw new Error('Invalid fiscal note period: expected YYYY-MM');
+  }
+
+  const transactions = await transactionRepository.findWithFiscalNote(period);
+  const mismatches = transactions
+    .map((transaction) => ({ transaction, ...checkFiscalNote(transaction) }))
+    .filter(({ issues }) => issues.length > 0);
+
+  return { period, checked: transactions.length, mismatches };
+}
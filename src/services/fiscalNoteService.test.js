@@ -0,0 +1,99 @@
+import { jest } from '@jest/globals';
+
+const transactionRepository = { findWithFiscalNote: jest.fn() };
+
+jest.unstable_mockModule('../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+
+const { decodeFiscalNote, checkFiscalNote, findFiscalNoteMismatches } =
+  await import('./fiscalNoteService.js');
+
+const accessKey = '35240311222333000181650010000012341000012349';
+const transaction = {
+  id: 't1',
+  transactionPeriod: '2024-03',
+  transactionFiscalNote: accessKey,
+  companyCnpj: '11.222.333/0001-81',
+};
+
+describe('fiscalNoteService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('decodeFiscalNote decodes valid and invalid 44-digit keys', () => {
+    expect(decodeFiscalNote(accessKey)).toMatchObject({
+      accessKey,
+      state: 'SP',
+      period: '2024-03',
+      issuerCnpj: '11.222.333/0001-81',
+      modelName: 'NFC-e',
+      series: 1,
+      number: 1234,
+      isValid: true,
+      errors: [],
+    });
+    expect(decodeFiscalNote(`${accessKey.slice(0, 43)}0`)).toMatchObject({
+      number: 1234,
+      isValid: false,
+      errors: ['Invalid check digit: expected 9'],
+    });
+    expect(() => decodeFiscalNote('123')).toThrow(
+      'Invalid access key: must have 44 digits'
+    );
+  });
+
+  test('checkFiscalNote flags keys disagreeing with the transaction', () => {
+    expect(checkFiscalNote(transaction)).toEqual({
+      fiscalNote: expect.objectContaining({ accessKey }),
+      issues: [],
+    });
+    expect(
+      checkFiscalNote({
+        ...transaction,
+        transactionPeriod: '2024-04',
+        companyCnpj: '04.252.011/0001-10',
+      }).issues
+    ).toEqual(['cnpjMismatch', 'periodMismatch']);
+    expect(
+      checkFiscalNote({
+        transactionFiscalNote: `${accessKey.slice(0, 43)}0`,
+      }).issues
+    ).toEqual(['invalidKey']);
+    expect(checkFiscalNote({ transactionFiscalNote: 'NF 123' })).toEqual({
+      fiscalNote: null,
+      issues: ['invalidKey'],
+    });
+  });
+
+  test('findFiscalNoteMismatches lists only transactions with issues', async () => {
+    const mismatch = { ...transaction, id: 't2', transactionPeriod: '2024-02' };
+    transactionRepository.findWithFiscalNote.mockResolvedValueOnce([
+      transaction,
+      mismatch,
+    ]);
+
+    await expect(findFiscalNoteMismatches('2024-02')).resolves.toEqual({
+      period: '2024-02',
+      checked: 2,
+      mismatches: [
+        {
+          transaction: mismatch,
+          fiscalNote: expect.objectContaining({ period: '2024-03' }),
+          issues: ['periodMismatch'],
+        },
+      ],
+    });
+    expect(transactionRepository.findWithFiscalNote).toHaveBeenCalledWith(
+      '2024-02'
+    );
+  });
+
+  test('findFiscalNoteMismatches rejects invalid periods', async () => {
+    await expect(findFiscalNoteMismatches('2024')).rejects.toThrow(
+      'Invalid fiscal note period: expected YYYY-MM'
+    );
+    expect(transactionRepository.findWithFiscalNote).not.toHaveBeenCalled();
+  });
+});
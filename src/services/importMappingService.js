@@ -0,0 +1,108 @@
+import {
+  insert,
+  findAll,
+  findById,
+  updateById,
+  deleteById,
+} from '../repository/importMappingRepository.js';
+import { importMappingPrototype } from './prototype/importMappingPrototype.js';
+
+const REQUIRED_FIELDS = ['name', 'dateColumn', 'valueColumn', 'descriptionColumn'];
+
+/**
+ * List the required mapping fields missing from a mapping profile
+ * @param {Object} mappingObject - Mapping profile
+ * @returns {Array<string>} Missing field names
+ */
+export function missingMappingFields(mappingObject) {
+  return REQUIRED_FIELDS.filter((field) => !mappingObject[field]);
+}
+
+export const insertImportMapping = async (req, res) => {
+  if (!req.body) {
+    return res.status(400).send({ message: 'Dados do mapeamento inexistentes' });
+  }
+
+  const mappingObject = importMappingPrototype(req.body);
+  const missing = missingMappingFields(mappingObject);
+  if (missing.length > 0) {
+    return res.status(400).send({
+      message: `Campos obrigatórios ausentes: ${missing.join(', ')}`,
+    });
+  }
+
+  try {
+    const mapping = await insert(mappingObject);
+    res.send(mapping);
+  } catch (error) {
+    res.status(500).send({
+      message: error.message || 'Algum erro ocorreu ao salvar o mapeamento',
+    });
+  }
+};
+
+export const findAllImportMappings = async (req, res) => {
+  try {
+    const mappings = await findAll();
+    res.send(mappings);
+  } catch (error) {
+    res.status(500).send({ message: 'Erro ao buscar mapeamentos' });
+  }
+};
+
+export const findImportMappingById = async (req, res) => {
+  const id = req.params.id;
+
+  try {
+    const mapping = await findById(id);
+    if (!mapping) {
+      return res.status(404).send({ message: 'Mapeamento não encontrado' });
+    }
+    res.send(mapping);
+  } catch (error) {
+    res.status(500).send({
+      message: error.message || 'Erro ao buscar o mapeamento',
+    });
+  }
+};
+
+export const updateImportMappingById = async (req, res) => {
+  const id = req.params.id;
+  if (!req.body) {
+    return res.status(400).send({ message: 'Dados do mapeamento inexistentes' });
+  }
+
+  const mappingObject = importMappingPrototype(req.body);
+  const missing = missingMappingFields(mappingObject);
+  if (missing.length > 0) {
+    return res.status(400).send({
+      message: `Campos obrigatórios ausentes: ${missing.join(', ')}`,
+    });
+  }
+
+  try {
+    const mapping = await updateById(id, mappingObject);
+    if (!mapping) {
+      return res.status(404).send({ message: 'Mapeamento não encontrado' });
+    }
+    res.send(mapping);
+  } catch (error) {
+    res.status(500).send({ message: 'Erro ao atualizar o mapeamento: ' + id });
+  }
+};
+
+export const deleteImportMappingById = async (req, res) => {
+  const id = req.params.id;
+
+  try {
+    const mapping = await deleteById(id);
+    if (!mapping) {
+      return res.status(404).send({ message: 'Mapeamento não encontrado' });
+    }
+    res.send({ message: 'Mapeamento excluído com sucesso' });
+  } catch (error) {
+    res
+      .status(500)
+      .send({ message: 'Não foi possível excluir o mapeamento: ' + id });
+  }
+};
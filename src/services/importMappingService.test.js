@@ -0,0 +1,215 @@
+import { jest } from '@jest/globals';
+
+const insert = jest.fn();
+const findAll = jest.fn();
+const findById = jest.fn();
+const updateById = jest.fn();
+const deleteById = jest.fn();
+
+jest.unstable_mockModule('../repository/importMappingRepository.js', () => ({
+  insert,
+  findAll,
+  findById,
+  updateById,
+  deleteById,
+}));
+
+const {
+  missingMappingFields,
+  insertImportMapping,
+  findAllImportMappings,
+  findImportMappingById,
+  updateImportMappingById,
+  deleteImportMappingById,
+} = await import('./importMappingService.js');
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const body = {
+  name: 'Banco X',
+  dateColumn: 'Data',
+  valueColumn: 'Valor',
+  descriptionColumn: 'Histórico',
+};
+
+describe('importMappingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('missingMappingFields lists missing required fields', () => {
+    expect(missingMappingFields(body)).toEqual([]);
+    expect(missingMappingFields({ name: 'X' })).toEqual([
+      'dateColumn',
+      'valueColumn',
+      'descriptionColumn',
+    ]);
+  });
+
+  describe('insertImportMapping', () => {
+    test('saves the mapping profile', async () => {
+      insert.mockResolvedValue({ id: 'm1', ...body });
+      const res = createRes();
+
+      await insertImportMapping({ body }, res);
+
+      expect(insert).toHaveBeenCalledWith(
+        expect.objectContaining({ ...body, decimalSeparator: ',' })
+      );
+      expect(res.send).toHaveBeenCalledWith({ id: 'm1', ...body });
+    });
+
+    test('returns 400 without body or required fields', async () => {
+      const res = createRes();
+
+      await insertImportMapping({}, res);
+      await insertImportMapping({ body: { name: 'X' } }, res);
+
+      expect(res.status).toHaveBeenNthCalledWith(1, 400);
+      expect(res.status).toHaveBeenNthCalledWith(2, 400);
+      expect(res.send).toHaveBeenLastCalledWith({
+        message:
+          'Campos obrigatórios ausentes: dateColumn, valueColumn, descriptionColumn',
+      });
+      expect(insert).not.toHaveBeenCalled();
+    });
+
+    test('returns 500 on repository errors', async () => {
+      insert
+        .mockRejectedValueOnce(new Error('fail'))
+        .mockRejectedValueOnce({});
+      const res = createRes();
+
+      await insertImportMapping({ body }, res);
+      await insertImportMapping({ body }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenNthCalledWith(1, { message: 'fail' });
+      expect(res.send).toHaveBeenNthCalledWith(2, {
+        message: 'Algum erro ocorreu ao salvar o mapeamento',
+      });
+    });
+  });
+
+  describe('findAllImportMappings', () => {
+    test('lists mapping profiles', async () => {
+      findAll.mockResolvedValue([{ id: 'm1' }]);
+      const res = createRes();
+
+      await findAllImportMappings({}, res);
+
+      expect(res.send).toHaveBeenCalledWith([{ id: 'm1' }]);
+    });
+
+    test('returns 500 on errors', async () => {
+      findAll.mockRejectedValue(new Error('fail'));
+      const res = createRes();
+
+      await findAllImportMappings({}, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('findImportMappingById', () => {
+    test('returns the mapping or 404', async () => {
+      findById.mockResolvedValueOnce({ id: 'm1' }).mockResolvedValueOnce(null);
+      const res = createRes();
+
+      await findImportMappingById({ params: { id: 'm1' } }, res);
+      await findImportMappingById({ params: { id: 'm2' } }, res);
+
+      expect(res.send).toHaveBeenNthCalledWith(1, { id: 'm1' });
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('returns 500 on errors', async () => {
+      findById
+        .mockRejectedValueOnce(new Error('fail'))
+        .mockRejectedValueOnce({});
+      const res = createRes();
+
+      await findImportMappingById({ params: { id: 'm1' } }, res);
+      await findImportMappingById({ params: { id: 'm1' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenLastCalledWith({
+        message: 'Erro ao buscar o mapeamento',
+      });
+    });
+  });
+
+  describe('updateImportMappingById', () => {
+    test('updates the mapping or returns 404', async () => {
+      updateById
+        .mockResolvedValueOnce({ id: 'm1', ...body })
+        .mockResolvedValueOnce(null);
+      const res = createRes();
+
+      await updateImportMappingById({ params: { id: 'm1' }, body }, res);
+      await updateImportMappingById({ params: { id: 'm2' }, body }, res);
+
+      expect(updateById).toHaveBeenCalledWith(
+        'm1',
+        expect.objectContaining(body)
+      );
+      expect(res.send).toHaveBeenNthCalledWith(1, { id: 'm1', ...body });
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('returns 400 without body or required fields', async () => {
+      const res = createRes();
+
+      await updateImportMappingById({ params: { id: 'm1' } }, res);
+      await updateImportMappingById(
+        { params: { id: 'm1' }, body: { name: 'X' } },
+        res
+      );
+
+      expect(res.status).toHaveBeenNthCalledWith(1, 400);
+      expect(res.status).toHaveBeenNthCalledWith(2, 400);
+      expect(updateById).not.toHaveBeenCalled();
+    });
+
+    test('returns 500 on errors', async () => {
+      updateById.mockRejectedValue(new Error('fail'));
+      const res = createRes();
+
+      await updateImportMappingById({ params: { id: 'm1' }, body }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        message: 'Erro ao atualizar o mapeamento: m1',
+      });
+    });
+  });
+
+  describe('deleteImportMappingById', () => {
+    test('deletes the mapping or returns 404', async () => {
+      deleteById.mockResolvedValueOnce({ id: 'm1' }).mockResolvedValueOnce(null);
+      const res = createRes();
+
+      await deleteImportMappingById({ params: { id: 'm1' } }, res);
+      await deleteImportMappingById({ params: { id: 'm2' } }, res);
+
+      expect(res.send).toHaveBeenNthCalledWith(1, {
+        message: 'Mapeamento excluído com sucesso',
+      });
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('returns 500 on errors', async () => {
+      deleteById.mockRejectedValue(new Error('fail'));
+      const res = createRes();
+
+      await deleteImportMappingById({ params: { id: 'm1' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
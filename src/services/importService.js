@@ -0,0 +1,206 @@
+import mongoose from 'mongoose';
+import {
+  runImport,
+  previewImport,
+  commitImport,
+} from './importer/importPipeline.js';
+import { importFiscalNotes } from './importer/nfe/nfeImport.js';
+import { INVALID_FILE_MESSAGE } from './importer/parsers/parserUtils.js';
+import * as importMappingRepository from '../repository/importMappingRepository.js';
+import * as accountRepository from '../repository/accountRepository.js';
+
+/**
+ * Extract the uploaded file content from the request body
+ * Accepts { content: '...' } (CSV/JSON text), a raw text body or a parsed JSON array.
+ * @param {Object|string|Array} body - Request body
+ * @returns {string|Array|undefined} File content
+ */
+export function extractImportContent(body) {
+  if (typeof body === 'string' || Array.isArray(body)) {
+    return body;
+  }
+  return body ? body.content : undefined;
+}
+
+const isClientError = (error) => {
+  const message = error.message || '';
+  return (
+    message.startsWith(INVALID_FILE_MESSAGE) ||
+    message.startsWith('Unsupported import source') ||
+    message.startsWith('Import mapping') ||
+    message.startsWith('Import account') ||
+    message.startsWith('Import preview was generated for source')
+  );
+};
+
+/**
+ * Refuse to preview or commit NF-e notes
+ * NF-e imports enrich the transactions the notes pay instead of running the
+ * statement pipeline, so they have no dry run.
+ * @param {string} source - Import source
+ * @param {Object} res - Express response
+ * @returns {boolean} True when the request was refused
+ */
+const refuseNfePreview = (source, res) => {
+  if (source !== 'nfe') {
+    return false;
+  }
+  res.status(404).send({
+    message:
+      'Importação de NF-e não tem pré-visualização: envie os XMLs para /import/nfe',
+  });
+  return true;
+};
+
+/**
+ * Load the column mapping profile referenced by a generic CSV import
+ * @param {string} mappingRef - Mapping profile ID or name
+ * @returns {Promise<Object>} Mapping profile
+ * @throws {Error} When the reference is missing or unknown
+ */
+export async function resolveImportMapping(mappingRef) {
+  if (!mappingRef) {
+    throw new Error('Import mapping is required for CSV imports (?mapping=)');
+  }
+
+  const mapping =
+    (mongoose.isValidObjectId(mappingRef) &&
+      (await importMappingRepository.findById(mappingRef))) ||
+    (await importMappingRepository.findByName(mappingRef));
+  if (!mapping) {
+    throw new Error(`Import mapping not found: ${mappingRef}`);
+  }
+  return mapping;
+}
+
+/**
+ * Build the import options from the request query
+ * - duplicates=skip leaves already imported rows untouched (default merges them)
+ * - mapping=<id or name> selects the column mapping of generic CSV imports
+ * - account=<id> imports the rows into an account instead of the account of their source
+ * @param {string} source - Import source
+ * @param {Object} query - Request query
+ * @returns {Promise<Object>} Import options
+ */
+export async function resolveImportOptions(source, query = {}) {
+  const options = {
+    duplicates: query.duplicates === 'skip' ? 'skip' : 'update',
+  };
+  if (source === 'csv') {
+    options.mapping = (await resolveImportMapping(query.mapping)).toObject();
+  }
+  if (query.account) {
+    const account =
+      mongoose.isValidObjectId(query.account) &&
+      (await accountRepository.findById(query.account));
+    if (!account) {
+      throw new Error(`Import account not found: ${query.account}`);
+    }
+    options.accountId = String(account.id);
+  }
+  return options;
+}
+
+/**
+ * Build the express handler importing statements from a source
+ * Query: duplicates, mapping and account (see resolveImportOptions)
+ * @param {string} source - Import source
+ * @param {Function} importContent - Imports (content, options) into a report (default: runImport of the source)
+ * @returns {Function} Express handler
+ */
+export function createImporter(
+  source,
+  importContent = (content, options) => runImport(source, content, options)
+) {
+  return async (req, res) => {
+    const content = extractImportContent(req.body);
+    if (!content || content.length === 0) {
+      return res.status(400).send({
+        message: 'Arquivo de importação inexistente',
+      });
+    }
+
+    try {
+      const options = await resolveImportOptions(source, req.query);
+      const report = await importContent(content, options);
+      res.send(report);
+    } catch (error) {
+      res.status(isClientError(error) ? 400 : 500).send({
+        message: error.message || `Erro ao importar transações de ${source}`,
+      });
+    }
+  };
+}
+
+/**
+ * Preview an import without persisting anything (dry run)
+ * Params: source. Query: duplicates, mapping and account (see resolveImportOptions)
+ * Responds with the rows that would be imported and a previewToken for commitImporter.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export async function previewImporter(req, res) {
+  const { source } = req.params;
+  if (refuseNfePreview(source, res)) {
+    return;
+  }
+  const content = extractImportContent(req.body);
+  if (!content || content.length === 0) {
+    return res.status(400).send({
+      message: 'Arquivo de importação inexistente',
+    });
+  }
+
+  try {
+    const options = await resolveImportOptions(source, req.query);
+    const report = await previewImport(source, content, options);
+    res.send(report);
+  } catch (error) {
+    res.status(isClientError(error) ? 400 : 500).send({
+      message:
+        error.message || `Erro ao pré-visualizar importação de ${source}`,
+    });
+  }
+}
+
+/**
+ * Commit a previewed import
+ * Params: source. Body: { previewToken }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export async function commitImporter(req, res) {
+  const { source } = req.params;
+  if (refuseNfePreview(source, res)) {
+    return;
+  }
+  const previewToken = req.body?.previewToken;
+  if (!previewToken) {
+    return res.status(400).send({
+      message: 'Token de pré-visualização inexistente',
+    });
+  }
+
+  try {
+    const report = await commitImport(source, previewToken);
+    res.send(report);
+  } catch (error) {
+    const message = error.message || '';
+    let status = isClientError(error) ? 400 : 500;
+    if (message.startsWith('Import preview not found')) {
+      status = 404;
+    }
+    res.status(status).send({
+      message: message || `Erro ao importar transações de ${source}`,
+    });
+  }
+}
+
+export const nubankImporter = createImporter('nubank');
+export const nubankCreditImporter = createImporter('nubank-credit');
+export const digioCreditImporter = createImporter('digio-credit');
+export const flashImporter = createImporter('flash');
+export const mercadolivreImporter = createImporter('mercadolivre');
+export const ofxImporter = createImporter('ofx');
+export const csvImporter = createImporter('csv');
+export const nfeImporter = createImporter('nfe', importFiscalNotes);
@@ -0,0 +1,383 @@
+import { jest } from '@jest/globals';
+
+const runImport = jest.fn();
+const previewImport = jest.fn();
+const commitImport = jest.fn();
+const importFiscalNotes = jest.fn();
+
+const importMappingRepository = {
+  findById: jest.fn(),
+  findByName: jest.fn(),
+};
+
+jest.unstable_mockModule('../repository/importMappingRepository.js', () => ({
+  ...importMappingRepository,
+}));
+
+const accountRepository = { findById: jest.fn() };
+
+jest.unstable_mockModule('../repository/accountRepository.js', () => ({
+  ...accountRepository,
+}));
+
+jest.unstable_mockModule('./importer/importPipeline.js', () => ({
+  runImport,
+  previewImport,
+  commitImport,
+}));
+
+jest.unstable_mockModule('./importer/nfe/nfeImport.js', () => ({
+  importFiscalNotes,
+}));
+
+const {
+  extractImportContent,
+  createImporter,
+  nubankImporter,
+  nubankCreditImporter,
+  digioCreditImporter,
+  flashImporter,
+  mercadolivreImporter,
+  previewImporter,
+  commitImporter,
+  ofxImporter,
+  csvImporter,
+  nfeImporter,
+  resolveImportMapping,
+  resolveImportOptions,
+} = await import('./importService.js');
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.send = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('importService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('extractImportContent accepts text, arrays and content field', () => {
+    expect(extractImportContent('a,b')).toBe('a,b');
+    expect(extractImportContent([{ id: 1 }])).toEqual([{ id: 1 }]);
+    expect(extractImportContent({ content: 'x' })).toBe('x');
+    expect(extractImportContent(undefined)).toBeUndefined();
+  });
+
+  test.each([
+    [nubankImporter, 'nubank'],
+    [nubankCreditImporter, 'nubank-credit'],
+    [digioCreditImporter, 'digio-credit'],
+    [flashImporter, 'flash'],
+    [mercadolivreImporter, 'mercadolivre'],
+    [ofxImporter, 'ofx'],
+  ])('importer runs pipeline for its source', async (importer, source) => {
+    runImport.mockResolvedValue({ source, imported: 1 });
+    const res = createRes();
+
+    await importer({ body: { content: 'csv' }, query: {} }, res);
+
+    expect(runImport).toHaveBeenCalledWith(source, 'csv', {
+      duplicates: 'update',
+    });
+    expect(res.send).toHaveBeenCalledWith({ source, imported: 1 });
+  });
+
+  test('forwards duplicates=skip option', async () => {
+    runImport.mockResolvedValue({});
+    const res = createRes();
+
+    await nubankImporter(
+      { body: { content: 'csv' }, query: { duplicates: 'skip' } },
+      res
+    );
+
+    expect(runImport).toHaveBeenCalledWith('nubank', 'csv', {
+      duplicates: 'skip',
+    });
+  });
+
+  test('returns 400 when there is no file content', async () => {
+    const res = createRes();
+
+    await createImporter('nubank')({ body: {} }, res);
+    await createImporter('nubank')({ body: [] }, res);
+
+    expect(res.status).toHaveBeenCalledTimes(2);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(runImport).not.toHaveBeenCalled();
+  });
+
+  test('returns 400 for invalid files and unsupported sources', async () => {
+    const res = createRes();
+    runImport
+      .mockRejectedValueOnce(new Error('Invalid import file: missing column(s) Data'))
+      .mockRejectedValueOnce(new Error('Unsupported import source: x'));
+
+    await createImporter('nubank')({ body: 'csv' }, res);
+    await createImporter('x')({ body: 'csv' }, res);
+
+    expect(res.status).toHaveBeenNthCalledWith(1, 400);
+    expect(res.status).toHaveBeenNthCalledWith(2, 400);
+  });
+
+  test('returns 500 on unexpected errors with fallback message', async () => {
+    const res = createRes();
+    runImport.mockRejectedValue({});
+
+    await createImporter('flash')({ body: 'csv' }, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      message: 'Erro ao importar transações de flash',
+    });
+  });
+
+
+  describe('previewImporter', () => {
+    test('previews the import of the requested source', async () => {
+      previewImport.mockResolvedValue({ previewToken: 'tok', isDryRun: true });
+      const res = createRes();
+
+      await previewImporter(
+        {
+          params: { source: 'flash' },
+          body: { content: 'csv' },
+          query: { duplicates: 'skip' },
+        },
+        res
+      );
+
+      expect(previewImport).toHaveBeenCalledWith('flash', 'csv', {
+        duplicates: 'skip',
+      });
+      expect(res.send).toHaveBeenCalledWith({
+        previewToken: 'tok',
+        isDryRun: true,
+      });
+    });
+
+    test('returns 400 when there is no file content', async () => {
+      const res = createRes();
+
+      await previewImporter({ params: { source: 'flash' }, body: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(previewImport).not.toHaveBeenCalled();
+    });
+
+    test('returns 404 for NF-e notes, which have no dry run', async () => {
+      const res = createRes();
+
+      await previewImporter({ params: { source: 'nfe' }, body: '<nfeProc/>' }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        message:
+          'Importação de NF-e não tem pré-visualização: envie os XMLs para /import/nfe',
+      });
+      expect(previewImport).not.toHaveBeenCalled();
+    });
+
+    test('returns 400 for unsupported sources and 500 otherwise', async () => {
+      const res = createRes();
+      previewImport
+        .mockRejectedValueOnce(new Error('Unsupported import source: x'))
+        .mockRejectedValueOnce({});
+
+      await previewImporter({ params: { source: 'x' }, body: 'csv' }, res);
+      await previewImporter({ params: { source: 'flash' }, body: 'csv' }, res);
+
+      expect(res.status).toHaveBeenNthCalledWith(1, 400);
+      expect(res.status).toHaveBeenNthCalledWith(2, 500);
+      expect(res.send).toHaveBeenLastCalledWith({
+        message: 'Erro ao pré-visualizar importação de flash',
+      });
+    });
+  });
+
+  describe('commitImporter', () => {
+    test('commits the preview token', async () => {
+      commitImport.mockResolvedValue({ imported: 2 });
+      const res = createRes();
+
+      await commitImporter(
+        { params: { source: 'flash' }, body: { previewToken: 'tok' } },
+        res
+      );
+
+      expect(commitImport).toHaveBeenCalledWith('flash', 'tok');
+      expect(res.send).toHaveBeenCalledWith({ imported: 2 });
+    });
+
+    test('returns 400 when the token is missing', async () => {
+      const res = createRes();
+
+      await commitImporter({ params: { source: 'flash' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(commitImport).not.toHaveBeenCalled();
+    });
+
+    test('returns 404 for NF-e notes', async () => {
+      const res = createRes();
+
+      await commitImporter(
+        { params: { source: 'nfe' }, body: { previewToken: 'tok' } },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(commitImport).not.toHaveBeenCalled();
+    });
+
+    test('maps commit errors to status codes', async () => {
+      const res = createRes();
+      commitImport
+        .mockRejectedValueOnce(new Error('Import preview not found or expired'))
+        .mockRejectedValueOnce(
+          new Error('Import preview was generated for source nubank')
+        )
+        .mockRejectedValueOnce({});
+      const req = { params: { source: 'flash' }, body: { previewToken: 't' } };
+
+      await commitImporter(req, res);
+      await commitImporter(req, res);
+      await commitImporter(req, res);
+
+      expect(res.status).toHaveBeenNthCalledWith(1, 404);
+      expect(res.status).toHaveBeenNthCalledWith(2, 400);
+      expect(res.status).toHaveBeenNthCalledWith(3, 500);
+      expect(res.send).toHaveBeenLastCalledWith({
+        message: 'Erro ao importar transações de flash',
+      });
+    });
+  });
+
+
+  describe('generic CSV mapping', () => {
+    const mappingDoc = {
+      toObject: () => ({ id: 'm1', name: 'Banco X', dateColumn: 'Data' }),
+    };
+    const mappingId = '652f1c2b9d3e4a0012345678';
+
+    test('resolveImportMapping finds mappings by id or name', async () => {
+      importMappingRepository.findById.mockResolvedValueOnce(mappingDoc);
+      importMappingRepository.findByName.mockResolvedValueOnce(mappingDoc);
+
+      await expect(resolveImportMapping(mappingId)).resolves.toBe(mappingDoc);
+      await expect(resolveImportMapping('Banco X')).resolves.toBe(mappingDoc);
+      expect(importMappingRepository.findById).toHaveBeenCalledTimes(1);
+      expect(importMappingRepository.findByName).toHaveBeenCalledWith(
+        'Banco X'
+      );
+    });
+
+    test('resolveImportMapping rejects missing and unknown mappings', async () => {
+      importMappingRepository.findById.mockResolvedValueOnce(null);
+      importMappingRepository.findByName.mockResolvedValueOnce(null);
+
+      await expect(resolveImportMapping()).rejects.toThrow(
+        'Import mapping is required for CSV imports (?mapping=)'
+      );
+      await expect(resolveImportMapping(mappingId)).rejects.toThrow(
+        `Import mapping not found: ${mappingId}`
+      );
+    });
+
+    test('resolveImportOptions only loads mappings for csv imports', async () => {
+      importMappingRepository.findByName.mockResolvedValue(mappingDoc);
+
+      await expect(resolveImportOptions('ofx')).resolves.toEqual({
+        duplicates: 'update',
+      });
+      await expect(
+        resolveImportOptions('csv', { mapping: 'Banco X', duplicates: 'skip' })
+      ).resolves.toEqual({
+        duplicates: 'skip',
+        mapping: { id: 'm1', name: 'Banco X', dateColumn: 'Data' },
+      });
+    });
+
+    test('csvImporter runs pipeline with the mapping profile', async () => {
+      importMappingRepository.findByName.mockResolvedValue(mappingDoc);
+      runImport.mockResolvedValue({ source: 'csv' });
+      const res = createRes();
+
+      await csvImporter(
+        { body: 'Data;Valor', query: { mapping: 'Banco X' } },
+        res
+      );
+
+      expect(runImport).toHaveBeenCalledWith('csv', 'Data;Valor', {
+        duplicates: 'update',
+        mapping: { id: 'm1', name: 'Banco X', dateColumn: 'Data' },
+      });
+    });
+
+    test('csvImporter returns 400 when the mapping is unknown', async () => {
+      importMappingRepository.findByName.mockResolvedValue(null);
+      const res = createRes();
+
+      await csvImporter({ body: 'Data;Valor', query: { mapping: 'x' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        message: 'Import mapping not found: x',
+      });
+      expect(runImport).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('import account', () => {
+    const accountId = '652f1c2b9d3e4a0012345679';
+
+    test('resolveImportOptions imports into the requested account', async () => {
+      accountRepository.findById.mockResolvedValue({ id: accountId });
+
+      await expect(
+        resolveImportOptions('ofx', { account: accountId })
+      ).resolves.toEqual({ duplicates: 'update', accountId });
+      expect(accountRepository.findById).toHaveBeenCalledWith(accountId);
+    });
+
+    test('returns 400 when the account is invalid or unknown', async () => {
+      accountRepository.findById.mockResolvedValue(null);
+      const res = createRes();
+
+      await ofxImporter({ body: '<OFX>', query: { account: 'nope' } }, res);
+      await ofxImporter({ body: '<OFX>', query: { account: accountId } }, res);
+
+      expect(accountRepository.findById).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenNthCalledWith(1, {
+        message: 'Import account not found: nope',
+      });
+      expect(res.send).toHaveBeenNthCalledWith(2, {
+        message: `Import account not found: ${accountId}`,
+      });
+      expect(runImport).not.toHaveBeenCalled();
+    });
+  });
+
+  test('nfeImporter imports fiscal notes into the requested account', async () => {
+    const accountId = '507f1f77bcf86cd799439011';
+    accountRepository.findById.mockResolvedValueOnce({ id: accountId });
+    importFiscalNotes.mockResolvedValueOnce({ source: 'nfe', imported: 1 });
+    const res = createRes();
+
+    await nfeImporter(
+      { body: { content: ['<nfeProc/>'] }, query: { account: accountId } },
+      res
+    );
+
+    expect(importFiscalNotes).toHaveBeenCalledWith(['<nfeProc/>'], {
+      duplicates: 'update',
+      accountId,
+    });
+    expect(runImport).not.toHaveBeenCalled();
+    expect(res.send).toHaveBeenCalledWith({ source: 'nfe', imported: 1 });
+  });
+});
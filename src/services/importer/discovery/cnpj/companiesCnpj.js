@@ -0,0 +1,38 @@
+import {
+  isValidCNPJ,
+  formatCNPJ,
+} from '../../../../infrastructure/validators/index.js';
+
+const CNPJ_REGEX = /\d{2}\.?\d{3}\.?\d{3}\/?\d{4}-?\d{2}/g;
+
+/**
+ * Discover company name and CNPJ from a statement description
+ * Bank statements (e.g. Nubank Pix transfers) write the counterpart as
+ * "Transferência enviada pelo Pix - EMPRESA LTDA - 12.345.678/0001-95 - BANCO ..."
+ * @param {string} description - Transaction description
+ * @returns {{companyName: string, companyCnpj: string}} Discovered data (empty strings when not found)
+ */
+export function companiesCnpj(description) {
+  const result = { companyName: '', companyCnpj: '' };
+  if (!description) {
+    return result;
+  }
+
+  const text = String(description);
+  const candidates = text.match(CNPJ_REGEX) || [];
+  const cnpj = candidates.find((candidate) => isValidCNPJ(candidate));
+  if (!cnpj) {
+    return result;
+  }
+
+  result.companyCnpj = formatCNPJ(cnpj);
+
+  const segments = text
+    .slice(0, text.indexOf(cnpj))
+    .split(' - ')
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+  result.companyName = segments.length > 1 ? segments[segments.length - 1] : '';
+
+  return result;
+}
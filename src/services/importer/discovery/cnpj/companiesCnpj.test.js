@@ -0,0 +1,39 @@
+import { companiesCnpj } from './companiesCnpj.js';
+
+describe('companiesCnpj', () => {
+  test('extracts company name and formatted CNPJ from Pix description', () => {
+    const result = companiesCnpj(
+      'Transferência enviada pelo Pix - MERCADO BOM LTDA - 11.222.333/0001-81 - BCO DO BRASIL S.A. (0001) Agência: 1 Conta: 2-3'
+    );
+
+    expect(result).toEqual({
+      companyName: 'MERCADO BOM LTDA',
+      companyCnpj: '11.222.333/0001-81',
+    });
+  });
+
+  test('accepts unformatted CNPJ', () => {
+    const result = companiesCnpj('Pagamento - PADARIA - 11222333000181');
+
+    expect(result.companyCnpj).toBe('11.222.333/0001-81');
+    expect(result.companyName).toBe('PADARIA');
+  });
+
+  test('returns CNPJ without name when description has no name segment', () => {
+    const result = companiesCnpj('11.222.333/0001-81');
+
+    expect(result).toEqual({ companyName: '', companyCnpj: '11.222.333/0001-81' });
+  });
+
+  test('ignores invalid CNPJs and empty descriptions', () => {
+    expect(companiesCnpj('Pix - LOJA - 11.222.333/0001-00')).toEqual({
+      companyName: '',
+      companyCnpj: '',
+    });
+    expect(companiesCnpj('')).toEqual({ companyName: '', companyCnpj: '' });
+    expect(companiesCnpj(undefined)).toEqual({
+      companyName: '',
+      companyCnpj: '',
+    });
+  });
+});
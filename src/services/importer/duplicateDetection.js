@@ -0,0 +1,113 @@
+import { createHash } from 'crypto';
+
+/**
+ * Fields owned by the statement file.
+ * On re-import these are refreshed from the file; everything else
+ * (category, company, fiscal book, manual edits) is preserved.
+ */
+export const IMPORTED_FIELDS = [
+  'transactionDate',
+  'transactionPeriod',
+  'transactionValue',
+  'transactionType',
+  'transactionName',
+  'transactionDescription',
+  'transactionStatus',
+  'transactionInstallments',
+  'freightValue',
+];
+
+const normalizeText = (value) =>
+  String(value || '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+
+const toComparable = (field, value) => {
+  if (value === undefined || value === null || value === '') {
+    return '';
+  }
+  if (field === 'transactionDate') {
+    return String(new Date(value).getTime());
+  }
+  return String(value);
+};
+
+/**
+ * Compute the import fingerprint of a parsed transaction
+ * Uses the id given by the source when available, otherwise a hash of
+ * date, value, type and description.
+ * @param {Object} transaction - Parsed transaction
+ * @returns {string} Fingerprint ("<source>:id:<id>" or "<source>:hash:<sha1>")
+ */
+export function computeImportFingerprint(transaction) {
+  const { transactionSource, transactionId } = transaction;
+
+  if (transactionId) {
+    return `${transactionSource}:id:${transactionId}`;
+  }
+
+  const hash = createHash('sha1')
+    .update(
+      [
+        toComparable('transactionDate', transaction.transactionDate),
+        transaction.transactionValue,
+        transaction.transactionType,
+        normalizeText(transaction.transactionDescription),
+      ].join('|')
+    )
+    .digest('hex');
+
+  return `${transactionSource}:hash:${hash}`;
+}
+
+/**
+ * Assign fingerprints to parser entries
+ * Identical rows in the same file (two equal coffees on the same day) get an
+ * occurrence suffix so they stay distinct and re-importing the file still
+ * matches each one.
+ * @param {Array<Object>} entries - Parser entries
+ * @returns {Array<Object>} Entries with `importFingerprint` on transaction entries
+ */
+export function assignImportFingerprints(entries) {
+  const occurrences = new Map();
+
+  return entries.map((entry) => {
+    if (!entry.transaction) {
+      return entry;
+    }
+
+    const baseFingerprint = computeImportFingerprint(entry.transaction);
+    const occurrence = (occurrences.get(baseFingerprint) || 0) + 1;
+    occurrences.set(baseFingerprint, occurrence);
+
+    return {
+      ...entry,
+      importFingerprint:
+        occurrence > 1 ? `${baseFingerprint}#${occurrence}` : baseFingerprint,
+    };
+  });
+}
+
+/**
+ * List imported fields that differ between a stored and an incoming transaction
+ * @param {Object} existing - Stored transaction
+ * @param {Object} incoming - Transaction built from the file
+ * @returns {Array<{field: string, oldValue: string, newValue: string}>} Changes
+ */
+export function diffImportedFields(existing, incoming) {
+  const changes = [];
+
+  IMPORTED_FIELDS.forEach((field) => {
+    if (incoming[field] === undefined) {
+      return;
+    }
+    const oldValue = toComparable(field, existing[field]);
+    const newValue = toComparable(field, incoming[field]);
+    if (oldValue !== newValue) {
+      changes.push({ field, oldValue, newValue });
+    }
+  });
+
+  return changes;
+}
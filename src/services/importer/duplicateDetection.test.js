@@ -0,0 +1,86 @@
+import {
+  IMPORTED_FIELDS,
+  computeImportFingerprint,
+  assignImportFingerprints,
+  diffImportedFields,
+} from './duplicateDetection.js';
+
+const row = {
+  transactionSource: 'nubank-credit',
+  transactionDate: 1709650800000,
+  transactionValue: '45,90',
+  transactionType: 'debit',
+  transactionDescription: 'Padaria  Boa',
+};
+
+describe('duplicateDetection', () => {
+  test('uses the source id when available', () => {
+    expect(
+      computeImportFingerprint({ transactionSource: 'nubank', transactionId: 'abc' })
+    ).toBe('nubank:id:abc');
+  });
+
+  test('hashes date, value, type and normalized description otherwise', () => {
+    const fingerprint = computeImportFingerprint(row);
+
+    expect(fingerprint).toMatch(/^nubank-credit:hash:[a-f0-9]{40}$/);
+    expect(
+      computeImportFingerprint({
+        ...row,
+        transactionDate: new Date(row.transactionDate).toISOString(),
+        transactionDescription: ' PADARIA boa ',
+      })
+    ).toBe(fingerprint);
+    expect(
+      computeImportFingerprint({ ...row, transactionValue: '45,91' })
+    ).not.toBe(fingerprint);
+  });
+
+  test('hashes rows without date or description', () => {
+    expect(
+      computeImportFingerprint({ transactionSource: 'flash', transactionValue: '1,00' })
+    ).toMatch(/^flash:hash:/);
+  });
+
+  test('assignImportFingerprints suffixes identical rows in the same file', () => {
+    const entries = assignImportFingerprints([
+      { line: 2, transaction: row },
+      { line: 3, skip: 'Zero value' },
+      { line: 4, transaction: row },
+      { line: 5, transaction: row },
+    ]);
+    const base = computeImportFingerprint(row);
+
+    expect(entries[0].importFingerprint).toBe(base);
+    expect(entries[1]).toEqual({ line: 3, skip: 'Zero value' });
+    expect(entries[2].importFingerprint).toBe(`${base}#2`);
+    expect(entries[3].importFingerprint).toBe(`${base}#3`);
+  });
+
+  test('diffImportedFields lists changed imported fields only', () => {
+    const existing = {
+      ...row,
+      transactionDate: new Date(row.transactionDate),
+      transactionStatus: 'started',
+      transactionCategory: 'cat-1',
+    };
+    const incoming = {
+      ...row,
+      transactionStatus: 'concluded',
+      transactionCategory: 'cat-2',
+      transactionInstallments: undefined,
+      freightValue: '',
+    };
+
+    expect(diffImportedFields(existing, incoming)).toEqual([
+      { field: 'transactionStatus', oldValue: 'started', newValue: 'concluded' },
+    ]);
+    expect(IMPORTED_FIELDS).not.toContain('transactionCategory');
+  });
+
+  test('diffImportedFields treats missing stored values as empty', () => {
+    expect(
+      diffImportedFields({}, { transactionName: 'Padaria' })
+    ).toEqual([{ field: 'transactionName', oldValue: '', newValue: 'Padaria' }]);
+  });
+});
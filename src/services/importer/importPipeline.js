@@ -0,0 +1,450 @@
+import mongoose from 'mongoose';
+import * as categoryRuleRepository from '../../repository/categoryRuleRepository.js';
+import * as transactionRepository from '../../repository/transactionRepository.js';
+import * as importPreviewRepository from '../../repository/importPreviewRepository.js';
+import { transactionPrototype } from '../prototype/transactionPrototype.js';
+import { resolveSourceAccountId } from '../accountService.js';
+import { linkImportedInstallments } from '../installmentPlanService.js';
+import { recordChange } from '../auditService.js';
+import { categorizeTransaction } from '../categorization/ruleEngine.js';
+import {
+  RECONCILED_TRANSACTION_ERROR,
+  isReconciled,
+} from '../reconciliation/reconciliationLock.js';
+import { companiesCnpj } from './discovery/cnpj/companiesCnpj.js';
+import { getParser } from './parsers/index.js';
+import { parseInstallments } from './parsers/parserUtils.js';
+import {
+  assignImportFingerprints,
+  diffImportedFields,
+} from './duplicateDetection.js';
+
+/**
+ * Create an empty import report
+ * @param {string} source - Import source
+ * @returns {Object} Import report
+ */
+export function createImportReport(source) {
+  return {
+    source,
+    total: 0,
+    imported: 0,
+    new: 0,
+    merged: 0,
+    matched: 0,
+    skipped: 0,
+    failed: 0,
+    rows: [],
+  };
+}
+
+/**
+ * Add a row outcome to the import report
+ * `imported` counts the rows written to the database (new + merged).
+ * @param {Object} report - Import report
+ * @param {Object} row - Row outcome
+ * @param {number} row.line - Line (or position) in the uploaded file
+ * @param {string} row.status - 'new', 'merged', 'matched', 'skipped' or 'failed'
+ */
+export function addReportRow(report, row) {
+  report.total++;
+  report[row.status]++;
+  if (row.status === 'new' || row.status === 'merged') {
+    report.imported++;
+  }
+  report.rows.push(row);
+}
+
+/**
+ * Resolve the category of an imported transaction from the category rules
+ * Categorization never blocks an import: unmatched rows stay unassigned.
+ * @param {Array} rules - Active category rules
+ * @param {Object} transaction - Prototyped transaction
+ * @returns {string|undefined} Category ID
+ */
+export function resolveCategory(rules, transaction) {
+  try {
+    return categorizeTransaction(rules, transaction);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Build the transaction object persisted for a parsed row
+ * Runs transactionPrototype, CNPJ discovery and category rules.
+ * @param {Object} parsedTransaction - Transaction body produced by a parser
+ * @param {Array} rules - Active category rules
+ * @returns {Object} Transaction object ready for insertion
+ */
+export function prepareTransaction(parsedTransaction, rules) {
+  const transactionObject = transactionPrototype(parsedTransaction);
+
+  if (!transactionObject.companyCnpj) {
+    const { companyName, companyCnpj } = companiesCnpj(
+      transactionObject.transactionDescription
+    );
+    if (companyCnpj) {
+      transactionObject.companyCnpj = companyCnpj;
+      transactionObject.companyName =
+        transactionObject.companyName || companyName || undefined;
+    }
+  }
+
+  // Rules may match the discovered CNPJ, so they run last
+  if (!transactionObject.transactionCategory) {
+    transactionObject.transactionCategory = resolveCategory(
+      rules,
+      transactionObject
+    );
+  }
+
+  return transactionObject;
+}
+
+/**
+ * Decide what importing a parsed row would do, without persisting anything
+ * @param {Object} entry - Parser entry with transaction and importFingerprint
+ * @param {Array} rules - Active category rules
+ * @param {Object} options - Import options (see planTransaction)
+ * @param {string} options.accountId - Account of the imported rows (default: the account of their source)
+ * @returns {Promise<Object>} Planned row
+ */
+export async function planEntry(entry, rules, options = {}) {
+  const transactionObject = prepareTransaction(entry.transaction, rules);
+  transactionObject.importFingerprint = entry.importFingerprint;
+  if (options.accountId) {
+    transactionObject.accountId = options.accountId;
+  }
+
+  return planTransaction(entry.line, transactionObject, options);
+}
+
+/**
+ * Check a prepared transaction against stored ones
+ * - new: no stored transaction matches the row
+ * - merged: a stored transaction matches and the file changed imported fields
+ * - matched: a stored transaction matches and nothing needs to change
+ * - skipped: a reconciled transaction matches and the file changed imported
+ *   fields; reconciled transactions are locked until the reconciliation is undone
+ * @param {number} line - Line (or position) in the uploaded file
+ * @param {Object} transactionObject - Prepared transaction with importFingerprint
+ * @param {Object} options - Import options
+ * @param {string} options.duplicates - 'update' (default) merges changes, 'skip' leaves matches untouched
+ * @returns {Promise<Object>} Planned row
+ */
+export async function planTransaction(line, transactionObject, options = {}) {
+  const { duplicates = 'update' } = options;
+  const { importFingerprint } = transactionObject;
+
+  const existing = await transactionRepository.findImportMatch(
+    importFingerprint,
+    transactionObject.transactionSource,
+    transactionObject.transactionId
+  );
+
+  if (!existing) {
+    return { line, status: 'new', transactionObject };
+  }
+
+  const changes =
+    duplicates === 'skip' ? [] : diffImportedFields(existing, transactionObject);
+
+  if (isReconciled(existing)) {
+    const locked = {
+      line,
+      status: 'matched',
+      transactionObject,
+      existing,
+      changes: [],
+    };
+    return changes.length > 0
+      ? { ...locked, status: 'skipped', reason: RECONCILED_TRANSACTION_ERROR }
+      : locked;
+  }
+
+  return {
+    line,
+    status: changes.length > 0 ? 'merged' : 'matched',
+    transactionObject,
+    existing,
+    changes,
+    backfillFingerprint:
+      duplicates !== 'skip' && existing.importFingerprint !== importFingerprint,
+  };
+}
+
+/**
+ * Persist a planned row
+ * @param {Object} plan - Row planned by planEntry
+ * @returns {Promise<Object>} Report row
+ */
+export async function applyPlannedEntry(plan) {
+  const { line, status, transactionObject, existing, changes } = plan;
+  const summary = {
+    transactionDescription: transactionObject.transactionDescription,
+    transactionValue: transactionObject.transactionValue,
+  };
+
+  if (status === 'new') {
+    if (!transactionObject.accountId) {
+      transactionObject.accountId = await resolveSourceAccountId(
+        transactionObject.transactionSource
+      );
+    }
+    const transaction = await transactionRepository.insert(transactionObject);
+    return { line, status, transactionId: transaction.id, ...summary };
+  }
+
+  if (status === 'merged' || plan.backfillFingerprint) {
+    const updateData = { importFingerprint: transactionObject.importFingerprint };
+    changes.forEach(({ field }) => {
+      updateData[field] = transactionObject[field];
+    });
+    const transaction = await transactionRepository.updateById(
+      existing.id,
+      updateData
+    );
+    await recordChange({
+      documentType: 'transaction',
+      documentId: existing.id,
+      before: existing,
+      after: transaction,
+      origin: 'import',
+      originDetail: transactionObject.transactionSource,
+    });
+  }
+
+  const row = { line, status, transactionId: existing.id, ...summary };
+  if (status === 'merged') {
+    row.changes = changes;
+  }
+  if (plan.reason) {
+    row.reason = plan.reason;
+  }
+  return row;
+}
+
+/**
+ * Account of a row inserted by an import when it bills an installment
+ * @param {Object} plan - Applied planned row
+ * @param {Object} row - Report row
+ * @returns {string|undefined} Account ID of new installment rows
+ */
+function installmentAccountId(plan, row) {
+  const { transactionObject } = plan;
+  return row.status === 'new' &&
+    parseInstallments(transactionObject.transactionDescription)
+    ? transactionObject.accountId
+    : undefined;
+}
+
+/**
+ * Link the installment rows of an import to their installment plans
+ * Linking never blocks an import: on failure the rows stay unlinked until
+ * the next import of the card links them.
+ * @param {Object} report - Import report, receiving `installmentPlans`
+ * @param {Array<string>} accountIds - Accounts that received installment rows
+ */
+export async function linkInstallments(report, accountIds) {
+  if (accountIds.length === 0) {
+    return;
+  }
+  try {
+    report.installmentPlans = await linkImportedInstallments(accountIds);
+  } catch (error) {
+    report.installmentPlans = { error: error.message };
+  }
+}
+
+/**
+ * Parse a statement file into fingerprinted parser entries
+ * @param {string} source - Import source
+ * @param {string|Object} content - Uploaded file content
+ * @param {Object} options - Options forwarded to the parser
+ * @returns {Array<Object>} Parser entries
+ */
+function parseEntries(source, content, options) {
+  const parser = getParser(source);
+  return assignImportFingerprints(parser.parse(content, options));
+}
+
+/**
+ * Report row for entries rejected by the parser, or null for parsed rows
+ * @param {Object} entry - Parser entry
+ * @returns {Object|null} Report row
+ */
+function rejectedEntryRow(entry) {
+  if (entry.error) {
+    return { line: entry.line, status: 'failed', reason: entry.error };
+  }
+  if (entry.skip) {
+    return { line: entry.line, status: 'skipped', reason: entry.skip };
+  }
+  return null;
+}
+
+/**
+ * Import a statement file into the transaction collection
+ * Rows already imported (same fingerprint or source id) are never duplicated:
+ * they are merged with the file data or left untouched. New credit card
+ * installment rows are then linked to their installment plans.
+ * @param {string} source - Import source (e.g. 'nubank', 'flash')
+ * @param {string|Object} content - Uploaded file content
+ * @param {Object} options - Options forwarded to the parser and planEntry
+ * @returns {Promise<Object>} Import report with per-row outcome
+ */
+export async function runImport(source, content, options = {}) {
+  const entries = parseEntries(source, content, options);
+  const rules = await categoryRuleRepository.findActive();
+  const report = createImportReport(source);
+  const installmentAccountIds = [];
+
+  for (const entry of entries) {
+    const rejectedRow = rejectedEntryRow(entry);
+    if (rejectedRow) {
+      addReportRow(report, rejectedRow);
+      continue;
+    }
+
+    try {
+      const plan = await planEntry(entry, rules, options);
+      const row = await applyPlannedEntry(plan);
+      addReportRow(report, row);
+      const accountId = installmentAccountId(plan, row);
+      if (accountId) {
+        installmentAccountIds.push(accountId);
+      }
+    } catch (error) {
+      addReportRow(report, {
+        line: entry.line,
+        status: 'failed',
+        reason: error.message,
+      });
+    }
+  }
+
+  await linkInstallments(report, installmentAccountIds);
+  return report;
+}
+
+/**
+ * Preview a statement import without persisting any transaction
+ * Runs parsing, categorization, CNPJ discovery and duplicate checks, stores
+ * the planned rows and returns them with a token to commit them later.
+ * @param {string} source - Import source
+ * @param {string|Object} content - Uploaded file content
+ * @param {Object} options - Options forwarded to the parser and planEntry
+ * @returns {Promise<Object>} Dry-run report with previewToken and expiresAt
+ */
+export async function previewImport(source, content, options = {}) {
+  const entries = parseEntries(source, content, options);
+  const rules = await categoryRuleRepository.findActive();
+  const report = { ...createImportReport(source), isDryRun: true };
+  const plannedRows = [];
+
+  for (const entry of entries) {
+    let row = rejectedEntryRow(entry);
+    let storedRow = row;
+
+    if (!row) {
+      try {
+        const plan = await planEntry(entry, rules, options);
+        row = {
+          line: plan.line,
+          status: plan.status,
+          transaction: plan.transactionObject,
+          existingTransactionId: plan.existing?.id,
+          changes: plan.changes,
+        };
+        if (plan.reason) {
+          row.reason = plan.reason;
+        }
+        storedRow = {
+          line: plan.line,
+          status: plan.status,
+          transactionObject: plan.transactionObject,
+        };
+      } catch (error) {
+        row = { line: entry.line, status: 'failed', reason: error.message };
+        storedRow = row;
+      }
+    }
+
+    addReportRow(report, row);
+    plannedRows.push(storedRow);
+  }
+
+  // Nothing was written: the counters describe what committing would do
+  report.imported = 0;
+  report.wouldImport = report.new + report.merged;
+
+  const preview = await importPreviewRepository.insert({
+    source,
+    options,
+    rows: plannedRows,
+  });
+
+  return {
+    previewToken: preview.id,
+    expiresAt: new Date(preview.createdAt.getTime() + 60 * 60 * 1000),
+    ...report,
+  };
+}
+
+/**
+ * Commit a previously previewed import
+ * Duplicate checks run again so rows imported since the preview are not
+ * inserted twice.
+ * @param {string} source - Import source the preview was generated for
+ * @param {string} previewToken - Token returned by previewImport
+ * @returns {Promise<Object>} Import report with per-row outcome
+ */
+export async function commitImport(source, previewToken) {
+  const preview = mongoose.isValidObjectId(previewToken)
+    ? await importPreviewRepository.findById(previewToken)
+    : null;
+  if (!preview) {
+    throw new Error('Import preview not found or expired');
+  }
+  if (preview.source !== source) {
+    throw new Error(
+      `Import preview was generated for source ${preview.source}`
+    );
+  }
+
+  const report = createImportReport(source);
+  const installmentAccountIds = [];
+
+  for (const storedRow of preview.rows) {
+    if (!storedRow.transactionObject) {
+      addReportRow(report, storedRow);
+      continue;
+    }
+
+    try {
+      const plan = await planTransaction(
+        storedRow.line,
+        storedRow.transactionObject,
+        preview.options
+      );
+      const row = await applyPlannedEntry(plan);
+      addReportRow(report, row);
+      const accountId = installmentAccountId(plan, row);
+      if (accountId) {
+        installmentAccountIds.push(accountId);
+      }
+    } catch (error) {
+      addReportRow(report, {
+        line: storedRow.line,
+        status: 'failed',
+        reason: error.message,
+      });
+    }
+  }
+
+  await importPreviewRepository.deleteById(previewToken);
+  await linkInstallments(report, installmentAccountIds);
+
+  return report;
+}
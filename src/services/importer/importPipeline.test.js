@@ -0,0 +1,727 @@
+import { jest } from '@jest/globals';
+
+const categoryRuleRepository = { findActive: jest.fn() };
+const transactionRepository = {
+  insert: jest.fn(),
+  updateById: jest.fn(),
+  findImportMatch: jest.fn(),
+};
+const importPreviewRepository = {
+  insert: jest.fn(),
+  findById: jest.fn(),
+  deleteById: jest.fn(),
+};
+const categorizeTransaction = jest.fn();
+const companiesCnpj = jest.fn();
+const parser = { source: 'nubank', parse: jest.fn() };
+const getParser = jest.fn(() => parser);
+const resolveSourceAccountId = jest.fn();
+const linkImportedInstallments = jest.fn();
+const recordChange = jest.fn();
+
+jest.unstable_mockModule('../../repository/categoryRuleRepository.js', () => ({
+  ...categoryRuleRepository,
+}));
+
+jest.unstable_mockModule('../../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+
+jest.unstable_mockModule('../../repository/importPreviewRepository.js', () => ({
+  ...importPreviewRepository,
+}));
+
+jest.unstable_mockModule('../categorization/ruleEngine.js', () => ({
+  categorizeTransaction,
+}));
+
+jest.unstable_mockModule('./discovery/cnpj/companiesCnpj.js', () => ({
+  companiesCnpj,
+}));
+
+jest.unstable_mockModule('./parsers/index.js', () => ({ getParser }));
+
+jest.unstable_mockModule('../accountService.js', () => ({
+  resolveSourceAccountId,
+}));
+
+jest.unstable_mockModule('../installmentPlanService.js', () => ({
+  linkImportedInstallments,
+}));
+
+jest.unstable_mockModule('../auditService.js', () => ({ recordChange }));
+
+const {
+  createImportReport,
+  addReportRow,
+  resolveCategory,
+  prepareTransaction,
+  planEntry,
+  applyPlannedEntry,
+  runImport,
+  planTransaction,
+  previewImport,
+  commitImport,
+  linkInstallments,
+} = await import('./importPipeline.js');
+
+const parsedTransaction = {
+  transactionDate: 1709650800000,
+  transactionPeriod: '2024-03',
+  transactionSource: 'nubank',
+  transactionValue: '45,90',
+  transactionType: 'debit',
+  transactionName: 'Pix',
+  transactionDescription: 'Pix - PADARIA - 11.222.333/0001-81',
+  transactionStatus: 'concluded',
+};
+
+describe('importPipeline', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    companiesCnpj.mockReturnValue({ companyName: '', companyCnpj: '' });
+    categorizeTransaction.mockReturnValue('cat-1');
+    categoryRuleRepository.findActive.mockResolvedValue([{ id: 'rule-1' }]);
+    resolveSourceAccountId.mockResolvedValue('acc-source');
+    transactionRepository.findImportMatch.mockResolvedValue(null);
+  });
+
+  test('createImportReport and addReportRow keep counters in sync', () => {
+    const report = createImportReport('flash');
+
+    addReportRow(report, { line: 2, status: 'new' });
+    addReportRow(report, { line: 3, status: 'merged' });
+    addReportRow(report, { line: 4, status: 'matched' });
+    addReportRow(report, { line: 5, status: 'skipped' });
+    addReportRow(report, { line: 6, status: 'failed' });
+
+    expect(report).toEqual(
+      expect.objectContaining({
+        source: 'flash',
+        total: 5,
+        imported: 2,
+        new: 1,
+        merged: 1,
+        matched: 1,
+        skipped: 1,
+        failed: 1,
+      })
+    );
+    expect(report.rows).toHaveLength(5);
+  });
+
+  test('resolveCategory leaves category unassigned when categorization fails', () => {
+    categorizeTransaction.mockImplementation(() => {
+      throw new Error('missing category');
+    });
+
+    const transaction = { transactionType: 'debit' };
+
+    expect(resolveCategory([], transaction)).toBeUndefined();
+    expect(categorizeTransaction).toHaveBeenCalledWith([], transaction);
+  });
+
+  test('prepareTransaction assigns discovered company and rule category', () => {
+    companiesCnpj.mockReturnValue({
+      companyName: 'PADARIA',
+      companyCnpj: '11.222.333/0001-81',
+    });
+
+    const rules = [{ id: 'rule-1' }];
+    const result = prepareTransaction(parsedTransaction, rules);
+
+    expect(result.transactionCategory).toBe('cat-1');
+    expect(result.companyName).toBe('PADARIA');
+    expect(result.companyCnpj).toBe('11.222.333/0001-81');
+    expect(result.paymentMethod).toBe('pix');
+    expect(categorizeTransaction).toHaveBeenCalledWith(
+      rules,
+      expect.objectContaining({ companyCnpj: '11.222.333/0001-81' })
+    );
+  });
+
+  test('prepareTransaction keeps explicit category and company data', () => {
+    const result = prepareTransaction(
+      {
+        ...parsedTransaction,
+        transactionCategory: 'explicit',
+        companyCnpj: '99',
+        companyName: 'Known',
+      },
+      []
+    );
+
+    expect(result.transactionCategory).toBe('explicit');
+    expect(result.companyCnpj).toBe('99');
+    expect(categorizeTransaction).not.toHaveBeenCalled();
+    expect(companiesCnpj).not.toHaveBeenCalled();
+  });
+
+  test('prepareTransaction leaves company name empty when not discovered', () => {
+    companiesCnpj.mockReturnValue({ companyName: '', companyCnpj: '11.222.333/0001-81' });
+
+    const result = prepareTransaction(parsedTransaction, []);
+
+    expect(result.companyCnpj).toBe('11.222.333/0001-81');
+    expect(result.companyName).toBeUndefined();
+  });
+
+  test('planEntry plans new rows when nothing matches', async () => {
+    const plan = await planEntry(
+      { line: 2, transaction: parsedTransaction, importFingerprint: 'fp-1' },
+      []
+    );
+
+    expect(transactionRepository.findImportMatch).toHaveBeenCalledWith(
+      'fp-1',
+      'nubank',
+      undefined
+    );
+    expect(plan.status).toBe('new');
+    expect(plan.transactionObject.importFingerprint).toBe('fp-1');
+  });
+
+  test('planEntry plans merged rows when imported fields changed', async () => {
+    transactionRepository.findImportMatch.mockResolvedValue({
+      id: 't1',
+      ...parsedTransaction,
+      transactionStatus: 'started',
+      importFingerprint: 'fp-1',
+    });
+
+    const plan = await planEntry(
+      { line: 2, transaction: parsedTransaction, importFingerprint: 'fp-1' },
+      []
+    );
+
+    expect(plan.status).toBe('merged');
+    expect(plan.changes).toEqual([
+      { field: 'transactionStatus', oldValue: 'started', newValue: 'concluded' },
+    ]);
+    expect(plan.backfillFingerprint).toBe(false);
+  });
+
+  test('planEntry plans matched rows and fingerprint backfill for legacy rows', async () => {
+    transactionRepository.findImportMatch.mockResolvedValue({
+      id: 't1',
+      ...parsedTransaction,
+    });
+
+    const plan = await planEntry(
+      { line: 2, transaction: parsedTransaction, importFingerprint: 'fp-1' },
+      []
+    );
+
+    expect(plan.status).toBe('matched');
+    expect(plan.backfillFingerprint).toBe(true);
+  });
+
+  test('planEntry never changes matches when duplicates are skipped', async () => {
+    transactionRepository.findImportMatch.mockResolvedValue({
+      id: 't1',
+      ...parsedTransaction,
+      transactionStatus: 'started',
+    });
+
+    const plan = await planEntry(
+      { line: 2, transaction: parsedTransaction, importFingerprint: 'fp-1' },
+      [],
+      { duplicates: 'skip' }
+    );
+
+    expect(plan.status).toBe('matched');
+    expect(plan.changes).toEqual([]);
+    expect(plan.backfillFingerprint).toBe(false);
+  });
+
+  test('planEntry skips changes to reconciled transactions', async () => {
+    const existing = {
+      id: 't1',
+      ...parsedTransaction,
+      reconciliationId: 'r1',
+    };
+    transactionRepository.findImportMatch.mockResolvedValue(existing);
+
+    const matched = await planEntry(
+      { line: 2, transaction: parsedTransaction, importFingerprint: 'fp-1' },
+      []
+    );
+    expect(matched).toMatchObject({ status: 'matched', changes: [] });
+    expect(matched.backfillFingerprint).toBeUndefined();
+
+    transactionRepository.findImportMatch.mockResolvedValue({
+      ...existing,
+      transactionStatus: 'started',
+    });
+    const plan = await planEntry(
+      { line: 2, transaction: parsedTransaction, importFingerprint: 'fp-1' },
+      []
+    );
+    expect(plan).toMatchObject({
+      status: 'skipped',
+      reason: 'Transaction is reconciled: undo the reconciliation before changing it',
+      changes: [],
+    });
+
+    const row = await applyPlannedEntry(plan);
+    expect(row).toMatchObject({
+      line: 2,
+      status: 'skipped',
+      transactionId: 't1',
+      reason: plan.reason,
+    });
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  test('applyPlannedEntry inserts new rows', async () => {
+    transactionRepository.insert.mockResolvedValue({ id: 't9' });
+
+    const row = await applyPlannedEntry({
+      line: 2,
+      status: 'new',
+      transactionObject: { transactionValue: '1,00', transactionDescription: 'x' },
+    });
+
+    expect(row).toEqual({
+      line: 2,
+      status: 'new',
+      transactionId: 't9',
+      transactionDescription: 'x',
+      transactionValue: '1,00',
+    });
+    expect(transactionRepository.insert).toHaveBeenCalledWith(
+      expect.objectContaining({ accountId: 'acc-source' })
+    );
+  });
+
+  test('applyPlannedEntry keeps the account chosen for the import', async () => {
+    transactionRepository.insert.mockResolvedValue({ id: 't9' });
+    transactionRepository.findImportMatch.mockResolvedValue(null);
+
+    const plan = await planEntry(
+      { line: 2, transaction: parsedTransaction, importFingerprint: 'fp-1' },
+      [],
+      { accountId: 'acc-1' }
+    );
+    await applyPlannedEntry(plan);
+
+    expect(resolveSourceAccountId).not.toHaveBeenCalled();
+    expect(transactionRepository.insert).toHaveBeenCalledWith(
+      expect.objectContaining({ accountId: 'acc-1' })
+    );
+  });
+
+  test('applyPlannedEntry updates changed fields of merged rows', async () => {
+    transactionRepository.updateById.mockResolvedValueOnce({
+      id: 't1',
+      transactionStatus: 'concluded',
+    });
+    const row = await applyPlannedEntry({
+      line: 2,
+      status: 'merged',
+      transactionObject: {
+        transactionStatus: 'concluded',
+        transactionValue: '1,00',
+        importFingerprint: 'fp-1',
+        transactionSource: 'nubank',
+      },
+      existing: { id: 't1' },
+      changes: [
+        { field: 'transactionStatus', oldValue: 'started', newValue: 'concluded' },
+      ],
+    });
+
+    expect(transactionRepository.updateById).toHaveBeenCalledWith('t1', {
+      importFingerprint: 'fp-1',
+      transactionStatus: 'concluded',
+    });
+    expect(row.status).toBe('merged');
+    expect(row.transactionId).toBe('t1');
+    expect(row.changes).toHaveLength(1);
+    expect(recordChange).toHaveBeenCalledWith({
+      documentType: 'transaction',
+      documentId: 't1',
+      before: { id: 't1' },
+      after: { id: 't1', transactionStatus: 'concluded' },
+      origin: 'import',
+      originDetail: 'nubank',
+    });
+  });
+
+  test('applyPlannedEntry only backfills fingerprint on matched legacy rows', async () => {
+    const row = await applyPlannedEntry({
+      line: 2,
+      status: 'matched',
+      transactionObject: { importFingerprint: 'fp-1' },
+      existing: { id: 't1' },
+      changes: [],
+      backfillFingerprint: true,
+    });
+
+    expect(transactionRepository.updateById).toHaveBeenCalledWith('t1', {
+      importFingerprint: 'fp-1',
+    });
+    expect(row.changes).toBeUndefined();
+  });
+
+  test('applyPlannedEntry leaves matched rows untouched', async () => {
+    await applyPlannedEntry({
+      line: 2,
+      status: 'matched',
+      transactionObject: {},
+      existing: { id: 't1' },
+      changes: [],
+      backfillFingerprint: false,
+    });
+
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  test('runImport fingerprints rows and reports every line', async () => {
+    parser.parse.mockReturnValue([
+      { line: 2, transaction: parsedTransaction },
+      { line: 3, skip: 'Zero value' },
+      { line: 4, error: 'Invalid date: x' },
+      { line: 5, transaction: { ...parsedTransaction, transactionValue: '10,00' } },
+      { line: 6, transaction: { ...parsedTransaction, transactionId: 'dup' } },
+    ]);
+    transactionRepository.findImportMatch
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({
+        id: 'existing',
+        ...parsedTransaction,
+        transactionId: 'dup',
+        importFingerprint: 'nubank:id:dup',
+      });
+    transactionRepository.insert
+      .mockResolvedValueOnce({ id: 't1' })
+      .mockRejectedValueOnce(new Error('insert failed'));
+
+    const report = await runImport('nubank', 'csv', { foo: 'bar' });
+
+    expect(getParser).toHaveBeenCalledWith('nubank');
+    expect(parser.parse).toHaveBeenCalledWith('csv', { foo: 'bar' });
+    expect(categoryRuleRepository.findActive).toHaveBeenCalledTimes(1);
+    expect(transactionRepository.findImportMatch.mock.calls[0][0]).toMatch(
+      /^nubank:hash:/
+    );
+    expect(transactionRepository.findImportMatch.mock.calls[2]).toEqual([
+      'nubank:id:dup',
+      'nubank',
+      'dup',
+    ]);
+    expect(report).toEqual(
+      expect.objectContaining({
+        source: 'nubank',
+        total: 5,
+        imported: 1,
+        new: 1,
+        matched: 1,
+        skipped: 1,
+        failed: 2,
+      })
+    );
+    expect(report.rows).toEqual([
+      {
+        line: 2,
+        status: 'new',
+        transactionId: 't1',
+        transactionDescription: parsedTransaction.transactionDescription,
+        transactionValue: '45,90',
+      },
+      { line: 3, status: 'skipped', reason: 'Zero value' },
+      { line: 4, status: 'failed', reason: 'Invalid date: x' },
+      { line: 5, status: 'failed', reason: 'insert failed' },
+      {
+        line: 6,
+        status: 'matched',
+        transactionId: 'existing',
+        transactionDescription: parsedTransaction.transactionDescription,
+        transactionValue: '45,90',
+      },
+    ]);
+  });
+
+  test('runImport propagates parser format errors', async () => {
+    parser.parse.mockImplementation(() => {
+      throw new Error('Invalid import file: missing column(s) Data');
+    });
+
+    await expect(runImport('nubank', 'csv')).rejects.toThrow(
+      'Invalid import file'
+    );
+    expect(transactionRepository.insert).not.toHaveBeenCalled();
+  });
+
+  test('runImport links new installment rows to installment plans', async () => {
+    const installmentRow = {
+      ...parsedTransaction,
+      transactionSource: 'nubank-credit',
+      transactionDescription: 'Loja - Parcela 2/10',
+    };
+    parser.parse.mockReturnValue([
+      { line: 2, transaction: installmentRow },
+      { line: 3, transaction: parsedTransaction },
+    ]);
+    transactionRepository.insert.mockResolvedValue({ id: 't1' });
+    linkImportedInstallments.mockResolvedValue({
+      linked: 1,
+      created: 0,
+      updated: 1,
+    });
+
+    const report = await runImport('nubank-credit', 'csv', {
+      accountId: 'card',
+    });
+
+    expect(linkImportedInstallments).toHaveBeenCalledWith(['card']);
+    expect(report.installmentPlans).toEqual({
+      linked: 1,
+      created: 0,
+      updated: 1,
+    });
+
+    parser.parse.mockReturnValue([{ line: 2, transaction: parsedTransaction }]);
+    const withoutInstallments = await runImport('nubank', 'csv');
+    expect(linkImportedInstallments).toHaveBeenCalledTimes(1);
+    expect(withoutInstallments.installmentPlans).toBeUndefined();
+  });
+
+  test('linkInstallments never fails the import', async () => {
+    linkImportedInstallments.mockRejectedValueOnce(new Error('db down'));
+    const report = createImportReport('nubank-credit');
+
+    await linkInstallments(report, ['card']);
+
+    expect(report.installmentPlans).toEqual({ error: 'db down' });
+  });
+
+  test('planTransaction checks prepared transactions against stored ones', async () => {
+    const plan = await planTransaction(7, {
+      transactionSource: 'flash',
+      transactionId: 'abc',
+      importFingerprint: 'flash:id:abc',
+    });
+
+    expect(transactionRepository.findImportMatch).toHaveBeenCalledWith(
+      'flash:id:abc',
+      'flash',
+      'abc'
+    );
+    expect(plan).toEqual(
+      expect.objectContaining({ line: 7, status: 'new' })
+    );
+  });
+
+  test('previewImport plans rows and stores them without persisting transactions', async () => {
+    const createdAt = new Date('2026-10-19T10:00:00Z');
+    parser.parse.mockReturnValue([
+      { line: 2, transaction: parsedTransaction },
+      { line: 3, skip: 'Zero value' },
+      { line: 4, error: 'Invalid date: x' },
+      { line: 5, transaction: { ...parsedTransaction, transactionId: 'dup' } },
+      { line: 6, transaction: { ...parsedTransaction, transactionId: 'boom' } },
+    ]);
+    transactionRepository.findImportMatch
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({
+        id: 'existing',
+        ...parsedTransaction,
+        transactionStatus: 'started',
+        transactionId: 'dup',
+        importFingerprint: 'nubank:id:dup',
+      })
+      .mockRejectedValueOnce(new Error('lookup failed'));
+    importPreviewRepository.insert.mockResolvedValue({ id: 'tok', createdAt });
+
+    const report = await previewImport('nubank', 'csv', {
+      duplicates: 'update',
+    });
+
+    expect(transactionRepository.insert).not.toHaveBeenCalled();
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+    expect(report).toEqual(
+      expect.objectContaining({
+        previewToken: 'tok',
+        expiresAt: new Date('2026-10-19T11:00:00Z'),
+        isDryRun: true,
+        total: 5,
+        imported: 0,
+        wouldImport: 2,
+        new: 1,
+        merged: 1,
+        skipped: 1,
+        failed: 2,
+      })
+    );
+    expect(report.rows[0]).toEqual(
+      expect.objectContaining({
+        line: 2,
+        status: 'new',
+        transaction: expect.objectContaining({ transactionCategory: 'cat-1' }),
+      })
+    );
+    expect(report.rows[3]).toEqual(
+      expect.objectContaining({
+        status: 'merged',
+        existingTransactionId: 'existing',
+        changes: [
+          {
+            field: 'transactionStatus',
+            oldValue: 'started',
+            newValue: 'concluded',
+          },
+        ],
+      })
+    );
+    expect(report.rows[4]).toEqual({
+      line: 6,
+      status: 'failed',
+      reason: 'lookup failed',
+    });
+
+    const stored = importPreviewRepository.insert.mock.calls[0][0];
+    expect(stored.source).toBe('nubank');
+    expect(stored.options).toEqual({ duplicates: 'update' });
+    expect(stored.rows.map((row) => row.status)).toEqual([
+      'new',
+      'skipped',
+      'failed',
+      'merged',
+      'failed',
+    ]);
+    expect(stored.rows[0].transactionObject.importFingerprint).toMatch(
+      /^nubank:hash:/
+    );
+  });
+
+  test('previewImport reports changes to reconciled transactions as skipped', async () => {
+    parser.parse.mockReturnValue([{ line: 2, transaction: parsedTransaction }]);
+    transactionRepository.findImportMatch.mockResolvedValueOnce({
+      id: 'existing',
+      ...parsedTransaction,
+      transactionStatus: 'started',
+      reconciliationId: 'r1',
+    });
+    importPreviewRepository.insert.mockResolvedValue({
+      id: 'tok',
+      createdAt: new Date('2026-10-19T10:00:00Z'),
+    });
+
+    const report = await previewImport('nubank', 'csv');
+
+    expect(report).toMatchObject({ skipped: 1, wouldImport: 0 });
+    expect(report.rows[0]).toMatchObject({
+      status: 'skipped',
+      existingTransactionId: 'existing',
+      reason: 'Transaction is reconciled: undo the reconciliation before changing it',
+    });
+  });
+
+  test('commitImport re-checks and applies stored rows', async () => {
+    importPreviewRepository.findById.mockResolvedValue({
+      source: 'nubank',
+      options: { duplicates: 'skip' },
+      rows: [
+        {
+          line: 2,
+          status: 'new',
+          transactionObject: { ...parsedTransaction, importFingerprint: 'a' },
+        },
+        { line: 3, status: 'skipped', reason: 'Zero value' },
+        {
+          line: 4,
+          status: 'new',
+          transactionObject: { ...parsedTransaction, importFingerprint: 'b' },
+        },
+        {
+          line: 5,
+          status: 'new',
+          transactionObject: { ...parsedTransaction, importFingerprint: 'c' },
+        },
+      ],
+    });
+    transactionRepository.findImportMatch
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ id: 'imported-meanwhile', ...parsedTransaction })
+      .mockResolvedValueOnce(null);
+    transactionRepository.insert
+      .mockResolvedValueOnce({ id: 't1' })
+      .mockRejectedValueOnce(new Error('insert failed'));
+
+    const token = '652f1c2b9d3e4a0012345678';
+    const report = await commitImport('nubank', token);
+
+    expect(report).toEqual(
+      expect.objectContaining({
+        total: 4,
+        imported: 1,
+        new: 1,
+        matched: 1,
+        skipped: 1,
+        failed: 1,
+      })
+    );
+    expect(report.rows[1]).toEqual({
+      line: 3,
+      status: 'skipped',
+      reason: 'Zero value',
+    });
+    expect(report.rows[2].transactionId).toBe('imported-meanwhile');
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+    expect(importPreviewRepository.deleteById).toHaveBeenCalledWith(token);
+    expect(linkImportedInstallments).not.toHaveBeenCalled();
+  });
+
+  test('commitImport links new installment rows', async () => {
+    importPreviewRepository.findById.mockResolvedValue({
+      source: 'nubank-credit',
+      options: {},
+      rows: [
+        {
+          line: 2,
+          status: 'new',
+          transactionObject: {
+            ...parsedTransaction,
+            transactionDescription: 'Loja - 3/10',
+            accountId: 'card',
+            importFingerprint: 'a',
+          },
+        },
+      ],
+    });
+    transactionRepository.insert.mockResolvedValueOnce({ id: 't1' });
+    linkImportedInstallments.mockResolvedValueOnce({
+      linked: 1,
+      created: 1,
+      updated: 0,
+    });
+
+    const report = await commitImport(
+      'nubank-credit',
+      '652f1c2b9d3e4a0012345678'
+    );
+
+    expect(linkImportedInstallments).toHaveBeenCalledWith(['card']);
+    expect(report.installmentPlans.linked).toBe(1);
+  });
+
+  test('commitImport rejects unknown, invalid and foreign preview tokens', async () => {
+    importPreviewRepository.findById
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ source: 'flash', rows: [] });
+
+    await expect(commitImport('nubank', 'not-an-id')).rejects.toThrow(
+      'Import preview not found or expired'
+    );
+    await expect(
+      commitImport('nubank', '652f1c2b9d3e4a0012345678')
+    ).rejects.toThrow('Import preview not found or expired');
+    await expect(
+      commitImport('nubank', '652f1c2b9d3e4a0012345678')
+    ).rejects.toThrow('Import preview was generated for source flash');
+    expect(importPreviewRepository.findById).toHaveBeenCalledTimes(2);
+    expect(importPreviewRepository.deleteById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,221 @@
+import * as categoryRuleRepository from '../../../repository/categoryRuleRepository.js';
+import * as companyRepository from '../../../repository/companyRepository.js';
+import * as transactionRepository from '../../../repository/transactionRepository.js';
+import { toMonetaryCents } from '../../../infrastructure/monetary/monetaryUtils.js';
+import { MANUAL_SOURCE } from '../../account/accountDerivation.js';
+import { resolveSourceAccountId } from '../../accountService.js';
+import { recordChange } from '../../auditService.js';
+import {
+  RECONCILED_TRANSACTION_ERROR,
+  isReconciled,
+} from '../../reconciliation/reconciliationLock.js';
+import {
+  addReportRow,
+  createImportReport,
+  prepareTransaction,
+  resolveCategory,
+} from '../importPipeline.js';
+import { parseNfe, source } from './nfeParser.js';
+
+// Days a statement may post a purchase after the note was issued
+export const NFE_MATCH_DAYS = 5;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * List the XML documents of an upload
+ * @param {string|Array<string>} content - One XML or a list of XMLs
+ * @returns {Array<string>} XML documents
+ */
+export function extractNfeDocuments(content) {
+  return (Array.isArray(content) ? content : [content]).filter(Boolean);
+}
+
+/**
+ * Pick the statement debit paid by a note
+ * Debits of another company (by CNPJ) are never picked; debits of the
+ * issuer come first, then the closest to the issue date.
+ * @param {Object} note - Parsed note
+ * @param {Array<Object>} candidates - Debits of the note value near its date
+ * @returns {Object|null} Matching debit or null
+ */
+export function pickFiscalNoteMatch(note, candidates = []) {
+  const cnpj = note.issuer.companyCnpj;
+  const distance = (transaction) =>
+    Math.abs(new Date(transaction.transactionDate) - note.transactionDate);
+  const rank = (transaction) => (cnpj && transaction.companyCnpj === cnpj ? 0 : 1);
+
+  const [match] = candidates
+    .filter(
+      (transaction) =>
+        !cnpj || !transaction.companyCnpj || transaction.companyCnpj === cnpj
+    )
+    .sort((a, b) => rank(a) - rank(b) || distance(a) - distance(b));
+  return match || null;
+}
+
+/**
+ * Create or update the issuer of a note in the company collection
+ * The registered name and address are refreshed; the display name is only
+ * set when the company is created, keeping names edited since.
+ * @param {Object} issuer - Issuer read from the note
+ * @returns {Promise<Object|null>} Company, or null for issuers without CNPJ
+ */
+export async function upsertIssuer(issuer) {
+  if (!issuer.companyCnpj) {
+    return null;
+  }
+
+  const update = {
+    $setOnInsert: { companyName: issuer.tradeName || issuer.corporateName },
+  };
+  if (issuer.corporateName) {
+    update.corporateName = issuer.corporateName;
+  }
+  if (issuer.tradeName) {
+    update.tradeName = issuer.tradeName;
+  }
+  Object.entries(issuer.address).forEach(([field, value]) => {
+    if (value) {
+      update[`address.${field}`] = value;
+    }
+  });
+
+  return companyRepository.upsertByCnpj(issuer.companyCnpj, update);
+}
+
+/**
+ * Fields a note adds to the transaction it pays
+ * @param {Object} note - Parsed note
+ * @param {Object|null} company - Issuer company
+ * @returns {Object} Fiscal note key, items, freight and company fields
+ */
+function noteFields(note, company) {
+  const fields = {
+    transactionFiscalNote: note.accessKey,
+    items: note.items,
+  };
+  if (note.freightValue) {
+    fields.freightValue = note.freightValue;
+  }
+  if (company) {
+    fields.companyId = company.id;
+    fields.companyName = company.companyName;
+    fields.companyCnpj = company.companyCnpj;
+  } else if (note.issuer.corporateName) {
+    fields.companyName = note.issuer.tradeName || note.issuer.corporateName;
+  }
+  return fields;
+}
+
+/**
+ * Import one NF-e or NFC-e XML
+ * - matched: a transaction already holds the access key (notes never change)
+ * - merged: a debit of the note value, at most NFE_MATCH_DAYS after the
+ *   issue date, receives the key, items, freight and issuer
+ * - skipped: the matching debit is reconciled, so it is left untouched
+ * - new: no debit matches and a transaction is created from the note
+ * @param {number} line - Position of the XML in the upload
+ * @param {string} xml - NF-e XML
+ * @param {Array} rules - Active category rules
+ * @param {Object} options - Import options
+ * @param {string} options.accountId - Account searched for the debit and receiving new transactions (default: manual account)
+ * @returns {Promise<Object>} Report row
+ */
+export async function importFiscalNote(line, xml, rules, options = {}) {
+  const note = parseNfe(xml);
+  const summary = {
+    accessKey: note.accessKey,
+    transactionValue: note.transactionValue,
+  };
+
+  const imported = await transactionRepository.findByFiscalNote(note.accessKey);
+  if (imported) {
+    return { line, status: 'matched', transactionId: imported.id, ...summary };
+  }
+
+  const company = await upsertIssuer(note.issuer);
+  const fields = noteFields(note, company);
+  const candidates = await transactionRepository.findFiscalNoteCandidates({
+    cents: toMonetaryCents(note.transactionValue),
+    startDate: new Date(note.transactionDate - DAY_IN_MS),
+    endDate: new Date(note.transactionDate + NFE_MATCH_DAYS * DAY_IN_MS),
+    accountId: options.accountId,
+  });
+  const existing = pickFiscalNoteMatch(note, candidates);
+
+  if (isReconciled(existing)) {
+    return {
+      line,
+      status: 'skipped',
+      transactionId: existing.id,
+      reason: RECONCILED_TRANSACTION_ERROR,
+      ...summary,
+    };
+  }
+  if (existing) {
+    if (!existing.transactionCategory) {
+      fields.transactionCategory = resolveCategory(rules, {
+        ...(existing.toObject ? existing.toObject() : existing),
+        ...fields,
+      });
+    }
+    const transaction = await transactionRepository.updateById(existing.id, fields);
+    await recordChange({
+      documentType: 'transaction',
+      documentId: existing.id,
+      before: existing,
+      after: transaction,
+      origin: 'import',
+      originDetail: source,
+    });
+    return { line, status: 'merged', transactionId: existing.id, ...summary };
+  }
+
+  const transactionObject = prepareTransaction(
+    {
+      transactionDate: note.transactionDate,
+      transactionPeriod: note.transactionPeriod,
+      transactionSource: source,
+      transactionValue: note.transactionValue,
+      transactionType: 'debit',
+      transactionName: fields.companyName,
+      transactionDescription: note.items.map((item) => item.itemName).join(', '),
+      transactionStatus: 'concluded',
+      transactionLocation: note.transactionLocation,
+      paymentMethod: note.paymentMethod,
+      ...fields,
+    },
+    rules
+  );
+  transactionObject.accountId =
+    options.accountId || (await resolveSourceAccountId(MANUAL_SOURCE));
+  const transaction = await transactionRepository.insert(transactionObject);
+
+  return { line, status: 'new', transactionId: transaction.id, ...summary };
+}
+
+/**
+ * Import NF-e and NFC-e XMLs, enriching the transactions they pay
+ * Each XML is imported on its own: a malformed note is reported as failed
+ * without stopping the others.
+ * @param {string|Array<string>} content - One XML or a list of XMLs
+ * @param {Object} options - Import options (see importFiscalNote)
+ * @returns {Promise<Object>} Import report with per-note outcome
+ */
+export async function importFiscalNotes(content, options = {}) {
+  const rules = await categoryRuleRepository.findActive();
+  const report = createImportReport(source);
+
+  const documents = extractNfeDocuments(content);
+  for (const [index, xml] of documents.entries()) {
+    const line = index + 1;
+    try {
+      addReportRow(report, await importFiscalNote(line, xml, rules, options));
+    } catch (error) {
+      addReportRow(report, { line, status: 'failed', reason: error.message });
+    }
+  }
+
+  return report;
+}
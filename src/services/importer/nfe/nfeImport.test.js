@@ -0,0 +1,316 @@
+import { jest } from '@jest/globals';
+
+const categoryRuleRepository = { findActive: jest.fn() };
+const companyRepository = { upsertByCnpj: jest.fn() };
+const transactionRepository = {
+  insert: jest.fn(),
+  updateById: jest.fn(),
+  findByFiscalNote: jest.fn(),
+  findFiscalNoteCandidates: jest.fn(),
+};
+const categorizeTransaction = jest.fn();
+const parseNfe = jest.fn();
+const resolveSourceAccountId = jest.fn();
+
+jest.unstable_mockModule('../../../repository/categoryRuleRepository.js', () => ({
+  ...categoryRuleRepository,
+}));
+
+jest.unstable_mockModule('../../../repository/companyRepository.js', () => ({
+  ...companyRepository,
+}));
+
+jest.unstable_mockModule('../../../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+
+jest.unstable_mockModule('../../../repository/importPreviewRepository.js', () => ({}));
+
+jest.unstable_mockModule('../../categorization/ruleEngine.js', () => ({
+  categorizeTransaction,
+}));
+
+jest.unstable_mockModule('../../accountService.js', () => ({
+  resolveSourceAccountId,
+}));
+
+jest.unstable_mockModule('../../installmentPlanService.js', () => ({
+  linkImportedInstallments: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../auditService.js', () => ({
+  recordChange: jest.fn(),
+}));
+
+jest.unstable_mockModule('./nfeParser.js', () => ({ parseNfe, source: 'nfe' }));
+
+const { recordChange } = await import('../../auditService.js');
+const {
+  NFE_MATCH_DAYS,
+  extractNfeDocuments,
+  pickFiscalNoteMatch,
+  upsertIssuer,
+  importFiscalNote,
+  importFiscalNotes,
+} = await import('./nfeImport.js');
+
+const at = (date) => new Date(`${date}T12:00:00-04:00`);
+const cnpj = '11.222.333/0001-81';
+const accessKey = '35240311222333000181650010000012341000012349';
+
+const issuer = {
+  companyCnpj: cnpj,
+  corporateName: 'MERCADO BOM LTDA',
+  tradeName: 'Mercado Bom',
+  address: { street: 'Rua A', complement: '', city: 'Cuiaba' },
+};
+const note = {
+  accessKey,
+  model: '65',
+  transactionDate: at('2024-03-10').getTime(),
+  transactionPeriod: '2024-03',
+  issuer,
+  items: [{ itemName: 'ARROZ', itemValue: '25,90', itemUnits: 2 }],
+  freightValue: undefined,
+  transactionValue: '51,80',
+  paymentMethod: 'debit card',
+  transactionLocation: 'local',
+};
+const company = {
+  id: 'company1',
+  companyName: 'Mercado Bom',
+  companyCnpj: cnpj,
+};
+
+describe('nfeImport', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    parseNfe.mockReturnValue(note);
+    categoryRuleRepository.findActive.mockResolvedValue([]);
+    companyRepository.upsertByCnpj.mockResolvedValue(company);
+    transactionRepository.findByFiscalNote.mockResolvedValue(null);
+    transactionRepository.findFiscalNoteCandidates.mockResolvedValue([]);
+    transactionRepository.insert.mockResolvedValue({ id: 'new1' });
+    resolveSourceAccountId.mockResolvedValue('manual-account');
+    categorizeTransaction.mockReturnValue(undefined);
+  });
+
+  test('extractNfeDocuments accepts one or many XMLs', () => {
+    expect(extractNfeDocuments('<a/>')).toEqual(['<a/>']);
+    expect(extractNfeDocuments(['<a/>', '', '<b/>'])).toEqual(['<a/>', '<b/>']);
+    expect(extractNfeDocuments(undefined)).toEqual([]);
+  });
+
+  test('pickFiscalNoteMatch prefers the issuer, then the closest date', () => {
+    const near = { id: 'near', transactionDate: at('2024-03-10') };
+    const issuerDebit = {
+      id: 'issuer',
+      transactionDate: at('2024-03-13'),
+      companyCnpj: cnpj,
+    };
+    const other = {
+      id: 'other',
+      transactionDate: at('2024-03-10'),
+      companyCnpj: '99.999.999/0001-99',
+    };
+    const far = { id: 'far', transactionDate: at('2024-03-12') };
+
+    expect(pickFiscalNoteMatch(note, [far, near, issuerDebit, other]).id).toBe(
+      'issuer'
+    );
+    expect(pickFiscalNoteMatch(note, [far, near, other]).id).toBe('near');
+    expect(pickFiscalNoteMatch(note, [other])).toBeNull();
+    expect(
+      pickFiscalNoteMatch({ ...note, issuer: { companyCnpj: '' } }, [other]).id
+    ).toBe('other');
+    expect(pickFiscalNoteMatch(note)).toBeNull();
+  });
+
+  test('upsertIssuer refreshes the registration and keeps edited names', async () => {
+    await expect(upsertIssuer(issuer)).resolves.toBe(company);
+
+    expect(companyRepository.upsertByCnpj).toHaveBeenCalledWith(cnpj, {
+      $setOnInsert: { companyName: 'Mercado Bom' },
+      corporateName: 'MERCADO BOM LTDA',
+      tradeName: 'Mercado Bom',
+      'address.street': 'Rua A',
+      'address.city': 'Cuiaba',
+    });
+
+    await upsertIssuer({ ...issuer, tradeName: '', corporateName: '', address: {} });
+    expect(companyRepository.upsertByCnpj).toHaveBeenLastCalledWith(cnpj, {
+      $setOnInsert: { companyName: '' },
+    });
+    await expect(upsertIssuer({ companyCnpj: '' })).resolves.toBeNull();
+    expect(companyRepository.upsertByCnpj).toHaveBeenCalledTimes(2);
+  });
+
+  test('importFiscalNote leaves notes already imported untouched', async () => {
+    transactionRepository.findByFiscalNote.mockResolvedValueOnce({ id: 't1' });
+
+    await expect(importFiscalNote(1, '<xml/>', [])).resolves.toEqual({
+      line: 1,
+      status: 'matched',
+      transactionId: 't1',
+      accessKey,
+      transactionValue: '51,80',
+    });
+    expect(companyRepository.upsertByCnpj).not.toHaveBeenCalled();
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  test('importFiscalNote enriches the statement debit of the note', async () => {
+    const debit = {
+      id: 't1',
+      transactionDate: at('2024-03-11'),
+      toObject: () => ({ transactionName: 'PAG*MERCADOBOM' }),
+    };
+    transactionRepository.findFiscalNoteCandidates.mockResolvedValueOnce([debit]);
+    parseNfe.mockReturnValueOnce({ ...note, freightValue: '12,50' });
+    categorizeTransaction.mockReturnValueOnce('groceries');
+
+    const row = await importFiscalNote(2, '<xml/>', [{ id: 'rule' }], {
+      accountId: 'card',
+    });
+
+    expect(row).toMatchObject({ line: 2, status: 'merged', transactionId: 't1' });
+    expect(transactionRepository.findFiscalNoteCandidates).toHaveBeenCalledWith({
+      cents: 5180,
+      startDate: at('2024-03-09'),
+      endDate: at(`2024-03-${10 + NFE_MATCH_DAYS}`),
+      accountId: 'card',
+    });
+    expect(transactionRepository.updateById).toHaveBeenCalledWith('t1', {
+      transactionFiscalNote: accessKey,
+      items: note.items,
+      freightValue: '12,50',
+      companyId: 'company1',
+      companyName: 'Mercado Bom',
+      companyCnpj: cnpj,
+      transactionCategory: 'groceries',
+    });
+    expect(recordChange).toHaveBeenCalledWith(
+      expect.objectContaining({
+        documentType: 'transaction',
+        documentId: 't1',
+        before: debit,
+        origin: 'import',
+        originDetail: 'nfe',
+      })
+    );
+    expect(categorizeTransaction).toHaveBeenCalledWith(
+      [{ id: 'rule' }],
+      expect.objectContaining({
+        transactionName: 'PAG*MERCADOBOM',
+        companyCnpj: cnpj,
+      })
+    );
+  });
+
+  test('importFiscalNote keeps the category of categorized debits', async () => {
+    transactionRepository.findFiscalNoteCandidates.mockResolvedValueOnce([
+      { id: 't1', transactionDate: at('2024-03-10'), transactionCategory: 'c1' },
+    ]);
+
+    await importFiscalNote(1, '<xml/>', []);
+
+    expect(
+      transactionRepository.updateById.mock.calls[0][1]
+    ).not.toHaveProperty('transactionCategory');
+    expect(categorizeTransaction).not.toHaveBeenCalled();
+  });
+
+  test('importFiscalNote skips reconciled debits', async () => {
+    transactionRepository.findFiscalNoteCandidates.mockResolvedValueOnce([
+      { id: 't1', transactionDate: at('2024-03-10'), reconciliationId: 'r1' },
+    ]);
+
+    const row = await importFiscalNote(1, '<xml/>', []);
+
+    expect(row).toMatchObject({
+      line: 1,
+      status: 'skipped',
+      transactionId: 't1',
+      reason: 'Transaction is reconciled: undo the reconciliation before changing it',
+    });
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+    expect(transactionRepository.insert).not.toHaveBeenCalled();
+  });
+
+  test('importFiscalNote creates a transaction when no debit matches', async () => {
+    const row = await importFiscalNote(1, '<xml/>', []);
+
+    expect(row).toMatchObject({ status: 'new', transactionId: 'new1' });
+    expect(resolveSourceAccountId).toHaveBeenCalledWith('manual');
+    expect(transactionRepository.insert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        transactionDate: note.transactionDate,
+        transactionPeriod: '2024-03',
+        transactionSource: 'nfe',
+        transactionValue: '51,80',
+        transactionType: 'debit',
+        transactionName: 'Mercado Bom',
+        transactionDescription: 'ARROZ',
+        transactionFiscalNote: accessKey,
+        transactionStatus: 'concluded',
+        transactionLocation: 'local',
+        paymentMethod: 'debit card',
+        companyId: 'company1',
+        companyCnpj: cnpj,
+        accountId: 'manual-account',
+      })
+    );
+  });
+
+  test('importFiscalNote names issuers without CNPJ from the note', async () => {
+    parseNfe.mockReturnValueOnce({
+      ...note,
+      issuer: { ...issuer, companyCnpj: '', tradeName: '' },
+    });
+
+    await importFiscalNote(1, '<xml/>', [], { accountId: 'wallet' });
+
+    expect(companyRepository.upsertByCnpj).not.toHaveBeenCalled();
+    expect(resolveSourceAccountId).not.toHaveBeenCalled();
+    expect(transactionRepository.insert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        transactionName: 'MERCADO BOM LTDA',
+        companyName: 'MERCADO BOM LTDA',
+        accountId: 'wallet',
+      })
+    );
+
+    parseNfe.mockReturnValueOnce({
+      ...note,
+      issuer: { companyCnpj: '', corporateName: '', address: {} },
+    });
+    await importFiscalNote(1, '<xml/>', []);
+    expect(transactionRepository.insert.mock.calls[1][0].companyName).toBeUndefined();
+  });
+
+  test('importFiscalNotes reports each XML on its own', async () => {
+    parseNfe
+      .mockImplementationOnce(() => {
+        throw new Error('Invalid import file: missing <infNFe> element');
+      })
+      .mockReturnValueOnce(note);
+
+    const report = await importFiscalNotes(['<bad/>', '<nfeProc/>'], {
+      duplicates: 'update',
+    });
+
+    expect(report).toMatchObject({
+      source: 'nfe',
+      total: 2,
+      imported: 1,
+      new: 1,
+      failed: 1,
+    });
+    expect(report.rows[0]).toEqual({
+      line: 1,
+      status: 'failed',
+      reason: 'Invalid import file: missing <infNFe> element',
+    });
+    expect(parseNfe).toHaveBeenNthCalledWith(2, '<nfeProc/>');
+  });
+});
@@ -0,0 +1,184 @@
+import {
+  formatCNPJ,
+  isValidCNPJ,
+  validateAccessKey,
+} from '../../../infrastructure/validators/index.js';
+import { normalizeMonetaryValue } from '../../../infrastructure/monetary/monetaryUtils.js';
+import {
+  INVALID_FILE_MESSAGE,
+  decodeXmlEntities,
+  resolveDate,
+} from '../parsers/parserUtils.js';
+
+export const source = 'nfe';
+
+// Payment means (tPag) of the NF-e layout
+const PAYMENT_METHODS = {
+  '01': 'money',
+  '03': 'credit card',
+  '04': 'debit card',
+  '10': 'benefit card',
+  '11': 'benefit card',
+  '12': 'benefit card',
+  '13': 'benefit card',
+  '15': 'boleto',
+  '17': 'pix',
+};
+
+// Buyer presence indicator (indPres) of the NF-e layout
+const LOCATIONS = {
+  1: 'local',
+  2: 'online',
+  3: 'other',
+  4: 'online',
+  5: 'local',
+  9: 'other',
+};
+
+/**
+ * Read the content of every occurrence of an XML element
+ * Namespace prefixes (<nfe:det>) and attributes are ignored.
+ * @param {string} xml - XML content
+ * @param {string} tag - Element name
+ * @returns {Array<string>} Raw element contents
+ */
+export function readXmlBlocks(xml, tag) {
+  const pattern = new RegExp(
+    `<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`,
+    'g'
+  );
+  return [...String(xml || '').matchAll(pattern)].map((match) => match[1]);
+}
+
+/**
+ * Read the text of the first occurrence of an XML element
+ * @param {string} xml - XML content
+ * @param {string} tag - Element name
+ * @returns {string} Trimmed, decoded text, empty when absent
+ */
+export function readXmlElement(xml, tag) {
+  const [block] = readXmlBlocks(xml, tag);
+  return block === undefined ? '' : decodeXmlEntities(block).trim();
+}
+
+/**
+ * Read the 44-digit access key of a note
+ * The authorization protocol (protNFe) carries it as chNFe; notes without
+ * protocol only have it in the infNFe Id attribute ("NFe" + key).
+ * @param {string} xml - NF-e XML
+ * @returns {string} Access key, empty when absent
+ */
+function readAccessKey(xml) {
+  const key = readXmlElement(xml, 'chNFe');
+  if (key) {
+    return key;
+  }
+  const match = String(xml).match(/<(?:\w+:)?infNFe\b[^>]*\bId="NFe(\d+)"/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Read the line items of a note
+ * `itemValue` is the unit value and `itemUnits` the quantity, as elsewhere
+ * in transactions. Fractional quantities (goods sold by weight) are kept as
+ * one unit valued at the line total, with the quantity in the description.
+ * @param {string} xml - NF-e XML
+ * @returns {Array<Object>} Transaction items
+ */
+function readItems(xml) {
+  return readXmlBlocks(xml, 'det').map((det) => {
+    const product = readXmlBlocks(det, 'prod')[0] || det;
+    const quantity = Number(readXmlElement(product, 'qCom')) || 1;
+    const unit = readXmlElement(product, 'uCom');
+    const unitValue = normalizeMonetaryValue(readXmlElement(product, 'vUnCom'));
+    const lineValue = normalizeMonetaryValue(readXmlElement(product, 'vProd'));
+
+    if (!Number.isInteger(quantity)) {
+      return {
+        itemName: readXmlElement(product, 'xProd'),
+        itemDescription: [String(quantity).replace('.', ','), unit, 'x', unitValue]
+          .filter(Boolean)
+          .join(' '),
+        itemValue: lineValue,
+        itemUnits: 1,
+      };
+    }
+    return {
+      itemName: readXmlElement(product, 'xProd'),
+      itemValue: unitValue,
+      itemUnits: quantity,
+    };
+  });
+}
+
+/**
+ * Parse an NF-e or NFC-e XML (nfeProc, or a bare NFe element)
+ * @param {string} content - Raw XML content
+ * @returns {Object} Access key, model, issue date, issuer, items, freight,
+ *   total value, payment method and location of the note
+ * @throws {Error} When the XML is not a note, misses its date or total, or
+ *   its access key is missing or invalid
+ */
+export function parseNfe(content) {
+  const xml = String(content || '');
+  const [infNFe] = readXmlBlocks(xml, 'infNFe');
+  if (infNFe === undefined) {
+    throw new Error(`${INVALID_FILE_MESSAGE}: missing <infNFe> element`);
+  }
+
+  const accessKey = readAccessKey(xml);
+  if (!/^\d{44}$/.test(accessKey)) {
+    throw new Error(`${INVALID_FILE_MESSAGE}: missing 44-digit access key`);
+  }
+  const { isValid, errors } = validateAccessKey(accessKey);
+  if (!isValid) {
+    throw new Error(
+      `${INVALID_FILE_MESSAGE}: invalid access key ${accessKey} (${errors.join(', ')})`
+    );
+  }
+
+  const ide = readXmlBlocks(infNFe, 'ide')[0] || '';
+  const rawDate = readXmlElement(ide, 'dhEmi') || readXmlElement(ide, 'dEmi');
+  const emit = readXmlBlocks(infNFe, 'emit')[0] || '';
+  const address = readXmlBlocks(emit, 'enderEmit')[0] || '';
+  const totals = readXmlBlocks(infNFe, 'ICMSTot')[0] || '';
+  const totalValue = readXmlElement(totals, 'vNF');
+  if (!totalValue) {
+    throw new Error(`${INVALID_FILE_MESSAGE}: missing total value (vNF)`);
+  }
+
+  const cnpj = readXmlElement(emit, 'CNPJ');
+  if (cnpj && !isValidCNPJ(cnpj)) {
+    throw new Error(`${INVALID_FILE_MESSAGE}: invalid issuer CNPJ ${cnpj}`);
+  }
+  const freight = readXmlElement(totals, 'vFrete');
+  const [payment] = readXmlBlocks(infNFe, 'detPag');
+
+  return {
+    accessKey,
+    model: readXmlElement(ide, 'mod'),
+    ...resolveDate(rawDate.slice(0, 10), 'YYYY-MM-DD'),
+    issuer: {
+      companyCnpj: cnpj ? formatCNPJ(cnpj) : '',
+      corporateName: readXmlElement(emit, 'xNome'),
+      tradeName: readXmlElement(emit, 'xFant'),
+      address: {
+        street: readXmlElement(address, 'xLgr'),
+        number: readXmlElement(address, 'nro'),
+        complement: readXmlElement(address, 'xCpl'),
+        neighborhood: readXmlElement(address, 'xBairro'),
+        zipCode: readXmlElement(address, 'CEP'),
+        city: readXmlElement(address, 'xMun'),
+        state: readXmlElement(address, 'UF'),
+      },
+    },
+    items: readItems(infNFe),
+    freightValue:
+      Number(freight) > 0 ? normalizeMonetaryValue(freight) : undefined,
+    transactionValue: normalizeMonetaryValue(totalValue),
+    paymentMethod: payment
+      ? PAYMENT_METHODS[readXmlElement(payment, 'tPag')] || 'other'
+      : undefined,
+    transactionLocation: LOCATIONS[readXmlElement(ide, 'indPres')],
+  };
+}
@@ -0,0 +1,129 @@
+import {
+  parseNfe,
+  readXmlBlocks,
+  readXmlElement,
+  source,
+} from './nfeParser.js';
+
+const accessKey = '35240311222333000181650010000012341000012349';
+
+const nfeProc = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<nfeProc xmlns="http://www.portalfiscal.inf.br/nfe" versao="4.00">',
+  `<NFe><infNFe Id="NFe${accessKey}" versao="4.00">`,
+  '<ide><cUF>35</cUF><mod>65</mod><serie>1</serie><nNF>1234</nNF>',
+  '<dhEmi>2024-03-10T19:45:00-03:00</dhEmi><indPres>1</indPres></ide>',
+  '<emit><CNPJ>11222333000181</CNPJ><xNome>MERCADO BOM &amp; BARATO LTDA</xNome>',
+  '<xFant>Mercado Bom</xFant><enderEmit><xLgr>Rua A</xLgr><nro>10</nro>',
+  '<xBairro>Centro</xBairro><xMun>Cuiaba</xMun><UF>MT</UF><CEP>78000000</CEP>',
+  '</enderEmit></emit>',
+  '<det nItem="1"><prod><cProd>1</cProd><xProd>ARROZ 5KG</xProd><uCom>UN</uCom>',
+  '<qCom>2.0000</qCom><vUnCom>25.9000000000</vUnCom><vProd>51.80</vProd></prod></det>',
+  '<det nItem="2"><prod><cProd>2</cProd><xProd>BANANA</xProd><uCom>KG</uCom>',
+  '<qCom>0.5350</qCom><vUnCom>6.99</vUnCom><vProd>3.74</vProd></prod></det>',
+  '<total><ICMSTot><vProd>55.54</vProd><vFrete>0.00</vFrete><vNF>55.54</vNF></ICMSTot></total>',
+  '<pag><detPag><tPag>04</tPag><vPag>55.54</vPag></detPag></pag>',
+  '</infNFe></NFe>',
+  `<protNFe><infProt><chNFe>${accessKey}</chNFe></infProt></protNFe>`,
+  '</nfeProc>',
+].join('\n');
+
+describe('nfeParser', () => {
+  test('readXmlBlocks and readXmlElement ignore prefixes and attributes', () => {
+    const xml = '<a><nfe:det nItem="1">x</nfe:det><det>y</det><detPag>z</detPag></a>';
+
+    expect(readXmlBlocks(xml, 'det')).toEqual(['x', 'y']);
+    expect(readXmlElement('<b> A &amp; B </b>', 'b')).toBe('A & B');
+    expect(readXmlElement(xml, 'missing')).toBe('');
+    expect(readXmlBlocks(undefined, 'a')).toEqual([]);
+  });
+
+  test('parseNfe reads key, issuer, items, totals and payment', () => {
+    expect(source).toBe('nfe');
+    expect(parseNfe(nfeProc)).toEqual({
+      accessKey,
+      model: '65',
+      transactionDate: new Date('2024-03-10T12:00:00-04:00').getTime(),
+      transactionPeriod: '2024-03',
+      issuer: {
+        companyCnpj: '11.222.333/0001-81',
+        corporateName: 'MERCADO BOM & BARATO LTDA',
+        tradeName: 'Mercado Bom',
+        address: {
+          street: 'Rua A',
+          number: '10',
+          complement: '',
+          neighborhood: 'Centro',
+          zipCode: '78000000',
+          city: 'Cuiaba',
+          state: 'MT',
+        },
+      },
+      items: [
+        { itemName: 'ARROZ 5KG', itemValue: '25,90', itemUnits: 2 },
+        {
+          itemName: 'BANANA',
+          itemDescription: '0,535 KG x 6,99',
+          itemValue: '3,74',
+          itemUnits: 1,
+        },
+      ],
+      freightValue: undefined,
+      transactionValue: '55,54',
+      paymentMethod: 'debit card',
+      transactionLocation: 'local',
+    });
+  });
+
+  test('parseNfe falls back to the infNFe Id, dEmi and unknown payments', () => {
+    const note = parseNfe(
+      nfeProc
+        .replace(/<protNFe>.*<\/protNFe>/, '')
+        .replace(/<dhEmi>.*<\/dhEmi>/, '<dEmi>2024-03-11</dEmi>')
+        .replace('<vFrete>0.00</vFrete>', '<vFrete>12.50</vFrete>')
+        .replace('<tPag>04</tPag>', '<tPag>99</tPag>')
+        .replace('<indPres>1</indPres>', '<indPres>0</indPres>')
+        .replace(/<CNPJ>.*<\/CNPJ>/, '<CPF>12345678909</CPF>')
+        .replace(/<xFant>.*<\/xFant>/, '')
+    );
+
+    expect(note).toMatchObject({
+      accessKey,
+      transactionPeriod: '2024-03',
+      freightValue: '12,50',
+      paymentMethod: 'other',
+      transactionLocation: undefined,
+    });
+    expect(note.issuer.companyCnpj).toBe('');
+    expect(
+      parseNfe(nfeProc.replace(/<pag>.*<\/pag>/, '')).paymentMethod
+    ).toBeUndefined();
+    expect(
+      parseNfe(nfeProc.replace('<qCom>2.0000</qCom>', '')).items[0].itemUnits
+    ).toBe(1);
+  });
+
+  test('parseNfe rejects files that are not valid notes', () => {
+    expect(() => parseNfe('<OFX></OFX>')).toThrow(
+      'Invalid import file: missing <infNFe> element'
+    );
+    expect(() => parseNfe(undefined)).toThrow('missing <infNFe> element');
+    expect(() =>
+      parseNfe(nfeProc.replaceAll(accessKey, '123'))
+    ).toThrow('Invalid import file: missing 44-digit access key');
+    expect(() =>
+      parseNfe(nfeProc.replaceAll(accessKey, `${accessKey.slice(0, 43)}0`))
+    ).toThrow(
+      `Invalid import file: invalid access key ${accessKey.slice(0, 43)}0 (Invalid check digit: expected 9)`
+    );
+    expect(() => parseNfe(nfeProc.replace(/<vNF>.*<\/vNF>/, ''))).toThrow(
+      'Invalid import file: missing total value (vNF)'
+    );
+    expect(() =>
+      parseNfe(nfeProc.replace('<CNPJ>11222333000181', '<CNPJ>11222333000100'))
+    ).toThrow('Invalid import file: invalid issuer CNPJ 11222333000100');
+    expect(() =>
+      parseNfe(nfeProc.replace(/<dhEmi>.*<\/dhEmi>/, ''))
+    ).toThrow('Invalid date: (empty)');
+  });
+});
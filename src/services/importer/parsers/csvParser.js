@@ -0,0 +1,62 @@
+import { parseCsv } from '../../../infrastructure/csv/index.js';
+import {
+  INVALID_FILE_MESSAGE,
+  resolveColumns,
+  resolveDate,
+  resolveValue,
+  mapRows,
+} from './parserUtils.js';
+
+export const source = 'csv';
+
+/**
+ * Drop thousand separators so the value only keeps the mapped decimal separator
+ * "1.234,56" with ',' and "1,234.56" with '.' both become unambiguous.
+ * @param {string} rawValue - Value as written in the file
+ * @param {string} decimalSeparator - ',' or '.'
+ * @returns {string} Value without thousand separators
+ */
+export function stripThousandSeparators(rawValue, decimalSeparator = ',') {
+  const thousandSeparator = decimalSeparator === '.' ? ',' : '.';
+  return String(rawValue || '').split(thousandSeparator).join('');
+}
+
+/**
+ * Parse a CSV statement using a saved column mapping profile
+ * @param {string} content - Raw CSV content
+ * @param {Object} options - Parse options
+ * @param {Object} options.mapping - Mapping profile (see ImportMappingModel)
+ * @returns {Array<Object>} Parser entries
+ */
+export function parse(content, options = {}) {
+  const { mapping } = options;
+  if (!mapping) {
+    throw new Error(`${INVALID_FILE_MESSAGE}: a column mapping is required`);
+  }
+
+  const { headers, rows } = parseCsv(content, {
+    delimiter: mapping.delimiter || undefined,
+  });
+  const columns = resolveColumns(headers, {
+    date: [mapping.dateColumn],
+    value: [mapping.valueColumn],
+    description: [mapping.descriptionColumn],
+  });
+
+  return mapRows(rows, (values) => {
+    const description = values[columns.description];
+    const [transactionName] = description.split(' - ');
+
+    return {
+      ...resolveDate(values[columns.date], mapping.dateFormat || 'DD/MM/YYYY'),
+      ...resolveValue(
+        stripThousandSeparators(values[columns.value], mapping.decimalSeparator),
+        { positiveIsDebit: Boolean(mapping.positiveIsDebit) }
+      ),
+      transactionSource: source,
+      transactionName: transactionName.trim(),
+      transactionDescription: description,
+      transactionStatus: 'concluded',
+    };
+  });
+}
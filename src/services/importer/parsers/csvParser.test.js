@@ -0,0 +1,96 @@
+import { parse, source, stripThousandSeparators } from './csvParser.js';
+
+const mapping = {
+  name: 'Banco X',
+  dateColumn: 'Data Lançamento',
+  valueColumn: 'Valor (R$)',
+  descriptionColumn: 'Histórico',
+  dateFormat: 'DD/MM/YYYY',
+  decimalSeparator: ',',
+};
+
+const csv = [
+  'Data Lançamento;Histórico;Valor (R$);Saldo',
+  '05/03/2024;Compra - MERCADO;-1.234,56;100,00',
+  '06/03/2024;Salario;5.000,00;5.100,00',
+  '07/03/2024;Ajuste;0,00;5.100,00',
+  '2024-03-08;Broken;1,00;0',
+].join('\n');
+
+describe('csvParser', () => {
+  test('exports source name', () => {
+    expect(source).toBe('csv');
+  });
+
+  test('parses rows using the mapping profile', () => {
+    const [debit, credit, zero, broken] = parse(csv, { mapping });
+
+    expect(debit.line).toBe(2);
+    expect(debit.transaction).toEqual(
+      expect.objectContaining({
+        transactionPeriod: '2024-03',
+        transactionSource: 'csv',
+        transactionValue: '1234,56',
+        transactionType: 'debit',
+        transactionName: 'Compra',
+        transactionDescription: 'Compra - MERCADO',
+        transactionStatus: 'concluded',
+      })
+    );
+    expect(credit.transaction.transactionValue).toBe('5000,00');
+    expect(credit.transaction.transactionType).toBe('credit');
+    expect(zero).toEqual({ line: 4, skip: 'Zero value' });
+    expect(broken).toEqual({ line: 5, error: 'Invalid date: 2024-03-08' });
+  });
+
+  test('honours delimiter, date format, decimal separator and sign convention', () => {
+    const [entry] = parse('date|amount|title\n2024-03-05|1,234.50|Loja', {
+      mapping: {
+        delimiter: '|',
+        dateColumn: 'date',
+        valueColumn: 'amount',
+        descriptionColumn: 'title',
+        dateFormat: 'YYYY-MM-DD',
+        decimalSeparator: '.',
+        positiveIsDebit: true,
+      },
+    });
+
+    expect(entry.transaction).toEqual(
+      expect.objectContaining({
+        transactionPeriod: '2024-03',
+        transactionValue: '1234,50',
+        transactionType: 'debit',
+      })
+    );
+  });
+
+  test('defaults the date format', () => {
+    const [entry] = parse('d,v,t\n05/03/2024,-1.00,X', {
+      mapping: {
+        dateColumn: 'd',
+        valueColumn: 'v',
+        descriptionColumn: 't',
+        decimalSeparator: '.',
+      },
+    });
+
+    expect(entry.transaction.transactionType).toBe('debit');
+  });
+
+  test('stripThousandSeparators keeps only the decimal separator', () => {
+    expect(stripThousandSeparators('1.234,56', ',')).toBe('1234,56');
+    expect(stripThousandSeparators('1,234.56', '.')).toBe('1234.56');
+    expect(stripThousandSeparators('1.234,56')).toBe('1234,56');
+    expect(stripThousandSeparators(undefined)).toBe('');
+  });
+
+  test('throws without a mapping or when mapped columns are missing', () => {
+    expect(() => parse(csv)).toThrow(
+      'Invalid import file: a column mapping is required'
+    );
+    expect(() =>
+      parse(csv, { mapping: { ...mapping, valueColumn: 'Amount' } })
+    ).toThrow('Invalid import file: missing column(s) Amount');
+  });
+});
@@ -0,0 +1,53 @@
+import { parseCsv } from '../../../infrastructure/csv/index.js';
+import {
+  resolveColumns,
+  resolveDate,
+  resolveValue,
+  parseInstallments,
+  mapRows,
+} from './parserUtils.js';
+
+export const source = 'digio-credit';
+
+/**
+ * Parse a Digio credit card invoice (CSV export)
+ * Columns: Data (DD/MM/YYYY), Descrição, Valor (purchases positive, payments negative)
+ * and an optional Parcela column ("02/10")
+ * @param {string} content - Raw CSV content
+ * @returns {Array<Object>} Parser entries
+ */
+export function parse(content) {
+  const { headers, rows } = parseCsv(content);
+  const columns = resolveColumns(
+    headers,
+    {
+      date: ['Data', 'Data da compra'],
+      description: ['Descrição', 'Estabelecimento', 'Lançamento'],
+      value: ['Valor', 'Valor (R$)', 'Valor em R$'],
+    },
+    { installment: ['Parcela', 'Parcelas'] }
+  );
+
+  return mapRows(rows, (values) => {
+    let description = values[columns.description];
+    const installmentColumn = columns.installment
+      ? values[columns.installment]
+      : '';
+    if (installmentColumn && /\d+\/\d+/.test(installmentColumn)) {
+      description = `${description} - ${installmentColumn}`;
+    }
+    const installments = parseInstallments(description);
+
+    return {
+      ...resolveDate(values[columns.date], 'DD/MM/YYYY'),
+      ...resolveValue(values[columns.value], { positiveIsDebit: true }),
+      transactionSource: source,
+      transactionName: installments ? installments.name : description,
+      transactionDescription: description,
+      transactionInstallments: installments
+        ? String(installments.total)
+        : undefined,
+      transactionStatus: 'concluded',
+    };
+  });
+}
@@ -0,0 +1,47 @@
+import { parse, source } from './digioCreditParser.js';
+
+describe('digioCreditParser', () => {
+  test('exports source name', () => {
+    expect(source).toBe('digio-credit');
+  });
+
+  test('parses invoice rows using the installment column', () => {
+    const [purchase, installment, payment] = parse(
+      [
+        'Data;Descrição;Parcela;Valor',
+        '05/03/2024;FARMACIA;;35,00',
+        '06/03/2024;LOJA ONLINE;02/05;200,00',
+        '10/03/2024;PAGAMENTO FATURA;;-1.000,00',
+      ].join('\n')
+    );
+
+    expect(purchase.transaction).toEqual(
+      expect.objectContaining({
+        transactionSource: 'digio-credit',
+        transactionValue: '35,00',
+        transactionType: 'debit',
+        transactionName: 'FARMACIA',
+        transactionDescription: 'FARMACIA',
+      })
+    );
+    expect(installment.transaction).toEqual(
+      expect.objectContaining({
+        transactionName: 'LOJA ONLINE',
+        transactionDescription: 'LOJA ONLINE - 02/05',
+        transactionInstallments: '5',
+      })
+    );
+    expect(payment.transaction).toEqual(
+      expect.objectContaining({
+        transactionValue: '1000,00',
+        transactionType: 'credit',
+      })
+    );
+  });
+
+  test('parses installments embedded in the description without column', () => {
+    const [entry] = parse('Data;Estabelecimento;Valor\n05/03/2024;LOJA - 01/03;10,00');
+
+    expect(entry.transaction.transactionInstallments).toBe('3');
+  });
+});
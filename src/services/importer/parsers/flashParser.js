@@ -0,0 +1,47 @@
+import { parseCsv } from '../../../infrastructure/csv/index.js';
+import {
+  resolveColumns,
+  resolveDate,
+  resolveValue,
+  mapRows,
+} from './parserUtils.js';
+
+export const source = 'flash';
+
+/**
+ * Parse a Flash benefit card statement (CSV export)
+ * Columns: Data (DD/MM/YYYY, optionally followed by time), Descrição/Movimentação,
+ * Valor (signed: benefit deposits positive, purchases negative)
+ * @param {string} content - Raw CSV content
+ * @returns {Array<Object>} Parser entries
+ */
+export function parse(content) {
+  const { headers, rows } = parseCsv(content);
+  const columns = resolveColumns(
+    headers,
+    {
+      date: ['Data', 'Data da transação'],
+      description: ['Descrição', 'Movimentação', 'Estabelecimento'],
+      value: ['Valor', 'Valor (R$)'],
+    },
+    { status: ['Status'] }
+  );
+
+  return mapRows(rows, (values) => {
+    const status = columns.status ? values[columns.status].toLowerCase() : '';
+    if (['cancelada', 'negada', 'recusada'].includes(status)) {
+      return { skip: `Transaction ${status}` };
+    }
+
+    const description = values[columns.description];
+
+    return {
+      ...resolveDate(values[columns.date], 'DD/MM/YYYY'),
+      ...resolveValue(values[columns.value]),
+      transactionSource: source,
+      transactionName: description,
+      transactionDescription: description,
+      transactionStatus: 'concluded',
+    };
+  });
+}
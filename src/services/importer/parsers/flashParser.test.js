@@ -0,0 +1,35 @@
+import { parse, source } from './flashParser.js';
+
+describe('flashParser', () => {
+  test('exports source name', () => {
+    expect(source).toBe('flash');
+  });
+
+  test('parses benefit deposits and purchases', () => {
+    const [deposit, purchase, denied] = parse(
+      [
+        'Data;Movimentação;Valor;Status',
+        '01/03/2024 08:00;Benefício Alimentação;800,00;Aprovada',
+        '05/03/2024 12:30;RESTAURANTE;-42,50;Aprovada',
+        '06/03/2024 12:30;RESTAURANTE;-42,50;Negada',
+      ].join('\n')
+    );
+
+    expect(deposit.transaction).toEqual(
+      expect.objectContaining({
+        transactionSource: 'flash',
+        transactionValue: '800,00',
+        transactionType: 'credit',
+        transactionName: 'Benefício Alimentação',
+      })
+    );
+    expect(purchase.transaction.transactionType).toBe('debit');
+    expect(denied).toEqual({ line: 4, skip: 'Transaction negada' });
+  });
+
+  test('parses files without status column', () => {
+    const [entry] = parse('Data,Descrição,Valor\n05/03/2024,MERCADO,-10.00');
+
+    expect(entry.transaction.transactionValue).toBe('10,00');
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Statement parser registry
+ * Each parser module exports `source` and `parse(content, options)`.
+ * New import sources are plugged in by registering their module here.
+ */
+
+import * as nubankParser from './nubankParser.js';
+import * as nubankCreditParser from './nubankCreditParser.js';
+import * as digioCreditParser from './digioCreditParser.js';
+import * as flashParser from './flashParser.js';
+import * as mercadolivreParser from './mercadolivreParser.js';
+import * as ofxParser from './ofxParser.js';
+import * as csvParser from './csvParser.js';
+
+const parsers = new Map();
+
+/**
+ * Register a parser module for an import source
+ * @param {Object} parser - Parser module with `source` and `parse`
+ */
+export function registerParser(parser) {
+  if (!parser || !parser.source || typeof parser.parse !== 'function') {
+    throw new Error('Parser must export a source and a parse function');
+  }
+  parsers.set(parser.source, parser);
+}
+
+/**
+ * Get the parser registered for an import source
+ * @param {string} source - Import source (e.g. 'nubank', 'flash')
+ * @returns {Object} Parser module
+ * @throws {Error} When no parser is registered for the source
+ */
+export function getParser(source) {
+  const parser = parsers.get(source);
+  if (!parser) {
+    throw new Error(`Unsupported import source: ${source}`);
+  }
+  return parser;
+}
+
+/**
+ * List registered import sources
+ * @returns {Array<string>} Source names
+ */
+export function getSupportedSources() {
+  return [...parsers.keys()];
+}
+
+[
+  nubankParser,
+  nubankCreditParser,
+  digioCreditParser,
+  flashParser,
+  mercadolivreParser,
+  ofxParser,
+  csvParser,
+].forEach(registerParser);
@@ -0,0 +1,39 @@
+import { registerParser, getParser, getSupportedSources } from './index.js';
+
+describe('parser registry', () => {
+  test('registers built-in statement parsers', () => {
+    expect(getSupportedSources()).toEqual(
+      expect.arrayContaining([
+        'nubank',
+        'nubank-credit',
+        'digio-credit',
+        'flash',
+        'mercadolivre',
+        'ofx',
+        'csv',
+      ])
+    );
+    expect(getParser('nubank').source).toBe('nubank');
+  });
+
+  test('registers custom parsers', () => {
+    const parser = { source: 'custom-bank', parse: () => [] };
+
+    registerParser(parser);
+
+    expect(getParser('custom-bank')).toBe(parser);
+  });
+
+  test('rejects invalid parser modules', () => {
+    expect(() => registerParser(null)).toThrow(
+      'Parser must export a source and a parse function'
+    );
+    expect(() => registerParser({ source: 'x' })).toThrow();
+  });
+
+  test('throws for unsupported sources', () => {
+    expect(() => getParser('unknown')).toThrow(
+      'Unsupported import source: unknown'
+    );
+  });
+});
@@ -0,0 +1,96 @@
+import {
+  normalizeMonetaryValue,
+  parseMonetaryValue,
+} from '../../../infrastructure/monetary/monetaryUtils.js';
+import { INVALID_FILE_MESSAGE, resolveDate, mapRows } from './parserUtils.js';
+
+export const source = 'mercadolivre';
+
+const orderStatusToTransactionStatus = {
+  delivered: 'concluded',
+  entregue: 'concluded',
+  paid: 'concluded',
+  concluded: 'concluded',
+  refunded: 'refunded',
+  devolvido: 'refunded',
+  reembolsado: 'refunded',
+  shipped: 'started',
+  'a caminho': 'started',
+  pending: 'started',
+};
+
+const cancelledStatuses = ['cancelled', 'canceled', 'cancelado', 'cancelada'];
+
+/**
+ * Parse a MercadoLivre purchases export (JSON array of orders)
+ * Order: { id, date, status, total, freight, seller, items: [{ name, description, value, units }] }
+ * Dates may be ISO (YYYY-MM-DD...) or DD/MM/YYYY.
+ * @param {string|Array<Object>} content - JSON string or already parsed array
+ * @returns {Array<Object>} Parser entries
+ */
+export function parse(content) {
+  let orders = content;
+  if (typeof content === 'string') {
+    try {
+      orders = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`${INVALID_FILE_MESSAGE}: malformed JSON`);
+    }
+  }
+
+  if (!Array.isArray(orders)) {
+    throw new Error(`${INVALID_FILE_MESSAGE}: expected an array of orders`);
+  }
+
+  const rows = orders.map((values, index) => ({ line: index + 1, values }));
+
+  return mapRows(rows, (order) => {
+    const status = String(order.status || '').toLowerCase();
+    if (cancelledStatuses.includes(status)) {
+      return { skip: 'Order cancelled' };
+    }
+
+    const rawDate = String(order.date || order.dateCreated || '');
+    const dateFormat = /^\d{4}-\d{2}-\d{2}/.test(rawDate)
+      ? 'YYYY-MM-DD'
+      : 'DD/MM/YYYY';
+
+    const items = (order.items || []).map((item) => ({
+      itemName: item.name || item.title,
+      itemDescription: item.description,
+      itemValue: normalizeMonetaryValue(item.value ?? item.unitPrice),
+      itemUnits: Number(item.units ?? item.quantity) || 1,
+    }));
+
+    const itemsTotal = items.reduce(
+      (sum, item) => sum + parseMonetaryValue(item.itemValue) * item.itemUnits,
+      0
+    );
+    const freight = order.freight ?? order.shipping;
+    const total =
+      order.total ?? itemsTotal + (freight ? parseMonetaryValue(freight) : 0);
+
+    const [firstItem] = items;
+    const transactionName = firstItem
+      ? items.length > 1
+        ? `${firstItem.itemName} + ${items.length - 1}`
+        : firstItem.itemName
+      : `Pedido ${order.id || ''}`.trim();
+
+    return {
+      ...resolveDate(rawDate, dateFormat),
+      transactionSource: source,
+      transactionValue: normalizeMonetaryValue(total),
+      transactionType: 'debit',
+      transactionName,
+      transactionDescription: items.map((item) => item.itemName).join(', '),
+      transactionId: order.id ? String(order.id) : undefined,
+      transactionStatus: orderStatusToTransactionStatus[status] || 'concluded',
+      transactionLocation: 'online',
+      freightValue: freight !== undefined ? normalizeMonetaryValue(freight) : undefined,
+      items,
+      companyName: 'MercadoLivre',
+      companySellerName: order.seller || order.sellerName,
+    };
+  });
+}
@@ -0,0 +1,100 @@
+import { parse, source } from './mercadolivreParser.js';
+
+describe('mercadolivreParser', () => {
+  test('exports source name', () => {
+    expect(source).toBe('mercadolivre');
+  });
+
+  test('parses orders with items, freight and seller', () => {
+    const [entry] = parse(
+      JSON.stringify([
+        {
+          id: 123,
+          date: '2024-03-05T10:00:00.000Z',
+          status: 'delivered',
+          total: '150,00',
+          freight: '10,00',
+          seller: 'LOJA OFICIAL',
+          items: [
+            { name: 'Fone', description: 'Bluetooth', value: '70,00', units: 2 },
+          ],
+        },
+      ])
+    );
+
+    expect(entry.line).toBe(1);
+    expect(entry.transaction).toEqual(
+      expect.objectContaining({
+        transactionPeriod: '2024-03',
+        transactionSource: 'mercadolivre',
+        transactionValue: '150,00',
+        transactionType: 'debit',
+        transactionName: 'Fone',
+        transactionDescription: 'Fone',
+        transactionId: '123',
+        transactionStatus: 'concluded',
+        transactionLocation: 'online',
+        freightValue: '10,00',
+        companyName: 'MercadoLivre',
+        companySellerName: 'LOJA OFICIAL',
+        items: [
+          {
+            itemName: 'Fone',
+            itemDescription: 'Bluetooth',
+            itemValue: '70,00',
+            itemUnits: 2,
+          },
+        ],
+      })
+    );
+  });
+
+  test('computes total from items when missing and accepts alternative keys', () => {
+    const [entry] = parse([
+      {
+        dateCreated: '05/03/2024',
+        status: 'devolvido',
+        shipping: 5,
+        sellerName: 'VENDEDOR',
+        items: [
+          { title: 'Cabo', unitPrice: 10, quantity: 3 },
+          { title: 'Capa', unitPrice: '20,00' },
+        ],
+      },
+    ]);
+
+    expect(entry.transaction).toEqual(
+      expect.objectContaining({
+        transactionValue: '55,00',
+        transactionName: 'Cabo + 1',
+        transactionDescription: 'Cabo, Capa',
+        transactionId: undefined,
+        transactionStatus: 'refunded',
+        freightValue: '5,00',
+        companySellerName: 'VENDEDOR',
+      })
+    );
+    expect(entry.transaction.items[1].itemUnits).toBe(1);
+  });
+
+  test('skips cancelled orders and reports invalid ones', () => {
+    const entries = parse([
+      { id: 1, date: '2024-03-05', status: 'cancelado', total: 10 },
+      { id: 2, total: 10 },
+      { id: 3, date: '2024-03-05', status: 'unknown', total: 10 },
+    ]);
+
+    expect(entries[0]).toEqual({ line: 1, skip: 'Order cancelled' });
+    expect(entries[1]).toEqual({ line: 2, error: 'Invalid date: (empty)' });
+    expect(entries[2].transaction.transactionStatus).toBe('concluded');
+    expect(entries[2].transaction.transactionName).toBe('Pedido 3');
+    expect(entries[2].transaction.freightValue).toBeUndefined();
+  });
+
+  test('throws on malformed payloads', () => {
+    expect(() => parse('{not json')).toThrow('Invalid import file: malformed JSON');
+    expect(() => parse({ orders: [] })).toThrow(
+      'Invalid import file: expected an array of orders'
+    );
+  });
+});
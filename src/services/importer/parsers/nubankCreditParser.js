@@ -0,0 +1,42 @@
+import { parseCsv } from '../../../infrastructure/csv/index.js';
+import {
+  resolveColumns,
+  resolveDate,
+  resolveValue,
+  parseInstallments,
+  mapRows,
+} from './parserUtils.js';
+
+export const source = 'nubank-credit';
+
+/**
+ * Parse a Nubank credit card statement (CSV export)
+ * Columns: date (YYYY-MM-DD), title, amount (purchases positive, payments negative)
+ * @param {string} content - Raw CSV content
+ * @returns {Array<Object>} Parser entries
+ */
+export function parse(content) {
+  const { headers, rows } = parseCsv(content);
+  const columns = resolveColumns(headers, {
+    date: ['date'],
+    title: ['title'],
+    amount: ['amount'],
+  });
+
+  return mapRows(rows, (values) => {
+    const title = values[columns.title];
+    const installments = parseInstallments(title);
+
+    return {
+      ...resolveDate(values[columns.date], 'YYYY-MM-DD'),
+      ...resolveValue(values[columns.amount], { positiveIsDebit: true }),
+      transactionSource: source,
+      transactionName: installments ? installments.name : title,
+      transactionDescription: title,
+      transactionInstallments: installments
+        ? String(installments.total)
+        : undefined,
+      transactionStatus: 'concluded',
+    };
+  });
+}
@@ -0,0 +1,42 @@
+import { parse, source } from './nubankCreditParser.js';
+
+describe('nubankCreditParser', () => {
+  test('exports source name', () => {
+    expect(source).toBe('nubank-credit');
+  });
+
+  test('parses purchases, installments and payments', () => {
+    const [purchase, installment, payment] = parse(
+      [
+        'date,title,amount',
+        '2024-03-05,Supermercado,120.50',
+        '2024-03-06,Loja Eletro - Parcela 2/10,99.90',
+        '2024-03-10,Pagamento recebido,-500.00',
+      ].join('\n')
+    );
+
+    expect(purchase.transaction).toEqual(
+      expect.objectContaining({
+        transactionSource: 'nubank-credit',
+        transactionValue: '120,50',
+        transactionType: 'debit',
+        transactionName: 'Supermercado',
+        transactionInstallments: undefined,
+      })
+    );
+    expect(installment.transaction).toEqual(
+      expect.objectContaining({
+        transactionName: 'Loja Eletro',
+        transactionDescription: 'Loja Eletro - Parcela 2/10',
+        transactionInstallments: '10',
+      })
+    );
+    expect(payment.transaction.transactionType).toBe('credit');
+  });
+
+  test('throws when required columns are missing', () => {
+    expect(() => parse('date,amount\n2024-03-05,1')).toThrow(
+      'missing column(s) title'
+    );
+  });
+});
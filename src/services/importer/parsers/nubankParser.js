@@ -0,0 +1,43 @@
+import { parseCsv } from '../../../infrastructure/csv/index.js';
+import {
+  resolveColumns,
+  resolveDate,
+  resolveValue,
+  mapRows,
+} from './parserUtils.js';
+
+export const source = 'nubank';
+
+/**
+ * Parse a Nubank checking account statement (CSV export)
+ * Columns: Data (DD/MM/YYYY), Valor (signed, period decimal), Identificador, Descrição
+ * @param {string} content - Raw CSV content
+ * @returns {Array<Object>} Parser entries
+ */
+export function parse(content) {
+  const { headers, rows } = parseCsv(content);
+  const columns = resolveColumns(
+    headers,
+    {
+      date: ['Data'],
+      value: ['Valor'],
+      description: ['Descrição', 'Descricao'],
+    },
+    { id: ['Identificador'] }
+  );
+
+  return mapRows(rows, (values) => {
+    const description = values[columns.description];
+    const [transactionName] = description.split(' - ');
+
+    return {
+      ...resolveDate(values[columns.date], 'DD/MM/YYYY'),
+      ...resolveValue(values[columns.value]),
+      transactionSource: source,
+      transactionName: transactionName.trim(),
+      transactionDescription: description,
+      transactionId: columns.id ? values[columns.id] || undefined : undefined,
+      transactionStatus: 'concluded',
+    };
+  });
+}
@@ -0,0 +1,54 @@
+import { parse, source } from './nubankParser.js';
+
+const csv = [
+  'Data,Valor,Identificador,Descrição',
+  '05/03/2024,-45.90,id-1,Transferência enviada pelo Pix - PADARIA BOA LTDA - 11.222.333/0001-81 - BANCO',
+  '06/03/2024,1500.00,id-2,Transferência Recebida - FULANO',
+  '07/03/2024,0.00,id-3,Ajuste',
+  'invalid,10.00,id-4,Broken',
+].join('\n');
+
+describe('nubankParser', () => {
+  test('exports source name', () => {
+    expect(source).toBe('nubank');
+  });
+
+  test('parses checking account rows', () => {
+    const [debit, credit, zero, broken] = parse(csv);
+
+    expect(debit.line).toBe(2);
+    expect(debit.transaction).toEqual(
+      expect.objectContaining({
+        transactionPeriod: '2024-03',
+        transactionSource: 'nubank',
+        transactionValue: '45,90',
+        transactionType: 'debit',
+        transactionName: 'Transferência enviada pelo Pix',
+        transactionId: 'id-1',
+        transactionStatus: 'concluded',
+      })
+    );
+    expect(credit.transaction.transactionType).toBe('credit');
+    expect(credit.transaction.transactionValue).toBe('1500,00');
+    expect(zero).toEqual({ line: 4, skip: 'Zero value' });
+    expect(broken).toEqual({ line: 5, error: 'Invalid date: invalid' });
+  });
+
+  test('leaves transactionId undefined without identifier column', () => {
+    const [entry] = parse('Data;Valor;Descrição\n05/03/2024;-1,00;Compra');
+
+    expect(entry.transaction.transactionId).toBeUndefined();
+  });
+
+  test('leaves transactionId undefined when identifier is empty', () => {
+    const [entry] = parse('Data,Valor,Identificador,Descrição\n05/03/2024,-1.00,,Compra');
+
+    expect(entry.transaction.transactionId).toBeUndefined();
+  });
+
+  test('throws when required columns are missing', () => {
+    expect(() => parse('Data,Descrição\n05/03/2024,x')).toThrow(
+      'Invalid import file: missing column(s) Valor'
+    );
+  });
+});
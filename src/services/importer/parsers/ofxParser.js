@@ -0,0 +1,71 @@
+import {
+  INVALID_FILE_MESSAGE,
+  decodeXmlEntities,
+  resolveDate,
+  resolveValue,
+} from './parserUtils.js';
+
+export const source = 'ofx';
+
+/**
+ * Read the value of an OFX element
+ * Works for OFX 1.x SGML (<TRNAMT>-10.00) and OFX 2.x XML (<TRNAMT>-10.00</TRNAMT>).
+ * @param {string} block - OFX block content
+ * @param {string} tag - Element name
+ * @returns {string} Trimmed element value, empty when absent
+ */
+export function readOfxElement(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  if (!match) {
+    return '';
+  }
+  return decodeXmlEntities(match[1]).trim();
+}
+
+/**
+ * Parse an OFX statement (bank or credit card, OFX 1.x SGML or 2.x XML)
+ * Every <STMTTRN> becomes an entry; DTPOSTED gives the date, the TRNAMT sign
+ * the type and FITID the source transaction id.
+ * @param {string} content - Raw OFX content
+ * @returns {Array<Object>} Parser entries
+ */
+export function parse(content) {
+  const text = String(content || '');
+  if (!/<OFX>/i.test(text)) {
+    throw new Error(`${INVALID_FILE_MESSAGE}: missing <OFX> element`);
+  }
+
+  const entries = [];
+  const blockPattern = /<STMTTRN>([\s\S]*?)<\/STMTTRN>/gi;
+  let match;
+
+  while ((match = blockPattern.exec(text)) !== null) {
+    const block = match[1];
+    const line = text.slice(0, match.index).split('\n').length;
+
+    try {
+      const name = readOfxElement(block, 'NAME');
+      const memo = readOfxElement(block, 'MEMO');
+      const transaction = {
+        ...resolveDate(readOfxElement(block, 'DTPOSTED').slice(0, 8), 'YYYYMMDD'),
+        ...resolveValue(readOfxElement(block, 'TRNAMT')),
+        transactionSource: source,
+        transactionName: name || memo,
+        transactionDescription:
+          name && memo && name !== memo ? `${name} - ${memo}` : name || memo,
+        transactionId: readOfxElement(block, 'FITID') || undefined,
+        transactionStatus: 'concluded',
+      };
+
+      entries.push(
+        transaction.transactionValue === '0,00'
+          ? { line, skip: 'Zero value' }
+          : { line, transaction }
+      );
+    } catch (error) {
+      entries.push({ line, error: error.message });
+    }
+  }
+
+  return entries;
+}
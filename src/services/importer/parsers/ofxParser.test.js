@@ -0,0 +1,121 @@
+import { parse, source, readOfxElement } from './ofxParser.js';
+
+const sgml = [
+  'OFXHEADER:100',
+  'DATA:OFXSGML',
+  'VERSION:102',
+  '',
+  '<OFX>',
+  '<BANKMSGSRSV1><STMTTRNRS><STMTRS>',
+  '<BANKTRANLIST>',
+  '<STMTTRN>',
+  '<TRNTYPE>DEBIT',
+  '<DTPOSTED>20240305120000[-3:BRT]',
+  '<TRNAMT>-45.90',
+  '<FITID>abc-1',
+  '<NAME>PADARIA BOA',
+  '<MEMO>Compra no debito',
+  '</STMTTRN>',
+  '<STMTTRN>',
+  '<TRNTYPE>CREDIT',
+  '<DTPOSTED>20240306',
+  '<TRNAMT>1500.00',
+  '<FITID>abc-2',
+  '<MEMO>Salario',
+  '</STMTTRN>',
+  '<STMTTRN>',
+  '<DTPOSTED>20240307',
+  '<TRNAMT>0.00',
+  '<NAME>Ajuste',
+  '</STMTTRN>',
+  '<STMTTRN>',
+  '<DTPOSTED>20240231',
+  '<TRNAMT>-1.00',
+  '<NAME>Broken',
+  '</STMTTRN>',
+  '</BANKTRANLIST>',
+  '</STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+  '</OFX>',
+].join('\r\n');
+
+const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<?OFX OFXHEADER="200" VERSION="211"?>
+<OFX>
+  <CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS><BANKTRANLIST>
+    <STMTTRN>
+      <TRNTYPE>DEBIT</TRNTYPE>
+      <DTPOSTED>20240310000000</DTPOSTED>
+      <TRNAMT>-89.90</TRNAMT>
+      <FITID>cc-1</FITID>
+      <NAME>ACME &amp; FILHOS</NAME>
+      <MEMO>ACME &amp; FILHOS</MEMO>
+    </STMTTRN>
+  </BANKTRANLIST></CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1>
+</OFX>`;
+
+describe('ofxParser', () => {
+  test('exports source name', () => {
+    expect(source).toBe('ofx');
+  });
+
+  test('parses OFX 1.x SGML statements', () => {
+    const [debit, credit, zero, broken] = parse(sgml);
+
+    expect(debit.line).toBe(8);
+    expect(debit.transaction).toEqual(
+      expect.objectContaining({
+        transactionPeriod: '2024-03',
+        transactionSource: 'ofx',
+        transactionValue: '45,90',
+        transactionType: 'debit',
+        transactionName: 'PADARIA BOA',
+        transactionDescription: 'PADARIA BOA - Compra no debito',
+        transactionId: 'abc-1',
+        transactionStatus: 'concluded',
+      })
+    );
+    expect(credit.transaction).toEqual(
+      expect.objectContaining({
+        transactionValue: '1500,00',
+        transactionType: 'credit',
+        transactionName: 'Salario',
+        transactionDescription: 'Salario',
+      })
+    );
+    expect(zero).toEqual({ line: 23, skip: 'Zero value' });
+    expect(broken).toEqual({ line: 28, error: 'Invalid date: 20240231' });
+  });
+
+  test('parses OFX 2.x XML statements and decodes entities', () => {
+    const [entry] = parse(xml);
+
+    expect(entry.transaction).toEqual(
+      expect.objectContaining({
+        transactionValue: '89,90',
+        transactionType: 'debit',
+        transactionName: 'ACME & FILHOS',
+        transactionDescription: 'ACME & FILHOS',
+        transactionId: 'cc-1',
+      })
+    );
+  });
+
+  test('leaves transactionId undefined without FITID', () => {
+    const [entry] = parse(
+      '<OFX><STMTTRN><DTPOSTED>20240301<TRNAMT>-1.00<NAME>X</STMTTRN></OFX>'
+    );
+
+    expect(entry.transaction.transactionId).toBeUndefined();
+  });
+
+  test('readOfxElement returns empty string for missing elements', () => {
+    expect(readOfxElement('<NAME>x', 'MEMO')).toBe('');
+  });
+
+  test('throws when the file is not OFX', () => {
+    expect(() => parse('Data,Valor')).toThrow(
+      'Invalid import file: missing <OFX> element'
+    );
+    expect(() => parse(undefined)).toThrow('Invalid import file');
+  });
+});
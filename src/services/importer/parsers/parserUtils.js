@@ -0,0 +1,160 @@
+/**
+ * Shared helpers for statement parsers
+ * Every parser returns a list of entries shaped as:
+ *   { line, transaction }  - row ready for transactionPrototype
+ *   { line, skip }         - row intentionally ignored (reason)
+ *   { line, error }        - row that could not be parsed (error message)
+ */
+
+import {
+  formatDatePeriod,
+  parseDateByFormat,
+} from '../../../infrastructure/date/index.js';
+import {
+  normalizeMonetaryValue,
+  isNegativeMonetaryValue,
+} from '../../../infrastructure/monetary/monetaryUtils.js';
+import { findHeader } from '../../../infrastructure/csv/index.js';
+
+export const INVALID_FILE_MESSAGE = 'Invalid import file';
+
+const XML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'",
+};
+
+/**
+ * Decode the predefined XML entities of an element value
+ * @param {string} value - Raw element value
+ * @returns {string} Decoded value
+ */
+export function decodeXmlEntities(value) {
+  return String(value).replace(
+    /&(amp|lt|gt|quot|apos);/g,
+    (entity) => XML_ENTITIES[entity]
+  );
+}
+
+/**
+ * Resolve required and optional columns from the CSV headers
+ * @param {Array<string>} headers - Headers found in the file
+ * @param {Object} required - Map of field name to accepted header aliases
+ * @param {Object} optional - Map of field name to accepted header aliases
+ * @returns {Object} Map of field name to header as written in the file
+ * @throws {Error} When a required column is missing
+ */
+export function resolveColumns(headers, required, optional = {}) {
+  const columns = {};
+  const missing = [];
+
+  Object.entries(required).forEach(([field, aliases]) => {
+    const header = findHeader(headers, aliases);
+    if (header === undefined) {
+      missing.push(aliases[0]);
+    }
+    columns[field] = header;
+  });
+
+  if (missing.length > 0) {
+    throw new Error(
+      `${INVALID_FILE_MESSAGE}: missing column(s) ${missing.join(', ')}`
+    );
+  }
+
+  Object.entries(optional).forEach(([field, aliases]) => {
+    columns[field] = findHeader(headers, aliases);
+  });
+
+  return columns;
+}
+
+/**
+ * Resolve transactionDate and transactionPeriod from a raw date
+ * @param {string} rawDate - Date as written in the file
+ * @param {string} format - Date format (see parseDateByFormat)
+ * @returns {{transactionDate: number, transactionPeriod: string}} Date fields
+ * @throws {Error} When the date cannot be parsed
+ */
+export function resolveDate(rawDate, format = 'DD/MM/YYYY') {
+  const date = parseDateByFormat(rawDate, format);
+  if (!date) {
+    throw new Error(`Invalid date: ${rawDate || '(empty)'}`);
+  }
+  return formatDatePeriod(date);
+}
+
+/**
+ * Resolve transactionValue and transactionType from a signed raw value
+ * @param {string|number} rawValue - Value as written in the file
+ * @param {Object} options - Resolve options
+ * @param {boolean} options.positiveIsDebit - Credit card statements list purchases as positive values
+ * @returns {{transactionValue: string, transactionType: string}} Value fields
+ * @throws {Error} When the value is empty or not numeric
+ */
+export function resolveValue(rawValue, options = {}) {
+  const { positiveIsDebit = false } = options;
+
+  if (
+    rawValue === null ||
+    rawValue === undefined ||
+    String(rawValue).trim() === '' ||
+    !/\d/.test(String(rawValue))
+  ) {
+    throw new Error(`Invalid value: ${rawValue || '(empty)'}`);
+  }
+
+  const isNegative = isNegativeMonetaryValue(rawValue);
+  const isDebit = positiveIsDebit ? !isNegative : isNegative;
+
+  return {
+    transactionValue: normalizeMonetaryValue(String(rawValue).replace(/[()]/g, '')),
+    transactionType: isDebit ? 'debit' : 'credit',
+  };
+}
+
+/**
+ * Extract installment information from a credit card description
+ * Matches "Loja - Parcela 2/10" and "LOJA - 02/10"
+ * @param {string} description - Transaction description
+ * @returns {{name: string, current: number, total: number}|null} Installment data or null
+ */
+export function parseInstallments(description) {
+  const match = String(description || '').match(
+    /^(.*?)\s*-\s*(?:Parcela\s+)?(\d{1,2})\/(\d{1,2})\s*$/i
+  );
+  if (!match) {
+    return null;
+  }
+
+  return {
+    name: match[1].trim(),
+    current: Number(match[2]),
+    total: Number(match[3]),
+  };
+}
+
+/**
+ * Map raw rows into parser entries, isolating per-row failures
+ * @param {Array<{line: number, values: Object}>} rows - Raw rows
+ * @param {Function} mapRow - Maps row values into a transaction body, or { skip: reason }
+ * @returns {Array<Object>} Parser entries
+ */
+export function mapRows(rows, mapRow) {
+  return rows.map(({ line, values }) => {
+    try {
+      const result = mapRow(values);
+      if (result && result.skip) {
+        return { line, skip: result.skip };
+      }
+      if (result.transactionValue === '0,00') {
+        return { line, skip: 'Zero value' };
+      }
+      return { line, transaction: result };
+    } catch (error) {
+      return { line, error: error.message };
+    }
+  });
+}
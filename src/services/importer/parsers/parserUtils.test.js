@@ -0,0 +1,116 @@
+import {
+  INVALID_FILE_MESSAGE,
+  decodeXmlEntities,
+  resolveColumns,
+  resolveDate,
+  resolveValue,
+  parseInstallments,
+  mapRows,
+} from './parserUtils.js';
+
+describe('parserUtils', () => {
+  test('resolveColumns maps required and optional columns', () => {
+    const columns = resolveColumns(
+      ['Data', 'Valor', 'Descricao'],
+      { date: ['Data'], description: ['Descrição'] },
+      { id: ['Identificador'] }
+    );
+
+    expect(columns).toEqual({
+      date: 'Data',
+      description: 'Descricao',
+      id: undefined,
+    });
+  });
+
+  test('resolveColumns throws listing missing columns', () => {
+    expect(() =>
+      resolveColumns(['Data'], { date: ['Data'], value: ['Valor'], name: ['Nome'] })
+    ).toThrow(`${INVALID_FILE_MESSAGE}: missing column(s) Valor, Nome`);
+  });
+
+  test('resolveDate returns transaction date fields', () => {
+    const result = resolveDate('2024-03-05', 'YYYY-MM-DD');
+
+    expect(result.transactionPeriod).toBe('2024-03');
+    expect(typeof result.transactionDate).toBe('number');
+    expect(resolveDate('05/03/2024').transactionPeriod).toBe('2024-03');
+  });
+
+  test('resolveDate throws on invalid dates', () => {
+    expect(() => resolveDate('invalid')).toThrow('Invalid date: invalid');
+    expect(() => resolveDate('')).toThrow('Invalid date: (empty)');
+  });
+
+  test('resolveValue uses the sign to define the transaction type', () => {
+    expect(resolveValue('-1.500,00')).toEqual({
+      transactionValue: '1500,00',
+      transactionType: 'debit',
+    });
+    expect(resolveValue('25.90')).toEqual({
+      transactionValue: '25,90',
+      transactionType: 'credit',
+    });
+    expect(resolveValue('(10,00)').transactionType).toBe('debit');
+  });
+
+  test('resolveValue inverts the convention for credit card statements', () => {
+    expect(resolveValue('99.90', { positiveIsDebit: true }).transactionType).toBe(
+      'debit'
+    );
+    expect(resolveValue('-99.90', { positiveIsDebit: true }).transactionType).toBe(
+      'credit'
+    );
+  });
+
+  test('resolveValue throws on empty or non numeric values', () => {
+    expect(() => resolveValue('')).toThrow('Invalid value: (empty)');
+    expect(() => resolveValue(undefined)).toThrow('Invalid value');
+    expect(() => resolveValue(null)).toThrow('Invalid value');
+    expect(() => resolveValue('abc')).toThrow('Invalid value: abc');
+  });
+
+  test('parseInstallments recognizes installment suffixes', () => {
+    expect(parseInstallments('Loja X - Parcela 2/10')).toEqual({
+      name: 'Loja X',
+      current: 2,
+      total: 10,
+    });
+    expect(parseInstallments('LOJA Y - 03/04')).toEqual({
+      name: 'LOJA Y',
+      current: 3,
+      total: 4,
+    });
+    expect(parseInstallments('Mercado')).toBeNull();
+    expect(parseInstallments(undefined)).toBeNull();
+  });
+
+  test('mapRows returns transaction, skip and error entries', () => {
+    const rows = [
+      { line: 2, values: { v: 'ok' } },
+      { line: 3, values: { v: 'skip' } },
+      { line: 4, values: { v: 'zero' } },
+      { line: 5, values: { v: 'boom' } },
+    ];
+
+    const entries = mapRows(rows, ({ v }) => {
+      if (v === 'skip') return { skip: 'Ignored' };
+      if (v === 'zero') return { transactionValue: '0,00' };
+      if (v === 'boom') throw new Error('Broken row');
+      return { transactionValue: '1,00' };
+    });
+
+    expect(entries).toEqual([
+      { line: 2, transaction: { transactionValue: '1,00' } },
+      { line: 3, skip: 'Ignored' },
+      { line: 4, skip: 'Zero value' },
+      { line: 5, error: 'Broken row' },
+    ]);
+  });
+
+  test('decodeXmlEntities decodes the predefined entities', () => {
+    expect(decodeXmlEntities('A &amp; B &lt;C&gt; &quot;D&quot; &apos;E&apos; &#38;')).toBe(
+      'A & B <C> "D" \'E\' &#38;'
+    );
+  });
+});
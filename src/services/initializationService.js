@@ -1,14 +1,55 @@
 import { findAll, insert } from '../repository/categoryRepository.js';
+import * as categoryRuleRepository from '../repository/categoryRuleRepository.js';
+
+// Rules replacing the categorization previously hardcoded in the importer
+const DEFAULT_CATEGORY_RULES = [
+  {
+    name: 'Salário',
+    categoryName: 'Salário',
+    conditions: {
+      transactionType: 'credit',
+      descriptionPattern: 'Depósito|Transferência Recebida|Benefício',
+    },
+    priority: 10,
+  },
+  {
+    name: 'Receita',
+    categoryName: 'Receita',
+    conditions: { transactionType: 'credit' },
+    priority: 0,
+  },
+];
 
 export async function initializeDatabase() {
   const categories = await findAll();
 
   if (!categories.length) {
-    insert({ name: 'Mercado', iconName: 'LocalGroceryStoreIcon' });
-    insert({ name: 'Receita', iconName: 'AttachMoneyIcon' });
-    insert({ name: 'Salário', iconName: 'AttachMoneyIcon' });
-    insert({ name: 'Transporte', iconName: 'DirectionsCarIcon' });
-    insert({ name: 'Saúde', iconName: 'LocalHospitalIcon' });
-    insert({ name: 'Lazer', iconName: 'DirectionsBikeIcon' });
+    await insert({ name: 'Mercado', iconName: 'LocalGroceryStoreIcon' });
+    await insert({ name: 'Receita', iconName: 'AttachMoneyIcon' });
+    await insert({ name: 'Salário', iconName: 'AttachMoneyIcon' });
+    await insert({ name: 'Transporte', iconName: 'DirectionsCarIcon' });
+    await insert({ name: 'Saúde', iconName: 'LocalHospitalIcon' });
+    await insert({ name: 'Lazer', iconName: 'DirectionsBikeIcon' });
+  }
+
+  await initializeCategoryRules();
+}
+
+/**
+ * Seed the default category rules when no rule exists yet
+ * Rules whose category is missing are skipped.
+ */
+export async function initializeCategoryRules() {
+  const rules = await categoryRuleRepository.findAll();
+  if (rules.length) {
+    return;
+  }
+
+  const categories = await findAll();
+  for (const { categoryName, ...rule } of DEFAULT_CATEGORY_RULES) {
+    const category = categories.find(({ name }) => name === categoryName);
+    if (category) {
+      await categoryRuleRepository.insert({ ...rule, category: category.id });
+    }
   }
 }
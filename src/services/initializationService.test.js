@@ -2,17 +2,28 @@ import { jest } from '@jest/globals';
 
 const findAll = jest.fn();
 const insert = jest.fn();
+const categoryRuleRepository = {
+  findAll: jest.fn(),
+  insert: jest.fn(),
+};
 
 jest.unstable_mockModule('../repository/categoryRepository.js', () => ({
   findAll,
   insert,
 }));
 
-const { initializeDatabase } = await import('./initializationService.js');
+jest.unstable_mockModule('../repository/categoryRuleRepository.js', () => ({
+  ...categoryRuleRepository,
+}));
+
+const { initializeDatabase, initializeCategoryRules } = await import(
+  './initializationService.js'
+);
 
 describe('initializationService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    categoryRuleRepository.findAll.mockResolvedValue([{ id: 'r1' }]);
   });
 
   test('initializes default categories when none exist', async () => {
@@ -38,4 +49,47 @@ describe('initializationService', () => {
 
     expect(insert).not.toHaveBeenCalled();
   });
+
+  test('seeds default category rules for existing categories', async () => {
+    categoryRuleRepository.findAll.mockResolvedValue([]);
+    findAll.mockResolvedValue([
+      { id: 'c-receita', name: 'Receita' },
+      { id: 'c-salario', name: 'Salário' },
+    ]);
+
+    await initializeCategoryRules();
+
+    expect(categoryRuleRepository.insert).toHaveBeenCalledTimes(2);
+    expect(categoryRuleRepository.insert).toHaveBeenCalledWith({
+      name: 'Salário',
+      conditions: {
+        transactionType: 'credit',
+        descriptionPattern: 'Depósito|Transferência Recebida|Benefício',
+      },
+      priority: 10,
+      category: 'c-salario',
+    });
+    expect(categoryRuleRepository.insert).toHaveBeenCalledWith({
+      name: 'Receita',
+      conditions: { transactionType: 'credit' },
+      priority: 0,
+      category: 'c-receita',
+    });
+  });
+
+  test('skips default rules whose category is missing', async () => {
+    categoryRuleRepository.findAll.mockResolvedValue([]);
+    findAll.mockResolvedValue([{ id: 'c-receita', name: 'Receita' }]);
+
+    await initializeCategoryRules();
+
+    expect(categoryRuleRepository.insert).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not seed rules when rules exist', async () => {
+    await initializeCategoryRules();
+
+    expect(findAll).not.toHaveBeenCalled();
+    expect(categoryRuleRepository.insert).not.toHaveBeenCalled();
+  });
 });
@@ -0,0 +1,190 @@
+import { toMonetaryCents } from '../../infrastructure/monetary/monetaryUtils.js';
+import { parseInstallments } from '../importer/parsers/parserUtils.js';
+import { addMonthsToDate } from '../invoice/invoiceCycle.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Installments of a plan may differ by the cents left over from the division
+export const INSTALLMENT_VALUE_TOLERANCE_CENTS = 1;
+
+// Statements date an installment a few days around its monthly anniversary
+export const INSTALLMENT_DATE_TOLERANCE_DAYS = 10;
+
+/**
+ * Normalize a merchant name for comparison
+ * Ignores case, accents, punctuation and the "Antecipada - " prefix of
+ * installments paid in advance.
+ * @param {string} name - Merchant name from the statement
+ * @returns {string} Comparison key
+ */
+export function merchantKey(name) {
+  return String(name || '')
+    .replace(/^antecipada\s*-\s*/i, '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Read the installment of a card transaction ("Loja - 3/10")
+ * @param {Object} transaction - Card transaction
+ * @returns {Object|null} Installment row, or null for other transactions
+ */
+export function parseInstallmentRow(transaction) {
+  const parsed = parseInstallments(transaction.transactionDescription);
+  if (
+    !parsed ||
+    parsed.total < 2 ||
+    parsed.current < 1 ||
+    parsed.current > parsed.total
+  ) {
+    return null;
+  }
+
+  return {
+    transactionId: String(transaction.id),
+    accountId: String(transaction.accountId),
+    planName: parsed.name.replace(/^antecipada\s*-\s*/i, ''),
+    merchantKey: merchantKey(parsed.name),
+    installmentNumber: parsed.current,
+    installmentCount: parsed.total,
+    installmentDate: new Date(transaction.transactionDate),
+    installmentValue: Math.abs(
+      toMonetaryCents(transaction.transactionValue) || 0
+    ),
+  };
+}
+
+/**
+ * Expected date of an installment of a plan
+ * @param {Object} plan - Plan with firstInstallmentDate
+ * @param {number} installmentNumber - Installment number (1-based)
+ * @returns {Date} First installment date plus one month per installment
+ */
+export function expectedInstallmentDate(plan, installmentNumber) {
+  return addMonthsToDate(plan.firstInstallmentDate, installmentNumber - 1);
+}
+
+/**
+ * Tell whether an installment row belongs to a plan
+ * Same card, merchant and installment count, the same value per installment
+ * and a date following the monthly cadence of the plan, on a number the plan
+ * has not linked yet.
+ * @param {Object} plan - Installment plan
+ * @param {Object} row - Installment row (see parseInstallmentRow)
+ * @returns {boolean} True when the row continues the plan
+ */
+export function matchesPlan(plan, row) {
+  if (
+    String(plan.accountId) !== row.accountId ||
+    plan.merchantKey !== row.merchantKey ||
+    plan.installmentCount !== row.installmentCount ||
+    Math.abs(plan.installmentValue - row.installmentValue) >
+      INSTALLMENT_VALUE_TOLERANCE_CENTS ||
+    plan.installments.some(
+      (installment) => installment.installmentNumber === row.installmentNumber
+    )
+  ) {
+    return false;
+  }
+
+  const expected = expectedInstallmentDate(plan, row.installmentNumber);
+  return (
+    Math.abs(expected - row.installmentDate) <=
+    INSTALLMENT_DATE_TOLERANCE_DAYS * DAY_MS
+  );
+}
+
+/**
+ * Start a plan from its first linked row
+ * The first installment date is inferred back from the row number.
+ * @param {Object} row - Installment row
+ * @returns {Object} New plan (without id)
+ */
+function planFromRow(row) {
+  return {
+    id: null,
+    accountId: row.accountId,
+    planName: row.planName,
+    merchantKey: row.merchantKey,
+    installmentValue: row.installmentValue,
+    installmentCount: row.installmentCount,
+    firstInstallmentDate: addMonthsToDate(
+      row.installmentDate,
+      1 - row.installmentNumber
+    ),
+    installments: [],
+  };
+}
+
+/**
+ * Link installment rows to installment plans
+ * Rows are taken by date and join the first plan they continue (see
+ * matchesPlan); rows continuing no plan start a new one. Two purchases at
+ * the same merchant thus stay apart when their value, installment count or
+ * start month differ, or when both bill the same installment number.
+ * @param {Array<Object>} rows - Installment rows (see parseInstallmentRow)
+ * @param {Array<Object>} plans - Plans of the card, updated in place
+ * @returns {Object} Plans touched by the rows and the links made
+ */
+export function linkInstallmentRows(rows = [], plans = []) {
+  const touched = new Set();
+  const links = [];
+
+  [...rows]
+    .sort((a, b) => a.installmentDate - b.installmentDate)
+    .forEach((row) => {
+      let plan = plans.find((candidate) => matchesPlan(candidate, row));
+      if (!plan) {
+        plan = planFromRow(row);
+        plans.push(plan);
+      }
+
+      plan.installments.push({
+        installmentNumber: row.installmentNumber,
+        transactionId: row.transactionId,
+        installmentDate: row.installmentDate,
+        installmentValue: row.installmentValue,
+      });
+      plan.installments.sort(
+        (a, b) => a.installmentNumber - b.installmentNumber
+      );
+      touched.add(plan);
+      links.push({ transactionId: row.transactionId, plan });
+    });
+
+  return { plans: [...touched], links };
+}
+
+/**
+ * Describe the progress of a plan
+ * Linked installments are the ones billed on imported statements; the other
+ * numbers are projected on their expected date with the plan value.
+ * @param {Object} plan - Installment plan
+ * @returns {Object} paidInstallments, remainingInstallments, remainingValue (cents), projectedInstallments and status
+ */
+export function describeInstallmentPlan(plan) {
+  const linked = new Set(
+    plan.installments.map((installment) => installment.installmentNumber)
+  );
+  const projectedInstallments = [];
+  for (let number = 1; number <= plan.installmentCount; number++) {
+    if (!linked.has(number)) {
+      projectedInstallments.push({
+        installmentNumber: number,
+        installmentDate: expectedInstallmentDate(plan, number),
+        installmentValue: plan.installmentValue,
+      });
+    }
+  }
+
+  return {
+    paidInstallments: linked.size,
+    remainingInstallments: projectedInstallments.length,
+    remainingValue: projectedInstallments.length * plan.installmentValue,
+    projectedInstallments,
+    status: projectedInstallments.length === 0 ? 'finished' : 'active',
+  };
+}
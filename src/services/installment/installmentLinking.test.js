@@ -0,0 +1,174 @@
+import {
+  describeInstallmentPlan,
+  expectedInstallmentDate,
+  linkInstallmentRows,
+  matchesPlan,
+  merchantKey,
+  parseInstallmentRow,
+} from './installmentLinking.js';
+
+const at = (date) => new Date(`${date}T12:00:00-04:00`);
+
+const row = (id, description, date, value = '100,00', accountId = 'card') =>
+  parseInstallmentRow({
+    id,
+    accountId,
+    transactionDescription: description,
+    transactionDate: at(date),
+    transactionValue: value,
+  });
+
+describe('installmentLinking', () => {
+  test('merchantKey ignores case, accents, punctuation and advance payments', () => {
+    expect(merchantKey('Antecipada - LOJA São-João*')).toBe('loja sao joao');
+    expect(merchantKey(undefined)).toBe('');
+  });
+
+  test('parseInstallmentRow reads installment rows only', () => {
+    expect(row('t1', 'Antecipada - Loja - Parcela 3/10', '2024-03-15', '-33,34'))
+      .toEqual({
+        transactionId: 't1',
+        accountId: 'card',
+        planName: 'Loja',
+        merchantKey: 'loja',
+        installmentNumber: 3,
+        installmentCount: 10,
+        installmentDate: at('2024-03-15'),
+        installmentValue: 3334,
+      });
+    expect(row('t2', 'Mercado', '2024-03-15')).toBeNull();
+    expect(row('t3', 'Loja - 1/1', '2024-03-15')).toBeNull();
+    expect(row('t4', 'Loja - 0/3', '2024-03-15')).toBeNull();
+    expect(row('t5', 'Loja - 4/3', '2024-03-15')).toBeNull();
+    expect(
+      parseInstallmentRow({
+        id: 't6',
+        accountId: 'card',
+        transactionDescription: 'Loja - 1/2',
+        transactionDate: at('2024-03-15'),
+      }).installmentValue
+    ).toBe(0);
+  });
+
+  test('links rows by merchant, value, count and monthly cadence', () => {
+    const { plans, links } = linkInstallmentRows([
+      row('t3', 'Loja - 3/3', '2024-03-16'),
+      row('t1', 'Loja - 1/3', '2024-01-15'),
+      row('t2', 'LOJA - 2/3', '2024-02-14', '100,01'),
+      // same merchant and value, bought two months later
+      row('u1', 'Loja - 1/3', '2024-03-15'),
+      // same store, other purchase value
+      row('v1', 'Loja - 2/3', '2024-02-15', '50,00'),
+      // other card
+      row('w1', 'Loja - 2/3', '2024-02-15', '100,00', 'other'),
+    ]);
+
+    expect(plans).toHaveLength(4);
+    const [first, ...others] = plans;
+    expect(first).toMatchObject({
+      id: null,
+      accountId: 'card',
+      planName: 'Loja',
+      installmentValue: 10000,
+      installmentCount: 3,
+      firstInstallmentDate: at('2024-01-15'),
+    });
+    expect(first.installments.map((i) => i.transactionId)).toEqual([
+      't1',
+      't2',
+      't3',
+    ]);
+    expect(others.map((plan) => plan.installments[0].transactionId)).toEqual([
+      'v1',
+      'w1',
+      'u1',
+    ]);
+    expect(others[0].firstInstallmentDate).toEqual(at('2024-01-15'));
+    expect(links).toHaveLength(6);
+    expect(links.find((link) => link.transactionId === 't3').plan).toBe(first);
+  });
+
+  test('continues stored plans and keeps colliding numbers apart', () => {
+    const stored = {
+      id: 'p1',
+      accountId: 'card',
+      merchantKey: 'loja',
+      installmentValue: 10000,
+      installmentCount: 3,
+      firstInstallmentDate: at('2024-01-15'),
+      installments: [{ installmentNumber: 1, transactionId: 't1' }],
+    };
+
+    const { plans } = linkInstallmentRows(
+      [
+        row('t2', 'Loja - 2/3', '2024-02-20'),
+        // another purchase billing the same installment the same month
+        row('x2', 'Loja - 2/3', '2024-02-15'),
+      ],
+      [stored]
+    );
+
+    expect(plans).toHaveLength(2);
+    expect(plans[0]).toBe(stored);
+    expect(stored.installments.map((i) => i.transactionId)).toEqual([
+      't1',
+      'x2',
+    ]);
+    expect(plans[1].installments[0].transactionId).toBe('t2');
+    expect(linkInstallmentRows()).toEqual({ plans: [], links: [] });
+  });
+
+  test('matchesPlan rejects rows off the monthly cadence', () => {
+    const plan = {
+      accountId: 'card',
+      merchantKey: 'loja',
+      installmentValue: 10000,
+      installmentCount: 3,
+      firstInstallmentDate: at('2024-01-31'),
+      installments: [],
+    };
+
+    expect(expectedInstallmentDate(plan, 2)).toEqual(at('2024-02-29'));
+    expect(matchesPlan(plan, row('t2', 'Loja - 2/3', '2024-03-05'))).toBe(true);
+    expect(matchesPlan(plan, row('t2', 'Loja - 2/3', '2024-03-15'))).toBe(
+      false
+    );
+    expect(matchesPlan(plan, row('t2', 'Loja - 2/3', '2024-02-29', '100,02')))
+      .toBe(false);
+  });
+
+  test('describeInstallmentPlan counts paid and projects remaining installments', () => {
+    const plan = {
+      installmentValue: 10000,
+      installmentCount: 3,
+      firstInstallmentDate: at('2024-01-15'),
+      installments: [{ installmentNumber: 1 }],
+    };
+
+    expect(describeInstallmentPlan(plan)).toEqual({
+      paidInstallments: 1,
+      remainingInstallments: 2,
+      remainingValue: 20000,
+      projectedInstallments: [
+        {
+          installmentNumber: 2,
+          installmentDate: at('2024-02-15'),
+          installmentValue: 10000,
+        },
+        {
+          installmentNumber: 3,
+          installmentDate: at('2024-03-15'),
+          installmentValue: 10000,
+        },
+      ],
+      status: 'active',
+    });
+    expect(
+      describeInstallmentPlan({
+        ...plan,
+        installmentCount: 2,
+        installments: [{ installmentNumber: 1 }, { installmentNumber: 2 }],
+      })
+    ).toMatchObject({ remainingInstallments: 0, status: 'finished' });
+  });
+});
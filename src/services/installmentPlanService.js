@@ -0,0 +1,197 @@
+import * as installmentPlanRepository from '../repository/installmentPlanRepository.js';
+import * as accountRepository from '../repository/accountRepository.js';
+import * as transactionRepository from '../repository/transactionRepository.js';
+import { toMonetaryCents } from '../infrastructure/monetary/monetaryUtils.js';
+import {
+  describeInstallmentPlan,
+  linkInstallmentRows,
+  parseInstallmentRow,
+} from './installment/installmentLinking.js';
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const PLAN_STATUSES = ['active', 'finished'];
+
+const toCents = (value) => toMonetaryCents(value) || 0;
+
+/**
+ * Check an account ID, throwing on invalid values
+ * @param {string} accountId - Account ID
+ */
+function assertAccountId(accountId) {
+  if (!OBJECT_ID_PATTERN.test(String(accountId))) {
+    throw new Error(
+      'Invalid installment plan data: accountId must be a valid id'
+    );
+  }
+}
+
+/**
+ * Find a credit card account or throw
+ * @param {string} accountId - Account ID
+ * @returns {Promise<Object>} Account
+ */
+async function findCardAccount(accountId) {
+  assertAccountId(accountId);
+  const account = await accountRepository.findById(accountId);
+  if (!account) {
+    throw new Error('Account not found');
+  }
+  if (account.accountType !== 'credit') {
+    throw new Error(
+      'Invalid installment plan data: account must be a credit card'
+    );
+  }
+  return account;
+}
+
+/**
+ * Turn a stored plan into the plain object used for linking
+ * Monetary fields are read back as cents.
+ * @param {Object} plan - Installment plan document
+ * @returns {Object} Plain plan
+ */
+function toLinkablePlan(plan) {
+  return {
+    id: String(plan.id),
+    accountId: String(plan.accountId),
+    planName: plan.planName,
+    merchantKey: plan.merchantKey,
+    installmentValue: toCents(plan.installmentValue),
+    installmentCount: plan.installmentCount,
+    firstInstallmentDate: plan.firstInstallmentDate,
+    installments: plan.installments.map((installment) => ({
+      installmentNumber: installment.installmentNumber,
+      transactionId: String(installment.transactionId),
+      installmentDate: installment.installmentDate,
+      installmentValue: toCents(installment.installmentValue),
+    })),
+  };
+}
+
+/**
+ * Link the unlinked installment rows of a card to its plans
+ * @param {Object} account - Card account
+ * @returns {Promise<Object>} Linked rows, created and updated plans
+ */
+async function linkAccountInstallments(account) {
+  const result = { linked: 0, created: 0, updated: 0 };
+  const transactions = await transactionRepository.findUnlinkedInstallments(
+    account.id
+  );
+  const rows = transactions.map(parseInstallmentRow).filter(Boolean);
+  if (rows.length === 0) {
+    return result;
+  }
+
+  const stored = await installmentPlanRepository.findActiveByAccount(
+    account.id
+  );
+  const { plans, links } = linkInstallmentRows(
+    rows,
+    stored.map(toLinkablePlan)
+  );
+
+  for (const plan of plans) {
+    const { id, ...planData } = plan;
+    const fields = { ...planData, ...describeInstallmentPlan(plan) };
+    const saved = id
+      ? await installmentPlanRepository.updateById(id, fields)
+      : await installmentPlanRepository.insert(fields);
+    result[id ? 'updated' : 'created']++;
+
+    const transactionIds = links
+      .filter((link) => link.plan === plan)
+      .map((link) => link.transactionId);
+    await transactionRepository.linkInstallmentPlan(transactionIds, saved.id);
+    result.linked += transactionIds.length;
+  }
+
+  return result;
+}
+
+/**
+ * Add the outcome of linking an account to a running total
+ * @param {Object} total - Running total, updated in place
+ * @param {Object} result - Outcome of linkAccountInstallments
+ */
+function addLinkResult(total, result) {
+  total.linked += result.linked;
+  total.created += result.created;
+  total.updated += result.updated;
+}
+
+/**
+ * Link the installment rows of credit cards to their installment plans
+ * Rows are linked by card, merchant, value per installment and monthly
+ * cadence (see installment/installmentLinking.js). Linked rows are not
+ * matched again, so linking is safe to run after every import.
+ * @param {Object} options - Options
+ * @param {string} options.accountId - Card account ID (default: every credit card)
+ * @returns {Promise<Object>} Linked rows, created and updated plans
+ */
+export async function linkInstallmentPlans({ accountId } = {}) {
+  const accounts = accountId
+    ? [await findCardAccount(accountId)]
+    : await accountRepository.findAll({ accountType: 'credit' });
+
+  const result = { linked: 0, created: 0, updated: 0 };
+  for (const account of accounts) {
+    addLinkResult(result, await linkAccountInstallments(account));
+  }
+  return result;
+}
+
+/**
+ * Link the installment rows imported into some accounts
+ * Accounts other than credit cards are ignored.
+ * @param {Array<string>} accountIds - Accounts that received new rows
+ * @returns {Promise<Object>} Linked rows, created and updated plans
+ */
+export async function linkImportedInstallments(accountIds = []) {
+  const result = { linked: 0, created: 0, updated: 0 };
+  for (const accountId of new Set(accountIds.map(String))) {
+    const account = await accountRepository.findById(accountId);
+    if (account?.accountType !== 'credit') {
+      continue;
+    }
+    addLinkResult(result, await linkAccountInstallments(account));
+  }
+  return result;
+}
+
+/**
+ * List installment plans
+ * @param {Object} filter - Filter
+ * @param {string} filter.accountId - Card account ID
+ * @param {string} filter.status - 'active' or 'finished'
+ * @returns {Promise<Array>} Installment plans, latest purchases first
+ */
+export async function getInstallmentPlans({ accountId, status } = {}) {
+  const filter = {};
+  if (accountId) {
+    assertAccountId(accountId);
+    filter.accountId = accountId;
+  }
+  if (status) {
+    if (!PLAN_STATUSES.includes(status)) {
+      throw new Error(
+        `Invalid installment plan data: status must be one of ${PLAN_STATUSES.join(', ')}`
+      );
+    }
+    filter.status = status;
+  }
+  return await installmentPlanRepository.findAll(filter);
+}
+
+/**
+ * Get an installment plan by ID
+ * @param {string} id - Installment plan ID
+ * @returns {Promise<Object>} Installment plan
+ */
+export async function getInstallmentPlanById(id) {
+  const plan = await installmentPlanRepository.findById(id);
+  if (!plan) {
+    throw new Error('Installment plan not found');
+  }
+  return plan;
+}
@@ -0,0 +1,236 @@
+import { jest } from '@jest/globals';
+
+const installmentPlanRepository = {
+  findAll: jest.fn(),
+  findActiveByAccount: jest.fn(),
+  findById: jest.fn(),
+  insert: jest.fn(),
+  updateById: jest.fn(),
+};
+const accountRepository = { findAll: jest.fn(), findById: jest.fn() };
+const transactionRepository = {
+  findUnlinkedInstallments: jest.fn(),
+  linkInstallmentPlan: jest.fn(),
+};
+
+jest.unstable_mockModule('../repository/installmentPlanRepository.js', () => ({
+  ...installmentPlanRepository,
+}));
+
+jest.unstable_mockModule('../repository/accountRepository.js', () => ({
+  ...accountRepository,
+}));
+
+jest.unstable_mockModule('../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+
+const {
+  linkInstallmentPlans,
+  linkImportedInstallments,
+  getInstallmentPlans,
+  getInstallmentPlanById,
+} = await import('./installmentPlanService.js');
+
+const at = (date) => new Date(`${date}T12:00:00-04:00`);
+
+const accountId = '507f1f77bcf86cd799439011';
+const card = { id: accountId, accountType: 'credit' };
+const installment = (id, description, date, value = '-100,00') => ({
+  id,
+  accountId,
+  transactionDescription: description,
+  transactionDate: at(date),
+  transactionValue: value,
+});
+
+describe('installmentPlanService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    accountRepository.findById.mockResolvedValue(card);
+    installmentPlanRepository.findActiveByAccount.mockResolvedValue([]);
+    installmentPlanRepository.insert.mockResolvedValue({ id: 'new-plan' });
+    installmentPlanRepository.updateById.mockResolvedValue({ id: 'p1' });
+  });
+
+  test('creates plans for new purchases and links their rows', async () => {
+    transactionRepository.findUnlinkedInstallments.mockResolvedValue([
+      installment('t1', 'Loja - 1/3', '2024-01-15'),
+      installment('t2', 'Loja - 2/3', '2024-02-15'),
+      installment('t9', 'Mercado', '2024-02-15'),
+    ]);
+
+    const result = await linkInstallmentPlans({ accountId });
+
+    expect(result).toEqual({ linked: 2, created: 1, updated: 0 });
+    expect(installmentPlanRepository.insert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        accountId,
+        planName: 'Loja',
+        installmentValue: 10000,
+        installmentCount: 3,
+        paidInstallments: 2,
+        remainingInstallments: 1,
+        remainingValue: 10000,
+        status: 'active',
+        projectedInstallments: [
+          {
+            installmentNumber: 3,
+            installmentDate: at('2024-03-15'),
+            installmentValue: 10000,
+          },
+        ],
+      })
+    );
+    expect(transactionRepository.linkInstallmentPlan).toHaveBeenCalledWith(
+      ['t1', 't2'],
+      'new-plan'
+    );
+  });
+
+  test('continues stored plans read back from cents text', async () => {
+    transactionRepository.findUnlinkedInstallments.mockResolvedValue([
+      installment('t3', 'Loja - 3/3', '2024-03-14'),
+    ]);
+    installmentPlanRepository.findActiveByAccount.mockResolvedValue([
+      {
+        id: 'p1',
+        accountId,
+        planName: 'Loja',
+        merchantKey: 'loja',
+        installmentValue: '100,00',
+        installmentCount: 3,
+        firstInstallmentDate: at('2024-01-15'),
+        installments: [
+          {
+            installmentNumber: 1,
+            transactionId: 't1',
+            installmentDate: at('2024-01-15'),
+            installmentValue: '100,00',
+          },
+          {
+            installmentNumber: 2,
+            transactionId: 't2',
+            installmentDate: at('2024-02-15'),
+            installmentValue: '100,00',
+          },
+        ],
+      },
+    ]);
+
+    const result = await linkInstallmentPlans({ accountId });
+
+    expect(result).toEqual({ linked: 1, created: 0, updated: 1 });
+    const [id, fields] = installmentPlanRepository.updateById.mock.calls[0];
+    expect(id).toBe('p1');
+    expect(fields.installments.map((i) => i.transactionId)).toEqual([
+      't1',
+      't2',
+      't3',
+    ]);
+    expect(fields).toMatchObject({
+      paidInstallments: 3,
+      remainingInstallments: 0,
+      remainingValue: 0,
+      status: 'finished',
+    });
+    expect(transactionRepository.linkInstallmentPlan).toHaveBeenCalledWith(
+      ['t3'],
+      'p1'
+    );
+  });
+
+  test('links every credit card when no account is given', async () => {
+    accountRepository.findAll.mockResolvedValue([card]);
+    transactionRepository.findUnlinkedInstallments.mockResolvedValue([]);
+
+    await expect(linkInstallmentPlans()).resolves.toEqual({
+      linked: 0,
+      created: 0,
+      updated: 0,
+    });
+    expect(accountRepository.findAll).toHaveBeenCalledWith({
+      accountType: 'credit',
+    });
+    expect(transactionRepository.findUnlinkedInstallments).toHaveBeenCalledWith(
+      accountId
+    );
+    expect(installmentPlanRepository.findActiveByAccount).not.toHaveBeenCalled();
+  });
+
+  test('rejects invalid, unknown and non-card accounts', async () => {
+    await expect(linkInstallmentPlans({ accountId: 'bad' })).rejects.toThrow(
+      'Invalid installment plan data: accountId must be a valid id'
+    );
+
+    accountRepository.findById.mockResolvedValueOnce(null);
+    await expect(linkInstallmentPlans({ accountId })).rejects.toThrow(
+      'Account not found'
+    );
+
+    accountRepository.findById.mockResolvedValueOnce({
+      id: accountId,
+      accountType: 'checking',
+    });
+    await expect(linkInstallmentPlans({ accountId })).rejects.toThrow(
+      'Invalid installment plan data: account must be a credit card'
+    );
+  });
+
+  test('linkImportedInstallments links credit cards once and skips other accounts', async () => {
+    accountRepository.findById.mockImplementation(async (id) =>
+      id === accountId ? card : { id, accountType: 'checking' }
+    );
+    transactionRepository.findUnlinkedInstallments.mockResolvedValue([
+      installment('t1', 'Loja - 1/2', '2024-01-15'),
+    ]);
+
+    const result = await linkImportedInstallments([
+      accountId,
+      'checking',
+      accountId,
+    ]);
+
+    expect(result).toEqual({ linked: 1, created: 1, updated: 0 });
+    expect(transactionRepository.findUnlinkedInstallments).toHaveBeenCalledTimes(
+      1
+    );
+    await expect(linkImportedInstallments()).resolves.toEqual({
+      linked: 0,
+      created: 0,
+      updated: 0,
+    });
+  });
+
+  test('getInstallmentPlans filters by account and status', async () => {
+    installmentPlanRepository.findAll.mockResolvedValue([{ id: 'p1' }]);
+
+    await expect(
+      getInstallmentPlans({ accountId, status: 'active' })
+    ).resolves.toEqual([{ id: 'p1' }]);
+    await getInstallmentPlans();
+
+    expect(installmentPlanRepository.findAll).toHaveBeenNthCalledWith(1, {
+      accountId,
+      status: 'active',
+    });
+    expect(installmentPlanRepository.findAll).toHaveBeenNthCalledWith(2, {});
+    await expect(getInstallmentPlans({ status: 'late' })).rejects.toThrow(
+      'Invalid installment plan data: status must be one of active, finished'
+    );
+    await expect(getInstallmentPlans({ accountId: 'bad' })).rejects.toThrow(
+      'Invalid installment plan data: accountId must be a valid id'
+    );
+  });
+
+  test('getInstallmentPlanById returns the plan or throws', async () => {
+    installmentPlanRepository.findById
+      .mockResolvedValueOnce({ id: 'p1' })
+      .mockResolvedValueOnce(null);
+
+    await expect(getInstallmentPlanById('p1')).resolves.toEqual({ id: 'p1' });
+    await expect(getInstallmentPlanById('p2')).rejects.toThrow(
+      'Installment plan not found'
+    );
+  });
+});
@@ -0,0 +1,134 @@
+import { toMonetaryCents } from '../../infrastructure/monetary/monetaryUtils.js';
+import { parseInstallments } from '../importer/parsers/parserUtils.js';
+import { addMonthsToDate } from './invoiceCycle.js';
+
+const PAYMENT_PATTERN = /pagamento/i;
+
+/**
+ * Tell whether a card credit is the payment of an invoice
+ * Payments are linked to the checking account debit as transfers, or
+ * described as such by the statement ("Pagamento recebido").
+ * @param {Object} transaction - Card transaction
+ * @returns {boolean} True for invoice payments
+ */
+export function isInvoicePayment(transaction) {
+  return (
+    transaction.transactionType === 'credit' &&
+    (Boolean(transaction.transferPairId) ||
+      PAYMENT_PATTERN.test(
+        `${transaction.transactionName || ''} ${transaction.transactionDescription || ''}`
+      ))
+  );
+}
+
+/**
+ * Build the charge of a card transaction
+ * @param {Object} transaction - Card transaction
+ * @param {Object} fields - Charge date, value and installment fields
+ * @returns {Object} Charge
+ */
+function charge(transaction, fields) {
+  return {
+    transactionId: transaction.id,
+    chargeName: transaction.transactionName,
+    installmentNumber: undefined,
+    installmentCount: undefined,
+    projected: false,
+    ...fields,
+  };
+}
+
+/**
+ * Turn card transactions into invoice charges
+ * - purchases are charged on their date, refunds and other credits are
+ *   negative charges and invoice payments are left out
+ * - merged installment purchases (`installments.installmentsInformation`)
+ *   are charged once per installment, on the installment date
+ * - an imported installment row ("Loja - Parcela 2/10") is charged on its
+ *   date and its later installments are projected one month apart, unless
+ *   their own rows were imported already (rows of the same installment plan,
+ *   or with the same description when not linked to a plan)
+ * @param {Array<Object>} transactions - Transactions of a card account
+ * @returns {Array<Object>} Charges with date, value in cents and installment info
+ */
+export function buildInvoiceCharges(transactions = []) {
+  const charges = [];
+  const imported = new Set();
+  const projections = [];
+
+  transactions.forEach((transaction) => {
+    if (isInvoicePayment(transaction)) {
+      return;
+    }
+
+    const installments =
+      transaction.installments?.installmentsInformation || [];
+    if (installments.length > 0) {
+      installments.forEach((installment, index) => {
+        charges.push(
+          charge(transaction, {
+            chargeDate: installment.installmentDate,
+            chargeValue: Math.abs(
+              toMonetaryCents(installment.installmentValue) || 0
+            ),
+            installmentNumber: index + 1,
+            installmentCount: installments.length,
+          })
+        );
+      });
+      return;
+    }
+
+    const value = Math.abs(toMonetaryCents(transaction.transactionValue) || 0);
+    const parsed = parseInstallments(transaction.transactionDescription);
+    const fields = {
+      chargeDate: transaction.transactionDate,
+      chargeValue: transaction.transactionType === 'credit' ? -value : value,
+    };
+    if (!parsed) {
+      charges.push(charge(transaction, fields));
+      return;
+    }
+
+    // rows linked to an installment plan stay apart from other purchases
+    // with the same description
+    const purchase = transaction.installmentPlanId
+      ? String(transaction.installmentPlanId)
+      : `${parsed.name.toLowerCase()}|${parsed.total}`;
+    const key = (number) => `${purchase}|${number}`;
+    imported.add(key(parsed.current));
+    charges.push(
+      charge(transaction, {
+        ...fields,
+        chargeName: parsed.name,
+        installmentNumber: parsed.current,
+        installmentCount: parsed.total,
+      })
+    );
+    for (let number = parsed.current + 1; number <= parsed.total; number++) {
+      projections.push({
+        key: key(number),
+        charge: charge(transaction, {
+          ...fields,
+          chargeDate: addMonthsToDate(
+            transaction.transactionDate,
+            number - parsed.current
+          ),
+          chargeName: parsed.name,
+          installmentNumber: number,
+          installmentCount: parsed.total,
+          projected: true,
+        }),
+      });
+    }
+  });
+
+  projections.forEach(({ key, charge: projected }) => {
+    if (!imported.has(key)) {
+      imported.add(key);
+      charges.push(projected);
+    }
+  });
+
+  return charges;
+}
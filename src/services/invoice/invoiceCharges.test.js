@@ -0,0 +1,161 @@
+import { buildInvoiceCharges, isInvoicePayment } from './invoiceCharges.js';
+
+const at = (date) => new Date(`${date}T12:00:00-04:00`);
+
+describe('invoiceCharges', () => {
+  test('isInvoicePayment recognizes linked and described payments', () => {
+    expect(
+      isInvoicePayment({ transactionType: 'credit', transferPairId: 't9' })
+    ).toBe(true);
+    expect(
+      isInvoicePayment({
+        transactionType: 'credit',
+        transactionName: 'Pagamento recebido',
+      })
+    ).toBe(true);
+    expect(
+      isInvoicePayment({ transactionType: 'credit', transactionName: 'Estorno' })
+    ).toBe(false);
+    expect(
+      isInvoicePayment({ transactionType: 'debit', transactionName: 'Pagamento' })
+    ).toBe(false);
+  });
+
+  test('charges purchases and refunds and leaves payments out', () => {
+    const charges = buildInvoiceCharges([
+      {
+        id: 't1',
+        transactionDate: at('2024-01-05'),
+        transactionName: 'Mercado',
+        transactionType: 'debit',
+        transactionValue: '-120,00',
+      },
+      {
+        id: 't2',
+        transactionDate: at('2024-01-06'),
+        transactionName: 'Estorno',
+        transactionType: 'credit',
+        transactionValue: '20,00',
+      },
+      {
+        id: 't3',
+        transactionDate: at('2024-01-07'),
+        transactionName: 'Pagamento recebido',
+        transactionType: 'credit',
+        transactionValue: '500,00',
+      },
+    ]);
+
+    expect(charges).toEqual([
+      {
+        transactionId: 't1',
+        chargeName: 'Mercado',
+        chargeDate: at('2024-01-05'),
+        chargeValue: 12000,
+        installmentNumber: undefined,
+        installmentCount: undefined,
+        projected: false,
+      },
+      expect.objectContaining({ transactionId: 't2', chargeValue: -2000 }),
+    ]);
+  });
+
+  test('charges merged installment purchases once per installment', () => {
+    const charges = buildInvoiceCharges([
+      {
+        id: 't1',
+        transactionDate: at('2024-01-05'),
+        transactionName: 'Loja',
+        transactionType: 'debit',
+        transactionValue: '300,00',
+        installments: {
+          installmentsAmount: '3',
+          installmentsInformation: [
+            { installmentDate: at('2024-01-05'), installmentValue: '100,00' },
+            { installmentDate: at('2024-02-05'), installmentValue: '100,00' },
+            { installmentDate: at('2024-03-05'), installmentValue: 10000 },
+          ],
+        },
+      },
+    ]);
+
+    expect(charges).toHaveLength(3);
+    expect(charges[2]).toEqual(
+      expect.objectContaining({
+        chargeDate: at('2024-03-05'),
+        chargeValue: 10000,
+        installmentNumber: 3,
+        installmentCount: 3,
+        projected: false,
+      })
+    );
+  });
+
+  test('projects the future installments of imported installment rows once', () => {
+    const row = (id, date, current) => ({
+      id,
+      transactionDate: at(date),
+      transactionName: 'Loja',
+      transactionDescription: `Loja - Parcela ${current}/4`,
+      transactionType: 'debit',
+      transactionValue: '50,00',
+    });
+
+    const charges = buildInvoiceCharges([
+      row('t2', '2024-02-10', 2),
+      row('t3', '2024-03-10', 3),
+    ]);
+
+    expect(
+      charges.map(({ transactionId, installmentNumber, projected }) => [
+        transactionId,
+        installmentNumber,
+        projected,
+      ])
+    ).toEqual([
+      ['t2', 2, false],
+      ['t3', 3, false],
+      ['t2', 4, true],
+    ]);
+    expect(charges[2]).toEqual(
+      expect.objectContaining({
+        chargeName: 'Loja',
+        chargeDate: at('2024-04-10'),
+        chargeValue: 5000,
+        installmentCount: 4,
+      })
+    );
+    expect(buildInvoiceCharges()).toEqual([]);
+  });
+
+  test('keeps the projections of different installment plans apart', () => {
+    const row = (id, planId, date, current) => ({
+      id,
+      installmentPlanId: planId,
+      transactionDate: at(date),
+      transactionName: 'Loja',
+      transactionDescription: `Loja - ${current}/3`,
+      transactionType: 'debit',
+      transactionValue: '50,00',
+    });
+
+    const charges = buildInvoiceCharges([
+      row('a1', 'plan-a', '2024-01-10', 1),
+      row('b2', 'plan-b', '2024-01-12', 2),
+    ]);
+
+    expect(
+      charges.map(({ transactionId, installmentNumber, projected }) => [
+        transactionId,
+        installmentNumber,
+        projected,
+      ])
+    ).toEqual([
+      ['a1', 1, false],
+      ['b2', 2, false],
+      ['a1', 2, true],
+      ['a1', 3, true],
+      ['b2', 3, true],
+    ]);
+  });
+});
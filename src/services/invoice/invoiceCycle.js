@@ -0,0 +1,141 @@
+import {
+  checkSingleDigit,
+  convertDateToJsDate,
+} from '../../infrastructure/date/index.js';
+
+// Dates are stored at the -04:00 offset used by every importer
+const OFFSET_MS = 4 * 60 * 60 * 1000;
+
+const daysInMonth = (year, month) =>
+  new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Move a year and month by a number of months
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} months - Months to add (negative to go back)
+ * @returns {{year: number, month: number}} Resulting year and month
+ */
+function addMonths(year, month, months) {
+  const index = year * 12 + (month - 1) + months;
+  return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+}
+
+/**
+ * Build the date of a day of a month, clamping the day to the month length
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @param {string} timeString - Time of day (HH:mm:ss)
+ * @returns {Date} Date
+ */
+function dayOfMonth(year, month, day, timeString) {
+  const clamped = Math.min(day, daysInMonth(year, month));
+  return convertDateToJsDate(
+    `${checkSingleDigit(clamped)}/${checkSingleDigit(month)}/${year}`,
+    timeString
+  );
+}
+
+/**
+ * Get the day, month and year of a date at the -04:00 offset
+ * @param {Date} date - Date
+ * @returns {{year: number, month: number, day: number}} Date parts
+ */
+function dateParts(date) {
+  const shifted = new Date(new Date(date).getTime() - OFFSET_MS);
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+  };
+}
+
+/**
+ * Add months to a date, keeping its day when the month allows it
+ * Used to place the future installments of a purchase.
+ * @param {Date} date - Date
+ * @param {number} months - Months to add
+ * @returns {Date} Date in the target month at 12:00
+ */
+export function addMonthsToDate(date, months) {
+  const { year, month, day } = dateParts(date);
+  const target = addMonths(year, month, months);
+  return dayOfMonth(target.year, target.month, day, '12:00:00');
+}
+
+/**
+ * Describe the billing cycle of the invoice due in a month
+ * The invoice closes on `closingDay` (in the due month when the due day
+ * comes after it, otherwise in the month before) and is due on `dueDay`.
+ * Days past the end of a month fall on its last day.
+ * @param {string} invoicePeriod - Due month (YYYY-MM)
+ * @param {Object} card - Card settings
+ * @param {number} card.closingDay - Day the invoice closes (1-31)
+ * @param {number} card.dueDay - Day the invoice is due (1-31)
+ * @returns {Object} invoicePeriod, closingDate (start of the closing day) and dueDate
+ */
+export function invoiceCycleForPeriod(invoicePeriod, { closingDay, dueDay }) {
+  const [year, month] = invoicePeriod.split('-').map(Number);
+  const closing =
+    dueDay > closingDay ? { year, month } : addMonths(year, month, -1);
+
+  return {
+    invoicePeriod,
+    closingDate: dayOfMonth(
+      closing.year,
+      closing.month,
+      closingDay,
+      '00:00:00'
+    ),
+    dueDate: dayOfMonth(year, month, dueDay, '12:00:00'),
+  };
+}
+
+/**
+ * Find the billing cycle a charge belongs to
+ * Charges made before the closing day go to the invoice closing that month;
+ * from the closing day on they go to the next one.
+ * @param {Date} date - Charge date
+ * @param {Object} card - Card settings ({closingDay, dueDay})
+ * @returns {Object} invoicePeriod, closingDate and dueDate
+ */
+export function invoiceCycleForDate(date, card) {
+  const { year, month, day } = dateParts(date);
+  const closingDay = Math.min(card.closingDay, daysInMonth(year, month));
+  const closing =
+    day < closingDay ? { year, month } : addMonths(year, month, 1);
+  const due =
+    card.dueDay > card.closingDay
+      ? closing
+      : addMonths(closing.year, closing.month, 1);
+
+  return invoiceCycleForPeriod(
+    `${due.year}-${checkSingleDigit(due.month)}`,
+    card
+  );
+}
+
+/**
+ * Move an invoice period by a number of months
+ * @param {string} invoicePeriod - Due month (YYYY-MM)
+ * @param {number} months - Months to add (negative to go back)
+ * @returns {string} Period (YYYY-MM)
+ */
+export function shiftInvoicePeriod(invoicePeriod, months) {
+  const [year, month] = invoicePeriod.split('-').map(Number);
+  const shifted = addMonths(year, month, months);
+  return `${shifted.year}-${checkSingleDigit(shifted.month)}`;
+}
+
+/**
+ * List consecutive invoice periods
+ * @param {string} firstPeriod - First due month (YYYY-MM)
+ * @param {number} count - Number of periods
+ * @returns {Array<string>} Periods (YYYY-MM)
+ */
+export function nextInvoicePeriods(firstPeriod, count) {
+  return Array.from({ length: count }, (_, index) =>
+    shiftInvoicePeriod(firstPeriod, index)
+  );
+}
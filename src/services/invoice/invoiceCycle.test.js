@@ -0,0 +1,74 @@
+import {
+  addMonthsToDate,
+  invoiceCycleForDate,
+  invoiceCycleForPeriod,
+  nextInvoicePeriods,
+  shiftInvoicePeriod,
+} from './invoiceCycle.js';
+
+const at = (date, time = '12:00:00') => new Date(`${date}T${time}-04:00`);
+
+describe('invoiceCycle', () => {
+  const card = { closingDay: 3, dueDay: 10 };
+
+  test('invoiceCycleForPeriod closes in the due month when the due day comes later', () => {
+    expect(invoiceCycleForPeriod('2024-01', card)).toEqual({
+      invoicePeriod: '2024-01',
+      closingDate: at('2024-01-03', '00:00:00'),
+      dueDate: at('2024-01-10'),
+    });
+    expect(
+      invoiceCycleForPeriod('2024-03', { closingDay: 25, dueDay: 5 })
+    ).toEqual({
+      invoicePeriod: '2024-03',
+      closingDate: at('2024-02-25', '00:00:00'),
+      dueDate: at('2024-03-05'),
+    });
+  });
+
+  test('invoiceCycleForDate moves charges from the closing day on to the next invoice', () => {
+    expect(invoiceCycleForDate(at('2024-01-02'), card).invoicePeriod).toBe(
+      '2024-01'
+    );
+    expect(invoiceCycleForDate(at('2024-01-03'), card).invoicePeriod).toBe(
+      '2024-02'
+    );
+    expect(
+      invoiceCycleForDate(at('2024-12-31'), { closingDay: 25, dueDay: 5 })
+        .invoicePeriod
+    ).toBe('2025-02');
+  });
+
+  test('closing and due days past the end of the month fall on its last day', () => {
+    const lastDay = { closingDay: 31, dueDay: 8 };
+
+    expect(invoiceCycleForDate(at('2024-02-28'), lastDay)).toEqual({
+      invoicePeriod: '2024-03',
+      closingDate: at('2024-02-29', '00:00:00'),
+      dueDate: at('2024-03-08'),
+    });
+    expect(invoiceCycleForDate(at('2024-02-29'), lastDay).invoicePeriod).toBe(
+      '2024-04'
+    );
+    expect(
+      invoiceCycleForPeriod('2023-02', { closingDay: 20, dueDay: 30 }).dueDate
+    ).toEqual(at('2023-02-28'));
+  });
+
+  test('addMonthsToDate keeps the day when the month allows it', () => {
+    expect(addMonthsToDate(at('2024-01-15', '09:00:00'), 2)).toEqual(
+      at('2024-03-15')
+    );
+    expect(addMonthsToDate(at('2024-01-31'), 1)).toEqual(at('2024-02-29'));
+    expect(addMonthsToDate(at('2024-11-30'), 3)).toEqual(at('2025-02-28'));
+  });
+
+  test('shiftInvoicePeriod and nextInvoicePeriods cross years', () => {
+    expect(shiftInvoicePeriod('2024-01', -1)).toBe('2023-12');
+    expect(nextInvoicePeriods('2024-11', 3)).toEqual([
+      '2024-11',
+      '2024-12',
+      '2025-01',
+    ]);
+  });
+});
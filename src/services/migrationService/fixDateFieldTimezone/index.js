@@ -3,6 +3,7 @@ import {
   updateById,
   getTransactionsIdTransactionSource,
 } from '../../../repository/transactionRepository.js';
+import { recordChange } from '../../auditService.js';
 
 export async function fixDateFieldTimezone() {
   const transactionsId = await getTransactionsIdTransactionSource('nubank');
@@ -20,6 +21,14 @@ export async function fixDateFieldTimezone() {
         updateData.transactionDate = `${date}T12:00:00-04:00`;
         console.log(`new date time ${JSON.stringify(updateData)}`);
         const updatedTransaction = await updateById(id, updateData);
+        await recordChange({
+          documentType: 'transaction',
+          documentId: id,
+          before: transaction,
+          after: updatedTransaction,
+          origin: 'migration',
+          originDetail: 'fixDateFieldTimezone',
+        });
         console.log(
           `Updated transaction ${id}:`,
           JSON.stringify(updatedTransaction, null, 4)
@@ -10,6 +10,10 @@ jest.unstable_mockModule('../../../repository/transactionRepository.js', () => (
   updateById,
 }));
 
+const recordChange = jest.fn();
+
+jest.unstable_mockModule('../../auditService.js', () => ({ recordChange }));
+
 const { fixDateFieldTimezone } = await import('./index.js');
 
 let consoleLog;
@@ -40,6 +44,14 @@ describe('fixDateFieldTimezone', () => {
       transactionDate: '2024-01-01T12:00:00-04:00',
     });
     expect(updateById).toHaveBeenCalledTimes(1);
+    expect(recordChange).toHaveBeenCalledWith({
+      documentType: 'transaction',
+      documentId: 't1',
+      before: { transactionDate: '2024-01-01T00:00:00.000Z' },
+      after: { id: 't1' },
+      origin: 'migration',
+      originDetail: 'fixDateFieldTimezone',
+    });
   });
 
   test('logs error when transaction lookup fails', async () => {
@@ -1,6 +1,8 @@
 export { identifyAndUpdateCompanyFields } from './identifyAndUpdateCompanyFields/index.js';
-export { mergeCreditCardTransactionsInstallments } from './mergeCreditCardTransactionsInstallments/index.js';
+export { linkCreditCardInstallments } from './linkCreditCardInstallments/index.js';
 export { fixDateFieldTimezone } from './fixDateFieldTimezone/index.js';
 export { migrateCompanyDataToCompanyCollection } from './migrateCompanyDataToCompanyCollection/index.js';
 export { fixCompaniesEntities } from './fixCompaniesEntities/index.js';
 export { migrateTransactionsToFiscalBooks } from './migrateFiscalBooks.js';
+export { migrateMonetaryValuesToCents } from './migrateMonetaryValuesToCents/index.js';
+export { migrateTransactionSourcesToAccounts } from './migrateTransactionSourcesToAccounts/index.js';
@@ -12,20 +12,24 @@ jest.unstable_mockModule('../../config/logger.js', () => ({
 
 const {
   identifyAndUpdateCompanyFields,
-  mergeCreditCardTransactionsInstallments,
+  linkCreditCardInstallments,
   fixDateFieldTimezone,
   migrateCompanyDataToCompanyCollection,
   fixCompaniesEntities,
   migrateTransactionsToFiscalBooks,
+  migrateMonetaryValuesToCents,
+  migrateTransactionSourcesToAccounts,
 } = await import('./index.js');
 
 describe('migrationService index', () => {
   test('re-exports migration helpers', () => {
     expect(typeof identifyAndUpdateCompanyFields).toBe('function');
-    expect(typeof mergeCreditCardTransactionsInstallments).toBe('function');
+    expect(typeof linkCreditCardInstallments).toBe('function');
     expect(typeof fixDateFieldTimezone).toBe('function');
     expect(typeof migrateCompanyDataToCompanyCollection).toBe('function');
     expect(typeof fixCompaniesEntities).toBe('function');
     expect(typeof migrateTransactionsToFiscalBooks).toBe('function');
+    expect(typeof migrateMonetaryValuesToCents).toBe('function');
+    expect(typeof migrateTransactionSourcesToAccounts).toBe('function');
   });
 });
@@ -0,0 +1,26 @@
+import { linkInstallmentPlans } from '../../installmentPlanService.js';
+
+/**
+ * Link the installment rows of every credit card to installment plans
+ * Replaces the merge of installment rows by description, which could not
+ * tell apart purchases sharing a description. Rows are linked by card,
+ * merchant, value per installment and monthly cadence instead, and are kept
+ * as they were imported. Linked rows are not matched again, so the
+ * migration is safe to run on every startup.
+ * @returns {Promise<Object>} Linked rows, created and updated plans
+ */
+export async function linkCreditCardInstallments() {
+  try {
+    const results = await linkInstallmentPlans();
+    if (results.linked > 0) {
+      console.log(
+        `Installments migration: ${results.linked} transactions linked, ` +
+          `${results.created} plans created, ${results.updated} plans updated`
+      );
+    }
+    return results;
+  } catch (error) {
+    console.error('Error linking credit card installments:', error.message);
+    return { linked: 0, created: 0, updated: 0, error: error.message };
+  }
+}
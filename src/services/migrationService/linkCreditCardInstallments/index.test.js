@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+
+const linkInstallmentPlans = jest.fn();
+
+jest.unstable_mockModule('../../installmentPlanService.js', () => ({
+  linkInstallmentPlans,
+}));
+
+const { linkCreditCardInstallments } = await import('./index.js');
+
+let consoleLog;
+let consoleError;
+
+describe('linkCreditCardInstallments', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleLog.mockRestore();
+    consoleError.mockRestore();
+  });
+
+  test('links the installments of every card and logs the outcome', async () => {
+    linkInstallmentPlans.mockResolvedValueOnce({
+      linked: 5,
+      created: 2,
+      updated: 1,
+    });
+
+    await expect(linkCreditCardInstallments()).resolves.toEqual({
+      linked: 5,
+      created: 2,
+      updated: 1,
+    });
+    expect(linkInstallmentPlans).toHaveBeenCalledWith();
+    expect(consoleLog).toHaveBeenCalledWith(
+      'Installments migration: 5 transactions linked, 2 plans created, 1 plans updated'
+    );
+  });
+
+  test('stays quiet when nothing is linked and never throws', async () => {
+    linkInstallmentPlans
+      .mockResolvedValueOnce({ linked: 0, created: 0, updated: 0 })
+      .mockRejectedValueOnce(new Error('db'));
+
+    await linkCreditCardInstallments();
+    expect(consoleLog).not.toHaveBeenCalled();
+
+    await expect(linkCreditCardInstallments()).resolves.toEqual({
+      linked: 0,
+      created: 0,
+      updated: 0,
+      error: 'db',
+    });
+    expect(consoleError).toHaveBeenCalledWith(
+      'Error linking credit card installments:',
+      'db'
+    );
+  });
+});
@@ -0,0 +1,152 @@
+import TransactionModel from '../../../models/TransactionModel.js';
+import SnapshotTransactionModel from '../../../models/SnapshotTransactionModel.js';
+import { toMonetaryCents } from '../../../infrastructure/monetary/monetaryUtils.js';
+
+const VALUE_FIELDS = ['transactionValue', 'freightValue'];
+const ARRAY_VALUE_FIELDS = [
+  ['items', 'itemValue'],
+  ['installments.installmentsInformation', 'installmentValue'],
+];
+
+const getPath = (object, path) =>
+  path.split('.').reduce((value, key) => value?.[key], object);
+
+const withPrefix = (prefix, path) => (prefix ? `${prefix}.${path}` : path);
+
+/**
+ * Build the filter matching documents that still hold monetary text
+ * @param {string} prefix - Path of the transaction inside the document ('' for transactions)
+ * @returns {Object} MongoDB filter
+ */
+export function legacyMonetaryFilter(prefix = '') {
+  const paths = [
+    ...VALUE_FIELDS,
+    ...ARRAY_VALUE_FIELDS.map(([arrayPath, field]) => `${arrayPath}.${field}`),
+  ];
+  return {
+    $or: paths.map((path) => ({
+      [withPrefix(prefix, path)]: { $type: 'string' },
+    })),
+  };
+}
+
+/**
+ * Build the update converting the monetary text of a raw document to cents
+ * Empty values are removed; unparseable values are left untouched and
+ * reported as failures.
+ * @param {Object} document - Raw MongoDB document
+ * @param {string} prefix - Path of the transaction inside the document
+ * @returns {{update: Object|null, failures: Array<{path: string, value: string}>}} Update (null when nothing changes) and failures
+ */
+export function buildCentsUpdate(document, prefix = '') {
+  const $set = {};
+  const $unset = {};
+  const failures = [];
+  const transaction = prefix ? getPath(document, prefix) : document;
+
+  const convert = (path, value) => {
+    if (typeof value !== 'string') {
+      return;
+    }
+    const cents = toMonetaryCents(value);
+    if (cents === undefined) {
+      $unset[withPrefix(prefix, path)] = '';
+    } else if (Number.isNaN(cents)) {
+      failures.push({ path: withPrefix(prefix, path), value });
+    } else {
+      $set[withPrefix(prefix, path)] = cents;
+    }
+  };
+
+  VALUE_FIELDS.forEach((field) => convert(field, transaction?.[field]));
+  ARRAY_VALUE_FIELDS.forEach(([arrayPath, field]) => {
+    const entries = getPath(transaction, arrayPath);
+    if (Array.isArray(entries)) {
+      entries.forEach((entry, index) =>
+        convert(`${arrayPath}.${index}.${field}`, entry?.[field])
+      );
+    }
+  });
+
+  const update = {};
+  if (Object.keys($set).length > 0) {
+    update.$set = $set;
+  }
+  if (Object.keys($unset).length > 0) {
+    update.$unset = $unset;
+  }
+
+  return {
+    update: Object.keys(update).length > 0 ? update : null,
+    failures,
+  };
+}
+
+/**
+ * Convert the monetary values of a collection from text to cents
+ * @param {Object} model - Mongoose model whose raw collection is migrated
+ * @param {string} prefix - Path of the transaction inside the documents
+ * @param {boolean} dryRun - If true, only count what would change
+ * @returns {Promise<Object>} Scanned, updated and failed counts
+ */
+async function migrateCollection(model, prefix, dryRun) {
+  const stats = { scanned: 0, updated: 0, failures: [] };
+  const cursor = model.collection.find(legacyMonetaryFilter(prefix));
+
+  for await (const document of cursor) {
+    stats.scanned++;
+    const { update, failures } = buildCentsUpdate(document, prefix);
+
+    failures.forEach((failure) =>
+      stats.failures.push({ id: String(document._id), ...failure })
+    );
+
+    if (update) {
+      if (!dryRun) {
+        await model.collection.updateOne({ _id: document._id }, update);
+      }
+      stats.updated++;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Migrate transaction and snapshot transaction values to integer cents
+ * transactionValue, freightValue, items[].itemValue and
+ * installments.installmentsInformation[].installmentValue used to be stored
+ * as text ("1500,00"). Documents already migrated are not matched, so the
+ * migration is safe to run on every startup.
+ * @param {Object} options - Migration options
+ * @param {boolean} options.dryRun - If true, don't commit changes
+ * @returns {Promise<Object>} Migration stats per collection
+ */
+export async function migrateMonetaryValuesToCents(options = {}) {
+  const { dryRun = false } = options;
+
+  const results = {
+    transactions: await migrateCollection(TransactionModel, '', dryRun),
+    snapshotTransactions: await migrateCollection(
+      SnapshotTransactionModel,
+      'transactionData',
+      dryRun
+    ),
+  };
+
+  Object.entries(results).forEach(([collection, stats]) => {
+    if (stats.updated > 0 || stats.failures.length > 0) {
+      console.log(
+        `Monetary values migration (${collection}${dryRun ? ', dry run' : ''}): ` +
+          `${stats.updated} of ${stats.scanned} documents converted to cents`
+      );
+    }
+    stats.failures.forEach((failure) =>
+      console.error(
+        `Could not convert ${failure.path} of ${failure.id}: "${failure.value}"`
+      )
+    );
+  });
+
+  return results;
+}
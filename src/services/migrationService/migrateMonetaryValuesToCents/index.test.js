@@ -0,0 +1,154 @@
+import { jest } from '@jest/globals';
+
+const transactionCollection = { find: jest.fn(), updateOne: jest.fn() };
+const snapshotCollection = { find: jest.fn(), updateOne: jest.fn() };
+
+jest.unstable_mockModule('../../../models/TransactionModel.js', () => ({
+  default: { collection: transactionCollection },
+}));
+
+jest.unstable_mockModule('../../../models/SnapshotTransactionModel.js', () => ({
+  default: { collection: snapshotCollection },
+}));
+
+const {
+  legacyMonetaryFilter,
+  buildCentsUpdate,
+  migrateMonetaryValuesToCents,
+} = await import('./index.js');
+
+let consoleLog;
+let consoleError;
+
+describe('migrateMonetaryValuesToCents', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transactionCollection.find.mockReturnValue([]);
+    snapshotCollection.find.mockReturnValue([]);
+    consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleLog.mockRestore();
+    consoleError.mockRestore();
+  });
+
+  test('legacyMonetaryFilter matches text values of every monetary path', () => {
+    expect(legacyMonetaryFilter()).toEqual({
+      $or: [
+        { transactionValue: { $type: 'string' } },
+        { freightValue: { $type: 'string' } },
+        { 'items.itemValue': { $type: 'string' } },
+        {
+          'installments.installmentsInformation.installmentValue': {
+            $type: 'string',
+          },
+        },
+      ],
+    });
+    expect(legacyMonetaryFilter('transactionData').$or[0]).toEqual({
+      'transactionData.transactionValue': { $type: 'string' },
+    });
+  });
+
+  test('buildCentsUpdate converts text, unsets empty values and reports failures', () => {
+    const { update, failures } = buildCentsUpdate({
+      transactionValue: '-1.500,50',
+      freightValue: '',
+      items: [{ itemValue: '10,00' }, { itemValue: 1000 }, { itemName: 'x' }],
+      installments: {
+        installmentsInformation: [{ installmentValue: 'abc' }],
+      },
+    });
+
+    expect(update).toEqual({
+      $set: { transactionValue: -150050, 'items.0.itemValue': 1000 },
+      $unset: { freightValue: '' },
+    });
+    expect(failures).toEqual([
+      {
+        path: 'installments.installmentsInformation.0.installmentValue',
+        value: 'abc',
+      },
+    ]);
+  });
+
+  test('buildCentsUpdate prefixes paths and skips migrated documents', () => {
+    expect(
+      buildCentsUpdate(
+        { transactionData: { transactionValue: '7,25' } },
+        'transactionData'
+      ).update
+    ).toEqual({ $set: { 'transactionData.transactionValue': 725 } });
+    expect(buildCentsUpdate({ transactionValue: 725 })).toEqual({
+      update: null,
+      failures: [],
+    });
+    expect(buildCentsUpdate({}, 'transactionData').update).toBeNull();
+  });
+
+  test('updates transactions and snapshot transactions', async () => {
+    transactionCollection.find.mockReturnValue([
+      { _id: 't1', transactionValue: '15,00' },
+      { _id: 't2', transactionValue: 'n/a' },
+    ]);
+    snapshotCollection.find.mockReturnValue([
+      { _id: 's1', transactionData: { freightValue: '3,50' } },
+    ]);
+
+    const result = await migrateMonetaryValuesToCents();
+
+    expect(transactionCollection.find).toHaveBeenCalledWith(
+      legacyMonetaryFilter()
+    );
+    expect(snapshotCollection.find).toHaveBeenCalledWith(
+      legacyMonetaryFilter('transactionData')
+    );
+    expect(transactionCollection.updateOne).toHaveBeenCalledTimes(1);
+    expect(transactionCollection.updateOne).toHaveBeenCalledWith(
+      { _id: 't1' },
+      { $set: { transactionValue: 1500 } }
+    );
+    expect(snapshotCollection.updateOne).toHaveBeenCalledWith(
+      { _id: 's1' },
+      { $set: { 'transactionData.freightValue': 350 } }
+    );
+    expect(result.transactions).toEqual({
+      scanned: 2,
+      updated: 1,
+      failures: [{ id: 't2', path: 'transactionValue', value: 'n/a' }],
+    });
+    expect(result.snapshotTransactions).toEqual({
+      scanned: 1,
+      updated: 1,
+      failures: [],
+    });
+    expect(consoleError).toHaveBeenCalledTimes(1);
+  });
+
+  test('dry run counts changes without writing', async () => {
+    transactionCollection.find.mockReturnValue([
+      { _id: 't1', transactionValue: '15,00' },
+    ]);
+
+    const result = await migrateMonetaryValuesToCents({ dryRun: true });
+
+    expect(transactionCollection.updateOne).not.toHaveBeenCalled();
+    expect(result.transactions.updated).toBe(1);
+    expect(consoleLog).toHaveBeenCalledWith(
+      expect.stringContaining('dry run')
+    );
+  });
+
+  test('stays quiet when nothing is left to migrate', async () => {
+    const result = await migrateMonetaryValuesToCents();
+
+    expect(result.transactions).toEqual({
+      scanned: 0,
+      updated: 0,
+      failures: [],
+    });
+    expect(consoleLog).not.toHaveBeenCalled();
+  });
+});
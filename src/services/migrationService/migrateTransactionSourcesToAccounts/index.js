@@ -0,0 +1,81 @@
+import TransactionModel from '../../../models/TransactionModel.js';
+import AccountModel from '../../../models/AccountModel.js';
+import { deriveAccountFromSource } from '../../account/accountDerivation.js';
+
+/**
+ * Build the filter of the unlinked transactions of a source
+ * Transactions without source belong to the manual account.
+ * @param {string|null} source - Transaction source
+ * @returns {Object} MongoDB filter
+ */
+export function unlinkedSourceFilter(source) {
+  return {
+    accountId: null,
+    transactionSource: source ? source : { $in: [null, ''] },
+  };
+}
+
+/**
+ * Link transactions without account to the account of their source
+ * `transactionSource` used to be the only notion of account. Each source
+ * gets an account derived from it (type from the source, opening date from
+ * its first transaction) unless one exists already. Linked transactions are
+ * not matched again, so the migration is safe to run on every startup.
+ * @param {Object} options - Migration options
+ * @param {boolean} options.dryRun - If true, don't commit changes
+ * @returns {Promise<Object>} Created accounts, linked transactions and per-source stats
+ */
+export async function migrateTransactionSourcesToAccounts(options = {}) {
+  const { dryRun = false } = options;
+  const results = { accountsCreated: 0, transactionsLinked: 0, sources: [] };
+
+  const groups = await TransactionModel.aggregate([
+    { $match: { accountId: null } },
+    {
+      $group: {
+        _id: '$transactionSource',
+        firstDate: { $min: '$transactionDate' },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const plannedSources = new Set();
+  for (const group of groups) {
+    const derived = deriveAccountFromSource(group._id, group.firstDate);
+    let account = await AccountModel.findOne({
+      transactionSource: derived.transactionSource,
+    });
+
+    if (!account && !plannedSources.has(derived.transactionSource)) {
+      results.accountsCreated++;
+      if (!dryRun) {
+        account = await AccountModel.create(derived);
+      }
+    }
+    plannedSources.add(derived.transactionSource);
+
+    if (!dryRun) {
+      await TransactionModel.updateMany(unlinkedSourceFilter(group._id), {
+        $set: { accountId: account._id },
+      });
+    }
+    results.transactionsLinked += group.count;
+    results.sources.push({
+      source: derived.transactionSource,
+      accountId: account ? String(account._id) : null,
+      transactions: group.count,
+    });
+  }
+
+  if (results.transactionsLinked > 0) {
+    console.log(
+      `Accounts migration${dryRun ? ' (dry run)' : ''}: ` +
+        `${results.transactionsLinked} transactions linked, ` +
+        `${results.accountsCreated} accounts created`
+    );
+  }
+
+  return results;
+}
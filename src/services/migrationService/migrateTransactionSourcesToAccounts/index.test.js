@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+
+const TransactionModel = { aggregate: jest.fn(), updateMany: jest.fn() };
+const AccountModel = { findOne: jest.fn(), create: jest.fn() };
+
+jest.unstable_mockModule('../../../models/TransactionModel.js', () => ({
+  default: TransactionModel,
+}));
+
+jest.unstable_mockModule('../../../models/AccountModel.js', () => ({
+  default: AccountModel,
+}));
+
+const { unlinkedSourceFilter, migrateTransactionSourcesToAccounts } =
+  await import('./index.js');
+
+const firstDate = new Date('2023-05-02T12:00:00-04:00');
+
+let consoleLog;
+
+describe('migrateTransactionSourcesToAccounts', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    TransactionModel.aggregate.mockResolvedValue([
+      { _id: null, firstDate, count: 2 },
+      { _id: '', firstDate, count: 1 },
+      { _id: 'nubank', firstDate, count: 5 },
+      { _id: 'nubank-credit', firstDate, count: 3 },
+    ]);
+    AccountModel.findOne.mockImplementation(async ({ transactionSource }) =>
+      transactionSource === 'nubank' ? { _id: 'acc-nubank' } : null
+    );
+    AccountModel.create.mockImplementation(async (data) => ({
+      _id: `acc-${data.transactionSource}`,
+    }));
+  });
+
+  afterEach(() => {
+    consoleLog.mockRestore();
+  });
+
+  test('unlinkedSourceFilter matches empty sources as the manual account', () => {
+    expect(unlinkedSourceFilter('nubank')).toEqual({
+      accountId: null,
+      transactionSource: 'nubank',
+    });
+    expect(unlinkedSourceFilter(null)).toEqual({
+      accountId: null,
+      transactionSource: { $in: [null, ''] },
+    });
+  });
+
+  test('creates missing accounts and links their transactions', async () => {
+    AccountModel.findOne
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ _id: 'acc-manual' });
+
+    const result = await migrateTransactionSourcesToAccounts();
+
+    expect(TransactionModel.aggregate.mock.calls[0][0][0]).toEqual({
+      $match: { accountId: null },
+    });
+    expect(AccountModel.create).toHaveBeenCalledTimes(2);
+    expect(AccountModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        accountName: 'Manual',
+        transactionSource: 'manual',
+        openingDate: firstDate,
+      })
+    );
+    expect(AccountModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        accountName: 'Nubank credit card',
+        accountType: 'credit',
+      })
+    );
+    expect(TransactionModel.updateMany).toHaveBeenCalledWith(
+      { accountId: null, transactionSource: 'nubank' },
+      { $set: { accountId: 'acc-nubank' } }
+    );
+    expect(result).toEqual({
+      accountsCreated: 2,
+      transactionsLinked: 11,
+      sources: [
+        { source: 'manual', accountId: 'acc-manual', transactions: 2 },
+        { source: 'manual', accountId: 'acc-manual', transactions: 1 },
+        { source: 'nubank', accountId: 'acc-nubank', transactions: 5 },
+        {
+          source: 'nubank-credit',
+          accountId: 'acc-nubank-credit',
+          transactions: 3,
+        },
+      ],
+    });
+    expect(consoleLog).toHaveBeenCalledWith(
+      'Accounts migration: 11 transactions linked, 2 accounts created'
+    );
+  });
+
+  test('dry run counts without writing', async () => {
+    const result = await migrateTransactionSourcesToAccounts({ dryRun: true });
+
+    expect(AccountModel.create).not.toHaveBeenCalled();
+    expect(TransactionModel.updateMany).not.toHaveBeenCalled();
+    expect(result.accountsCreated).toBe(2);
+    expect(result.sources[0]).toEqual({
+      source: 'manual',
+      accountId: null,
+      transactions: 2,
+    });
+    expect(consoleLog).toHaveBeenCalledWith(
+      'Accounts migration (dry run): 11 transactions linked, 2 accounts created'
+    );
+  });
+
+  test('does nothing when every transaction has an account', async () => {
+    TransactionModel.aggregate.mockResolvedValue([]);
+
+    await expect(migrateTransactionSourcesToAccounts()).resolves.toEqual({
+      accountsCreated: 0,
+      transactionsLinked: 0,
+      sources: [],
+    });
+    expect(consoleLog).not.toHaveBeenCalled();
+  });
+});
@@ -20,12 +20,29 @@ import {
   count,
   getStatistics,
 } from '../repository/personRepository.js';
+import {
+  recordChange,
+  recordDeletion,
+  requestAuditContext,
+} from './auditService.js';
+import { findTrashedHolder } from './trashService.js';
 
 /**
  * Person Service
  * Handles all HTTP operations for Person entities (CPF holders)
  */
 
+/**
+ * Refuse a CPF held by a person in the trash
+ * @param {Object} res - Express response object
+ * @param {Object} trashed - Person in the trash
+ */
+const sendTrashedCpfConflict = (res, trashed) =>
+  res.status(409).send({
+    message: 'A person with this CPF is in the trash: restore it instead',
+    trash: { type: 'person', id: String(trashed.id) },
+  });
+
 /**
  * Insert a new person
  * @param {Object} req - Express request object
@@ -33,6 +50,10 @@ import {
  */
 export const insertPerson = async (req, res) => {
   try {
+    const trashed = await findTrashedHolder('person', { cpf: req.body?.cpf });
+    if (trashed) {
+      return sendTrashedCpfConflict(res, trashed);
+    }
     const person = await insert(req.body);
     res.status(201).send(person);
   } catch (error) {
@@ -144,10 +165,22 @@ export const findAllPeople = async (req, res) => {
  */
 export const updatePersonById = async (req, res) => {
   try {
+    const trashed = await findTrashedHolder('person', { cpf: req.body?.cpf });
+    if (trashed) {
+      return sendTrashedCpfConflict(res, trashed);
+    }
+    const current = await findById(req.params.id);
     const person = await updateById(req.params.id, req.body);
     if (!person) {
       return res.status(404).send({ message: 'Person not found' });
     }
+    await recordChange({
+      documentType: 'person',
+      documentId: req.params.id,
+      before: current,
+      after: person,
+      ...requestAuditContext(req),
+    });
     res.send(person);
   } catch (error) {
     logger.error('Error updating person by ID:', error);
@@ -162,6 +195,10 @@ export const updatePersonById = async (req, res) => {
  */
 export const updatePersonByCpf = async (req, res) => {
   try {
+    const trashed = await findTrashedHolder('person', { cpf: req.body?.cpf });
+    if (trashed) {
+      return sendTrashedCpfConflict(res, trashed);
+    }
     const person = await updateByCpf(req.params.cpf, req.body);
     if (!person) {
       return res.status(404).send({ message: 'Person not found' });
@@ -184,6 +221,13 @@ export const deletePersonById = async (req, res) => {
     if (!person) {
       return res.status(404).send({ message: 'Person not found' });
     }
+    await recordDeletion({
+      documentType: 'person',
+      documentId: req.params.id,
+      deletedAt: person.deletedAt,
+      ...requestAuditContext(req),
+      origin: 'trash',
+    });
     res.send({ message: 'Person deleted successfully', person });
   } catch (error) {
     logger.error('Error deleting person by ID:', error);
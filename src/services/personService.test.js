@@ -32,6 +32,23 @@ jest.unstable_mockModule('../repository/personRepository.js', () => ({
   ...repository,
 }));
 
+const recordChange = jest.fn();
+const recordDeletion = jest.fn();
+const auditContext = { actor: 'ana', origin: 'api' };
+const requestAuditContext = jest.fn(() => auditContext);
+
+jest.unstable_mockModule('./auditService.js', () => ({
+  recordChange,
+  recordDeletion,
+  requestAuditContext,
+}));
+
+const findTrashedHolder = jest.fn();
+
+jest.unstable_mockModule('./trashService.js', () => ({
+  findTrashedHolder,
+}));
+
 const service = await import('./personService.js');
 const {
   insertPerson,
@@ -65,6 +82,7 @@ const createRes = () => {
 describe('personService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    repository.findById.mockReset();
   });
 
   test('insertPerson creates person', async () => {
@@ -78,6 +96,28 @@ describe('personService', () => {
     expect(res.send).toHaveBeenCalledWith({ id: 'p1' });
   });
 
+  test('person writes refuse a CPF held by a person in the trash', async () => {
+    findTrashedHolder.mockResolvedValue({ id: 'p9' });
+    const conflict = {
+      message: 'A person with this CPF is in the trash: restore it instead',
+      trash: { type: 'person', id: 'p9' },
+    };
+    const res = createRes();
+
+    await insertPerson({ body: { cpf: '123' } }, res);
+    await updatePersonById({ params: { id: 'p1' }, body: { cpf: '123' } }, res);
+    await updatePersonByCpf({ params: { cpf: '456' }, body: { cpf: '123' } }, res);
+
+    expect(findTrashedHolder).toHaveBeenCalledWith('person', { cpf: '123' });
+    expect(res.status).toHaveBeenCalledTimes(3);
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.send).toHaveBeenCalledWith(conflict);
+    expect(repository.insert).not.toHaveBeenCalled();
+    expect(repository.updateById).not.toHaveBeenCalled();
+    expect(repository.updateByCpf).not.toHaveBeenCalled();
+    findTrashedHolder.mockReset();
+  });
+
   test('insertPerson handles errors', async () => {
     repository.insert.mockRejectedValue(new Error('fail'));
     const res = createRes();
@@ -241,6 +281,22 @@ describe('personService', () => {
     expect(res.send).toHaveBeenCalledWith({ id: 'p1' });
   });
 
+  test('updatePersonById records the change in the history', async () => {
+    repository.findById.mockResolvedValueOnce({ id: 'p1', name: 'Ana' });
+    repository.updateById.mockResolvedValueOnce({ id: 'p1', name: 'Ana Maria' });
+    const req = { params: { id: 'p1' }, body: { name: 'Ana Maria' } };
+
+    await updatePersonById(req, createRes());
+
+    expect(recordChange).toHaveBeenCalledWith({
+      documentType: 'person',
+      documentId: 'p1',
+      before: { id: 'p1', name: 'Ana' },
+      after: { id: 'p1', name: 'Ana Maria' },
+      ...auditContext,
+    });
+  });
+
   test('updatePersonById returns 404 when missing', async () => {
     repository.updateById.mockResolvedValue(null);
     const res = createRes();
@@ -297,6 +353,13 @@ describe('personService', () => {
     expect(res.send).toHaveBeenCalledWith(
       expect.objectContaining({ message: expect.any(String), person: { id: 'p1' } })
     );
+    expect(recordDeletion).toHaveBeenCalledWith({
+      documentType: 'person',
+      documentId: 'p1',
+      deletedAt: undefined,
+      actor: 'ana',
+      origin: 'trash',
+    });
   });
 
   test('deletePersonById returns 404 when missing', async () => {
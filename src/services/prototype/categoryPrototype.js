@@ -1,9 +1,11 @@
 export function categoryPrototype(body) {
-  const { name, iconName } = body;
+  const { name, iconName, parentCategory } = body;
 
   let object = {
     name,
     iconName,
+    // null (or '') moves the category to the root; undefined keeps its parent
+    parentCategory: parentCategory === '' ? null : parentCategory,
   };
   return object;
 }
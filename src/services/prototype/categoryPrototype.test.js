@@ -9,4 +9,18 @@ describe('categoryPrototype', () => {
     expect(result).toEqual({ name: 'Food', iconName: 'utensils' });
     expect(result).not.toBe(input);
   });
+
+  test('keeps parentCategory and maps empty parent to root', () => {
+    expect(categoryPrototype({ name: 'Mercado', parentCategory: 'p1' })).toEqual(
+      { name: 'Mercado', iconName: undefined, parentCategory: 'p1' }
+    );
+    expect(categoryPrototype({ name: 'Mercado', parentCategory: '' })).toEqual({
+      name: 'Mercado',
+      iconName: undefined,
+      parentCategory: null,
+    });
+    expect(
+      categoryPrototype({ name: 'Mercado', parentCategory: null }).parentCategory
+    ).toBeNull();
+  });
 });
@@ -0,0 +1,24 @@
+export function importMappingPrototype(body) {
+  const {
+    name,
+    delimiter,
+    dateColumn,
+    valueColumn,
+    descriptionColumn,
+    dateFormat,
+    decimalSeparator,
+    positiveIsDebit,
+  } = body;
+
+  let object = {
+    name,
+    delimiter: delimiter || undefined,
+    dateColumn,
+    valueColumn,
+    descriptionColumn,
+    dateFormat: dateFormat || 'DD/MM/YYYY',
+    decimalSeparator: decimalSeparator || ',',
+    positiveIsDebit: Boolean(positiveIsDebit),
+  };
+  return object;
+}
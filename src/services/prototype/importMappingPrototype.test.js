@@ -0,0 +1,37 @@
+import { importMappingPrototype } from './importMappingPrototype.js';
+
+describe('importMappingPrototype', () => {
+  test('keeps mapping fields only', () => {
+    const result = importMappingPrototype({
+      name: 'Banco X',
+      delimiter: ';',
+      dateColumn: 'Data',
+      valueColumn: 'Valor',
+      descriptionColumn: 'Histórico',
+      dateFormat: 'YYYY-MM-DD',
+      decimalSeparator: '.',
+      positiveIsDebit: 'true',
+      extra: 'ignore',
+    });
+
+    expect(result).toEqual({
+      name: 'Banco X',
+      delimiter: ';',
+      dateColumn: 'Data',
+      valueColumn: 'Valor',
+      descriptionColumn: 'Histórico',
+      dateFormat: 'YYYY-MM-DD',
+      decimalSeparator: '.',
+      positiveIsDebit: true,
+    });
+  });
+
+  test('applies defaults', () => {
+    const result = importMappingPrototype({ name: 'Banco X', delimiter: '' });
+
+    expect(result.delimiter).toBeUndefined();
+    expect(result.dateFormat).toBe('DD/MM/YYYY');
+    expect(result.decimalSeparator).toBe(',');
+    expect(result.positiveIsDebit).toBe(false);
+  });
+});
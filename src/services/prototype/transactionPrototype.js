@@ -1,5 +1,16 @@
 import { paymentMethodAdapter } from './paymenthMethodAdapter.js';
-import { normalizeMonetaryValue } from '../../infrastructure/monetary/monetaryUtils.js';
+import {
+  formatMonetaryCents,
+  toMonetaryCents,
+} from '../../infrastructure/monetary/monetaryUtils.js';
+import { normalizeCurrencyCode } from '../../infrastructure/monetary/currencyUtils.js';
+
+// API numbers are reais, while the model reads numbers as stored cents; the
+// text keeps the sign, and values that are not money are left to validation
+const monetaryText = (value) => {
+  const cents = toMonetaryCents(typeof value === 'number' ? value * 100 : value);
+  return Number.isNaN(cents) ? value : formatMonetaryCents(cents);
+};
 
 export function transactionPrototype(body) {
   body = JSON.parse(JSON.stringify(body));
@@ -9,6 +20,8 @@ export function transactionPrototype(body) {
     transactionSource,
     transactionValue,
     totalValue, // deprecated field
+    originalCurrency,
+    originalValue,
     transactionName,
     itemName, // deprecated field
     transactionInstallments, // deprecated field
@@ -29,21 +42,41 @@ export function transactionPrototype(body) {
     companyCnpj,
     companyId,
     fiscalBookId,
+    accountId,
   } = body;
 
   // Normalize monetary values to comma format
   const rawValue = transactionValue || totalValue;
-  const normalizedTransactionValue = rawValue ? normalizeMonetaryValue(rawValue) : undefined;
-  const normalizedFreightValue = freightValue ? normalizeMonetaryValue(freightValue) : undefined;
+  const normalizedTransactionValue = rawValue ? monetaryText(rawValue) : undefined;
+  const normalizedFreightValue = freightValue ? monetaryText(freightValue) : undefined;
+  const normalizedOriginalValue = originalValue ? monetaryText(originalValue) : undefined;
+  const normalizedItems = Array.isArray(items)
+    ? items.map((item) => ({ ...item, itemValue: monetaryText(item.itemValue) }))
+    : items;
+  const normalizedInstallments = Array.isArray(
+    installments?.installmentsInformation
+  )
+    ? {
+        ...installments,
+        installmentsInformation: installments.installmentsInformation.map(
+          (installment) => ({
+            ...installment,
+            installmentValue: monetaryText(installment.installmentValue),
+          })
+        ),
+      }
+    : installments;
 
   return {
     transactionDate,
     transactionPeriod,
     transactionSource,
     transactionValue: normalizedTransactionValue,
+    originalCurrency: normalizeCurrencyCode(originalCurrency) || undefined,
+    originalValue: normalizedOriginalValue,
     transactionName: transactionName ? transactionName : itemName,
     transactionInstallments,
-    installments,
+    installments: normalizedInstallments,
     transactionDescription: transactionDescription
       ? transactionDescription
       : itemDescription,
@@ -55,11 +88,12 @@ export function transactionPrototype(body) {
     transactionCategory,
     freightValue: normalizedFreightValue,
     paymentMethod: paymentMethod || paymentMethodAdapter(body),
-    items,
+    items: normalizedItems,
     companyName,
     companySellerName,
     companyCnpj,
     companyId,
     fiscalBookId,
+    accountId,
   };
 }
@@ -59,6 +59,22 @@ describe('transactionPrototype', () => {
     expect(result.freightValue).toBe('15,50');
   });
 
+  test('keeps the sign of negative values', () => {
+    const result = transactionPrototype({
+      transactionValue: '-10,50',
+      freightValue: 'R$ -1.500,00',
+      items: [{ itemValue: -2.5 }],
+    });
+
+    expect(result.transactionValue).toBe('-10,50');
+    expect(result.freightValue).toBe('-1500,00');
+    expect(result.items).toEqual([{ itemValue: '-2,50' }]);
+  });
+
+  test('leaves values that are not money to validation', () => {
+    expect(transactionPrototype({ transactionValue: 'abc' }).transactionValue).toBe('abc');
+  });
+
   test('handles missing transactionValue and totalValue (undefined values)', () => {
     const result = transactionPrototype({
       transactionName: 'Free Item',
@@ -67,4 +83,36 @@ describe('transactionPrototype', () => {
     expect(result.transactionValue).toBeUndefined();
     expect(result.freightValue).toBeUndefined();
   });
+
+  test('turns numeric item and installment values into monetary text', () => {
+    const result = transactionPrototype({
+      items: [{ itemName: 'A', itemValue: 10.5 }, { itemValue: '3,00' }],
+      installments: {
+        installmentsAmount: '2',
+        installmentsInformation: [{ installmentValue: 7 }],
+      },
+    });
+
+    expect(result.items).toEqual([
+      { itemName: 'A', itemValue: '10,50' },
+      { itemValue: '3,00' },
+    ]);
+    expect(result.installments).toEqual({
+      installmentsAmount: '2',
+      installmentsInformation: [{ installmentValue: '7,00' }],
+    });
+  });
+
+  test('normalizes the original currency and value', () => {
+    const result = transactionPrototype({
+      transactionValue: '52,00',
+      originalCurrency: 'usd',
+      originalValue: '10.00',
+    });
+
+    expect(result.originalCurrency).toBe('USD');
+    expect(result.originalValue).toBe('10,00');
+    expect(transactionPrototype({}).originalCurrency).toBeUndefined();
+    expect(transactionPrototype({}).originalValue).toBeUndefined();
+  });
 });
@@ -0,0 +1,25 @@
+// Error of every write refused on a reconciled transaction
+export const RECONCILED_TRANSACTION_ERROR =
+  'Transaction is reconciled: undo the reconciliation before changing it';
+
+/**
+ * Check whether a reconciliation locks a transaction
+ * Reconciled transactions are locked until the reconciliation is undone:
+ * writes on a single transaction are refused and batch writes skip them.
+ * @param {Object} transaction - Transaction document
+ * @returns {boolean} True when the transaction is reconciled
+ */
+export function isReconciled(transaction) {
+  return Boolean(transaction?.reconciliationId);
+}
+
+/**
+ * Refuse to change a reconciled transaction
+ * @param {Object} transaction - Transaction document
+ * @throws {Error} RECONCILED_TRANSACTION_ERROR when the transaction is reconciled
+ */
+export function assertNotReconciled(transaction) {
+  if (isReconciled(transaction)) {
+    throw new Error(RECONCILED_TRANSACTION_ERROR);
+  }
+}
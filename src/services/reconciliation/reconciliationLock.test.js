@@ -0,0 +1,21 @@
+import {
+  RECONCILED_TRANSACTION_ERROR,
+  assertNotReconciled,
+  isReconciled,
+} from './reconciliationLock.js';
+
+describe('reconciliationLock', () => {
+  test('isReconciled checks the reconciliation of a transaction', () => {
+    expect(isReconciled({ reconciliationId: 'r1' })).toBe(true);
+    expect(isReconciled({ reconciliationId: null })).toBe(false);
+    expect(isReconciled({})).toBe(false);
+    expect(isReconciled(null)).toBe(false);
+  });
+
+  test('assertNotReconciled refuses reconciled transactions', () => {
+    expect(() => assertNotReconciled({ reconciliationId: 'r1' })).toThrow(
+      RECONCILED_TRANSACTION_ERROR
+    );
+    expect(() => assertNotReconciled({ id: 't1' })).not.toThrow();
+  });
+});
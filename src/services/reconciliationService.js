@@ -0,0 +1,271 @@
+import mongoose from 'mongoose';
+import * as reconciliationRepository from '../repository/reconciliationRepository.js';
+import * as accountRepository from '../repository/accountRepository.js';
+import * as transactionRepository from '../repository/transactionRepository.js';
+import {
+  formatMonetaryCents,
+  toMonetaryCents,
+} from '../infrastructure/monetary/monetaryUtils.js';
+import { parseAccountDate } from '../infrastructure/validators/accountValidator.js';
+import validator, {
+  statementBalanceToCents,
+} from '../infrastructure/validators/reconciliationValidator.js';
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+const toReais = (cents) => (cents || 0) / 100;
+
+/**
+ * Signed cents of a transaction: credits add, debits subtract
+ * @param {Object} transaction - Transaction
+ * @returns {number} Cents
+ */
+function signedCents(transaction) {
+  const value = Math.abs(toMonetaryCents(transaction.transactionValue) || 0);
+  return transaction.transactionType === 'credit' ? value : -value;
+}
+
+/**
+ * Check the result of a validation, throwing on invalid data
+ * @param {Object} validation - Validation result
+ */
+function assertValid(validation) {
+  if (!validation.isValid) {
+    throw new Error(
+      `Invalid reconciliation data: ${validation.errors.join(', ')}`
+    );
+  }
+}
+
+/**
+ * Find an account or throw
+ * @param {string} id - Account ID
+ * @returns {Promise<Object>} Account
+ */
+async function findAccount(id) {
+  const account = await accountRepository.findById(id);
+  if (!account) {
+    throw new Error('Account not found');
+  }
+  return account;
+}
+
+/**
+ * Find a reconciliation or throw
+ * @param {string} id - Reconciliation ID
+ * @returns {Promise<Object>} Reconciliation
+ */
+async function findReconciliation(id) {
+  const reconciliation = await reconciliationRepository.findById(id);
+  if (!reconciliation) {
+    throw new Error('Reconciliation not found');
+  }
+  return reconciliation;
+}
+
+/**
+ * Compare an account with a statement
+ * The reconciled balance is the opening balance plus the transactions
+ * already reconciled up to the statement date; every other transaction of
+ * that period is still open.
+ * @param {Object} statementData - accountId, statementDate and statementBalance
+ * @returns {Promise<Object>} Account, statement date and cents, reconciled cents and open transactions
+ */
+async function compareStatement(statementData) {
+  const account = await findAccount(statementData.accountId);
+  const statementDate = parseAccountDate(
+    statementData.statementDate,
+    '23:59:59'
+  );
+  if (account.openingDate && statementDate < account.openingDate) {
+    throw new Error(
+      'Invalid reconciliation data: statement date is before the account opening date'
+    );
+  }
+
+  const range = { startDate: account.openingDate, endDate: statementDate };
+  const reconciled = await transactionRepository.sumByAccount(account.id, {
+    ...range,
+    reconciled: true,
+  });
+  const unreconciled = await transactionRepository.findByAccount(account.id, {
+    ...range,
+    reconciled: false,
+  });
+
+  return {
+    account,
+    statementDate,
+    statementCents: statementBalanceToCents(statementData.statementBalance),
+    reconciledCents:
+      (toMonetaryCents(account.openingBalance) || 0) +
+      reconciled.credit -
+      reconciled.debit,
+    unreconciled,
+  };
+}
+
+/**
+ * Show what is left to reconcile an account against a statement
+ * @param {Object} statementData - Statement
+ * @param {string} statementData.accountId - Account ID
+ * @param {string} statementData.statementDate - Last statement day (YYYY-MM-DD or DD/MM/YYYY)
+ * @param {string|number} statementData.statementBalance - Closing balance of the statement
+ * @returns {Promise<Object>} Balances in reais, the difference and the unreconciled transactions
+ */
+export async function previewReconciliation(statementData = {}) {
+  assertValid(validator.validateStatementData(statementData));
+  const { account, statementDate, statementCents, reconciledCents, unreconciled } =
+    await compareStatement(statementData);
+
+  const unreconciledCents = unreconciled.reduce(
+    (sum, transaction) => sum + signedCents(transaction),
+    0
+  );
+  const bookCents = reconciledCents + unreconciledCents;
+
+  return {
+    accountId: String(account.id),
+    accountName: account.accountName,
+    currency: account.currency,
+    statementDate,
+    statementBalance: toReais(statementCents),
+    reconciledBalance: toReais(reconciledCents),
+    unreconciledTotal: toReais(unreconciledCents),
+    bookBalance: toReais(bookCents),
+    difference: toReais(statementCents - bookCents),
+    unreconciledTransactions: unreconciled.map((transaction) => ({
+      transactionId: String(transaction.id),
+      transactionDate: transaction.transactionDate,
+      transactionName: transaction.transactionName,
+      transactionType: transaction.transactionType,
+      amount: toReais(signedCents(transaction)),
+    })),
+  };
+}
+
+/**
+ * Reconcile an account against a statement
+ * Marks the selected transactions (every unreconciled transaction up to the
+ * statement date by default) as reconciled, which locks them from edits.
+ * The statement balance must match the reconciled balance afterwards.
+ * @param {Object} reconciliationData - Statement plus reconciledBy and optional transactionIds
+ * @returns {Promise<Object>} Created reconciliation
+ */
+export async function reconcileStatement(reconciliationData = {}) {
+  assertValid(validator.validateReconciliationData(reconciliationData));
+  const { account, statementDate, statementCents, reconciledCents, unreconciled } =
+    await compareStatement(reconciliationData);
+
+  let selected = unreconciled;
+  if (reconciliationData.transactionIds) {
+    const openById = new Map(
+      unreconciled.map((transaction) => [String(transaction.id), transaction])
+    );
+    const ids = [...new Set(reconciliationData.transactionIds.map(String))];
+    const unknown = ids.filter((id) => !openById.has(id));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Invalid reconciliation data: ${unknown.join(', ')} not unreconciled in the account up to the statement date`
+      );
+    }
+    selected = ids.map((id) => openById.get(id));
+  }
+
+  const clearedCents =
+    reconciledCents +
+    selected.reduce((sum, transaction) => sum + signedCents(transaction), 0);
+  if (clearedCents !== statementCents) {
+    throw new Error(
+      `Invalid reconciliation data: statement balance ${formatMonetaryCents(statementCents)} does not match the reconciled balance ${formatMonetaryCents(clearedCents)}`
+    );
+  }
+
+  const transactionIds = selected.map((transaction) => String(transaction.id));
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    const reconciliation = await reconciliationRepository.insert(
+      {
+        accountId: account.id,
+        statementDate,
+        statementBalance: statementCents,
+        reconciledBy: String(reconciliationData.reconciledBy).trim(),
+        transactionIds,
+      },
+      session
+    );
+    await transactionRepository.markReconciled(
+      transactionIds,
+      reconciliation.id,
+      session
+    );
+    await session.commitTransaction();
+    return reconciliation;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * List reconciliations, latest statement first
+ * @param {Object} filter - Filter
+ * @param {string} filter.accountId - Only the reconciliations of this account
+ * @returns {Promise<Array>} Reconciliations
+ */
+export async function getReconciliations({ accountId } = {}) {
+  if (!accountId) {
+    return await reconciliationRepository.findAll();
+  }
+  if (!OBJECT_ID_PATTERN.test(String(accountId))) {
+    throw new Error('Invalid reconciliation data: Account must be a valid id');
+  }
+  return await reconciliationRepository.findAll({ accountId });
+}
+
+/**
+ * Get a reconciliation by ID
+ * @param {string} id - Reconciliation ID
+ * @returns {Promise<Object>} Reconciliation
+ */
+export async function getReconciliationById(id) {
+  return await findReconciliation(id);
+}
+
+/**
+ * Undo the latest reconciliation of an account, unlocking its transactions
+ * Older reconciliations stay, since later ones build on their balance.
+ * @param {string} id - Reconciliation ID
+ * @returns {Promise<Object>} Deleted reconciliation
+ */
+export async function undoReconciliation(id) {
+  const reconciliation = await findReconciliation(id);
+  const [latest] = await reconciliationRepository.findAll({
+    accountId: reconciliation.accountId,
+  });
+  if (String(latest.id) !== String(reconciliation.id)) {
+    throw new Error(
+      'Only the latest reconciliation of an account can be undone'
+    );
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    await transactionRepository.unmarkReconciled(reconciliation.id, session);
+    const deleted = await reconciliationRepository.deleteById(
+      reconciliation.id,
+      session
+    );
+    await session.commitTransaction();
+    return deleted;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
@@ -0,0 +1,305 @@
+import { jest } from '@jest/globals';
+
+const reconciliationRepository = {
+  insert: jest.fn(),
+  findAll: jest.fn(),
+  findById: jest.fn(),
+  deleteById: jest.fn(),
+};
+const accountRepository = { findById: jest.fn() };
+const transactionRepository = {
+  sumByAccount: jest.fn(),
+  findByAccount: jest.fn(),
+  markReconciled: jest.fn(),
+  unmarkReconciled: jest.fn(),
+};
+const startSession = jest.fn();
+
+jest.unstable_mockModule('mongoose', () => ({
+  default: { startSession },
+}));
+
+jest.unstable_mockModule('../repository/reconciliationRepository.js', () => ({
+  ...reconciliationRepository,
+}));
+
+jest.unstable_mockModule('../repository/accountRepository.js', () => ({
+  ...accountRepository,
+}));
+
+jest.unstable_mockModule('../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+
+const {
+  previewReconciliation,
+  reconcileStatement,
+  getReconciliations,
+  getReconciliationById,
+  undoReconciliation,
+} = await import('./reconciliationService.js');
+
+const accountId = '507f1f77bcf86cd799439011';
+const salaryId = '507f1f77bcf86cd799439012';
+const marketId = '507f1f77bcf86cd799439013';
+const openingDate = new Date('2024-01-01T00:00:00-04:00');
+const statementDate = new Date('2024-01-31T23:59:59-04:00');
+const account = {
+  id: accountId,
+  accountName: 'Nubank',
+  currency: 'BRL',
+  openingBalance: '1000,00',
+  openingDate,
+};
+const salary = {
+  id: salaryId,
+  transactionDate: new Date('2024-01-05T12:00:00-04:00'),
+  transactionName: 'Salary',
+  transactionType: 'credit',
+  transactionValue: '500,00',
+};
+const market = {
+  id: marketId,
+  transactionDate: new Date('2024-01-06T12:00:00-04:00'),
+  transactionName: 'Market',
+  transactionType: 'debit',
+  transactionValue: '-120,00',
+};
+const statement = {
+  accountId,
+  statementDate: '2024-01-31',
+  statementBalance: '1.380,00',
+};
+
+describe('reconciliationService', () => {
+  let session;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn(),
+    };
+    startSession.mockResolvedValue(session);
+    accountRepository.findById.mockResolvedValue(account);
+    transactionRepository.sumByAccount.mockResolvedValue({
+      credit: 0,
+      debit: 0,
+      count: 0,
+    });
+    transactionRepository.findByAccount.mockResolvedValue([salary, market]);
+    reconciliationRepository.insert.mockImplementation(async (data) => ({
+      id: 'r1',
+      ...data,
+    }));
+  });
+
+  test('previewReconciliation lists open transactions and the difference', async () => {
+    const result = await previewReconciliation({
+      ...statement,
+      statementBalance: 1400,
+    });
+
+    expect(transactionRepository.sumByAccount).toHaveBeenCalledWith(accountId, {
+      startDate: openingDate,
+      endDate: statementDate,
+      reconciled: true,
+    });
+    expect(transactionRepository.findByAccount).toHaveBeenCalledWith(
+      accountId,
+      { startDate: openingDate, endDate: statementDate, reconciled: false }
+    );
+    expect(result).toEqual({
+      accountId,
+      accountName: 'Nubank',
+      currency: 'BRL',
+      statementDate,
+      statementBalance: 1400,
+      reconciledBalance: 1000,
+      unreconciledTotal: 380,
+      bookBalance: 1380,
+      difference: 20,
+      unreconciledTransactions: [
+        {
+          transactionId: salaryId,
+          transactionDate: salary.transactionDate,
+          transactionName: 'Salary',
+          transactionType: 'credit',
+          amount: 500,
+        },
+        expect.objectContaining({ transactionId: marketId, amount: -120 }),
+      ],
+    });
+  });
+
+  test('previewReconciliation rejects invalid statements and unknown accounts', async () => {
+    await expect(previewReconciliation()).rejects.toThrow(
+      'Invalid reconciliation data: Account is required, Statement date is required, Statement balance is required'
+    );
+    await expect(
+      previewReconciliation({ ...statement, statementDate: '2023-12-31' })
+    ).rejects.toThrow(
+      'Invalid reconciliation data: statement date is before the account opening date'
+    );
+
+    accountRepository.findById.mockResolvedValue(null);
+    await expect(previewReconciliation(statement)).rejects.toThrow(
+      'Account not found'
+    );
+  });
+
+  test('reconcileStatement locks every open transaction when the balance matches', async () => {
+    const result = await reconcileStatement({
+      ...statement,
+      reconciledBy: ' Ana ',
+    });
+
+    expect(reconciliationRepository.insert).toHaveBeenCalledWith(
+      {
+        accountId,
+        statementDate,
+        statementBalance: 138000,
+        reconciledBy: 'Ana',
+        transactionIds: [salaryId, marketId],
+      },
+      session
+    );
+    expect(transactionRepository.markReconciled).toHaveBeenCalledWith(
+      [salaryId, marketId],
+      'r1',
+      session
+    );
+    expect(session.commitTransaction).toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+    expect(result.id).toBe('r1');
+  });
+
+  test('reconcileStatement reconciles a selection on top of reconciled transactions', async () => {
+    transactionRepository.sumByAccount.mockResolvedValue({
+      credit: 20000,
+      debit: 0,
+      count: 1,
+    });
+
+    await reconcileStatement({
+      ...statement,
+      statementBalance: 1080,
+      reconciledBy: 'Ana',
+      transactionIds: [marketId, marketId],
+    });
+
+    expect(transactionRepository.markReconciled).toHaveBeenCalledWith(
+      [marketId],
+      'r1',
+      session
+    );
+  });
+
+  test('reconcileStatement refuses differences and foreign transactions', async () => {
+    await expect(
+      reconcileStatement({
+        ...statement,
+        statementBalance: '1.400,00',
+        reconciledBy: 'Ana',
+      })
+    ).rejects.toThrow(
+      'Invalid reconciliation data: statement balance 1400,00 does not match the reconciled balance 1380,00'
+    );
+    await expect(
+      reconcileStatement({
+        ...statement,
+        reconciledBy: 'Ana',
+        transactionIds: ['507f1f77bcf86cd799439099'],
+      })
+    ).rejects.toThrow(
+      'Invalid reconciliation data: 507f1f77bcf86cd799439099 not unreconciled in the account up to the statement date'
+    );
+    await expect(reconcileStatement(statement)).rejects.toThrow(
+      'Invalid reconciliation data: reconciledBy is required'
+    );
+    expect(startSession).not.toHaveBeenCalled();
+  });
+
+  test('reconcileStatement aborts when locking fails', async () => {
+    transactionRepository.markReconciled.mockRejectedValueOnce(
+      new Error('An error occurred while reconciling transactions.')
+    );
+
+    await expect(
+      reconcileStatement({ ...statement, reconciledBy: 'Ana' })
+    ).rejects.toThrow('An error occurred while reconciling transactions.');
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  test('getReconciliations filters by account', async () => {
+    reconciliationRepository.findAll.mockResolvedValue([{ id: 'r1' }]);
+
+    await expect(getReconciliations()).resolves.toEqual([{ id: 'r1' }]);
+    await getReconciliations({ accountId });
+
+    expect(reconciliationRepository.findAll).toHaveBeenNthCalledWith(1);
+    expect(reconciliationRepository.findAll).toHaveBeenNthCalledWith(2, {
+      accountId,
+    });
+    await expect(getReconciliations({ accountId: 'nubank' })).rejects.toThrow(
+      'Invalid reconciliation data: Account must be a valid id'
+    );
+  });
+
+  test('getReconciliationById returns the reconciliation or throws', async () => {
+    reconciliationRepository.findById
+      .mockResolvedValueOnce({ id: 'r1' })
+      .mockResolvedValueOnce(null);
+
+    await expect(getReconciliationById('r1')).resolves.toEqual({ id: 'r1' });
+    await expect(getReconciliationById('r2')).rejects.toThrow(
+      'Reconciliation not found'
+    );
+  });
+
+  test('undoReconciliation unlocks the transactions of the latest reconciliation', async () => {
+    reconciliationRepository.findById.mockResolvedValue({ id: 'r2', accountId });
+    reconciliationRepository.findAll.mockResolvedValue([
+      { id: 'r2' },
+      { id: 'r1' },
+    ]);
+    reconciliationRepository.deleteById.mockResolvedValue({ id: 'r2' });
+
+    await expect(undoReconciliation('r2')).resolves.toEqual({ id: 'r2' });
+
+    expect(reconciliationRepository.findAll).toHaveBeenCalledWith({ accountId });
+    expect(transactionRepository.unmarkReconciled).toHaveBeenCalledWith(
+      'r2',
+      session
+    );
+    expect(reconciliationRepository.deleteById).toHaveBeenCalledWith(
+      'r2',
+      session
+    );
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+
+  test('undoReconciliation refuses older reconciliations and aborts on errors', async () => {
+    reconciliationRepository.findById.mockResolvedValue({ id: 'r1', accountId });
+    reconciliationRepository.findAll.mockResolvedValue([
+      { id: 'r2' },
+      { id: 'r1' },
+    ]);
+
+    await expect(undoReconciliation('r1')).rejects.toThrow(
+      'Only the latest reconciliation of an account can be undone'
+    );
+    expect(startSession).not.toHaveBeenCalled();
+
+    reconciliationRepository.findAll.mockResolvedValue([{ id: 'r1' }]);
+    transactionRepository.unmarkReconciled.mockRejectedValueOnce(
+      new Error('db')
+    );
+    await expect(undoReconciliation('r1')).rejects.toThrow('db');
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,122 @@
+import { toMonetaryCents } from '../../infrastructure/monetary/monetaryUtils.js';
+import { merchantKey } from '../installment/installmentLinking.js';
+
+export const DEFAULT_REFUND_DAYS = 60;
+
+// Purchases suggested for each refund, best first
+export const MAX_REFUND_CANDIDATES = 3;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Words statements add to the merchant name of a refund
+const REFUND_WORDS =
+  /\b(estorno|estornado|reembolso|devolucao|cancelamento|chargeback|refund)\b/g;
+
+const valueInCents = (transaction) =>
+  Math.abs(toMonetaryCents(transaction.transactionValue) || 0);
+
+/**
+ * Merchant of a purchase or refund, without refund wording
+ * @param {Object} transaction - Transaction
+ * @returns {string} Normalized merchant
+ */
+export function refundMerchantKey(transaction) {
+  return merchantKey(
+    transaction.transactionName || transaction.transactionDescription
+  )
+    .replace(REFUND_WORDS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Tell whether a refund comes from the merchant of a purchase
+ * The CNPJ decides when both have one; otherwise one merchant name must
+ * start with the other ("Loja" and "Loja Centro").
+ * @param {Object} refund - Credit transaction
+ * @param {Object} purchase - Debit transaction
+ * @returns {boolean} True for the same merchant
+ */
+export function isSameMerchant(refund, purchase) {
+  if (refund.companyCnpj && purchase.companyCnpj) {
+    return refund.companyCnpj === purchase.companyCnpj;
+  }
+  const refundMerchant = refundMerchantKey(refund);
+  const purchaseMerchant = refundMerchantKey(purchase);
+  if (!refundMerchant || !purchaseMerchant) {
+    return false;
+  }
+  return (
+    refundMerchant.startsWith(purchaseMerchant) ||
+    purchaseMerchant.startsWith(refundMerchant)
+  );
+}
+
+/**
+ * Score a possible refund of a purchase
+ * Refunds of the whole remaining value score above partial ones; closer
+ * dates score higher.
+ * @param {number} daysApart - Days from the purchase to the refund
+ * @param {number} maxDays - Largest accepted distance in days
+ * @param {boolean} isFull - True when the refund settles the purchase
+ * @returns {number} Score from 0 to 1
+ */
+function scoreRefund(daysApart, maxDays, isFull) {
+  const dateScore = 1 - daysApart / (maxDays + 1);
+  const valueScore = isFull ? 1 : 0.5;
+  return Math.round((valueScore * 0.6 + dateScore * 0.4) * 100) / 100;
+}
+
+/**
+ * Suggest the purchases that unlinked refunds may reverse
+ * A credit may refund a debit of the same merchant made at most `maxDays`
+ * before it, as long as the debit still has that much value left to refund.
+ * Each refund lists its best MAX_REFUND_CANDIDATES purchases; refunds without
+ * candidates are left out.
+ * @param {Array<Object>} refunds - Unlinked credits
+ * @param {Array<Object>} purchases - Debits that may be refunded
+ * @param {Object} options - Matching options
+ * @param {number} options.maxDays - Maximum days from purchase to refund (default 60)
+ * @param {Map<string, number>} options.refundedCents - Cents already refunded per purchase ID
+ * @returns {Array<Object>} Suggestions with refund and candidates ({purchase, daysApart, refundType, score})
+ */
+export function suggestRefundLinks(refunds = [], purchases = [], options = {}) {
+  const { maxDays = DEFAULT_REFUND_DAYS, refundedCents = new Map() } = options;
+
+  return refunds
+    .filter((refund) => valueInCents(refund) > 0)
+    .map((refund) => {
+      const refundValue = valueInCents(refund);
+      const candidates = [];
+      purchases.forEach((purchase) => {
+        const remaining =
+          valueInCents(purchase) - (refundedCents.get(String(purchase.id)) || 0);
+        const daysApart = Math.round(
+          (new Date(refund.transactionDate) -
+            new Date(purchase.transactionDate)) /
+            DAY_IN_MS
+        );
+        if (
+          refundValue > remaining ||
+          !(daysApart >= 0 && daysApart <= maxDays) ||
+          !isSameMerchant(refund, purchase)
+        ) {
+          return;
+        }
+        const isFull = refundValue === remaining;
+        candidates.push({
+          purchase,
+          daysApart,
+          refundType: isFull ? 'full' : 'partial',
+          score: scoreRefund(daysApart, maxDays, isFull),
+        });
+      });
+
+      candidates.sort((a, b) => b.score - a.score || a.daysApart - b.daysApart);
+      return {
+        refund,
+        candidates: candidates.slice(0, MAX_REFUND_CANDIDATES),
+      };
+    })
+    .filter(({ candidates }) => candidates.length > 0);
+}
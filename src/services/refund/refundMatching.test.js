@@ -0,0 +1,110 @@
+import {
+  DEFAULT_REFUND_DAYS,
+  MAX_REFUND_CANDIDATES,
+  isSameMerchant,
+  refundMerchantKey,
+  suggestRefundLinks,
+} from './refundMatching.js';
+
+const at = (date) => new Date(`${date}T12:00:00-04:00`);
+
+const purchase = (id, date, value = '-200,00', overrides = {}) => ({
+  id,
+  transactionType: 'debit',
+  transactionName: 'Loja Centro',
+  transactionDate: at(date),
+  transactionValue: value,
+  ...overrides,
+});
+const refund = (id, date, value = '200,00', overrides = {}) => ({
+  id,
+  transactionType: 'credit',
+  transactionName: 'Estorno - Loja',
+  transactionDate: at(date),
+  transactionValue: value,
+  ...overrides,
+});
+
+describe('refundMatching', () => {
+  test('refundMerchantKey drops refund wording', () => {
+    expect(refundMerchantKey(refund('r1', '2024-03-20'))).toBe('loja');
+    expect(
+      refundMerchantKey({ transactionDescription: 'Devolução Mercado X' })
+    ).toBe('mercado x');
+    expect(refundMerchantKey({})).toBe('');
+  });
+
+  test('isSameMerchant prefers the CNPJ and falls back to the name', () => {
+    expect(isSameMerchant(refund('r1', '2024-03-20'), purchase('p1', '2024-03-10')))
+      .toBe(true);
+    expect(
+      isSameMerchant(
+        refund('r1', '2024-03-20', '1,00', { companyCnpj: '1' }),
+        purchase('p1', '2024-03-10', '-1,00', { companyCnpj: '2' })
+      )
+    ).toBe(false);
+    expect(
+      isSameMerchant(
+        refund('r1', '2024-03-20', '1,00', { transactionName: 'Estorno' }),
+        purchase('p1', '2024-03-10')
+      )
+    ).toBe(false);
+    expect(
+      isSameMerchant(
+        refund('r1', '2024-03-20', '1,00', { transactionName: 'Farmacia' }),
+        purchase('p1', '2024-03-10')
+      )
+    ).toBe(false);
+  });
+
+  test('suggests full refunds first, then closer partial ones', () => {
+    const full = purchase('p1', '2024-03-01');
+    const partial = purchase('p2', '2024-03-18', '-500,00');
+    const [suggestion] = suggestRefundLinks(
+      [refund('r1', '2024-03-20')],
+      [full, partial]
+    );
+
+    expect(suggestion.candidates).toEqual([
+      { purchase: full, daysApart: 19, refundType: 'full', score: 0.88 },
+      { purchase: partial, daysApart: 2, refundType: 'partial', score: 0.69 },
+    ]);
+    expect(DEFAULT_REFUND_DAYS).toBe(60);
+  });
+
+  test('skips refunded, later, distant, other merchant and zero value pairs', () => {
+    const purchases = [
+      purchase('p1', '2024-03-10'),
+      purchase('p2', '2024-03-25'),
+      purchase('p3', '2023-12-01'),
+      purchase('p4', '2024-03-10', '-200,00', { transactionName: 'Farmacia' }),
+    ];
+
+    expect(
+      suggestRefundLinks(
+        [refund('r1', '2024-03-20'), refund('r2', '2024-03-20', '0,00')],
+        purchases,
+        { refundedCents: new Map([['p1', 100]]) }
+      )
+    ).toEqual([]);
+    expect(suggestRefundLinks()).toEqual([]);
+  });
+
+  test('keeps the best candidates only', () => {
+    const purchases = Array.from({ length: MAX_REFUND_CANDIDATES + 1 }, (_, i) =>
+      purchase(`p${i}`, `2024-03-1${i}`)
+    );
+
+    const [suggestion] = suggestRefundLinks(
+      [refund('r1', '2024-03-20')],
+      purchases,
+      { maxDays: 30 }
+    );
+
+    expect(suggestion.candidates.map(({ purchase: p }) => p.id)).toEqual([
+      'p3',
+      'p2',
+      'p1',
+    ]);
+  });
+});
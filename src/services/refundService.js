@@ -0,0 +1,379 @@
+import mongoose from 'mongoose';
+import * as transactionRepository from '../repository/transactionRepository.js';
+import {
+  formatMonetaryCents,
+  toMonetaryCents,
+} from '../infrastructure/monetary/monetaryUtils.js';
+import { convertDateToJsDate } from '../infrastructure/date/index.js';
+import { isValidPeriod } from '../infrastructure/validators/periodValidator.js';
+import { splitValueToCents } from '../infrastructure/validators/transactionSplitValidator.js';
+import {
+  isValidRefundDays,
+  validateRefundLink,
+} from '../infrastructure/validators/refundValidator.js';
+import {
+  DEFAULT_REFUND_DAYS,
+  suggestRefundLinks,
+} from './refund/refundMatching.js';
+import {
+  assertNotReconciled,
+  isReconciled,
+} from './reconciliation/reconciliationLock.js';
+import { recordChange } from './auditService.js';
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const valueInCents = (transaction) =>
+  Math.abs(toMonetaryCents(transaction.transactionValue) || 0);
+
+/**
+ * Check a refund period, throwing on invalid values
+ * @param {string} period - Period (YYYY-MM)
+ */
+function assertPeriod(period) {
+  if (!isValidPeriod(period)) {
+    throw new Error('Invalid refund period: expected YYYY-MM');
+  }
+}
+
+/**
+ * First instants of a period and of the month after it
+ * @param {string} period - Period (YYYY-MM)
+ * @returns {{start: Date, end: Date}} Period start (inclusive) and end (exclusive)
+ */
+function periodBounds(period) {
+  const [year, month] = period.split('-').map(Number);
+  const next = month === 12 ? [year + 1, 1] : [year, month + 1];
+  const firstDay = (y, m) =>
+    convertDateToJsDate(`01/${String(m).padStart(2, '0')}/${y}`, '00:00:00');
+  return { start: firstDay(year, month), end: firstDay(...next) };
+}
+
+/**
+ * Sum the refunds linked to each purchase
+ * @param {Array<Object>} refunds - Linked refunds
+ * @returns {Map<string, number>} Refunded cents per purchase ID
+ */
+function refundedByPurchase(refunds) {
+  const totals = new Map();
+  refunds.forEach((refund) => {
+    const purchaseId = String(refund.refundOfId);
+    totals.set(purchaseId, (totals.get(purchaseId) || 0) + valueInCents(refund));
+  });
+  return totals;
+}
+
+/**
+ * Describe how much of a purchase was refunded
+ * @param {Object} purchase - Purchase transaction
+ * @param {Array<Object>} refunds - Refunds linked to it
+ * @returns {Object} Purchase, refunds, refunded and remaining values and refund status
+ */
+function refundSummary(purchase, refunds) {
+  const refunded = refunds.reduce(
+    (sum, refund) => sum + valueInCents(refund),
+    0
+  );
+  const purchaseValue = valueInCents(purchase);
+  let refundStatus = 'none';
+  if (refunded > 0) {
+    refundStatus = refunded >= purchaseValue ? 'full' : 'partial';
+  }
+  return {
+    purchase,
+    refunds,
+    refundedValue: formatMonetaryCents(refunded),
+    remainingValue: formatMonetaryCents(Math.max(purchaseValue - refunded, 0)),
+    refundStatus,
+  };
+}
+
+/**
+ * Suggest the purchases reversed by the unlinked credits of a period
+ * @param {string} period - Period of the refunds (YYYY-MM)
+ * @param {Object} options - Suggestion options
+ * @param {string|number} options.days - Maximum days from purchase to refund (default 60)
+ * @returns {Promise<Object>} Period, day window and suggestions per refund
+ */
+export async function suggestRefunds(period, options = {}) {
+  assertPeriod(period);
+  const { days = DEFAULT_REFUND_DAYS } = options;
+  if (!isValidRefundDays(days)) {
+    throw new Error('Invalid refund days: expected an integer from 0 to 365');
+  }
+
+  const { start, end } = periodBounds(period);
+  const transactions = await transactionRepository.findRefundCandidates({
+    period,
+    startDate: new Date(start.getTime() - Number(days) * DAY_IN_MS),
+    endDate: end,
+  });
+  const refunds = transactions.filter(
+    (transaction) => transaction.transactionType === 'credit'
+  );
+  const purchases = transactions.filter(
+    (transaction) => transaction.transactionType === 'debit'
+  );
+  const linked = await transactionRepository.findRefundsOf(
+    purchases.map((purchase) => purchase.id)
+  );
+
+  const suggestions = suggestRefundLinks(refunds, purchases, {
+    maxDays: Number(days),
+    refundedCents: refundedByPurchase(linked),
+  });
+
+  return { period, days: Number(days), suggestions };
+}
+
+/**
+ * List the linked refunds of a period with the purchase they reverse
+ * @param {string} period - Period of the refunds (YYYY-MM)
+ * @returns {Promise<Object>} Period and refunds with their purchase
+ */
+export async function getRefunds(period) {
+  assertPeriod(period);
+  const refunds = await transactionRepository.findRefundsInPeriod(period);
+
+  const purchases = new Map();
+  const result = [];
+  for (const refund of refunds) {
+    const purchaseId = String(refund.refundOfId);
+    if (!purchases.has(purchaseId)) {
+      purchases.set(
+        purchaseId,
+        await transactionRepository.findById(purchaseId)
+      );
+    }
+    result.push({ refund, purchase: purchases.get(purchaseId) });
+  }
+
+  return { period, refunds: result };
+}
+
+/**
+ * Get the refunds of a purchase
+ * @param {string} purchaseId - Purchase transaction ID
+ * @returns {Promise<Object>} Purchase, refunds, refunded and remaining values and refund status
+ */
+export async function getPurchaseRefunds(purchaseId) {
+  const purchase = await transactionRepository.findById(purchaseId);
+  if (!purchase) {
+    throw new Error('Transaction not found');
+  }
+  const refunds = await transactionRepository.findRefundsOf([purchaseId]);
+  return refundSummary(purchase, refunds);
+}
+
+/**
+ * Split a refund like the split purchase it reverses
+ * Each allocation takes the share of the refund that the matching purchase
+ * allocation has of the purchase; the last one takes the rounding remainder.
+ * @param {Object} purchase - Split purchase
+ * @param {Object} refund - Refund being linked
+ * @returns {Array<Object>} Refund allocations with splitCategory, splitValue (cents) and splitNote
+ */
+function proportionalSplits(purchase, refund) {
+  const shares = purchase.splits.map((split) => splitValueToCents(split.splitValue));
+  const total = shares.reduce((sum, cents) => sum + cents, 0);
+  const refundCents = valueInCents(refund);
+  let allocated = 0;
+
+  return purchase.splits
+    .map((split, index) => {
+      const cents =
+        index === purchase.splits.length - 1
+          ? refundCents - allocated
+          : Math.floor((refundCents * shares[index]) / total);
+      allocated += cents;
+      return {
+        splitCategory: split.splitCategory,
+        splitValue: cents,
+        splitNote: split.splitNote,
+      };
+    })
+    .filter((split) => split.splitValue > 0);
+}
+
+/**
+ * Keep the category and splits a refund had before taking the purchase's
+ * @param {Object} refund - Refund being linked
+ * @returns {Object} Category and splits to restore when the refund is unlinked
+ */
+function refundOriginal(refund) {
+  return {
+    transactionCategory: refund.transactionCategory,
+    splits: (refund.splits ?? []).map(({ splitCategory, splitValue, splitNote }) => ({
+      splitCategory,
+      splitValue,
+      splitNote,
+    })),
+  };
+}
+
+/**
+ * Build the update unlinking a refund from its purchase
+ * The refund gets back the category and splits it had before the link;
+ * links made before they were kept lose the copied ones.
+ * @param {Object} refund - Linked refund
+ * @returns {Object} Refund update
+ */
+export function unlinkedRefundUpdate(refund) {
+  const original = refund.refundOriginal ?? {};
+  const update = {
+    $unset: { refundOfId: '', refundOriginal: '' },
+    splits: original.splits ?? [],
+  };
+  if (original.transactionCategory) {
+    update.transactionCategory = original.transactionCategory;
+  } else {
+    update.$unset.transactionCategory = '';
+  }
+  return update;
+}
+
+/**
+ * Record the link changes of a refund and its purchase
+ * @param {Array<Array<Object>>} changes - Pairs of transaction states before and after
+ * @param {Object} audit - Audit context of the change (actor, originDetail)
+ */
+async function recordLinkChanges(changes, audit) {
+  for (const [before, after] of changes) {
+    await recordChange({
+      documentType: 'transaction',
+      documentId: before.id,
+      before,
+      after,
+      ...audit,
+      origin: 'link',
+    });
+  }
+}
+
+/**
+ * Link a refund or chargeback to the purchase it reverses, fully or in part
+ * The refund takes the category of the purchase, or is split over the
+ * categories of a split purchase in proportion to its allocations, so reports
+ * net it against those categories' expenses instead of counting it as
+ * income; its own category and splits are kept in `refundOriginal` for the
+ * unlink. A purchase refunded in full is marked `refunded`, unless it is
+ * reconciled. A reconciled refund cannot be linked.
+ * Both transactions are updated in one MongoDB session.
+ * @param {Object} refundData - Refund data
+ * @param {string} refundData.refundId - Credit refunding the purchase
+ * @param {string} refundData.purchaseId - Debit being refunded
+ * @param {Object} audit - Audit context of the link (actor, originDetail)
+ * @returns {Promise<Object>} Refund summary of the purchase
+ */
+export async function linkRefund(refundData = {}, audit = {}) {
+  const { refundId, purchaseId } = refundData;
+  if (!refundId || !purchaseId) {
+    throw new Error('Invalid refund data: refundId and purchaseId are required');
+  }
+
+  const refund = await transactionRepository.findById(refundId);
+  const purchase = await transactionRepository.findById(purchaseId);
+  if (!refund || !purchase) {
+    throw new Error('Transaction not found');
+  }
+  assertNotReconciled(refund);
+
+  const existing = await transactionRepository.findRefundsOf([purchaseId]);
+  const refunded = existing.reduce((sum, item) => sum + valueInCents(item), 0);
+  const validation = validateRefundLink(purchase, refund, refunded);
+  if (!validation.isValid) {
+    throw new Error(`Invalid refund data: ${validation.errors.join(', ')}`);
+  }
+
+  const refundUpdate = {
+    refundOfId: purchaseId,
+    refundOriginal: refundOriginal(refund),
+  };
+  if (purchase.splits?.length) {
+    refundUpdate.splits = proportionalSplits(purchase, refund);
+  } else if (purchase.transactionCategory) {
+    refundUpdate.transactionCategory = purchase.transactionCategory;
+    if (refund.splits?.length) {
+      refundUpdate.splits = [];
+    }
+  }
+  const markRefunded =
+    refunded + valueInCents(refund) >= valueInCents(purchase) &&
+    !isReconciled(purchase);
+
+  let linkedRefund;
+  let updatedPurchase = purchase;
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    linkedRefund = await transactionRepository.updateById(
+      refundId,
+      refundUpdate,
+      session
+    );
+    if (markRefunded) {
+      updatedPurchase = await transactionRepository.updateById(
+        purchaseId,
+        { transactionStatus: 'refunded' },
+        session
+      );
+    }
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  await recordLinkChanges(
+    [
+      [refund, linkedRefund],
+      [purchase, updatedPurchase],
+    ],
+    audit
+  );
+  return refundSummary(updatedPurchase, [...existing, linkedRefund]);
+}
+
+/**
+ * Unlink a refund from its purchase
+ * The refund gets back its own category and splits. A purchase marked `refunded` goes back to `concluded` once its refunds
+ * no longer cover it, unless it is reconciled. A reconciled refund cannot be
+ * unlinked.
+ * @param {string} refundId - Refund transaction ID
+ * @param {Object} audit - Audit context of the unlink (actor, originDetail)
+ * @returns {Promise<Object>} Refund summary of the purchase
+ */
+export async function unlinkRefund(refundId, audit = {}) {
+  const refund = await transactionRepository.findById(refundId);
+  if (!refund?.refundOfId) {
+    throw new Error('Refund not found');
+  }
+  assertNotReconciled(refund);
+
+  const purchaseId = String(refund.refundOfId);
+  const unlinkedRefund = await transactionRepository.updateById(
+    refundId,
+    unlinkedRefundUpdate(refund)
+  );
+  await recordLinkChanges([[refund, unlinkedRefund]], audit);
+
+  const purchase = await transactionRepository.findById(purchaseId);
+  if (!purchase) {
+    return { purchase: null, refunds: [], refundStatus: 'none' };
+  }
+  const refunds = await transactionRepository.findRefundsOf([purchaseId]);
+  const summary = refundSummary(purchase, refunds);
+  if (
+    purchase.transactionStatus === 'refunded' &&
+    summary.refundStatus !== 'full' &&
+    !isReconciled(purchase)
+  ) {
+    summary.purchase = await transactionRepository.updateById(purchaseId, {
+      transactionStatus: 'concluded',
+    });
+    await recordLinkChanges([[purchase, summary.purchase]], audit);
+  }
+  return summary;
+}
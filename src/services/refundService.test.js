@@ -0,0 +1,458 @@
+import { jest } from '@jest/globals';
+
+const transactionRepository = {
+  findById: jest.fn(),
+  updateById: jest.fn(),
+  findRefundCandidates: jest.fn(),
+  findRefundsOf: jest.fn(),
+  findRefundsInPeriod: jest.fn(),
+};
+const startSession = jest.fn();
+const recordChange = jest.fn();
+
+jest.unstable_mockModule('mongoose', () => ({
+  default: { startSession },
+}));
+
+jest.unstable_mockModule('../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+
+jest.unstable_mockModule('./auditService.js', () => ({ recordChange }));
+
+const {
+  suggestRefunds,
+  getRefunds,
+  getPurchaseRefunds,
+  linkRefund,
+  unlinkRefund,
+} = await import('./refundService.js');
+
+const at = (date) => new Date(`${date}T12:00:00-04:00`);
+
+const purchase = {
+  id: 'p1',
+  transactionPeriod: '2024-02',
+  transactionDate: at('2024-02-20'),
+  transactionType: 'debit',
+  transactionName: 'Loja',
+  transactionValue: '-200,00',
+  transactionCategory: 'cat1',
+  transactionStatus: 'concluded',
+};
+const refund = {
+  id: 'r1',
+  transactionPeriod: '2024-03',
+  transactionDate: at('2024-03-05'),
+  transactionType: 'credit',
+  transactionName: 'Estorno Loja',
+  transactionValue: '50,00',
+};
+
+describe('refundService', () => {
+  let session;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn(),
+    };
+    startSession.mockResolvedValue(session);
+    transactionRepository.findById.mockImplementation(async (id) =>
+      ({ p1: purchase, r1: refund })[id] ?? null
+    );
+    transactionRepository.findRefundsOf.mockResolvedValue([]);
+  });
+
+  test('suggestRefunds looks back the day window from the period start', async () => {
+    transactionRepository.findRefundCandidates.mockResolvedValue([
+      purchase,
+      refund,
+    ]);
+    transactionRepository.findRefundsOf.mockResolvedValueOnce([
+      { refundOfId: 'p1', transactionValue: '150,00' },
+    ]);
+
+    const result = await suggestRefunds('2024-03', { days: '30' });
+
+    expect(transactionRepository.findRefundCandidates).toHaveBeenCalledWith({
+      period: '2024-03',
+      startDate: new Date('2024-01-31T04:00:00.000Z'),
+      endDate: new Date('2024-04-01T04:00:00.000Z'),
+    });
+    expect(transactionRepository.findRefundsOf).toHaveBeenCalledWith(['p1']);
+    expect(result).toEqual({
+      period: '2024-03',
+      days: 30,
+      suggestions: [
+        {
+          refund,
+          candidates: [
+            expect.objectContaining({ purchase, refundType: 'full' }),
+          ],
+        },
+      ],
+    });
+
+    transactionRepository.findRefundCandidates.mockResolvedValue([]);
+    await expect(suggestRefunds('2024-12')).resolves.toMatchObject({ days: 60 });
+    expect(
+      transactionRepository.findRefundCandidates
+    ).toHaveBeenLastCalledWith(
+      expect.objectContaining({ endDate: new Date('2025-01-01T04:00:00.000Z') })
+    );
+  });
+
+  test('suggestRefunds rejects invalid periods and day windows', async () => {
+    await expect(suggestRefunds('2024')).rejects.toThrow(
+      'Invalid refund period: expected YYYY-MM'
+    );
+    await expect(suggestRefunds('2024-03', { days: '400' })).rejects.toThrow(
+      'Invalid refund days: expected an integer from 0 to 365'
+    );
+  });
+
+  test('getRefunds pairs each refund with its purchase', async () => {
+    const second = { ...refund, id: 'r2', refundOfId: 'p1' };
+    transactionRepository.findRefundsInPeriod.mockResolvedValue([
+      { ...refund, refundOfId: 'p1' },
+      second,
+    ]);
+
+    const result = await getRefunds('2024-03');
+
+    expect(result.refunds).toHaveLength(2);
+    expect(result.refunds[1]).toEqual({ refund: second, purchase });
+    expect(transactionRepository.findById).toHaveBeenCalledTimes(1);
+    await expect(getRefunds('bad')).rejects.toThrow('Invalid refund period');
+  });
+
+  test('getPurchaseRefunds sums the refunded and remaining values', async () => {
+    transactionRepository.findRefundsOf.mockResolvedValue([
+      { ...refund, refundOfId: 'p1' },
+    ]);
+
+    await expect(getPurchaseRefunds('p1')).resolves.toEqual({
+      purchase,
+      refunds: [{ ...refund, refundOfId: 'p1' }],
+      refundedValue: '50,00',
+      remainingValue: '150,00',
+      refundStatus: 'partial',
+    });
+    transactionRepository.findRefundsOf.mockResolvedValueOnce([]);
+    await expect(getPurchaseRefunds('p1')).resolves.toMatchObject({
+      refundStatus: 'none',
+    });
+    await expect(getPurchaseRefunds('x')).rejects.toThrow(
+      'Transaction not found'
+    );
+  });
+
+  test('linkRefund copies the purchase category for a partial refund', async () => {
+    const linked = { ...refund, refundOfId: 'p1', transactionCategory: 'cat1' };
+    transactionRepository.updateById.mockResolvedValueOnce(linked);
+
+    const result = await linkRefund({ refundId: 'r1', purchaseId: 'p1' });
+
+    expect(transactionRepository.updateById).toHaveBeenCalledTimes(1);
+    expect(transactionRepository.updateById).toHaveBeenCalledWith(
+      'r1',
+      {
+        refundOfId: 'p1',
+        refundOriginal: { transactionCategory: undefined, splits: [] },
+        transactionCategory: 'cat1',
+      },
+      session
+    );
+    expect(session.commitTransaction).toHaveBeenCalled();
+    expect(result).toMatchObject({
+      purchase,
+      refunds: [linked],
+      refundStatus: 'partial',
+    });
+  });
+
+  test('linkRefund marks a fully refunded purchase and splits the refund like it', async () => {
+    const split = {
+      ...purchase,
+      splits: [
+        { splitCategory: 'c2', splitValue: '150,00', splitNote: 'Mercado' },
+        { splitCategory: 'c3', splitValue: '50,00' },
+      ],
+    };
+    transactionRepository.findById.mockImplementation(async (id) =>
+      ({ p1: split, r1: refund })[id]
+    );
+    transactionRepository.findRefundsOf.mockResolvedValueOnce([
+      { refundOfId: 'p1', transactionValue: '150,00' },
+    ]);
+    transactionRepository.updateById
+      .mockResolvedValueOnce({ ...refund, refundOfId: 'p1' })
+      .mockResolvedValueOnce({ ...split, transactionStatus: 'refunded' });
+
+    const result = await linkRefund(
+      { refundId: 'r1', purchaseId: 'p1' },
+      { actor: 'ana', origin: 'api', originDetail: 'POST /api/refund' }
+    );
+
+    expect(transactionRepository.updateById).toHaveBeenNthCalledWith(
+      1,
+      'r1',
+      {
+        refundOfId: 'p1',
+        refundOriginal: { transactionCategory: undefined, splits: [] },
+        splits: [
+          { splitCategory: 'c2', splitValue: 3750, splitNote: 'Mercado' },
+          { splitCategory: 'c3', splitValue: 1250, splitNote: undefined },
+        ],
+      },
+      session
+    );
+    expect(transactionRepository.updateById).toHaveBeenNthCalledWith(
+      2,
+      'p1',
+      { transactionStatus: 'refunded' },
+      session
+    );
+    expect(result).toMatchObject({
+      refundedValue: '200,00',
+      remainingValue: '0,00',
+      refundStatus: 'full',
+    });
+    expect(recordChange).toHaveBeenNthCalledWith(1, {
+      documentType: 'transaction',
+      documentId: 'r1',
+      before: refund,
+      after: { ...refund, refundOfId: 'p1' },
+      actor: 'ana',
+      origin: 'link',
+      originDetail: 'POST /api/refund',
+    });
+    expect(recordChange).toHaveBeenNthCalledWith(2, {
+      documentType: 'transaction',
+      documentId: 'p1',
+      before: split,
+      after: { ...split, transactionStatus: 'refunded' },
+      actor: 'ana',
+      origin: 'link',
+      originDetail: 'POST /api/refund',
+    });
+  });
+
+  test('linkRefund gives the rounding remainder to the last allocation', async () => {
+    const split = {
+      ...purchase,
+      transactionValue: '-3,00',
+      splits: ['c1', 'c2', 'c3'].map((splitCategory) => ({
+        splitCategory,
+        splitValue: '1,00',
+      })),
+    };
+    const refunds = {
+      r1: { ...refund, transactionValue: '0,10' },
+      r2: { ...refund, id: 'r2', transactionValue: '0,01' },
+    };
+    transactionRepository.findById.mockImplementation(
+      async (id) => ({ p1: split, ...refunds })[id]
+    );
+    transactionRepository.findRefundsOf.mockResolvedValue([]);
+    transactionRepository.updateById.mockResolvedValue({ ...refund, refundOfId: 'p1' });
+
+    await linkRefund({ refundId: 'r1', purchaseId: 'p1' });
+    await linkRefund({ refundId: 'r2', purchaseId: 'p1' });
+
+    const splitValues = (call) =>
+      transactionRepository.updateById.mock.calls[call][1].splits.map(
+        (allocation) => allocation.splitValue
+      );
+    expect(splitValues(0)).toEqual([3, 3, 4]);
+    expect(splitValues(1)).toEqual([1]);
+    expect(
+      transactionRepository.updateById.mock.calls[1][1].splits[0].splitCategory
+    ).toBe('c3');
+  });
+
+  test('refunds get back their own category and splits when unlinked', async () => {
+    const ownSplits = [
+      { splitCategory: 'c8', splitValue: '30,00', splitNote: 'Presente' },
+      { splitCategory: 'c9', splitValue: '20,00' },
+    ];
+    const categorized = { ...refund, transactionCategory: 'c7', splits: ownSplits };
+    transactionRepository.findById.mockImplementation(async (id) =>
+      ({ p1: purchase, r1: categorized })[id]
+    );
+    const linked = {
+      ...refund,
+      refundOfId: 'p1',
+      transactionCategory: 'cat1',
+      splits: [],
+      refundOriginal: { transactionCategory: 'c7', splits: ownSplits },
+    };
+    transactionRepository.updateById.mockResolvedValueOnce(linked);
+
+    await linkRefund({ refundId: 'r1', purchaseId: 'p1' });
+
+    expect(transactionRepository.updateById).toHaveBeenCalledWith(
+      'r1',
+      {
+        refundOfId: 'p1',
+        refundOriginal: {
+          transactionCategory: 'c7',
+          splits: [
+            { splitCategory: 'c8', splitValue: '30,00', splitNote: 'Presente' },
+            { splitCategory: 'c9', splitValue: '20,00', splitNote: undefined },
+          ],
+        },
+        transactionCategory: 'cat1',
+        splits: [],
+      },
+      session
+    );
+
+    transactionRepository.findById.mockImplementation(async (id) =>
+      ({ p1: purchase, r1: linked })[id]
+    );
+    transactionRepository.updateById.mockResolvedValueOnce(categorized);
+
+    await unlinkRefund('r1');
+
+    expect(transactionRepository.updateById).toHaveBeenLastCalledWith('r1', {
+      $unset: { refundOfId: '', refundOriginal: '' },
+      transactionCategory: 'c7',
+      splits: ownSplits,
+    });
+  });
+
+  test('linkRefund validates the request and the pair', async () => {
+    await expect(linkRefund({ refundId: 'r1' })).rejects.toThrow(
+      'Invalid refund data: refundId and purchaseId are required'
+    );
+    await expect(linkRefund()).rejects.toThrow('Invalid refund data');
+    await expect(
+      linkRefund({ refundId: 'r1', purchaseId: 'x' })
+    ).rejects.toThrow('Transaction not found');
+    await expect(
+      linkRefund({ refundId: 'p1', purchaseId: 'r1' })
+    ).rejects.toThrow(
+      'Invalid refund data: purchaseId must reference a debit transaction'
+    );
+    expect(startSession).not.toHaveBeenCalled();
+  });
+
+  test('linkRefund aborts the session when an update fails', async () => {
+    transactionRepository.updateById.mockRejectedValueOnce(new Error('boom'));
+
+    await expect(
+      linkRefund({ refundId: 'r1', purchaseId: 'p1' })
+    ).rejects.toThrow('boom');
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+    expect(recordChange).not.toHaveBeenCalled();
+  });
+
+  test('unlinkRefund reopens a purchase no longer fully refunded', async () => {
+    const refunded = { ...purchase, transactionStatus: 'refunded' };
+    transactionRepository.findById.mockImplementation(async (id) =>
+      ({ p1: refunded, r1: { ...refund, refundOfId: 'p1' } })[id]
+    );
+    transactionRepository.updateById
+      .mockResolvedValueOnce({ ...refund })
+      .mockResolvedValueOnce(purchase);
+
+    const result = await unlinkRefund('r1', { actor: 'ana' });
+
+    expect(transactionRepository.updateById).toHaveBeenNthCalledWith(1, 'r1', {
+      $unset: { refundOfId: '', refundOriginal: '', transactionCategory: '' },
+      splits: [],
+    });
+    expect(transactionRepository.updateById).toHaveBeenNthCalledWith(2, 'p1', {
+      transactionStatus: 'concluded',
+    });
+    expect(result).toMatchObject({ purchase, refundStatus: 'none' });
+    expect(recordChange).toHaveBeenNthCalledWith(1, {
+      documentType: 'transaction',
+      documentId: 'r1',
+      before: { ...refund, refundOfId: 'p1' },
+      after: refund,
+      actor: 'ana',
+      origin: 'link',
+    });
+    expect(recordChange).toHaveBeenNthCalledWith(2, {
+      documentType: 'transaction',
+      documentId: 'p1',
+      before: refunded,
+      after: purchase,
+      actor: 'ana',
+      origin: 'link',
+    });
+  });
+
+  test('unlinkRefund keeps the purchase status while other refunds remain', async () => {
+    transactionRepository.findById.mockImplementation(async (id) =>
+      ({ p1: purchase, r1: { ...refund, refundOfId: 'p1' } })[id]
+    );
+    transactionRepository.findRefundsOf.mockResolvedValueOnce([
+      { refundOfId: 'p1', transactionValue: '20,00' },
+    ]);
+
+    await expect(unlinkRefund('r1')).resolves.toMatchObject({
+      refundStatus: 'partial',
+    });
+    expect(transactionRepository.updateById).toHaveBeenCalledTimes(1);
+  });
+
+  test('unlinkRefund handles missing refunds and purchases', async () => {
+    await expect(unlinkRefund('p1')).rejects.toThrow('Refund not found');
+    await expect(unlinkRefund('x')).rejects.toThrow('Refund not found');
+
+    transactionRepository.findById.mockImplementation(async (id) =>
+      id === 'r1' ? { ...refund, refundOfId: 'gone' } : null
+    );
+    await expect(unlinkRefund('r1')).resolves.toEqual({
+      purchase: null,
+      refunds: [],
+      refundStatus: 'none',
+    });
+  });
+
+  test('reconciled refunds stay linked and reconciled purchases keep their status', async () => {
+    const locked = { ...refund, reconciliationId: 'rec1' };
+    transactionRepository.findById.mockImplementation(async (id) =>
+      ({ p1: purchase, r1: locked })[id]
+    );
+    await expect(
+      linkRefund({ refundId: 'r1', purchaseId: 'p1' })
+    ).rejects.toThrow('Transaction is reconciled');
+
+    transactionRepository.findById.mockImplementation(async (id) =>
+      ({ p1: purchase, r1: { ...locked, refundOfId: 'p1' } })[id]
+    );
+    await expect(unlinkRefund('r1')).rejects.toThrow('Transaction is reconciled');
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+
+    const reconciledPurchase = {
+      ...purchase,
+      transactionValue: '-50,00',
+      transactionStatus: 'refunded',
+      reconciliationId: 'rec1',
+    };
+    transactionRepository.findById.mockImplementation(async (id) =>
+      ({ p1: reconciledPurchase, r1: refund })[id]
+    );
+    transactionRepository.updateById.mockResolvedValue({ ...refund, refundOfId: 'p1' });
+    await linkRefund({ refundId: 'r1', purchaseId: 'p1' });
+
+    transactionRepository.findById.mockImplementation(async (id) =>
+      ({ p1: reconciledPurchase, r1: { ...refund, refundOfId: 'p1' } })[id]
+    );
+    await unlinkRefund('r1');
+
+    expect(transactionRepository.updateById.mock.calls.map(([id]) => id)).toEqual([
+      'r1',
+      'r1',
+    ]);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Search highlights
+ * MongoDB text search does not report which fields matched, so hits are
+ * highlighted locally: words starting with a search term (or, for stemmed
+ * plurals, being the start of one) are wrapped in <mark> tags.
+ */
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const normalize = (text) =>
+  String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+/**
+ * Split search text into normalized terms
+ * @param {string} text - Search text
+ * @returns {Array<string>} Terms with at least two characters
+ */
+export function searchTerms(text) {
+  return (normalize(text || '').match(WORD_PATTERN) || []).filter(
+    (term) => term.length > 1
+  );
+}
+
+const matchesTerm = (word, terms) =>
+  terms.some(
+    (term) =>
+      word.startsWith(term) || (word.length >= 4 && term.startsWith(word))
+  );
+
+/**
+ * Highlight the words of a value matching the search terms
+ * @param {string} value - Field value
+ * @param {Array<string>} terms - Normalized search terms
+ * @returns {string|null} Value with <mark> tags, or null when nothing matches
+ */
+export function highlightText(value, terms) {
+  let matched = false;
+  const highlighted = String(value).replace(WORD_PATTERN, (word) => {
+    if (!matchesTerm(normalize(word), terms)) {
+      return word;
+    }
+    matched = true;
+    return `<mark>${word}</mark>`;
+  });
+  return matched ? highlighted : null;
+}
+
+const fieldValues = (document, path) =>
+  path
+    .split('.')
+    .reduce(
+      (values, key) =>
+        values.flatMap((value) => (value == null ? [] : value[key])),
+      [document]
+    )
+    .filter((value) => typeof value === 'string' && value.trim() !== '');
+
+/**
+ * Highlight the matching fields of a search hit
+ * @param {Object} document - Matched document
+ * @param {Array<string>} fields - Field paths to check (e.g. "items.itemName")
+ * @param {string} text - Search text
+ * @returns {Array<Object>} Matched fields as { field, value, highlighted }
+ */
+export function highlightFields(document, fields, text) {
+  const terms = searchTerms(text);
+
+  return fields.flatMap((field) =>
+    fieldValues(document, field).flatMap((value) => {
+      const highlighted = highlightText(value, terms);
+      return highlighted ? [{ field, value, highlighted }] : [];
+    })
+  );
+}
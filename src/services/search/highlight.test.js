@@ -0,0 +1,58 @@
+import {
+  highlightFields,
+  highlightText,
+  searchTerms,
+} from './highlight.js';
+
+describe('highlight', () => {
+  test('searchTerms normalizes accents and drops single characters', () => {
+    expect(searchTerms('Farmácia a São Paulo')).toEqual([
+      'farmacia',
+      'sao',
+      'paulo',
+    ]);
+    expect(searchTerms()).toEqual([]);
+  });
+
+  test('highlightText marks words starting with a term or stemmed plurals', () => {
+    expect(highlightText('Drogaria São João', ['sao'])).toBe(
+      'Drogaria <mark>São</mark> João'
+    );
+    expect(highlightText('Farmácia Popular', ['farmacias'])).toBe(
+      '<mark>Farmácia</mark> Popular'
+    );
+    expect(highlightText('Pão de queijo', ['paes'])).toBeNull();
+  });
+
+  test('highlightFields returns the matched fields, including nested arrays', () => {
+    const transaction = {
+      transactionName: 'Compra Drogasil',
+      transactionDescription: '',
+      items: [
+        { itemName: 'Dipirona 500mg' },
+        { itemName: 'Vitamina C' },
+        {},
+      ],
+      companyName: null,
+    };
+
+    expect(
+      highlightFields(
+        transaction,
+        ['transactionName', 'transactionDescription', 'items.itemName', 'companyName'],
+        'dipirona drogasil'
+      )
+    ).toEqual([
+      {
+        field: 'transactionName',
+        value: 'Compra Drogasil',
+        highlighted: 'Compra <mark>Drogasil</mark>',
+      },
+      {
+        field: 'items.itemName',
+        value: 'Dipirona 500mg',
+        highlighted: '<mark>Dipirona</mark> 500mg',
+      },
+    ]);
+  });
+});
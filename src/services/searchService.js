@@ -0,0 +1,135 @@
+import * as transactionRepository from '../repository/transactionRepository.js';
+import * as companyRepository from '../repository/companyRepository.js';
+import * as personRepository from '../repository/personRepository.js';
+import { formatMonetaryCents } from '../infrastructure/monetary/monetaryUtils.js';
+import { highlightFields, searchTerms } from './search/highlight.js';
+
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 100;
+
+/**
+ * Searchable types: the repository running the text search, the fields of
+ * its text index and how a matched document is presented
+ */
+const SEARCH_SOURCES = {
+  transaction: {
+    search: transactionRepository.textSearch,
+    fields: [
+      'transactionName',
+      'transactionDescription',
+      'items.itemName',
+      'companyName',
+    ],
+    toHit: (transaction) => ({
+      title: transaction.transactionName || transaction.transactionDescription,
+      subtitle: transaction.companyName,
+      data: {
+        transactionDate: transaction.transactionDate,
+        transactionType: transaction.transactionType,
+        transactionValue: formatMonetaryCents(transaction.transactionValue),
+        transactionCategory: transaction.transactionCategory,
+        fiscalBookId: transaction.fiscalBookId,
+      },
+    }),
+  },
+  company: {
+    search: companyRepository.textSearch,
+    fields: ['companyName', 'tradeName', 'corporateName'],
+    toHit: (company) => ({
+      title: company.companyName,
+      subtitle: company.companyCnpj,
+      data: {
+        companyCnpj: company.companyCnpj,
+        tradeName: company.tradeName,
+        corporateName: company.corporateName,
+      },
+    }),
+  },
+  person: {
+    search: personRepository.textSearch,
+    fields: ['fullName', 'personalBusiness.businessName'],
+    toHit: (person) => ({
+      title: person.fullName,
+      subtitle: person.personalBusiness?.businessName,
+      data: {
+        cpf: person.cpf,
+        status: person.status,
+      },
+    }),
+  },
+};
+
+export const SEARCH_TYPES = Object.keys(SEARCH_SOURCES);
+
+/**
+ * Parse the requested result types
+ * @param {string|Array<string>} types - Comma separated types (default: all)
+ * @returns {Array<string>} Types to search
+ */
+function parseTypes(types) {
+  if (!types) {
+    return SEARCH_TYPES;
+  }
+  const requested = (Array.isArray(types) ? types : String(types).split(','))
+    .map((type) => type.trim())
+    .filter(Boolean);
+  const unknown = requested.filter((type) => !SEARCH_TYPES.includes(type));
+  if (unknown.length > 0 || requested.length === 0) {
+    throw new Error(
+      `Invalid search: types must be among ${SEARCH_TYPES.join(', ')}`
+    );
+  }
+  return [...new Set(requested)];
+}
+
+/**
+ * Search transactions, companies and people by text
+ * Every type is searched through its MongoDB text index; hits are merged by
+ * text score and carry the fields that matched, highlighted.
+ * @param {string} text - Search text
+ * @param {Object} options - Search options
+ * @param {string} options.types - Comma separated types to search (default: all)
+ * @param {number} options.limit - Maximum hits per type (default 20)
+ * @returns {Promise<Object>} Query, hit counts per type and ranked hits
+ */
+export async function search(text, options = {}) {
+  const query = String(text || '').trim();
+  if (searchTerms(query).length === 0) {
+    throw new Error('Invalid search: q must have at least two characters');
+  }
+
+  const limit =
+    options.limit === undefined ? DEFAULT_SEARCH_LIMIT : Number(options.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+    throw new Error(
+      `Invalid search: limit must be between 1 and ${MAX_SEARCH_LIMIT}`
+    );
+  }
+
+  const types = parseTypes(options.types);
+  const results = await Promise.all(
+    types.map((type) => SEARCH_SOURCES[type].search(query, limit))
+  );
+
+  const counts = {};
+  const hits = types.flatMap((type, index) => {
+    const source = SEARCH_SOURCES[type];
+    counts[type] = results[index].length;
+    return results[index].map((document) => ({
+      type,
+      id: String(document._id),
+      score: document.score,
+      ...source.toHit(document),
+      highlights: highlightFields(document, source.fields, query),
+    }));
+  });
+
+  hits.sort((a, b) => b.score - a.score);
+
+  return {
+    query,
+    total: hits.length,
+    counts,
+    hits,
+  };
+}
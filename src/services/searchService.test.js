@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+
+const transactionRepository = { textSearch: jest.fn() };
+const companyRepository = { textSearch: jest.fn() };
+const personRepository = { textSearch: jest.fn() };
+
+jest.unstable_mockModule('../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+
+jest.unstable_mockModule('../repository/companyRepository.js', () => ({
+  ...companyRepository,
+}));
+
+jest.unstable_mockModule('../repository/personRepository.js', () => ({
+  ...personRepository,
+}));
+
+const { search, SEARCH_TYPES } = await import('./searchService.js');
+
+describe('searchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transactionRepository.textSearch.mockResolvedValue([
+      {
+        _id: 't1',
+        score: 1.5,
+        transactionName: 'Farmácia Pague Menos',
+        transactionDate: new Date('2024-03-10T12:00:00.000Z'),
+        transactionType: 'debit',
+        transactionValue: 4590,
+        companyName: 'Pague Menos',
+        items: [{ itemName: 'Dipirona' }],
+      },
+    ]);
+    companyRepository.textSearch.mockResolvedValue([
+      {
+        _id: 'c1',
+        score: 2.5,
+        companyName: 'Farmácias Pague Menos',
+        companyCnpj: '06626253000151',
+      },
+    ]);
+    personRepository.textSearch.mockResolvedValue([
+      {
+        _id: 'p1',
+        score: 0.8,
+        fullName: 'Ana Farmacêutica',
+        cpf: '12345678909',
+        status: 'active',
+        personalBusiness: { businessName: 'Farmácia da Ana' },
+      },
+    ]);
+  });
+
+  test('merges typed hits of every source by score', async () => {
+    const result = await search(' farmácia ');
+
+    expect(SEARCH_TYPES).toEqual(['transaction', 'company', 'person']);
+    expect(transactionRepository.textSearch).toHaveBeenCalledWith(
+      'farmácia',
+      20
+    );
+    expect(result.query).toBe('farmácia');
+    expect(result.total).toBe(3);
+    expect(result.counts).toEqual({ transaction: 1, company: 1, person: 1 });
+    expect(result.hits.map((hit) => `${hit.type}:${hit.id}`)).toEqual([
+      'company:c1',
+      'transaction:t1',
+      'person:p1',
+    ]);
+
+    const [company, transaction, person] = result.hits;
+    expect(company).toEqual(
+      expect.objectContaining({
+        title: 'Farmácias Pague Menos',
+        subtitle: '06626253000151',
+        highlights: [
+          {
+            field: 'companyName',
+            value: 'Farmácias Pague Menos',
+            highlighted: '<mark>Farmácias</mark> Pague Menos',
+          },
+        ],
+      })
+    );
+    expect(transaction.subtitle).toBe('Pague Menos');
+    expect(transaction.data).toEqual(
+      expect.objectContaining({ transactionValue: '45,90' })
+    );
+    expect(transaction.highlights.map((highlight) => highlight.field)).toEqual(
+      ['transactionName']
+    );
+    expect(person).toEqual(
+      expect.objectContaining({
+        title: 'Ana Farmacêutica',
+        subtitle: 'Farmácia da Ana',
+        data: { cpf: '12345678909', status: 'active' },
+      })
+    );
+  });
+
+  test('searches only the requested types with a limit', async () => {
+    transactionRepository.textSearch.mockResolvedValue([
+      { _id: 't2', score: 1, transactionDescription: 'Compra farmacia' },
+    ]);
+
+    const result = await search('farmacia', {
+      types: 'transaction, transaction',
+      limit: '5',
+    });
+
+    expect(transactionRepository.textSearch).toHaveBeenCalledWith(
+      'farmacia',
+      5
+    );
+    expect(companyRepository.textSearch).not.toHaveBeenCalled();
+    expect(personRepository.textSearch).not.toHaveBeenCalled();
+    expect(result.counts).toEqual({ transaction: 1 });
+    expect(result.hits[0].title).toBe('Compra farmacia');
+
+    await search('farmacia', { types: ['company'] });
+    expect(companyRepository.textSearch).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects short queries, invalid limits and unknown types', async () => {
+    await expect(search('a')).rejects.toThrow(
+      'Invalid search: q must have at least two characters'
+    );
+    await expect(search()).rejects.toThrow('Invalid search');
+    await expect(search('farmacia', { limit: '0' })).rejects.toThrow(
+      'Invalid search: limit must be between 1 and 100'
+    );
+    await expect(search('farmacia', { types: 'invoice' })).rejects.toThrow(
+      'Invalid search: types must be among transaction, company, person'
+    );
+    await expect(search('farmacia', { types: ' , ' })).rejects.toThrow(
+      'Invalid search: types must be among'
+    );
+    expect(transactionRepository.textSearch).not.toHaveBeenCalled();
+  });
+});
@@ -184,7 +184,8 @@ export async function cleanupOldSnapshots(fiscalBookId, retentionCount = 12) {
     let deletedCount = 0;
     for (const snapshotId of snapshotsToDelete) {
       try {
-        await snapshotRepository.deleteSnapshot(snapshotId);
+        // Through the service so attachment contents are released
+        await snapshotService.deleteSnapshot(snapshotId);
         deletedCount++;
       } catch (error) {
         // Skip protected snapshots or other errors
@@ -7,11 +7,11 @@ const snapshotRepository = {
   findDueSchedules: jest.fn(),
   updateScheduleExecution: jest.fn(),
   findSnapshotsToCleanup: jest.fn(),
-  deleteSnapshot: jest.fn(),
 };
 
 const snapshotService = {
   createFiscalBookSnapshot: jest.fn(),
+  deleteSnapshot: jest.fn(),
 };
 
 jest.unstable_mockModule('../repository/snapshotRepository.js', () => snapshotRepository);
@@ -286,18 +286,18 @@ describe('snapshotSchedulerService', () => {
   describe('cleanupOldSnapshots', () => {
     test('deletes old snapshots beyond retention', async () => {
       snapshotRepository.findSnapshotsToCleanup.mockResolvedValue(['snap1', 'snap2']);
-      snapshotRepository.deleteSnapshot.mockResolvedValue({});
+      snapshotService.deleteSnapshot.mockResolvedValue({});
 
       const result = await cleanupOldSnapshots('fb1', 5);
 
       expect(snapshotRepository.findSnapshotsToCleanup).toHaveBeenCalledWith('fb1', 5);
-      expect(snapshotRepository.deleteSnapshot).toHaveBeenCalledTimes(2);
+      expect(snapshotService.deleteSnapshot).toHaveBeenCalledTimes(2);
       expect(result).toBe(2);
     });
 
     test('skips protected snapshots', async () => {
       snapshotRepository.findSnapshotsToCleanup.mockResolvedValue(['snap1', 'snap2']);
-      snapshotRepository.deleteSnapshot
+      snapshotService.deleteSnapshot
         .mockResolvedValueOnce({})
         .mockRejectedValueOnce(new Error('Cannot delete protected'));
 
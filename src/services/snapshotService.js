@@ -1,5 +1,21 @@
 import mongoose from 'mongoose';
 import * as snapshotRepository from '../repository/snapshotRepository.js';
+import * as exchangeRateService from './exchangeRateService.js';
+import * as attachmentService from './attachmentService.js';
+import { recordChange } from './auditService.js';
+import { normalizeMonetaryValue } from '../infrastructure/monetary/monetaryUtils.js';
+import {
+  BASE_CURRENCY,
+  indexExchangeRates,
+  summarizeTransactions,
+  transactionAmount,
+} from '../infrastructure/monetary/currencyUtils.js';
+import { isReconciled } from './reconciliation/reconciliationLock.js';
+import { WITH_DELETED } from '../models/softDelete.js';
+
+// Error of a rollback refused on a fiscal book with reconciled transactions
+export const RECONCILED_ROLLBACK_ERROR =
+  'Fiscal book has reconciled transactions: undo the reconciliation before rolling back';
 
 /**
  * Create a fiscal book snapshot with all its transactions
@@ -9,9 +25,13 @@ import * as snapshotRepository from '../repository/snapshotRepository.js';
  * @param {string} options.description - Optional description
  * @param {Array<string>} options.tags - Optional initial tags
  * @param {string} options.creationSource - Creation source (default: 'manual')
+ * @param {string} options.currency - Reporting currency of the statistics (default: 'BRL')
  * @returns {Promise<Object>} Created snapshot with statistics
  */
 export async function createFiscalBookSnapshot(fiscalBookId, options = {}) {
+  const conversion = await exchangeRateService.getReportingConversion(
+    options.currency
+  );
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -26,7 +46,16 @@ export async function createFiscalBookSnapshot(fiscalBookId, options = {}) {
     const transactions = await snapshotRepository.getCurrentTransactions(fiscalBookId, session);
 
     // 3. Compute statistics
-    const statistics = computeStatistics(transactions);
+    const statistics = computeStatistics(transactions, conversion);
+
+    // Attachments are copied by hash; their contents stay in the storage
+    const [bookAttachments, transactionAttachments] = await Promise.all([
+      attachmentService.getAttachmentCopies('fiscalBook', [fiscalBookId]),
+      attachmentService.getAttachmentCopies(
+        'transaction',
+        transactions.map(transaction => transaction._id)
+      ),
+    ]);
 
     // 4. Build snapshot data
     const snapshotData = {
@@ -48,6 +77,7 @@ export async function createFiscalBookSnapshot(fiscalBookId, options = {}) {
         updatedAt: fiscalBook.updatedAt,
         closedAt: fiscalBook.closedAt,
       },
+      attachments: bookAttachments.get(String(fiscalBookId)) || [],
       statistics,
     };
 
@@ -59,15 +89,19 @@ export async function createFiscalBookSnapshot(fiscalBookId, options = {}) {
       const snapshotTransactions = transactions.map(transaction => ({
         snapshotId: snapshot._id,
         originalTransactionId: transaction._id,
+        attachments: transactionAttachments.get(String(transaction._id)) || [],
         transactionData: {
           transactionDate: transaction.transactionDate,
           transactionPeriod: transaction.transactionPeriod,
           transactionSource: transaction.transactionSource,
           transactionValue: transaction.transactionValue,
+          originalCurrency: transaction.originalCurrency,
+          originalValue: transaction.originalValue,
           transactionName: transaction.transactionName,
           transactionDescription: transaction.transactionDescription,
           transactionFiscalNote: transaction.transactionFiscalNote,
           transactionId: transaction.transactionId,
+          importFingerprint: transaction.importFingerprint,
           transactionStatus: transaction.transactionStatus,
           transactionLocation: transaction.transactionLocation,
           transactionType: transaction.transactionType,
@@ -75,12 +109,19 @@ export async function createFiscalBookSnapshot(fiscalBookId, options = {}) {
           installments: transaction.installments,
           transactionCategory: transaction.transactionCategory,
           freightValue: transaction.freightValue,
+          splits: transaction.splits,
           paymentMethod: transaction.paymentMethod,
           items: transaction.items,
           companyName: transaction.companyName,
           companySellerName: transaction.companySellerName,
           companyCnpj: transaction.companyCnpj,
           companyId: transaction.companyId,
+          accountId: transaction.accountId,
+          transferPairId: transaction.transferPairId,
+          refundOfId: transaction.refundOfId,
+          refundOriginal: transaction.refundOriginal,
+          reconciliationId: transaction.reconciliationId,
+          installmentPlanId: transaction.installmentPlanId,
         },
       }));
 
@@ -103,26 +144,41 @@ export async function createFiscalBookSnapshot(fiscalBookId, options = {}) {
  * Compute statistics from transactions
  * @private
  * @param {Array} transactions - Array of transactions
+ * @param {Object} conversion - Reporting currency and exchange rates
  * @returns {Object} Statistics object
  */
-function computeStatistics(transactions) {
-  let totalIncome = 0;
-  let totalExpenses = 0;
-
-  transactions.forEach(transaction => {
-    const value = parseFloat(transaction.transactionValue) || 0;
-    if (transaction.transactionType === 'credit') {
-      totalIncome += value;
-    } else {
-      totalExpenses += Math.abs(value);
-    }
-  });
+function computeStatistics(
+  transactions,
+  conversion = { currency: BASE_CURRENCY, rates: [] }
+) {
+  return summarizeTransactions(transactions, conversion);
+}
 
+/**
+ * Build the write putting a snapshot transaction back in its fiscal book
+ * The transaction gets its original ID back, out of the trash if needed, so
+ * transfer pairs, refunds and attachments pointing at it stay valid.
+ * @private
+ * @param {Object} snapshotTransaction - Snapshot transaction
+ * @param {string} fiscalBookId - Fiscal book ID
+ * @returns {Object} Bulk write operation
+ */
+function restoreTransactionWrite(snapshotTransaction, fiscalBookId) {
+  const transaction = {
+    ...snapshotTransaction.transactionData,
+    fiscalBookId,
+    deletedAt: null,
+  };
+  const id = snapshotTransaction.originalTransactionId;
+  if (!id) {
+    return { insertOne: { document: transaction } };
+  }
   return {
-    transactionCount: transactions.length,
-    totalIncome,
-    totalExpenses,
-    netAmount: totalIncome - totalExpenses,
+    replaceOne: {
+      filter: { _id: id, ...WITH_DELETED },
+      replacement: { ...transaction, _id: id },
+      upsert: true,
+    },
   };
 }
 
@@ -194,6 +250,62 @@ export async function getSnapshotTransactions(snapshotId, pagination = {}) {
   }
 }
 
+/**
+ * Get the attachments copied into a snapshot
+ * @param {string} snapshotId - Snapshot ID
+ * @returns {Promise<Object>} Fiscal book attachments and transactions with attachments
+ */
+export async function getSnapshotAttachments(snapshotId) {
+  try {
+    const snapshot = await snapshotRepository.findSnapshotById(snapshotId);
+    if (!snapshot) {
+      throw new Error('Snapshot not found.');
+    }
+
+    const transactions = await snapshotRepository.findTransactionsWithAttachments(snapshotId);
+
+    return {
+      fiscalBook: snapshot.attachments || [],
+      transactions: transactions.map(t => ({
+        snapshotTransactionId: t._id,
+        originalTransactionId: t.originalTransactionId,
+        transactionName: t.transactionData?.transactionName,
+        attachments: t.attachments,
+      })),
+    };
+  } catch (error) {
+    console.error('Error getting snapshot attachments:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get the content of an attachment copied into a snapshot
+ * @param {string} snapshotId - Snapshot ID
+ * @param {string} contentHash - SHA-256 of the attachment content
+ * @returns {Promise<{attachment: Object, content: Buffer}>} Attachment copy and content
+ */
+export async function getSnapshotAttachmentContent(snapshotId, contentHash) {
+  try {
+    const { fiscalBook, transactions } = await getSnapshotAttachments(snapshotId);
+    const attachment = [
+      ...fiscalBook,
+      ...transactions.flatMap(t => t.attachments),
+    ].find(a => a.contentHash === contentHash);
+    if (!attachment) {
+      throw new Error('Attachment not found.');
+    }
+
+    return {
+      attachment,
+      content: await attachmentService.readContent(contentHash),
+    };
+  } catch (error) {
+    console.error('Error getting snapshot attachment:', error.message);
+    throw error;
+  }
+}
+
 /**
  * Compare a snapshot with the current fiscal book state
  * @param {string} snapshotId - Snapshot ID
@@ -281,8 +393,11 @@ export async function compareSnapshotWithCurrent(snapshotId) {
     });
 
     // 6. Compute summary statistics
-    const currentStats = computeStatistics(currentTransactions);
     const snapshotStats = snapshot.statistics;
+    const currentStats = computeStatistics(
+      currentTransactions,
+      await exchangeRateService.getReportingConversion(snapshotStats.currency)
+    );
 
     const summary = {
       snapshotStats,
@@ -360,7 +475,12 @@ function detectChanges(snapshotData, currentTx) {
  */
 export async function deleteSnapshot(snapshotId) {
   try {
-    return await snapshotRepository.deleteSnapshot(snapshotId);
+    const contentHashes = await snapshotRepository.findAttachmentHashes([snapshotId]);
+    const deletedSnapshot = await snapshotRepository.deleteSnapshot(snapshotId);
+    if (deletedSnapshot) {
+      await attachmentService.releaseContent(contentHashes);
+    }
+    return deletedSnapshot;
   } catch (error) {
     console.error('Error deleting snapshot:', error.message);
     throw error;
@@ -377,12 +497,17 @@ export async function deleteSnapshotsByFiscalBook(fiscalBookId) {
   session.startTransaction();
 
   try {
+    const snapshots = await snapshotRepository.findSnapshotsByFiscalBook(fiscalBookId, {}, session);
+    const contentHashes = await snapshotRepository.findAttachmentHashes(
+      snapshots.map(snapshot => snapshot._id)
+    );
     const result = await snapshotRepository.deleteSnapshotsByFiscalBook(fiscalBookId, session);
     
     // Also delete the schedule
     await snapshotRepository.deleteSchedule(fiscalBookId, session);
 
     await session.commitTransaction();
+    await attachmentService.releaseContent(contentHashes);
     return result;
   } catch (error) {
     await session.abortTransaction();
@@ -467,9 +592,11 @@ export async function addTransactionAnnotation(snapshotTransactionId, content, c
  * Export snapshot data
  * @param {string} snapshotId - Snapshot ID
  * @param {string} format - Export format ('csv', 'json', 'pdf')
+ * @param {string} currency - Optional reporting currency; adds each value converted
+ *   at its transaction date and recomputes the statistics in that currency
  * @returns {Promise<Object>} Export result with data and metadata
  */
-export async function exportSnapshot(snapshotId, format = 'json') {
+export async function exportSnapshot(snapshotId, format = 'json', currency = undefined) {
   try {
     const snapshot = await snapshotRepository.findSnapshotById(snapshotId);
     if (!snapshot) {
@@ -492,13 +619,32 @@ export async function exportSnapshot(snapshotId, format = 'json') {
         fiscalBookData: snapshot.fiscalBookData,
         statistics: snapshot.statistics,
         annotations: snapshot.annotations,
+        attachments: snapshot.attachments,
       },
       transactions: transactionsResult.transactions.map(t => ({
         ...t.transactionData,
         annotations: t.annotations,
+        attachments: t.attachments,
       })),
     };
 
+    if (currency) {
+      const conversion = await exchangeRateService.getReportingConversion(currency);
+      exportData.currency = conversion.currency;
+      const rates = indexExchangeRates(conversion.rates);
+      exportData.snapshot.statistics = computeStatistics(exportData.transactions, {
+        currency: conversion.currency,
+        rates,
+      });
+      exportData.transactions = exportData.transactions.map(t => {
+        const amount = transactionAmount(t, conversion.currency, rates);
+        return {
+          ...t,
+          reportingValue: amount === null ? null : normalizeMonetaryValue(amount),
+        };
+      });
+    }
+
     if (format === 'json') {
       return {
         format: 'json',
@@ -544,18 +690,27 @@ function generateCSV(exportData) {
     'Payment Method',
     'Company',
   ];
+  if (exportData.currency) {
+    headers.push(`Value (${exportData.currency})`);
+  }
 
-  const rows = exportData.transactions.map(t => [
-    t.transactionDate ? new Date(t.transactionDate).toISOString().split('T')[0] : '',
-    t.transactionName || '',
-    t.transactionDescription || '',
-    t.transactionValue || '',
-    t.transactionType || '',
-    t.transactionStatus || '',
-    t.transactionCategory || '',
-    t.paymentMethod || '',
-    t.companyName || '',
-  ]);
+  const rows = exportData.transactions.map(t => {
+    const row = [
+      t.transactionDate ? new Date(t.transactionDate).toISOString().split('T')[0] : '',
+      t.transactionName || '',
+      t.transactionDescription || '',
+      t.transactionValue || '',
+      t.transactionType || '',
+      t.transactionStatus || '',
+      t.transactionCategory || '',
+      t.paymentMethod || '',
+      t.companyName || '',
+    ];
+    if (exportData.currency) {
+      row.push(t.reportingValue || '');
+    }
+    return row;
+  });
 
   const csvContent = [
     headers.join(','),
@@ -606,12 +761,12 @@ export async function cloneToNewFiscalBook(snapshotId, newBookData = {}) {
     const newFiscalBook = new FiscalBookModel(fiscalBookData);
     await newFiscalBook.save({ session });
 
-    // 4. Create new transactions
+    // 4. Create new transactions, left out of the original reconciliations
     if (transactionsResult.transactions.length > 0) {
-      const newTransactions = transactionsResult.transactions.map(st => ({
-        ...st.transactionData,
-        fiscalBookId: newFiscalBook._id,
-      }));
+      const newTransactions = transactionsResult.transactions.map(st => {
+        const { reconciliationId, ...transactionData } = st.transactionData;
+        return { ...transactionData, fiscalBookId: newFiscalBook._id };
+      });
 
       await TransactionModel.insertMany(newTransactions, { session });
     }
@@ -630,11 +785,16 @@ export async function cloneToNewFiscalBook(snapshotId, newBookData = {}) {
 
 /**
  * Rollback fiscal book to a snapshot state
- * WARNING: This is a destructive operation!
+ * WARNING: This is a destructive operation! The snapshot transactions are
+ * restored under their original IDs, the current ones missing from the
+ * snapshot go to the trash, and a fiscal book with reconciled transactions
+ * is refused.
  * @param {string} snapshotId - Snapshot ID
  * @param {Object} options - Rollback options
  * @param {boolean} options.createPreRollbackSnapshot - Create a snapshot before rollback (default: true)
+ * @param {string} options.actor - Who requested the rollback, for the fiscal book history
  * @returns {Promise<Object>} Rollback result
+ * @throws {Error} RECONCILED_ROLLBACK_ERROR when a transaction of the book is reconciled
  */
 export async function rollbackToSnapshot(snapshotId, options = {}) {
   const session = await mongoose.startSession();
@@ -657,6 +817,15 @@ export async function rollbackToSnapshot(snapshotId, options = {}) {
       throw new Error('Original fiscal book not found.');
     }
 
+    // Reconciled transactions are locked, and a rollback replaces them all
+    const currentTransactions = await snapshotRepository.getCurrentTransactions(
+      fiscalBookId,
+      session
+    );
+    if (currentTransactions.some(isReconciled)) {
+      throw new Error(RECONCILED_ROLLBACK_ERROR);
+    }
+
     // 3. Optionally create a pre-rollback snapshot
     let preRollbackSnapshot = null;
     if (createPreRollbackSnapshot) {
@@ -671,9 +840,14 @@ export async function rollbackToSnapshot(snapshotId, options = {}) {
       });
     }
 
-    // 4. Delete all current transactions
+    // 4. Move all current transactions to the trash; those in the snapshot
+    // come back out of it in step 6
     const TransactionModel = (await import('../models/TransactionModel.js')).default;
-    await TransactionModel.deleteMany({ fiscalBookId }, { session });
+    await TransactionModel.updateMany(
+      { fiscalBookId },
+      { deletedAt: new Date() },
+      { session }
+    );
 
     // 5. Get snapshot transactions
     const transactionsResult = await snapshotRepository.getSnapshotTransactions(
@@ -681,19 +855,17 @@ export async function rollbackToSnapshot(snapshotId, options = {}) {
       { limit: 10000 }
     );
 
-    // 6. Recreate transactions from snapshot
+    // 6. Restore the snapshot transactions under their original IDs
     if (transactionsResult.transactions.length > 0) {
-      const newTransactions = transactionsResult.transactions.map(st => ({
-        ...st.transactionData,
-        fiscalBookId,
-      }));
-
-      await TransactionModel.insertMany(newTransactions, { session });
+      await TransactionModel.bulkWrite(
+        transactionsResult.transactions.map(st => restoreTransactionWrite(st, fiscalBookId)),
+        { session }
+      );
     }
 
     // 7. Update fiscal book metadata to match snapshot
     const FiscalBookModel = (await import('../models/FiscalBookModel.js')).default;
-    await FiscalBookModel.findByIdAndUpdate(
+    const restoredFiscalBook = await FiscalBookModel.findByIdAndUpdate(
       fiscalBookId,
       {
         bookName: snapshot.fiscalBookData.bookName,
@@ -704,11 +876,22 @@ export async function rollbackToSnapshot(snapshotId, options = {}) {
         notes: snapshot.fiscalBookData.notes,
         updatedAt: new Date(),
       },
-      { session }
+      { new: true, session }
     );
 
     await session.commitTransaction();
 
+    // Transactions are replaced wholesale, so only the fiscal book has a change to record
+    await recordChange({
+      documentType: 'fiscalBook',
+      documentId: fiscalBookId,
+      before: fiscalBook,
+      after: restoredFiscalBook,
+      actor: options.actor,
+      origin: 'rollback',
+      originDetail: `snapshot ${snapshotId}`,
+    });
+
     return {
       success: true,
       fiscalBookId,
@@ -17,6 +17,8 @@ const snapshotRepository = {
   getFiscalBook: jest.fn(),
   getSchedule: jest.fn(),
   deleteSchedule: jest.fn(),
+  findAttachmentHashes: jest.fn(),
+  findTransactionsWithAttachments: jest.fn(),
 };
 
 const startSession = jest.fn();
@@ -33,11 +35,31 @@ MockFiscalBookModel.findByIdAndUpdate = jest.fn().mockResolvedValue({});
 
 const MockTransactionModel = {
   insertMany: jest.fn().mockResolvedValue([]),
+  bulkWrite: jest.fn().mockResolvedValue({}),
   deleteMany: jest.fn().mockResolvedValue({ deletedCount: 1 }),
+  updateMany: jest.fn().mockResolvedValue({ modifiedCount: 1 }),
 };
 
 jest.unstable_mockModule('../repository/snapshotRepository.js', () => snapshotRepository);
 
+const exchangeRateService = {
+  getReportingConversion: jest.fn(),
+};
+
+jest.unstable_mockModule('./exchangeRateService.js', () => exchangeRateService);
+
+const attachmentService = {
+  getAttachmentCopies: jest.fn(),
+  releaseContent: jest.fn(),
+  readContent: jest.fn(),
+};
+
+jest.unstable_mockModule('./attachmentService.js', () => attachmentService);
+
+const recordChange = jest.fn();
+
+jest.unstable_mockModule('./auditService.js', () => ({ recordChange }));
+
 jest.unstable_mockModule('mongoose', () => ({
   default: { startSession },
 }));
@@ -64,10 +86,16 @@ const {
   addAnnotation,
   addTransactionAnnotation,
   exportSnapshot,
+  getSnapshotAttachments,
+  getSnapshotAttachmentContent,
 } = service;
 
 const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
 
+const usdRates = [
+  { currency: 'USD', date: new Date('2024-01-01T00:00:00.000Z'), rate: 5 },
+];
+
 describe('snapshotService', () => {
   let session;
 
@@ -80,6 +108,12 @@ describe('snapshotService', () => {
       endSession: jest.fn(),
     };
     startSession.mockResolvedValue(session);
+    exchangeRateService.getReportingConversion.mockImplementation(
+      async (currency) => ({ currency: currency || 'BRL', rates: usdRates })
+    );
+    attachmentService.getAttachmentCopies.mockResolvedValue(new Map());
+    snapshotRepository.findAttachmentHashes.mockResolvedValue([]);
+    snapshotRepository.findSnapshotsByFiscalBook.mockResolvedValue([]);
   });
 
   afterAll(() => {
@@ -98,7 +132,12 @@ describe('snapshotService', () => {
       });
       snapshotRepository.getCurrentTransactions.mockResolvedValue([
         { _id: 't1', transactionValue: '100', transactionType: 'credit' },
-        { _id: 't2', transactionValue: '50', transactionType: 'debit' },
+        {
+          _id: 't2',
+          transactionValue: '50',
+          transactionType: 'debit',
+          splits: [{ splitCategory: 'c1', splitValue: '50,00' }],
+        },
       ]);
       snapshotRepository.createSnapshot.mockResolvedValue({ _id: 'snap1' });
       snapshotRepository.createSnapshotTransactions.mockResolvedValue([]);
@@ -119,10 +158,146 @@ describe('snapshotService', () => {
         }),
         session
       );
+      expect(
+        snapshotRepository.createSnapshotTransactions.mock.calls[0][0][1]
+          .transactionData.splits
+      ).toEqual([{ splitCategory: 'c1', splitValue: '50,00' }]);
       expect(session.commitTransaction).toHaveBeenCalled();
       expect(result).toEqual({ _id: 'snap1' });
     });
 
+    test('nets refunds against expenses and keeps their purchase link', async () => {
+      snapshotRepository.getFiscalBook.mockResolvedValue({ _id: 'fb1' });
+      snapshotRepository.getCurrentTransactions.mockResolvedValue([
+        { _id: 't1', transactionValue: '100', transactionType: 'debit' },
+        {
+          _id: 't2',
+          transactionValue: '30',
+          transactionType: 'credit',
+          refundOfId: 't1',
+        },
+      ]);
+      snapshotRepository.createSnapshot.mockResolvedValue({ _id: 'snap1' });
+      snapshotRepository.createSnapshotTransactions.mockResolvedValue([]);
+
+      await createFiscalBookSnapshot('fb1', { name: 'Test' });
+
+      expect(
+        snapshotRepository.createSnapshot.mock.calls[0][0].statistics
+      ).toMatchObject({ totalIncome: 0, totalExpenses: 70, netAmount: -70 });
+      expect(
+        snapshotRepository.createSnapshotTransactions.mock.calls[0][0][1]
+          .transactionData.refundOfId
+      ).toBe('t1');
+    });
+
+    test('copies the account, reconciliation and installment plan links', async () => {
+      snapshotRepository.getFiscalBook.mockResolvedValue({ _id: 'fb1' });
+      snapshotRepository.getCurrentTransactions.mockResolvedValue([
+        {
+          _id: 't1',
+          transactionValue: '100',
+          transactionType: 'debit',
+          accountId: 'a1',
+          reconciliationId: 'r1',
+          installmentPlanId: 'p1',
+        },
+      ]);
+      snapshotRepository.createSnapshot.mockResolvedValue({ _id: 'snap1' });
+      snapshotRepository.createSnapshotTransactions.mockResolvedValue([]);
+
+      await createFiscalBookSnapshot('fb1', { name: 'Test' });
+
+      expect(
+        snapshotRepository.createSnapshotTransactions.mock.calls[0][0][0].transactionData
+      ).toMatchObject({ accountId: 'a1', reconciliationId: 'r1', installmentPlanId: 'p1' });
+    });
+
+    test('computes statistics in the requested currency', async () => {
+      snapshotRepository.getFiscalBook.mockResolvedValue({ _id: 'fb1', bookName: 'Test' });
+      snapshotRepository.getCurrentTransactions.mockResolvedValue([
+        {
+          _id: 't1',
+          transactionDate: new Date('2024-01-10T12:00:00.000Z'),
+          transactionValue: '100,00',
+          transactionType: 'credit',
+        },
+        {
+          _id: 't2',
+          transactionDate: new Date('2024-01-10T12:00:00.000Z'),
+          transactionValue: '52,00',
+          originalCurrency: 'USD',
+          originalValue: '10,00',
+          transactionType: 'debit',
+        },
+      ]);
+      snapshotRepository.createSnapshot.mockResolvedValue({ _id: 'snap1' });
+
+      await createFiscalBookSnapshot('fb1', { currency: 'USD' });
+
+      expect(exchangeRateService.getReportingConversion).toHaveBeenCalledWith('USD');
+      expect(snapshotRepository.createSnapshot).toHaveBeenCalledWith(
+        expect.objectContaining({
+          statistics: {
+            currency: 'USD',
+            transactionCount: 2,
+            totalIncome: 20,
+            totalExpenses: 10,
+            netAmount: 10,
+            unconvertedCount: 0,
+          },
+        }),
+        session
+      );
+      expect(snapshotRepository.createSnapshotTransactions).toHaveBeenCalledWith(
+        expect.arrayContaining([
+          expect.objectContaining({
+            transactionData: expect.objectContaining({
+              originalCurrency: 'USD',
+              originalValue: '10,00',
+            }),
+          }),
+        ]),
+        session
+      );
+    });
+
+    test('copies fiscal book and transaction attachments', async () => {
+      const receipt = { fileName: 'receipt.pdf', contentHash: 'a'.repeat(64) };
+      const contract = { fileName: 'contract.pdf', contentHash: 'b'.repeat(64) };
+      snapshotRepository.getFiscalBook.mockResolvedValue({ _id: 'fb1', bookName: 'Test' });
+      snapshotRepository.getCurrentTransactions.mockResolvedValue([
+        { _id: 't1', transactionValue: '10,00', transactionType: 'debit' },
+        { _id: 't2', transactionValue: '20,00', transactionType: 'debit' },
+      ]);
+      snapshotRepository.createSnapshot.mockResolvedValue({ _id: 'snap1' });
+      attachmentService.getAttachmentCopies
+        .mockResolvedValueOnce(new Map([['fb1', [contract]]]))
+        .mockResolvedValueOnce(new Map([['t1', [receipt]]]));
+
+      await createFiscalBookSnapshot('fb1');
+
+      expect(attachmentService.getAttachmentCopies).toHaveBeenCalledWith('fiscalBook', ['fb1']);
+      expect(attachmentService.getAttachmentCopies).toHaveBeenCalledWith('transaction', ['t1', 't2']);
+      expect(
+        snapshotRepository.createSnapshot.mock.calls[0][0].attachments
+      ).toEqual([contract]);
+      const [first, second] = snapshotRepository.createSnapshotTransactions.mock.calls[0][0];
+      expect(first.attachments).toEqual([receipt]);
+      expect(second.attachments).toEqual([]);
+    });
+
+    test('rejects invalid currencies before opening a session', async () => {
+      exchangeRateService.getReportingConversion.mockRejectedValue(
+        new Error('Invalid currency: dollar')
+      );
+
+      await expect(
+        createFiscalBookSnapshot('fb1', { currency: 'dollar' })
+      ).rejects.toThrow('Invalid currency: dollar');
+      expect(startSession).not.toHaveBeenCalled();
+    });
+
     test('handles empty transactions', async () => {
       snapshotRepository.getFiscalBook.mockResolvedValue({ _id: 'fb1', bookName: 'Test' });
       snapshotRepository.getCurrentTransactions.mockResolvedValue([]);
@@ -263,6 +438,30 @@ describe('snapshotService', () => {
       expect(result.counts.removed).toBe(1);
     });
 
+    test('computes current statistics in the snapshot currency', async () => {
+      snapshotRepository.findSnapshotById.mockResolvedValue({
+        _id: 'snap1',
+        snapshotName: 'Test',
+        originalFiscalBookId: 'fb1',
+        statistics: { currency: 'USD', transactionCount: 0, totalIncome: 0, totalExpenses: 0, netAmount: 0 },
+      });
+      snapshotRepository.getSnapshotTransactions.mockResolvedValue({ transactions: [] });
+      snapshotRepository.getCurrentTransactions.mockResolvedValue([
+        {
+          _id: 't1',
+          transactionDate: new Date('2024-01-10T12:00:00.000Z'),
+          transactionValue: '100,00',
+          transactionType: 'credit',
+        },
+      ]);
+
+      const result = await compareSnapshotWithCurrent('snap1');
+
+      expect(exchangeRateService.getReportingConversion).toHaveBeenCalledWith('USD');
+      expect(result.summary.currentStats.totalIncome).toBe(20);
+      expect(result.summary.differences.totalIncomeDiff).toBe(20);
+    });
+
     test('throws when snapshot not found', async () => {
       snapshotRepository.findSnapshotById.mockResolvedValue(null);
 
@@ -281,6 +480,20 @@ describe('snapshotService', () => {
       expect(result).toEqual({ id: 'snap1' });
     });
 
+    test('releases the attachment contents of deleted snapshots', async () => {
+      snapshotRepository.findAttachmentHashes.mockResolvedValue(['h1']);
+      snapshotRepository.deleteSnapshot.mockResolvedValueOnce({ id: 'snap1' });
+
+      await deleteSnapshot('snap1');
+
+      expect(snapshotRepository.findAttachmentHashes).toHaveBeenCalledWith(['snap1']);
+      expect(attachmentService.releaseContent).toHaveBeenCalledWith(['h1']);
+
+      snapshotRepository.deleteSnapshot.mockResolvedValueOnce(null);
+      await deleteSnapshot('missing');
+      expect(attachmentService.releaseContent).toHaveBeenCalledTimes(1);
+    });
+
     test('throws on error', async () => {
       snapshotRepository.deleteSnapshot.mockRejectedValue(new Error('db error'));
 
@@ -303,6 +516,21 @@ describe('snapshotService', () => {
       expect(result.deletedCount).toBe(3);
     });
 
+    test('releases the attachment contents after commit', async () => {
+      snapshotRepository.findSnapshotsByFiscalBook.mockResolvedValue([
+        { _id: 'snap1' },
+        { _id: 'snap2' },
+      ]);
+      snapshotRepository.findAttachmentHashes.mockResolvedValue(['h1', 'h2']);
+      snapshotRepository.deleteSnapshotsByFiscalBook.mockResolvedValue({ deletedCount: 2 });
+
+      await deleteSnapshotsByFiscalBook('fb1');
+
+      expect(snapshotRepository.findSnapshotsByFiscalBook).toHaveBeenCalledWith('fb1', {}, session);
+      expect(snapshotRepository.findAttachmentHashes).toHaveBeenCalledWith(['snap1', 'snap2']);
+      expect(attachmentService.releaseContent).toHaveBeenCalledWith(['h1', 'h2']);
+    });
+
     test('aborts on error', async () => {
       snapshotRepository.deleteSnapshotsByFiscalBook.mockRejectedValue(new Error('db'));
 
@@ -311,6 +539,68 @@ describe('snapshotService', () => {
     });
   });
 
+  // ===== getSnapshotAttachments =====
+  describe('getSnapshotAttachments', () => {
+    const receipt = { fileName: 'receipt.pdf', contentHash: 'a'.repeat(64) };
+    const contract = { fileName: 'contract.pdf', contentHash: 'b'.repeat(64) };
+
+    beforeEach(() => {
+      snapshotRepository.findSnapshotById.mockResolvedValue({
+        _id: 'snap1',
+        attachments: [contract],
+      });
+      snapshotRepository.findTransactionsWithAttachments.mockResolvedValue([
+        {
+          _id: 'st1',
+          originalTransactionId: 't1',
+          transactionData: { transactionName: 'Mercado' },
+          attachments: [receipt],
+        },
+      ]);
+    });
+
+    test('lists the fiscal book and transaction attachments', async () => {
+      await expect(getSnapshotAttachments('snap1')).resolves.toEqual({
+        fiscalBook: [contract],
+        transactions: [
+          {
+            snapshotTransactionId: 'st1',
+            originalTransactionId: 't1',
+            transactionName: 'Mercado',
+            attachments: [receipt],
+          },
+        ],
+      });
+      expect(snapshotRepository.findTransactionsWithAttachments).toHaveBeenCalledWith('snap1');
+
+      snapshotRepository.findSnapshotById.mockResolvedValueOnce({ _id: 'snap2' });
+      snapshotRepository.findTransactionsWithAttachments.mockResolvedValueOnce([]);
+      await expect(getSnapshotAttachments('snap2')).resolves.toEqual({
+        fiscalBook: [],
+        transactions: [],
+      });
+    });
+
+    test('throws when the snapshot does not exist', async () => {
+      snapshotRepository.findSnapshotById.mockResolvedValueOnce(null);
+
+      await expect(getSnapshotAttachments('snap1')).rejects.toThrow('Snapshot not found.');
+    });
+
+    test('reads the content of a copied attachment', async () => {
+      attachmentService.readContent.mockResolvedValueOnce(Buffer.from('pdf'));
+
+      await expect(
+        getSnapshotAttachmentContent('snap1', receipt.contentHash)
+      ).resolves.toEqual({ attachment: receipt, content: Buffer.from('pdf') });
+      expect(attachmentService.readContent).toHaveBeenCalledWith(receipt.contentHash);
+
+      await expect(
+        getSnapshotAttachmentContent('snap1', 'c'.repeat(64))
+      ).rejects.toThrow('Attachment not found.');
+    });
+  });
+
   // ===== updateTags =====
   describe('updateTags', () => {
     test('normalizes and updates tags', async () => {
@@ -419,6 +709,25 @@ describe('snapshotService', () => {
       expect(result.fileName).toContain('snapshot-Test');
     });
 
+    test('includes the attachment copies in the export', async () => {
+      const receipt = { fileName: 'receipt.pdf', contentHash: 'a'.repeat(64) };
+      snapshotRepository.findSnapshotById.mockResolvedValue({
+        _id: 'snap1',
+        snapshotName: 'Test',
+        createdAt: new Date('2024-01-15'),
+        attachments: [receipt],
+      });
+      snapshotRepository.getSnapshotTransactions.mockResolvedValue({
+        transactions: [{ transactionData: { transactionName: 'A' }, attachments: [receipt] }],
+      });
+
+      const { data } = await exportSnapshot('snap1', 'json');
+      const exported = JSON.parse(data);
+
+      expect(exported.snapshot.attachments).toEqual([receipt]);
+      expect(exported.transactions[0].attachments).toEqual([receipt]);
+    });
+
     test('generates CSV export', async () => {
       snapshotRepository.findSnapshotById.mockResolvedValue({
         _id: 'snap1',
@@ -444,6 +753,47 @@ describe('snapshotService', () => {
       expect(result.data).toContain('Date,Name');
     });
 
+    test('adds values and statistics in the requested currency', async () => {
+      snapshotRepository.findSnapshotById.mockResolvedValue({
+        _id: 'snap1',
+        snapshotName: 'Test',
+        createdAt: new Date('2024-01-15'),
+        fiscalBookData: {},
+        statistics: { currency: 'BRL', totalIncome: 100 },
+      });
+      snapshotRepository.getSnapshotTransactions.mockResolvedValue({
+        transactions: [
+          {
+            transactionData: {
+              transactionDate: new Date('2024-01-10T12:00:00.000Z'),
+              transactionName: 'Salary',
+              transactionValue: '100,00',
+              transactionType: 'credit',
+            },
+          },
+          {
+            transactionData: {
+              transactionDate: new Date('2023-01-10T12:00:00.000Z'),
+              transactionName: 'Old',
+              transactionValue: '10,00',
+              transactionType: 'debit',
+            },
+          },
+        ],
+      });
+
+      const json = JSON.parse((await exportSnapshot('snap1', 'json', 'USD')).data);
+      const csv = (await exportSnapshot('snap1', 'csv', 'USD')).data;
+
+      expect(json.currency).toBe('USD');
+      expect(json.snapshot.statistics).toEqual(
+        expect.objectContaining({ currency: 'USD', totalIncome: 20, unconvertedCount: 1 })
+      );
+      expect(json.transactions.map((t) => t.reportingValue)).toEqual(['20,00', null]);
+      expect(csv.split('\n')[0]).toMatch(/,Company,Value \(USD\)$/);
+      expect(csv.split('\n')[1]).toContain('"20,00"');
+    });
+
     test('throws when snapshot not found', async () => {
       snapshotRepository.findSnapshotById.mockResolvedValue(null);
 
@@ -492,13 +842,26 @@ describe('snapshotService', () => {
       });
       snapshotRepository.getSnapshotTransactions.mockResolvedValue({
         transactions: [
-          { transactionData: { transactionName: 'TX1', transactionValue: 100 } },
+          {
+            transactionData: {
+              transactionName: 'TX1',
+              transactionValue: 100,
+              reconciliationId: 'r1',
+            },
+          },
           { transactionData: { transactionName: 'TX2', transactionValue: 200 } },
         ],
       });
 
       const result = await service.cloneToNewFiscalBook('snap1', { bookName: 'Cloned Book' });
 
+      expect(MockTransactionModel.insertMany).toHaveBeenCalledWith(
+        [
+          { transactionName: 'TX1', transactionValue: 100, fiscalBookId: 'newfb1' },
+          { transactionName: 'TX2', transactionValue: 200, fiscalBookId: 'newfb1' },
+        ],
+        { session }
+      );
       expect(result._id).toBe('newfb1');
       expect(result.bookName).toBe('Cloned Book');
       expect(session.commitTransaction).toHaveBeenCalled();
@@ -540,6 +903,28 @@ describe('snapshotService', () => {
       expect(session.abortTransaction).toHaveBeenCalled();
     });
 
+    test('refuses a fiscal book with reconciled transactions', async () => {
+      snapshotRepository.findSnapshotById.mockResolvedValue({
+        _id: 'snap1',
+        originalFiscalBookId: 'fb1',
+        snapshotName: 'Test',
+      });
+      snapshotRepository.getFiscalBook.mockResolvedValue({ _id: 'fb1' });
+      snapshotRepository.getCurrentTransactions.mockResolvedValueOnce([
+        { _id: 't1' },
+        { _id: 't2', reconciliationId: 'rec1' },
+      ]);
+
+      await expect(service.rollbackToSnapshot('snap1')).rejects.toThrow(
+        service.RECONCILED_ROLLBACK_ERROR
+      );
+      expect(snapshotRepository.getCurrentTransactions).toHaveBeenCalledWith('fb1', session);
+      expect(snapshotRepository.createSnapshot).not.toHaveBeenCalled();
+      expect(MockTransactionModel.updateMany).not.toHaveBeenCalled();
+      expect(MockTransactionModel.insertMany).not.toHaveBeenCalled();
+      expect(session.abortTransaction).toHaveBeenCalled();
+    });
+
     test('rolls back to snapshot without pre-rollback snapshot', async () => {
       snapshotRepository.findSnapshotById.mockResolvedValue({
         _id: 'snap1',
@@ -561,8 +946,46 @@ describe('snapshotService', () => {
         ],
       });
 
-      const result = await service.rollbackToSnapshot('snap1', { createPreRollbackSnapshot: false });
+      MockFiscalBookModel.findByIdAndUpdate.mockResolvedValueOnce({
+        _id: 'fb1',
+        bookName: 'Original Book',
+      });
+
+      const result = await service.rollbackToSnapshot('snap1', {
+        createPreRollbackSnapshot: false,
+        actor: 'ana',
+      });
 
+      expect(MockTransactionModel.updateMany).toHaveBeenCalledWith(
+        { fiscalBookId: 'fb1' },
+        { deletedAt: expect.any(Date) },
+        { session }
+      );
+      expect(MockTransactionModel.deleteMany).not.toHaveBeenCalled();
+      expect(MockTransactionModel.bulkWrite).toHaveBeenCalledWith(
+        [
+          {
+            insertOne: {
+              document: { transactionName: 'TX1', fiscalBookId: 'fb1', deletedAt: null },
+            },
+          },
+        ],
+        { session }
+      );
+      expect(MockFiscalBookModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        'fb1',
+        expect.objectContaining({ bookName: 'Original Book' }),
+        { new: true, session }
+      );
+      expect(recordChange).toHaveBeenCalledWith({
+        documentType: 'fiscalBook',
+        documentId: 'fb1',
+        before: { _id: 'fb1' },
+        after: { _id: 'fb1', bookName: 'Original Book' },
+        actor: 'ana',
+        origin: 'rollback',
+        originDetail: 'snapshot snap1',
+      });
       expect(result.success).toBe(true);
       expect(result.fiscalBookId).toBe('fb1');
       expect(result.restoredFromSnapshot).toBe('snap1');
@@ -570,6 +993,71 @@ describe('snapshotService', () => {
       expect(session.commitTransaction).toHaveBeenCalled();
     });
 
+    test('restores snapshot transactions under their original IDs', async () => {
+      snapshotRepository.findSnapshotById.mockResolvedValue({
+        _id: 'snap1',
+        originalFiscalBookId: 'fb1',
+        fiscalBookData: { bookName: 'Book' },
+      });
+      snapshotRepository.getFiscalBook.mockResolvedValue({ _id: 'fb1' });
+      snapshotRepository.getSnapshotTransactions.mockResolvedValue({
+        transactions: [
+          {
+            originalTransactionId: 't1',
+            transactionData: { transactionName: 'TX1', transferPairId: 't2' },
+          },
+        ],
+      });
+
+      await service.rollbackToSnapshot('snap1', { createPreRollbackSnapshot: false });
+
+      expect(MockTransactionModel.bulkWrite).toHaveBeenCalledWith(
+        [
+          {
+            replaceOne: {
+              filter: { _id: 't1', deletedAt: { $nin: [] } },
+              replacement: {
+                _id: 't1',
+                transactionName: 'TX1',
+                transferPairId: 't2',
+                fiscalBookId: 'fb1',
+                deletedAt: null,
+              },
+              upsert: true,
+            },
+          },
+        ],
+        { session }
+      );
+      expect(MockTransactionModel.insertMany).not.toHaveBeenCalled();
+    });
+
+    test('rolls back a transaction with attachments under the ID they belong to', async () => {
+      snapshotRepository.findSnapshotById.mockResolvedValue({
+        _id: 'snap1',
+        originalFiscalBookId: 'fb1',
+        fiscalBookData: { bookName: 'Book' },
+      });
+      snapshotRepository.getFiscalBook.mockResolvedValue({ _id: 'fb1' });
+      snapshotRepository.getCurrentTransactions.mockResolvedValue([{ _id: 't1' }]);
+      snapshotRepository.getSnapshotTransactions.mockResolvedValue({
+        transactions: [
+          {
+            originalTransactionId: 't1',
+            attachments: [{ fileName: 'nota.pdf', contentHash: 'h1' }],
+            transactionData: { transactionName: 'TX1' },
+          },
+        ],
+      });
+
+      await service.rollbackToSnapshot('snap1', { createPreRollbackSnapshot: false });
+
+      const [[write]] = MockTransactionModel.bulkWrite.mock.calls[0];
+      expect(write.replaceOne.replacement._id).toBe('t1');
+      expect(write.replaceOne.replacement).not.toHaveProperty('attachments');
+      expect(attachmentService.releaseContent).not.toHaveBeenCalled();
+    });
+
     test('rolls back to snapshot without transactions', async () => {
       snapshotRepository.findSnapshotById.mockResolvedValue({
         _id: 'snap1',
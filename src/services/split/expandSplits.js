@@ -0,0 +1,32 @@
+/**
+ * Replace split transactions by their allocations
+ * Each allocation becomes a copy of its transaction with the allocation's
+ * category and value, a `splitNote` and the `splitParentId` it comes from,
+ * so category reports count the allocations instead of the parent. The
+ * original currency fields are dropped because they describe the whole
+ * transaction.
+ * @param {Array<Object>} transactions - Transaction documents or plain objects
+ * @returns {Array<Object>} Transactions without splits, plus allocations
+ */
+export function expandSplits(transactions = []) {
+  return transactions.flatMap((transaction) => {
+    if (!transaction.splits?.length) {
+      return [transaction];
+    }
+
+    const plain =
+      typeof transaction.toObject === 'function'
+        ? transaction.toObject()
+        : transaction;
+    const { splits, originalCurrency, originalValue, ...parent } = plain;
+    const parentId = parent.id ?? parent._id;
+
+    return splits.map((split) => ({
+      ...parent,
+      transactionCategory: split.splitCategory,
+      transactionValue: split.splitValue,
+      splitNote: split.splitNote,
+      splitParentId: parentId,
+    }));
+  });
+}
@@ -0,0 +1,47 @@
+import { expandSplits } from './expandSplits.js';
+
+describe('expandSplits', () => {
+  test('keeps transactions without splits', () => {
+    const transaction = { id: 't1', transactionValue: '10,00', splits: [] };
+
+    expect(expandSplits([transaction])).toEqual([transaction]);
+    expect(expandSplits()).toEqual([]);
+  });
+
+  test('replaces a split transaction by its allocations', () => {
+    const document = {
+      toObject: () => ({
+        _id: 't1',
+        transactionName: 'Market',
+        transactionCategory: 'c0',
+        transactionValue: '100,00',
+        originalCurrency: 'USD',
+        originalValue: '20,00',
+        splits: [
+          { splitCategory: 'c1', splitValue: '60,00', splitNote: 'food' },
+          { splitCategory: 'c2', splitValue: '40,00' },
+        ],
+      }),
+      splits: [{}, {}],
+    };
+
+    expect(expandSplits([document])).toEqual([
+      {
+        _id: 't1',
+        transactionName: 'Market',
+        transactionCategory: 'c1',
+        transactionValue: '60,00',
+        splitNote: 'food',
+        splitParentId: 't1',
+      },
+      {
+        _id: 't1',
+        transactionName: 'Market',
+        transactionCategory: 'c2',
+        transactionValue: '40,00',
+        splitNote: undefined,
+        splitParentId: 't1',
+      },
+    ]);
+  });
+});
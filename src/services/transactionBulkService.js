@@ -0,0 +1,276 @@
+import mongoose from 'mongoose';
+import * as transactionRepository from '../repository/transactionRepository.js';
+import * as categoryRepository from '../repository/categoryRepository.js';
+import * as companyRepository from '../repository/companyRepository.js';
+import * as fiscalBookRepository from '../repository/fiscalBookRepository.js';
+import {
+  MAX_BULK_UPDATE_SIZE,
+  validateBulkUpdateData,
+} from '../infrastructure/validators/transactionBulkUpdateValidator.js';
+import { parseTransactionSearchQuery } from '../infrastructure/validators/transactionSearchValidator.js';
+import { validateTransactionFiscalBookRelationship } from '../infrastructure/validators/fiscalBookValidator.js';
+import {
+  RECONCILED_TRANSACTION_ERROR,
+  isReconciled,
+} from './reconciliation/reconciliationLock.js';
+import { recordChange } from './auditService.js';
+
+/**
+ * Resolve the transaction ids selected by a bulk update
+ * @param {Object} bulkData - Validated bulk update data
+ * @returns {Promise<Array<string>>} Unique transaction ids
+ */
+async function resolveTransactionIds({ ids, filter }) {
+  if (ids) {
+    return [...new Set(ids.map(String))];
+  }
+
+  const { isValid, errors, criteria } = parseTransactionSearchQuery(filter);
+  if (!isValid) {
+    throw new Error(`Invalid bulk update data: ${errors.join(', ')}`);
+  }
+
+  const matchedIds = await transactionRepository.findIdsBySearch(
+    criteria,
+    MAX_BULK_UPDATE_SIZE + 1
+  );
+  if (matchedIds.length > MAX_BULK_UPDATE_SIZE) {
+    throw new Error(
+      `Invalid bulk update data: filter matches more than ${MAX_BULK_UPDATE_SIZE} transactions`
+    );
+  }
+  return matchedIds;
+}
+
+/**
+ * Load the category, fiscal book and company referenced by the changes
+ * @param {Object} changes - Fields to change
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} Referenced fiscal book and company
+ */
+async function loadReferences(changes, session) {
+  if (changes.transactionCategory) {
+    const category = await categoryRepository.findById(
+      changes.transactionCategory
+    );
+    if (!category) {
+      throw new Error('Category not found');
+    }
+  }
+
+  let fiscalBook = null;
+  if (changes.fiscalBookId) {
+    fiscalBook = await fiscalBookRepository.findById(
+      changes.fiscalBookId,
+      session
+    );
+    if (!fiscalBook) {
+      throw new Error('Fiscal book not found');
+    }
+  }
+
+  let company = null;
+  if (changes.companyId) {
+    company = await companyRepository.findById(changes.companyId);
+    if (!company) {
+      throw new Error('Company not found');
+    }
+  }
+
+  return { fiscalBook, company };
+}
+
+/**
+ * Build the update applied to every selected transaction
+ * Null or empty values clear the field; a company also sets the
+ * denormalized companyName and companyCnpj, and clearing it clears them.
+ * @param {Object} changes - Fields to change
+ * @param {Object|null} company - Company referenced by the changes
+ * @returns {Object} MongoDB update
+ */
+export function buildBulkUpdate(changes, company = null) {
+  const $set = {};
+  const $unset = {};
+
+  Object.entries(changes).forEach(([field, value]) => {
+    if (value === null || value === '') {
+      $unset[field] = '';
+    } else {
+      $set[field] = value;
+    }
+  });
+
+  if (company) {
+    $set.companyName = company.companyName;
+    $set.companyCnpj = company.companyCnpj;
+  } else if ('companyId' in $unset) {
+    $unset.companyName = '';
+    $unset.companyCnpj = '';
+  }
+
+  const update = {};
+  if (Object.keys($set).length > 0) update.$set = $set;
+  if (Object.keys($unset).length > 0) update.$unset = $unset;
+  return update;
+}
+
+/**
+ * Find the fiscal book a transaction is checked against
+ * A new company is checked against the fiscal book the transaction already
+ * belongs to when the changes keep it there.
+ * @param {Object} transaction - Transaction before the update
+ * @param {Object} changes - Fields to change
+ * @param {Object|null} fiscalBook - Fiscal book referenced by the changes
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object|null>} Fiscal book to check, or null
+ */
+async function fiscalBookToCheck(transaction, changes, fiscalBook, session) {
+  if (fiscalBook) {
+    return fiscalBook;
+  }
+  if (
+    !changes.companyId ||
+    changes.fiscalBookId !== undefined ||
+    !transaction.fiscalBookId
+  ) {
+    return null;
+  }
+  return fiscalBookRepository.findById(transaction.fiscalBookId, session);
+}
+
+/**
+ * Apply the update to one transaction
+ * Missing, reconciled or invalid transactions fail on their own; read and write errors
+ * are thrown, since MongoDB aborts the session transaction on them. The states
+ * before and after an applied update are added to `updated` for the audit log.
+ * @returns {Promise<Object>} Per-id result
+ */
+async function updateTransaction(id, update, changes, fiscalBook, session, updated) {
+  const transaction = await transactionRepository.findById(id, session);
+  if (!transaction) {
+    return { id, success: false, error: 'Transaction not found' };
+  }
+  if (isReconciled(transaction)) {
+    return { id, success: false, error: RECONCILED_TRANSACTION_ERROR };
+  }
+
+  const book = await fiscalBookToCheck(transaction, changes, fiscalBook, session);
+  if (book) {
+    const validation = validateTransactionFiscalBookRelationship(book, {
+      transactionPeriod: transaction.transactionPeriod || '',
+      companyId:
+        changes.companyId !== undefined
+          ? changes.companyId
+          : transaction.companyId,
+    });
+    if (!validation.isValid) {
+      return { id, success: false, error: validation.errors.join(', ') };
+    }
+  }
+
+  const after = await transactionRepository.updateById(id, update, session);
+  updated.push({ id, before: transaction, after });
+  return { id, success: true };
+}
+
+/**
+ * Apply a partial update to many transactions in one MongoDB session
+ * Transactions are selected by explicit `ids` or by a search `filter`. Each
+ * transaction gets its own result; with `stopOnError` the first failure
+ * aborts the session, rolling back every update of the batch. A database
+ * error always aborts the batch, since the session can no longer commit.
+ * @param {Object} bulkData - Bulk update request
+ * @param {Array<string>} bulkData.ids - Transaction ids
+ * @param {Object} bulkData.filter - Transaction search query parameters
+ * @param {Object} bulkData.changes - Fields to change (category, status, payment method, location, fiscal book, company)
+ * @param {boolean} bulkData.stopOnError - Fail the whole batch on the first error
+ * @param {Object} audit - Audit context of the update (actor, originDetail)
+ * @returns {Promise<Object>} Counts, aborted flag and per-id results
+ */
+export async function bulkUpdateTransactions(bulkData = {}, audit = {}) {
+  const validation = validateBulkUpdateData(bulkData);
+  if (!validation.isValid) {
+    throw new Error(
+      `Invalid bulk update data: ${validation.errors.join(', ')}`
+    );
+  }
+
+  const { changes } = bulkData;
+  const stopOnError = bulkData.stopOnError === true;
+  const ids = await resolveTransactionIds(bulkData);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { fiscalBook, company } = await loadReferences(changes, session);
+    const update = buildBulkUpdate(changes, company);
+
+    const results = [];
+    const updated = [];
+    let writeFailed = false;
+    for (const id of ids) {
+      try {
+        results.push(
+          await updateTransaction(id, update, changes, fiscalBook, session, updated)
+        );
+      } catch (error) {
+        results.push({ id, success: false, error: error.message });
+        writeFailed = true;
+        break;
+      }
+      if (!results[results.length - 1].success && stopOnError) {
+        break;
+      }
+    }
+
+    const failedCount = results.filter((result) => !result.success).length;
+
+    if (writeFailed || (stopOnError && failedCount > 0)) {
+      await session.abortTransaction();
+      const processed = results.map((result) =>
+        result.success
+          ? { id: result.id, success: false, error: 'Rolled back' }
+          : result
+      );
+      const skipped = ids
+        .slice(results.length)
+        .map((id) => ({ id, success: false, error: 'Not processed' }));
+
+      return {
+        total: ids.length,
+        updatedCount: 0,
+        failedCount: ids.length,
+        aborted: true,
+        results: [...processed, ...skipped],
+      };
+    }
+
+    await session.commitTransaction();
+
+    // recorded once committed, so rolled back batches leave no entries
+    for (const { id, before, after } of updated) {
+      await recordChange({
+        documentType: 'transaction',
+        documentId: id,
+        before,
+        after,
+        ...audit,
+        origin: 'bulk',
+      });
+    }
+
+    return {
+      total: ids.length,
+      updatedCount: results.length - failedCount,
+      failedCount,
+      aborted: false,
+      results,
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+}
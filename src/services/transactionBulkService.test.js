@@ -0,0 +1,381 @@
+import { jest } from '@jest/globals';
+
+const transactionRepository = {
+  findById: jest.fn(),
+  updateById: jest.fn(),
+  findIdsBySearch: jest.fn(),
+};
+const categoryRepository = { findById: jest.fn() };
+const companyRepository = { findById: jest.fn() };
+const fiscalBookRepository = { findById: jest.fn() };
+const startSession = jest.fn();
+const recordChange = jest.fn();
+
+jest.unstable_mockModule('mongoose', () => ({
+  default: { startSession },
+}));
+
+jest.unstable_mockModule('../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+
+jest.unstable_mockModule('../repository/categoryRepository.js', () => ({
+  ...categoryRepository,
+}));
+
+jest.unstable_mockModule('../repository/companyRepository.js', () => ({
+  ...companyRepository,
+}));
+
+jest.unstable_mockModule('../repository/fiscalBookRepository.js', () => ({
+  ...fiscalBookRepository,
+}));
+
+jest.unstable_mockModule('./auditService.js', () => ({ recordChange }));
+
+const { bulkUpdateTransactions, buildBulkUpdate } = await import(
+  './transactionBulkService.js'
+);
+
+const categoryId = '507f1f77bcf86cd799439011';
+const fiscalBookId = '507f1f77bcf86cd799439012';
+const companyId = '507f1f77bcf86cd799439013';
+
+describe('transactionBulkService', () => {
+  let session;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn(),
+    };
+    startSession.mockResolvedValue(session);
+    transactionRepository.findById.mockImplementation(async (id) => {
+      if (id === 'missing') return null;
+      return {
+        id,
+        transactionPeriod: '2024-03',
+        reconciliationId: id === 'locked' ? 'r1' : undefined,
+      };
+    });
+    transactionRepository.updateById.mockImplementation(async (id) => ({ id }));
+    categoryRepository.findById.mockResolvedValue({ id: categoryId });
+  });
+
+  test('buildBulkUpdate sets values, clears nulls and copies the company', () => {
+    expect(
+      buildBulkUpdate(
+        { transactionStatus: 'concluded', fiscalBookId: null, companyId },
+        { companyName: 'Acme', companyCnpj: '12345678000195' }
+      )
+    ).toEqual({
+      $set: {
+        transactionStatus: 'concluded',
+        companyId,
+        companyName: 'Acme',
+        companyCnpj: '12345678000195',
+      },
+      $unset: { fiscalBookId: '' },
+    });
+    expect(buildBulkUpdate({ transactionCategory: '' })).toEqual({
+      $unset: { transactionCategory: '' },
+    });
+  });
+
+  test('buildBulkUpdate clears the company name and CNPJ with the company', () => {
+    expect(buildBulkUpdate({ companyId: null })).toEqual({
+      $unset: { companyId: '', companyName: '', companyCnpj: '' },
+    });
+  });
+
+  test('updates every id in one session and reports failures per id', async () => {
+    const result = await bulkUpdateTransactions(
+      {
+        ids: ['t1', 'missing', 'locked', 't2', 't1'],
+        changes: { transactionCategory: categoryId },
+      },
+      { actor: 'ana', origin: 'api', originDetail: 'PATCH /api/transaction/bulk' }
+    );
+
+    expect(transactionRepository.updateById).toHaveBeenCalledWith(
+      't1',
+      { $set: { transactionCategory: categoryId } },
+      session
+    );
+    expect(transactionRepository.updateById).not.toHaveBeenCalledWith(
+      'locked',
+      expect.anything(),
+      session
+    );
+    expect(result).toEqual({
+      total: 4,
+      updatedCount: 2,
+      failedCount: 2,
+      aborted: false,
+      results: [
+        { id: 't1', success: true },
+        { id: 'missing', success: false, error: 'Transaction not found' },
+        {
+          id: 'locked',
+          success: false,
+          error:
+            'Transaction is reconciled: undo the reconciliation before changing it',
+        },
+        { id: 't2', success: true },
+      ],
+    });
+    expect(session.commitTransaction).toHaveBeenCalled();
+    expect(session.abortTransaction).not.toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+    expect(recordChange).toHaveBeenCalledTimes(2);
+    expect(recordChange).toHaveBeenCalledWith({
+      documentType: 'transaction',
+      documentId: 't2',
+      before: { id: 't2', transactionPeriod: '2024-03', reconciliationId: undefined },
+      after: { id: 't2' },
+      actor: 'ana',
+      origin: 'bulk',
+      originDetail: 'PATCH /api/transaction/bulk',
+    });
+  });
+
+  test('aborts the whole batch when a write fails', async () => {
+    transactionRepository.updateById.mockImplementation(async (id) => {
+      if (id === 'broken') throw new Error('update failed');
+      return { id };
+    });
+
+    const result = await bulkUpdateTransactions({
+      ids: ['t1', 'broken', 't2'],
+      changes: { transactionCategory: categoryId },
+    });
+
+    expect(transactionRepository.findById).not.toHaveBeenCalledWith(
+      't2',
+      session
+    );
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+    expect(result).toEqual({
+      total: 3,
+      updatedCount: 0,
+      failedCount: 3,
+      aborted: true,
+      results: [
+        { id: 't1', success: false, error: 'Rolled back' },
+        { id: 'broken', success: false, error: 'update failed' },
+        { id: 't2', success: false, error: 'Not processed' },
+      ],
+    });
+    expect(recordChange).not.toHaveBeenCalled();
+  });
+
+  test('aborts the whole batch on the first error with stopOnError', async () => {
+    const result = await bulkUpdateTransactions({
+      ids: ['t1', 'missing', 't2'],
+      changes: { transactionStatus: 'refunded' },
+      stopOnError: true,
+    });
+
+    expect(transactionRepository.findById).not.toHaveBeenCalledWith(
+      't2',
+      session
+    );
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+    expect(result).toEqual({
+      total: 3,
+      updatedCount: 0,
+      failedCount: 3,
+      aborted: true,
+      results: [
+        { id: 't1', success: false, error: 'Rolled back' },
+        { id: 'missing', success: false, error: 'Transaction not found' },
+        { id: 't2', success: false, error: 'Not processed' },
+      ],
+    });
+  });
+
+  test('commits with stopOnError when every update succeeds', async () => {
+    const result = await bulkUpdateTransactions({
+      ids: ['t1'],
+      changes: { paymentMethod: 'pix' },
+      stopOnError: true,
+    });
+
+    expect(result.updatedCount).toBe(1);
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+
+  test('selects transactions with a search filter', async () => {
+    transactionRepository.findIdsBySearch.mockResolvedValue(['t1', 't2']);
+
+    const result = await bulkUpdateTransactions({
+      filter: { source: 'nubank', type: 'debit' },
+      changes: { transactionLocation: 'online' },
+    });
+
+    expect(transactionRepository.findIdsBySearch).toHaveBeenCalledWith(
+      expect.objectContaining({ source: 'nubank', type: 'debit' }),
+      1001
+    );
+    expect(result.updatedCount).toBe(2);
+  });
+
+  test('rejects invalid data, invalid filters and oversized selections', async () => {
+    await expect(bulkUpdateTransactions()).rejects.toThrow(
+      'Invalid bulk update data: ids or filter is required'
+    );
+    await expect(
+      bulkUpdateTransactions({
+        filter: { type: 'transfer' },
+        changes: { paymentMethod: 'pix' },
+      })
+    ).rejects.toThrow('Invalid bulk update data: Invalid transaction type');
+
+    transactionRepository.findIdsBySearch.mockResolvedValue(
+      Array.from({ length: 1001 }, (_, i) => `t${i}`)
+    );
+    await expect(
+      bulkUpdateTransactions({
+        filter: { source: 'nubank' },
+        changes: { paymentMethod: 'pix' },
+      })
+    ).rejects.toThrow(
+      'Invalid bulk update data: filter matches more than 1000 transactions'
+    );
+    expect(startSession).not.toHaveBeenCalled();
+  });
+
+  test('validates the fiscal book relationship of each transaction', async () => {
+    fiscalBookRepository.findById.mockResolvedValue({
+      bookPeriod: '2024',
+      status: 'Aberto',
+      companyId,
+    });
+    companyRepository.findById.mockResolvedValue({
+      companyName: 'Acme',
+      companyCnpj: '12345678000195',
+    });
+    transactionRepository.findById.mockImplementation(async (id) => ({
+      id,
+      transactionPeriod: id === 'old' ? '2023-12' : '2024-05',
+      companyId: 'other',
+    }));
+
+    const withCompany = await bulkUpdateTransactions({
+      ids: ['t1', 'old'],
+      changes: { fiscalBookId, companyId },
+    });
+
+    expect(withCompany.results).toEqual([
+      { id: 't1', success: true },
+      {
+        id: 'old',
+        success: false,
+        error: 'Transaction period (2023-12) is not in book year (2024)',
+      },
+    ]);
+    expect(transactionRepository.updateById).toHaveBeenCalledWith(
+      't1',
+      {
+        $set: {
+          fiscalBookId,
+          companyId,
+          companyName: 'Acme',
+          companyCnpj: '12345678000195',
+        },
+      },
+      session
+    );
+
+    const keepingCompany = await bulkUpdateTransactions({
+      ids: ['t2'],
+      changes: { fiscalBookId },
+    });
+    expect(keepingCompany.results[0]).toEqual({
+      id: 't2',
+      success: false,
+      error: 'Transaction company does not match fiscal book company',
+    });
+
+    transactionRepository.findById.mockResolvedValue({ id: 't3' });
+    fiscalBookRepository.findById.mockResolvedValue({
+      bookPeriod: '2024',
+      status: 'Aberto',
+    });
+    const withoutPeriod = await bulkUpdateTransactions({
+      ids: ['t3'],
+      changes: { fiscalBookId },
+    });
+    expect(withoutPeriod.results[0].success).toBe(false);
+  });
+
+  test('checks a new company against the fiscal book the transaction is in', async () => {
+    const otherCompany = '507f1f77bcf86cd799439014';
+    companyRepository.findById.mockResolvedValue({
+      companyName: 'Other',
+      companyCnpj: '11222333000181',
+    });
+    fiscalBookRepository.findById.mockResolvedValue({
+      bookPeriod: '2024',
+      status: 'Aberto',
+      companyId,
+    });
+    transactionRepository.findById.mockImplementation(async (id) => ({
+      id,
+      transactionPeriod: '2024-05',
+      fiscalBookId: id === 'booked' ? 'fb1' : undefined,
+    }));
+
+    const result = await bulkUpdateTransactions({
+      ids: ['booked', 'loose'],
+      changes: { companyId: otherCompany },
+    });
+
+    expect(fiscalBookRepository.findById).toHaveBeenCalledTimes(1);
+    expect(fiscalBookRepository.findById).toHaveBeenCalledWith('fb1', session);
+    expect(result.results).toEqual([
+      {
+        id: 'booked',
+        success: false,
+        error: 'Transaction company does not match fiscal book company',
+      },
+      { id: 'loose', success: true },
+    ]);
+
+    await bulkUpdateTransactions({
+      ids: ['booked'],
+      changes: { companyId: otherCompany, fiscalBookId: null },
+    });
+    await bulkUpdateTransactions({ ids: ['booked'], changes: { companyId: null } });
+    expect(fiscalBookRepository.findById).toHaveBeenCalledTimes(1);
+  });
+
+  test('aborts when a referenced category, fiscal book or company is missing', async () => {
+    categoryRepository.findById.mockResolvedValueOnce(null);
+    await expect(
+      bulkUpdateTransactions({
+        ids: ['t1'],
+        changes: { transactionCategory: categoryId },
+      })
+    ).rejects.toThrow('Category not found');
+
+    fiscalBookRepository.findById.mockResolvedValueOnce(null);
+    await expect(
+      bulkUpdateTransactions({ ids: ['t1'], changes: { fiscalBookId } })
+    ).rejects.toThrow('Fiscal book not found');
+
+    companyRepository.findById.mockResolvedValueOnce(null);
+    await expect(
+      bulkUpdateTransactions({ ids: ['t1'], changes: { companyId } })
+    ).rejects.toThrow('Company not found');
+
+    expect(session.abortTransaction).toHaveBeenCalledTimes(3);
+    expect(session.endSession).toHaveBeenCalledTimes(3);
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+  });
+});
@@ -13,13 +13,76 @@ import {
   findByFiscalBookId,
   updateFiscalBookForTransactions,
   removeFiscalBookFromTransactions,
+  search,
 } from '../repository/transactionRepository.js';
 import * as fiscalBookRepository from '../repository/fiscalBookRepository.js';
 import { transactionPrototype } from './prototype/transactionPrototype.js';
+import { parseTransactionSearchQuery } from '../infrastructure/validators/transactionSearchValidator.js';
+import { bulkUpdateTransactions as applyBulkUpdate } from './transactionBulkService.js';
+import { getCategorySuggestions } from './categorySuggestionService.js';
+import {
+  getTransactionSplits,
+  splitTransaction,
+  removeTransactionSplits,
+} from './transactionSplitService.js';
+import { toMonetaryCents } from '../infrastructure/monetary/monetaryUtils.js';
+import { resolveSourceAccountId } from './accountService.js';
+import { validateAccessKey } from '../infrastructure/validators/index.js';
+import {
+  recordChange,
+  recordDeletion,
+  requestAuditContext,
+} from './auditService.js';
+import {
+  RECONCILED_TRANSACTION_ERROR,
+  isReconciled,
+} from './reconciliation/reconciliationLock.js';
+
+/**
+ * Validate the fiscal note access key of a transaction
+ * A valid key is stored as digits only, whatever its grouping on input.
+ * @param {Object} transactionObject - Transaction built from the request
+ * @returns {Array<string>} Access key errors, empty when absent or valid
+ */
+const normalizeFiscalNote = (transactionObject) => {
+  if (!transactionObject.transactionFiscalNote) {
+    return [];
+  }
+  const { isValid, errors, decoded } = validateAccessKey(
+    transactionObject.transactionFiscalNote
+  );
+  if (isValid) {
+    transactionObject.transactionFiscalNote = decoded.accessKey;
+  }
+  return errors;
+};
+
+/**
+ * Refuse a change to a reconciled transaction
+ * Reconciled transactions are locked until the reconciliation is undone.
+ * @param {Object} res - Express response object
+ */
+const sendReconciledConflict = (res) =>
+  res.status(409).send({
+    message: 'Transaction conciliada: desfaça a conciliação antes de editar',
+  });
 
 export const insertTransaction = async (req, res) => {
   try {
     let transactionObject = transactionPrototype(req.body);
+    const fiscalNoteErrors = normalizeFiscalNote(transactionObject);
+    if (fiscalNoteErrors.length > 0) {
+      return res.status(400).send({
+        message: 'Chave de acesso da nota fiscal inválida',
+        errors: fiscalNoteErrors,
+      });
+    }
+    // transactions without account go to the account of their source
+    if (!transactionObject.accountId) {
+      transactionObject.accountId = await resolveSourceAccountId(
+        transactionObject.transactionSource
+      );
+    }
     const transaction = await insert(transactionObject);
     res.send(transaction);
   } catch (error) {
@@ -29,6 +92,66 @@ export const insertTransaction = async (req, res) => {
   }
 };
 
+/**
+ * Search transactions with query filters and offset pagination
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const searchTransactions = async (req, res) => {
+  const { isValid, errors, criteria } = parseTransactionSearchQuery(req.query);
+  if (!isValid) {
+    return res.status(400).send({
+      message: 'Parâmetros de busca inválidos',
+      errors,
+    });
+  }
+
+  try {
+    const result = await search(criteria);
+    res.send({
+      transactions: result.transactions,
+      pagination: {
+        total: result.total,
+        limit: result.limit,
+        skip: result.skip,
+        hasMore: result.skip + result.transactions.length < result.total,
+      },
+    });
+  } catch (error) {
+    res.status(500).send({
+      message: error.message || 'Erro ao buscar transactions',
+    });
+  }
+};
+
+/**
+ * Update the category, status, payment method, location, fiscal book or
+ * company of many transactions at once
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const bulkUpdateTransactions = async (req, res) => {
+  try {
+    const result = await applyBulkUpdate(req.body, requestAuditContext(req));
+    res.send(result);
+  } catch (error) {
+    const message = error.message || '';
+    if (message.includes('Invalid bulk update data')) {
+      return res.status(400).send({ message });
+    }
+    if (
+      ['Category not found', 'Fiscal book not found', 'Company not found'].includes(
+        message
+      )
+    ) {
+      return res.status(404).send({ message });
+    }
+    res.status(500).send({
+      message: message || 'Erro ao atualizar transactions em lote',
+    });
+  }
+};
+
 export const findTransactionById = async (req, res) => {
   let id = req.params.id;
   try {
@@ -72,10 +195,45 @@ export const updateTransactionById = async (req, res) => {
 
   let transactionObject = transactionPrototype(req.body);
   try {
+    const current = await findById(id);
+    if (isReconciled(current)) {
+      return sendReconciledConflict(res);
+    }
+    // a key saved before validation existed is kept when sent back unchanged
+    const fiscalNoteErrors =
+      transactionObject.transactionFiscalNote === current?.transactionFiscalNote
+        ? []
+        : normalizeFiscalNote(transactionObject);
+    if (fiscalNoteErrors.length > 0) {
+      return res.status(400).send({
+        message: 'Chave de acesso da nota fiscal inválida',
+        errors: fiscalNoteErrors,
+      });
+    }
+    // a split transaction keeps its value until the allocations change
+    if (
+      transactionObject.transactionValue !== undefined &&
+      current?.splits?.length > 0 &&
+      toMonetaryCents(transactionObject.transactionValue) !==
+        toMonetaryCents(current.transactionValue)
+    ) {
+      return res.status(400).send({
+        message:
+          'Transaction dividida: altere ou remova a divisão antes de mudar o valor',
+      });
+    }
+
     let transaction = await updateById(id, transactionObject);
     if (!transaction) {
       return res.status(404).send({ message: 'Transaction não encontrada' });
     }
+    await recordChange({
+      documentType: 'transaction',
+      documentId: id,
+      before: current,
+      after: transaction,
+      ...requestAuditContext(req),
+    });
     res.send({ message: 'Transaction atualizada com sucesso' });
   } catch (error) {
     res.status(500).send({ message: 'Erro ao atualizar a transaction: ' + id });
@@ -85,10 +243,22 @@ export const updateTransactionById = async (req, res) => {
 export const deleteTransactionById = async (req, res) => {
   const id = req.params.id;
   try {
+    const current = await findById(id);
+    if (isReconciled(current)) {
+      return sendReconciledConflict(res);
+    }
     const transaction = await deleteById(id);
     if (!transaction) {
       return res.status(404).send({ message: 'Transaction não encontrada' });
     } else {
+      await recordChange({
+        documentType: 'transaction',
+        documentId: transaction.id,
+        before: current,
+        after: transaction,
+        ...requestAuditContext(req),
+        origin: 'trash',
+      });
       res.send({ message: 'Transaction excluida com sucesso' });
     }
   } catch (error) {
@@ -101,10 +271,22 @@ export const deleteTransactionById = async (req, res) => {
 export const separateTransactionById = async (req, res) => {
   const id = req.params.id;
   try {
+    const current = await findById(id);
+    if (isReconciled(current)) {
+      return sendReconciledConflict(res);
+    }
     const transaction = await separateById(id);
     if (!transaction) {
       return res.status(404).send({ message: 'Transaction não encontrada' });
     } else {
+      await recordChange({
+        documentType: 'transaction',
+        documentId: id,
+        before: current,
+        after: transaction,
+        ...requestAuditContext(req),
+        origin: 'trash',
+      });
       res.send({ message: 'Transaction separada com sucesso' });
     }
   } catch (error) {
@@ -114,6 +296,73 @@ export const separateTransactionById = async (req, res) => {
   }
 };
 
+/**
+ * Map split service errors to HTTP responses
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the split service
+ * @param {string} fallback - Message used for unexpected errors
+ */
+const sendSplitError = (res, error, fallback) => {
+  const message = error.message || '';
+  if (message === 'Transaction not found') {
+    return res.status(404).send({ message: 'Transaction não encontrada' });
+  }
+  if (message === RECONCILED_TRANSACTION_ERROR) {
+    return sendReconciledConflict(res);
+  }
+  if (message.includes('Invalid split data')) {
+    return res.status(400).send({ message });
+  }
+  res.status(500).send({ message: message || fallback });
+};
+
+/**
+ * Get the category allocations of a transaction
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const findTransactionSplits = async (req, res) => {
+  try {
+    res.send(await getTransactionSplits(req.params.id));
+  } catch (error) {
+    sendSplitError(res, error, 'Erro ao buscar a divisão da transaction');
+  }
+};
+
+/**
+ * Split a transaction across categories, replacing any previous split
+ * @param {Object} req - Express request object with `splits` in the body
+ * @param {Object} res - Express response object
+ */
+export const updateTransactionSplits = async (req, res) => {
+  try {
+    res.send(
+      await splitTransaction(
+        req.params.id,
+        req.body?.splits,
+        requestAuditContext(req)
+      )
+    );
+  } catch (error) {
+    sendSplitError(res, error, 'Erro ao dividir a transaction');
+  }
+};
+
+/**
+ * Undo the split of a transaction
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const removeTransactionSplitsById = async (req, res) => {
+  try {
+    res.send(
+      await removeTransactionSplits(req.params.id, requestAuditContext(req))
+    );
+  } catch (error) {
+    sendSplitError(res, error, 'Erro ao remover a divisão da transaction');
+  }
+};
+
 export const removeAllTransactionsInPeriod = async (req, res) => {
   const period = req.params.transactionPeriod;
 
@@ -124,7 +373,16 @@ export const removeAllTransactionsInPeriod = async (req, res) => {
   }
 
   try {
-    await deleteAllInPeriod(period);
+    const { ids, deletedAt } = await deleteAllInPeriod(period);
+    const audit = { ...requestAuditContext(req), origin: 'trash' };
+    for (const id of ids) {
+      await recordDeletion({
+        documentType: 'transaction',
+        documentId: id,
+        deletedAt,
+        ...audit,
+      });
+    }
     res.send({ message: `Transactions excluidos` });
   } catch (error) {
     res.status(500).send({
@@ -270,10 +528,21 @@ export const updateTransactionFiscalBook = async (req, res) => {
         ? { $unset: { fiscalBookId: '' } }
         : { fiscalBookId };
 
+    const current = await findById(id);
+    if (isReconciled(current)) {
+      return sendReconciledConflict(res);
+    }
     const transaction = await updateById(id, updateData);
     if (!transaction) {
       return res.status(404).send({ message: 'Transaction not found' });
     }
+    await recordChange({
+      documentType: 'transaction',
+      documentId: id,
+      before: current,
+      after: transaction,
+      ...requestAuditContext(req),
+    });
 
     res.send({ message: 'Transaction fiscal book updated successfully' });
   } catch (error) {
@@ -284,3 +553,20 @@ export const updateTransactionFiscalBook = async (req, res) => {
       });
   }
 };
+
+export const findTransactionCategorySuggestions = async (req, res) => {
+  const id = req.params.id;
+  const limit = parseInt(req.query?.limit) || 3;
+
+  try {
+    const suggestions = await getCategorySuggestions(id, { limit });
+    res.send(suggestions);
+  } catch (error) {
+    if (error.message === 'Transaction not found') {
+      return res.status(404).send({ message: 'Transaction não encontrada' });
+    }
+    res.status(500).send({
+      message: error.message || 'Erro ao sugerir categorias da transaction',
+    });
+  }
+};
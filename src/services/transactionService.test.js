@@ -14,6 +14,7 @@ const transactionRepository = {
   findByFiscalBookId: jest.fn(),
   updateFiscalBookForTransactions: jest.fn(),
   removeFiscalBookFromTransactions: jest.fn(),
+  search: jest.fn(),
 };
 
 const fiscalBookRepository = {
@@ -25,8 +26,25 @@ const transactionPrototype = jest.fn((body) => ({
   normalized: true,
 }));
 
+const getCategorySuggestions = jest.fn();
+
+const applyBulkUpdate = jest.fn();
+
+const resolveSourceAccountId = jest.fn();
+
+const splitService = {
+  getTransactionSplits: jest.fn(),
+  splitTransaction: jest.fn(),
+  removeTransactionSplits: jest.fn(),
+};
+
 const logger = { error: jest.fn() };
 
+const recordChange = jest.fn();
+const recordDeletion = jest.fn();
+const auditContext = { actor: 'ana', origin: 'api' };
+const requestAuditContext = jest.fn(() => auditContext);
+
 jest.unstable_mockModule('../config/logger.js', () => ({
   default: logger,
 }));
@@ -43,6 +61,28 @@ jest.unstable_mockModule('./prototype/transactionPrototype.js', () => ({
   transactionPrototype,
 }));
 
+jest.unstable_mockModule('./categorySuggestionService.js', () => ({
+  getCategorySuggestions,
+}));
+
+jest.unstable_mockModule('./transactionBulkService.js', () => ({
+  bulkUpdateTransactions: applyBulkUpdate,
+}));
+
+jest.unstable_mockModule('./accountService.js', () => ({
+  resolveSourceAccountId,
+}));
+
+jest.unstable_mockModule('./transactionSplitService.js', () => ({
+  ...splitService,
+}));
+
+jest.unstable_mockModule('./auditService.js', () => ({
+  recordChange,
+  recordDeletion,
+  requestAuditContext,
+}));
+
 const service = await import('./transactionService.js');
 const {
   insertTransaction,
@@ -58,6 +98,12 @@ const {
   assignTransactionsToFiscalBook,
   removeTransactionsFromFiscalBook,
   updateTransactionFiscalBook,
+  findTransactionCategorySuggestions,
+  searchTransactions,
+  bulkUpdateTransactions,
+  findTransactionSplits,
+  updateTransactionSplits,
+  removeTransactionSplitsById,
 } = service;
 
 const createRes = () => {
@@ -76,16 +122,30 @@ describe('transactionService', () => {
     transactionRepository.insert.mockResolvedValue({ id: 't1' });
     const res = createRes();
 
+    resolveSourceAccountId.mockResolvedValue('acc-1');
     await insertTransaction({ body: { amount: 10 } }, res);
 
     expect(transactionPrototype).toHaveBeenCalledWith({ amount: 10 });
     expect(transactionRepository.insert).toHaveBeenCalledWith({
       amount: 10,
       normalized: true,
+      accountId: 'acc-1',
     });
     expect(res.send).toHaveBeenCalledWith({ id: 't1' });
   });
 
+  test('insertTransaction keeps the account sent by the client', async () => {
+    transactionRepository.insert.mockResolvedValue({ id: 't1' });
+    const res = createRes();
+
+    await insertTransaction({ body: { amount: 10, accountId: 'acc-2' } }, res);
+
+    expect(resolveSourceAccountId).not.toHaveBeenCalled();
+    expect(transactionRepository.insert).toHaveBeenCalledWith(
+      expect.objectContaining({ accountId: 'acc-2' })
+    );
+  });
+
   test('insertTransaction handles errors', async () => {
     transactionRepository.insert.mockRejectedValue(new Error('fail'));
     const res = createRes();
@@ -196,6 +256,7 @@ describe('transactionService', () => {
 
   test('updateTransactionById updates transaction', async () => {
     transactionRepository.updateById.mockResolvedValue({ id: 't1' });
+    transactionRepository.findById.mockResolvedValue({ id: 't1' });
     const res = createRes();
 
     await updateTransactionById(
@@ -213,8 +274,30 @@ describe('transactionService', () => {
     );
   });
 
+  test('updateTransactionById records the change in the history', async () => {
+    transactionRepository.findById.mockResolvedValueOnce({ id: 't1', amount: 5 });
+    transactionRepository.updateById.mockResolvedValueOnce({ id: 't1', amount: 10 });
+    const req = { params: { id: 't1' }, body: { amount: 10 } };
+
+    await updateTransactionById(req, createRes());
+
+    expect(requestAuditContext).toHaveBeenCalledWith(req);
+    expect(recordChange).toHaveBeenCalledWith({
+      documentType: 'transaction',
+      documentId: 't1',
+      before: { id: 't1', amount: 5 },
+      after: { id: 't1', amount: 10 },
+      ...auditContext,
+    });
+
+    transactionRepository.updateById.mockResolvedValueOnce(null);
+    await updateTransactionById(req, createRes());
+    expect(recordChange).toHaveBeenCalledTimes(1);
+  });
+
   test('updateTransactionById returns 404 when missing', async () => {
     transactionRepository.updateById.mockResolvedValue(null);
+    transactionRepository.findById.mockResolvedValue({ id: 't1' });
     const res = createRes();
 
     await updateTransactionById(
@@ -237,17 +320,194 @@ describe('transactionService', () => {
     expect(res.status).toHaveBeenCalledWith(500);
   });
 
-  test('deleteTransactionById deletes transaction', async () => {
+  test('updateTransactionById keeps the value of a split transaction', async () => {
+    transactionRepository.findById.mockResolvedValue({
+      transactionValue: '100,00',
+      splits: [{ splitValue: '60,00' }, { splitValue: '40,00' }],
+    });
+    transactionRepository.updateById.mockResolvedValue({ id: 't1' });
+    const res = createRes();
+
+    await updateTransactionById(
+      { params: { id: 't1' }, body: { transactionValue: '90,00' } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+
+    await updateTransactionById(
+      { params: { id: 't1' }, body: { transactionValue: '100,00' } },
+      res
+    );
+
+    expect(transactionRepository.updateById).toHaveBeenCalledTimes(1);
+  });
+
+  test('updateTransactionById refuses to edit a reconciled transaction', async () => {
+    transactionRepository.findById.mockResolvedValueOnce({
+      transactionValue: '100,00',
+      reconciliationId: 'r1',
+    });
+    const res = createRes();
+
+    await updateTransactionById(
+      { params: { id: 't1' }, body: { transactionName: 'Mercado' } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.send).toHaveBeenCalledWith({
+      message: 'Transaction conciliada: desfaça a conciliação antes de editar',
+    });
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  test('other transaction writes refuse reconciled transactions', async () => {
+    transactionRepository.findById.mockResolvedValue({
+      id: 't1',
+      reconciliationId: 'r1',
+    });
+    fiscalBookRepository.findById.mockResolvedValue({ id: 'fb1' });
+    splitService.splitTransaction.mockRejectedValueOnce(
+      new Error('Transaction is reconciled: undo the reconciliation before changing it')
+    );
+    const res = createRes();
+
+    await deleteTransactionById({ params: { id: 't1' } }, res);
+    await separateTransactionById({ params: { id: 't1' } }, res);
+    await updateTransactionFiscalBook(
+      { params: { id: 't1' }, body: { fiscalBookId: 'fb1' } },
+      res
+    );
+    await updateTransactionSplits({ params: { id: 't1' } }, res);
+
+    expect(res.status.mock.calls).toEqual([[409], [409], [409], [409]]);
+    expect(res.send).toHaveBeenCalledWith({
+      message: 'Transaction conciliada: desfaça a conciliação antes de editar',
+    });
+    expect(transactionRepository.deleteById).not.toHaveBeenCalled();
+    expect(transactionRepository.separateById).not.toHaveBeenCalled();
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+    transactionRepository.findById.mockReset();
+  });
+
+  test('insertTransaction stores a valid access key as digits only', async () => {
+    transactionRepository.insert.mockResolvedValue({ id: 't1' });
+    const res = createRes();
+
+    await insertTransaction(
+      {
+        body: {
+          accountId: 'acc-1',
+          transactionFiscalNote:
+            '3524 0311 2223 3300 0181 6500 1000 0012 3410 0001 2349',
+        },
+      },
+      res
+    );
+
+    expect(transactionRepository.insert).toHaveBeenCalledWith(
+      expect.objectContaining({
+        transactionFiscalNote: '35240311222333000181650010000012341000012349',
+      })
+    );
+  });
+
+  test('insertTransaction and updateTransactionById reject invalid access keys', async () => {
+    const res = createRes();
+
+    await insertTransaction({ body: { transactionFiscalNote: '123' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      message: 'Chave de acesso da nota fiscal inválida',
+      errors: ['Access key must have 44 digits'],
+    });
+
+    await updateTransactionById(
+      {
+        params: { id: 't1' },
+        body: {
+          transactionFiscalNote: '35240311222333000181650010000012341000012345',
+        },
+      },
+      res
+    );
+
+    expect(res.send).toHaveBeenLastCalledWith({
+      message: 'Chave de acesso da nota fiscal inválida',
+      errors: ['Invalid check digit: expected 9'],
+    });
+    expect(transactionRepository.insert).not.toHaveBeenCalled();
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+  });
+
+  test('updateTransactionById keeps an unchanged legacy access key', async () => {
+    transactionRepository.findById.mockResolvedValueOnce({
+      id: 't1',
+      transactionFiscalNote: 'NF 123',
+    });
+    transactionRepository.updateById.mockResolvedValueOnce({ id: 't1' });
+    const res = createRes();
+
+    await updateTransactionById(
+      {
+        params: { id: 't1' },
+        body: { transactionName: 'Mercado', transactionFiscalNote: 'NF 123' },
+      },
+      res
+    );
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(transactionRepository.updateById).toHaveBeenCalledWith(
+      't1',
+      expect.objectContaining({ transactionFiscalNote: 'NF 123' })
+    );
+
+    transactionRepository.findById.mockResolvedValueOnce({
+      id: 't1',
+      transactionFiscalNote: 'NF 123',
+    });
+    await updateTransactionById(
+      { params: { id: 't1' }, body: { transactionFiscalNote: 'NF 124' } },
+      res
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test('deleteTransactionById moves transaction to the trash', async () => {
     transactionRepository.deleteById.mockResolvedValue({ id: 't1' });
     const res = createRes();
 
     await deleteTransactionById({ params: { id: 't1' } }, res);
 
+    expect(transactionRepository.deleteById).toHaveBeenCalledWith('t1');
     expect(res.send).toHaveBeenCalledWith(
       expect.objectContaining({ message: expect.any(String) })
     );
   });
 
+  test('deleteTransactionById records the deletion', async () => {
+    const current = { id: 't1', transferPairId: 't2' };
+    const trashed = { id: 't1', deletedAt: new Date('2024-03-10T12:00:00.000Z') };
+    transactionRepository.findById.mockResolvedValueOnce(current);
+    transactionRepository.deleteById.mockResolvedValueOnce(trashed);
+    const res = createRes();
+
+    await deleteTransactionById({ params: { id: 't1' } }, res);
+
+    expect(recordChange).toHaveBeenCalledTimes(1);
+    expect(recordChange).toHaveBeenCalledWith({
+      documentType: 'transaction',
+      documentId: 't1',
+      before: current,
+      after: trashed,
+      actor: 'ana',
+      origin: 'trash',
+    });
+  });
+
   test('deleteTransactionById returns 404 when missing', async () => {
     transactionRepository.deleteById.mockResolvedValue(null);
     const res = createRes();
@@ -267,11 +527,24 @@ describe('transactionService', () => {
   });
 
   test('separateTransactionById separates transaction', async () => {
-    transactionRepository.separateById.mockResolvedValue({ id: 't1' });
+    transactionRepository.findById.mockResolvedValueOnce({ id: 't1' });
+    transactionRepository.separateById.mockResolvedValue({
+      id: 't1',
+      deletedAt: '2024-03-10',
+    });
     const res = createRes();
 
     await separateTransactionById({ params: { id: 't1' } }, res);
 
+    expect(recordChange).toHaveBeenCalledWith({
+      documentType: 'transaction',
+      documentId: 't1',
+      before: { id: 't1' },
+      after: { id: 't1', deletedAt: '2024-03-10' },
+      actor: 'ana',
+      origin: 'trash',
+    });
+
     expect(res.send).toHaveBeenCalledWith(
       expect.objectContaining({ message: expect.any(String) })
     );
@@ -310,12 +583,24 @@ describe('transactionService', () => {
   });
 
   test('removeAllTransactionsInPeriod deletes transactions', async () => {
-    transactionRepository.deleteAllInPeriod.mockResolvedValue(undefined);
+    const deletedAt = new Date('2024-03-10T12:00:00.000Z');
+    transactionRepository.deleteAllInPeriod.mockResolvedValue({
+      ids: ['t1', 't2'],
+      deletedAt,
+    });
     const res = createRes();
 
     await removeAllTransactionsInPeriod({ params: { transactionPeriod: '2024-01' } }, res);
 
     expect(transactionRepository.deleteAllInPeriod).toHaveBeenCalledWith('2024-01');
+    expect(recordDeletion).toHaveBeenCalledTimes(2);
+    expect(recordDeletion).toHaveBeenCalledWith({
+      documentType: 'transaction',
+      documentId: 't2',
+      deletedAt,
+      actor: 'ana',
+      origin: 'trash',
+    });
     expect(res.send).toHaveBeenCalledWith(
       expect.objectContaining({ message: expect.any(String) })
     );
@@ -623,6 +908,26 @@ describe('transactionService', () => {
     );
   });
 
+  test('updateTransactionFiscalBook records the change in the history', async () => {
+    fiscalBookRepository.findById.mockResolvedValue({ id: 'fb1' });
+    transactionRepository.findById.mockResolvedValueOnce({ id: 't1' });
+    transactionRepository.updateById.mockResolvedValueOnce({ id: 't1', fiscalBookId: 'fb1' });
+
+    await updateTransactionFiscalBook(
+      { params: { id: 't1' }, body: { fiscalBookId: 'fb1' } },
+      createRes()
+    );
+
+    expect(transactionRepository.findById).toHaveBeenCalledWith('t1');
+    expect(recordChange).toHaveBeenCalledWith({
+      documentType: 'transaction',
+      documentId: 't1',
+      before: { id: 't1' },
+      after: { id: 't1', fiscalBookId: 'fb1' },
+      ...auditContext,
+    });
+  });
+
   test('updateTransactionFiscalBook handles errors', async () => {
     fiscalBookRepository.findById.mockResolvedValue({ id: 'fb1' });
     transactionRepository.updateById.mockRejectedValue(new Error('fail'));
@@ -635,4 +940,187 @@ describe('transactionService', () => {
 
     expect(res.status).toHaveBeenCalledWith(500);
   });
+
+
+  test('findTransactionCategorySuggestions returns ranked suggestions', async () => {
+    getCategorySuggestions.mockResolvedValue({ suggestions: [] });
+    const res = createRes();
+
+    await findTransactionCategorySuggestions(
+      { params: { id: 't1' }, query: { limit: '5' } },
+      res
+    );
+    await findTransactionCategorySuggestions({ params: { id: 't1' } }, res);
+
+    expect(getCategorySuggestions).toHaveBeenNthCalledWith(1, 't1', {
+      limit: 5,
+    });
+    expect(getCategorySuggestions).toHaveBeenNthCalledWith(2, 't1', {
+      limit: 3,
+    });
+    expect(res.send).toHaveBeenCalledWith({ suggestions: [] });
+  });
+
+  test('findTransactionCategorySuggestions maps errors', async () => {
+    getCategorySuggestions
+      .mockRejectedValueOnce(new Error('Transaction not found'))
+      .mockRejectedValueOnce({});
+    const res = createRes();
+
+    await findTransactionCategorySuggestions({ params: { id: 't1' } }, res);
+    await findTransactionCategorySuggestions({ params: { id: 't1' } }, res);
+
+    expect(res.status).toHaveBeenNthCalledWith(1, 404);
+    expect(res.status).toHaveBeenNthCalledWith(2, 500);
+    expect(res.send).toHaveBeenLastCalledWith({
+      message: 'Erro ao sugerir categorias da transaction',
+    });
+  });
+
+  test('searchTransactions returns a page with pagination details', async () => {
+    transactionRepository.search.mockResolvedValue({
+      transactions: [{ id: 't1' }, { id: 't2' }],
+      total: 5,
+      limit: 2,
+      skip: 2,
+    });
+    const res = createRes();
+
+    await searchTransactions(
+      { query: { type: 'debit', limit: '2', skip: '2', sort: 'transactionValue' } },
+      res
+    );
+
+    expect(transactionRepository.search).toHaveBeenCalledWith({
+      type: 'debit',
+      limit: 2,
+      skip: 2,
+      sort: { transactionValue: 1 },
+    });
+    expect(res.send).toHaveBeenCalledWith({
+      transactions: [{ id: 't1' }, { id: 't2' }],
+      pagination: { total: 5, limit: 2, skip: 2, hasMore: true },
+    });
+  });
+
+  test('searchTransactions rejects invalid filters', async () => {
+    const res = createRes();
+
+    await searchTransactions({ query: { type: 'transfer', limit: '0' } }, res);
+
+    expect(transactionRepository.search).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      message: 'Parâmetros de busca inválidos',
+      errors: ['Invalid transaction type', 'limit must be between 1 and 500'],
+    });
+  });
+
+  test('searchTransactions returns 500 on repository errors', async () => {
+    transactionRepository.search
+      .mockRejectedValueOnce(new Error('db'))
+      .mockRejectedValueOnce({});
+    const res = createRes();
+
+    await searchTransactions({ query: {} }, res);
+    await searchTransactions({ query: {} }, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenNthCalledWith(1, { message: 'db' });
+    expect(res.send).toHaveBeenNthCalledWith(2, {
+      message: 'Erro ao buscar transactions',
+    });
+  });
+
+  test('bulkUpdateTransactions sends the per-id results', async () => {
+    const result = { total: 1, updatedCount: 1, results: [{ id: 't1' }] };
+    applyBulkUpdate.mockResolvedValue(result);
+    const res = createRes();
+    const body = { ids: ['t1'], changes: { transactionStatus: 'concluded' } };
+
+    await bulkUpdateTransactions({ body }, res);
+
+    expect(applyBulkUpdate).toHaveBeenCalledWith(body, auditContext);
+    expect(res.send).toHaveBeenCalledWith(result);
+  });
+
+  test('bulkUpdateTransactions maps validation, missing references and errors', async () => {
+    applyBulkUpdate
+      .mockRejectedValueOnce(
+        new Error('Invalid bulk update data: ids or filter is required')
+      )
+      .mockRejectedValueOnce(new Error('Fiscal book not found'))
+      .mockRejectedValueOnce(new Error('db'))
+      .mockRejectedValueOnce({});
+    const res = createRes();
+
+    for (let call = 0; call < 4; call += 1) {
+      await bulkUpdateTransactions({ body: {} }, res);
+    }
+
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([
+      400, 404, 500, 500,
+    ]);
+    expect(res.send).toHaveBeenNthCalledWith(2, {
+      message: 'Fiscal book not found',
+    });
+    expect(res.send).toHaveBeenLastCalledWith({
+      message: 'Erro ao atualizar transactions em lote',
+    });
+  });
+
+  test('transaction split handlers send the split summary', async () => {
+    const summary = { transactionId: 't1', isSplit: true, splits: [] };
+    splitService.getTransactionSplits.mockResolvedValue(summary);
+    splitService.splitTransaction.mockResolvedValue(summary);
+    splitService.removeTransactionSplits.mockResolvedValue(summary);
+    const res = createRes();
+    const splits = [{ splitCategory: 'c1', splitValue: '10,00' }];
+
+    await findTransactionSplits({ params: { id: 't1' } }, res);
+    await updateTransactionSplits({ params: { id: 't1' }, body: { splits } }, res);
+    await removeTransactionSplitsById({ params: { id: 't1' } }, res);
+
+    expect(splitService.getTransactionSplits).toHaveBeenCalledWith('t1');
+    expect(splitService.splitTransaction).toHaveBeenCalledWith(
+      't1',
+      splits,
+      auditContext
+    );
+    expect(splitService.removeTransactionSplits).toHaveBeenCalledWith(
+      't1',
+      auditContext
+    );
+    expect(res.send).toHaveBeenCalledTimes(3);
+    expect(res.send).toHaveBeenCalledWith(summary);
+  });
+
+  test('transaction split handlers map missing, invalid and failed splits', async () => {
+    splitService.splitTransaction
+      .mockRejectedValueOnce(new Error('Transaction not found'))
+      .mockRejectedValueOnce(
+        new Error('Invalid split data: Splits must have at least two allocations')
+      )
+      .mockRejectedValueOnce({});
+    splitService.getTransactionSplits.mockRejectedValueOnce(new Error('db'));
+    splitService.removeTransactionSplits.mockRejectedValueOnce({});
+    const res = createRes();
+
+    for (let call = 0; call < 3; call += 1) {
+      await updateTransactionSplits({ params: { id: 't1' } }, res);
+    }
+    await findTransactionSplits({ params: { id: 't1' } }, res);
+    await removeTransactionSplitsById({ params: { id: 't1' } }, res);
+
+    expect(res.status.mock.calls.map(([status]) => status)).toEqual([
+      404, 400, 500, 500, 500,
+    ]);
+    expect(res.send).toHaveBeenNthCalledWith(3, {
+      message: 'Erro ao dividir a transaction',
+    });
+    expect(res.send).toHaveBeenNthCalledWith(4, { message: 'db' });
+    expect(res.send).toHaveBeenLastCalledWith({
+      message: 'Erro ao remover a divisão da transaction',
+    });
+  });
 });
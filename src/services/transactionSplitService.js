@@ -0,0 +1,121 @@
+import * as transactionRepository from '../repository/transactionRepository.js';
+import * as categoryRepository from '../repository/categoryRepository.js';
+import {
+  splitValueToCents,
+  validateSplitData,
+} from '../infrastructure/validators/transactionSplitValidator.js';
+import { assertNotReconciled } from './reconciliation/reconciliationLock.js';
+import { recordChange } from './auditService.js';
+
+/**
+ * Find a transaction or throw
+ * @param {string} id - Transaction ID
+ * @returns {Promise<Object>} Transaction document
+ */
+async function findTransaction(id) {
+  const transaction = await transactionRepository.findById(id);
+  if (!transaction) {
+    throw new Error('Transaction not found');
+  }
+  return transaction;
+}
+
+/**
+ * Record a change of the allocations of a transaction
+ * @param {Object} before - Transaction before the change
+ * @param {Object} after - Transaction after the change
+ * @param {Object} audit - Audit context of the change (actor, originDetail)
+ */
+async function recordSplitChange(before, after, audit) {
+  await recordChange({
+    documentType: 'transaction',
+    documentId: before.id,
+    before,
+    after,
+    ...audit,
+    origin: 'split',
+  });
+}
+
+/**
+ * Describe the split of a transaction
+ * @param {Object} transaction - Transaction document
+ * @returns {Object} Transaction id and value, split flag and allocations
+ */
+function splitSummary(transaction) {
+  const splits = transaction.splits || [];
+  return {
+    transactionId: transaction.id,
+    transactionValue: transaction.transactionValue,
+    isSplit: splits.length > 0,
+    splits,
+  };
+}
+
+/**
+ * Get the allocations of a transaction
+ * @param {string} id - Transaction ID
+ * @returns {Promise<Object>} Split summary
+ */
+export async function getTransactionSplits(id) {
+  return splitSummary(await findTransaction(id));
+}
+
+/**
+ * Split a transaction into allocations, replacing any previous split
+ * Each allocation has its own category, value and note; values must sum to
+ * the transaction value. The transaction itself is kept, so the split can
+ * be edited or removed later.
+ * @param {string} id - Transaction ID
+ * @param {Array<Object>} splits - Allocations with splitCategory, splitValue and splitNote
+ * @param {Object} audit - Audit context of the change (actor, originDetail)
+ * @returns {Promise<Object>} Split summary
+ */
+export async function splitTransaction(id, splits, audit = {}) {
+  const transaction = await findTransaction(id);
+  assertNotReconciled(transaction);
+
+  const validation = validateSplitData(splits, transaction.transactionValue);
+  if (!validation.isValid) {
+    throw new Error(`Invalid split data: ${validation.errors.join(', ')}`);
+  }
+
+  const categoryIds = [...new Set(splits.map((split) => String(split.splitCategory)))];
+  for (const categoryId of categoryIds) {
+    if (!(await categoryRepository.findById(categoryId))) {
+      throw new Error(`Invalid split data: unknown category ${categoryId}`);
+    }
+  }
+
+  const updated = await transactionRepository.updateById(id, {
+    splits: splits.map((split) => ({
+      splitCategory: split.splitCategory,
+      splitValue: splitValueToCents(split.splitValue),
+      splitNote: split.splitNote ? String(split.splitNote).trim() : undefined,
+    })),
+  });
+  if (!updated) {
+    throw new Error('Transaction not found');
+  }
+  await recordSplitChange(transaction, updated, audit);
+  return splitSummary(updated);
+}
+
+/**
+ * Undo the split of a transaction
+ * @param {string} id - Transaction ID
+ * @param {Object} audit - Audit context of the change (actor, originDetail)
+ * @returns {Promise<Object>} Split summary without allocations
+ */
+export async function removeTransactionSplits(id, audit = {}) {
+  const transaction = await findTransaction(id);
+  assertNotReconciled(transaction);
+  const updated = await transactionRepository.updateById(id, {
+    $set: { splits: [] },
+  });
+  if (!updated) {
+    throw new Error('Transaction not found');
+  }
+  await recordSplitChange(transaction, updated, audit);
+  return splitSummary(updated);
+}
@@ -0,0 +1,158 @@
+import { jest } from '@jest/globals';
+
+const transactionRepository = {
+  findById: jest.fn(),
+  updateById: jest.fn(),
+};
+const categoryRepository = { findById: jest.fn() };
+const recordChange = jest.fn();
+
+jest.unstable_mockModule('../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+
+jest.unstable_mockModule('../repository/categoryRepository.js', () => ({
+  ...categoryRepository,
+}));
+
+jest.unstable_mockModule('./auditService.js', () => ({ recordChange }));
+
+const { getTransactionSplits, splitTransaction, removeTransactionSplits } =
+  await import('./transactionSplitService.js');
+
+const foodId = '507f1f77bcf86cd799439011';
+const homeId = '507f1f77bcf86cd799439012';
+
+describe('transactionSplitService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transactionRepository.findById.mockResolvedValue({
+      id: 't1',
+      transactionValue: '-100,00',
+    });
+    transactionRepository.updateById.mockImplementation(async (id, update) => ({
+      id,
+      transactionValue: '-100,00',
+      splits: update.splits ?? update.$set.splits,
+    }));
+    categoryRepository.findById.mockImplementation(async (id) => ({ id }));
+  });
+
+  test('gets the allocations of a transaction', async () => {
+    expect(await getTransactionSplits('t1')).toEqual({
+      transactionId: 't1',
+      transactionValue: '-100,00',
+      isSplit: false,
+      splits: [],
+    });
+
+    transactionRepository.findById.mockResolvedValueOnce(null);
+    await expect(getTransactionSplits('missing')).rejects.toThrow(
+      'Transaction not found'
+    );
+  });
+
+  test('stores allocations in cents and keeps the transaction', async () => {
+    const result = await splitTransaction('t1', [
+      { splitCategory: foodId, splitValue: '60,00', splitNote: ' lunch ' },
+      { splitCategory: homeId, splitValue: 40 },
+      { splitCategory: foodId, splitValue: '0,00' },
+    ]).catch((error) => error);
+    expect(result.message).toBe(
+      'Invalid split data: Allocation 3: value must be a positive monetary value'
+    );
+
+    const split = await splitTransaction(
+      't1',
+      [
+        { splitCategory: foodId, splitValue: '60,00', splitNote: ' lunch ' },
+        { splitCategory: homeId, splitValue: 40 },
+      ],
+      { actor: 'ana', origin: 'api', originDetail: 'PUT /api/transaction/t1/splits' }
+    );
+
+    expect(categoryRepository.findById).toHaveBeenCalledTimes(2);
+    expect(transactionRepository.updateById).toHaveBeenCalledWith('t1', {
+      splits: [
+        { splitCategory: foodId, splitValue: 6000, splitNote: 'lunch' },
+        { splitCategory: homeId, splitValue: 4000, splitNote: undefined },
+      ],
+    });
+    expect(split.isSplit).toBe(true);
+    expect(recordChange).toHaveBeenCalledTimes(1);
+    expect(recordChange).toHaveBeenCalledWith({
+      documentType: 'transaction',
+      documentId: 't1',
+      before: { id: 't1', transactionValue: '-100,00' },
+      after: expect.objectContaining({ id: 't1', splits: expect.any(Array) }),
+      actor: 'ana',
+      origin: 'split',
+      originDetail: 'PUT /api/transaction/t1/splits',
+    });
+  });
+
+  test('rejects unknown categories and vanished transactions', async () => {
+    const splits = [
+      { splitCategory: foodId, splitValue: '50,00' },
+      { splitCategory: homeId, splitValue: '50,00' },
+    ];
+    categoryRepository.findById.mockImplementation(async (id) =>
+      id === homeId ? null : { id }
+    );
+    await expect(splitTransaction('t1', splits)).rejects.toThrow(
+      `Invalid split data: unknown category ${homeId}`
+    );
+
+    categoryRepository.findById.mockResolvedValue({});
+    transactionRepository.updateById.mockResolvedValueOnce(null);
+    await expect(splitTransaction('t1', splits)).rejects.toThrow(
+      'Transaction not found'
+    );
+    expect(transactionRepository.updateById).toHaveBeenCalledTimes(1);
+  });
+
+  test('removes the allocations', async () => {
+    expect(await removeTransactionSplits('t1')).toEqual({
+      transactionId: 't1',
+      transactionValue: '-100,00',
+      isSplit: false,
+      splits: [],
+    });
+    expect(transactionRepository.updateById).toHaveBeenCalledWith('t1', {
+      $set: { splits: [] },
+    });
+    expect(recordChange).toHaveBeenCalledWith(
+      expect.objectContaining({ documentId: 't1', origin: 'split' })
+    );
+
+    transactionRepository.updateById.mockResolvedValueOnce(null);
+    await expect(removeTransactionSplits('t1')).rejects.toThrow(
+      'Transaction not found'
+    );
+
+    transactionRepository.findById.mockResolvedValueOnce(null);
+    await expect(removeTransactionSplits('missing')).rejects.toThrow(
+      'Transaction not found'
+    );
+  });
+
+  test('refuses to change the split of a reconciled transaction', async () => {
+    transactionRepository.findById.mockResolvedValue({
+      id: 't1',
+      transactionValue: '-100,00',
+      reconciliationId: 'r1',
+    });
+    const splits = [
+      { splitCategory: foodId, splitValue: '50,00' },
+      { splitCategory: homeId, splitValue: '50,00' },
+    ];
+
+    await expect(splitTransaction('t1', splits)).rejects.toThrow(
+      'Transaction is reconciled'
+    );
+    await expect(removeTransactionSplits('t1')).rejects.toThrow(
+      'Transaction is reconciled'
+    );
+    expect(transactionRepository.updateById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,95 @@
+import { toMonetaryCents } from '../../infrastructure/monetary/monetaryUtils.js';
+
+export const DEFAULT_TRANSFER_DAYS = 3;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Bill payments, PIX and bank transfers between own accounts
+const TRANSFER_KEYWORDS = /pagamento|fatura|transfer|\bpix\b|\bted\b/i;
+
+const valueInCents = (transaction) =>
+  Math.abs(toMonetaryCents(transaction.transactionValue) || 0);
+
+const hasTransferKeyword = (transaction) =>
+  TRANSFER_KEYWORDS.test(
+    `${transaction.transactionName || ''} ${transaction.transactionDescription || ''}`
+  );
+
+/**
+ * Score a possible transfer between a debit and a credit
+ * Same-day pairs score highest; bill payment or transfer wording on either
+ * side adds to the score.
+ * @param {number} daysApart - Days between both transactions
+ * @param {number} maxDays - Largest accepted distance in days
+ * @param {Object} debit - Debit transaction
+ * @param {Object} credit - Credit transaction
+ * @returns {number} Score from 0 to 1
+ */
+function scorePair(daysApart, maxDays, debit, credit) {
+  const dateScore = 1 - daysApart / (maxDays + 1);
+  const keywordScore =
+    (hasTransferKeyword(debit) ? 0.5 : 0) +
+    (hasTransferKeyword(credit) ? 0.5 : 0);
+  return Math.round((dateScore * 0.7 + keywordScore * 0.3) * 100) / 100;
+}
+
+/**
+ * Suggest pairs of transactions that look like transfers between own accounts
+ * A debit and a credit pair up when they have the same absolute value, come
+ * from different sources (e.g. the checking account paying the credit card
+ * bill) and are at most `maxDays` apart. Each transaction is used at most
+ * once, taking the best scored pairs first.
+ * @param {Array<Object>} transactions - Unlinked transactions
+ * @param {Object} options - Matching options
+ * @param {number} options.maxDays - Maximum days between both sides (default 3)
+ * @returns {Array<Object>} Suggestions with debit, credit, daysApart and score
+ */
+export function suggestTransferPairs(transactions = [], options = {}) {
+  const { maxDays = DEFAULT_TRANSFER_DAYS } = options;
+  const debits = transactions.filter(
+    (transaction) =>
+      transaction.transactionType === 'debit' && valueInCents(transaction) > 0
+  );
+  const credits = transactions.filter(
+    (transaction) =>
+      transaction.transactionType === 'credit' && valueInCents(transaction) > 0
+  );
+
+  const candidates = [];
+  debits.forEach((debit) => {
+    credits.forEach((credit) => {
+      if (
+        valueInCents(debit) !== valueInCents(credit) ||
+        debit.transactionSource === credit.transactionSource
+      ) {
+        return;
+      }
+      const daysApart = Math.round(
+        Math.abs(
+          new Date(debit.transactionDate) - new Date(credit.transactionDate)
+        ) / DAY_IN_MS
+      );
+      if (!(daysApart <= maxDays)) {
+        return;
+      }
+      candidates.push({
+        debit,
+        credit,
+        daysApart,
+        score: scorePair(daysApart, maxDays, debit, credit),
+      });
+    });
+  });
+
+  candidates.sort((a, b) => b.score - a.score || a.daysApart - b.daysApart);
+
+  const used = new Set();
+  return candidates.filter(({ debit, credit }) => {
+    if (used.has(debit) || used.has(credit)) {
+      return false;
+    }
+    used.add(debit);
+    used.add(credit);
+    return true;
+  });
+}
@@ -0,0 +1,84 @@
+import {
+  DEFAULT_TRANSFER_DAYS,
+  suggestTransferPairs,
+} from './transferMatching.js';
+
+const transaction = (id, overrides) => ({
+  id,
+  transactionDate: new Date('2024-03-10T12:00:00.000Z'),
+  transactionValue: '1500,00',
+  ...overrides,
+});
+
+describe('transferMatching', () => {
+  test('pairs a bill payment with the card statement payment', () => {
+    const payment = transaction('d1', {
+      transactionType: 'debit',
+      transactionSource: 'nubank',
+      transactionValue: '-1500,00',
+      transactionName: 'Pagamento de fatura',
+    });
+    const received = transaction('c1', {
+      transactionType: 'credit',
+      transactionSource: 'nubank-credit',
+      transactionDate: new Date('2024-03-11T12:00:00.000Z'),
+      transactionName: 'Pagamento recebido',
+    });
+
+    expect(suggestTransferPairs([payment, received])).toEqual([
+      { debit: payment, credit: received, daysApart: 1, score: 0.83 },
+    ]);
+    expect(DEFAULT_TRANSFER_DAYS).toBe(3);
+  });
+
+  test('skips same source, different values, zero values and distant dates', () => {
+    const debit = transaction('d1', {
+      transactionType: 'debit',
+      transactionSource: 'nubank',
+    });
+
+    expect(
+      suggestTransferPairs([
+        debit,
+        transaction('c1', { transactionType: 'credit', transactionSource: 'nubank' }),
+        transaction('c2', {
+          transactionType: 'credit',
+          transactionSource: 'flash',
+          transactionValue: '10,00',
+        }),
+        transaction('c3', {
+          transactionType: 'credit',
+          transactionSource: 'flash',
+          transactionDate: new Date('2024-03-20T12:00:00.000Z'),
+        }),
+        transaction('d0', { transactionType: 'debit', transactionValue: '0,00' }),
+        transaction('c0', { transactionType: 'credit', transactionValue: null }),
+      ])
+    ).toEqual([]);
+    expect(suggestTransferPairs()).toEqual([]);
+  });
+
+  test('uses each transaction once, best score first', () => {
+    const debit = transaction('d1', {
+      transactionType: 'debit',
+      transactionSource: 'nubank',
+    });
+    const later = transaction('c1', {
+      transactionType: 'credit',
+      transactionSource: 'digio-credit',
+      transactionDate: new Date('2024-03-12T12:00:00.000Z'),
+    });
+    const sameDay = transaction('c2', {
+      transactionType: 'credit',
+      transactionSource: 'digio-credit',
+      transactionDescription: 'Transferência recebida',
+    });
+
+    const pairs = suggestTransferPairs([debit, later, sameDay], { maxDays: 5 });
+
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0]).toEqual(
+      expect.objectContaining({ credit: sameDay, daysApart: 0, score: 0.85 })
+    );
+  });
+});
@@ -0,0 +1,207 @@
+import mongoose from 'mongoose';
+import * as transactionRepository from '../repository/transactionRepository.js';
+import {
+  isValidTransferDays,
+  validateTransferPair,
+} from '../infrastructure/validators/transferValidator.js';
+import { isValidPeriod } from '../infrastructure/validators/periodValidator.js';
+import {
+  DEFAULT_TRANSFER_DAYS,
+  suggestTransferPairs,
+} from './transfer/transferMatching.js';
+import { assertNotReconciled } from './reconciliation/reconciliationLock.js';
+import { recordChange } from './auditService.js';
+
+/**
+ * Check a transfer period, throwing on invalid values
+ * @param {string} period - Period (YYYY-MM)
+ */
+function assertPeriod(period) {
+  if (!isValidPeriod(period)) {
+    throw new Error('Invalid transfer period: expected YYYY-MM');
+  }
+}
+
+/**
+ * List a period with the months before and after it
+ * Transfers near the start or end of a month often land in the next or
+ * previous month on the other account.
+ * @param {string} period - Period (YYYY-MM)
+ * @returns {Array<string>} Previous, given and next periods
+ */
+function adjacentPeriods(period) {
+  const [year, month] = period.split('-').map(Number);
+  return [-1, 0, 1].map((offset) => {
+    const date = new Date(Date.UTC(year, month - 1 + offset, 1));
+    return date.toISOString().slice(0, 7);
+  });
+}
+
+/**
+ * Suggest transfers between own accounts for a period
+ * @param {string} period - Period (YYYY-MM)
+ * @param {Object} options - Suggestion options
+ * @param {string|number} options.days - Maximum days between both sides (default 3)
+ * @returns {Promise<Object>} Period, day window and suggested pairs
+ */
+export async function suggestTransfers(period, options = {}) {
+  assertPeriod(period);
+  const { days = DEFAULT_TRANSFER_DAYS } = options;
+  if (!isValidTransferDays(days)) {
+    throw new Error('Invalid transfer days: expected an integer from 0 to 31');
+  }
+
+  const transactions = await transactionRepository.findTransferCandidates(
+    adjacentPeriods(period)
+  );
+  const suggestions = suggestTransferPairs(transactions, {
+    maxDays: Number(days),
+  }).filter(
+    ({ debit, credit }) =>
+      debit.transactionPeriod === period || credit.transactionPeriod === period
+  );
+
+  return { period, days: Number(days), suggestions };
+}
+
+/**
+ * List the confirmed transfers with at least one side in a period
+ * @param {string} period - Period (YYYY-MM)
+ * @returns {Promise<Object>} Period and transfers with debit and credit
+ *   (null for a side in the trash)
+ */
+export async function getTransfers(period) {
+  assertPeriod(period);
+  const transactions = await transactionRepository.findTransfersInPeriod(period);
+  const byId = new Map(
+    transactions.map((transaction) => [String(transaction.id), transaction])
+  );
+
+  const seen = new Set();
+  const transfers = [];
+  for (const transaction of transactions) {
+    const id = String(transaction.id);
+    const pairId = String(transaction.transferPairId);
+    if (seen.has(id)) {
+      continue;
+    }
+    seen.add(id);
+    seen.add(pairId);
+
+    const pair =
+      byId.get(pairId) ?? (await transactionRepository.findById(pairId));
+    transfers.push(
+      transaction.transactionType === 'debit'
+        ? { debit: transaction, credit: pair }
+        : { debit: pair, credit: transaction }
+    );
+  }
+
+  return { period, transfers };
+}
+
+/**
+ * Record the link changes of transfer transactions
+ * @param {Array<Array<Object>>} changes - Pairs of transaction states before and after
+ * @param {Object} audit - Audit context of the change (actor, originDetail)
+ */
+async function recordLinkChanges(changes, audit) {
+  for (const [before, after] of changes) {
+    await recordChange({
+      documentType: 'transaction',
+      documentId: before.id,
+      before,
+      after,
+      ...audit,
+      origin: 'link',
+    });
+  }
+}
+
+/**
+ * Confirm an internal transfer, linking a debit to a credit
+ * Both transactions are updated in one MongoDB session and are left out of
+ * income and expense totals from then on.
+ * @param {Object} transferData - Transfer data
+ * @param {string} transferData.debitId - Transaction leaving the source account
+ * @param {string} transferData.creditId - Transaction entering the destination account
+ * @param {Object} audit - Audit context of the link (actor, originDetail)
+ * @returns {Promise<Object>} Linked debit and credit
+ */
+export async function linkTransfer(transferData = {}, audit = {}) {
+  const { debitId, creditId } = transferData;
+  if (!debitId || !creditId) {
+    throw new Error('Invalid transfer data: debitId and creditId are required');
+  }
+
+  const debit = await transactionRepository.findById(debitId);
+  const credit = await transactionRepository.findById(creditId);
+  if (!debit || !credit) {
+    throw new Error('Transaction not found');
+  }
+  assertNotReconciled(debit);
+  assertNotReconciled(credit);
+
+  const validation = validateTransferPair(debit, credit);
+  if (!validation.isValid) {
+    throw new Error(`Invalid transfer data: ${validation.errors.join(', ')}`);
+  }
+
+  let linkedDebit;
+  let linkedCredit;
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    linkedDebit = await transactionRepository.updateById(
+      debitId,
+      { transferPairId: creditId },
+      session
+    );
+    linkedCredit = await transactionRepository.updateById(
+      creditId,
+      { transferPairId: debitId },
+      session
+    );
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  await recordLinkChanges(
+    [
+      [debit, linkedDebit],
+      [credit, linkedCredit],
+    ],
+    audit
+  );
+  return { debit: linkedDebit, credit: linkedCredit };
+}
+
+/**
+ * Undo a transfer from either of its transactions
+ * @param {string} id - ID of the debit or the credit of the transfer
+ * @param {Object} audit - Audit context of the unlink (actor, originDetail)
+ * @returns {Promise<Object>} IDs of the unlinked transactions
+ */
+export async function unlinkTransfer(id, audit = {}) {
+  const transaction = await transactionRepository.findById(id);
+  if (!transaction?.transferPairId) {
+    throw new Error('Transfer not found');
+  }
+  const pair = await transactionRepository.findById(transaction.transferPairId);
+  assertNotReconciled(transaction);
+  assertNotReconciled(pair);
+
+  const transactionIds = [String(transaction.id), String(transaction.transferPairId)];
+  await transactionRepository.unlinkTransfers(transactionIds);
+
+  const changes = [];
+  for (const before of [transaction, pair].filter(Boolean)) {
+    changes.push([before, await transactionRepository.findById(before.id)]);
+  }
+  await recordLinkChanges(changes, audit);
+  return { transactionIds };
+}
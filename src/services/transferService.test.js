@@ -0,0 +1,255 @@
+import { jest } from '@jest/globals';
+
+const transactionRepository = {
+  findById: jest.fn(),
+  updateById: jest.fn(),
+  findTransferCandidates: jest.fn(),
+  findTransfersInPeriod: jest.fn(),
+  unlinkTransfers: jest.fn(),
+};
+const startSession = jest.fn();
+const recordChange = jest.fn();
+
+jest.unstable_mockModule('mongoose', () => ({
+  default: { startSession },
+}));
+
+jest.unstable_mockModule('../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+
+jest.unstable_mockModule('./auditService.js', () => ({ recordChange }));
+
+const { suggestTransfers, getTransfers, linkTransfer, unlinkTransfer } =
+  await import('./transferService.js');
+
+const debit = {
+  id: 'd1',
+  transactionPeriod: '2024-03',
+  transactionDate: new Date('2024-03-31T12:00:00.000Z'),
+  transactionType: 'debit',
+  transactionSource: 'nubank',
+  transactionValue: '-1500,00',
+};
+const credit = {
+  id: 'c1',
+  transactionPeriod: '2024-04',
+  transactionDate: new Date('2024-04-01T12:00:00.000Z'),
+  transactionType: 'credit',
+  transactionSource: 'nubank-credit',
+  transactionValue: '1500,00',
+};
+
+describe('transferService', () => {
+  let session;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn(),
+    };
+    startSession.mockResolvedValue(session);
+    transactionRepository.findById.mockImplementation(async (id) =>
+      ({ d1: debit, c1: credit })[id] ?? null
+    );
+  });
+
+  test('suggestTransfers searches the adjacent months', async () => {
+    transactionRepository.findTransferCandidates.mockResolvedValue([
+      debit,
+      credit,
+    ]);
+
+    const result = await suggestTransfers('2024-03');
+
+    expect(transactionRepository.findTransferCandidates).toHaveBeenCalledWith([
+      '2024-02',
+      '2024-03',
+      '2024-04',
+    ]);
+    expect(result).toEqual({
+      period: '2024-03',
+      days: 3,
+      suggestions: [expect.objectContaining({ debit, credit, daysApart: 1 })],
+    });
+
+    await suggestTransfers('2024-01', { days: '0' });
+    expect(transactionRepository.findTransferCandidates).toHaveBeenLastCalledWith(
+      ['2023-12', '2024-01', '2024-02']
+    );
+  });
+
+  test('suggestTransfers keeps pairs touching the period', async () => {
+    transactionRepository.findTransferCandidates.mockResolvedValue([
+      { ...debit, transactionPeriod: '2024-02' },
+      { ...credit, transactionPeriod: '2024-02' },
+    ]);
+
+    const result = await suggestTransfers('2024-03');
+
+    expect(result.suggestions).toEqual([]);
+  });
+
+  test('suggestTransfers rejects invalid periods and day windows', async () => {
+    await expect(suggestTransfers('2024')).rejects.toThrow(
+      'Invalid transfer period: expected YYYY-MM'
+    );
+    await expect(suggestTransfers('2024-03', { days: 40 })).rejects.toThrow(
+      'Invalid transfer days: expected an integer from 0 to 31'
+    );
+  });
+
+  test('getTransfers pairs both sides, loading the one outside the period', async () => {
+    const linkedDebit = { ...debit, transferPairId: 'c1' };
+    const linkedCredit = { ...credit, transferPairId: 'd1' };
+    const otherDebit = { ...debit, id: 'd2', transferPairId: 'c2' };
+    const otherCredit = { ...credit, id: 'c2', transferPairId: 'd2' };
+    transactionRepository.findTransfersInPeriod.mockResolvedValue([
+      linkedCredit,
+      otherDebit,
+      otherCredit,
+    ]);
+    transactionRepository.findById.mockResolvedValue(linkedDebit);
+
+    const result = await getTransfers('2024-03');
+
+    expect(transactionRepository.findById).toHaveBeenCalledTimes(1);
+    expect(transactionRepository.findById).toHaveBeenCalledWith('d1');
+    expect(result).toEqual({
+      period: '2024-03',
+      transfers: [
+        { debit: linkedDebit, credit: linkedCredit },
+        { debit: otherDebit, credit: otherCredit },
+      ],
+    });
+    await expect(getTransfers('03/2024')).rejects.toThrow(
+      'Invalid transfer period'
+    );
+  });
+
+  test('linkTransfer links both sides in one session', async () => {
+    transactionRepository.updateById.mockImplementation(async (id, update) => ({
+      id,
+      ...update,
+    }));
+
+    const result = await linkTransfer(
+      { debitId: 'd1', creditId: 'c1' },
+      { actor: 'ana', origin: 'api', originDetail: 'POST /api/transfer' }
+    );
+
+    expect(transactionRepository.updateById).toHaveBeenCalledWith(
+      'd1',
+      { transferPairId: 'c1' },
+      session
+    );
+    expect(transactionRepository.updateById).toHaveBeenCalledWith(
+      'c1',
+      { transferPairId: 'd1' },
+      session
+    );
+    expect(session.commitTransaction).toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+    expect(result).toEqual({
+      debit: { id: 'd1', transferPairId: 'c1' },
+      credit: { id: 'c1', transferPairId: 'd1' },
+    });
+    expect(recordChange).toHaveBeenCalledTimes(2);
+    expect(recordChange).toHaveBeenCalledWith({
+      documentType: 'transaction',
+      documentId: 'c1',
+      before: credit,
+      after: { id: 'c1', transferPairId: 'd1' },
+      actor: 'ana',
+      origin: 'link',
+      originDetail: 'POST /api/transfer',
+    });
+  });
+
+  test('linkTransfer rolls back when an update fails', async () => {
+    transactionRepository.updateById
+      .mockResolvedValueOnce({ id: 'd1' })
+      .mockRejectedValueOnce(new Error('update failed'));
+
+    await expect(
+      linkTransfer({ debitId: 'd1', creditId: 'c1' })
+    ).rejects.toThrow('update failed');
+
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+    expect(recordChange).not.toHaveBeenCalled();
+  });
+
+  test('linkTransfer rejects missing ids, missing transactions and invalid pairs', async () => {
+    await expect(linkTransfer()).rejects.toThrow(
+      'Invalid transfer data: debitId and creditId are required'
+    );
+    await expect(
+      linkTransfer({ debitId: 'd1', creditId: 'missing' })
+    ).rejects.toThrow('Transaction not found');
+    await expect(
+      linkTransfer({ debitId: 'c1', creditId: 'd1' })
+    ).rejects.toThrow(
+      'Invalid transfer data: debitId must reference a debit transaction, creditId must reference a credit transaction'
+    );
+    expect(startSession).not.toHaveBeenCalled();
+  });
+
+  test('unlinkTransfer unlinks both sides from either transaction', async () => {
+    let linked = true;
+    transactionRepository.unlinkTransfers.mockImplementationOnce(async () => {
+      linked = false;
+    });
+    transactionRepository.findById.mockImplementation(async (id) => ({
+      id,
+      transferPairId: linked ? { c1: 'd1', d1: 'c1' }[id] : undefined,
+    }));
+
+    expect(await unlinkTransfer('c1', { actor: 'ana' })).toEqual({
+      transactionIds: ['c1', 'd1'],
+    });
+    expect(transactionRepository.unlinkTransfers).toHaveBeenCalledWith([
+      'c1',
+      'd1',
+    ]);
+    expect(recordChange).toHaveBeenCalledTimes(2);
+    expect(recordChange).toHaveBeenCalledWith({
+      documentType: 'transaction',
+      documentId: 'd1',
+      before: { id: 'd1', transferPairId: 'c1' },
+      after: { id: 'd1', transferPairId: undefined },
+      actor: 'ana',
+      origin: 'link',
+    });
+
+    transactionRepository.findById.mockResolvedValue({ id: 'c1' });
+    await expect(unlinkTransfer('c1')).rejects.toThrow('Transfer not found');
+    transactionRepository.findById.mockResolvedValue(null);
+    await expect(unlinkTransfer('missing')).rejects.toThrow('Transfer not found');
+  });
+
+  test('linkTransfer and unlinkTransfer refuse reconciled transactions', async () => {
+    transactionRepository.findById.mockImplementation(async (id) =>
+      ({ d1: debit, c1: { ...credit, reconciliationId: 'r1' } })[id]
+    );
+    await expect(
+      linkTransfer({ debitId: 'd1', creditId: 'c1' })
+    ).rejects.toThrow('Transaction is reconciled');
+
+    transactionRepository.findById.mockImplementation(async (id) =>
+      ({
+        d1: { ...debit, transferPairId: 'c1' },
+        c1: { ...credit, transferPairId: 'd1', reconciliationId: 'r1' },
+      })[id]
+    );
+    await expect(unlinkTransfer('d1')).rejects.toThrow(
+      'Transaction is reconciled'
+    );
+    expect(startSession).not.toHaveBeenCalled();
+    expect(transactionRepository.unlinkTransfers).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,244 @@
+import * as trashRepository from '../repository/trashRepository.js';
+import { TRASH_TYPES } from '../repository/trashRepository.js';
+import {
+  findLinkedTo,
+  removePurgedFiscalBooks,
+  updateIncludingTrash,
+} from '../repository/transactionRepository.js';
+import { removeOwnerAttachments } from './attachmentService.js';
+import { recordChange } from './auditService.js';
+import { unlinkedRefundUpdate } from './refundService.js';
+
+// Days a deleted document stays in the trash before the automatic purge
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Document types that own attachments
+const ATTACHMENT_OWNERS = ['transaction', 'fiscalBook'];
+
+// Documents a transaction points at, by trash type
+const TRANSACTION_PARENTS = {
+  fiscalBook: 'fiscalBookId',
+  category: 'transactionCategory',
+};
+
+export const TRASHED_PARENT_ERROR =
+  'The fiscal book or category of this transaction is in the trash: restore it first';
+
+const DEFAULT_TRASH_LIMIT = 50;
+const MAX_TRASH_LIMIT = 200;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a trash document type
+ * @param {string} type - Document type
+ * @throws {Error} When the type has no trash
+ */
+function resolveType(type) {
+  if (!TRASH_TYPES.includes(type)) {
+    throw new Error(`Invalid trash type: ${type}`);
+  }
+}
+
+/**
+ * Resolve the retention of the automatic purge
+ * @param {string|number} value - Days to keep deleted documents
+ *   (TRASH_RETENTION_DAYS); 0 turns the automatic purge off
+ * @returns {number} Retention in days, the default when unset or invalid
+ */
+export function resolveRetentionDays(value = process.env.TRASH_RETENTION_DAYS) {
+  const days = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(days) || days < 0) {
+    return DEFAULT_TRASH_RETENTION_DAYS;
+  }
+  return days;
+}
+
+/**
+ * Count the documents in the trash of each type
+ * @returns {Promise<Object>} Number of deleted documents per type
+ */
+export async function getTrashSummary() {
+  const counts = await Promise.all(
+    TRASH_TYPES.map((type) => trashRepository.countDeleted(type))
+  );
+  return Object.fromEntries(TRASH_TYPES.map((type, i) => [type, counts[i]]));
+}
+
+/**
+ * List the deleted documents of a type, most recently deleted first
+ * @param {string} type - Document type
+ * @param {Object} options - Pagination options
+ * @param {number} options.limit - Maximum number of documents (default 50, up to 200)
+ * @param {number} options.skip - Number of documents to skip
+ * @returns {Promise<Object>} Items, total, limit and skip
+ */
+export async function listTrash(type, options = {}) {
+  resolveType(type);
+  const limit = Math.min(
+    Math.max(parseInt(options.limit, 10) || DEFAULT_TRASH_LIMIT, 1),
+    MAX_TRASH_LIMIT
+  );
+  const skip = Math.max(parseInt(options.skip, 10) || 0, 0);
+
+  const { items, total } = await trashRepository.findDeleted(type, {
+    limit,
+    skip,
+  });
+  return { items, total, limit, skip };
+}
+
+/**
+ * Refuse to restore a transaction whose fiscal book or category is still in
+ * the trash, so no live transaction points at a trashed document
+ * @param {Object} transaction - Transaction in the trash
+ * @throws {Error} When a parent of the transaction is in the trash
+ */
+async function assertParentsRestored(transaction) {
+  for (const [type, field] of Object.entries(TRANSACTION_PARENTS)) {
+    if (
+      transaction[field] &&
+      (await trashRepository.findDeletedById(type, transaction[field]))
+    ) {
+      throw new Error(TRASHED_PARENT_ERROR);
+    }
+  }
+}
+
+/**
+ * Take a deleted document out of the trash
+ * A transaction is restored only after its fiscal book and category.
+ * @param {string} type - Document type
+ * @param {string} id - Document ID
+ * @param {Object} audit - Audit context of the restore (actor, originDetail)
+ * @returns {Promise<Object>} Restored document
+ */
+export async function restoreItem(type, id, audit = {}) {
+  resolveType(type);
+  const trashed = await trashRepository.findDeletedById(type, id);
+  if (trashed && type === 'transaction') {
+    await assertParentsRestored(trashed);
+  }
+  const document = trashed && (await trashRepository.restoreById(type, id));
+  if (!document) {
+    throw new Error('Trash item not found');
+  }
+  await recordChange({
+    documentType: type,
+    documentId: id,
+    before: trashed,
+    after: document,
+    ...audit,
+    origin: 'restore',
+  });
+  return document;
+}
+
+/**
+ * Unlink the transfer pairs and refunds of purged transactions
+ * Trashed transactions keep their links so a restore brings them back; once
+ * a transaction is gone the other side of its transfer is income or expense
+ * again, and its refunds get their own category back.
+ * @param {Array<string>} ids - IDs of the purged transactions
+ */
+async function unlinkPurgedTransactions(ids) {
+  const purged = new Set(ids.map(String));
+  const linked = await findLinkedTo(ids);
+  for (const transaction of linked) {
+    const update = purged.has(String(transaction.refundOfId))
+      ? unlinkedRefundUpdate(transaction)
+      : { $unset: {} };
+    if (purged.has(String(transaction.transferPairId))) {
+      update.$unset.transferPairId = '';
+    }
+    await recordChange({
+      documentType: 'transaction',
+      documentId: String(transaction.id),
+      before: transaction,
+      after: await updateIncludingTrash(transaction.id, update),
+      origin: 'trash',
+    });
+  }
+}
+
+/**
+ * Find the document in the trash holding a unique key
+ * Trashed documents keep their unique keys (importing a note restores the
+ * trashed company of its CNPJ), so the key cannot be given to another
+ * document until the trashed one is restored or purged.
+ * @param {string} type - Document type
+ * @param {Object} key - Unique key, e.g. `{ cpf }`; an empty value matches nothing
+ * @returns {Promise<Object|null>} Trashed document, or null when none holds the key
+ */
+export async function findTrashedHolder(type, key) {
+  resolveType(type);
+  if (!Object.values(key).every(Boolean)) {
+    return null;
+  }
+  return trashRepository.findDeletedOne(type, key);
+}
+
+/**
+ * Permanently delete trashed documents with their attachments
+ * Transactions still assigned to a purged fiscal book lose the book.
+ * @param {string} type - Document type
+ * @param {Array<string>} ids - IDs of documents in the trash
+ * @returns {Promise<number>} Number of purged documents
+ */
+async function purge(type, ids) {
+  if (ids.length === 0) {
+    return 0;
+  }
+  const purged = await trashRepository.purgeByIds(type, ids);
+  if (type === 'transaction') {
+    await unlinkPurgedTransactions(ids);
+  }
+  if (type === 'fiscalBook') {
+    await removePurgedFiscalBooks(ids);
+  }
+  if (ATTACHMENT_OWNERS.includes(type)) {
+    await removeOwnerAttachments(type, ids);
+  }
+  return purged;
+}
+
+/**
+ * Permanently delete a document in the trash
+ * @param {string} type - Document type
+ * @param {string} id - Document ID
+ * @returns {Promise<{type: string, purged: number}>} Purge result
+ */
+export async function purgeItem(type, id) {
+  resolveType(type);
+  const ids = await trashRepository.findDeletedIds(type, { ids: [id] });
+  if (ids.length === 0) {
+    throw new Error('Trash item not found');
+  }
+  return { type, purged: await purge(type, ids) };
+}
+
+/**
+ * Permanently delete every document of a type in the trash
+ * @param {string} type - Document type
+ * @returns {Promise<{type: string, purged: number}>} Purge result
+ */
+export async function emptyTrash(type) {
+  resolveType(type);
+  const ids = await trashRepository.findDeletedIds(type);
+  return { type, purged: await purge(type, ids) };
+}
+
+/**
+ * Permanently delete the documents kept in the trash past the retention
+ * @param {number} retentionDays - Days to keep deleted documents
+ * @param {Date} now - Reference date
+ * @returns {Promise<Object>} Number of purged documents per type
+ */
+export async function purgeExpired(retentionDays = resolveRetentionDays(), now = new Date()) {
+  const deletedBefore = new Date(now.getTime() - retentionDays * DAY_IN_MS);
+  const purged = {};
+  for (const type of TRASH_TYPES) {
+    const ids = await trashRepository.findDeletedIds(type, { deletedBefore });
+    purged[type] = await purge(type, ids);
+  }
+  return purged;
+}
@@ -0,0 +1,283 @@
+import { jest } from '@jest/globals';
+
+const trashRepository = {
+  TRASH_TYPES: ['transaction', 'fiscalBook', 'company', 'person', 'category'],
+  findDeleted: jest.fn(),
+  countDeleted: jest.fn(),
+  findDeletedIds: jest.fn(),
+  findDeletedById: jest.fn(),
+  findDeletedOne: jest.fn(),
+  restoreById: jest.fn(),
+  purgeByIds: jest.fn(),
+};
+const transactionRepository = {
+  findLinkedTo: jest.fn(),
+  removePurgedFiscalBooks: jest.fn(),
+  updateIncludingTrash: jest.fn(),
+};
+const removeOwnerAttachments = jest.fn();
+const recordChange = jest.fn();
+const unlinkedRefundUpdate = jest.fn();
+
+jest.unstable_mockModule('../repository/trashRepository.js', () => ({
+  ...trashRepository,
+}));
+jest.unstable_mockModule('../repository/transactionRepository.js', () => ({
+  ...transactionRepository,
+}));
+jest.unstable_mockModule('./attachmentService.js', () => ({
+  removeOwnerAttachments,
+}));
+jest.unstable_mockModule('./auditService.js', () => ({ recordChange }));
+jest.unstable_mockModule('./refundService.js', () => ({ unlinkedRefundUpdate }));
+
+const {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  TRASHED_PARENT_ERROR,
+  resolveRetentionDays,
+  getTrashSummary,
+  listTrash,
+  restoreItem,
+  findTrashedHolder,
+  purgeItem,
+  emptyTrash,
+  purgeExpired,
+} = await import('./trashService.js');
+
+describe('trashService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    trashRepository.purgeByIds.mockImplementation(async (type, ids) => ids.length);
+    transactionRepository.findLinkedTo.mockResolvedValue([]);
+  });
+
+  test('resolveRetentionDays reads the configured days', () => {
+    expect(DEFAULT_TRASH_RETENTION_DAYS).toBe(30);
+    expect(resolveRetentionDays('7')).toBe(7);
+    expect(resolveRetentionDays(0)).toBe(0);
+    expect(resolveRetentionDays('')).toBe(30);
+    expect(resolveRetentionDays('soon')).toBe(30);
+    expect(resolveRetentionDays(-1)).toBe(30);
+    expect(resolveRetentionDays(undefined)).toBe(30);
+  });
+
+  test('getTrashSummary counts each type', async () => {
+    trashRepository.countDeleted.mockImplementation(async (type) =>
+      type === 'transaction' ? 3 : 0
+    );
+
+    await expect(getTrashSummary()).resolves.toEqual({
+      transaction: 3,
+      fiscalBook: 0,
+      company: 0,
+      person: 0,
+      category: 0,
+    });
+  });
+
+  test('listTrash validates the type and bounds the page', async () => {
+    trashRepository.findDeleted.mockResolvedValue({ items: [{ id: 't1' }], total: 1 });
+
+    await expect(listTrash('transaction', { limit: '500', skip: '-3' })).resolves.toEqual({
+      items: [{ id: 't1' }],
+      total: 1,
+      limit: 200,
+      skip: 0,
+    });
+    await listTrash('company');
+    expect(trashRepository.findDeleted).toHaveBeenLastCalledWith('company', {
+      limit: 50,
+      skip: 0,
+    });
+    await expect(listTrash('budget')).rejects.toThrow('Invalid trash type: budget');
+  });
+
+  test('restoreItem brings a document back and records it', async () => {
+    const trashed = { id: 'c1', deletedAt: '2024-03-10T12:00:00.000Z' };
+    trashRepository.findDeletedById.mockResolvedValueOnce(trashed);
+    trashRepository.restoreById.mockResolvedValueOnce({ id: 'c1', deletedAt: null });
+
+    await expect(
+      restoreItem('company', 'c1', { actor: 'ana', origin: 'api' })
+    ).resolves.toEqual({ id: 'c1', deletedAt: null });
+    expect(trashRepository.findDeletedById).toHaveBeenCalledWith('company', 'c1');
+    expect(trashRepository.restoreById).toHaveBeenCalledWith('company', 'c1');
+    expect(recordChange).toHaveBeenCalledWith({
+      documentType: 'company',
+      documentId: 'c1',
+      before: trashed,
+      after: { id: 'c1', deletedAt: null },
+      actor: 'ana',
+      origin: 'restore',
+    });
+  });
+
+  test('restoreItem restores a transaction only after its fiscal book and category', async () => {
+    const trashed = { id: 't1', fiscalBookId: 'b1', transactionCategory: 'c1' };
+    trashRepository.findDeletedById
+      .mockResolvedValueOnce(trashed)
+      .mockResolvedValueOnce({ id: 'b1' })
+      .mockResolvedValueOnce(trashed)
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ id: 'c1' });
+
+    await expect(restoreItem('transaction', 't1')).rejects.toThrow(TRASHED_PARENT_ERROR);
+    expect(trashRepository.findDeletedById).toHaveBeenCalledWith('fiscalBook', 'b1');
+    await expect(restoreItem('transaction', 't1')).rejects.toThrow(TRASHED_PARENT_ERROR);
+    expect(trashRepository.findDeletedById).toHaveBeenLastCalledWith('category', 'c1');
+    expect(trashRepository.restoreById).not.toHaveBeenCalled();
+
+    trashRepository.findDeletedById
+      .mockResolvedValueOnce({ id: 't2', transactionCategory: 'c2' })
+      .mockResolvedValueOnce(null);
+    trashRepository.restoreById.mockResolvedValueOnce({ id: 't2' });
+    await expect(restoreItem('transaction', 't2')).resolves.toEqual({ id: 't2' });
+    expect(trashRepository.findDeletedById).toHaveBeenCalledTimes(7);
+  });
+
+  test('restoreItem reports documents outside the trash', async () => {
+    trashRepository.findDeletedById
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ id: 'c2' });
+    trashRepository.restoreById.mockResolvedValueOnce(null);
+
+    await expect(restoreItem('company', 'c1')).rejects.toThrow('Trash item not found');
+    expect(trashRepository.restoreById).not.toHaveBeenCalled();
+    await expect(restoreItem('company', 'c2')).rejects.toThrow('Trash item not found');
+    expect(recordChange).not.toHaveBeenCalled();
+  });
+
+  test('findTrashedHolder finds the trashed document holding a unique key', async () => {
+    trashRepository.findDeletedOne.mockResolvedValueOnce({ id: 'p1' });
+
+    await expect(findTrashedHolder('person', { cpf: '123' })).resolves.toEqual({
+      id: 'p1',
+    });
+    expect(trashRepository.findDeletedOne).toHaveBeenCalledWith('person', {
+      cpf: '123',
+    });
+
+    await expect(findTrashedHolder('person', { cpf: undefined })).resolves.toBeNull();
+    await expect(findTrashedHolder('company', { companyCnpj: '' })).resolves.toBeNull();
+    expect(trashRepository.findDeletedOne).toHaveBeenCalledTimes(1);
+    await expect(findTrashedHolder('budget', { id: 'b1' })).rejects.toThrow(
+      'Invalid trash type: budget'
+    );
+  });
+
+  test('purgeItem deletes a trashed document with its attachments', async () => {
+    trashRepository.findDeletedIds
+      .mockResolvedValueOnce(['t1'])
+      .mockResolvedValueOnce(['p1'])
+      .mockResolvedValueOnce([]);
+
+    await expect(purgeItem('transaction', 't1')).resolves.toEqual({
+      type: 'transaction',
+      purged: 1,
+    });
+    expect(trashRepository.findDeletedIds).toHaveBeenCalledWith('transaction', {
+      ids: ['t1'],
+    });
+    expect(trashRepository.purgeByIds).toHaveBeenCalledWith('transaction', ['t1']);
+    expect(removeOwnerAttachments).toHaveBeenCalledWith('transaction', ['t1']);
+
+    await purgeItem('person', 'p1');
+    expect(removeOwnerAttachments).toHaveBeenCalledTimes(1);
+    expect(transactionRepository.removePurgedFiscalBooks).not.toHaveBeenCalled();
+
+    await expect(purgeItem('transaction', 't9')).rejects.toThrow(
+      'Trash item not found'
+    );
+  });
+
+  test('purgeItem unlinks the other side of a purged transfer', async () => {
+    trashRepository.findDeletedIds.mockResolvedValueOnce(['t1']).mockResolvedValueOnce(['t3']);
+    const pair = { id: 't2', transferPairId: 't1' };
+    transactionRepository.findLinkedTo.mockResolvedValueOnce([pair]);
+    transactionRepository.updateIncludingTrash.mockResolvedValueOnce({ id: 't2' });
+
+    await purgeItem('transaction', 't1');
+
+    expect(transactionRepository.findLinkedTo).toHaveBeenCalledWith(['t1']);
+    expect(transactionRepository.updateIncludingTrash).toHaveBeenCalledWith('t2', {
+      $unset: { transferPairId: '' },
+    });
+    expect(unlinkedRefundUpdate).not.toHaveBeenCalled();
+    expect(recordChange).toHaveBeenCalledWith({
+      documentType: 'transaction',
+      documentId: 't2',
+      before: pair,
+      after: { id: 't2' },
+      origin: 'trash',
+    });
+
+    await purgeItem('transaction', 't3');
+    expect(transactionRepository.updateIncludingTrash).toHaveBeenCalledTimes(1);
+  });
+
+  test('purgeItem gives the refunds of a purged purchase their own category back', async () => {
+    trashRepository.findDeletedIds.mockResolvedValueOnce(['p1']);
+    const refund = { id: 'r1', refundOfId: 'p1', refundOriginal: { transactionCategory: 'c1' } };
+    transactionRepository.findLinkedTo.mockResolvedValueOnce([refund]);
+    unlinkedRefundUpdate.mockReturnValueOnce({
+      $unset: { refundOfId: '', refundOriginal: '' },
+      splits: [],
+      transactionCategory: 'c1',
+    });
+    transactionRepository.updateIncludingTrash.mockResolvedValueOnce({ id: 'r1' });
+
+    await purgeItem('transaction', 'p1');
+
+    expect(unlinkedRefundUpdate).toHaveBeenCalledWith(refund);
+    expect(transactionRepository.updateIncludingTrash).toHaveBeenCalledWith('r1', {
+      $unset: { refundOfId: '', refundOriginal: '' },
+      splits: [],
+      transactionCategory: 'c1',
+    });
+    expect(recordChange).toHaveBeenCalledWith(
+      expect.objectContaining({ documentId: 'r1', before: refund, after: { id: 'r1' } })
+    );
+  });
+
+  test('emptyTrash purges every trashed document of a type', async () => {
+    trashRepository.findDeletedIds.mockResolvedValueOnce(['f1', 'f2']).mockResolvedValueOnce([]);
+
+    await expect(emptyTrash('fiscalBook')).resolves.toEqual({
+      type: 'fiscalBook',
+      purged: 2,
+    });
+    expect(removeOwnerAttachments).toHaveBeenCalledWith('fiscalBook', ['f1', 'f2']);
+    expect(transactionRepository.removePurgedFiscalBooks).toHaveBeenCalledWith([
+      'f1',
+      'f2',
+    ]);
+
+    await expect(emptyTrash('fiscalBook')).resolves.toEqual({
+      type: 'fiscalBook',
+      purged: 0,
+    });
+    expect(trashRepository.purgeByIds).toHaveBeenCalledTimes(1);
+  });
+
+  test('purgeExpired purges what was deleted before the retention', async () => {
+    trashRepository.findDeletedIds.mockImplementation(async (type) =>
+      type === 'category' ? ['c1'] : []
+    );
+    const now = new Date('2024-03-31T00:00:00Z');
+
+    await expect(purgeExpired(30, now)).resolves.toEqual({
+      transaction: 0,
+      fiscalBook: 0,
+      company: 0,
+      person: 0,
+      category: 1,
+    });
+    expect(trashRepository.findDeletedIds).toHaveBeenCalledWith('transaction', {
+      deletedBefore: new Date('2024-03-01T00:00:00Z'),
+    });
+    expect(removeOwnerAttachments).not.toHaveBeenCalled();
+
+    await purgeExpired();
+    expect(trashRepository.findDeletedIds).toHaveBeenCalledTimes(10);
+  });
+});